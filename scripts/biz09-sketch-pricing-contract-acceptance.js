@@ -30,6 +30,10 @@ assert("booking ₹100", rule.bookingPaise === 10000);
 assert("balance ₹400", rule.balancePaise === 40000);
 assert("booking + balance = gross", rule.bookingPaise + rule.balancePaise === rule.grossPaise);
 assert("superimpose ₹200 default", rule.superimposePaise === 20000);
+assert(
+  "express unpriced until configured",
+  process.env.SKETCH_EXPRESS_FEE_PAISE ? rule.expressPaise > 0 : rule.expressPaise === null
+);
 assert("phase refs include BIZ-09", rule.phaseRefs.includes("BIZ-09"));
 assert("assertSketchOrderPricingReady returns rule", assertSketchOrderPricingReady().version === rule.version);
 assert("baseline frozen", APPROVED_SKETCH_ORDER_PRICING.baselineId === "NORTHCOT-SKETCH-PRICING-BIZ09");
@@ -41,10 +45,18 @@ assert("ignores admin plan replacement", /cannot replace plan/i.test(pricingSrc)
 
 const adminSrc = fs.readFileSync(path.join(root, "src/services/config/sketchPricingAdmin.service.js"), "utf8");
 assert("admin locks plans to contract", /SKETCH_PLAN_LOCKED_TO_CONTRACT/.test(adminSrc));
+assert("admin discounts express line", /sketchExpressDiscountRupees/.test(adminSrc));
 
 const phonePe = fs.readFileSync(path.join(root, "src/services/phonePeSketchPayment.service.js"), "utf8");
 assert("PhonePe getters use sketch contract", /getApprovedSketchOrderPricing/.test(phonePe));
 
+const versionSvc = fs.readFileSync(path.join(root, "src/services/config/sketchPricingVersion.service.js"), "utf8");
+assert(
+  "stored pricing versions load into the contract and switch by effectiveFrom",
+  /setStoredSketchPricingVersions/.test(versionSvc) && /ensurePricingVersionsLoaded/.test(pricingSrc)
+);
+assert("checkout names the pricing version it used", /pricingVersionId: contract\.pricingVersionId/.test(pricingSrc));
+
 const baseline = fs.readFileSync(path.join(root, "src/config/businessRulesBaseline.js"), "utf8");
 assert("business-rules embeds sketchOrderPricing", /sketchOrderPricing/.test(baseline));
 
@@ -12,6 +12,9 @@ const {
   parseBalanceUploadIdFromMerchantOrder,
   assertPaidMatchesExpected,
 } = require("../src/services/phonePeSketchPayment.service");
+const { collectDeliverableEntries } = require("../src/services/orderBundle.service");
+const fs = require("fs");
+const path = require("path");
 
 let passed = 0;
 let failed = 0;
@@ -158,5 +161,26 @@ assert(
   parseBalanceUploadIdFromMerchantOrder("sk507f1f77bcf86cd799439011rabc123") === null
 );
 
+// Bulk ZIP bundles: released deliveries only, every bundle logged
+assert(
+  "bundle skips QC-failed deliveries",
+  collectDeliverableEntries({
+    cadDeliverableHistory: [
+      { revisionNo: 0, deliverables: [{ s3Key: "uploads/a.dxf", fileName: "a.dxf" }], qc: { status: "PASSED" } },
+      { revisionNo: 1, deliverables: [{ s3Key: "uploads/b.dxf", fileName: "b.dxf" }], qc: { status: "FAILED" } },
+    ],
+  }).map((e) => e.revisionNo).join() === "0"
+);
+
+const bundleSrc = fs.readFileSync(path.join(__dirname, "../src/services/orderBundle.service.js"), "utf8");
+const authApiSrc = fs.readFileSync(path.join(__dirname, "../src/handlers/authApi.js"), "utf8");
+assert("bundle issues log BUNDLE_ISSUED", bundleSrc.includes('action: "BUNDLE_ISSUED"'));
+assert("bundle enforces balance entitlement", bundleSrc.includes("isDownloadEntitled(upload)"));
+assert(
+  "bundle routes registered",
+  authApiSrc.includes("GET /api/surveyor/sketch-uploads/{uploadId}/cad-download-bundle") &&
+    authApiSrc.includes("GET /api/cad/assignments/{assignmentId}/inputs-bundle")
+);
+
 console.log(`\n${passed} passed, ${failed} failed`);
 process.exit(failed ? 1 : 0);
@@ -9,6 +9,9 @@ const {
   PROVIDER_STATE,
 } = require("../src/services/paymentAttempt.service");
 const { assertPaidMatchesExpected } = require("../src/services/phonePeSketchPayment.service");
+const fs = require("fs");
+const path = require("path");
+const paymentProvider = require("../src/services/payment/paymentProvider.service");
 
 let passed = 0;
 let failed = 0;
@@ -53,5 +56,63 @@ assert("sanitize drops authorization", clean.authorization === undefined);
 assert("purpose constants exist", PAYMENT_PURPOSE.BOOKING && PAYMENT_PURPOSE.BALANCE && PAYMENT_PURPOSE.REVISION);
 assert("provider states include COMPLETED", PROVIDER_STATE.COMPLETED === "COMPLETED");
 
+// Pluggable gateways: every adapter implements the same surface; attempts remember their gateway
+const ADAPTER_METHODS = ["isConfigured", "createOrder", "fetchStatus", "verifyCallback", "refund", "fetchRefundStatus"];
+for (const { name } of paymentProvider.listProviders()) {
+  const adapter = paymentProvider.getProvider(name);
+  assert(
+    `${name} adapter implements provider interface`,
+    ADAPTER_METHODS.every((m) => typeof adapter[m] === "function") && adapter.callbackSlug
+  );
+}
+const root = path.join(__dirname, "..");
+const attemptModel = fs.readFileSync(path.join(root, "src/models/payment/PaymentAttempt.js"), "utf8");
+assert("attempt provider is immutable", /provider:\s*\{[^}]*immutable:\s*true/.test(attemptModel));
+const checkoutCallers = [
+  "src/services/cadDownloadEntitlement.service.js",
+  "src/services/surveyorSketchUpload.service.js",
+  "src/services/assignment/surveySketchAssignment.service.js",
+].map((f) => fs.readFileSync(path.join(root, f), "utf8"));
+assert(
+  "checkouts go through the provider layer",
+  checkoutCallers.every((src) => src.includes("startCheckout(") && !src.includes(".initiatePay("))
+);
+const yml = fs.readFileSync(path.join(root, "serverless.yml"), "utf8");
+assert("generic gateway callback route registered", yml.includes("path: /api/payments/{provider}/callback"));
+assert("signed S2S webhook route registered", yml.includes("path: /api/payments/{provider}/webhook"));
+assert(
+  "stuck PENDING sweeper scheduled",
+  yml.includes("handler: src/handlers/paymentSweeper.handler") && yml.includes("path: /api/admin/payments/sweeper-actions")
+);
+const webhookSvc = fs.readFileSync(path.join(root, "src/services/payment/paymentWebhook.service.js"), "utf8");
+assert(
+  "webhooks settle through the callback path (status re-fetched, never trusted from the body)",
+  webhookSvc.includes("settleProviderOrder(") && webhookSvc.includes("syncRefund(")
+);
+assert("settlement report import route registered", yml.includes("path: /api/admin/payments/settlements"));
+const callbackSvc = fs.readFileSync(path.join(root, "src/services/payment/paymentCallback.service.js"), "utf8");
+assert(
+  "tax invoice issued on settlement, backfilled by schedule",
+  callbackSvc.includes("issueInvoiceQuietly(") &&
+    yml.includes("handler: src/handlers/taxDocumentIssuer.handler") &&
+    yml.includes("path: /api/surveyor/invoices")
+);
+
+assert(
+  "coupon redeemed on settlement, admin and preview routes registered",
+  callbackSvc.includes("redeemForPaymentQuietly(") &&
+    yml.includes("path: /api/admin/coupons/{couponId}") &&
+    yml.includes("path: /api/surveyor/coupons/preview")
+);
+
+const gateSrc = fs.readFileSync(path.join(root, "src/services/sketchPaymentGate.service.js"), "utf8");
+assert(
+  "wallet top-ups credited on settlement, gate counts wallet-funded bookings, wallet routes registered",
+  callbackSvc.includes("creditTopupAfterPayment(") &&
+    gateSrc.includes("bookingGatewayDuePaise(") &&
+    yml.includes("path: /api/surveyor/wallet/topups") &&
+    yml.includes("path: /api/admin/bundle-packs")
+);
+
 console.log(`\n${passed} passed, ${failed} failed`);
 process.exit(failed ? 1 : 0);
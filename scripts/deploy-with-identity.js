@@ -141,10 +141,21 @@ if (stage === "prod") {
   }
 }
 
+// Index migrations: autoIndex never drops a superseded unique index, so the new code would hit E11000.
+let r = spawnSync(process.execPath, ["scripts/migrate-superseded-indexes.js"], {
+  cwd: root,
+  stdio: "inherit",
+  env: process.env,
+});
+if (r.status !== 0) {
+  console.error("ERROR: index migration failed — not deploying code that depends on it.");
+  process.exit(r.status || 1);
+}
+
 const writeArgs = ["scripts/write-build-identity.js", "--stage", stage];
 if (tag) writeArgs.push("--tag", tag);
 
-let r = spawnSync(process.execPath, writeArgs, { cwd: root, stdio: "inherit", env: process.env });
+r = spawnSync(process.execPath, writeArgs, { cwd: root, stdio: "inherit", env: process.env });
 if (r.status !== 0) process.exit(r.status || 1);
 
 const identity = require(path.join(root, "build-identity.json"));
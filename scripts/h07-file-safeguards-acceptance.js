@@ -50,6 +50,16 @@ assert(
   }).ok === true
 );
 
+const { getWatermarkPolicy } = require("../src/services/fileSecurity.service");
+assert("watermark mode is CLIENT_SIDE or SERVER_ENFORCED", ["CLIENT_SIDE", "SERVER_ENFORCED"].includes(getWatermarkPolicy().mode));
+assert("WATERMARK_MODE wired in serverless.yml", /WATERMARK_MODE:/.test(yml));
+const download = fs.readFileSync(path.join(root, "src/services/cadDownloadEntitlement.service.js"), "utf8");
+assert(
+  "server-enforced previews are signed as derived stamped copies",
+  /createWatermarkedPreview/.test(download) && /PREVIEW_WATERMARK_FAILED/.test(download)
+);
+assert("derived objects use their own prefix", /DERIVED_PREFIX/.test(s3));
+
 const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
 assert("test:h07 script", typeof pkg.scripts["test:h07"] === "string");
 assert("retention:purge script", typeof pkg.scripts["retention:purge"] === "string");
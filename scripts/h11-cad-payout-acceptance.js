@@ -29,10 +29,55 @@ assert("CAD_PAYOUT_RULE_VERSION set", /CAD_PAYOUT_RULE_VERSION:/.test(yml));
 const svc = fs.readFileSync(path.join(root, "src/services/cadPayoutPricing.service.js"), "utf8");
 assert("no silent return 20 percent", !/return 20;/.test(svc));
 assert("FIXED rule version constant", /CAD_PAYOUT_V1_FIXED_400/.test(svc));
+assert("clawback rule version constant", /CAD_CLAWBACK_V1_PROPORTIONAL/.test(svc));
+assert("CAD_CLAWBACK_RULE_VERSION set", /CAD_CLAWBACK_RULE_VERSION:/.test(yml));
+assert("incentive rule version constant", /CAD_INCENTIVE_V1_PERFORMANCE/.test(svc));
+assert("CAD_INCENTIVE_RULE_VERSION set", /CAD_INCENTIVE_RULE_VERSION:/.test(yml));
 
 const ledger = fs.readFileSync(path.join(root, "src/models/cad/CadWalletLedger.js"), "utf8");
 assert("ledger stores pricingRuleVersion", /pricingRuleVersion/.test(ledger));
 assert("ledger stores gross/booking/balance/payout", /grossPricePaise/.test(ledger) && /bookingPaise/.test(ledger));
+assert("ledger stores clawback rule version", /clawbackRuleVersion/.test(ledger) && /clawbackOf/.test(ledger));
+assert(
+  "ledger freezes incentive rule version and line items",
+  /incentiveRuleVersion/.test(ledger) && /incentiveLineItems/.test(ledger)
+);
+
+const payoutRunSvc = fs.readFileSync(path.join(root, "src/services/cadPayoutRun.service.js"), "utf8");
+assert(
+  "batch payout run locks entries, nets clawbacks and settles from the bank response",
+  /payoutRun/.test(ledger) &&
+    /REFUND_CLAWBACK/.test(payoutRunSvc) &&
+    /applyPayoutRunTranche\(/.test(payoutRunSvc) &&
+    /releasePayoutRunEntries\(/.test(payoutRunSvc)
+);
+assert(
+  "payout run routes and weekly schedule registered",
+  yml.includes("path: /api/admin/cad-payout-runs/{runId}/bank-file") &&
+    yml.includes("path: /api/admin/cad-payout-runs/{runId}/bank-response") &&
+    yml.includes("handler: src/handlers/cadPayoutRun.handler")
+);
+assert(
+  "TDS frozen on payment tranches, statement and quarterly summary routes registered",
+  /tdsPaise/.test(ledger) &&
+    /tdsLogFields\(/.test(fs.readFileSync(path.join(root, "src/services/cadWallet.service.js"), "utf8")) &&
+    yml.includes("path: /api/cad/wallet/statements") &&
+    yml.includes("path: /api/admin/cad-tds/summary")
+);
+assert(
+  "bank / UPI changes go through OTP, approval and cooling-off before payout runs read them",
+  /CAD_PAYOUT_DETAILS_CHANGE_REQUIRED/.test(fs.readFileSync(path.join(root, "src/services/user.service.js"), "utf8")) &&
+    /activateDueChanges\(/.test(payoutRunSvc) &&
+    yml.includes("path: /api/admin/cad-payout-details-changes/{changeId}/approve") &&
+    yml.includes("handler: src/handlers/cadPayoutDetailsChange.handler")
+);
+assert(
+  "CAD wallet disputes: thread, admin resolution with a DISPUTE_ADJUSTMENT credit, routes registered",
+  /DISPUTE_ADJUSTMENT/.test(fs.readFileSync(path.join(root, "src/services/cadWalletDispute.service.js"), "utf8")) &&
+    /dispute/.test(ledger) &&
+    yml.includes("path: /api/cad/wallet/disputes/{disputeId}/messages") &&
+    yml.includes("path: /api/admin/cad-wallet-disputes/{disputeId}/resolve")
+);
 
 const deploy = fs.readFileSync(path.join(root, "scripts/deploy-with-identity.js"), "utf8");
 assert("deploy gates on assertCadPayoutRuleReady", /assertCadPayoutRuleReady/.test(deploy));
@@ -58,6 +103,32 @@ const { amountPaise } = computeCadPayoutSettlement({
 });
 assert("settlement amount ₹400", amountPaise === 40000);
 
+const { computeCadRefundClawback } = require("../src/services/cadPayoutPricing.service");
+const refundOfHundred = () =>
+  computeCadRefundClawback({ creditedPaise: 40000, basisPaise: 50000, refundedPaise: 10000 }).amountPaise;
+const clawbackEnv = process.env.CAD_CLAWBACK_RULE_VERSION;
+delete process.env.CAD_CLAWBACK_RULE_VERSION;
+assert("no clawback by default", refundOfHundred() === 0);
+process.env.CAD_CLAWBACK_RULE_VERSION = "CAD_CLAWBACK_V1_PROPORTIONAL";
+assert("V1 (when selected): ₹100 refund of ₹500 order claws back ₹80", refundOfHundred() === 8000);
+if (clawbackEnv === undefined) delete process.env.CAD_CLAWBACK_RULE_VERSION;
+else process.env.CAD_CLAWBACK_RULE_VERSION = clawbackEnv;
+
+const { computeCadIncentives } = require("../src/services/cadPayoutPricing.service");
+const breachedDelivery = () =>
+  computeCadIncentives({ kind: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY, basePaise: 40000, slaState: "BREACHED" });
+const incentiveEnv = process.env.CAD_INCENTIVE_RULE_VERSION;
+delete process.env.CAD_INCENTIVE_RULE_VERSION;
+assert("no incentives by default: ₹400 credit untouched", breachedDelivery().amountPaise === 40000);
+process.env.CAD_INCENTIVE_RULE_VERSION = "CAD_INCENTIVE_V1_PERFORMANCE";
+const breached = breachedDelivery();
+assert(
+  "V1 (when selected): SLA breach is a separate deduction line on the ₹400 credit",
+  breached.amountPaise < 40000 && breached.lineItems.some((l) => l.code === "SLA_BREACH_PENALTY" && l.amountPaise < 0)
+);
+if (incentiveEnv === undefined) delete process.env.CAD_INCENTIVE_RULE_VERSION;
+else process.env.CAD_INCENTIVE_RULE_VERSION = incentiveEnv;
+
 const pub = getApprovedBusinessRulesPublic();
 assert("public API FIXED model", pub.cadOperatorEarnings.model === "FIXED");
 assert("public API payoutRupees 400", pub.cadOperatorEarnings.payoutRupees === 400);
@@ -64,6 +64,26 @@ const download = fs.readFileSync(
   "utf8"
 );
 assert("authorized download gate still present", /getCadDownloadForSurveyor/.test(download));
+assert(
+  "unpaid download issues preview-role files only",
+  /isPreviewFile\(f\)/.test(download) && /previewOnly: !entitled/.test(download)
+);
+assert("deliver renders a preview when CAD omits one", /generatePreviewForDelivery/.test(assign));
+assert(
+  "generated preview service present",
+  fs.existsSync(path.join(root, "src/services/cadPreview.service.js")) &&
+    fs.existsSync(path.join(root, "src/utils/dxfPreview.js"))
+);
+
+const diffSvcPath = path.join(root, "src/services/revisionDiff.service.js");
+const diffSvc = fs.existsSync(diffSvcPath) ? fs.readFileSync(diffSvcPath, "utf8") : "";
+const api = fs.readFileSync(path.join(root, "src/handlers/authApi.js"), "utf8");
+assert("revision diff route registered", /sketch-uploads\/\{uploadId\}\/revision-diff/.test(api));
+assert(
+  "revision diff: DXF entity diff + overlay under revision-diffs",
+  /classifyDxfEntities/.test(diffSvc) && /"revision-diffs"/.test(diffSvc)
+);
+assert("revision diff: surveyor detail follows entitlement", /isDownloadEntitled\(upload\)/.test(diffSvc));
 
 const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
 assert("test:h12 script", typeof pkg.scripts["test:h12"] === "string");
@@ -15,11 +15,33 @@ const files = [
   "src/middleware/validator.js",
   "src/services/phonePeSketchPayment.service.js",
   "src/services/paymentAttempt.service.js",
+  "src/services/payment/paymentProvider.service.js",
+  "src/services/payment/paymentCallback.service.js",
+  "src/services/payment/paymentRefund.service.js",
+  "src/services/payment/paymentWebhook.service.js",
+  "src/services/payment/paymentSweeper.service.js",
+  "src/services/payment/settlementReconciliation.service.js",
+  "src/services/payment/taxDocument.service.js",
+  "src/services/payment/taxDocumentPdf.service.js",
+  "src/services/config/invoiceSettings.service.js",
+  "src/services/payment/coupon.service.js",
+  "src/services/payment/surveyorWallet.service.js",
+  "src/services/config/sketchPricingVersion.service.js",
   "src/services/cadDownloadEntitlement.service.js",
+  "src/services/cadWallet.service.js",
+  "src/services/cadPayoutRun.service.js",
+  "src/services/cadPayoutBankFile.service.js",
+  "src/services/cadTds.service.js",
+  "src/services/cadPayoutDetailsChange.service.js",
+  "src/services/cadWalletDispute.service.js",
+  "src/services/cadEarningsStatementPdf.service.js",
+  "src/services/config/cadTdsSettings.service.js",
   "src/services/sketchPaymentPricing.service.js",
   "src/services/upload.service.js",
   "src/services/fileSecurity.service.js",
   "src/utils/s3.js",
+  "src/utils/csv.js",
+  "src/utils/xlsx.js",
 ];
 
 let failed = 0;
@@ -62,9 +62,35 @@ assert("H-08 qc from same checklist", rules.qc.checkCount === 10);
 const assignment = read("src/services/assignment/surveySketchAssignment.service.js");
 assert("assignment uses applySketchStatus", /applySketchStatus/.test(assignment));
 assert("assignment asserts QC on deliver", /assertQcRequiredForRelease/.test(assignment));
+assert("deliver stages files for QC", /stageDeliveryForQc\(/.test(assignment));
+assert(
+  "CAD_DELIVERED only on QC release",
+  /async function releaseDeliveryAfterQc[\s\S]*?applySketchStatus\(uploadDoc, SURVEY_SKETCH_STATUS\.CAD_DELIVERED\)/.test(assignment) &&
+    (assignment.match(/SURVEY_SKETCH_STATUS\.CAD_DELIVERED\)/g) || []).length === 1
+);
+assert("failed QC returns job to CAD user", /async function returnDeliveryAfterQcFailure[\s\S]*?IN_PROGRESS/.test(assignment));
+
+const qcService = read("src/services/assignment/deliveryQc.service.js");
+assert("QC record freezes checklist version", /checklistVersion: QC_MATRIX\.version/.test(qcService));
+assert("N/A rejected on required checks", /QC_CHECK_RESULT\.NA && item\.required/.test(qcService));
+
+const uploadSvc = read("src/services/upload.service.js");
+assert("confirm runs server-side DXF checks", /dxfAnalysisService\.analyzeConfirmedUpload\(/.test(uploadSvc));
+const dxfSvc = read("src/services/dxfAnalysis.service.js");
+assert(
+  "DXF findings pre-fill BOUNDARY/SCALE/NORTH/TOPOLOGY/FORMAT",
+  ["BOUNDARY", "SCALE", "NORTH", "TOPOLOGY", "FORMAT"].every((c) => dxfSvc.includes(`"${c}"`))
+);
+assert("history entry stores DXF findings", /dxfAnalysis,\n\s*\}\);/.test(assignment));
+
+const entitlement = read("src/services/cadDownloadEntitlement.service.js");
+assert("surveyor history hides unreleased deliveries", /filter\(isReleasedDelivery\)/.test(entitlement));
 
 const handler = read("src/handlers/auth.handler.js");
 assert("admin statuses return catalog", /getLifecycleQcPublicSpec/.test(handler));
+assert("admin QC review endpoint", /schemas\.qcReviewComplete/.test(handler) && /QC_REVIEW_COMPLETE/.test(handler));
+const router = read("src/handlers/authApi.js");
+assert("QC review route wired", router.includes("POST /api/admin/qc/reviews/{qcRecordId}/complete"));
 
 const pkg = JSON.parse(read("package.json"));
 assert("test:m08 script", typeof pkg.scripts["test:m08"] === "string");
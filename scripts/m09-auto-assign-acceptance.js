@@ -35,6 +35,19 @@ assert("exception state", /EXCEPTION/.test(svc));
 assert("ops alert", /ALERT_AUTO_ASSIGN_FAILURE/.test(svc));
 assert("manual override gate", /assertManualAssignAllowed|MANUAL_ASSIGN_BLOCKED/.test(svc));
 
+const routing = read("src/services/autoAssignRouting.service.js");
+assert("routing scores region/skill/rating/workload", /servedRegions/.test(routing) && /cadProfile\.skills/.test(routing) && /cadProfile\.rating/.test(routing) && /loadByCenter/.test(routing));
+assert("pick uses routing weights", /routingWeights/.test(svc) && /routeUploadToCadCenter/.test(svc));
+const attemptModel = read("src/models/assignment/AutoAssignAttempt.js");
+assert("attempt persists candidate scores", /RoutingCandidateSchema/.test(attemptModel) && /routing:/.test(attemptModel));
+const flowModel = read("src/models/config/SurveySketchAssignmentFlow.js");
+assert("flow stores routingWeights", /routingWeights/.test(flowModel));
+assert("flow stores CAD_USER mode + per-user cap", /autoAssignMode/.test(flowModel) && /maxConcurrentJobsPerCadUser/.test(flowModel));
+assert("CAD_USER mode respects availability, cap and capacity", /selectCadUserCandidate/.test(routing) && /availabilityStatus === "AVAILABLE"/.test(routing) && /capacity/.test(routing));
+assert("CAD_USER mode falls back to center pool", /NO_ELIGIBLE_CAD_USER/.test(routing) && /assignedTo: cadUserId \|\| null/.test(svc));
+assert("retry job takes EXPRESS_11E first", /findDueRetries\(ORDER_TYPES\.EXPRESS_11E/.test(svc));
+assert("flow PATCH validates routingWeights", /routingWeights/.test(read("src/middleware/validator.js")));
+
 const uploadModel = read("src/models/surveyor/SurveyorSketchUpload.js");
 assert("autoAssignMeta on upload", /autoAssignMeta/.test(uploadModel));
 
@@ -35,6 +35,14 @@ const svc = read("src/services/slaDue.service.js");
 assert("clock injection", /setNowProvider/.test(svc));
 assert("pause/resume", /pauseSla/.test(svc) && /resumeSla/.test(svc));
 assert("extend immutable", /extendSla/.test(svc));
+assert("business-hours clock", /addBusinessMs/.test(svc) && /businessMsBetween/.test(svc) && /slaCalendar/.test(svc));
+assert("slaCalendar snapshot field", /slaCalendar:/.test(model));
+
+const calendarSvc = read("src/services/slaCalendar.service.js");
+assert("calendar: CAD user → CAD center", /CAD_USER/.test(calendarSvc) && /CAD_CENTER/.test(calendarSvc));
+assert("admin holiday lists", /SlaHoliday/.test(calendarSvc) && fs.existsSync(path.join(root, "src/models/config/SlaHoliday.js")));
+assert("center working calendar", /workingCalendar:/.test(read("src/models/masters/CadCenter.js")));
+assert("SLA uses upload orderType", /orderType/.test(calendarSvc) && /orderType:/.test(model));
 
 const assign = read("src/services/assignment/surveySketchAssignment.service.js");
 assert("applySlaOnAssign on create", /applySlaOnAssign/.test(assign));
@@ -53,6 +61,7 @@ assert("job runs processSlaAlerts", /processSlaAlerts/.test(job));
 
 const api = read("src/handlers/authApi.js");
 assert("authApi sla-extend", /sla-extend/.test(api));
+assert("holiday routes", /\/api\/admin\/sla\/holidays/.test(api) && /\/api\/admin\/sla\/holidays/.test(yml));
 
 const pkg = JSON.parse(read("package.json"));
 assert("test:m10 script", typeof pkg.scripts["test:m10"] === "string");
@@ -63,6 +72,16 @@ slaDue.setNowProvider(() => new Date("2026-01-01T00:00:00.000Z"));
 const doc = {};
 slaDue.applySlaOnAssign(doc, { at: new Date("2026-01-01T00:00:00.000Z") });
 assert("48h dueAt calc", doc.dueAt.toISOString() === "2026-01-03T00:00:00.000Z");
+// Sat 2026-01-03 20:00 IST, Mon–Sat whole days: Sat 4h + Mon 24h + Tue 20h
+const bizDoc = {};
+slaDue.applySlaOnAssign(bizDoc, {
+  at: new Date("2026-01-03T14:30:00.000Z"),
+  calendar: { source: "CAD_CENTER", workingDays: [1, 2, 3, 4, 5, 6], startMinute: 0, endMinute: 1440, holidays: [] },
+});
+assert("business-hours dueAt skips Sunday", bizDoc.dueAt.toISOString() === "2026-01-06T14:30:00.000Z");
+const expressDoc = {};
+slaDue.applySlaOnAssign(expressDoc, { orderType: "EXPRESS_11E", at: new Date("2026-01-01T00:00:00.000Z") });
+assert("express 24h dueAt calc", expressDoc.dueAt.toISOString() === "2026-01-02T00:00:00.000Z");
 slaDue.resetNowProvider();
 
 console.log(`\n${passed} passed, ${failed} failed`);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Replace unique indexes that a schema change superseded.
+ *
+ * Mongoose autoIndex only adds the indexes a model declares; it never drops one the model no longer has.
+ * A superseded unique index therefore stays on existing clusters and keeps rejecting rows the new index
+ * allows (E11000). This script builds each model's declared indexes, then drops the superseded ones. An index
+ * re-declared on the same key with new options must go first (MongoDB refuses the new one while it exists).
+ *
+ * Usage:
+ *   node scripts/migrate-superseded-indexes.js --dry-run
+ *   node scripts/migrate-superseded-indexes.js
+ *
+ * Requires MONGODB_URI (loads .env when present). deploy-with-identity.js runs it before `serverless deploy`.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CadWalletLedger = require("../src/models/cad/CadWalletLedger");
+const PaymentWebhookEvent = require("../src/models/payment/PaymentWebhookEvent");
+const { MIGRATION_VERSION } = require("../src/config/schemaVersion");
+
+/** Indexes no longer declared by the model (`match` narrows by options), with why they must go. */
+const SUPERSEDED = [
+  {
+    model: CadWalletLedger,
+    key: { assignment: 1, kind: 1, revisionNo: 1 },
+    reason: "allows one REFUND_CLAWBACK per delivery; partial refunds need one per refund (refundRef)",
+  },
+  {
+    model: CadWalletLedger,
+    key: { assignment: 1, kind: 1, revisionNo: 1, refundRef: 1 },
+    reason: "DISPUTE_ADJUSTMENT rows share null assignment / revisionNo; they need one per dispute",
+  },
+  {
+    model: PaymentWebhookEvent,
+    key: { dedupeKey: 1 },
+    match: (ix) => ix.sparse === true && !ix.partialFilterExpression,
+    reason: "sparse still indexes a stored null, so every keyless event after the first is rejected",
+  },
+];
+
+const dryRun = process.argv.includes("--dry-run");
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isDeclared = (model, key) => model.schema.indexes().some(([declared]) => sameKey(declared, key));
+
+async function existingIndexes(model) {
+  try {
+    return await model.collection.indexes();
+  } catch (err) {
+    if (err?.codeName === "NamespaceNotFound") return [];
+    throw err;
+  }
+}
+
+async function main() {
+  const uri = process.env.MONGODB_URI || process.env.MONGODB_URI_STANDARD;
+  if (!uri) {
+    console.error("ERROR: MONGODB_URI is required");
+    process.exit(1);
+  }
+
+  await mongoose.connect(uri);
+
+  const models = [...new Set(SUPERSEDED.map((s) => s.model))];
+  const built = [];
+  const dropped = [];
+
+  const drop = async (entries) => {
+    for (const { model, key, match, reason } of entries) {
+      const stale = (await existingIndexes(model)).filter((ix) => sameKey(ix.key, key) && (!match || match(ix)));
+      for (const ix of stale) {
+        if (!dryRun) await model.collection.dropIndex(ix.name);
+        dropped.push({ collection: model.collection.collectionName, name: ix.name, reason });
+      }
+    }
+  };
+
+  // Same key re-declared with new options: drop first, the declared index replaces it straight after.
+  await drop(SUPERSEDED.filter((s) => isDeclared(s.model, s.key)));
+
+  // Build the declared indexes before dropping the rest so uniqueness is never unenforced while they go.
+  for (const model of models) {
+    if (!dryRun) await model.createIndexes();
+    built.push(model.collection.collectionName);
+  }
+
+  await drop(SUPERSEDED.filter((s) => !isDeclared(s.model, s.key)));
+
+  console.log(JSON.stringify({ migrationVersion: MIGRATION_VERSION, dryRun, built, dropped }, null, 2));
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -62,11 +62,23 @@ const rules = getApprovedBusinessRulesPublic();
 assert("business-rules embeds refundPolicy", rules.refundPolicy && rules.refundPolicy.version === policy.version);
 assert("business-rules customerRefundEntitled false", rules.refundPolicy.customerRefundEntitled === false);
 
-const entitlement = fs.readFileSync(
-  path.join(root, "src/services/cadDownloadEntitlement.service.js"),
+const refundService = fs.readFileSync(
+  path.join(root, "src/services/payment/paymentRefund.service.js"),
   "utf8"
 );
-assert("admin refund uses policy assert", /assertExceptionalAdminRefundAllowed/.test(entitlement));
+assert("admin refund uses policy assert", /assertExceptionalAdminRefundAllowed/.test(refundService));
+assert(
+  "admin refund goes through the gateway adapter",
+  /adapter\.refund\(/.test(refundService) && /fetchRefundStatus\(/.test(refundService)
+);
+
+const yml = fs.readFileSync(path.join(root, "serverless.yml"), "utf8");
+assert(
+  "booking / revision refund routes registered",
+  yml.includes("/api/admin/sketch-uploads/{uploadId}/booking-refund") &&
+    yml.includes("/api/admin/sketch-uploads/{uploadId}/revision-refund")
+);
+assert("refund sync is scheduled", /paymentRefundSync\.handler/.test(yml));
 
 const validator = fs.readFileSync(path.join(root, "src/middleware/validator.js"), "utf8");
 assert("validator has balanceRefundMark", /balanceRefundMark/.test(validator));
@@ -37,20 +37,44 @@ function getApprovedBusinessRulesPublic() {
 
   // H-11: fixed ₹400 CAD payout on standard ₹500 order (not percent).
   let cadPayout;
+  let cadClawback = null;
+  let cadIncentive = null;
   try {
-    const { getApprovedCadPayoutRule } = require("../services/cadPayoutPricing.service");
+    const {
+      getApprovedCadPayoutRule,
+      getActiveCadClawbackRule,
+      getApprovedCadIncentiveRule,
+    } = require("../services/cadPayoutPricing.service");
     cadPayout = getApprovedCadPayoutRule();
+    cadClawback = getActiveCadClawbackRule();
+    cadIncentive = getApprovedCadIncentiveRule();
   } catch (_) {
     cadPayout = null;
   }
 
   let sketchPricing;
+  let upcomingSketchPricing = [];
   try {
-    const { getApprovedSketchOrderPricing } = require("./sketchOrderPricing");
+    const { getApprovedSketchOrderPricing, getUpcomingSketchOrderPricing } = require("./sketchOrderPricing");
     sketchPricing = getApprovedSketchOrderPricing();
+    upcomingSketchPricing = getUpcomingSketchOrderPricing();
   } catch (_) {
     sketchPricing = null;
   }
+  const publicSketchPricing = (p) => ({
+    version: p.version,
+    pricingVersionId: p.pricingVersionId,
+    effectiveFrom: p.effectiveFrom,
+    baselineId: p.baselineId,
+    grossRupees: p.grossRupees,
+    bookingRupees: p.bookingRupees,
+    balanceRupees: p.balanceRupees,
+    revisionRupees: p.revisionRupees,
+    superimposeRupees: p.superimposeRupees,
+    expressRupees: p.expressRupees,
+    publicCopy: p.publicCopy,
+    phaseRefs: p.phaseRefs,
+  });
 
   const balanceFixed = getSurveyorBalanceFeeFixed();
   const lifecycleQc = getLifecycleQcPublicSpec();
@@ -69,17 +93,7 @@ function getApprovedBusinessRulesPublic() {
     },
     /** BIZ-09: same contract as checkout — do not hard-code ₹500 on FE. */
     sketchOrderPricing: sketchPricing
-      ? {
-          version: sketchPricing.version,
-          baselineId: sketchPricing.baselineId,
-          grossRupees: sketchPricing.grossRupees,
-          bookingRupees: sketchPricing.bookingRupees,
-          balanceRupees: sketchPricing.balanceRupees,
-          revisionRupees: sketchPricing.revisionRupees,
-          superimposeRupees: sketchPricing.superimposeRupees,
-          publicCopy: sketchPricing.publicCopy,
-          phaseRefs: sketchPricing.phaseRefs,
-        }
+      ? { ...publicSketchPricing(sketchPricing), upcoming: upcomingSketchPricing.map(publicSketchPricing) }
       : null,
     cadOperatorEarnings: {
       model: "FIXED",
@@ -91,6 +105,27 @@ function getApprovedBusinessRulesPublic() {
       payoutRupees: cadPayout ? cadPayout.operatorPayoutPaise / 100 : 400,
       payoutPaise: cadPayout?.operatorPayoutPaise ?? 40000,
       percent: null,
+      refundClawback: cadClawback
+        ? {
+            model: cadClawback.model,
+            ruleVersion: cadClawback.version,
+            pendingApproval: !cadClawback.approvedBy,
+            publicCopy: cadClawback.publicCopy,
+          }
+        : null,
+      performanceIncentives: cadIncentive
+        ? {
+            ruleVersion: cadIncentive.version,
+            pendingApproval: !cadIncentive.approvedBy,
+            onTimeBonusRupees: cadIncentive.onTimeBonusPaise / 100,
+            highRatingMin: cadIncentive.highRatingMin,
+            highRatingBonusRupees: cadIncentive.highRatingBonusPaise / 100,
+            slaBreachDeductionRupees: cadIncentive.slaBreachPenaltyPaise / 100,
+            freeRevisions: cadIncentive.freeRevisions,
+            excessRevisionDeductionRupees: cadIncentive.excessRevisionPenaltyPaise / 100,
+            publicCopy: cadIncentive.publicCopy,
+          }
+        : null,
       publicCopy:
         cadPayout?.publicCopy ||
         "CAD operator payout = fixed ₹400 on the standard ₹500 order (booking ₹100 + balance ₹400).",
@@ -0,0 +1,55 @@
+/**
+ * TDS on CAD operator payouts. CAD operators are contractors: each payout tranche has tax deducted at
+ * source under the configured section, at the higher no-PAN rate (s.206AA) when the operator has no
+ * valid PAN on their profile. The operator is paid gross − TDS; the wallet entry is still settled gross.
+ * Deductor identity (TAN), section and rates are admin settings (CadTdsSettings); these are the defaults.
+ * TDS stays off until finance enables it with a TAN.
+ */
+
+const TDS_SECTION = Object.freeze({
+  /** Payments to contractors (drafting work orders). */
+  S194C: "194C",
+  /** Fees for professional or technical services. */
+  S194J: "194J",
+});
+
+const CAD_TDS_DEFAULTS = Object.freeze({
+  section: TDS_SECTION.S194C,
+  /** 194C: individual / HUF payee (PAN 4th letter P or H). */
+  rate194CIndividualBps: 100,
+  /** 194C: any other payee (firm, company, …). */
+  rate194COtherBps: 200,
+  rate194JBps: 1000,
+  /** s.206AA: no valid PAN. */
+  noPanRateBps: 2000,
+});
+
+/** 10-character PAN: 5 letters (4th = holder type), 4 digits, 1 letter. */
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+
+/** 10-character TAN of the deductor. */
+const TAN_PATTERN = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+
+/** Financial-year quarters (April–March) for TDS returns. */
+const TDS_QUARTERS = Object.freeze({
+  Q1: { startMonth: 3, label: "Apr–Jun" },
+  Q2: { startMonth: 6, label: "Jul–Sep" },
+  Q3: { startMonth: 9, label: "Oct–Dec" },
+  Q4: { startMonth: 12, label: "Jan–Mar" },
+});
+
+/** Rate for a payee under the settings in force; a missing / malformed PAN gets the no-PAN rate. */
+function tdsRateBps(settings, pan) {
+  if (!pan || !PAN_PATTERN.test(pan)) return settings.noPanRateBps;
+  if (settings.section === TDS_SECTION.S194J) return settings.rate194JBps;
+  return ["P", "H"].includes(pan[3]) ? settings.rate194CIndividualBps : settings.rate194COtherBps;
+}
+
+module.exports = {
+  TDS_SECTION,
+  CAD_TDS_DEFAULTS,
+  PAN_PATTERN,
+  TAN_PATTERN,
+  TDS_QUARTERS,
+  tdsRateBps,
+};
@@ -170,6 +170,88 @@ const CAD_WALLET_ENTRY_STATUS = Object.freeze({
 const CAD_WALLET_ENTRY_KIND = Object.freeze({
   INITIAL_DELIVERY: "INITIAL_DELIVERY",
   REVISION_DELIVERY: "REVISION_DELIVERY",
+  /** Negative adjustment against a delivery credit after a surveyor refund (cadPayoutPricing clawback rule). */
+  REFUND_CLAWBACK: "REFUND_CLAWBACK",
+  /** Positive credit posted by an admin resolving a CAD wallet dispute (CadWalletDispute). */
+  DISPUTE_ADJUSTMENT: "DISPUTE_ADJUSTMENT",
+});
+
+/** Surveyor prepaid wallet ledger rows (surveyorWallet.service). Money rows move amountPaise; bundle rows move credits. */
+const SURVEYOR_WALLET_ENTRY_KIND = Object.freeze({
+  /** Gateway top-up credited to the balance. */
+  TOPUP: "TOPUP",
+  /** Gateway bundle pack purchase: order credits for one order type. */
+  BUNDLE_PURCHASE: "BUNDLE_PURCHASE",
+  ADMIN_CREDIT: "ADMIN_CREDIT",
+  ADMIN_DEBIT: "ADMIN_DEBIT",
+  /** Balance spent on an upload's booking or balance fee at checkout. */
+  BOOKING_DEBIT: "BOOKING_DEBIT",
+  BALANCE_DEBIT: "BALANCE_DEBIT",
+  /** One bundle credit consumed by a new upload. */
+  BUNDLE_REDEMPTION: "BUNDLE_REDEMPTION",
+  /** Undo of a checkout debit / redemption whose checkout never started. */
+  REVERSAL: "REVERSAL",
+});
+
+/** CAD routing skills matched against upload surveyType / isSuperimpose by auto-assign. */
+const CAD_ROUTING_SKILL = Object.freeze({
+  JOINT_FLAT: "joint_flat",
+  SINGLE_FLAT: "single_flat",
+  SUPERIMPOSE: "superimpose",
+});
+
+/** Auto-assign scoring weights (admin-editable on SurveySketchAssignmentFlow; 0 disables a factor). */
+const AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS = Object.freeze({
+  region: 3,
+  skill: 3,
+  rating: 1,
+  workload: 2,
+  availability: 1,
+});
+
+/**
+ * Auto-assign target: CENTER_POOL = assign to the best CAD center (members pick up);
+ * CAD_USER = assign straight to an eligible CAD user, falling back to the center pool.
+ */
+const AUTO_ASSIGN_MODE = Object.freeze({
+  CENTER_POOL: "CENTER_POOL",
+  CAD_USER: "CAD_USER",
+});
+
+/** Default cap of concurrent ASSIGNED/IN_PROGRESS jobs per CAD user in CAD_USER mode. */
+const AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER = 3;
+
+/** Admin-maintained holiday list applied when a working calendar names none. */
+const SLA_DEFAULT_HOLIDAY_LIST = "IN_NATIONAL";
+
+/** QC review of one CAD delivery; only PASSED releases files to the surveyor. */
+const DELIVERY_QC_STATUS = Object.freeze({
+  PENDING: "PENDING",
+  PASSED: "PASSED",
+  FAILED: "FAILED",
+});
+
+/** Reviewer result per 11E checklist item. */
+const QC_CHECK_RESULT = Object.freeze({
+  PASS: "PASS",
+  FAIL: "FAIL",
+  NA: "NA",
+});
+
+/** Server-side DXF check run on confirm (M-08); SKIPPED = DWG / binary DXF / over size cap. */
+const DXF_ANALYSIS_STATUS = Object.freeze({
+  OK: "OK",
+  SKIPPED: "SKIPPED",
+  FAILED: "FAILED",
+});
+
+/**
+ * Preview watermarking (H-07). CLIENT_SIDE: policy notice only, CAD stamps on export.
+ * SERVER_ENFORCED: every preview download is a derived, stamped copy; the original is never signed.
+ */
+const WATERMARK_MODES = Object.freeze({
+  CLIENT_SIDE: "CLIENT_SIDE",
+  SERVER_ENFORCED: "SERVER_ENFORCED",
 });
 
 module.exports = {
@@ -198,5 +280,15 @@ module.exports = {
   UPLOAD_BATCH_MAX_FILES,
   CAD_WALLET_ENTRY_STATUS,
   CAD_WALLET_ENTRY_KIND,
+  SURVEYOR_WALLET_ENTRY_KIND,
+  CAD_ROUTING_SKILL,
+  AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS,
+  AUTO_ASSIGN_MODE,
+  AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER,
+  SLA_DEFAULT_HOLIDAY_LIST,
+  DELIVERY_QC_STATUS,
+  QC_CHECK_RESULT,
+  DXF_ANALYSIS_STATUS,
+  WATERMARK_MODES,
 };
 
@@ -35,16 +35,17 @@ const ORDER_TYPES = Object.freeze({
  * Express does NOT shorten or bypass this list.
  */
 const QC_CHECKLIST_11E = Object.freeze([
-  { id: 1, code: "IDENTITY", label: "Survey number / village identity matches application" },
-  { id: 2, code: "BOUNDARY", label: "Boundary geometry complete and closed where required" },
-  { id: 3, code: "SCALE", label: "Scale / units consistent with drawing standards" },
-  { id: 4, code: "NORTH", label: "North direction indicated" },
-  { id: 5, code: "LABELS", label: "Adjacent features / labels legible" },
-  { id: 6, code: "APPLICANT", label: "Owner / applicant details consistent with order" },
-  { id: 7, code: "FORMAT", label: "File format and layers usable by CAD workflow" },
-  { id: 8, code: "TOPOLOGY", label: "No critical overlaps or self-intersections" },
-  { id: 9, code: "REVISION", label: "Revision history / version noted if rework" },
-  { id: 10, code: "RELEASE", label: "Final deliverable reviewed before surveyor release" },
+  { id: 1, code: "IDENTITY", label: "Survey number / village identity matches application", required: true },
+  { id: 2, code: "BOUNDARY", label: "Boundary geometry complete and closed where required", required: true },
+  { id: 3, code: "SCALE", label: "Scale / units consistent with drawing standards", required: true },
+  { id: 4, code: "NORTH", label: "North direction indicated", required: true },
+  { id: 5, code: "LABELS", label: "Adjacent features / labels legible", required: true },
+  { id: 6, code: "APPLICANT", label: "Owner / applicant details consistent with order", required: true },
+  { id: 7, code: "FORMAT", label: "File format and layers usable by CAD workflow", required: true },
+  { id: 8, code: "TOPOLOGY", label: "No critical overlaps or self-intersections", required: true },
+  /** N/A allowed on a first delivery (no rework to note). */
+  { id: 9, code: "REVISION", label: "Revision history / version noted if rework", required: false },
+  { id: 10, code: "RELEASE", label: "Final deliverable reviewed before surveyor release", required: true },
 ]);
 
 const QC_MATRIX = Object.freeze({
@@ -389,6 +390,28 @@ function applyAssignmentStatus(doc, nextStatus) {
   return result;
 }
 
+/** Canonical ORDER_TYPES value, or null when missing / unknown. */
+function normalizeOrderType(raw) {
+  if (raw == null || raw === "") return null;
+  const upper = String(raw).trim().toUpperCase();
+  return Object.values(ORDER_TYPES).includes(upper) ? upper : null;
+}
+
+/**
+ * Mongo match value for an `orderType` list filter. Rows stored before order types existed
+ * have no value and count as STANDARD_11E.
+ */
+function orderTypeListMatch(raw) {
+  const orderType = normalizeOrderType(raw);
+  if (!orderType) {
+    throw new BadRequestError(`orderType must be one of: ${Object.values(ORDER_TYPES).join(", ")}`, {
+      code: "INVALID_ORDER_TYPE",
+      errors: [{ field: "orderType", message: "Invalid value" }],
+    });
+  }
+  return orderType === ORDER_TYPES.STANDARD_11E ? { $ne: ORDER_TYPES.EXPRESS_11E } : orderType;
+}
+
 function requiresQcForOrderType(orderType = ORDER_TYPES.STANDARD_11E) {
   const row = QC_MATRIX.byOrderType[orderType] || QC_MATRIX.byOrderType[ORDER_TYPES.STANDARD_11E];
   return Boolean(row.requiresQc) && row.expressBypassQc !== true;
@@ -496,6 +519,8 @@ module.exports = {
   ORDER_LIFECYCLE_MILESTONES,
   normalizeSketchStatus,
   normalizeAssignmentStatus,
+  normalizeOrderType,
+  orderTypeListMatch,
   assertSketchStatusTransition,
   assertAssignmentStatusTransition,
   applySketchStatus,
@@ -3,8 +3,8 @@
  *
  * Conflict fixed:
  *   Marketing / UI sometimes promised refunds while Terms said “no refunds”.
- *   Ops also has Admin balance-refund (C-02 entitlement revoke) which is NOT a
- *   customer entitlement — it records an exceptional gateway/ops refund after the fact.
+ *   Ops also has Admin booking / balance / revision refunds (C-02 entitlement revoke) which are
+ *   NOT a customer entitlement — they issue an exceptional refund through the payment gateway.
  *
  * Approved stance (founder/finance):
  *   - Customer-facing: fees are **non-refundable** once paid (booking, balance, revision, superimpose).
@@ -29,12 +29,12 @@ const APPROVED_REFUND_POLICY = Object.freeze({
   selfServiceRefundEnabled: false,
 
   /**
-   * Admin may mark REFUNDED only after an exceptional off-platform refund
-   * (revokes CAD download entitlement). Not a public promise.
+   * Admin may issue an exceptional gateway refund (or record one made off-platform); a completed
+   * balance refund revokes CAD download entitlement. Not a public promise.
    */
   exceptionalAdminRefundEnabled: true,
 
-  /** Allowed reason codes for Admin POST …/balance-refund */
+  /** Allowed reason codes for Admin POST …/booking-refund, …/balance-refund, …/revision-refund */
   exceptionalReasonCodes: Object.freeze([
     "DUPLICATE_CHARGE",
     "GATEWAY_ERROR",
@@ -60,7 +60,7 @@ const APPROVED_REFUND_POLICY = Object.freeze({
   ]),
 
   adminOpsNote:
-    "POST /api/admin/sketch-uploads/{uploadId}/balance-refund records an already-approved exceptional refund and revokes download entitlement. It does not create a customer refund entitlement.",
+    "POST /api/admin/sketch-uploads/{uploadId}/balance-refund (and …/booking-refund, …/revision-refund) issues an already-approved exceptional refund through the payment gateway; download entitlement is revoked only once the gateway confirms the refund. amountPaise refunds part of a payment (entitlement stays until refunds cover it) and claws back the CAD operator payout in proportion. offPlatform: true records a refund made outside the gateway. It does not create a customer refund entitlement.",
 });
 
 function getApprovedRefundPolicy() {
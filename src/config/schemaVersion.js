@@ -2,6 +2,6 @@
  * Schema / migration version for deployment provenance (H-05).
  * Bump when shipping intentional Mongo schema or data-migration changes.
  */
-const MIGRATION_VERSION = "2026.07.30.role-case-normalize";
+const MIGRATION_VERSION = "2026.10.19.superseded-unique-indexes";
 
 module.exports = { MIGRATION_VERSION };
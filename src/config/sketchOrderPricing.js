@@ -4,10 +4,16 @@
  * Standard surveyor order economics (aligned with H-11 CAD payout):
  *   gross ₹500 = booking ₹100 + balance ₹400
  *   superimpose add-on ₹200 when isSuperimpose
+ *   express (EXPRESS_11E) surcharge at booking — no finance-approved amount yet, so the baseline leaves it
+ *     unpriced and express checkout fails closed until SKETCH_EXPRESS_FEE_PAISE or a stored version sets it
  *   revision #2+ fee from this contract (default ₹0 / free unless finance bumps version)
  *
  * Checkout, public business-rules, and admin display must all read this contract.
  * Admin may apply discounts only — not replace plan amounts with arbitrary ₹1 values.
+ *
+ * Finance changes are scheduled as stored versions (models/config/SketchPricingVersion), loaded into
+ * this module by services/config/sketchPricingVersion.service. The stored version with the latest
+ * effectiveFrom at or before now wins; until one takes effect the frozen baseline (+ env overrides) applies.
  */
 
 const { BadRequestError } = require("../utils/errors");
@@ -25,6 +31,8 @@ const APPROVED_SKETCH_ORDER_PRICING = Object.freeze({
   balancePaise: 40000,
   revisionPaise: 0,
   superimposePaise: 20000,
+  /** Express 11E surcharge — not part of the approved baseline (null = unpriced, express orders refused). */
+  expressPaise: null,
   publicCopy:
     "Standard order ₹500 = booking ₹100 + balance ₹400. Superimpose add-on ₹200 when selected. Revision #1 free; #2+ per contract.",
 });
@@ -44,11 +52,80 @@ function parseNonNegIntEnv(name, fallback) {
   return n;
 }
 
+/** Stored versions (live one first, then upcoming) as last loaded; ascending effectiveFrom. */
+let storedVersions = [];
+
+/** Called by the version service after each load — never by checkout code. */
+function setStoredSketchPricingVersions(rows) {
+  storedVersions = (Array.isArray(rows) ? rows : [])
+    .filter((r) => r && r.effectiveFrom && !r.cancelledAt)
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+}
+
+function defaultPublicCopy(p) {
+  const rupees = (paise) => `₹${paise / 100}`;
+  const revision = p.revisionPaise > 0 ? `#2+ ${rupees(p.revisionPaise)} each` : "#2+ per contract";
+  const express = p.expressPaise != null ? `Express delivery add-on ${rupees(p.expressPaise)} at booking. ` : "";
+  return (
+    `Standard order ${rupees(p.grossPaise)} = booking ${rupees(p.bookingPaise)} + balance ${rupees(p.balancePaise)}. ` +
+    `Superimpose add-on ${rupees(p.superimposePaise)} when selected. ${express}` +
+    `Revision #1 free; ${revision}.`
+  );
+}
+
+function buildContract(meta, p) {
+  return {
+    version: meta.version,
+    /** null while the code baseline applies. */
+    pricingVersionId: meta.pricingVersionId || null,
+    effectiveFrom: meta.effectiveFrom || null,
+    baselineId: APPROVED_SKETCH_ORDER_PRICING.baselineId,
+    reviewDate: meta.reviewDate,
+    phaseRefs: [...APPROVED_SKETCH_ORDER_PRICING.phaseRefs],
+    approvedBy: meta.approvedBy,
+    approvalReference: meta.approvalReference || null,
+    grossPaise: p.grossPaise,
+    bookingPaise: p.bookingPaise,
+    balancePaise: p.balancePaise,
+    revisionPaise: p.revisionPaise,
+    superimposePaise: p.superimposePaise,
+    /** null until an express price is configured. */
+    expressPaise: p.expressPaise ?? null,
+    bookingRupees: p.bookingPaise / 100,
+    balanceRupees: p.balancePaise / 100,
+    grossRupees: p.grossPaise / 100,
+    revisionRupees: p.revisionPaise / 100,
+    superimposeRupees: p.superimposePaise / 100,
+    expressRupees: p.expressPaise != null ? p.expressPaise / 100 : null,
+    publicCopy: meta.publicCopy || defaultPublicCopy(p),
+  };
+}
+
+function contractFromStoredVersion(row) {
+  const approvedAt = row.approval?.approvedAt ? new Date(row.approval.approvedAt) : null;
+  return buildContract(
+    {
+      version: row.version,
+      pricingVersionId: String(row._id),
+      effectiveFrom: new Date(row.effectiveFrom),
+      reviewDate: approvedAt ? approvedAt.toISOString().slice(0, 10) : null,
+      approvedBy: row.approval?.approvedBy || null,
+      approvalReference: row.approval?.reference || null,
+      publicCopy: row.publicCopy,
+    },
+    row
+  );
+}
+
 /**
- * Active sketch order pricing. Env may override component paise only when valid;
+ * Active sketch order pricing at `at` (default now). A stored version in force wins; otherwise the
+ * frozen baseline, where env may override component paise only when valid;
  * booking + balance must equal gross (fail closed).
  */
-function getApprovedSketchOrderPricing() {
+function getApprovedSketchOrderPricing(at = new Date()) {
+  const live = storedVersions.filter((r) => new Date(r.effectiveFrom) <= at).pop();
+  if (live) return contractFromStoredVersion(live);
+
   const version =
     (process.env.SKETCH_ORDER_PRICING_VERSION && String(process.env.SKETCH_ORDER_PRICING_VERSION).trim()) ||
     APPROVED_SKETCH_ORDER_PRICING.version;
@@ -63,6 +140,7 @@ function getApprovedSketchOrderPricing() {
     "SKETCH_SUPERIMPOSE_FEE_PAISE",
     APPROVED_SKETCH_ORDER_PRICING.superimposePaise
   );
+  const expressPaise = parseNonNegIntEnv("SKETCH_EXPRESS_FEE_PAISE", APPROVED_SKETCH_ORDER_PRICING.expressPaise);
   const grossPaise = parseNonNegIntEnv(
     "SKETCH_ORDER_GROSS_PAISE",
     APPROVED_SKETCH_ORDER_PRICING.grossPaise
@@ -75,30 +153,28 @@ function getApprovedSketchOrderPricing() {
     );
   }
 
-  return {
-    version,
-    baselineId: APPROVED_SKETCH_ORDER_PRICING.baselineId,
-    reviewDate: APPROVED_SKETCH_ORDER_PRICING.reviewDate,
-    phaseRefs: [...APPROVED_SKETCH_ORDER_PRICING.phaseRefs],
-    approvedBy: APPROVED_SKETCH_ORDER_PRICING.approvedBy,
-    grossPaise,
-    bookingPaise,
-    balancePaise,
-    revisionPaise,
-    superimposePaise,
-    bookingRupees: bookingPaise / 100,
-    balanceRupees: balancePaise / 100,
-    grossRupees: grossPaise / 100,
-    revisionRupees: revisionPaise / 100,
-    superimposeRupees: superimposePaise / 100,
-    publicCopy: APPROVED_SKETCH_ORDER_PRICING.publicCopy,
-  };
+  return buildContract(
+    {
+      version,
+      reviewDate: APPROVED_SKETCH_ORDER_PRICING.reviewDate,
+      approvedBy: APPROVED_SKETCH_ORDER_PRICING.approvedBy,
+      // Baseline copy has no express line; generate it once an express price is configured.
+      publicCopy: expressPaise == null ? APPROVED_SKETCH_ORDER_PRICING.publicCopy : null,
+    },
+    { grossPaise, bookingPaise, balancePaise, revisionPaise, superimposePaise, expressPaise }
+  );
 }
 
-/** Deploy / boot gate — fail closed if contract cannot be resolved. */
-function assertSketchOrderPricingReady() {
-  const rule = getApprovedSketchOrderPricing();
-  // Align with H-11 CAD payout booking/balance when that module is available.
+/** Stored versions that take effect after `at`, soonest first (public "upcoming prices"). */
+function getUpcomingSketchOrderPricing(at = new Date()) {
+  return storedVersions.filter((r) => new Date(r.effectiveFrom) > at).map(contractFromStoredVersion);
+}
+
+/**
+ * Sketch booking / balance / gross must match the H-11 CAD payout rule (when that module is available).
+ * @param {{ grossPaise: number, bookingPaise: number, balancePaise: number }} rule
+ */
+function assertAlignedWithCadPayout(rule) {
   try {
     const { getApprovedCadPayoutRule } = require("../services/cadPayoutPricing.service");
     const cad = getApprovedCadPayoutRule();
@@ -118,12 +194,17 @@ function assertSketchOrderPricingReady() {
     if (err instanceof BadRequestError) throw err;
     // CAD module missing in isolated unit tests — sketch rule alone is enough.
   }
-  return rule;
 }
 
-/** Canonical plan ₹ for a fee line (admin cannot replace these). */
-function contractPlanRupees(line) {
+/** Deploy / boot gate — fail closed if contract cannot be resolved. */
+function assertSketchOrderPricingReady() {
   const rule = getApprovedSketchOrderPricing();
+  assertAlignedWithCadPayout(rule);
+  return rule;
+}
+
+/** Canonical plan ₹ for a fee line (admin cannot replace these); `rule` pins one contract across lines. */
+function contractPlanRupees(line, rule = getApprovedSketchOrderPricing()) {
   switch (line) {
     case "upload":
     case "booking":
@@ -134,6 +215,13 @@ function contractPlanRupees(line) {
       return rule.revisionRupees;
     case "superimpose":
       return rule.superimposeRupees;
+    case "express":
+      if (rule.expressRupees == null) {
+        throw new BadRequestError("Express 11E is not priced yet — choose a standard order", {
+          code: "SKETCH_EXPRESS_PRICE_NOT_CONFIGURED",
+        });
+      }
+      return rule.expressRupees;
     default:
       throw new BadRequestError(`Unknown pricing line: ${line}`, { code: "SKETCH_PRICING_LINE_UNKNOWN" });
   }
@@ -142,6 +230,10 @@ function contractPlanRupees(line) {
 module.exports = {
   APPROVED_SKETCH_ORDER_PRICING,
   getApprovedSketchOrderPricing,
+  getUpcomingSketchOrderPricing,
+  setStoredSketchPricingVersions,
+  defaultPublicCopy,
+  assertAlignedWithCadPayout,
   assertSketchOrderPricingReady,
   contractPlanRupees,
 };
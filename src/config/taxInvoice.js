@@ -0,0 +1,90 @@
+/**
+ * GST tax documents for surveyor payments (booking, balance, revision fees).
+ * Fees are charged GST-inclusive: the amount the surveyor paid is split into taxable value + GST at the
+ * configured rate. Intra-state supply (place of supply = seller's state) → CGST + SGST, otherwise IGST.
+ * Without a seller GSTIN the platform is unregistered: receipts are issued instead, with no GST breakup.
+ * Seller details, SAC and rate are admin settings (InvoiceSettings); these are the defaults.
+ */
+
+const TAX_DOCUMENT_KIND = Object.freeze({
+  /** Tax invoice (seller GST-registered) or payment receipt (unregistered) for a completed payment. */
+  INVOICE: "INVOICE",
+  /** Credit note against the invoice for a completed refund. */
+  CREDIT_NOTE: "CREDIT_NOTE",
+});
+
+/** Number series letters: {prefix}{letter}/{FY}/{seq}, each sequential within a financial year. */
+const TAX_DOCUMENT_SERIES = Object.freeze({
+  TAX_INVOICE: "I",
+  RECEIPT: "R",
+  CREDIT_NOTE: "C",
+});
+
+const TAX_SUPPLY_TYPE = Object.freeze({
+  INTRA_STATE: "INTRA_STATE",
+  INTER_STATE: "INTER_STATE",
+});
+
+const TAX_INVOICE_DEFAULTS = Object.freeze({
+  /** ≤ 3 chars so a number stays within GST's 16-character limit. */
+  numberPrefix: "NC",
+  /** Other professional, technical and business services. */
+  sacCode: "9983",
+  gstRateBps: 1800,
+  /** Karnataka — surveyor districts / taluks are Karnataka masters. */
+  stateCode: "29",
+  serviceDescription: "Survey sketch CAD drafting services",
+});
+
+/** 15-character GSTIN: state code, PAN, entity number, "Z", checksum. */
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/** GST state / UT codes (place of supply). */
+const GST_STATE_CODES = Object.freeze({
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory",
+});
+
+module.exports = {
+  TAX_DOCUMENT_KIND,
+  TAX_DOCUMENT_SERIES,
+  TAX_SUPPLY_TYPE,
+  TAX_INVOICE_DEFAULTS,
+  GSTIN_PATTERN,
+  GST_STATE_CODES,
+};
@@ -1,20 +1,82 @@
 /**
- * Admin payment reconciliation controller (audit §4.1 point 29).
+ * Admin payment reconciliation controller (audit §4.1 point 29) — daily flags and gateway settlement reports.
  */
 
 const paymentReconciliation = require("../services/paymentReconciliation.service");
-const { ok } = require("../utils/response");
+const settlementReconciliation = require("../services/payment/settlementReconciliation.service");
+const { toCsv } = require("../utils/csv");
+const { buildXlsx, XLSX_CONTENT_TYPE } = require("../utils/xlsx");
+const { ok, created, attachment } = require("../utils/response");
+const { BadRequestError } = require("../utils/errors");
 
+const EXPORT_FORMATS = new Set(["json", "csv", "xlsx"]);
+
+function exportFormat(query) {
+  const format = String(query.format || "json").toLowerCase();
+  if (!EXPORT_FORMATS.has(format)) {
+    throw new BadRequestError("format must be json, csv or xlsx", {
+      errors: [{ field: "format", message: "Invalid value" }],
+    });
+  }
+  return format;
+}
+
+/** CSV carries the detail sheet only; XLSX carries every sheet. */
+async function exportSheets(sheets, baseName, format) {
+  if (format === "csv") {
+    return attachment(`${baseName}.csv`, toCsv(sheets[sheets.length - 1].rows), "text/csv; charset=utf-8");
+  }
+  return attachment(`${baseName}.xlsx`, await buildXlsx(sheets), XLSX_CONTENT_TYPE);
+}
+
+/**
+ * GET /api/admin/payments/reconciliation — daily flags, or with `settlementReportId` an imported gateway
+ * settlement report matched against payment attempts. `format=csv|xlsx` downloads either as a file.
+ */
 async function getDailyReconciliation(query = {}) {
+  const format = exportFormat(query);
+  if (query.settlementReportId) {
+    const result = await settlementReconciliation.reconcileSettlementReport(query.settlementReportId);
+    if (format === "json") return ok(result);
+    const day = new Date(result.report.periodFrom).toISOString().slice(0, 10);
+    return exportSheets(
+      settlementReconciliation.settlementExportSheets(result),
+      `settlement-${result.report.provider.toLowerCase()}-${day}`,
+      format
+    );
+  }
+
   const summary = await paymentReconciliation.runDailyReconciliation({
     asOf: query.asOf || query.date || undefined,
     from: query.from || undefined,
     to: query.to || undefined,
     persist: query.persist === "false" || query.persist === false ? false : true,
+    provider: query.provider || undefined,
+    checkProvider: query.checkProvider === "true" || query.checkProvider === true,
+  });
+  if (format === "json") return ok(summary);
+  return exportSheets(
+    settlementReconciliation.dailyExportSheets(summary),
+    `reconciliation-${summary.from.slice(0, 10)}`,
+    format
+  );
+}
+
+async function importSettlementReport(body, actor) {
+  const report = await settlementReconciliation.importSettlementReport(actor, body);
+  return created(report);
+}
+
+async function listSettlementReports(query = {}) {
+  const rows = await settlementReconciliation.listSettlementReports({
+    provider: query.provider || undefined,
+    limit: query.limit,
   });
-  return ok(summary);
+  return ok(rows);
 }
 
 module.exports = {
   getDailyReconciliation,
+  importSettlementReport,
+  listSettlementReports,
 };
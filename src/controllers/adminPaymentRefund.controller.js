@@ -0,0 +1,41 @@
+/**
+ * Admin exceptional refunds through the payment gateway (approved refund policy).
+ */
+
+const paymentRefund = require("../services/payment/paymentRefund.service");
+const { PAYMENT_PURPOSE } = require("../models/payment/PaymentAttempt");
+const { ok } = require("../utils/response");
+
+async function refundBalance(actor, uploadId, body) {
+  return ok(await paymentRefund.requestRefund(actor, uploadId, PAYMENT_PURPOSE.BALANCE, body));
+}
+
+async function refundBooking(actor, uploadId, body) {
+  return ok(await paymentRefund.requestRefund(actor, uploadId, PAYMENT_PURPOSE.BOOKING, body));
+}
+
+async function refundRevision(actor, uploadId, body) {
+  return ok(await paymentRefund.requestRefund(actor, uploadId, PAYMENT_PURPOSE.REVISION, body));
+}
+
+async function listRefunds(query = {}) {
+  return ok(
+    await paymentRefund.listRefunds({
+      state: query.state || undefined,
+      uploadId: query.uploadId || undefined,
+      limit: query.limit || undefined,
+    })
+  );
+}
+
+async function syncRefund(merchantRefundId) {
+  return ok(await paymentRefund.syncRefund(merchantRefundId));
+}
+
+module.exports = {
+  refundBalance,
+  refundBooking,
+  refundRevision,
+  listRefunds,
+  syncRefund,
+};
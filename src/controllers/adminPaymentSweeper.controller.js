@@ -0,0 +1,21 @@
+/**
+ * Admin view of the stuck-PENDING payment sweeper's actions.
+ */
+
+const paymentSweeper = require("../services/payment/paymentSweeper.service");
+const { ok } = require("../utils/response");
+
+async function listSweepActions(query = {}) {
+  return ok(
+    await paymentSweeper.listSweepActions({
+      outcome: query.outcome ? String(query.outcome).toUpperCase() : undefined,
+      merchantOrderId: query.merchantOrderId || undefined,
+      runId: query.runId || undefined,
+      limit: query.limit || undefined,
+    })
+  );
+}
+
+module.exports = {
+  listSweepActions,
+};
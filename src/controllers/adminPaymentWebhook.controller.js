@@ -0,0 +1,26 @@
+/**
+ * Admin view of the gateway S2S webhook event log.
+ */
+
+const paymentWebhook = require("../services/payment/paymentWebhook.service");
+const { ok } = require("../utils/response");
+
+async function listWebhookEvents(query = {}) {
+  return ok(
+    await paymentWebhook.listWebhookEvents({
+      provider: query.provider ? String(query.provider).toUpperCase() : undefined,
+      status: query.status ? String(query.status).toUpperCase() : undefined,
+      merchantOrderId: query.merchantOrderId || undefined,
+      limit: query.limit || undefined,
+    })
+  );
+}
+
+async function getWebhookEvent(eventId) {
+  return ok(await paymentWebhook.getWebhookEvent(eventId));
+}
+
+module.exports = {
+  listWebhookEvents,
+  getWebhookEvent,
+};
@@ -0,0 +1,25 @@
+const service = require("../../services/assignment/deliveryQc.service");
+const { ok } = require("../../utils/response");
+
+async function listReviews(filters, pagination) {
+  const result = await service.listQcRecords(filters, pagination);
+  if (!pagination) return ok(result.data);
+  const { paginationMeta } = require("../../utils/pagination");
+  return ok(result.data, { pagination: paginationMeta(pagination, result.total) });
+}
+
+async function getReview(recordId) {
+  const data = await service.getQcRecord(recordId);
+  return ok(data);
+}
+
+async function completeReview(recordId, payload, reviewer) {
+  const data = await service.completeQcReview(recordId, payload, reviewer);
+  return ok(data);
+}
+
+module.exports = {
+  listReviews,
+  getReview,
+  completeReview,
+};
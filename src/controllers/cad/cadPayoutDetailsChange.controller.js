@@ -0,0 +1,75 @@
+const cadPayoutDetailsChange = require("../../services/cadPayoutDetailsChange.service");
+const { ok, created } = require("../../utils/response");
+const { paginationMeta } = require("../../utils/pagination");
+
+function listed(result) {
+  return ok(result.data, {
+    pagination: paginationMeta({ page: result.page, limit: result.limit }, result.total),
+  });
+}
+
+async function requestChange(cadUser, payload) {
+  const data = await cadPayoutDetailsChange.requestChange(cadUser, payload);
+  return created(data);
+}
+
+async function resendOtp(cadUser, changeId) {
+  const data = await cadPayoutDetailsChange.resendOtp(cadUser, changeId);
+  return ok(data);
+}
+
+async function verifyOtp(cadUser, changeId, payload) {
+  const data = await cadPayoutDetailsChange.verifyOtp(cadUser, changeId, payload);
+  return ok(data);
+}
+
+async function cancelChange(cadUser, changeId, payload) {
+  const data = await cadPayoutDetailsChange.cancelChange(cadUser, changeId, { reason: payload.note });
+  return ok(data);
+}
+
+async function listOwnChanges(cadUser, query = {}) {
+  const result = await cadPayoutDetailsChange.listChanges({
+    cadUserId: cadUser._id,
+    page: query.page,
+    limit: query.limit,
+  });
+  return listed(result);
+}
+
+async function listChanges(query = {}) {
+  const result = await cadPayoutDetailsChange.listChanges({
+    cadUserId: query.cadUserId || undefined,
+    status: query.status || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return listed(result);
+}
+
+async function getChange(changeId) {
+  const data = await cadPayoutDetailsChange.getChange(changeId);
+  return ok(data);
+}
+
+async function approveChange(actor, changeId, payload) {
+  const data = await cadPayoutDetailsChange.approveChange(actor, changeId, payload);
+  return ok(data);
+}
+
+async function rejectChange(actor, changeId, payload) {
+  const data = await cadPayoutDetailsChange.rejectChange(actor, changeId, payload);
+  return ok(data);
+}
+
+module.exports = {
+  requestChange,
+  resendOtp,
+  verifyOtp,
+  cancelChange,
+  listOwnChanges,
+  listChanges,
+  getChange,
+  approveChange,
+  rejectChange,
+};
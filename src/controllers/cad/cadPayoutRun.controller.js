@@ -0,0 +1,54 @@
+const cadPayoutRunService = require("../../services/cadPayoutRun.service");
+const { ok, created, attachment } = require("../../utils/response");
+const { paginationMeta } = require("../../utils/pagination");
+
+async function createPayoutRun(actor, payload) {
+  const data = await cadPayoutRunService.createPayoutRun(actor, payload);
+  return created(data);
+}
+
+async function listPayoutRuns(query = {}) {
+  const result = await cadPayoutRunService.listPayoutRuns({
+    status: query.status || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return ok(result.data, {
+    pagination: paginationMeta({ page: result.page, limit: result.limit }, result.total),
+  });
+}
+
+async function getPayoutRun(runId) {
+  const data = await cadPayoutRunService.getPayoutRun(runId);
+  return ok(data);
+}
+
+async function downloadBankFile(runId) {
+  const file = await cadPayoutRunService.exportBankFile(runId);
+  return attachment(file.fileName, file.csv, "text/csv; charset=utf-8");
+}
+
+async function submitPayoutRun(actor, runId) {
+  const data = await cadPayoutRunService.submitPayoutRun(runId, actor);
+  return ok(data);
+}
+
+async function cancelPayoutRun(actor, runId, payload) {
+  const data = await cadPayoutRunService.cancelPayoutRun(runId, actor, payload);
+  return ok(data);
+}
+
+async function importBankResponse(actor, runId, payload) {
+  const data = await cadPayoutRunService.importBankResponse(runId, actor, payload);
+  return ok(data);
+}
+
+module.exports = {
+  createPayoutRun,
+  listPayoutRuns,
+  getPayoutRun,
+  downloadBankFile,
+  submitPayoutRun,
+  cancelPayoutRun,
+  importBankResponse,
+};
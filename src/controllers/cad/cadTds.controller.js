@@ -0,0 +1,49 @@
+/**
+ * TDS on CAD payouts — finance's quarterly summary and the operator's financial-year earnings statements.
+ */
+
+const cadTds = require("../../services/cadTds.service");
+const { renderEarningsStatementPdf } = require("../../services/cadEarningsStatementPdf.service");
+const { ok, attachment } = require("../../utils/response");
+const { toCsv } = require("../../utils/csv");
+const { buildXlsx, XLSX_CONTENT_TYPE } = require("../../utils/xlsx");
+const { BadRequestError } = require("../../utils/errors");
+
+const EXPORT_FORMATS = new Set(["json", "csv", "xlsx"]);
+
+/** GET /api/admin/cad-tds/summary?fy=2026-27&quarter=Q2 — `format=csv` is the deductee sheet, `xlsx` both sheets. */
+async function getQuarterlySummary(query = {}) {
+  const format = String(query.format || "json").toLowerCase();
+  if (!EXPORT_FORMATS.has(format)) {
+    throw new BadRequestError("format must be json, csv or xlsx", {
+      errors: [{ field: "format", message: "Invalid value" }],
+    });
+  }
+  const summary = await cadTds.getQuarterlyTdsSummary({ fy: query.fy, quarter: query.quarter });
+  if (format === "json") return ok(summary);
+  const sheets = cadTds.tdsSummaryExportSheets(summary);
+  const baseName = `cad-tds-${summary.financialYear}-${summary.quarter.toLowerCase()}`;
+  if (format === "csv") {
+    return attachment(`${baseName}.csv`, toCsv(sheets[sheets.length - 1].rows), "text/csv; charset=utf-8");
+  }
+  return attachment(`${baseName}.xlsx`, await buildXlsx(sheets), XLSX_CONTENT_TYPE);
+}
+
+/** GET /api/cad/wallet/statements — available years, or with `fy` that year's statement PDF. */
+async function getEarningsStatements(cadUser, query = {}) {
+  if (!query.fy) {
+    const years = await cadTds.listStatementYears(cadUser._id);
+    return ok({ financialYears: years });
+  }
+  const statement = await cadTds.getEarningsStatement(cadUser._id, query.fy);
+  return attachment(
+    `earnings-statement-${statement.financialYear}.pdf`,
+    renderEarningsStatementPdf(statement),
+    "application/pdf"
+  );
+}
+
+module.exports = {
+  getQuarterlySummary,
+  getEarningsStatements,
+};
@@ -0,0 +1,76 @@
+const cadWalletDispute = require("../../services/cadWalletDispute.service");
+const { ok, created } = require("../../utils/response");
+const { paginationMeta } = require("../../utils/pagination");
+
+function listed(result) {
+  return ok(result.data, {
+    pagination: paginationMeta({ page: result.page, limit: result.limit }, result.total),
+  });
+}
+
+async function openDispute(cadUser, payload) {
+  const data = await cadWalletDispute.openDispute(cadUser, payload);
+  return created(data);
+}
+
+async function listOwnDisputes(cadUser, query = {}) {
+  const result = await cadWalletDispute.listDisputes({
+    cadUserId: cadUser._id,
+    status: query.status || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return listed(result);
+}
+
+async function getOwnDispute(cadUser, disputeId) {
+  const data = await cadWalletDispute.getDispute(disputeId, { cadUserId: cadUser._id });
+  return ok(data);
+}
+
+async function listDisputes(query = {}) {
+  const result = await cadWalletDispute.listDisputes({
+    cadUserId: query.cadUserId || undefined,
+    status: query.status || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return listed(result);
+}
+
+async function getDispute(disputeId) {
+  const data = await cadWalletDispute.getDispute(disputeId);
+  return ok(data);
+}
+
+async function addMessage(actor, disputeId, payload) {
+  const data = await cadWalletDispute.addMessage(actor, disputeId, payload);
+  return created(data);
+}
+
+async function startReview(actor, disputeId) {
+  const data = await cadWalletDispute.startReview(actor, disputeId);
+  return ok(data);
+}
+
+async function resolveDispute(actor, disputeId, payload) {
+  const data = await cadWalletDispute.resolveDispute(actor, disputeId, payload);
+  return ok(data);
+}
+
+async function rejectDispute(actor, disputeId, payload) {
+  const data = await cadWalletDispute.rejectDispute(actor, disputeId, payload);
+  return ok(data);
+}
+
+module.exports = {
+  openDispute,
+  listOwnDisputes,
+  getOwnDispute,
+  listDisputes,
+  getDispute,
+  addMessage,
+  startReview,
+  resolveDispute,
+  rejectDispute,
+};
@@ -0,0 +1,17 @@
+const service = require("../../services/config/cadTdsSettings.service");
+const { ok } = require("../../utils/response");
+
+async function getCadTdsSettings() {
+  const result = await service.getSettings();
+  return ok(result);
+}
+
+async function updateCadTdsSettings(actor, payload) {
+  const result = await service.updateSettings(payload, actor);
+  return ok(result);
+}
+
+module.exports = {
+  getCadTdsSettings,
+  updateCadTdsSettings,
+};
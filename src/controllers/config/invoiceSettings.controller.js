@@ -0,0 +1,17 @@
+const service = require("../../services/config/invoiceSettings.service");
+const { ok } = require("../../utils/response");
+
+async function getInvoiceSettings() {
+  const result = await service.getSettings();
+  return ok(result);
+}
+
+async function updateInvoiceSettings(actor, payload) {
+  const result = await service.updateSettings(payload, actor);
+  return ok(result);
+}
+
+module.exports = {
+  getInvoiceSettings,
+  updateInvoiceSettings,
+};
@@ -0,0 +1,17 @@
+const service = require("../../services/config/paymentProviderSettings.service");
+const { ok } = require("../../utils/response");
+
+async function getProviderSettings() {
+  const result = await service.getSettings();
+  return ok(result);
+}
+
+async function updateProviderSettings(actor, payload) {
+  const result = await service.updateSettings(payload, actor);
+  return ok(result);
+}
+
+module.exports = {
+  getProviderSettings,
+  updateProviderSettings,
+};
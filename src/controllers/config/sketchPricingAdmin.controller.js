@@ -1,5 +1,6 @@
 const service = require("../../services/config/sketchPricingAdmin.service");
-const { ok } = require("../../utils/response");
+const versionService = require("../../services/config/sketchPricingVersion.service");
+const { ok, created } = require("../../utils/response");
 
 async function getSketchPricing() {
   const result = await service.getPricingSettings();
@@ -11,7 +12,25 @@ async function updateSketchPricing(actor, payload) {
   return ok(result);
 }
 
+async function listSketchPricingVersions(query = {}) {
+  const result = await versionService.listPricingVersions({ page: query.page, limit: query.limit });
+  return ok(result);
+}
+
+async function scheduleSketchPricingVersion(actor, payload) {
+  const version = await versionService.schedulePricingVersion(payload, actor);
+  return created(version);
+}
+
+async function cancelSketchPricingVersion(actor, versionId, payload) {
+  const version = await versionService.cancelPricingVersion(versionId, actor, payload);
+  return ok(version);
+}
+
 module.exports = {
   getSketchPricing,
   updateSketchPricing,
+  listSketchPricingVersions,
+  scheduleSketchPricingVersion,
+  cancelSketchPricingVersion,
 };
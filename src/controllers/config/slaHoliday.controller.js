@@ -0,0 +1,23 @@
+const service = require("../../services/slaCalendar.service");
+const { ok } = require("../../utils/response");
+
+async function listHolidays(query = {}) {
+  const result = await service.listHolidays({ listKey: query.listKey, year: query.year });
+  return ok(result);
+}
+
+async function upsertHolidays(actor, payload) {
+  const result = await service.upsertHolidays(payload, actor);
+  return ok(result);
+}
+
+async function deleteHoliday(holidayId) {
+  const result = await service.deleteHoliday(holidayId);
+  return ok(result);
+}
+
+module.exports = {
+  listHolidays,
+  upsertHolidays,
+  deleteHoliday,
+};
@@ -0,0 +1,48 @@
+/**
+ * Coupon / promo codes — admin management and surveyor preview.
+ */
+
+const couponService = require("../services/payment/coupon.service");
+const { ok, created } = require("../utils/response");
+
+async function listAdminCoupons(query = {}) {
+  const result = await couponService.listCoupons({
+    active: query.active,
+    q: query.q || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return ok(result);
+}
+
+async function createAdminCoupon(payload, actor) {
+  const coupon = await couponService.createCoupon(payload, actor);
+  return created(coupon);
+}
+
+async function updateAdminCoupon(couponId, payload, actor) {
+  const coupon = await couponService.updateCoupon(couponId, payload, actor);
+  return ok(coupon);
+}
+
+async function listAdminCouponRedemptions(couponId, query = {}) {
+  const result = await couponService.listRedemptions(couponId, {
+    state: query.state || undefined,
+    page: query.page,
+    limit: query.limit,
+  });
+  return ok(result);
+}
+
+async function previewSurveyorCoupon(user, payload) {
+  const quote = await couponService.previewCoupon(user, payload);
+  return ok(quote);
+}
+
+module.exports = {
+  listAdminCoupons,
+  createAdminCoupon,
+  updateAdminCoupon,
+  listAdminCouponRedemptions,
+  previewSurveyorCoupon,
+};
@@ -0,0 +1,15 @@
+/**
+ * Admin file access lookups (H-07).
+ */
+
+const fileAccessLog = require("../services/fileAccessLog.service");
+const { ok } = require("../utils/response");
+
+async function getWatermarkTrace(traceCode) {
+  const data = await fileAccessLog.findWatermarkTrace(traceCode);
+  return ok(data);
+}
+
+module.exports = {
+  getWatermarkTrace,
+};
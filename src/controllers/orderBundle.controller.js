@@ -0,0 +1,21 @@
+/**
+ * Bulk ZIP bundles of order files (surveyor deliverables / CAD inputs).
+ */
+
+const orderBundleService = require("../services/orderBundle.service");
+const { ok } = require("../utils/response");
+
+async function getSurveyorDeliverableBundle(actor, uploadId) {
+  const data = await orderBundleService.getDeliverableBundleForSurveyor(actor, uploadId);
+  return ok(data);
+}
+
+async function getCadInputBundle(actor, assignmentId) {
+  const data = await orderBundleService.getInputBundleForCad(actor, assignmentId);
+  return ok(data);
+}
+
+module.exports = {
+  getSurveyorDeliverableBundle,
+  getCadInputBundle,
+};
@@ -0,0 +1,15 @@
+/**
+ * Revision diff between two CAD deliveries of an order.
+ */
+
+const revisionDiffService = require("../services/revisionDiff.service");
+const { ok } = require("../utils/response");
+
+async function getRevisionDiff(actor, uploadId, options) {
+  const data = await revisionDiffService.diffRevisions(actor, uploadId, options);
+  return ok(data);
+}
+
+module.exports = {
+  getRevisionDiff,
+};
@@ -47,8 +47,8 @@ async function clearUpload(actor, uploadId) {
   return ok(result);
 }
 
-async function initiateBalancePayment(actor, uploadId) {
-  const result = await surveyorSketchUploadService.initiateBalancePayment(actor, uploadId);
+async function initiateBalancePayment(actor, uploadId, options) {
+  const result = await surveyorSketchUploadService.initiateBalancePayment(actor, uploadId, options);
   return ok(result.data, result.meta);
 }
 
@@ -57,11 +57,6 @@ async function getCadDownload(actor, uploadId, options) {
   return ok(result);
 }
 
-async function markBalanceRefunded(actor, uploadId, body) {
-  const result = await surveyorSketchUploadService.markBalanceRefunded(actor, uploadId, body || {});
-  return ok(result);
-}
-
 async function reviewSketchTerminal(actor, uploadId, body) {
   const result = await surveyorSketchUploadService.reviewSketchTerminal(actor, uploadId, body || {});
   return ok(result);
@@ -84,7 +79,6 @@ module.exports = {
   clearUpload,
   initiateBalancePayment,
   getCadDownload,
-  markBalanceRefunded,
   reviewSketchTerminal,
   listAllWithAssignment,
 };
@@ -0,0 +1,55 @@
+/**
+ * Surveyor prepaid wallet and bundle packs — surveyor wallet / top-ups, admin adjustments and packs.
+ */
+
+const surveyorWallet = require("../services/payment/surveyorWallet.service");
+const { ok, created } = require("../utils/response");
+
+async function getSurveyorWallet(user, query = {}) {
+  const wallet = await surveyorWallet.getWallet(user._id, {
+    page: query.page,
+    limit: query.limit,
+    withPacks: true,
+  });
+  return ok(wallet);
+}
+
+async function startSurveyorWalletTopup(user, payload) {
+  const checkout = await surveyorWallet.startTopup(user, payload);
+  return created(checkout);
+}
+
+async function getAdminSurveyorWallet(surveyorId, query = {}) {
+  const wallet = await surveyorWallet.getSurveyorWalletForAdmin(surveyorId, {
+    page: query.page,
+    limit: query.limit,
+  });
+  return ok(wallet);
+}
+
+async function adjustAdminSurveyorWallet(surveyorId, payload, actor) {
+  const entry = await surveyorWallet.adjustWallet(actor, surveyorId, payload);
+  return created(entry);
+}
+
+async function listAdminBundlePacks(query = {}) {
+  return ok(await surveyorWallet.listBundlePacks({ active: query.active }));
+}
+
+async function createAdminBundlePack(payload, actor) {
+  return created(await surveyorWallet.createBundlePack(payload, actor));
+}
+
+async function updateAdminBundlePack(packId, payload, actor) {
+  return ok(await surveyorWallet.updateBundlePack(packId, payload, actor));
+}
+
+module.exports = {
+  getSurveyorWallet,
+  startSurveyorWalletTopup,
+  getAdminSurveyorWallet,
+  adjustAdminSurveyorWallet,
+  listAdminBundlePacks,
+  createAdminBundlePack,
+  updateAdminBundlePack,
+};
@@ -0,0 +1,42 @@
+/**
+ * Tax invoices, receipts and credit notes for surveyor payments — surveyor (own) and admin views.
+ */
+
+const taxDocument = require("../services/payment/taxDocument.service");
+const { renderTaxDocumentPdf } = require("../services/payment/taxDocumentPdf.service");
+const { ok, attachment } = require("../utils/response");
+
+function listFilters(query = {}) {
+  return {
+    uploadId: query.uploadId || undefined,
+    kind: query.kind || undefined,
+    financialYear: query.financialYear || query.fy || undefined,
+    merchantOrderId: query.merchantOrderId || undefined,
+    number: query.number || undefined,
+    page: query.page,
+    limit: query.limit,
+  };
+}
+
+async function listSurveyorTaxDocuments(user, query = {}) {
+  const result = await taxDocument.listTaxDocuments({ ...listFilters(query), surveyorId: user._id });
+  return ok(result);
+}
+
+async function listAdminTaxDocuments(query = {}) {
+  const result = await taxDocument.listTaxDocuments({ ...listFilters(query), surveyorId: query.surveyorId || undefined });
+  return ok(result);
+}
+
+/** @param {{ surveyorId?: string }} [scope] - surveyor downloads are limited to their own documents */
+async function downloadTaxDocument(documentId, scope = {}) {
+  const doc = await taxDocument.getTaxDocument(documentId, scope);
+  const fileName = `${doc.number.replace(/\//g, "-")}.pdf`;
+  return attachment(fileName, renderTaxDocumentPdf(doc), "application/pdf");
+}
+
+module.exports = {
+  listSurveyorTaxDocuments,
+  listAdminTaxDocuments,
+  downloadTaxDocument,
+};
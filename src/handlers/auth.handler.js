@@ -5,11 +5,26 @@ const surveyorSketchUploadController = require("../controllers/surveyorSketchUpl
 const surveyDraftController = require("../controllers/surveyDraft.controller");
 const surveySketchAssignmentController = require("../controllers/assignment/surveySketchAssignment.controller");
 const cadWalletController = require("../controllers/cad/cadWallet.controller");
+const cadPayoutRunController = require("../controllers/cad/cadPayoutRun.controller");
+const cadPayoutDetailsChangeController = require("../controllers/cad/cadPayoutDetailsChange.controller");
+const cadWalletDisputeController = require("../controllers/cad/cadWalletDispute.controller");
 const cadDashboardController = require("../controllers/cad/cadDashboard.controller");
 const cadUserFeedbackController = require("../controllers/cad/cadUserFeedback.controller");
 const autoAssignController = require("../controllers/autoAssign.controller");
 const sketchPricingAdminController = require("../controllers/config/sketchPricingAdmin.controller");
+const slaHolidayController = require("../controllers/config/slaHoliday.controller");
+const paymentProviderSettingsController = require("../controllers/config/paymentProviderSettings.controller");
+const deliveryQcController = require("../controllers/assignment/deliveryQc.controller");
 const adminPaymentReconciliationController = require("../controllers/adminPaymentReconciliation.controller");
+const adminPaymentRefundController = require("../controllers/adminPaymentRefund.controller");
+const adminPaymentWebhookController = require("../controllers/adminPaymentWebhook.controller");
+const adminPaymentSweeperController = require("../controllers/adminPaymentSweeper.controller");
+const invoiceSettingsController = require("../controllers/config/invoiceSettings.controller");
+const cadTdsSettingsController = require("../controllers/config/cadTdsSettings.controller");
+const cadTdsController = require("../controllers/cad/cadTds.controller");
+const taxDocumentController = require("../controllers/taxDocument.controller");
+const couponController = require("../controllers/coupon.controller");
+const surveyorWalletController = require("../controllers/surveyorWallet.controller");
 const notificationController = require("../controllers/notification.controller");
 const cadInterestController = require("../controllers/cadInterest.controller");
 const { parsePagination } = require("../utils/pagination");
@@ -24,6 +39,9 @@ const { BadRequestError, UnauthorizedError } = require("../utils/errors");
 const sketchPaymentPricing = require("../services/sketchPaymentPricing.service");
 const adminDashboardController = require("../controllers/adminDashboard.controller");
 const opsObservabilityController = require("../controllers/opsObservability.controller");
+const fileAccessController = require("../controllers/fileAccess.controller");
+const orderBundleController = require("../controllers/orderBundle.controller");
+const revisionDiffController = require("../controllers/revisionDiff.controller");
 const authAudit = require("../services/authAudit.service");
 const { recordAdminAction } = require("../services/adminAudit.service");
 
@@ -41,6 +59,16 @@ async function auditAdmin(event, actor, fields) {
   });
 }
 
+function refundAuditMeta(body) {
+  return {
+    reasonCode: body.reasonCode,
+    policyVersion: body.policyVersion,
+    merchantOrderId: body.merchantOrderId,
+    offPlatform: body.offPlatform,
+    amountPaise: body.amountPaise,
+  };
+}
+
 function getPathParams(event) {
   const params = { ...(event.pathParameters || {}) };
   const path = event.rawPath || event.requestContext?.http?.path || "";
@@ -370,6 +398,31 @@ exports.phonePeSketchCallback = asyncHandler(async (event) => {
   return redirect(redirectUrl, 302);
 });
 
+// -------- Other checkout gateways' return (public; no auth) — /api/payments/{provider}/callback --------
+exports.paymentProviderCallback = asyncHandler(async (event) => {
+  await ensureDb();
+  const { getProviderByCallbackSlug } = require("../services/payment/paymentProvider.service");
+  const { handleProviderCallback } = require("../services/payment/paymentCallback.service");
+  const adapter = getProviderByCallbackSlug(event.pathParameters?.provider);
+  if (!adapter) throw new BadRequestError("Unknown payment provider", { code: "UNKNOWN_PAYMENT_PROVIDER" });
+  const { redirectUrl } = await handleProviderCallback(adapter.name, event.queryStringParameters || {});
+  return redirect(redirectUrl, 302);
+});
+
+// -------- Gateway server-to-server webhooks (public; signed) — /api/payments/{provider}/webhook --------
+exports.paymentProviderWebhook = asyncHandler(async (event) => {
+  await ensureDb();
+  const { getProviderByCallbackSlug } = require("../services/payment/paymentProvider.service");
+  const { ingestWebhook } = require("../services/payment/paymentWebhook.service");
+  const adapter = getProviderByCallbackSlug(event.pathParameters?.provider);
+  if (!adapter) throw new BadRequestError("Unknown payment provider", { code: "UNKNOWN_PAYMENT_PROVIDER" });
+  // Signatures cover the exact bytes the gateway sent, so the body is never re-serialized.
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : String(event.body || "");
+  return ok(await ingestWebhook(adapter, { headers: event.headers || {}, rawBody }));
+});
+
 // -------- Surveyor: resolved sketch / revision fees (plan + discount from admin flow, else env) --------
 exports.getSurveyorSketchPricing = asyncHandler(async (event) => {
   await ensureDb();
@@ -413,8 +466,8 @@ exports.initiateSurveyorBalancePayment = asyncHandler(async (event) => {
   const { uploadId } = getPathParams(event);
   if (!uploadId) throw new BadRequestError("uploadId is required");
   validObjectId(uploadId, "uploadId");
-  schemas.sketchPaymentRetry(parseJsonBody(event) || {});
-  return await surveyorSketchUploadController.initiateBalancePayment(user, uploadId);
+  const body = schemas.balancePaymentInitiate(parseJsonBody(event) || {});
+  return await surveyorSketchUploadController.initiateBalancePayment(user, uploadId, body);
 });
 
 exports.getSurveyorCadDownload = asyncHandler(async (event) => {
@@ -428,6 +481,15 @@ exports.getSurveyorCadDownload = asyncHandler(async (event) => {
   return await surveyorSketchUploadController.getCadDownload(user, uploadId, { grantId });
 });
 
+exports.getSurveyorCadDownloadBundle = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  const { uploadId } = getPathParams(event);
+  if (!uploadId) throw new BadRequestError("uploadId is required");
+  validObjectId(uploadId, "uploadId");
+  return await orderBundleController.getSurveyorDeliverableBundle(user, uploadId);
+});
+
 exports.adminMarkBalanceRefunded = asyncHandler(async (event) => {
   await ensureDb();
   const { user } = await authorize(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN)(event);
@@ -435,13 +497,49 @@ exports.adminMarkBalanceRefunded = asyncHandler(async (event) => {
   if (!uploadId) throw new BadRequestError("uploadId is required");
   validObjectId(uploadId, "uploadId");
   const body = validate(schemas.balanceRefundMark)(event);
-  const result = await surveyorSketchUploadController.markBalanceRefunded(user, uploadId, body);
+  const result = await adminPaymentRefundController.refundBalance(user, uploadId, body);
   await auditAdmin(event, user, {
     action: "BALANCE_REFUND",
     targetType: "SurveyorSketchUpload",
     targetId: uploadId,
     success: true,
-    meta: { reasonCode: body.reasonCode, policyVersion: body.policyVersion },
+    meta: refundAuditMeta(body),
+  });
+  return result;
+});
+
+exports.adminRefundBookingPayment = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN)(event);
+  const { uploadId } = getPathParams(event);
+  if (!uploadId) throw new BadRequestError("uploadId is required");
+  validObjectId(uploadId, "uploadId");
+  const body = validate(schemas.paymentRefundRequest)(event);
+  const result = await adminPaymentRefundController.refundBooking(user, uploadId, body);
+  await auditAdmin(event, user, {
+    action: "BOOKING_REFUND",
+    targetType: "SurveyorSketchUpload",
+    targetId: uploadId,
+    success: true,
+    meta: refundAuditMeta(body),
+  });
+  return result;
+});
+
+exports.adminRefundRevisionPayment = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN)(event);
+  const { uploadId } = getPathParams(event);
+  if (!uploadId) throw new BadRequestError("uploadId is required");
+  validObjectId(uploadId, "uploadId");
+  const body = validate(schemas.revisionRefundRequest)(event);
+  const result = await adminPaymentRefundController.refundRevision(user, uploadId, body);
+  await auditAdmin(event, user, {
+    action: "REVISION_REFUND",
+    targetType: "SurveyorSketchUpload",
+    targetId: uploadId,
+    success: true,
+    meta: { ...refundAuditMeta(body), revisionNo: body.revisionNo },
   });
   return result;
 });
@@ -473,6 +571,17 @@ exports.getSurveyorSketchUpload = asyncHandler(async (event) => {
   return await surveyorSketchUploadController.getUpload(user, uploadId);
 });
 
+// -------- Surveyor / Admin: What changed between two CAD deliveries (history indexes from / to) --------
+exports.getSketchRevisionDiff = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR, USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN)(event);
+  const { uploadId } = getPathParams(event);
+  if (!uploadId) throw new BadRequestError("uploadId is required");
+  validObjectId(uploadId, "uploadId");
+  const qs = event.queryStringParameters || {};
+  return await revisionDiffController.getRevisionDiff(user, uploadId, { from: qs.from, to: qs.to });
+});
+
 // -------- Surveyor: Request CAD revision with remarks/audio --------
 exports.requestSketchRevision = asyncHandler(async (event) => {
   await ensureDb();
@@ -514,6 +623,7 @@ exports.listSurveyorSketchUploads = asyncHandler(async (event) => {
     status: q.status,
     surveyorId: q.surveyorId,
     cadCenterId: q.cadCenterId,
+    orderType: q.orderType,
   };
   return await surveyorSketchUploadController.listUploads(user, options);
 });
@@ -532,6 +642,45 @@ exports.listSurveyorOrders = asyncHandler(async (event) => {
   return await surveyorSketchUploadController.listSurveyorOrders(user, options);
 });
 
+// -------- Surveyor: tax invoices / receipts / credit notes for own payments --------
+exports.listSurveyorInvoices = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  const q = event.queryStringParameters || {};
+  if (q.uploadId) validObjectId(q.uploadId, "uploadId");
+  return await taxDocumentController.listSurveyorTaxDocuments(user, q);
+});
+
+exports.downloadSurveyorInvoice = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  const { documentId } = getPathParams(event);
+  validObjectId(documentId, "documentId");
+  return await taxDocumentController.downloadTaxDocument(documentId, { surveyorId: user._id });
+});
+
+// -------- Surveyor: price a promo code before checkout --------
+exports.previewSurveyorCoupon = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  const body = validate(schemas.couponPreview)(event);
+  return await couponController.previewSurveyorCoupon(user, body);
+});
+
+// -------- Surveyor: prepaid wallet and bundle packs --------
+exports.getSurveyorWallet = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  return await surveyorWalletController.getSurveyorWallet(user, getQueryParams(event));
+});
+
+exports.startSurveyorWalletTopup = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SURVEYOR)(event);
+  const body = validate(schemas.walletTopupCreate)(event);
+  return await surveyorWalletController.startSurveyorWalletTopup(user, body);
+});
+
 // -------- Surveyor Sketch Draft --------
 exports.createSurveyDraft = asyncHandler(async (event) => {
   await ensureDb();
@@ -669,6 +818,20 @@ exports.getAdminOpsObservability = asyncHandler(async (event) => {
   return await opsObservabilityController.getObservability();
 });
 
+exports.getWatermarkTrace = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const traceCode = event.pathParameters?.traceCode;
+  const result = await fileAccessController.getWatermarkTrace(traceCode);
+  await auditAdmin(event, user, {
+    action: "WATERMARK_TRACE_LOOKUP",
+    targetType: "FileAccessEvent",
+    targetId: String(traceCode || "").toUpperCase() || null,
+    success: true,
+  });
+  return result;
+});
+
 // -------- Survey Sketch Assignment (Admin: assign survey sketch to CAD center) --------
 exports.createSurveySketchAssignment = asyncHandler(async (event) => {
   await ensureDb();
@@ -701,13 +864,14 @@ exports.listSurveySketchesWithAssignments = asyncHandler(async (event) => {
   return await surveyorSketchUploadController.listAllWithAssignment(options);
 });
 
-// List all survey sketch uploads (SurveyorSketchUpload only). Optional query: status (PENDING, ASSIGNED, etc.).
+// List all survey sketch uploads (SurveyorSketchUpload only). Optional query: status (PENDING, ASSIGNED, etc.), orderType.
 exports.listSurveySketchAssignments = asyncHandler(async (event) => {
   await ensureDb();
   const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
   const q = event.queryStringParameters || {};
   const options = { page: q.page, limit: q.limit };
   if (q.status != null && q.status !== "") options.status = q.status;
+  if (q.orderType != null && q.orderType !== "") options.orderType = q.orderType;
   return await surveyorSketchUploadController.listUploads(user, options);
 });
 
@@ -800,7 +964,7 @@ exports.listCadAssignments = asyncHandler(async (event) => {
   await ensureDb();
   const { user } = await authorize(USER_ROLES.CAD)(event);
   const q = event.queryStringParameters || {};
-  const options = { page: q.page, limit: q.limit, status: q.status };
+  const options = { page: q.page, limit: q.limit, status: q.status, orderType: q.orderType };
   return await surveySketchAssignmentController.listForCadUser(user, options);
 });
 
@@ -835,6 +999,12 @@ exports.listCadWalletTransactions = asyncHandler(async (event) => {
   return await cadWalletController.listWalletTransactions(user, q);
 });
 
+exports.getCadEarningsStatements = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  return await cadTdsController.getEarningsStatements(user, event.queryStringParameters || {});
+});
+
 // -------- Admin: Mark CAD wallet ledger entry as paid --------
 exports.markCadWalletEntryPaid = asyncHandler(async (event) => {
   await ensureDb();
@@ -894,6 +1064,335 @@ exports.getAdminCadPendingPayoutSummary = asyncHandler(async (event) => {
   return await cadWalletController.getPendingPayoutSummary(q);
 });
 
+// -------- Admin: Batch CAD payout runs (NEFT bulk file out, bank response in) --------
+exports.listAdminCadPayoutRuns = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await cadPayoutRunController.listPayoutRuns(getQueryParams(event));
+});
+
+exports.createAdminCadPayoutRun = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.cadPayoutRunCreate)(event);
+  const result = await cadPayoutRunController.createPayoutRun(user, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_RUN_CREATE",
+    targetType: "CadPayoutRun",
+    targetId: null,
+    success: true,
+    meta: { cutoff: body.cutoff || null },
+  });
+  return result;
+});
+
+exports.getAdminCadPayoutRun = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { runId } = getPathParams(event);
+  validObjectId(runId, "runId");
+  return await cadPayoutRunController.getPayoutRun(runId);
+});
+
+exports.downloadAdminCadPayoutBankFile = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { runId } = getPathParams(event);
+  validObjectId(runId, "runId");
+  const result = await cadPayoutRunController.downloadBankFile(runId);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_BANK_FILE_DOWNLOAD",
+    targetType: "CadPayoutRun",
+    targetId: runId,
+    success: true,
+  });
+  return result;
+});
+
+exports.submitAdminCadPayoutRun = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { runId } = getPathParams(event);
+  validObjectId(runId, "runId");
+  const result = await cadPayoutRunController.submitPayoutRun(user, runId);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_RUN_SUBMIT",
+    targetType: "CadPayoutRun",
+    targetId: runId,
+    success: true,
+  });
+  return result;
+});
+
+exports.cancelAdminCadPayoutRun = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { runId } = getPathParams(event);
+  validObjectId(runId, "runId");
+  const body = validate(schemas.cadPayoutRunCancel)(event);
+  const result = await cadPayoutRunController.cancelPayoutRun(user, runId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_RUN_CANCEL",
+    targetType: "CadPayoutRun",
+    targetId: runId,
+    success: true,
+    meta: { reason: body.reason },
+  });
+  return result;
+});
+
+exports.importAdminCadPayoutBankResponse = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { runId } = getPathParams(event);
+  validObjectId(runId, "runId");
+  const body = validate(schemas.cadPayoutBankResponseImport)(event);
+  const result = await cadPayoutRunController.importBankResponse(user, runId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_BANK_RESPONSE_IMPORT",
+    targetType: "CadPayoutRun",
+    targetId: runId,
+    success: true,
+    meta: { fileName: body.fileName || null },
+  });
+  return result;
+});
+
+// -------- CAD: bank / UPI payout details changes (OTP, admin approval, cooling-off) --------
+exports.listCadPayoutDetailsChanges = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  return await cadPayoutDetailsChangeController.listOwnChanges(user, getQueryParams(event));
+});
+
+exports.createCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const body = validate(schemas.cadPayoutDetailsChangeCreate)(event);
+  const result = await cadPayoutDetailsChangeController.requestChange(user, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_CHANGE_REQUEST",
+    targetType: "CadPayoutDetailsChange",
+    targetId: null,
+    success: true,
+    meta: { sections: Object.keys(body) },
+  });
+  return result;
+});
+
+exports.resendCadPayoutDetailsChangeOtp = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  const result = await cadPayoutDetailsChangeController.resendOtp(user, changeId);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_OTP_RESEND",
+    targetType: "CadPayoutDetailsChange",
+    targetId: changeId,
+    success: true,
+  });
+  return result;
+});
+
+exports.verifyCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  const body = validate(schemas.cadPayoutDetailsChangeVerify)(event);
+  const result = await cadPayoutDetailsChangeController.verifyOtp(user, changeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_CHANGE_VERIFY",
+    targetType: "CadPayoutDetailsChange",
+    targetId: changeId,
+    success: true,
+  });
+  return result;
+});
+
+exports.cancelCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  const body = validate(schemas.cadPayoutDetailsChangeNote)(event);
+  const result = await cadPayoutDetailsChangeController.cancelChange(user, changeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_CHANGE_CANCEL",
+    targetType: "CadPayoutDetailsChange",
+    targetId: changeId,
+    success: true,
+  });
+  return result;
+});
+
+exports.listAdminCadPayoutDetailsChanges = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await cadPayoutDetailsChangeController.listChanges(getQueryParams(event));
+});
+
+exports.getAdminCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  return await cadPayoutDetailsChangeController.getChange(changeId);
+});
+
+exports.approveAdminCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  const body = validate(schemas.cadPayoutDetailsChangeNote)(event);
+  const result = await cadPayoutDetailsChangeController.approveChange(user, changeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_CHANGE_APPROVE",
+    targetType: "CadPayoutDetailsChange",
+    targetId: changeId,
+    success: true,
+  });
+  return result;
+});
+
+exports.rejectAdminCadPayoutDetailsChange = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { changeId } = getPathParams(event);
+  validObjectId(changeId, "changeId");
+  const body = validate(schemas.cadPayoutDetailsChangeReject)(event);
+  const result = await cadPayoutDetailsChangeController.rejectChange(user, changeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_PAYOUT_DETAILS_CHANGE_REJECT",
+    targetType: "CadPayoutDetailsChange",
+    targetId: changeId,
+    success: true,
+    meta: { reason: body.reason },
+  });
+  return result;
+});
+
+// -------- CAD: wallet disputes (missing credit / wrong amount, thread, admin resolution) --------
+exports.listCadWalletDisputes = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  return await cadWalletDisputeController.listOwnDisputes(user, getQueryParams(event));
+});
+
+exports.createCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const body = validate(schemas.cadWalletDisputeCreate)(event);
+  const result = await cadWalletDisputeController.openDispute(user, body);
+  await auditAdmin(event, user, {
+    action: "CAD_WALLET_DISPUTE_OPEN",
+    targetType: "CadWalletDispute",
+    targetId: null,
+    success: true,
+    meta: { category: body.category, ledgerEntryId: body.ledgerEntryId || null, assignmentId: body.assignmentId || null },
+  });
+  return result;
+});
+
+exports.getCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  return await cadWalletDisputeController.getOwnDispute(user, disputeId);
+});
+
+exports.addCadWalletDisputeMessage = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  const body = validate(schemas.cadWalletDisputeMessage)(event);
+  return await cadWalletDisputeController.addMessage(user, disputeId, body);
+});
+
+exports.listAdminCadWalletDisputes = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await cadWalletDisputeController.listDisputes(getQueryParams(event));
+});
+
+exports.getAdminCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  return await cadWalletDisputeController.getDispute(disputeId);
+});
+
+exports.addAdminCadWalletDisputeMessage = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  const body = validate(schemas.cadWalletDisputeMessage)(event);
+  const result = await cadWalletDisputeController.addMessage(user, disputeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_WALLET_DISPUTE_MESSAGE",
+    targetType: "CadWalletDispute",
+    targetId: disputeId,
+    success: true,
+    meta: { attachments: body.attachments.length },
+  });
+  return result;
+});
+
+exports.reviewAdminCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  const result = await cadWalletDisputeController.startReview(user, disputeId);
+  await auditAdmin(event, user, {
+    action: "CAD_WALLET_DISPUTE_REVIEW",
+    targetType: "CadWalletDispute",
+    targetId: disputeId,
+    success: true,
+  });
+  return result;
+});
+
+exports.resolveAdminCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  const body = validate(schemas.cadWalletDisputeResolve)(event);
+  const result = await cadWalletDisputeController.resolveDispute(user, disputeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_WALLET_DISPUTE_RESOLVE",
+    targetType: "CadWalletDispute",
+    targetId: disputeId,
+    success: true,
+    meta: { adjustmentPaise: body.adjustmentPaise },
+  });
+  return result;
+});
+
+exports.rejectAdminCadWalletDispute = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { disputeId } = getPathParams(event);
+  validObjectId(disputeId, "disputeId");
+  const body = validate(schemas.cadWalletDisputeReject)(event);
+  const result = await cadWalletDisputeController.rejectDispute(user, disputeId, body);
+  await auditAdmin(event, user, {
+    action: "CAD_WALLET_DISPUTE_REJECT",
+    targetType: "CadWalletDispute",
+    targetId: disputeId,
+    success: true,
+    meta: { reason: body.reason },
+  });
+  return result;
+});
+
 // -------- CAD: Get source sketch upload (inputs) for work --------
 exports.getCadSketchUpload = asyncHandler(async (event) => {
   await ensureDb();
@@ -904,6 +1403,16 @@ exports.getCadSketchUpload = asyncHandler(async (event) => {
   return await surveyorSketchUploadController.getUploadForCad(user, uploadId);
 });
 
+// -------- CAD: ZIP of order inputs (documents, singleUpload, audio, other_documents) for own assignment --------
+exports.getCadAssignmentInputBundle = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.CAD)(event);
+  const { assignmentId } = getPathParams(event);
+  if (!assignmentId) throw new BadRequestError("assignmentId is required");
+  validObjectId(assignmentId, "assignmentId");
+  return await orderBundleController.getCadInputBundle(user, assignmentId);
+});
+
 // -------- CAD: Submit finished sketch (sets cadDeliverable on upload; assignment COMPLETED) --------
 exports.deliverCadSketch = asyncHandler(async (event) => {
   await ensureDb();
@@ -982,9 +1491,400 @@ exports.updateAdminSurveySketchPricing = asyncHandler(async (event) => {
   return await sketchPricingAdminController.updateSketchPricing(user, body);
 });
 
+// -------- Admin: Scheduled sketch pricing versions (finance changes without a deploy) --------
+exports.listAdminSketchPricingVersions = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await sketchPricingAdminController.listSketchPricingVersions(getQueryParams(event));
+});
+
+/** Price changes are finance decisions — Super Admin only. */
+exports.scheduleAdminSketchPricingVersion = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN)(event);
+  const body = validate(schemas.sketchPricingVersionCreate)(event);
+  const result = await sketchPricingAdminController.scheduleSketchPricingVersion(user, body);
+  await auditAdmin(event, user, {
+    action: "SKETCH_PRICING_VERSION_SCHEDULE",
+    targetType: "SketchPricingVersion",
+    targetId: body.version,
+    success: true,
+    meta: { effectiveFrom: body.effectiveFrom, amounts: body.amounts, approvedBy: body.approvedBy },
+  });
+  return result;
+});
+
+exports.cancelAdminSketchPricingVersion = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN)(event);
+  const { versionId } = getPathParams(event);
+  validObjectId(versionId, "versionId");
+  const body = validate(schemas.sketchPricingVersionCancel)(event);
+  const result = await sketchPricingAdminController.cancelSketchPricingVersion(user, versionId, body);
+  await auditAdmin(event, user, {
+    action: "SKETCH_PRICING_VERSION_CANCEL",
+    targetType: "SketchPricingVersion",
+    targetId: versionId,
+    success: true,
+    meta: { reason: body.reason },
+  });
+  return result;
+});
+
+// -------- Admin: Checkout gateway per payment purpose (booking / balance / revision) --------
+exports.getAdminPaymentProviderSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await paymentProviderSettingsController.getProviderSettings();
+});
+
+exports.updateAdminPaymentProviderSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.paymentProviderSettingsUpdate)(event);
+  const result = await paymentProviderSettingsController.updateProviderSettings(user, body);
+  await auditAdmin(event, user, {
+    action: "PAYMENT_PROVIDER_SETTINGS_UPDATE",
+    targetType: "PaymentProviderSettings",
+    targetId: null,
+    success: true,
+    meta: { purposeProviders: body.purposeProviders },
+  });
+  return result;
+});
+
+// -------- Admin: seller GSTIN / SAC / GST rate printed on surveyor tax invoices --------
+exports.getAdminInvoiceSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await invoiceSettingsController.getInvoiceSettings();
+});
+
+exports.updateAdminInvoiceSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.invoiceSettingsUpdate)(event);
+  const result = await invoiceSettingsController.updateInvoiceSettings(user, body);
+  await auditAdmin(event, user, {
+    action: "INVOICE_SETTINGS_UPDATE",
+    targetType: "InvoiceSettings",
+    targetId: null,
+    success: true,
+    meta: { fields: Object.keys(body) },
+  });
+  return result;
+});
+
+// -------- Admin: TDS on CAD operator payouts --------
+exports.getAdminCadTdsSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await cadTdsSettingsController.getCadTdsSettings();
+});
+
+exports.updateAdminCadTdsSettings = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.cadTdsSettingsUpdate)(event);
+  const result = await cadTdsSettingsController.updateCadTdsSettings(user, body);
+  await auditAdmin(event, user, {
+    action: "CAD_TDS_SETTINGS_UPDATE",
+    targetType: "CadTdsSettings",
+    targetId: null,
+    success: true,
+    meta: { fields: Object.keys(body), enabled: body.enabled },
+  });
+  return result;
+});
+
+exports.getAdminCadTdsSummary = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await cadTdsController.getQuarterlySummary(event.queryStringParameters || {});
+});
+
+// -------- Admin: coupon / promo codes for surveyor fees --------
+exports.listAdminCoupons = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await couponController.listAdminCoupons(event.queryStringParameters || {});
+});
+
+exports.createAdminCoupon = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.couponCreate)(event);
+  const result = await couponController.createAdminCoupon(body, user);
+  await auditAdmin(event, user, {
+    action: "COUPON_CREATE",
+    targetType: "Coupon",
+    targetId: body.code,
+    success: true,
+    meta: { discountType: body.discountType, appliesTo: body.appliesTo },
+  });
+  return result;
+});
+
+exports.updateAdminCoupon = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { couponId } = getPathParams(event);
+  validObjectId(couponId, "couponId");
+  const body = validate(schemas.couponUpdate)(event);
+  const result = await couponController.updateAdminCoupon(couponId, body, user);
+  await auditAdmin(event, user, {
+    action: "COUPON_UPDATE",
+    targetType: "Coupon",
+    targetId: couponId,
+    success: true,
+    meta: { fields: Object.keys(body) },
+  });
+  return result;
+});
+
+exports.listAdminCouponRedemptions = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { couponId } = getPathParams(event);
+  validObjectId(couponId, "couponId");
+  return await couponController.listAdminCouponRedemptions(couponId, event.queryStringParameters || {});
+});
+
+// -------- Admin: surveyor prepaid wallets and bundle packs --------
+exports.getAdminSurveyorWallet = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { surveyorId } = getPathParams(event);
+  validObjectId(surveyorId, "surveyorId");
+  return await surveyorWalletController.getAdminSurveyorWallet(surveyorId, getQueryParams(event));
+});
+
+exports.adjustAdminSurveyorWallet = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { surveyorId } = getPathParams(event);
+  validObjectId(surveyorId, "surveyorId");
+  const body = validate(schemas.walletAdjustment)(event);
+  const result = await surveyorWalletController.adjustAdminSurveyorWallet(surveyorId, body, user);
+  await auditAdmin(event, user, {
+    action: "SURVEYOR_WALLET_ADJUST",
+    targetType: "User",
+    targetId: surveyorId,
+    success: true,
+    meta: {
+      direction: body.direction,
+      amountRupees: body.amountRupees ?? null,
+      credits: body.credits ?? null,
+      orderType: body.orderType ?? null,
+      note: body.note,
+    },
+  });
+  return result;
+});
+
+exports.listAdminBundlePacks = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await surveyorWalletController.listAdminBundlePacks(getQueryParams(event));
+});
+
+exports.createAdminBundlePack = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.bundlePackCreate)(event);
+  const result = await surveyorWalletController.createAdminBundlePack(body, user);
+  await auditAdmin(event, user, {
+    action: "BUNDLE_PACK_CREATE",
+    targetType: "BundlePack",
+    targetId: body.code,
+    success: true,
+    meta: { orderType: body.orderType, orders: body.orders, priceRupees: body.priceRupees },
+  });
+  return result;
+});
+
+exports.updateAdminBundlePack = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { packId } = getPathParams(event);
+  validObjectId(packId, "packId");
+  const body = validate(schemas.bundlePackUpdate)(event);
+  const result = await surveyorWalletController.updateAdminBundlePack(packId, body, user);
+  await auditAdmin(event, user, {
+    action: "BUNDLE_PACK_UPDATE",
+    targetType: "BundlePack",
+    targetId: packId,
+    success: true,
+    meta: { fields: Object.keys(body) },
+  });
+  return result;
+});
+
+// -------- Admin: SLA holiday lists (business-hours dueAt) --------
+exports.listSlaHolidays = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const q = event.queryStringParameters || {};
+  if (q.year !== undefined && !/^\d{4}$/.test(String(q.year))) {
+    throw new BadRequestError("year must be YYYY");
+  }
+  return await slaHolidayController.listHolidays(q);
+});
+
+exports.upsertSlaHolidays = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.slaHolidayUpsert)(event);
+  const result = await slaHolidayController.upsertHolidays(user, body);
+  await auditAdmin(event, user, {
+    action: "SLA_HOLIDAYS_UPSERT",
+    targetType: "SlaHoliday",
+    targetId: body.listKey,
+    success: true,
+    meta: { dates: body.holidays.map((h) => h.date) },
+  });
+  return result;
+});
+
+exports.deleteSlaHoliday = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { holidayId } = getPathParams(event);
+  validObjectId(holidayId, "holidayId");
+  const result = await slaHolidayController.deleteHoliday(holidayId);
+  await auditAdmin(event, user, {
+    action: "SLA_HOLIDAY_DELETE",
+    targetType: "SlaHoliday",
+    targetId: holidayId,
+    success: true,
+  });
+  return result;
+});
+
+// Delivery QC queue (M-08). Optional query: status (PENDING default | PASSED | FAILED | ALL), surveyorSketchUploadId, page, limit.
+exports.listQcReviews = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const q = event.queryStringParameters || {};
+  const filters = { status: q.status };
+  if (q.surveyorSketchUploadId) {
+    validObjectId(q.surveyorSketchUploadId, "surveyorSketchUploadId");
+    filters.surveyorSketchUploadId = q.surveyorSketchUploadId;
+  }
+  return await deliveryQcController.listReviews(filters, parsePagination(q));
+});
+
+exports.getQcReview = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { qcRecordId } = getPathParams(event);
+  validObjectId(qcRecordId, "qcRecordId");
+  return await deliveryQcController.getReview(qcRecordId);
+});
+
+exports.completeQcReview = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { qcRecordId } = getPathParams(event);
+  validObjectId(qcRecordId, "qcRecordId");
+  const body = validate(schemas.qcReviewComplete)(event);
+  const result = await deliveryQcController.completeReview(qcRecordId, body, user);
+  await auditAdmin(event, user, {
+    action: "QC_REVIEW_COMPLETE",
+    targetType: "DeliveryQcRecord",
+    targetId: qcRecordId,
+    success: true,
+    meta: { failedChecks: body.checks.filter((c) => c.result === "FAIL").map((c) => c.code) },
+  });
+  return result;
+});
+
 exports.getAdminPaymentReconciliation = asyncHandler(async (event) => {
   await ensureDb();
   await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
   const q = event.queryStringParameters || {};
+  if (q.settlementReportId) validObjectId(q.settlementReportId, "settlementReportId");
   return await adminPaymentReconciliationController.getDailyReconciliation(q);
 });
+
+exports.importAdminPaymentSettlement = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const body = validate(schemas.paymentSettlementImport)(event);
+  const result = await adminPaymentReconciliationController.importSettlementReport(body, user);
+  await auditAdmin(event, user, {
+    action: "PAYMENT_SETTLEMENT_IMPORT",
+    targetType: "SettlementReport",
+    targetId: null,
+    success: true,
+    meta: { provider: body.provider, fileName: body.fileName || null },
+  });
+  return result;
+});
+
+exports.listAdminPaymentSettlements = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await adminPaymentReconciliationController.listSettlementReports(event.queryStringParameters || {});
+});
+
+exports.listAdminPaymentRefunds = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const q = event.queryStringParameters || {};
+  if (q.uploadId) validObjectId(q.uploadId, "uploadId");
+  return await adminPaymentRefundController.listRefunds(q);
+});
+
+exports.listAdminPaymentWebhookEvents = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await adminPaymentWebhookController.listWebhookEvents(event.queryStringParameters || {});
+});
+
+exports.getAdminPaymentWebhookEvent = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { eventId } = getPathParams(event);
+  validObjectId(eventId, "eventId");
+  return await adminPaymentWebhookController.getWebhookEvent(eventId);
+});
+
+exports.listAdminPaymentSweepActions = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  return await adminPaymentSweeperController.listSweepActions(event.queryStringParameters || {});
+});
+
+exports.listAdminInvoices = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const q = event.queryStringParameters || {};
+  if (q.uploadId) validObjectId(q.uploadId, "uploadId");
+  if (q.surveyorId) validObjectId(q.surveyorId, "surveyorId");
+  return await taxDocumentController.listAdminTaxDocuments(q);
+});
+
+exports.downloadAdminInvoice = asyncHandler(async (event) => {
+  await ensureDb();
+  await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { documentId } = getPathParams(event);
+  validObjectId(documentId, "documentId");
+  return await taxDocumentController.downloadTaxDocument(documentId);
+});
+
+exports.syncAdminPaymentRefund = asyncHandler(async (event) => {
+  await ensureDb();
+  const { user } = await authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN)(event);
+  const { merchantRefundId } = getPathParams(event);
+  if (!merchantRefundId) throw new BadRequestError("merchantRefundId is required");
+  const result = await adminPaymentRefundController.syncRefund(merchantRefundId);
+  await auditAdmin(event, user, {
+    action: "PAYMENT_REFUND_SYNC",
+    targetType: "PaymentAttempt",
+    targetId: null,
+    success: true,
+    meta: { merchantRefundId },
+  });
+  return result;
+});
@@ -19,6 +19,12 @@ exports.handler = asyncHandler(async (event) => {
     case "GET /api/payments/phonepe/callback":
       return authHandler.phonePeSketchCallback(event);
 
+    case "GET /api/payments/{provider}/callback":
+      return authHandler.paymentProviderCallback(event);
+
+    case "POST /api/payments/{provider}/webhook":
+      return authHandler.paymentProviderWebhook(event);
+
     case "POST /api/auth/superadmin/register":
       return authHandler.registerSuperAdmin(event);
 
@@ -91,14 +97,32 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.initiateSurveyorBalancePayment(event);
     case "GET /api/surveyor/sketch-uploads/{uploadId}/cad-download":
       return authHandler.getSurveyorCadDownload(event);
+    case "GET /api/surveyor/sketch-uploads/{uploadId}/cad-download-bundle":
+      return authHandler.getSurveyorCadDownloadBundle(event);
+    case "GET /api/surveyor/sketch-uploads/{uploadId}/revision-diff":
+      return authHandler.getSketchRevisionDiff(event);
     case "POST /api/admin/sketch-uploads/{uploadId}/balance-refund":
       return authHandler.adminMarkBalanceRefunded(event);
+    case "POST /api/admin/sketch-uploads/{uploadId}/booking-refund":
+      return authHandler.adminRefundBookingPayment(event);
+    case "POST /api/admin/sketch-uploads/{uploadId}/revision-refund":
+      return authHandler.adminRefundRevisionPayment(event);
     case "POST /api/admin/sketch-uploads/{uploadId}/review":
       return authHandler.adminReviewSketchTerminal(event);
     case "GET /api/surveyor/sketch-uploads":
       return authHandler.listSurveyorSketchUploads(event);
     case "GET /api/surveyor/orders":
       return authHandler.listSurveyorOrders(event);
+    case "GET /api/surveyor/invoices":
+      return authHandler.listSurveyorInvoices(event);
+    case "GET /api/surveyor/invoices/{documentId}/pdf":
+      return authHandler.downloadSurveyorInvoice(event);
+    case "POST /api/surveyor/coupons/preview":
+      return authHandler.previewSurveyorCoupon(event);
+    case "GET /api/surveyor/wallet":
+      return authHandler.getSurveyorWallet(event);
+    case "POST /api/surveyor/wallet/topups":
+      return authHandler.startSurveyorWalletTopup(event);
     case "GET /api/surveyor/sketch-uploads/{uploadId}":
       return authHandler.getSurveyorSketchUpload(event);
     case "POST /api/surveyor/sketch-uploads/{uploadId}/revision-request":
@@ -126,6 +150,8 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.getAdminDashboardStats(event);
     case "GET /api/admin/ops/observability":
       return authHandler.getAdminOpsObservability(event);
+    case "GET /api/admin/watermark-traces/{traceCode}":
+      return authHandler.getWatermarkTrace(event);
     case "POST /api/admin/survey-sketch-assignments":
       return authHandler.createSurveySketchAssignment(event);
     case "GET /api/admin/survey-sketch-assignments/{assignmentId}":
@@ -151,8 +177,30 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.getCadWalletSummary(event);
     case "GET /api/cad/wallet/transactions":
       return authHandler.listCadWalletTransactions(event);
+    case "GET /api/cad/wallet/statements":
+      return authHandler.getCadEarningsStatements(event);
+    case "GET /api/cad/wallet/disputes":
+      return authHandler.listCadWalletDisputes(event);
+    case "POST /api/cad/wallet/disputes":
+      return authHandler.createCadWalletDispute(event);
+    case "GET /api/cad/wallet/disputes/{disputeId}":
+      return authHandler.getCadWalletDispute(event);
+    case "POST /api/cad/wallet/disputes/{disputeId}/messages":
+      return authHandler.addCadWalletDisputeMessage(event);
+    case "GET /api/cad/payout-details/changes":
+      return authHandler.listCadPayoutDetailsChanges(event);
+    case "POST /api/cad/payout-details/changes":
+      return authHandler.createCadPayoutDetailsChange(event);
+    case "POST /api/cad/payout-details/changes/{changeId}/resend-otp":
+      return authHandler.resendCadPayoutDetailsChangeOtp(event);
+    case "POST /api/cad/payout-details/changes/{changeId}/verify":
+      return authHandler.verifyCadPayoutDetailsChange(event);
+    case "POST /api/cad/payout-details/changes/{changeId}/cancel":
+      return authHandler.cancelCadPayoutDetailsChange(event);
     case "GET /api/cad/sketch-uploads/{uploadId}":
       return authHandler.getCadSketchUpload(event);
+    case "GET /api/cad/assignments/{assignmentId}/inputs-bundle":
+      return authHandler.getCadAssignmentInputBundle(event);
     case "POST /api/cad/assignments/{assignmentId}/accept":
       return authHandler.acceptAssignmentByCad(event);
     case "POST /api/cad/assignments/{assignmentId}/reject":
@@ -177,8 +225,76 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.getAdminSurveySketchPricing(event);
     case "PATCH /api/admin/survey-sketch-pricing":
       return authHandler.updateAdminSurveySketchPricing(event);
+    case "GET /api/admin/survey-sketch-pricing/versions":
+      return authHandler.listAdminSketchPricingVersions(event);
+    case "POST /api/admin/survey-sketch-pricing/versions":
+      return authHandler.scheduleAdminSketchPricingVersion(event);
+    case "POST /api/admin/survey-sketch-pricing/versions/{versionId}/cancel":
+      return authHandler.cancelAdminSketchPricingVersion(event);
+    case "GET /api/admin/payment-providers":
+      return authHandler.getAdminPaymentProviderSettings(event);
+    case "PATCH /api/admin/payment-providers":
+      return authHandler.updateAdminPaymentProviderSettings(event);
+    case "GET /api/admin/invoice-settings":
+      return authHandler.getAdminInvoiceSettings(event);
+    case "PATCH /api/admin/invoice-settings":
+      return authHandler.updateAdminInvoiceSettings(event);
+    case "GET /api/admin/cad-tds-settings":
+      return authHandler.getAdminCadTdsSettings(event);
+    case "PATCH /api/admin/cad-tds-settings":
+      return authHandler.updateAdminCadTdsSettings(event);
+    case "GET /api/admin/cad-tds/summary":
+      return authHandler.getAdminCadTdsSummary(event);
+    case "GET /api/admin/coupons":
+      return authHandler.listAdminCoupons(event);
+    case "POST /api/admin/coupons":
+      return authHandler.createAdminCoupon(event);
+    case "PATCH /api/admin/coupons/{couponId}":
+      return authHandler.updateAdminCoupon(event);
+    case "GET /api/admin/coupons/{couponId}/redemptions":
+      return authHandler.listAdminCouponRedemptions(event);
+    case "GET /api/admin/surveyors/{surveyorId}/wallet":
+      return authHandler.getAdminSurveyorWallet(event);
+    case "POST /api/admin/surveyors/{surveyorId}/wallet/adjustments":
+      return authHandler.adjustAdminSurveyorWallet(event);
+    case "GET /api/admin/bundle-packs":
+      return authHandler.listAdminBundlePacks(event);
+    case "POST /api/admin/bundle-packs":
+      return authHandler.createAdminBundlePack(event);
+    case "PATCH /api/admin/bundle-packs/{packId}":
+      return authHandler.updateAdminBundlePack(event);
+    case "GET /api/admin/sla/holidays":
+      return authHandler.listSlaHolidays(event);
+    case "POST /api/admin/sla/holidays":
+      return authHandler.upsertSlaHolidays(event);
+    case "DELETE /api/admin/sla/holidays/{holidayId}":
+      return authHandler.deleteSlaHoliday(event);
+    case "GET /api/admin/qc/reviews":
+      return authHandler.listQcReviews(event);
+    case "GET /api/admin/qc/reviews/{qcRecordId}":
+      return authHandler.getQcReview(event);
+    case "POST /api/admin/qc/reviews/{qcRecordId}/complete":
+      return authHandler.completeQcReview(event);
     case "GET /api/admin/payments/reconciliation":
       return authHandler.getAdminPaymentReconciliation(event);
+    case "POST /api/admin/payments/settlements":
+      return authHandler.importAdminPaymentSettlement(event);
+    case "GET /api/admin/payments/settlements":
+      return authHandler.listAdminPaymentSettlements(event);
+    case "GET /api/admin/payments/refunds":
+      return authHandler.listAdminPaymentRefunds(event);
+    case "POST /api/admin/payments/refunds/{merchantRefundId}/sync":
+      return authHandler.syncAdminPaymentRefund(event);
+    case "GET /api/admin/payments/webhook-events":
+      return authHandler.listAdminPaymentWebhookEvents(event);
+    case "GET /api/admin/payments/webhook-events/{eventId}":
+      return authHandler.getAdminPaymentWebhookEvent(event);
+    case "GET /api/admin/payments/sweeper-actions":
+      return authHandler.listAdminPaymentSweepActions(event);
+    case "GET /api/admin/invoices":
+      return authHandler.listAdminInvoices(event);
+    case "GET /api/admin/invoices/{documentId}/pdf":
+      return authHandler.downloadAdminInvoice(event);
     case "POST /api/admin/cad-wallet-entries/{entryId}/mark-paid":
       return authHandler.markCadWalletEntryPaid(event);
     case "POST /api/admin/cad-wallet-entries/{entryId}/record-payment":
@@ -187,6 +303,40 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.recordCadWalletPaymentForUser(event);
     case "GET /api/admin/cad-wallet/pending-summary":
       return authHandler.getAdminCadPendingPayoutSummary(event);
+    case "GET /api/admin/cad-payout-runs":
+      return authHandler.listAdminCadPayoutRuns(event);
+    case "POST /api/admin/cad-payout-runs":
+      return authHandler.createAdminCadPayoutRun(event);
+    case "GET /api/admin/cad-payout-runs/{runId}":
+      return authHandler.getAdminCadPayoutRun(event);
+    case "GET /api/admin/cad-payout-runs/{runId}/bank-file":
+      return authHandler.downloadAdminCadPayoutBankFile(event);
+    case "POST /api/admin/cad-payout-runs/{runId}/submit":
+      return authHandler.submitAdminCadPayoutRun(event);
+    case "POST /api/admin/cad-payout-runs/{runId}/cancel":
+      return authHandler.cancelAdminCadPayoutRun(event);
+    case "POST /api/admin/cad-payout-runs/{runId}/bank-response":
+      return authHandler.importAdminCadPayoutBankResponse(event);
+    case "GET /api/admin/cad-payout-details-changes":
+      return authHandler.listAdminCadPayoutDetailsChanges(event);
+    case "GET /api/admin/cad-payout-details-changes/{changeId}":
+      return authHandler.getAdminCadPayoutDetailsChange(event);
+    case "POST /api/admin/cad-payout-details-changes/{changeId}/approve":
+      return authHandler.approveAdminCadPayoutDetailsChange(event);
+    case "POST /api/admin/cad-payout-details-changes/{changeId}/reject":
+      return authHandler.rejectAdminCadPayoutDetailsChange(event);
+    case "GET /api/admin/cad-wallet-disputes":
+      return authHandler.listAdminCadWalletDisputes(event);
+    case "GET /api/admin/cad-wallet-disputes/{disputeId}":
+      return authHandler.getAdminCadWalletDispute(event);
+    case "POST /api/admin/cad-wallet-disputes/{disputeId}/messages":
+      return authHandler.addAdminCadWalletDisputeMessage(event);
+    case "POST /api/admin/cad-wallet-disputes/{disputeId}/review":
+      return authHandler.reviewAdminCadWalletDispute(event);
+    case "POST /api/admin/cad-wallet-disputes/{disputeId}/resolve":
+      return authHandler.resolveAdminCadWalletDispute(event);
+    case "POST /api/admin/cad-wallet-disputes/{disputeId}/reject":
+      return authHandler.rejectAdminCadWalletDispute(event);
     case "GET /api/notifications":
       return authHandler.listNotifications(event);
     case "GET /api/notifications/{notificationId}":
@@ -1,11 +1,15 @@
 /**
  * GET /api/public/business-rules — approved baseline for marketing / FE (H-08).
- * No auth. No secrets.
+ * No auth. No secrets. Reads Mongo only for scheduled sketch pricing versions (current + upcoming).
  */
 const { json } = require("../utils/response");
+const db = require("../config/db");
 const { getApprovedBusinessRulesPublic } = require("../config/businessRulesBaseline");
+const pricingVersions = require("../services/config/sketchPricingVersion.service");
 
 module.exports.handler = async () => {
+  await db.connectDB();
+  await pricingVersions.ensurePricingVersionsLoaded();
   return json(200, {
     ok: true,
     data: getApprovedBusinessRulesPublic(),
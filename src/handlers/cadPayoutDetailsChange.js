@@ -0,0 +1,20 @@
+/**
+ * Scheduled: copy approved CAD bank / UPI changes onto the user once their cooling-off period has ended.
+ * EventBridge: rate(1 hour). Payout runs also apply due changes before they are built.
+ */
+
+const { connectDB } = require("../config/db");
+const cadPayoutDetailsChange = require("../services/cadPayoutDetailsChange.service");
+const logger = require("../utils/logger");
+
+exports.handler = async () => {
+  const { assertProductionJwtSecret } = require("../config/secrets");
+  assertProductionJwtSecret();
+  await connectDB();
+  const result = await cadPayoutDetailsChange.activateDueChanges();
+  logger.info("CAD payout details activation complete", result);
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, data: result }),
+  };
+};
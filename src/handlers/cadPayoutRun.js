@@ -0,0 +1,21 @@
+/**
+ * Scheduled: open the weekly DRAFT CAD payout run with entries up to Monday 00:00 IST.
+ * EventBridge: cron(30 4 ? * MON *) (10:00 IST). Skips quietly when a run is still open or nothing is owed;
+ * finance reviews, downloads the bank file and submits.
+ */
+
+const { connectDB } = require("../config/db");
+const cadPayoutRun = require("../services/cadPayoutRun.service");
+const logger = require("../utils/logger");
+
+exports.handler = async () => {
+  const { assertProductionJwtSecret } = require("../config/secrets");
+  assertProductionJwtSecret();
+  await connectDB();
+  const result = await cadPayoutRun.createScheduledPayoutRun();
+  logger.info("CAD payout run schedule complete", result);
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, data: result }),
+  };
+};
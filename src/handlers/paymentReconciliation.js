@@ -18,12 +18,15 @@ exports.handler = async (event) => {
   const summary = await paymentReconciliation.runDailyReconciliation({
     asOf,
     persist: true,
+    checkProvider: process.env.PAYMENT_RECON_PROVIDER_CHECK !== "false",
   });
 
   const openFlags = Object.values(summary.flags || {}).reduce((s, n) => s + Number(n || 0), 0);
   logger.info("Payment reconciliation complete", {
     totalAttempts: summary.totalAttempts,
     flags: summary.flags,
+    byProvider: summary.byProvider,
+    providerChecks: summary.providerChecks,
     itemCount: summary.items.length,
     openFlagCount: openFlags,
   });
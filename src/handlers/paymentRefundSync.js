@@ -0,0 +1,22 @@
+/**
+ * Scheduled: settle PENDING gateway refunds (exceptional admin refunds, approved refund policy).
+ * EventBridge: rate(15 minutes). Entitlement / booking / revision fee effects apply only when a refund
+ * completes; failed refunds emit ALERT_PAYMENT_REFUND_FAILED from the refund service.
+ */
+
+const { connectDB } = require("../config/db");
+const paymentRefund = require("../services/payment/paymentRefund.service");
+const logger = require("../utils/logger");
+
+exports.handler = async (event) => {
+  const { assertProductionJwtSecret } = require("../config/secrets");
+  assertProductionJwtSecret();
+  await connectDB();
+  const limit = Number(event?.limit) > 0 ? Number(event.limit) : undefined;
+  const result = await paymentRefund.syncPendingRefunds(limit ? { limit } : {});
+  logger.info("Payment refund sync complete", result);
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, data: result }),
+  };
+};
@@ -0,0 +1,31 @@
+/**
+ * Scheduled: settle stuck PENDING payment attempts by polling their gateway (missed browser return / webhook).
+ * EventBridge: rate(5 minutes). Per-attempt exponential backoff and a per-run cap live in the sweeper service;
+ * every poll is logged for GET /api/admin/payments/sweeper-actions.
+ */
+
+const { connectDB } = require("../config/db");
+const paymentSweeper = require("../services/payment/paymentSweeper.service");
+const logger = require("../utils/logger");
+
+exports.handler = async (event) => {
+  const { assertProductionJwtSecret } = require("../config/secrets");
+  assertProductionJwtSecret();
+  await connectDB();
+  const limit = Number(event?.limit) > 0 ? Number(event.limit) : undefined;
+  const result = await paymentSweeper.sweepPendingAttempts(limit ? { limit } : {});
+  logger.info("Payment sweep complete", result);
+  if (result.errors > 0) {
+    logger.warn("ALERT_PAYMENT_SWEEP_ERRORS", {
+      alertType: "PAYMENT_SWEEP",
+      severity: "medium",
+      runId: result.runId,
+      errors: result.errors,
+      escalateTo: "operations",
+    });
+  }
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, data: result }),
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * Scheduled: issue tax invoices / receipts and credit notes that the payment and refund paths missed
+ * (issuing there is best-effort). EventBridge: rate(1 hour); capped per run (TAX_DOCUMENT_ISSUE_LIMIT).
+ */
+
+const { connectDB } = require("../config/db");
+const taxDocument = require("../services/payment/taxDocument.service");
+const logger = require("../utils/logger");
+
+exports.handler = async (event) => {
+  const { assertProductionJwtSecret } = require("../config/secrets");
+  assertProductionJwtSecret();
+  await connectDB();
+  const limit = Number(event?.limit) > 0 ? Number(event.limit) : undefined;
+  const result = await taxDocument.issueMissingTaxDocuments(limit ? { limit } : {});
+  logger.info("Tax document issue run complete", result);
+  if (result.errors > 0) {
+    logger.warn("ALERT_TAX_DOCUMENT_ISSUE_ERRORS", {
+      alertType: "TAX_DOCUMENT",
+      severity: "medium",
+      errors: result.errors,
+      escalateTo: "finance",
+    });
+  }
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, data: result }),
+  };
+};
@@ -35,6 +35,92 @@ function validObjectId(id, fieldName = "id") {
   return id;
 }
 
+/**
+ * CAD center routing jurisdiction: { districts: ObjectId[], talukas: ObjectId[] }.
+ * null clears (center treated as serving all regions).
+ */
+function parseServedRegions(raw) {
+  if (raw === null) return { districts: [], talukas: [] };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new BadRequestError("servedRegions must be an object", {
+      errors: [{ field: "servedRegions", message: "Invalid value" }],
+    });
+  }
+  const out = {};
+  for (const key of ["districts", "talukas"]) {
+    const list = raw[key] == null ? [] : raw[key];
+    if (!Array.isArray(list)) {
+      throw new BadRequestError(`servedRegions.${key} must be an array`, {
+        errors: [{ field: `servedRegions.${key}`, message: "Invalid value" }],
+      });
+    }
+    out[key] = [...new Set(list.map((id, i) => String(validObjectId(id, `servedRegions.${key}[${i}]`))))];
+  }
+  return out;
+}
+
+/**
+ * Business-hours calendar for SLA (CadCenter / CAD user). null clears (24×7 clock).
+ * { workingDays: 0–6[], startTime: "HH:MM", endTime: "HH:MM" (24:00 allowed), holidayLists: string[] }
+ */
+function parseWorkingCalendar(raw, fieldName = "workingCalendar") {
+  if (raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new BadRequestError(`${fieldName} must be an object or null`, {
+      errors: [{ field: fieldName, message: "Invalid value" }],
+    });
+  }
+  const hhmm = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+  const days = raw.workingDays === undefined ? [1, 2, 3, 4, 5, 6] : raw.workingDays;
+  if (!Array.isArray(days) || !days.length || days.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+    throw new BadRequestError(`${fieldName}.workingDays must be a non-empty array of 0–6 (0 = Sunday)`, {
+      errors: [{ field: `${fieldName}.workingDays`, message: "Invalid value" }],
+    });
+  }
+  const startTime = raw.startTime === undefined ? "09:30" : String(raw.startTime).trim();
+  const endTime = raw.endTime === undefined ? "18:30" : String(raw.endTime).trim();
+  for (const [field, value] of [["startTime", startTime], ["endTime", endTime]]) {
+    if (!hhmm.test(value)) {
+      throw new BadRequestError(`${fieldName}.${field} must be HH:MM`, {
+        errors: [{ field: `${fieldName}.${field}`, message: "Invalid time" }],
+      });
+    }
+  }
+  if (endTime <= startTime) {
+    throw new BadRequestError(`${fieldName}.endTime must be after startTime`, {
+      errors: [{ field: `${fieldName}.endTime`, message: "Invalid range" }],
+    });
+  }
+  let holidayLists;
+  if (raw.holidayLists !== undefined) {
+    if (!Array.isArray(raw.holidayLists)) {
+      throw new BadRequestError(`${fieldName}.holidayLists must be an array`, {
+        errors: [{ field: `${fieldName}.holidayLists`, message: "Invalid value" }],
+      });
+    }
+    holidayLists = [...new Set(raw.holidayLists.map((k) => String(k).trim().toUpperCase()).filter(Boolean))];
+  }
+  return {
+    workingDays: [...new Set(days.map(Number))].sort((a, b) => a - b),
+    startTime,
+    endTime,
+    ...(holidayLists ? { holidayLists } : {}),
+  };
+}
+
+/** Sketch order product (lifecycleQcSpec.ORDER_TYPES); omitted → STANDARD_11E. */
+function parseOrderType(raw, fieldName = "orderType") {
+  const { ORDER_TYPES, normalizeOrderType } = require("../config/lifecycleQcSpec");
+  if (raw === undefined || raw === null || raw === "") return ORDER_TYPES.STANDARD_11E;
+  const orderType = normalizeOrderType(raw);
+  if (!orderType) {
+    throw new BadRequestError(`${fieldName} must be one of: ${Object.values(ORDER_TYPES).join(", ")}`, {
+      errors: [{ field: fieldName, message: "Invalid value" }],
+    });
+  }
+  return orderType;
+}
+
 /** Surveyor profile category PUBLIC — sketch upload files not mandatory. */
 function isPublicSurveyorCategory(category) {
   return String(category || "").trim().toUpperCase() === "PUBLIC";
@@ -175,6 +261,28 @@ function rejectClientSketchPaymentAmount(body = {}) {
   }
 }
 
+/** Optional promo code on a sketch checkout (surveyor input); upper-cased. */
+function parseCouponCode(raw, field = "couponCode") {
+  if (raw === undefined || raw === null || raw === "") return undefined;
+  const code = String(raw).trim().toUpperCase();
+  if (!/^[A-Z0-9][A-Z0-9_-]{2,31}$/.test(code)) {
+    throw new BadRequestError(`${field} is invalid`, {
+      errors: [{ field, message: "3-32 letters, digits, - or _" }],
+    });
+  }
+  return code;
+}
+
+/** Optional opt-out of prepaid wallet / bundle funding on a sketch checkout; defaults to true. */
+function parseUseWallet(raw) {
+  if (raw === undefined || raw === null || raw === "") return true;
+  if (raw === true || raw === "true") return true;
+  if (raw === false || raw === "false") return false;
+  throw new BadRequestError("useWallet must be a boolean", {
+    errors: [{ field: "useWallet", message: "Must be true or false" }],
+  });
+}
+
 const schemas = {
   /** Super Admin: firstName, email, password. lastName optional. */
   superAdminRegister(body) {
@@ -336,7 +444,7 @@ const schemas = {
   },
 
   /**
-   * Patch user: optional firstName, lastName, status; for CAD optional cadCenter; for Surveyor optional district, taluka, category, surveyType.
+   * Patch user: optional firstName, lastName, status; for CAD optional cadCenter and taxDetails.pan (bank / UPI details are refused here — see cadPayoutDetailsChangeCreate); for Surveyor optional district, taluka, category, surveyType, gstin (billing).
    */
   userPatch(body) {
     const updates = {};
@@ -378,6 +486,23 @@ const schemas = {
     if (body.cadCenter !== undefined) {
       updates.cadCenter = validObjectId(body.cadCenter, "cadCenter");
     }
+    if (body.skills !== undefined) {
+      // CAD routing skills (cadProfile.skills) used by auto-assign scoring.
+      const { CAD_ROUTING_SKILL } = require("../config/constants");
+      const allowed = Object.values(CAD_ROUTING_SKILL);
+      if (!Array.isArray(body.skills)) throw new BadRequestError("skills must be an array");
+      const skills = [...new Set(body.skills.map((s) => asTrimmed(s).toLowerCase()).filter(Boolean))];
+      const invalid = skills.filter((s) => !allowed.includes(s));
+      if (invalid.length) {
+        throw new BadRequestError(`skills must be one of: ${allowed.join(", ")}`, {
+          errors: invalid.map((s) => ({ field: "skills", message: `Unknown skill: ${s}` })),
+        });
+      }
+      updates.skills = skills;
+    }
+    if (body.workingCalendar !== undefined) {
+      updates.workingCalendar = parseWorkingCalendar(body.workingCalendar);
+    }
     if (body.personalDetails !== undefined) {
       const p = body.personalDetails;
       if (!p || typeof p !== "object") throw new BadRequestError("personalDetails must be an object");
@@ -422,6 +547,22 @@ const schemas = {
       if (u.upiId !== undefined) upiDetails.upiId = asTrimmed(u.upiId).toLowerCase();
       if (hasAny(upiDetails)) updates.upiDetails = upiDetails;
     }
+    if (body.taxDetails !== undefined) {
+      const t = body.taxDetails;
+      if (!t || typeof t !== "object") throw new BadRequestError("taxDetails must be an object");
+      const taxDetails = {};
+      if (t.pan !== undefined) {
+        const { PAN_PATTERN } = require("../config/cadTds");
+        const pan = t.pan == null ? "" : asTrimmed(t.pan).toUpperCase();
+        if (pan && !PAN_PATTERN.test(pan)) {
+          throw new BadRequestError("taxDetails.pan must be a valid 10-character PAN", {
+            errors: [{ field: "taxDetails.pan", message: "Invalid PAN" }],
+          });
+        }
+        taxDetails.pan = pan || null;
+      }
+      if (hasAny(taxDetails)) updates.taxDetails = taxDetails;
+    }
     if (body.professionalDetails !== undefined) {
       const p = body.professionalDetails;
       if (!p || typeof p !== "object") throw new BadRequestError("professionalDetails must be an object");
@@ -477,6 +618,16 @@ const schemas = {
       }
       updates.surveyType = st;
     }
+    if (body.gstin !== undefined) {
+      const { GSTIN_PATTERN } = require("../config/taxInvoice");
+      const g = body.gstin == null ? "" : String(body.gstin).trim().toUpperCase();
+      if (g && !GSTIN_PATTERN.test(g)) {
+        throw new BadRequestError("gstin must be a valid 15-character GSTIN", {
+          errors: [{ field: "gstin", message: "Invalid GSTIN" }],
+        });
+      }
+      updates.gstin = g || null;
+    }
     if (Object.keys(updates).length === 0) {
       throw new BadRequestError("At least one field to update is required");
     }
@@ -634,7 +785,10 @@ const schemas = {
     if (!hasEmail && !hasPhone) {
       throw new BadRequestError("contact is required: provide at least contact.email or contact.phone");
     }
-    return body;
+    const out = { ...body };
+    if (body.servedRegions !== undefined) out.servedRegions = parseServedRegions(body.servedRegions);
+    if (body.workingCalendar !== undefined) out.workingCalendar = parseWorkingCalendar(body.workingCalendar);
+    return out;
   },
 
   /** Update: all optional; at least one field required. */
@@ -677,6 +831,8 @@ const schemas = {
       }
       updates.availabilityStatus = a;
     }
+    if (body.servedRegions !== undefined) updates.servedRegions = parseServedRegions(body.servedRegions);
+    if (body.workingCalendar !== undefined) updates.workingCalendar = parseWorkingCalendar(body.workingCalendar);
     if (Object.keys(updates).length === 0) {
       throw new BadRequestError("At least one field to update is required");
     }
@@ -781,6 +937,8 @@ const schemas = {
       throw new BadRequestError("At least one of remarks or audio is required");
     }
     rejectClientSketchPaymentAmount(body);
+    const couponCode = parseCouponCode(body.couponCode);
+    if (couponCode) payload.couponCode = couponCode;
     return payload;
   },
 
@@ -790,6 +948,17 @@ const schemas = {
     return {};
   },
 
+  /**
+   * Surveyor: balance checkout — no client amount (C-01); optional promo code before the first checkout.
+   * The wallet is drawn on by default; only an explicit `useWallet: false` is passed through.
+   */
+  balancePaymentInitiate(body = {}) {
+    rejectClientSketchPaymentAmount(body || {});
+    const couponCode = parseCouponCode(body?.couponCode);
+    const useWallet = parseUseWallet(body?.useWallet);
+    return { ...(couponCode ? { couponCode } : {}), ...(useWallet ? {} : { useWallet }) };
+  },
+
   surveyorCadFeedbackCreate(body) {
     requireFields(body, ["rating"]);
     const rating = Number(body.rating);
@@ -1004,23 +1173,280 @@ const schemas = {
     return { cadUserId, payFull: false, amountPaise };
   },
 
-  surveySketchAssignmentFlowUpdate(body) {
-    requireFields(body, ["autoAssignEnabled"]);
-    const raw = body.autoAssignEnabled;
-    const normalized =
-      raw === true || raw === false
-        ? raw
-        : String(raw).toLowerCase().trim() === "true"
-          ? true
-          : String(raw).toLowerCase().trim() === "false"
-            ? false
-            : null;
-    if (normalized === null) {
-      throw new BadRequestError("autoAssignEnabled must be boolean", {
-        errors: [{ field: "autoAssignEnabled", message: "Invalid value" }],
+  /** Admin: batch CAD payout run. `cutoff` (default now) must not be in the future. */
+  cadPayoutRunCreate(body = {}) {
+    if (body?.cutoff == null || body.cutoff === "") return {};
+    const cutoff = new Date(body.cutoff);
+    if (Number.isNaN(cutoff.getTime())) {
+      throw new BadRequestError("cutoff must be a date", {
+        errors: [{ field: "cutoff", message: "Invalid date" }],
+      });
+    }
+    return { cutoff };
+  },
+
+  cadPayoutRunCancel(body = {}) {
+    const reason = body?.reason == null ? null : String(body.reason).trim();
+    if (reason && reason.length > 300) {
+      throw new BadRequestError("reason must be at most 300 characters", {
+        errors: [{ field: "reason", message: "Too long" }],
+      });
+    }
+    return { reason: reason || null };
+  },
+
+  /**
+   * CAD: request a payout details change. Body: { bankDetails?: { accountHolderName, accountNumber, ifscCode,
+   * bankName?, branchName? }, upiDetails?: { upiId } } — at least one; upiId null removes the UPI id.
+   */
+  cadPayoutDetailsChangeCreate(body) {
+    const fail = (field, message) => {
+      throw new BadRequestError(`${field}: ${message}`, { errors: [{ field, message }] });
+    };
+    const str = (v) => (v == null ? null : String(v).trim() || null);
+    const out = {};
+    if (body.bankDetails != null) {
+      const b = body.bankDetails;
+      if (typeof b !== "object" || Array.isArray(b)) fail("bankDetails", "Must be an object");
+      const accountNumber = str(b.accountNumber)?.replace(/\s+/g, "") || null;
+      const ifscCode = str(b.ifscCode)?.toUpperCase() || null;
+      const accountHolderName = str(b.accountHolderName);
+      if (!accountNumber || !/^\d{9,18}$/.test(accountNumber)) fail("bankDetails.accountNumber", "9–18 digits");
+      if (!ifscCode || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifscCode)) fail("bankDetails.ifscCode", "Invalid IFSC");
+      if (!accountHolderName || accountHolderName.length > 100) fail("bankDetails.accountHolderName", "Required, at most 100 characters");
+      out.bankDetails = {
+        accountNumber,
+        ifscCode,
+        accountHolderName,
+        bankName: str(b.bankName)?.slice(0, 100) || null,
+        branchName: str(b.branchName)?.slice(0, 100) || null,
+      };
+    }
+    if (body.upiDetails !== undefined) {
+      const u = body.upiDetails;
+      if (!u || typeof u !== "object" || Array.isArray(u)) fail("upiDetails", "Must be an object");
+      const upiId = str(u.upiId)?.toLowerCase() || null;
+      if (upiId && !/^[a-z0-9._-]{2,256}@[a-z][a-z0-9.-]{1,64}$/.test(upiId)) fail("upiDetails.upiId", "Invalid UPI id");
+      out.upiDetails = { upiId };
+    }
+    if (!out.bankDetails && !out.upiDetails) {
+      throw new BadRequestError("bankDetails or upiDetails is required", {
+        errors: [{ field: "body", message: "Empty change" }],
+      });
+    }
+    return out;
+  },
+
+  /** CAD: confirm a payout details change, `{ otp }`. */
+  cadPayoutDetailsChangeVerify(body) {
+    const otp = body?.otp == null ? "" : String(body.otp).trim();
+    if (!/^\d{4,8}$/.test(otp)) {
+      throw new BadRequestError("otp is required", { errors: [{ field: "otp", message: "4–8 digits" }] });
+    }
+    return { otp };
+  },
+
+  /** Admin approve / CAD cancel of a payout details change, optional `{ note }`. */
+  cadPayoutDetailsChangeNote(body = {}) {
+    const note = body?.note == null ? null : String(body.note).trim();
+    if (note && note.length > 300) {
+      throw new BadRequestError("note must be at most 300 characters", {
+        errors: [{ field: "note", message: "Too long" }],
+      });
+    }
+    return { note: note || null };
+  },
+
+  /** Admin: reject a payout details change, `{ reason }`. */
+  cadPayoutDetailsChangeReject(body = {}) {
+    const reason = body?.reason == null ? "" : String(body.reason).trim();
+    if (!reason || reason.length > 300) {
+      throw new BadRequestError("reason is required (at most 300 characters)", {
+        errors: [{ field: "reason", message: "Required" }],
+      });
+    }
+    return { reason };
+  },
+
+  /**
+   * CAD: open a wallet dispute. Body: { ledgerEntryId?, assignmentId? (at least one), category, subject,
+   * message, attachments? } — attachments are uploaded file refs ({ url, fileName?, mimeType?, size? }).
+   */
+  cadWalletDisputeCreate(body) {
+    const { CAD_WALLET_DISPUTE_CATEGORY } = require("../models/cad/CadWalletDispute");
+    const out = {};
+    if (body.ledgerEntryId != null && body.ledgerEntryId !== "") {
+      out.ledgerEntryId = String(validObjectId(body.ledgerEntryId, "ledgerEntryId"));
+    }
+    if (body.assignmentId != null && body.assignmentId !== "") {
+      out.assignmentId = String(validObjectId(body.assignmentId, "assignmentId"));
+    }
+    if (!out.ledgerEntryId && !out.assignmentId) {
+      throw new BadRequestError("ledgerEntryId or assignmentId is required", {
+        errors: [{ field: "ledgerEntryId", message: "Link the dispute to a wallet entry or an assignment" }],
+      });
+    }
+    const category = String(body.category || "").trim().toUpperCase();
+    if (!Object.values(CAD_WALLET_DISPUTE_CATEGORY).includes(category)) {
+      throw new BadRequestError(`category must be one of: ${Object.values(CAD_WALLET_DISPUTE_CATEGORY).join(", ")}`, {
+        errors: [{ field: "category", message: "Invalid value" }],
+      });
+    }
+    out.category = category;
+    const subject = body.subject == null ? "" : String(body.subject).trim();
+    if (!subject || subject.length > 200) {
+      throw new BadRequestError("subject is required (at most 200 characters)", {
+        errors: [{ field: "subject", message: "Required" }],
       });
     }
-    return { autoAssignEnabled: normalized };
+    out.subject = subject;
+    return { ...out, ...schemas.cadWalletDisputeMessage(body) };
+  },
+
+  /** CAD / admin: post to a dispute thread, `{ message, attachments? }` (at most 5 files). */
+  cadWalletDisputeMessage(body = {}) {
+    const message = body?.message == null ? "" : String(body.message).trim();
+    if (!message || message.length > 2000) {
+      throw new BadRequestError("message is required (at most 2000 characters)", {
+        errors: [{ field: "message", message: "Required" }],
+      });
+    }
+    const attachments = parseSurveyDocumentList(body.attachments, { maxItems: 5, fieldName: "attachments" }).map(
+      (f) => ({ url: f.url, fileName: f.fileName, mimeType: f.mimeType, size: f.size })
+    );
+    return { message, attachments };
+  },
+
+  /** Admin: resolve a dispute, `{ note, adjustmentPaise? }` — a positive amount posts a wallet credit. */
+  cadWalletDisputeResolve(body = {}) {
+    const note = body?.note == null ? "" : String(body.note).trim();
+    if (!note || note.length > 1000) {
+      throw new BadRequestError("note is required (at most 1000 characters)", {
+        errors: [{ field: "note", message: "Required" }],
+      });
+    }
+    let adjustmentPaise = 0;
+    if (body.adjustmentPaise != null && body.adjustmentPaise !== "") {
+      adjustmentPaise = Number(body.adjustmentPaise);
+      if (!Number.isInteger(adjustmentPaise) || adjustmentPaise < 0 || adjustmentPaise > 10000000) {
+        throw new BadRequestError("adjustmentPaise must be a whole number of paise between 0 and 10000000", {
+          errors: [{ field: "adjustmentPaise", message: "Invalid value" }],
+        });
+      }
+    }
+    return { note, adjustmentPaise };
+  },
+
+  /** Admin: reject a wallet dispute, `{ reason }` (posted on the thread). */
+  cadWalletDisputeReject(body = {}) {
+    const reason = body?.reason == null ? "" : String(body.reason).trim();
+    if (!reason || reason.length > 1000) {
+      throw new BadRequestError("reason is required (at most 1000 characters)", {
+        errors: [{ field: "reason", message: "Required" }],
+      });
+    }
+    return { reason };
+  },
+
+  /** Admin: bank response file for a SUBMITTED payout run, `{ csv, fileName? }`. */
+  cadPayoutBankResponseImport(body) {
+    if (typeof body.csv !== "string" || !body.csv.trim()) {
+      throw new BadRequestError("csv file contents are required", {
+        errors: [{ field: "csv", message: "Required" }],
+      });
+    }
+    if (Buffer.byteLength(body.csv, "utf8") > 5 * 1024 * 1024) {
+      throw new BadRequestError("csv must be at most 5 MB", {
+        errors: [{ field: "csv", message: "Too large" }],
+      });
+    }
+    const out = { csv: body.csv };
+    if (body.fileName != null && String(body.fileName).trim()) {
+      out.fileName = String(body.fileName).trim().slice(0, 200);
+    }
+    return out;
+  },
+
+  /**
+   * Admin: auto-assign flow. At least one of autoAssignEnabled (boolean),
+   * autoAssignMode (CENTER_POOL | CAD_USER), maxConcurrentJobsPerCadUser (1–50) or
+   * routingWeights ({ region, skill, rating, workload, availability }, each 0–100).
+   */
+  surveySketchAssignmentFlowUpdate(body) {
+    const { AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS, AUTO_ASSIGN_MODE } = require("../config/constants");
+    const flowFields = ["autoAssignEnabled", "autoAssignMode", "maxConcurrentJobsPerCadUser", "routingWeights"];
+    if (flowFields.every((f) => body[f] === undefined)) {
+      requireFields(body, ["autoAssignEnabled"]);
+    }
+    const out = {};
+    if (body.autoAssignEnabled !== undefined) {
+      const raw = body.autoAssignEnabled;
+      const normalized =
+        raw === true || raw === false
+          ? raw
+          : String(raw).toLowerCase().trim() === "true"
+            ? true
+            : String(raw).toLowerCase().trim() === "false"
+              ? false
+              : null;
+      if (normalized === null) {
+        throw new BadRequestError("autoAssignEnabled must be boolean", {
+          errors: [{ field: "autoAssignEnabled", message: "Invalid value" }],
+        });
+      }
+      out.autoAssignEnabled = normalized;
+    }
+    if (body.autoAssignMode !== undefined) {
+      const mode = String(body.autoAssignMode).toUpperCase().trim();
+      if (!Object.values(AUTO_ASSIGN_MODE).includes(mode)) {
+        throw new BadRequestError(`autoAssignMode must be one of: ${Object.values(AUTO_ASSIGN_MODE).join(", ")}`, {
+          errors: [{ field: "autoAssignMode", message: "Invalid value" }],
+        });
+      }
+      out.autoAssignMode = mode;
+    }
+    if (body.maxConcurrentJobsPerCadUser !== undefined) {
+      const n = Number(body.maxConcurrentJobsPerCadUser);
+      if (!Number.isInteger(n) || n < 1 || n > 50) {
+        throw new BadRequestError("maxConcurrentJobsPerCadUser must be an integer between 1 and 50", {
+          errors: [{ field: "maxConcurrentJobsPerCadUser", message: "Invalid value" }],
+        });
+      }
+      out.maxConcurrentJobsPerCadUser = n;
+    }
+    if (body.routingWeights !== undefined) {
+      const rw = body.routingWeights;
+      if (!rw || typeof rw !== "object" || Array.isArray(rw)) {
+        throw new BadRequestError("routingWeights must be an object", {
+          errors: [{ field: "routingWeights", message: "Invalid value" }],
+        });
+      }
+      const factors = Object.keys(AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS);
+      const unknown = Object.keys(rw).filter((k) => !factors.includes(k));
+      if (unknown.length) {
+        throw new BadRequestError(`Unknown routing weight: ${unknown.join(", ")}`, {
+          errors: unknown.map((k) => ({ field: `routingWeights.${k}`, message: "Unknown factor" })),
+        });
+      }
+      const weights = {};
+      for (const factor of factors) {
+        if (rw[factor] === undefined) continue;
+        const n = typeof rw[factor] === "number" ? rw[factor] : Number(String(rw[factor]).trim());
+        if (rw[factor] === null || !Number.isFinite(n) || n < 0 || n > 100) {
+          throw new BadRequestError(`routingWeights.${factor} must be a number between 0 and 100`, {
+            errors: [{ field: `routingWeights.${factor}`, message: "Invalid value" }],
+          });
+        }
+        weights[factor] = n;
+      }
+      if (Object.keys(weights).length === 0) {
+        throw new BadRequestError("routingWeights must include at least one factor", {
+          errors: [{ field: "routingWeights", message: "Empty update" }],
+        });
+      }
+      out.routingWeights = weights;
+    }
+    return out;
   },
 
   /** Admin: standard sketch upload / revision pricing (rupees). At least one field. */
@@ -1035,6 +1461,8 @@ const schemas = {
       "sketchBalanceDiscountRupees",
       "sketchSuperimposePlanAmountRupees",
       "sketchSuperimposeDiscountRupees",
+      "sketchExpressPlanAmountRupees",
+      "sketchExpressDiscountRupees",
     ];
     for (const field of rupeeFields) {
       if (body[field] === undefined) continue;
@@ -1058,6 +1486,250 @@ const schemas = {
     return out;
   },
 
+  /**
+   * Admin: checkout gateway per payment purpose.
+   * Body: { purposeProviders: { BOOKING?: "PHONEPE"|"RAZORPAY"|"FAKE"|null, BALANCE?, REVISION?, WALLET_TOPUP? } } — null = default.
+   */
+  paymentProviderSettingsUpdate(body) {
+    const { PAYMENT_PURPOSE, PAYMENT_PROVIDER } = require("../models/payment/PaymentAttempt");
+    const raw = body.purposeProviders;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new BadRequestError("purposeProviders object is required", {
+        errors: [{ field: "purposeProviders", message: "Required" }],
+      });
+    }
+    const purposeProviders = {};
+    for (const [purpose, value] of Object.entries(raw)) {
+      if (!Object.values(PAYMENT_PURPOSE).includes(purpose)) {
+        throw new BadRequestError(`Unknown payment purpose: ${purpose}`, {
+          errors: [{ field: `purposeProviders.${purpose}`, message: "Invalid purpose" }],
+        });
+      }
+      if (value === null || value === "") {
+        purposeProviders[purpose] = null;
+        continue;
+      }
+      const name = String(value).toUpperCase().trim();
+      if (!Object.values(PAYMENT_PROVIDER).includes(name)) {
+        throw new BadRequestError(`Unknown payment provider: ${value}`, {
+          errors: [{ field: `purposeProviders.${purpose}`, message: "Invalid provider" }],
+        });
+      }
+      purposeProviders[purpose] = name;
+    }
+    if (Object.keys(purposeProviders).length === 0) {
+      throw new BadRequestError("At least one purpose is required", {
+        errors: [{ field: "purposeProviders", message: "Empty update" }],
+      });
+    }
+    return { purposeProviders };
+  },
+
+  /**
+   * Admin: tax invoice settings. Body: { seller?: { legalName, gstin, address, stateCode, email },
+   * sacCode?, gstRateBps?, numberPrefix?, serviceDescription? } — null / "" clears a field to its default.
+   */
+  invoiceSettingsUpdate(body) {
+    const { GSTIN_PATTERN, GST_STATE_CODES } = require("../config/taxInvoice");
+    const out = {};
+    const str = (v) => (v == null ? null : String(v).trim() || null);
+    const fail = (field, message) => {
+      throw new BadRequestError(`${field}: ${message}`, { errors: [{ field, message }] });
+    };
+    if (body.seller !== undefined) {
+      if (!body.seller || typeof body.seller !== "object" || Array.isArray(body.seller)) fail("seller", "Must be an object");
+      const seller = {};
+      for (const [field, max] of [["legalName", 200], ["address", 500], ["email", 150]]) {
+        if (body.seller[field] === undefined) continue;
+        const v = str(body.seller[field]);
+        if (v && v.length > max) fail(`seller.${field}`, `At most ${max} characters`);
+        seller[field] = v;
+      }
+      if (body.seller.gstin !== undefined) {
+        const v = str(body.seller.gstin)?.toUpperCase() || null;
+        if (v && !GSTIN_PATTERN.test(v)) fail("seller.gstin", "Invalid GSTIN");
+        seller.gstin = v;
+      }
+      if (body.seller.stateCode !== undefined) {
+        const v = str(body.seller.stateCode);
+        if (v && !GST_STATE_CODES[v]) fail("seller.stateCode", "Unknown GST state code");
+        seller.stateCode = v;
+      }
+      if (seller.gstin && seller.stateCode && seller.gstin.slice(0, 2) !== seller.stateCode) {
+        fail("seller.stateCode", "Must match the GSTIN state code");
+      }
+      out.seller = seller;
+    }
+    if (body.sacCode !== undefined) {
+      const v = str(body.sacCode);
+      if (v && !/^\d{4}(\d{2})?$/.test(v)) fail("sacCode", "Must be a 4- or 6-digit SAC");
+      out.sacCode = v;
+    }
+    if (body.gstRateBps !== undefined) {
+      const v = body.gstRateBps === null || body.gstRateBps === "" ? null : Number(body.gstRateBps);
+      if (v !== null && (!Number.isInteger(v) || v < 0 || v > 2800)) fail("gstRateBps", "Integer basis points 0–2800");
+      out.gstRateBps = v;
+    }
+    if (body.numberPrefix !== undefined) {
+      const v = str(body.numberPrefix)?.toUpperCase() || null;
+      if (v && !/^[A-Z0-9]{1,3}$/.test(v)) fail("numberPrefix", "1–3 letters or digits");
+      out.numberPrefix = v;
+    }
+    if (body.serviceDescription !== undefined) {
+      const v = str(body.serviceDescription);
+      if (v && v.length > 200) fail("serviceDescription", "At most 200 characters");
+      out.serviceDescription = v;
+    }
+    if (Object.keys(out).length === 0) {
+      throw new BadRequestError("At least one setting is required", {
+        errors: [{ field: "body", message: "Empty update" }],
+      });
+    }
+    return out;
+  },
+
+  /**
+   * Admin: TDS on CAD payouts. Body: { enabled?, deductor?: { name, tan }, section?: "194C"|"194J",
+   * rate194CIndividualBps?, rate194COtherBps?, rate194JBps?, noPanRateBps? } — null / "" clears to the default.
+   */
+  cadTdsSettingsUpdate(body) {
+    const { TAN_PATTERN, TDS_SECTION } = require("../config/cadTds");
+    const out = {};
+    const str = (v) => (v == null ? null : String(v).trim() || null);
+    const fail = (field, message) => {
+      throw new BadRequestError(`${field}: ${message}`, { errors: [{ field, message }] });
+    };
+    if (body.enabled !== undefined) {
+      if (typeof body.enabled !== "boolean") fail("enabled", "Must be true or false");
+      out.enabled = body.enabled;
+    }
+    if (body.deductor !== undefined) {
+      if (!body.deductor || typeof body.deductor !== "object" || Array.isArray(body.deductor)) {
+        fail("deductor", "Must be an object");
+      }
+      const deductor = {};
+      if (body.deductor.name !== undefined) {
+        const v = str(body.deductor.name);
+        if (v && v.length > 200) fail("deductor.name", "At most 200 characters");
+        deductor.name = v;
+      }
+      if (body.deductor.tan !== undefined) {
+        const v = str(body.deductor.tan)?.toUpperCase() || null;
+        if (v && !TAN_PATTERN.test(v)) fail("deductor.tan", "Invalid TAN");
+        deductor.tan = v;
+      }
+      out.deductor = deductor;
+    }
+    if (body.section !== undefined) {
+      const v = str(body.section);
+      if (v && !Object.values(TDS_SECTION).includes(v)) fail("section", "Must be 194C or 194J");
+      out.section = v;
+    }
+    for (const field of ["rate194CIndividualBps", "rate194COtherBps", "rate194JBps", "noPanRateBps"]) {
+      if (body[field] === undefined) continue;
+      const v = body[field] === null || body[field] === "" ? null : Number(body[field]);
+      if (v !== null && (!Number.isInteger(v) || v < 0 || v > 5000)) fail(field, "Integer basis points 0–5000");
+      out[field] = v;
+    }
+    if (Object.keys(out).length === 0) {
+      throw new BadRequestError("At least one setting is required", {
+        errors: [{ field: "body", message: "Empty update" }],
+      });
+    }
+    return out;
+  },
+
+  /**
+   * Admin: upsert SLA holidays into one list.
+   * Body: { listKey?: "IN_NATIONAL", holidays: [{ date: "YYYY-MM-DD", name }] } (max 100).
+   */
+  slaHolidayUpsert(body) {
+    const { SLA_DEFAULT_HOLIDAY_LIST } = require("../config/constants");
+    const listKey =
+      body.listKey != null && String(body.listKey).trim()
+        ? String(body.listKey).trim().toUpperCase()
+        : SLA_DEFAULT_HOLIDAY_LIST;
+    if (!/^[A-Z0-9_]{2,40}$/.test(listKey)) {
+      throw new BadRequestError("listKey must be 2–40 chars of A–Z, 0–9, _", {
+        errors: [{ field: "listKey", message: "Invalid value" }],
+      });
+    }
+    const rows = Array.isArray(body.holidays) ? body.holidays : body.date ? [body] : null;
+    if (!rows || !rows.length || rows.length > 100) {
+      throw new BadRequestError("holidays must be a non-empty array (max 100)", {
+        errors: [{ field: "holidays", message: "Required" }],
+      });
+    }
+    const holidays = rows.map((h, i) => {
+      const date = String(h?.date || "").trim();
+      const parsed = new Date(`${date}T00:00:00.000Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+        throw new BadRequestError(`holidays[${i}].date must be YYYY-MM-DD`, {
+          errors: [{ field: `holidays[${i}].date`, message: "Invalid date" }],
+        });
+      }
+      const name = String(h?.name || "").trim();
+      if (!name || name.length > 200) {
+        throw new BadRequestError(`holidays[${i}].name is required (max 200 chars)`, {
+          errors: [{ field: `holidays[${i}].name`, message: "Required" }],
+        });
+      }
+      return { date, name };
+    });
+    return { listKey, holidays };
+  },
+
+  /**
+   * Complete a delivery QC review: one result per 11E checklist code (PASS | FAIL | NA).
+   * FAIL needs a note (sent to the CAD user). NA on required checks is rejected by the service.
+   */
+  qcReviewComplete(body) {
+    const { QC_CHECK_RESULT } = require("../config/constants");
+    const { QC_CHECKLIST_11E } = require("../config/lifecycleQcSpec");
+    const codes = QC_CHECKLIST_11E.map((c) => c.code);
+    const rows = Array.isArray(body.checks) ? body.checks : null;
+    if (!rows || rows.length !== codes.length) {
+      throw new BadRequestError(`checks must list all ${codes.length} QC items`, {
+        errors: [{ field: "checks", message: `Expected one entry per code: ${codes.join(", ")}` }],
+      });
+    }
+    const seen = new Set();
+    const checks = rows.map((row, i) => {
+      const code = String(row?.code || "").trim().toUpperCase();
+      if (!codes.includes(code) || seen.has(code)) {
+        throw new BadRequestError(`checks[${i}].code must be a distinct QC code`, {
+          errors: [{ field: `checks[${i}].code`, message: `Must be one of: ${codes.join(", ")}` }],
+        });
+      }
+      seen.add(code);
+      const result = String(row?.result || "").trim().toUpperCase();
+      if (!Object.values(QC_CHECK_RESULT).includes(result)) {
+        throw new BadRequestError(`checks[${i}].result must be PASS, FAIL or NA`, {
+          errors: [{ field: `checks[${i}].result`, message: "Invalid value" }],
+        });
+      }
+      const note = row?.note != null ? String(row.note).trim() : "";
+      if (note.length > 500) {
+        throw new BadRequestError(`checks[${i}].note max 500 chars`, {
+          errors: [{ field: `checks[${i}].note`, message: "Too long" }],
+        });
+      }
+      if (result === QC_CHECK_RESULT.FAIL && !note) {
+        throw new BadRequestError(`checks[${i}].note is required when result is FAIL`, {
+          errors: [{ field: `checks[${i}].note`, message: "Required" }],
+        });
+      }
+      return { code, result, note: note || null };
+    });
+    const notes = body.notes != null ? String(body.notes).trim() : "";
+    if (notes.length > 2000) {
+      throw new BadRequestError("notes max 2000 chars", {
+        errors: [{ field: "notes", message: "Too long" }],
+      });
+    }
+    return { checks, notes: notes || null };
+  },
+
   // -------- Surveyor Sketch Upload --------
   /**
    * Create surveyor sketch upload (survey info + document URLs).
@@ -1178,6 +1850,8 @@ const schemas = {
 
     // Optional isSuperimpose — server prices add-on when true (never trust client amounts).
     const isSuperimpose = body.isSuperimpose === true || body.isSuperimpose === "true";
+    // Optional orderType — EXPRESS_11E adds the contract express surcharge and shorter SLA.
+    const orderType = parseOrderType(body.orderType);
 
     // Auto-set to true when the corresponding separate file(s) were uploaded
     for (const [docKey, flagName] of Object.entries(DOC_KEY_TO_FLAG)) {
@@ -1200,9 +1874,12 @@ const schemas = {
       singleUpload: singleUpload.length ? singleUpload : undefined,
       ...indicators,
       isSuperimpose,
+      orderType,
       audio: audio.length ? audio : undefined,
       others: others || undefined,
       other_documents: other_documents.length ? other_documents : undefined,
+      couponCode: parseCouponCode(body.couponCode),
+      useWallet: parseUseWallet(body.useWallet),
     };
   },
 
@@ -1277,6 +1954,10 @@ const schemas = {
       payload.isSuperimpose = body.isSuperimpose === true || body.isSuperimpose === "true";
     }
 
+    if (body.orderType !== undefined) {
+      payload.orderType = parseOrderType(body.orderType);
+    }
+
     if (body.audio !== undefined) {
       if (body.audio == null || body.audio === "") {
         payload.audio = [];
@@ -1537,10 +2218,431 @@ const schemas = {
     return { decision, note };
   },
 
-  /** Exceptional Admin balance refund mark (approved refund policy — not customer entitlement). */
-  balanceRefundMark(body) {
+  /**
+   * Exceptional Admin refund (approved refund policy — not customer entitlement).
+   * Body: { reasonCode, note, merchantOrderId?, offPlatform?, amountPaise? } — offPlatform records a refund made
+   * outside the gateway; amountPaise refunds part of the payment (default: everything not yet refunded).
+   */
+  paymentRefundRequest(body = {}) {
     const { assertExceptionalAdminRefundAllowed } = require("../config/refundPolicy");
-    return assertExceptionalAdminRefundAllowed(body || {});
+    const approved = assertExceptionalAdminRefundAllowed(body);
+    if (body.offPlatform !== undefined && typeof body.offPlatform !== "boolean") {
+      throw new BadRequestError("offPlatform must be a boolean", {
+        errors: [{ field: "offPlatform", message: "Must be true or false" }],
+      });
+    }
+    let merchantOrderId = null;
+    if (body.merchantOrderId != null && body.merchantOrderId !== "") {
+      merchantOrderId = String(body.merchantOrderId).trim();
+      if (!/^[A-Za-z0-9_-]{1,64}$/.test(merchantOrderId)) {
+        throw new BadRequestError("merchantOrderId is invalid", {
+          errors: [{ field: "merchantOrderId", message: "Invalid order id" }],
+        });
+      }
+    }
+    let amountPaise = null;
+    if (body.amountPaise != null && body.amountPaise !== "") {
+      amountPaise = Number(body.amountPaise);
+      if (!Number.isInteger(amountPaise) || amountPaise < 1) {
+        throw new BadRequestError("amountPaise must be a positive integer", {
+          errors: [{ field: "amountPaise", message: "Positive integer (paise)" }],
+        });
+      }
+    }
+    return { ...approved, merchantOrderId, offPlatform: body.offPlatform === true, amountPaise };
+  },
+
+  /** Balance refund (POST …/balance-refund) — same body as paymentRefundRequest. */
+  balanceRefundMark(body) {
+    return schemas.paymentRefundRequest(body);
+  },
+
+  /** Revision fee refund — paymentRefundRequest body plus the paid revision number. */
+  revisionRefundRequest(body) {
+    const revisionNo = Number(body?.revisionNo);
+    if (!Number.isInteger(revisionNo) || revisionNo < 1) {
+      throw new BadRequestError("revisionNo must be a positive integer", {
+        errors: [{ field: "revisionNo", message: "Required" }],
+      });
+    }
+    return { ...schemas.paymentRefundRequest(body), revisionNo };
+  },
+
+  /**
+   * Admin: import a gateway settlement report.
+   * Body: { provider: "PHONEPE", csv: "<file text>", fileName?, periodFrom?, periodTo? } (csv ≤ 5 MB).
+   */
+  paymentSettlementImport(body) {
+    const { PAYMENT_PROVIDER } = require("../models/payment/PaymentAttempt");
+    const provider = String(body.provider || "").toUpperCase().trim();
+    if (!Object.values(PAYMENT_PROVIDER).includes(provider)) {
+      throw new BadRequestError("provider is required", {
+        errors: [{ field: "provider", message: "Invalid provider" }],
+      });
+    }
+    if (typeof body.csv !== "string" || !body.csv.trim()) {
+      throw new BadRequestError("csv file contents are required", {
+        errors: [{ field: "csv", message: "Required" }],
+      });
+    }
+    if (Buffer.byteLength(body.csv, "utf8") > 5 * 1024 * 1024) {
+      throw new BadRequestError("csv must be at most 5 MB", {
+        errors: [{ field: "csv", message: "Too large" }],
+      });
+    }
+    const out = { provider, csv: body.csv };
+    if (body.fileName != null && String(body.fileName).trim()) {
+      out.fileName = String(body.fileName).trim().slice(0, 200);
+    }
+    for (const field of ["periodFrom", "periodTo"]) {
+      if (body[field] == null || body[field] === "") continue;
+      const d = new Date(body[field]);
+      if (Number.isNaN(d.getTime())) {
+        throw new BadRequestError(`${field} must be a date`, {
+          errors: [{ field, message: "Invalid date" }],
+        });
+      }
+      out[field] = d;
+    }
+    if ((out.periodFrom == null) !== (out.periodTo == null) || (out.periodFrom && out.periodFrom >= out.periodTo)) {
+      throw new BadRequestError("periodFrom and periodTo must be given together, periodFrom first", {
+        errors: [{ field: "periodTo", message: "Invalid period" }],
+      });
+    }
+    return out;
+  },
+
+  /**
+   * Admin: coupon terms. Body: { code, description?, discountType: "PERCENT"|"FLAT", percentOff?, amountOffRupees?,
+   * maxDiscountRupees?, appliesTo: ["BOOKING"|"BALANCE"|"REVISION"|"SUPERIMPOSE"], districts?, surveyorCategories?,
+   * validFrom?, validUntil?, maxRedemptions?, maxRedemptionsPerUser?, stacking?: "STACK"|"BEST_OF", active? }.
+   * Cross-field rules (type ↔ amount, window order) are checked by coupon.service on the merged terms.
+   */
+  couponCreate(body, { partial = false } = {}) {
+    const {
+      COUPON_DISCOUNT_TYPE,
+      COUPON_FEE_LINE,
+      COUPON_STACKING,
+      COUPON_SURVEYOR_CATEGORIES,
+    } = require("../models/payment/Coupon");
+    const out = {};
+    if (!partial) {
+      requireFields(body, ["code", "discountType", "appliesTo"]);
+      out.code = parseCouponCode(body.code, "code");
+    } else if (body.code !== undefined) {
+      throw new BadRequestError("code cannot be changed; create a new coupon instead", {
+        errors: [{ field: "code", message: "Immutable" }],
+      });
+    }
+    const oneOf = (field, allowed) => {
+      const v = String(body[field]).toUpperCase().trim();
+      if (!allowed.includes(v)) {
+        throw new BadRequestError(`${field} must be one of ${allowed.join(", ")}`, {
+          errors: [{ field, message: "Invalid value" }],
+        });
+      }
+      return v;
+    };
+    const number = (field, { min, max = Infinity, integer = false, nullable = true }) => {
+      if (body[field] === undefined) return;
+      if (body[field] === null || body[field] === "") {
+        if (!nullable) {
+          throw new BadRequestError(`${field} is required`, { errors: [{ field, message: "Required" }] });
+        }
+        out[field] = null;
+        return;
+      }
+      const n = typeof body[field] === "number" ? body[field] : Number(String(body[field]).trim());
+      if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+        throw new BadRequestError(`${field} must be ${integer ? "an integer" : "a number"} from ${min}`, {
+          errors: [{ field, message: "Invalid value" }],
+        });
+      }
+      out[field] = n;
+    };
+    const list = (field, parseItem) => {
+      if (body[field] === undefined) return;
+      if (body[field] !== null && !Array.isArray(body[field])) {
+        throw new BadRequestError(`${field} must be an array`, { errors: [{ field, message: "Invalid value" }] });
+      }
+      out[field] = [...new Set((body[field] || []).map(parseItem))];
+    };
+
+    if (body.description !== undefined) {
+      out.description = body.description == null ? null : String(body.description).trim().slice(0, 300) || null;
+    }
+    if (body.discountType !== undefined) out.discountType = oneOf("discountType", Object.values(COUPON_DISCOUNT_TYPE));
+    number("percentOff", { min: 1, max: 100 });
+    number("amountOffRupees", { min: 1 });
+    number("maxDiscountRupees", { min: 1 });
+    number("maxRedemptions", { min: 1, integer: true });
+    number("maxRedemptionsPerUser", { min: 1, integer: true, nullable: false });
+    list("appliesTo", (v) => String(v).toUpperCase().trim());
+    if (out.appliesTo !== undefined) {
+      const bad = out.appliesTo.find((v) => !Object.values(COUPON_FEE_LINE).includes(v));
+      if (bad !== undefined || out.appliesTo.length === 0) {
+        throw new BadRequestError(`appliesTo must list fee lines: ${Object.values(COUPON_FEE_LINE).join(", ")}`, {
+          errors: [{ field: "appliesTo", message: bad !== undefined ? `Unknown fee line ${bad}` : "Required" }],
+        });
+      }
+    }
+    list("districts", (v) => validObjectId(v, "districts"));
+    list("surveyorCategories", (v) => String(v).toUpperCase().trim());
+    if ((out.surveyorCategories || []).some((v) => !COUPON_SURVEYOR_CATEGORIES.includes(v))) {
+      throw new BadRequestError(`surveyorCategories must be among ${COUPON_SURVEYOR_CATEGORIES.join(", ")}`, {
+        errors: [{ field: "surveyorCategories", message: "Invalid value" }],
+      });
+    }
+    for (const field of ["validFrom", "validUntil"]) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === "") {
+        out[field] = null;
+        continue;
+      }
+      const d = new Date(body[field]);
+      if (Number.isNaN(d.getTime())) {
+        throw new BadRequestError(`${field} must be a date`, { errors: [{ field, message: "Invalid date" }] });
+      }
+      out[field] = d;
+    }
+    if (body.stacking !== undefined) out.stacking = oneOf("stacking", Object.values(COUPON_STACKING));
+    if (body.active !== undefined) {
+      if (typeof body.active !== "boolean") {
+        throw new BadRequestError("active must be a boolean", {
+          errors: [{ field: "active", message: "Must be true or false" }],
+        });
+      }
+      out.active = body.active;
+    }
+    if (partial && Object.keys(out).length === 0) {
+      throw new BadRequestError("At least one coupon field is required", {
+        errors: [{ field: "body", message: "Empty update" }],
+      });
+    }
+    return out;
+  },
+
+  /** Admin: PATCH coupon — any couponCreate field except code. */
+  couponUpdate(body) {
+    return schemas.couponCreate(body, { partial: true });
+  },
+
+  /**
+   * Surveyor: price a code before checkout. Body: { code, purpose: "BOOKING"|"BALANCE"|"REVISION",
+   * uploadId (BALANCE / REVISION), district?, isSuperimpose?, orderType? (BOOKING) }.
+   */
+  couponPreview(body) {
+    const { PAYMENT_PURPOSE } = require("../models/payment/PaymentAttempt");
+    requireFields(body, ["code", "purpose"]);
+    const code = parseCouponCode(body.code, "code");
+    const purpose = String(body.purpose).toUpperCase().trim();
+    if (![PAYMENT_PURPOSE.BOOKING, PAYMENT_PURPOSE.BALANCE, PAYMENT_PURPOSE.REVISION].includes(purpose)) {
+      throw new BadRequestError("purpose must be BOOKING, BALANCE or REVISION", {
+        errors: [{ field: "purpose", message: "Invalid value" }],
+      });
+    }
+    if (purpose === PAYMENT_PURPOSE.BOOKING) {
+      return {
+        code,
+        purpose,
+        district: body.district != null && body.district !== "" ? validObjectId(body.district, "district") : null,
+        isSuperimpose: body.isSuperimpose === true || String(body.isSuperimpose).toLowerCase() === "true",
+        orderType: parseOrderType(body.orderType),
+      };
+    }
+    return { code, purpose, uploadId: validObjectId(body.uploadId, "uploadId") };
+  },
+
+  /** Surveyor: wallet top-up. Body: { amountRupees } (credit the balance) or { bundlePackCode } (buy a pack). */
+  walletTopupCreate(body) {
+    const hasAmount = body.amountRupees !== undefined && body.amountRupees !== null && body.amountRupees !== "";
+    const hasPack = body.bundlePackCode !== undefined && body.bundlePackCode !== null && body.bundlePackCode !== "";
+    if (hasAmount === hasPack) {
+      throw new BadRequestError("Send either amountRupees or bundlePackCode", {
+        errors: [{ field: "body", message: "Exactly one of amountRupees, bundlePackCode" }],
+      });
+    }
+    if (hasPack) return { bundlePackCode: parseCouponCode(body.bundlePackCode, "bundlePackCode") };
+    const amountPaise = parseRupeesToPaise(body.amountRupees, "amountRupees");
+    if (amountPaise % 100 !== 0) {
+      throw new BadRequestError("amountRupees must be whole rupees", {
+        errors: [{ field: "amountRupees", message: "Invalid value" }],
+      });
+    }
+    return { amountRupees: amountPaise / 100 };
+  },
+
+  /**
+   * Admin: surveyor wallet adjustment. Body: { direction: "CREDIT"|"DEBIT", note, amountRupees? |
+   * (credits, orderType) } — money or bundle order credits, not both.
+   */
+  walletAdjustment(body) {
+    requireFields(body, ["direction", "note"]);
+    const direction = String(body.direction).toUpperCase().trim();
+    if (!["CREDIT", "DEBIT"].includes(direction)) {
+      throw new BadRequestError("direction must be CREDIT or DEBIT", {
+        errors: [{ field: "direction", message: "Invalid value" }],
+      });
+    }
+    const note = String(body.note).trim().slice(0, 500);
+    if (!note) {
+      throw new BadRequestError("note is required", { errors: [{ field: "note", message: "Required" }] });
+    }
+    const hasAmount = body.amountRupees !== undefined && body.amountRupees !== null && body.amountRupees !== "";
+    const hasCredits = body.credits !== undefined && body.credits !== null && body.credits !== "";
+    if (hasAmount === hasCredits) {
+      throw new BadRequestError("Send either amountRupees or credits", {
+        errors: [{ field: "body", message: "Exactly one of amountRupees, credits" }],
+      });
+    }
+    if (hasAmount) {
+      const amountPaise = parseRupeesToPaise(body.amountRupees, "amountRupees");
+      if (amountPaise <= 0) {
+        throw new BadRequestError("amountRupees must be greater than zero", {
+          errors: [{ field: "amountRupees", message: "Invalid value" }],
+        });
+      }
+      return { direction, note, amountRupees: amountPaise / 100 };
+    }
+    const credits = Number(body.credits);
+    if (!Number.isInteger(credits) || credits < 1 || credits > 500) {
+      throw new BadRequestError("credits must be an integer from 1 to 500", {
+        errors: [{ field: "credits", message: "Invalid value" }],
+      });
+    }
+    requireFields(body, ["orderType"]);
+    return { direction, note, credits, orderType: parseOrderType(body.orderType) };
+  },
+
+  /** Admin: bundle pack. Body: { code, name, description?, orderType, orders, priceRupees, active? }. */
+  bundlePackCreate(body, { partial = false } = {}) {
+    const out = {};
+    if (!partial) {
+      requireFields(body, ["code", "name", "orderType", "orders", "priceRupees"]);
+      out.code = parseCouponCode(body.code, "code");
+      out.orderType = parseOrderType(body.orderType);
+    } else if (body.code !== undefined || body.orderType !== undefined) {
+      const field = body.code !== undefined ? "code" : "orderType";
+      throw new BadRequestError(`${field} cannot be changed; create a new pack instead`, {
+        errors: [{ field, message: "Immutable" }],
+      });
+    }
+    if (body.name !== undefined) {
+      out.name = String(body.name ?? "").trim().slice(0, 120);
+      if (!out.name) throw new BadRequestError("name is required", { errors: [{ field: "name", message: "Required" }] });
+    }
+    if (body.description !== undefined) {
+      out.description = body.description == null ? null : String(body.description).trim().slice(0, 300) || null;
+    }
+    if (body.orders !== undefined) {
+      const orders = Number(body.orders);
+      if (!Number.isInteger(orders) || orders < 1 || orders > 500) {
+        throw new BadRequestError("orders must be an integer from 1 to 500", {
+          errors: [{ field: "orders", message: "Invalid value" }],
+        });
+      }
+      out.orders = orders;
+    }
+    if (body.priceRupees !== undefined) {
+      const pricePaise = parseRupeesToPaise(body.priceRupees, "priceRupees");
+      if (pricePaise < 100) {
+        throw new BadRequestError("priceRupees must be at least 1", {
+          errors: [{ field: "priceRupees", message: "Invalid value" }],
+        });
+      }
+      out.priceRupees = pricePaise / 100;
+    }
+    if (body.active !== undefined) {
+      if (typeof body.active !== "boolean") {
+        throw new BadRequestError("active must be a boolean", {
+          errors: [{ field: "active", message: "Must be true or false" }],
+        });
+      }
+      out.active = body.active;
+    }
+    if (partial && Object.keys(out).length === 0) {
+      throw new BadRequestError("At least one bundle pack field is required", {
+        errors: [{ field: "body", message: "Empty update" }],
+      });
+    }
+    return out;
+  },
+
+  /** Admin: PATCH bundle pack — name, description, orders, priceRupees, active. */
+  bundlePackUpdate(body) {
+    return schemas.bundlePackCreate(body, { partial: true });
+  },
+
+  /**
+   * Admin: schedule a sketch pricing version. { version, effectiveFrom, approvedBy, approvedAt?,
+   * approvalReference?, publicCopy?, bookingRupees?, balanceRupees?, revisionRupees?, superimposeRupees?,
+   * expressRupees? } — omitted amounts carry over from the contract in force just before effectiveFrom.
+   */
+  sketchPricingVersionCreate(body) {
+    requireFields(body, ["version", "effectiveFrom", "approvedBy"]);
+    const version = String(body.version).trim().toUpperCase();
+    if (!/^[A-Z0-9][A-Z0-9_.-]{2,39}$/.test(version)) {
+      throw new BadRequestError("version must be 3-40 letters, digits, '_', '-' or '.'", {
+        errors: [{ field: "version", message: "Invalid format" }],
+      });
+    }
+    const out = { version };
+    for (const field of ["effectiveFrom", "approvedAt"]) {
+      if (body[field] === undefined || body[field] === null || body[field] === "") continue;
+      const d = new Date(body[field]);
+      if (Number.isNaN(d.getTime())) {
+        throw new BadRequestError(`${field} must be a date`, { errors: [{ field, message: "Invalid date" }] });
+      }
+      out[field] = d;
+    }
+    const approvedBy = String(body.approvedBy).trim();
+    if (!approvedBy || approvedBy.length > 120) {
+      throw new BadRequestError("approvedBy must be 1-120 characters", {
+        errors: [{ field: "approvedBy", message: "Invalid value" }],
+      });
+    }
+    out.approvedBy = approvedBy;
+    for (const [field, max] of [
+      ["approvalReference", 200],
+      ["publicCopy", 500],
+    ]) {
+      if (body[field] === undefined || body[field] === null) continue;
+      const text = String(body[field]).trim();
+      if (text.length > max) {
+        throw new BadRequestError(`${field} must be at most ${max} characters`, {
+          errors: [{ field, message: "Too long" }],
+        });
+      }
+      if (text) out[field] = text;
+    }
+    const amounts = {};
+    for (const [field, key] of [
+      ["bookingRupees", "bookingPaise"],
+      ["balanceRupees", "balancePaise"],
+      ["revisionRupees", "revisionPaise"],
+      ["superimposeRupees", "superimposePaise"],
+      ["expressRupees", "expressPaise"],
+    ]) {
+      const paise = parseRupeesToPaise(body[field], field);
+      if (paise !== undefined) amounts[key] = paise;
+    }
+    if (Object.keys(amounts).length === 0) {
+      throw new BadRequestError("At least one price is required", {
+        errors: [{ field: "body", message: "No amounts" }],
+      });
+    }
+    out.amounts = amounts;
+    return out;
+  },
+
+  sketchPricingVersionCancel(body = {}) {
+    const reason = body?.reason == null ? null : String(body.reason).trim();
+    if (reason && reason.length > 300) {
+      throw new BadRequestError("reason must be at most 300 characters", {
+        errors: [{ field: "reason", message: "Too long" }],
+      });
+    }
+    return { reason: reason || null };
   },
 };
 
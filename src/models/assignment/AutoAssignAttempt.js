@@ -10,6 +10,27 @@ const AUTO_ASSIGN_ATTEMPT_OUTCOME = Object.freeze({
   SKIPPED: "SKIPPED",
 });
 
+/** One scored CAD center considered by the router (why a center won / lost). */
+const RoutingCandidateSchema = new mongoose.Schema(
+  {
+    cadCenterId: { type: mongoose.Schema.Types.ObjectId, ref: "CadCenter", required: true },
+    name: { type: String, default: null },
+    code: { type: String, default: null },
+    rank: { type: Number, required: true, min: 1 },
+    score: { type: Number, required: true },
+    factors: {
+      region: { type: Number, default: 0 },
+      skill: { type: Number, default: 0 },
+      rating: { type: Number, default: 0 },
+      workload: { type: Number, default: 0 },
+      availability: { type: Number, default: 0 },
+    },
+    currentLoad: { type: Number, default: 0 },
+    memberCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const AutoAssignAttemptSchema = new mongoose.Schema(
   {
     surveyorSketchUpload: {
@@ -33,9 +54,44 @@ const AutoAssignAttemptSchema = new mongoose.Schema(
     failureCode: { type: String, default: null, index: true },
     failureReason: { type: String, default: null, maxlength: 500 },
     cadCenterId: { type: mongoose.Schema.Types.ObjectId, ref: "CadCenter", default: null },
+    /** Set when CAD_USER mode assigned straight to a CAD user. */
+    cadUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: "SurveySketchAssignment", default: null },
     actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     correlationId: { type: String, default: null },
+    /** Skill/jurisdiction router snapshot: job inputs, weights used, top-ranked candidates. */
+    routing: {
+      type: new mongoose.Schema(
+        {
+          mode: { type: String, default: null },
+          job: {
+            district: { type: mongoose.Schema.Types.ObjectId, ref: "District", default: null },
+            taluka: { type: mongoose.Schema.Types.ObjectId, ref: "Taluka", default: null },
+            surveyType: { type: String, default: null },
+            isSuperimpose: { type: Boolean, default: false },
+            requiredSkills: { type: [String], default: () => [] },
+          },
+          weights: { type: mongoose.Schema.Types.Mixed, default: null },
+          candidates: { type: [RoutingCandidateSchema], default: () => [] },
+          /** CAD_USER mode pick; null with fallbackReason when the job went to the center pool. */
+          cadUser: {
+            type: new mongoose.Schema(
+              {
+                cadUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+                cadCenterId: { type: mongoose.Schema.Types.ObjectId, ref: "CadCenter", default: null },
+                activeJobs: { type: Number, default: 0 },
+                skillCoverage: { type: Number, default: 0 },
+              },
+              { _id: false }
+            ),
+            default: null,
+          },
+          fallbackReason: { type: String, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     meta: { type: mongoose.Schema.Types.Mixed, default: null },
   },
   { timestamps: { createdAt: true, updatedAt: false }, collection: "auto_assign_attempts", strict: true }
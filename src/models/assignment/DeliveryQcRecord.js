@@ -0,0 +1,78 @@
+/**
+ * QC review of one CAD delivery (11E checklist, M-08).
+ * Opened when the CAD user delivers; an admin / QC reviewer completes it.
+ * PASSED releases the files to the surveyor (CAD_DELIVERED); FAILED returns the job to the CAD user.
+ */
+
+const mongoose = require("mongoose");
+const { DELIVERY_QC_STATUS, QC_CHECK_RESULT } = require("../../config/constants");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
+
+/** One checklist item as frozen at delivery time, plus the reviewer's result. */
+const QcCheckSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true },
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    required: { type: Boolean, default: true },
+    /** null until reviewed. */
+    result: { type: String, enum: [...Object.values(QC_CHECK_RESULT), null], default: null },
+    note: { type: String, trim: true, maxlength: 500, default: null },
+    /** DXF parser finding (BOUNDARY / SCALE / NORTH / TOPOLOGY / FORMAT); a suggestion, not the result. */
+    machine: {
+      type: new mongoose.Schema(
+        {
+          result: { type: String, enum: [QC_CHECK_RESULT.PASS, QC_CHECK_RESULT.FAIL], required: true },
+          note: { type: String, maxlength: 500, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const DeliveryQcRecordSchema = new mongoose.Schema(
+  {
+    surveyorSketchUpload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveyorSketchUpload",
+      required: true,
+      index: true,
+    },
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveySketchAssignment",
+      required: true,
+    },
+    /** CAD user who submitted the delivery. */
+    cadUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    isRevision: { type: Boolean, default: false },
+    /** Matches cadDeliverableHistory.revisionNo. */
+    revisionNo: { type: Number, required: true, min: 0 },
+    orderType: { type: String, enum: Object.values(ORDER_TYPES), default: ORDER_TYPES.STANDARD_11E },
+    checklistId: { type: String, required: true },
+    checklistVersion: { type: String, required: true },
+    status: {
+      type: String,
+      enum: Object.values(DELIVERY_QC_STATUS),
+      default: DELIVERY_QC_STATUS.PENDING,
+    },
+    checks: { type: [QcCheckSchema], default: () => [] },
+    /** Reviewer's overall notes. */
+    notes: { type: String, trim: true, maxlength: 2000, default: null },
+    /** Failed checks as "CODE: note" lines (sent to the CAD user). */
+    failureReasons: { type: [String], default: () => [] },
+    submittedAt: { type: Date, required: true },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "delivery_qc_records", strict: true }
+);
+
+DeliveryQcRecordSchema.index({ status: 1, createdAt: 1 });
+DeliveryQcRecordSchema.index({ assignment: 1, createdAt: -1 });
+
+module.exports =
+  mongoose.models.DeliveryQcRecord || mongoose.model("DeliveryQcRecord", DeliveryQcRecordSchema);
@@ -6,6 +6,7 @@
 
 const mongoose = require("mongoose");
 const { SURVEY_SKETCH_ASSIGNMENT_STATUS } = require("../../config/constants");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
 
 const SurveySketchAssignmentSchema = new mongoose.Schema(
   {
@@ -89,6 +90,36 @@ const SurveySketchAssignmentSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    /**
+     * Business calendar frozen at assign time (CAD user → CAD center). null = 24×7 clock.
+     * When set, slaDurationMs / pauses / extensions count working time only (IST).
+     */
+    slaCalendar: {
+      type: new mongoose.Schema(
+        {
+          source: { type: String, enum: ["CAD_USER", "CAD_CENTER"], required: true },
+          sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+          timezone: { type: String, default: "Asia/Kolkata" },
+          workingDays: { type: [Number], default: () => [] },
+          startMinute: { type: Number, min: 0, max: 1440, required: true },
+          endMinute: { type: Number, min: 0, max: 1440, required: true },
+          /** IST dates (YYYY-MM-DD) inside the snapshot horizon. */
+          holidays: { type: [String], default: () => [] },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    /**
+     * Order type frozen from the upload at assign time (STANDARD_11E | EXPRESS_11E); drives slaDurationMs.
+     * null on legacy rows — resolved from the upload on the next SLA (re)start.
+     */
+    orderType: {
+      type: String,
+      enum: Object.values(ORDER_TYPES),
+      default: null,
+      index: true,
+    },
     /** Immutable SLA extensions (admin). */
     slaExtensions: {
       type: [
@@ -106,6 +137,19 @@ const SurveySketchAssignmentSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    /** Last failed QC review; set when the delivery bounces back to IN_PROGRESS, cleared on redelivery. */
+    qcReturn: {
+      type: new mongoose.Schema(
+        {
+          record: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryQcRecord", default: null },
+          reasons: { type: [String], default: () => [] },
+          notes: { type: String, default: null },
+          at: { type: Date, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     /** Optional notes (e.g. priority, instructions). */
     notes: {
       type: String,
@@ -0,0 +1,27 @@
+/**
+ * Machine DXF findings for a confirmed CAD source file (M-08), keyed by S3 object key.
+ * Written by POST /api/upload/confirm; copied onto cadDeliverableHistory when the file is delivered.
+ */
+
+const mongoose = require("mongoose");
+const { DXF_ANALYSIS_STATUS } = require("../../config/constants");
+
+const CadFileAnalysisSchema = new mongoose.Schema(
+  {
+    s3Key: { type: String, required: true, trim: true, unique: true },
+    fileName: { type: String, trim: true, default: null },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    contentLength: { type: Number, default: null },
+    eTag: { type: String, default: null },
+    parserVersion: { type: String, required: true },
+    status: { type: String, enum: Object.values(DXF_ANALYSIS_STATUS), required: true },
+    /** Why SKIPPED / FAILED (e.g. BINARY_DXF_UNSUPPORTED). */
+    reason: { type: String, default: null },
+    /** Units, extents, layers, entity counts, polyline / north checks and per-QC-code findings. */
+    summary: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true, collection: "cad_file_analyses", strict: true }
+);
+
+module.exports =
+  mongoose.models.CadFileAnalysis || mongoose.model("CadFileAnalysis", CadFileAnalysisSchema);
@@ -0,0 +1,76 @@
+/**
+ * Requested change to a CAD user's payout details (bank account / UPI). Direct edits are refused; a change
+ * is confirmed by OTP to the user's login phone, approved by an admin and only copied onto the User after
+ * a cooling-off period, so payouts keep going to the old details until then.
+ * PENDING_OTP → PENDING_APPROVAL → COOLING_OFF → ACTIVE; REJECTED / CANCELLED end it early.
+ */
+
+const mongoose = require("mongoose");
+
+const CAD_PAYOUT_DETAILS_CHANGE_STATUS = Object.freeze({
+  PENDING_OTP: "PENDING_OTP",
+  PENDING_APPROVAL: "PENDING_APPROVAL",
+  COOLING_OFF: "COOLING_OFF",
+  ACTIVE: "ACTIVE",
+  REJECTED: "REJECTED",
+  CANCELLED: "CANCELLED",
+});
+
+const bankDetails = {
+  accountNumber: { type: String, default: null },
+  accountHolderName: { type: String, default: null },
+  bankName: { type: String, default: null },
+  branchName: { type: String, default: null },
+  ifscCode: { type: String, default: null },
+};
+
+const CadPayoutDetailsChangeSchema = new mongoose.Schema(
+  {
+    cadUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    status: {
+      type: String,
+      enum: Object.values(CAD_PAYOUT_DETAILS_CHANGE_STATUS),
+      default: CAD_PAYOUT_DETAILS_CHANGE_STATUS.PENDING_OTP,
+      index: true,
+    },
+    /** Requested details; a section left null is not changed. */
+    bankDetails: { type: bankDetails, default: null },
+    upiDetails: { type: { upiId: { type: String, default: null } }, default: null },
+    /** Details on the User when the change was requested. */
+    previous: {
+      bankDetails: { type: bankDetails, default: null },
+      upiDetails: { type: { upiId: { type: String, default: null } }, default: null },
+    },
+    /** Phones on the profile at request time; alerts also go to these if the profile changes later. */
+    contacts: { type: [String], default: [] },
+    otp: {
+      codeHash: { type: String, default: null, select: false },
+      expiresAt: { type: Date, default: null },
+      sentAt: { type: Date, default: null },
+      attempts: { type: Number, default: 0 },
+      verifiedAt: { type: Date, default: null },
+    },
+    review: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+      note: { type: String, default: null, maxlength: 300 },
+    },
+    coolingOffHours: { type: Number, default: null },
+    /** Approval time + cooling-off; the scheduled activation copies the details onto the User from here. */
+    effectiveAt: { type: Date, default: null },
+    activatedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelReason: { type: String, default: null, maxlength: 300 },
+  },
+  { timestamps: true, strict: true, collection: "cad_payout_details_changes" }
+);
+
+CadPayoutDetailsChangeSchema.index({ cadUser: 1, createdAt: -1 });
+CadPayoutDetailsChangeSchema.index({ status: 1, effectiveAt: 1 });
+
+const CadPayoutDetailsChange =
+  mongoose.models.CadPayoutDetailsChange || mongoose.model("CadPayoutDetailsChange", CadPayoutDetailsChangeSchema);
+
+module.exports = CadPayoutDetailsChange;
+module.exports.CAD_PAYOUT_DETAILS_CHANGE_STATUS = CAD_PAYOUT_DETAILS_CHANGE_STATUS;
@@ -0,0 +1,150 @@
+/**
+ * Batch CAD operator payout (weekly NEFT run). One line per CAD user: the net of their unpaid wallet
+ * credits up to `cutoff` (clawbacks netted), allocated oldest-first across the ledger entries it pays.
+ * Allocated entries carry `payoutRun` while the run is open so they cannot be paid twice; a PAID line
+ * records the tranche on each entry, a FAILED line releases them for the next run.
+ *
+ * DRAFT (bank file downloadable) → SUBMITTED (uploaded to the bank) → COMPLETED once the bank response
+ * file has settled every line. Only a DRAFT can be CANCELLED.
+ */
+
+const mongoose = require("mongoose");
+
+const CAD_PAYOUT_RUN_STATUS = Object.freeze({
+  DRAFT: "DRAFT",
+  SUBMITTED: "SUBMITTED",
+  COMPLETED: "COMPLETED",
+  CANCELLED: "CANCELLED",
+});
+
+const CAD_PAYOUT_LINE_STATUS = Object.freeze({
+  PENDING: "PENDING",
+  PAID: "PAID",
+  FAILED: "FAILED",
+});
+
+const CAD_PAYOUT_MODE = Object.freeze({
+  NEFT: "NEFT",
+  UPI: "UPI",
+});
+
+/** Why a CAD user with unpaid entries got no line. */
+const CAD_PAYOUT_SKIP_REASON = Object.freeze({
+  NO_PAYOUT_DETAILS: "NO_PAYOUT_DETAILS",
+  NET_NOT_POSITIVE: "NET_NOT_POSITIVE",
+});
+
+const CadPayoutLineSchema = new mongoose.Schema(
+  {
+    lineNo: { type: Number, required: true },
+    /** Customer reference sent to the bank and echoed in its response file. */
+    reference: { type: String, required: true },
+    cadUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    mode: { type: String, enum: Object.values(CAD_PAYOUT_MODE), required: true },
+    /** Payout details as they were when the run was built. */
+    beneficiary: {
+      name: { type: String, default: null },
+      accountNumber: { type: String, default: null },
+      ifscCode: { type: String, default: null },
+      bankName: { type: String, default: null },
+      upiId: { type: String, default: null },
+    },
+    /** Gross settled against wallet entries; the bank pays netPaise (gross less TDS). */
+    amountPaise: { type: Number, required: true, min: 1 },
+    /** TDS rule frozen when the run was built (services/cadTds); section null when TDS was off. */
+    tds: {
+      section: { type: String, default: null },
+      rateBps: { type: Number, default: null },
+      pan: { type: String, default: null },
+    },
+    tdsPaise: { type: Number, default: 0, min: 0 },
+    netPaise: { type: Number, default: null },
+    entries: {
+      type: [
+        {
+          entry: { type: mongoose.Schema.Types.ObjectId, ref: "CadWalletLedger", required: true },
+          amountPaise: { type: Number, required: true, min: 1 },
+          tdsPaise: { type: Number, default: 0, min: 0 },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(CAD_PAYOUT_LINE_STATUS),
+      default: CAD_PAYOUT_LINE_STATUS.PENDING,
+    },
+    utr: { type: String, default: null },
+    failureReason: { type: String, default: null, maxlength: 300 },
+    settledAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const CadPayoutRunSchema = new mongoose.Schema(
+  {
+    /** e.g. CP26101901 — IST date + sequence; prefixes every line reference. */
+    runNo: { type: String, required: true, unique: true, immutable: true },
+    /** Entries created at or before this instant are included. */
+    cutoff: { type: Date, required: true, immutable: true },
+    status: {
+      type: String,
+      enum: Object.values(CAD_PAYOUT_RUN_STATUS),
+      default: CAD_PAYOUT_RUN_STATUS.DRAFT,
+      index: true,
+    },
+    lines: { type: [CadPayoutLineSchema], default: [] },
+    skipped: {
+      type: [
+        {
+          cadUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          reason: { type: String, enum: Object.values(CAD_PAYOUT_SKIP_REASON), required: true },
+          netPaise: { type: Number, default: 0 },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    totals: {
+      lineCount: { type: Number, default: 0 },
+      amountPaise: { type: Number, default: 0 },
+      tdsPaise: { type: Number, default: 0 },
+      netPaise: { type: Number, default: 0 },
+      paidPaise: { type: Number, default: 0 },
+      failedPaise: { type: Number, default: 0 },
+    },
+    /** Bank response files applied to this run (same file twice is refused). */
+    responseFiles: {
+      type: [
+        {
+          fileName: { type: String, default: null },
+          fileSha256: { type: String, required: true },
+          importedAt: { type: Date, default: () => new Date() },
+          importedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          paid: { type: Number, default: 0 },
+          failed: { type: Number, default: 0 },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    submittedAt: { type: Date, default: null },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    completedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelReason: { type: String, default: null, maxlength: 300 },
+  },
+  { timestamps: true, strict: true, collection: "cad_payout_runs" }
+);
+
+CadPayoutRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.CadPayoutRun || mongoose.model("CadPayoutRun", CadPayoutRunSchema);
+
+module.exports.CAD_PAYOUT_RUN_STATUS = CAD_PAYOUT_RUN_STATUS;
+module.exports.CAD_PAYOUT_LINE_STATUS = CAD_PAYOUT_LINE_STATUS;
+module.exports.CAD_PAYOUT_MODE = CAD_PAYOUT_MODE;
+module.exports.CAD_PAYOUT_SKIP_REASON = CAD_PAYOUT_SKIP_REASON;
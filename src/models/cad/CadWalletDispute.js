@@ -0,0 +1,94 @@
+/**
+ * CAD user's dispute about their wallet: a delivery that was never credited or a wrong amount, linked to a
+ * CadWalletLedger entry and/or the assignment. The CAD user and admins talk in a message thread (attachments
+ * are files uploaded through POST /api/upload/image); an admin resolves it, optionally posting a
+ * DISPUTE_ADJUSTMENT credit, or rejects it.
+ * OPEN → UNDER_REVIEW → RESOLVED | REJECTED (OPEN may be resolved / rejected directly).
+ */
+
+const mongoose = require("mongoose");
+
+const CAD_WALLET_DISPUTE_STATUS = Object.freeze({
+  OPEN: "OPEN",
+  UNDER_REVIEW: "UNDER_REVIEW",
+  RESOLVED: "RESOLVED",
+  REJECTED: "REJECTED",
+});
+
+const CAD_WALLET_DISPUTE_CATEGORY = Object.freeze({
+  /** Delivery completed but no credit in the wallet. */
+  MISSING_CREDIT: "MISSING_CREDIT",
+  /** Credit booked at the wrong amount. */
+  WRONG_AMOUNT: "WRONG_AMOUNT",
+  /** Recorded as paid but not received, or paid short. */
+  PAYMENT_ISSUE: "PAYMENT_ISSUE",
+  OTHER: "OTHER",
+});
+
+const DisputeAttachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    fileName: { type: String, trim: true, default: null },
+    mimeType: { type: String, trim: true, default: null },
+    size: { type: Number, default: null },
+    uploadedAt: { type: Date, default: () => new Date() },
+  },
+  { _id: false }
+);
+
+const DisputeMessageSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    /** CAD | ADMIN — who is talking, for the thread view. */
+    authorRole: { type: String, enum: ["CAD", "ADMIN"], required: true },
+    body: { type: String, required: true, trim: true, maxlength: 2000 },
+    attachments: { type: [DisputeAttachmentSchema], default: () => [] },
+    createdAt: { type: Date, default: () => new Date() },
+  },
+  { _id: true }
+);
+
+const CadWalletDisputeSchema = new mongoose.Schema(
+  {
+    cadUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    ledgerEntry: { type: mongoose.Schema.Types.ObjectId, ref: "CadWalletLedger", default: null, index: true },
+    assignment: { type: mongoose.Schema.Types.ObjectId, ref: "SurveySketchAssignment", default: null, index: true },
+    category: {
+      type: String,
+      enum: Object.values(CAD_WALLET_DISPUTE_CATEGORY),
+      required: true,
+    },
+    subject: { type: String, required: true, trim: true, maxlength: 200 },
+    status: {
+      type: String,
+      enum: Object.values(CAD_WALLET_DISPUTE_STATUS),
+      default: CAD_WALLET_DISPUTE_STATUS.OPEN,
+      index: true,
+    },
+    messages: { type: [DisputeMessageSchema], default: () => [] },
+    lastMessageAt: { type: Date, default: null },
+    review: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+    },
+    resolution: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+      note: { type: String, default: null, maxlength: 1000 },
+      /** Credit posted with the resolution (0 = none). */
+      adjustmentPaise: { type: Number, default: 0, min: 0 },
+      adjustmentEntry: { type: mongoose.Schema.Types.ObjectId, ref: "CadWalletLedger", default: null },
+    },
+  },
+  { timestamps: true, strict: true, collection: "cad_wallet_disputes" }
+);
+
+CadWalletDisputeSchema.index({ cadUser: 1, createdAt: -1 });
+CadWalletDisputeSchema.index({ status: 1, updatedAt: -1 });
+
+const CadWalletDispute =
+  mongoose.models.CadWalletDispute || mongoose.model("CadWalletDispute", CadWalletDisputeSchema);
+
+module.exports = CadWalletDispute;
+module.exports.CAD_WALLET_DISPUTE_STATUS = CAD_WALLET_DISPUTE_STATUS;
+module.exports.CAD_WALLET_DISPUTE_CATEGORY = CAD_WALLET_DISPUTE_CATEGORY;
@@ -1,6 +1,13 @@
 /**
  * CAD user earnings from completed sketch assignments. Amounts in paise.
  * Entries start PENDING; admin marks PAID when payout is sent.
+ * REFUND_CLAWBACK rows are negative adjustments against a delivery credit (clawbackOf) after a
+ * surveyor refund; they net against what the operator is owed and are never paid out.
+ * While a batch payout run (CadPayoutRun) is paying an entry, `payoutRun` locks it against other payments.
+ * Payment tranches are gross; each carries the TDS deducted from it (config/cadTds).
+ * Initial delivery credits carry performance incentive line items (bonus / deduction) frozen on insert;
+ * amountPaise = payoutPaise + incentivePaise.
+ * DISPUTE_ADJUSTMENT rows are credits an admin posts when resolving a CadWalletDispute (`dispute`).
  */
 
 const mongoose = require("mongoose");
@@ -36,10 +43,16 @@ const CadWalletLedgerSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    /** Credit (>= 0); negative only on REFUND_CLAWBACK rows. */
     amountPaise: {
       type: Number,
       required: true,
-      min: 0,
+      validate: {
+        validator(v) {
+          return this.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK ? v < 0 : v >= 0;
+        },
+        message: "amountPaise must be >= 0 (negative only for REFUND_CLAWBACK)",
+      },
     },
     /** Surveyor amount paid for this delivery (upload or revision fee), in paise. */
     sourcePaidAmountPaise: {
@@ -66,11 +79,36 @@ const CadWalletLedgerSchema = new mongoose.Schema(
     grossPricePaise: { type: Number, default: null, min: 0 },
     bookingPaise: { type: Number, default: null, min: 0 },
     balancePaise: { type: Number, default: null, min: 0 },
-    /** CAD operator payout credited (mirrors amountPaise for H-11 FIXED). */
+    /** Fixed H-11 operator payout before incentives (amountPaise − incentivePaise). */
     payoutPaise: { type: Number, default: null, min: 0 },
     platformFeePaise: { type: Number, default: null, min: 0 },
     taxPaise: { type: Number, default: null, min: 0 },
     adjustmentPaise: { type: Number, default: null, min: 0 },
+    /** Versioned performance incentive rule and the inputs it was applied to, frozen on insert. */
+    incentiveRuleVersion: { type: String, default: null },
+    incentiveInputs: {
+      type: {
+        slaState: { type: String, default: null },
+        /** CAD user's average surveyor rating at booking (null = not rated yet). */
+        rating: { type: Number, default: null },
+        /** Failed QC rounds + surveyor revision requests at booking. */
+        revisionCount: { type: Number, default: 0 },
+      },
+      default: null,
+    },
+    /** Bonus (+) / deduction (−) line items; their sum is incentivePaise. */
+    incentiveLineItems: {
+      type: [
+        {
+          _id: false,
+          code: { type: String, required: true },
+          label: { type: String, default: null },
+          amountPaise: { type: Number, required: true },
+        },
+      ],
+      default: [],
+    },
+    incentivePaise: { type: Number, default: 0 },
     /** Cumulative amount marked paid by admin (paise). Remaining = amountPaise − paidAmountPaise until fully settled. */
     paidAmountPaise: {
       type: Number,
@@ -84,10 +122,26 @@ const CadWalletLedgerSchema = new mongoose.Schema(
           amountPaise: { type: Number, required: true, min: 1 },
           recordedAt: { type: Date, default: () => new Date() },
           recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          /** Set when the tranche came from a batch payout run's bank response. */
+          payoutRun: { type: mongoose.Schema.Types.ObjectId, ref: "CadPayoutRun", default: null },
+          utr: { type: String, default: null },
+          /** TDS deducted from this (gross) tranche; the operator received amountPaise − tdsPaise. */
+          tdsPaise: { type: Number, default: 0, min: 0 },
+          tdsSection: { type: String, default: null },
+          tdsRateBps: { type: Number, default: null },
+          /** Payee PAN the deduction was made against (null = no-PAN rate). */
+          pan: { type: String, default: null },
         },
       ],
       default: [],
     },
+    /** Open batch payout run currently paying this entry; null when free. */
+    payoutRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CadPayoutRun",
+      default: null,
+      index: true,
+    },
     status: {
       type: String,
       enum: Object.values(CAD_WALLET_ENTRY_STATUS),
@@ -98,12 +152,42 @@ const CadWalletLedgerSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    /** REFUND_CLAWBACK: the delivery credit being reduced. */
+    clawbackOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CadWalletLedger",
+      default: null,
+      index: true,
+    },
+    /** REFUND_CLAWBACK: merchantRefundId (or off-platform refund key) that triggered it; null on credits. */
+    refundRef: {
+      type: String,
+      default: null,
+    },
+    /** REFUND_CLAWBACK: versioned clawback rule and its inputs, frozen on insert. */
+    clawbackRuleVersion: { type: String, default: null },
+    refundedPaise: { type: Number, default: null, min: 0 },
+    clawbackBasisPaise: { type: Number, default: null, min: 0 },
+    refundReasonCode: { type: String, default: null },
+    /** DISPUTE_ADJUSTMENT: the resolved dispute that posted it; one adjustment per dispute. */
+    dispute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CadWalletDispute",
+      default: null,
+    },
   },
   { timestamps: true, strict: true }
 );
 
 CadWalletLedgerSchema.index({ cadUser: 1, createdAt: -1 });
-CadWalletLedgerSchema.index({ assignment: 1, kind: 1, revisionNo: 1 }, { unique: true });
+CadWalletLedgerSchema.index({ "paymentLog.recordedAt": 1 });
+// One credit per delivery (refundRef null), one clawback per refund and one adjustment per dispute.
+// Replaces the former { assignment, kind, revisionNo } and { …, refundRef } unique indexes;
+// scripts/migrate-superseded-indexes.js drops them on existing clusters (run by deploy-with-identity.js).
+CadWalletLedgerSchema.index(
+  { assignment: 1, kind: 1, revisionNo: 1, refundRef: 1, dispute: 1 },
+  { unique: true }
+);
 
 module.exports =
   mongoose.models.CadWalletLedger || mongoose.model("CadWalletLedger", CadWalletLedgerSchema);
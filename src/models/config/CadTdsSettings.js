@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { TDS_SECTION } = require("../../config/cadTds");
+
+const SETTINGS_KEY = "CAD_TDS_SETTINGS";
+
+const bps = { type: Number, min: 0, max: 5000, default: null };
+
+/** TDS on CAD operator payouts. null fields fall back to config/cadTds defaults. */
+const CadTdsSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: SETTINGS_KEY,
+      unique: true,
+      index: true,
+      immutable: true,
+    },
+    /** Off until finance turns it on; requires a deductor TAN. */
+    enabled: { type: Boolean, default: false },
+    deductor: {
+      name: { type: String, trim: true, default: null, maxlength: 200 },
+      tan: { type: String, trim: true, uppercase: true, default: null },
+    },
+    section: { type: String, enum: [...Object.values(TDS_SECTION), null], default: null },
+    rate194CIndividualBps: bps,
+    rate194COtherBps: bps,
+    rate194JBps: bps,
+    noPanRateBps: bps,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, strict: true, collection: "cad_tds_settings" }
+);
+
+CadTdsSettingsSchema.statics.settingsKey = SETTINGS_KEY;
+
+module.exports = mongoose.models.CadTdsSettings || mongoose.model("CadTdsSettings", CadTdsSettingsSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const SETTINGS_KEY = "INVOICE_SETTINGS";
+
+/** Seller identity and GST rule printed on surveyor tax invoices. null fields fall back to config/taxInvoice defaults. */
+const InvoiceSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: SETTINGS_KEY,
+      unique: true,
+      index: true,
+      immutable: true,
+    },
+    seller: {
+      legalName: { type: String, trim: true, default: null, maxlength: 200 },
+      /** null = not GST-registered: receipts are issued instead of tax invoices. */
+      gstin: { type: String, trim: true, uppercase: true, default: null },
+      address: { type: String, trim: true, default: null, maxlength: 500 },
+      /** GST state code of the seller (defaults to the GSTIN's first two digits). */
+      stateCode: { type: String, default: null },
+      email: { type: String, trim: true, default: null, maxlength: 150 },
+    },
+    sacCode: { type: String, trim: true, default: null },
+    gstRateBps: { type: Number, min: 0, max: 2800, default: null },
+    numberPrefix: { type: String, trim: true, uppercase: true, default: null },
+    serviceDescription: { type: String, trim: true, default: null, maxlength: 200 },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, strict: true, collection: "invoice_settings" }
+);
+
+InvoiceSettingsSchema.statics.settingsKey = SETTINGS_KEY;
+
+module.exports =
+  mongoose.models.InvoiceSettings || mongoose.model("InvoiceSettings", InvoiceSettingsSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { PAYMENT_PURPOSE, PAYMENT_PROVIDER } = require("../payment/PaymentAttempt");
+
+const SETTINGS_KEY = "PAYMENT_PROVIDER_SETTINGS";
+
+/** null = env default (PAYMENT_PROVIDER_DEFAULT, else PHONEPE). */
+const providerField = {
+  type: String,
+  enum: [...Object.values(PAYMENT_PROVIDER), null],
+  default: null,
+};
+
+const PaymentProviderSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: SETTINGS_KEY,
+      unique: true,
+      index: true,
+      immutable: true,
+    },
+    /** Checkout gateway per payment purpose — switch one purpose away from a gateway outage. */
+    purposeProviders: {
+      [PAYMENT_PURPOSE.BOOKING]: providerField,
+      [PAYMENT_PURPOSE.BALANCE]: providerField,
+      [PAYMENT_PURPOSE.REVISION]: providerField,
+      [PAYMENT_PURPOSE.WALLET_TOPUP]: providerField,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, strict: true, collection: "payment_provider_settings" }
+);
+
+PaymentProviderSettingsSchema.statics.settingsKey = SETTINGS_KEY;
+
+module.exports =
+  mongoose.models.PaymentProviderSettings ||
+  mongoose.model("PaymentProviderSettings", PaymentProviderSettingsSchema);
@@ -0,0 +1,52 @@
+/**
+ * Finance-approved sketch order pricing version (BIZ-09 contract, stored instead of deployed).
+ * The version with the latest `effectiveFrom` at or before now is the live contract; later ones are
+ * upcoming and take over on their own at `effectiveFrom`. Amounts are immutable — a price change is a
+ * new version. Only versions that have not taken effect yet may be cancelled.
+ */
+
+const mongoose = require("mongoose");
+
+const paise = { type: Number, required: true, min: 0, immutable: true };
+
+const SketchPricingVersionSchema = new mongoose.Schema(
+  {
+    /** Label printed on snapshots and public copy, e.g. SKETCH_ORDER_V3. */
+    version: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      immutable: true,
+      match: /^[A-Z0-9][A-Z0-9_.-]{2,39}$/,
+    },
+    effectiveFrom: { type: Date, required: true, immutable: true },
+    /** Paise; bookingPaise + balancePaise === grossPaise. */
+    grossPaise: paise,
+    bookingPaise: paise,
+    balancePaise: paise,
+    revisionPaise: paise,
+    superimposePaise: paise,
+    /** null = express not priced in this version (express orders refused). */
+    expressPaise: { type: Number, default: null, min: 0, immutable: true },
+    publicCopy: { type: String, trim: true, default: null, maxlength: 500, immutable: true },
+    approval: {
+      /** Approving role / person as recorded by finance, e.g. "founder/finance". */
+      approvedBy: { type: String, required: true, trim: true, maxlength: 120, immutable: true },
+      approvedAt: { type: Date, required: true, immutable: true },
+      /** Board minute, mail thread or ticket backing the change. */
+      reference: { type: String, trim: true, default: null, maxlength: 200, immutable: true },
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelReason: { type: String, trim: true, default: null, maxlength: 300 },
+  },
+  { timestamps: true, strict: true, collection: "sketch_pricing_versions" }
+);
+
+SketchPricingVersionSchema.index({ cancelledAt: 1, effectiveFrom: -1 });
+
+module.exports =
+  mongoose.models.SketchPricingVersion || mongoose.model("SketchPricingVersion", SketchPricingVersionSchema);
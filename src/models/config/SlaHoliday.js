@@ -0,0 +1,38 @@
+/**
+ * Admin-maintained public holiday (IST calendar date) for business-hours SLA (M-10).
+ * Grouped by listKey (e.g. IN_NATIONAL, IN_KA) so centers can combine national + state lists.
+ */
+
+const mongoose = require("mongoose");
+const { SLA_DEFAULT_HOLIDAY_LIST } = require("../../config/constants");
+
+const SlaHolidaySchema = new mongoose.Schema(
+  {
+    listKey: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      default: SLA_DEFAULT_HOLIDAY_LIST,
+      maxlength: 40,
+    },
+    /** YYYY-MM-DD in Asia/Kolkata. */
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, strict: true, collection: "sla_holidays" }
+);
+
+SlaHolidaySchema.index({ listKey: 1, date: 1 }, { unique: true });
+SlaHolidaySchema.index({ date: 1 });
+
+module.exports = mongoose.models.SlaHoliday || mongoose.model("SlaHoliday", SlaHolidaySchema);
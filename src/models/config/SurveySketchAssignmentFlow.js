@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const {
+  AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS,
+  AUTO_ASSIGN_MODE,
+  AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER,
+} = require("../../config/constants");
 
 const FLOW_KEY = "SURVEY_SKETCH_ASSIGNMENT_FLOW";
 
@@ -16,6 +21,32 @@ const SurveySketchAssignmentFlowSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    /** CENTER_POOL (default) or CAD_USER (direct to a CAD user, center pool fallback). */
+    autoAssignMode: {
+      type: String,
+      enum: Object.values(AUTO_ASSIGN_MODE),
+      default: AUTO_ASSIGN_MODE.CENTER_POOL,
+    },
+    /** CAD_USER mode: max concurrent ASSIGNED/IN_PROGRESS jobs per CAD user. */
+    maxConcurrentJobsPerCadUser: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER,
+    },
+    /** Auto-assign center scoring weights (see autoAssignRouting.service). */
+    routingWeights: {
+      region: { type: Number, min: 0, max: 100, default: AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS.region },
+      skill: { type: Number, min: 0, max: 100, default: AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS.skill },
+      rating: { type: Number, min: 0, max: 100, default: AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS.rating },
+      workload: { type: Number, min: 0, max: 100, default: AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS.workload },
+      availability: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS.availability,
+      },
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
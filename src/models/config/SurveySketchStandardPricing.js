@@ -21,6 +21,9 @@ const SurveySketchStandardPricingSchema = new mongoose.Schema(
     /** Superimpose add-on (₹) charged on top of upload fee when isSuperimpose is true. */
     sketchSuperimposePlanAmountRupees: { type: Number, default: null },
     sketchSuperimposeDiscountRupees: { type: Number, default: null },
+    /** Express 11E surcharge (₹) charged on top of upload fee when orderType is EXPRESS_11E. */
+    sketchExpressPlanAmountRupees: { type: Number, default: null },
+    sketchExpressDiscountRupees: { type: Number, default: null },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -6,6 +6,7 @@
 
 const mongoose = require("mongoose");
 const { USER_STATUS, MASTER_STATUS, CAD_CENTER_AVAILABILITY } = require("../../config/constants");
+const WorkingCalendarSchema = require("./subSchemas/WorkingCalendar.schema");
 
 const CadCenterSchema = new mongoose.Schema(
   {
@@ -76,6 +77,16 @@ const CadCenterSchema = new mongoose.Schema(
       default: null,
       description: "Maximum number of CAD users this center can accommodate (null = unlimited)",
     },
+    /** Jurisdiction served (auto-assign routing). Both empty = statewide / not configured. */
+    servedRegions: {
+      districts: [{ type: mongoose.Schema.Types.ObjectId, ref: "District" }],
+      talukas: [{ type: mongoose.Schema.Types.ObjectId, ref: "Taluka" }],
+    },
+    /** Business hours for SLA dueAt; null = 24×7. */
+    workingCalendar: {
+      type: WorkingCalendarSchema,
+      default: null,
+    },
     metadata: {
       establishedDate: { type: Date },
       notes: { type: String, maxlength: 500 },
@@ -104,6 +115,7 @@ CadCenterSchema.index({ code: 1 }, { sparse: true });
 CadCenterSchema.index({ status: 1, deletedAt: 1 });
 CadCenterSchema.index({ availabilityStatus: 1, deletedAt: 1 });
 CadCenterSchema.index({ createdBy: 1, deletedAt: 1 });
+CadCenterSchema.index({ "servedRegions.districts": 1 });
 
 // -------- Virtuals: Member Statistics (computed from User collection) --------
 
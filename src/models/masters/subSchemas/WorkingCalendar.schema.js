@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { SLA_DEFAULT_HOLIDAY_LIST } = require("../../../config/constants");
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Business-hours calendar (IST) that drives SLA dueAt (audit M-10).
+ * Embedded on CadCenter and on CAD users (cadProfile); null = 24×7 wall-clock SLA.
+ * Use 00:00–24:00 to count whole working days.
+ */
+const WorkingCalendarSchema = new mongoose.Schema(
+  {
+    /** Weekdays in IST, Date#getDay numbering: 0 = Sunday … 6 = Saturday. */
+    workingDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: () => [1, 2, 3, 4, 5, 6],
+    },
+    startTime: { type: String, match: HH_MM, default: "09:30" },
+    endTime: { type: String, match: HH_MM, default: "18:30" },
+    /** SlaHoliday listKeys whose dates are non-working. */
+    holidayLists: {
+      type: [{ type: String, trim: true, uppercase: true }],
+      default: () => [SLA_DEFAULT_HOLIDAY_LIST],
+    },
+  },
+  { _id: false }
+);
+
+// Export Schema for use as embedded subdocument. Do not use as standalone Model.
+module.exports = WorkingCalendarSchema;
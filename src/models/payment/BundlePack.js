@@ -0,0 +1,35 @@
+/**
+ * Prepaid bundle pack sold to surveyors (e.g. 10 standard orders at a discount). Buying one through the
+ * gateway credits `orders` order credits of `orderType` to the surveyor wallet; each new upload of that
+ * type then consumes one credit, covering its booking fee and its balance. Editing a pack never changes
+ * credits already sold.
+ */
+
+const mongoose = require("mongoose");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
+
+const BundlePackSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      immutable: true,
+      match: /^[A-Z0-9][A-Z0-9_-]{2,31}$/,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, default: null, maxlength: 300 },
+    orderType: { type: String, enum: Object.values(ORDER_TYPES), required: true, immutable: true },
+    /** Order credits granted per purchase. */
+    orders: { type: Number, required: true, min: 1, max: 500 },
+    priceRupees: { type: Number, required: true, min: 1 },
+    active: { type: Boolean, default: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, strict: true, collection: "bundle_packs" }
+);
+
+module.exports = mongoose.models.BundlePack || mongoose.model("BundlePack", BundlePackSchema);
@@ -0,0 +1,86 @@
+/**
+ * Marketing campaign code (promo / coupon) for surveyor fees, on top of the admin standard-pricing
+ * discounts. Terms apply when a fee is first charged and are frozen into the upload's payment snapshot;
+ * editing a coupon never reprices an order already checked out. See payment/coupon.service.js.
+ */
+
+const mongoose = require("mongoose");
+
+const COUPON_DISCOUNT_TYPE = Object.freeze({
+  /** percentOff % of each eligible fee line (optionally capped by maxDiscountRupees). */
+  PERCENT: "PERCENT",
+  /** amountOffRupees off the eligible fee lines together. */
+  FLAT: "FLAT",
+});
+
+/** Fee lines a code can target. SUPERIMPOSE is the add-on charged with the booking. */
+const COUPON_FEE_LINE = Object.freeze({
+  BOOKING: "BOOKING",
+  BALANCE: "BALANCE",
+  REVISION: "REVISION",
+  SUPERIMPOSE: "SUPERIMPOSE",
+});
+
+/** How a code combines with the admin discount already on a fee line (one code per payment). */
+const COUPON_STACKING = Object.freeze({
+  /** Coupon applies to the already admin-discounted amount. */
+  STACK: "STACK",
+  /** Coupon is computed on the plan amount; the larger of coupon and admin discount applies. */
+  BEST_OF: "BEST_OF",
+});
+
+const COUPON_SURVEYOR_CATEGORIES = ["PUBLIC", "SURVEYOR"];
+
+const CouponSchema = new mongoose.Schema(
+  {
+    /** What surveyors type; stored upper-case. */
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      index: true,
+      immutable: true,
+      match: /^[A-Z0-9][A-Z0-9_-]{2,31}$/,
+    },
+    description: { type: String, trim: true, default: null, maxlength: 300 },
+    discountType: { type: String, enum: Object.values(COUPON_DISCOUNT_TYPE), required: true },
+    percentOff: { type: Number, default: null, min: 1, max: 100 },
+    amountOffRupees: { type: Number, default: null, min: 1 },
+    /** Cap on the total coupon discount of one payment (₹); null = uncapped. */
+    maxDiscountRupees: { type: Number, default: null, min: 1 },
+    appliesTo: {
+      type: [{ type: String, enum: Object.values(COUPON_FEE_LINE) }],
+      validate: [(v) => Array.isArray(v) && v.length > 0, "appliesTo needs at least one fee line"],
+    },
+    /** Empty = every district (upload's district). */
+    districts: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "District" }], default: () => [] },
+    /** Empty = every surveyor category (surveyorProfile.category). */
+    surveyorCategories: {
+      type: [{ type: String, enum: COUPON_SURVEYOR_CATEGORIES }],
+      default: () => [],
+    },
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    /** Overall cap on reserved + redeemed uses; null = unlimited. */
+    maxRedemptions: { type: Number, default: null, min: 1 },
+    maxRedemptionsPerUser: { type: Number, default: 1, min: 1 },
+    stacking: { type: String, enum: Object.values(COUPON_STACKING), default: COUPON_STACKING.STACK },
+    active: { type: Boolean, default: true, index: true },
+    /** Reserved + redeemed uses; moved atomically against maxRedemptions. */
+    redemptionCount: { type: Number, default: 0, min: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, strict: true, collection: "coupons" }
+);
+
+CouponSchema.index({ active: 1, validUntil: 1 });
+
+module.exports = mongoose.models.Coupon || mongoose.model("Coupon", CouponSchema);
+
+module.exports.COUPON_DISCOUNT_TYPE = COUPON_DISCOUNT_TYPE;
+module.exports.COUPON_FEE_LINE = COUPON_FEE_LINE;
+module.exports.COUPON_STACKING = COUPON_STACKING;
+module.exports.COUPON_SURVEYOR_CATEGORIES = COUPON_SURVEYOR_CATEGORIES;
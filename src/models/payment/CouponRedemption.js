@@ -0,0 +1,55 @@
+/**
+ * One use of a coupon on one fee payment (booking, balance or revision N of an upload).
+ * RESERVED at checkout — the discounted amount is frozen on the upload and any retry charges it — and
+ * REDEEMED once that payment completes. Reserved uses count against the coupon's caps.
+ */
+
+const mongoose = require("mongoose");
+const { PAYMENT_PURPOSE } = require("./PaymentAttempt");
+
+const COUPON_REDEMPTION_STATE = Object.freeze({
+  RESERVED: "RESERVED",
+  REDEEMED: "REDEEMED",
+});
+
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true, immutable: true },
+    code: { type: String, required: true, immutable: true },
+    surveyor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, immutable: true },
+    /** 1-based use number of this coupon by this surveyor; unique, so the per-user cap holds under races. */
+    userSeq: { type: Number, required: true, min: 1, immutable: true },
+    surveyorSketchUpload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveyorSketchUpload",
+      required: true,
+      immutable: true,
+    },
+    purpose: { type: String, enum: Object.values(PAYMENT_PURPOSE), required: true, immutable: true },
+    revisionNo: { type: Number, default: null, immutable: true },
+    /** Paise: fee before the coupon, coupon discount, and the amount charged. */
+    grossPaise: { type: Number, required: true, min: 0 },
+    discountPaise: { type: Number, required: true, min: 1 },
+    payablePaise: { type: Number, required: true, min: 1 },
+    state: {
+      type: String,
+      enum: Object.values(COUPON_REDEMPTION_STATE),
+      default: COUPON_REDEMPTION_STATE.RESERVED,
+      index: true,
+    },
+    /** Order that paid (set on redemption). */
+    merchantOrderId: { type: String, default: null },
+    redeemedAt: { type: Date, default: null },
+  },
+  { timestamps: true, strict: true, collection: "coupon_redemptions" }
+);
+
+CouponRedemptionSchema.index({ coupon: 1, surveyor: 1, userSeq: 1 }, { unique: true });
+// One coupon per fee payment.
+CouponRedemptionSchema.index({ surveyorSketchUpload: 1, purpose: 1, revisionNo: 1 }, { unique: true });
+CouponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+module.exports =
+  mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", CouponRedemptionSchema);
+
+module.exports.COUPON_REDEMPTION_STATE = COUPON_REDEMPTION_STATE;
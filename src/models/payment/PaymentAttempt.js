@@ -9,6 +9,15 @@ const PAYMENT_PURPOSE = Object.freeze({
   BOOKING: "BOOKING",
   BALANCE: "BALANCE",
   REVISION: "REVISION",
+  /** Surveyor prepaid wallet top-up or bundle pack purchase (no upload; see surveyorWallet.service). */
+  WALLET_TOPUP: "WALLET_TOPUP",
+});
+
+/** Checkout gateways behind src/services/payment/paymentProvider.service.js (FAKE: local / tests only). */
+const PAYMENT_PROVIDER = Object.freeze({
+  PHONEPE: "PHONEPE",
+  RAZORPAY: "RAZORPAY",
+  FAKE: "FAKE",
 });
 
 const PROVIDER_STATE = Object.freeze({
@@ -20,12 +29,20 @@ const PROVIDER_STATE = Object.freeze({
   REFUNDED: "REFUNDED",
 });
 
+/** Gateway refund state, normalized across providers. */
+const REFUND_STATE = Object.freeze({
+  PENDING: "PENDING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+});
+
 const RECON_FLAG = Object.freeze({
   MISSING: "MISSING",
   DUPLICATED: "DUPLICATED",
   MISMATCHED: "MISMATCHED",
   EXPIRED: "EXPIRED",
   REFUNDED: "REFUNDED",
+  PARTIALLY_REFUNDED: "PARTIALLY_REFUNDED",
   MANUALLY_ADJUSTED: "MANUALLY_ADJUSTED",
 });
 
@@ -39,14 +56,25 @@ const PaymentAttemptSchema = new mongoose.Schema(
     },
     provider: {
       type: String,
-      default: "PHONEPE",
+      enum: Object.values(PAYMENT_PROVIDER),
+      default: PAYMENT_PROVIDER.PHONEPE,
+      index: true,
       immutable: true,
     },
-    /** Locked order identity — callback cannot change this. */
+    /** Gateway-side order / payment-link id when it differs from merchantOrderId (status lookups). */
+    providerOrderId: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    /** Locked order identity — callback cannot change this. Null only for WALLET_TOPUP. */
     surveyorSketchUpload: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "SurveyorSketchUpload",
-      required: true,
+      required() {
+        return this.purpose !== PAYMENT_PURPOSE.WALLET_TOPUP;
+      },
+      default: null,
       index: true,
       immutable: true,
     },
@@ -75,6 +103,21 @@ const PaymentAttemptSchema = new mongoose.Schema(
       min: 1,
       immutable: true,
     },
+    /** Campaign code applied to this charge (expectedAmountPaise is after its discount). */
+    coupon: {
+      code: { type: String, default: null, immutable: true },
+      discountPaise: { type: Number, default: null, immutable: true },
+    },
+    /** WALLET_TOPUP: what a completed payment credits — money (creditPaise) or a bundle pack's order credits. */
+    walletTopup: {
+      creditPaise: { type: Number, default: null, min: 0, immutable: true },
+      bundlePack: {
+        packId: { type: mongoose.Schema.Types.ObjectId, ref: "BundlePack", default: null, immutable: true },
+        code: { type: String, default: null, immutable: true },
+        orderType: { type: String, default: null, immutable: true },
+        orders: { type: Number, default: null, min: 1, immutable: true },
+      },
+    },
     providerState: {
       type: String,
       enum: Object.values(PROVIDER_STATE),
@@ -102,6 +145,13 @@ const PaymentAttemptSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    /** Stuck-PENDING sweeper bookkeeping (paymentSweeper.service): polls so far and exponential backoff. */
+    sweep: {
+      count: { type: Number, default: 0, min: 0 },
+      lastAt: { type: Date, default: null },
+      nextAt: { type: Date, default: null },
+      lastOutcome: { type: String, default: null },
+    },
     /**
      * Sanitized provider reference only (state, ids, amount) — never raw secrets / credentials.
      */
@@ -124,6 +174,37 @@ const PaymentAttemptSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    /**
+     * Exceptional admin refunds against this payment (approved refund policy). Gateway refunds start
+     * PENDING and settle from the gateway; `offPlatform` rows record money already returned elsewhere.
+     */
+    refunds: {
+      type: [
+        {
+          merchantRefundId: { type: String, required: true },
+          providerRefundId: { type: String, default: null },
+          state: { type: String, enum: Object.values(REFUND_STATE), default: REFUND_STATE.PENDING },
+          amountPaise: { type: Number, required: true, min: 1 },
+          offPlatform: { type: Boolean, default: false },
+          reasonCode: { type: String, default: null },
+          policyVersion: { type: String, default: null },
+          note: { type: String, default: null, maxlength: 500 },
+          requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          requestedAt: { type: Date, default: () => new Date() },
+          settledAt: { type: Date, default: null },
+          lastCheckAt: { type: Date, default: null },
+          failureReason: { type: String, default: null, maxlength: 500 },
+          /** Credit note issued for this refund once completed (taxDocument.service). */
+          creditNoteNumber: { type: String, default: null },
+        },
+      ],
+      default: () => [],
+    },
+    /** Tax invoice / receipt issued for this payment once completed (taxDocument.service). */
+    taxInvoiceNumber: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -134,11 +215,17 @@ const PaymentAttemptSchema = new mongoose.Schema(
 
 PaymentAttemptSchema.index({ surveyorSketchUpload: 1, purpose: 1, createdAt: -1 });
 PaymentAttemptSchema.index({ providerState: 1, initiatedAt: 1 });
+PaymentAttemptSchema.index({ providerState: 1, "sweep.nextAt": 1 });
 PaymentAttemptSchema.index({ "reconciliationFlags.flag": 1, updatedAt: -1 });
+PaymentAttemptSchema.index({ "refunds.merchantRefundId": 1 }, { sparse: true });
+PaymentAttemptSchema.index({ "refunds.state": 1, updatedAt: 1 });
+PaymentAttemptSchema.index({ providerState: 1, taxInvoiceNumber: 1, completedAt: 1 });
 
 module.exports =
   mongoose.models.PaymentAttempt || mongoose.model("PaymentAttempt", PaymentAttemptSchema);
 
 module.exports.PAYMENT_PURPOSE = PAYMENT_PURPOSE;
+module.exports.PAYMENT_PROVIDER = PAYMENT_PROVIDER;
 module.exports.PROVIDER_STATE = PROVIDER_STATE;
+module.exports.REFUND_STATE = REFUND_STATE;
 module.exports.RECON_FLAG = RECON_FLAG;
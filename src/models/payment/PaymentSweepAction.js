@@ -0,0 +1,45 @@
+/**
+ * One row per stuck-PENDING attempt the payment sweeper polled (admin view of sweeper actions).
+ * Outcome is what the gateway status led to; the attempt itself carries the backoff state (PaymentAttempt.sweep).
+ */
+
+const mongoose = require("mongoose");
+const { PAYMENT_PURPOSE, PAYMENT_PROVIDER } = require("./PaymentAttempt");
+
+const SWEEP_OUTCOME = Object.freeze({
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  STILL_PENDING: "STILL_PENDING",
+  SKIPPED: "SKIPPED",
+  ERROR: "ERROR",
+});
+
+const PaymentSweepActionSchema = new mongoose.Schema(
+  {
+    runId: { type: String, required: true, index: true },
+    paymentAttempt: { type: mongoose.Schema.Types.ObjectId, ref: "PaymentAttempt", required: true },
+    merchantOrderId: { type: String, required: true, index: true },
+    provider: { type: String, enum: Object.values(PAYMENT_PROVIDER), required: true },
+    purpose: { type: String, enum: Object.values(PAYMENT_PURPOSE), required: true },
+    outcome: { type: String, enum: Object.values(SWEEP_OUTCOME), required: true, index: true },
+    /** Settlement reason (e.g. PROVIDER_NOT_COMPLETED, AMOUNT_MISMATCH) or why the attempt was skipped. */
+    reason: { type: String, default: null, maxlength: 200 },
+    error: { type: String, default: null, maxlength: 1000 },
+    /** Poll number for this attempt (1 = first sweep). */
+    sweepCount: { type: Number, required: true, min: 1 },
+    nextSweepAt: { type: Date, default: null },
+    at: { type: Date, default: () => new Date() },
+  },
+  {
+    timestamps: false,
+    strict: true,
+    collection: "payment_sweep_actions",
+  }
+);
+
+PaymentSweepActionSchema.index({ at: -1 });
+
+module.exports =
+  mongoose.models.PaymentSweepAction || mongoose.model("PaymentSweepAction", PaymentSweepActionSchema);
+
+module.exports.SWEEP_OUTCOME = SWEEP_OUTCOME;
@@ -0,0 +1,92 @@
+/**
+ * Raw log of gateway server-to-server webhooks (POST /api/payments/{provider}/webhook).
+ * One row per dedupe key (provider + event type + order / refund id): gateway retries and replays land on
+ * the same row instead of settling twice. Rejected (bad signature / stale) deliveries are kept for forensics
+ * with a truncated body and no dedupe key.
+ */
+
+const mongoose = require("mongoose");
+const { PAYMENT_PROVIDER } = require("./PaymentAttempt");
+
+const WEBHOOK_STATUS = Object.freeze({
+  RECEIVED: "RECEIVED",
+  PROCESSED: "PROCESSED",
+  IGNORED: "IGNORED",
+  FAILED: "FAILED",
+  REJECTED: "REJECTED",
+});
+
+/** What a verified webhook is about, as reported by the adapter's verifyWebhook. */
+const WEBHOOK_KIND = Object.freeze({
+  ORDER: "ORDER",
+  REFUND: "REFUND",
+  OTHER: "OTHER",
+});
+
+/** Stored raw body cap; anything longer is truncated (flagged by rawBodyTruncated). */
+const RAW_BODY_MAX_CHARS = 64 * 1024;
+
+const PaymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: Object.values(PAYMENT_PROVIDER),
+      required: true,
+      index: true,
+    },
+    kind: { type: String, enum: Object.values(WEBHOOK_KIND), default: WEBHOOK_KIND.OTHER },
+    eventType: { type: String, default: null, maxlength: 120 },
+    /** Gateway's own event id when it sends one (Razorpay X-Razorpay-Event-Id). */
+    eventId: { type: String, default: null, maxlength: 120 },
+    /**
+     * Unique per provider + event type + order / refund; left unset for rejected deliveries and events with no
+     * order / refund ref (a stored null would collide under the unique index).
+     */
+    dedupeKey: { type: String },
+    merchantOrderId: { type: String, default: null, index: true },
+    merchantRefundId: { type: String, default: null },
+    signatureVerified: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_STATUS),
+      default: WEBHOOK_STATUS.RECEIVED,
+      index: true,
+    },
+    /** Settlement result (success / cancelled / pending / refund state) or the reason it was ignored / rejected. */
+    outcome: { type: String, default: null, maxlength: 120 },
+    error: { type: String, default: null, maxlength: 1000 },
+    occurredAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: () => new Date() },
+    processedAt: { type: Date, default: null },
+    /** Deliveries that reached processing (first + retries of a FAILED / stuck row). */
+    attempts: { type: Number, default: 1, min: 0 },
+    /** Later deliveries of an already handled event (gateway retries, replays). */
+    duplicateCount: { type: Number, default: 0, min: 0 },
+    lastDuplicateAt: { type: Date, default: null },
+    rawBody: { type: String, default: "" },
+    rawBodyTruncated: { type: Boolean, default: false },
+    /** Request headers minus credentials / signatures. */
+    headers: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  },
+  {
+    timestamps: true,
+    strict: true,
+    collection: "payment_webhook_events",
+  }
+);
+
+// Partial, not sparse: sparse still indexes a stored null. scripts/migrate-superseded-indexes.js replaces the
+// former sparse index on existing clusters.
+PaymentWebhookEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+PaymentWebhookEventSchema.index({ provider: 1, receivedAt: -1 });
+PaymentWebhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports =
+  mongoose.models.PaymentWebhookEvent || mongoose.model("PaymentWebhookEvent", PaymentWebhookEventSchema);
+
+module.exports.WEBHOOK_STATUS = WEBHOOK_STATUS;
+module.exports.WEBHOOK_KIND = WEBHOOK_KIND;
+module.exports.RAW_BODY_MAX_CHARS = RAW_BODY_MAX_CHARS;
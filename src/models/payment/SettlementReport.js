@@ -0,0 +1,85 @@
+/**
+ * Gateway settlement report uploaded by finance (one file = one row, parsed lines embedded).
+ * Matched against payment_attempts on demand by settlementReconciliation.service, so late callbacks /
+ * refunds are reflected the next time the report is reconciled. A file is imported once per gateway (sha256).
+ */
+
+const mongoose = require("mongoose");
+const { PAYMENT_PROVIDER } = require("./PaymentAttempt");
+
+const SETTLEMENT_LINE_TYPE = Object.freeze({
+  PAYMENT: "PAYMENT",
+  REFUND: "REFUND",
+});
+
+/** Per-line reconciliation outcome against payment_attempts. */
+const SETTLEMENT_FLAG = Object.freeze({
+  MISSING: "MISSING",
+  EXTRA: "EXTRA",
+  AMOUNT_DIFF: "AMOUNT_DIFF",
+  FEE_DIFF: "FEE_DIFF",
+});
+
+/** Lines kept per report (a daily file is far below this; the document stays under Mongo's 16 MB). */
+const SETTLEMENT_MAX_LINES = 20000;
+
+const SettlementLineSchema = new mongoose.Schema(
+  {
+    lineNo: { type: Number, required: true },
+    type: { type: String, enum: Object.values(SETTLEMENT_LINE_TYPE), required: true },
+    merchantOrderId: { type: String, default: null },
+    merchantRefundId: { type: String, default: null },
+    transactionId: { type: String, default: null },
+    utr: { type: String, default: null },
+    transactionAt: { type: Date, default: null },
+    settledAt: { type: Date, default: null },
+    /** Amounts in paise, always positive; `type` gives the direction. */
+    grossPaise: { type: Number, required: true, min: 0 },
+    feePaise: { type: Number, default: 0 },
+    taxPaise: { type: Number, default: 0 },
+    netPaise: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const SettlementReportSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: Object.values(PAYMENT_PROVIDER), required: true, index: true },
+    /** Parser that read the file (e.g. PHONEPE_SETTLEMENT_V1). */
+    format: { type: String, required: true },
+    fileName: { type: String, default: null, maxlength: 200 },
+    fileSha256: { type: String, required: true },
+    /** Transactions the file is expected to cover: [periodFrom, periodTo). */
+    periodFrom: { type: Date, required: true },
+    periodTo: { type: Date, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    lineCount: { type: Number, default: 0 },
+    totals: {
+      grossPaise: { type: Number, default: 0 },
+      feePaise: { type: Number, default: 0 },
+      taxPaise: { type: Number, default: 0 },
+      netPaise: { type: Number, default: 0 },
+    },
+    lines: { type: [SettlementLineSchema], default: () => [] },
+    /** Rows the parser skipped (first 50). */
+    parseErrors: {
+      type: [{ lineNo: Number, message: { type: String, maxlength: 300 }, _id: false }],
+      default: () => [],
+    },
+  },
+  {
+    timestamps: true,
+    strict: true,
+    collection: "payment_settlement_reports",
+  }
+);
+
+SettlementReportSchema.index({ provider: 1, fileSha256: 1 }, { unique: true });
+SettlementReportSchema.index({ provider: 1, periodFrom: -1 });
+
+module.exports =
+  mongoose.models.SettlementReport || mongoose.model("SettlementReport", SettlementReportSchema);
+
+module.exports.SETTLEMENT_LINE_TYPE = SETTLEMENT_LINE_TYPE;
+module.exports.SETTLEMENT_FLAG = SETTLEMENT_FLAG;
+module.exports.SETTLEMENT_MAX_LINES = SETTLEMENT_MAX_LINES;
@@ -0,0 +1,100 @@
+/**
+ * Issued GST tax invoice / receipt (per completed PaymentAttempt) or credit note (per completed refund).
+ * Seller, buyer and amounts are frozen at issue, so the PDF renders identically for years and later
+ * settings changes never rewrite an issued document. Numbers come from TaxDocumentCounter.
+ */
+
+const mongoose = require("mongoose");
+const { TAX_DOCUMENT_KIND, TAX_SUPPLY_TYPE } = require("../../config/taxInvoice");
+const { PAYMENT_PURPOSE, PAYMENT_PROVIDER } = require("./PaymentAttempt");
+
+const TaxDocumentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: Object.values(TAX_DOCUMENT_KIND), required: true, immutable: true },
+    /** false = seller not GST-registered (receipt / refund receipt, no GST lines). */
+    gstRegistered: { type: Boolean, required: true, immutable: true },
+    /** e.g. NCI/26-27/000042; null only between the row being claimed and its number being assigned. */
+    number: { type: String, default: null },
+    series: { type: String, required: true, immutable: true },
+    /** Indian financial year, e.g. "2026-27". */
+    financialYear: { type: String, required: true, immutable: true },
+    issuedAt: { type: Date, required: true, immutable: true },
+
+    paymentAttempt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentAttempt",
+      required: true,
+      index: true,
+      immutable: true,
+    },
+    merchantOrderId: { type: String, required: true, immutable: true },
+    /** Credit notes only. */
+    merchantRefundId: { type: String, default: null, immutable: true },
+    originalInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "TaxDocument", default: null, immutable: true },
+    originalInvoiceNumber: { type: String, default: null },
+    provider: { type: String, enum: Object.values(PAYMENT_PROVIDER), default: null },
+    purpose: { type: String, enum: Object.values(PAYMENT_PURPOSE), required: true },
+    revisionNo: { type: Number, default: null },
+    /** Null only for WALLET_TOPUP (prepaid wallet / bundle purchase). */
+    surveyorSketchUpload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveyorSketchUpload",
+      required() {
+        return this.purpose !== PAYMENT_PURPOSE.WALLET_TOPUP;
+      },
+      default: null,
+      index: true,
+    },
+    applicationId: { type: String, default: null },
+    surveyor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    /** When the money moved (payment completedAt / refund settledAt). */
+    paidAt: { type: Date, default: null },
+
+    seller: {
+      legalName: { type: String, default: null },
+      gstin: { type: String, default: null },
+      address: { type: String, default: null },
+      stateCode: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+    buyer: {
+      name: { type: String, default: null },
+      phone: { type: String, default: null },
+      email: { type: String, default: null },
+      gstin: { type: String, default: null },
+    },
+    placeOfSupply: { type: String, default: null },
+    supplyType: { type: String, enum: [...Object.values(TAX_SUPPLY_TYPE), null], default: null },
+    sacCode: { type: String, default: null },
+    description: { type: String, required: true },
+    gstRateBps: { type: Number, default: 0 },
+    /** Paise. totalPaise = taxable + CGST + SGST + IGST = amount paid / refunded. */
+    amounts: {
+      taxablePaise: { type: Number, required: true },
+      cgstPaise: { type: Number, default: 0 },
+      sgstPaise: { type: Number, default: 0 },
+      igstPaise: { type: Number, default: 0 },
+      totalPaise: { type: Number, required: true, min: 1 },
+    },
+  },
+  {
+    timestamps: true,
+    strict: true,
+    collection: "tax_documents",
+  }
+);
+
+TaxDocumentSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+// One invoice per payment, one credit note per refund.
+TaxDocumentSchema.index(
+  { paymentAttempt: 1 },
+  { unique: true, partialFilterExpression: { kind: TAX_DOCUMENT_KIND.INVOICE } }
+);
+TaxDocumentSchema.index(
+  { merchantRefundId: 1 },
+  { unique: true, partialFilterExpression: { kind: TAX_DOCUMENT_KIND.CREDIT_NOTE } }
+);
+TaxDocumentSchema.index({ surveyor: 1, issuedAt: -1 });
+TaxDocumentSchema.index({ financialYear: 1, kind: 1, issuedAt: -1 });
+
+module.exports = mongoose.models.TaxDocument || mongoose.model("TaxDocument", TaxDocumentSchema);
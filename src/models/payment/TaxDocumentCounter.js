@@ -0,0 +1,29 @@
+/**
+ * Sequence per tax document series and financial year (key "I:2026-27"). `pending` is the one number
+ * reserved and not yet written onto its document; nothing else is reserved until it is settled, so numbers
+ * are gap-free (see taxDocument.service assignNumber).
+ */
+
+const mongoose = require("mongoose");
+
+const TaxDocumentCounterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, index: true, immutable: true },
+    seq: { type: Number, default: 0, min: 0 },
+    pending: {
+      type: new mongoose.Schema(
+        {
+          token: { type: String, required: true },
+          document: { type: mongoose.Schema.Types.ObjectId, ref: "TaxDocument", required: true },
+          number: { type: String, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+  },
+  { timestamps: true, strict: true, collection: "tax_document_counters" }
+);
+
+module.exports =
+  mongoose.models.TaxDocumentCounter || mongoose.model("TaxDocumentCounter", TaxDocumentCounterSchema);
@@ -17,6 +17,7 @@ const FileAccessEventSchema = new mongoose.Schema(
         "UPLOAD_QUARANTINED",
         "DOWNLOAD_ISSUED",
         "DOWNLOAD_DENIED",
+        "BUNDLE_ISSUED",
         "DELETE",
         "RETENTION_DELETE",
         "ACCESS_DENIED_CROSS_USER",
@@ -28,6 +29,8 @@ const FileAccessEventSchema = new mongoose.Schema(
     uploadId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
     success: { type: Boolean, required: true, index: true },
     code: { type: String, default: null, index: true },
+    /** Per-download watermark trace code stamped on derived previews (SERVER_ENFORCED). */
+    traceCode: { type: String, default: null },
     meta: { type: mongoose.Schema.Types.Mixed, default: null },
     ip: { type: String, default: null },
     userAgent: { type: String, default: null },
@@ -37,6 +40,7 @@ const FileAccessEventSchema = new mongoose.Schema(
 
 FileAccessEventSchema.index({ createdAt: -1 });
 FileAccessEventSchema.index({ objectKey: 1, createdAt: -1 });
+FileAccessEventSchema.index({ traceCode: 1 }, { sparse: true });
 
 // Harden: block updates via mongoose
 FileAccessEventSchema.pre(["updateOne", "findOneAndUpdate", "updateMany"], function () {
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { SURVEY_FLAT_TYPE } = require("../../config/constants");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
 const { normalizeStoredDocumentList, normalizeDocumentsField } = require("../../utils/surveyDocuments");
 
 const SurveyDocumentSchema = new mongoose.Schema(
@@ -51,6 +52,7 @@ const SurveyDraftSchema = new mongoose.Schema(
     is_kharabuttar: { type: Boolean, default: false },
     is_mulapatra: { type: Boolean, default: false },
     isSuperimpose: { type: Boolean, default: false },
+    orderType: { type: String, enum: Object.values(ORDER_TYPES), default: ORDER_TYPES.STANDARD_11E },
 
     audio: { type: [SurveyDocumentSchema], default: () => [] },
     other_documents: { type: [SurveyDocumentSchema], default: () => [] },
@@ -9,7 +9,10 @@ const {
   SURVEY_FLAT_TYPE,
   SURVEY_SKETCH_STATUS,
   SURVEY_SKETCH_DOCUMENT_KEYS,
+  DELIVERY_QC_STATUS,
+  DXF_ANALYSIS_STATUS,
 } = require("../../config/constants");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
 const { pickSurveyDocumentRaw } = require("../../utils/surveyDocumentKeys");
 const { normalizeStoredDocumentList, normalizeDocumentsField } = require("../../utils/surveyDocuments");
 
@@ -36,6 +39,34 @@ const SurveyDocumentSchema = new mongoose.Schema(
     confirmed: { type: Boolean, default: false },
     /** Deliverable contract version frozen at submit. */
     contractVersion: { type: String, trim: true, default: null },
+    /**
+     * Set on server-rendered previews (CAD omitted one): source DXF key + generator version.
+     * sha256 is then the full-file digest, not the confirm-gate header prefix.
+     */
+    generated: {
+      type: new mongoose.Schema(
+        {
+          from: { type: String, default: null },
+          by: { type: String, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/** Machine DXF findings for one delivered source file (copied from CadFileAnalysis at delivery). */
+const DxfAnalysisRowSchema = new mongoose.Schema(
+  {
+    s3Key: { type: String, required: true },
+    fileName: { type: String, default: null },
+    parserVersion: { type: String, default: null },
+    status: { type: String, enum: Object.values(DXF_ANALYSIS_STATUS), required: true },
+    reason: { type: String, default: null },
+    summary: { type: mongoose.Schema.Types.Mixed, default: null },
+    analyzedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -49,6 +80,60 @@ const CadDeliverableVersionSchema = new mongoose.Schema(
     deliverables: { type: [SurveyDocumentSchema], default: () => [] },
     submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     submittedAt: { type: Date, default: () => new Date() },
+    /**
+     * QC gate for this delivery (DeliveryQcRecord). null = legacy row (released before QC existed).
+     * Only PASSED / null rows are surveyor-visible and earn; FAILED rows stay for audit.
+     */
+    qc: {
+      type: new mongoose.Schema(
+        {
+          status: { type: String, enum: Object.values(DELIVERY_QC_STATUS), required: true },
+          record: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryQcRecord", default: null },
+          reviewedAt: { type: Date, default: null },
+          reasons: { type: [String], default: () => [] },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    /** Server-side DXF checks for the source files (QC reviewer only; hidden from surveyors). */
+    dxfAnalysis: { type: [DxfAnalysisRowSchema], default: () => [] },
+  },
+  { _id: false }
+);
+
+// -------- Coupon applied to a fee payment (frozen at checkout, payment/coupon.service) --------
+const CouponSnapshotSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    discountType: { type: String, default: null },
+    stacking: { type: String, default: null },
+    /** Paise taken off the fee; the payment's amountPaise is already net of it. */
+    discountPaise: { type: Number, required: true, min: 1 },
+    appliedAt: { type: Date, default: () => new Date() },
+  },
+  { _id: false }
+);
+
+// -------- Prepaid wallet share of a fee payment (frozen at first checkout, payment/surveyorWallet.service) --------
+const WalletFundingSchema = new mongoose.Schema(
+  {
+    /** Wallet balance spent; the gateway is charged amountPaise − debitedPaise. */
+    debitedPaise: { type: Number, default: 0, min: 0 },
+    /** Bundle credit consumed at booking: covers the order type's booking fee now and its balance at delivery. */
+    bundleCredit: {
+      type: new mongoose.Schema(
+        {
+          orderType: { type: String, enum: Object.values(ORDER_TYPES), required: true },
+          /** Booking fee lines (base + express) the credit paid for; not part of amountPaise. */
+          coveredPaise: { type: Number, required: true, min: 0 },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    fundedAt: { type: Date, default: () => new Date() },
   },
   { _id: false }
 );
@@ -156,6 +241,14 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
     /** Whether this sketch involves superimpose workflow (frontend flag). */
     isSuperimpose: { type: Boolean, default: false },
 
+    /** Product bought at booking: EXPRESS_11E pays a surcharge for a shorter delivery SLA (same QC). */
+    orderType: {
+      type: String,
+      enum: Object.values(ORDER_TYPES),
+      default: ORDER_TYPES.STANDARD_11E,
+      immutable: true,
+    },
+
     /** Optional audio files (e.g. audio remarks, voice notes). */
     audio: {
       type: [SurveyDocumentSchema],
@@ -204,7 +297,7 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
     sketchPayment: {
       status: {
         type: String,
-        enum: ["NONE", "PENDING", "COMPLETED", "FAILED", "AMOUNT_MISMATCH"],
+        enum: ["NONE", "PENDING", "COMPLETED", "FAILED", "AMOUNT_MISMATCH", "REFUNDED"],
         default: "NONE",
       },
       merchantOrderId: { type: String, default: null, index: true },
@@ -214,16 +307,31 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
       baseFeePaise: { type: Number, default: null },
       /** Superimpose add-on (paise) included in amountPaise when isSuperimpose. */
       superimposeFeePaise: { type: Number, default: null },
+      /** Express surcharge (paise) included in amountPaise when orderType is EXPRESS_11E. */
+      expressFeePaise: { type: Number, default: null },
       /** Snapshot at checkout: admin plan (₹) and discount (₹) if pricing source was admin. */
       planAmountRupees: { type: Number, default: null },
       discountRupees: { type: Number, default: null },
       pricingSource: { type: String, default: null },
-      /** Amount actually paid (paise), from PhonePe order status — must match amountPaise. */
+      /** Pricing contract that priced this payment; id is null while the code baseline applied. */
+      pricingVersion: { type: String, default: null },
+      pricingVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "SketchPricingVersion", default: null },
+      /** Campaign code: amountPaise = base + superimpose + express − coupon.discountPaise. */
+      coupon: { type: CouponSnapshotSchema, default: null },
+      /** Prepaid wallet / bundle share; null when the gateway was charged everything. */
+      wallet: { type: WalletFundingSchema, default: null },
+      /** Amount actually paid (paise), gateway plus wallet — must match amountPaise. */
       paidAmountPaise: { type: Number, default: null },
       /** Set when callback paid amount does not match expected amountPaise. */
       paymentFailureReason: { type: String, default: null },
       phonepeResponse: { type: mongoose.Schema.Types.Mixed, default: null },
       paidAt: { type: Date, default: null },
+      /** Exceptional refund audit (approved refund policy) — refundedAt is set once refunds cover the payment. */
+      refundedAt: { type: Date, default: null },
+      /** Cumulative refunded (paise), partial refunds included. */
+      refundedAmountPaise: { type: Number, default: 0, min: 0 },
+      refundReasonCode: { type: String, default: null },
+      refundPolicyVersion: { type: String, default: null },
     },
 
     /** When revision #2+ requires payment: payload held until PhonePe succeeds. */
@@ -241,6 +349,10 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
       planAmountRupees: { type: Number, default: null },
       discountRupees: { type: Number, default: null },
       pricingSource: { type: String, default: null },
+      /** Pricing contract that priced this payment; id is null while the code baseline applied. */
+      pricingVersion: { type: String, default: null },
+      pricingVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "SketchPricingVersion", default: null },
+      coupon: { type: CouponSnapshotSchema, default: null },
       paymentFailureReason: { type: String, default: null },
       requestedAt: { type: Date, default: null },
       phonepeResponse: { type: mongoose.Schema.Types.Mixed, default: null },
@@ -256,8 +368,15 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
           paidAmountPaise: { type: Number, default: null },
           planAmountRupees: { type: Number, default: null },
           discountRupees: { type: Number, default: null },
+          pricingVersion: { type: String, default: null },
+          pricingVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "SketchPricingVersion", default: null },
+          coupon: { type: CouponSnapshotSchema, default: null },
           paidAt: { type: Date, default: () => new Date() },
           phonepeResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+          refundedAt: { type: Date, default: null },
+          refundedAmountPaise: { type: Number, default: 0, min: 0 },
+          refundReasonCode: { type: String, default: null },
+          refundPolicyVersion: { type: String, default: null },
         },
       ],
       default: () => [],
@@ -279,11 +398,20 @@ const SurveyorSketchUploadSchema = new mongoose.Schema(
       planAmountRupees: { type: Number, default: null },
       discountRupees: { type: Number, default: null },
       pricingSource: { type: String, default: null },
+      /** Pricing contract that priced this payment; id is null while the code baseline applied. */
+      pricingVersion: { type: String, default: null },
+      pricingVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "SketchPricingVersion", default: null },
+      /** Campaign code applied at the first balance checkout; amountPaise is then net of it. */
+      coupon: { type: CouponSnapshotSchema, default: null },
+      /** Prepaid wallet share spent at the first balance checkout (or the booking's bundle credit). */
+      wallet: { type: WalletFundingSchema, default: null },
       paidAmountPaise: { type: Number, default: null },
       paymentFailureReason: { type: String, default: null },
       phonepeResponse: { type: mongoose.Schema.Types.Mixed, default: null },
       paidAt: { type: Date, default: null },
       refundedAt: { type: Date, default: null },
+      /** Cumulative refunded (paise); REFUNDED / entitlement revoke only once it covers the payment. */
+      refundedAmountPaise: { type: Number, default: 0, min: 0 },
       /** Exceptional refund audit (approved refund policy). */
       refundReasonCode: { type: String, default: null },
       refundPolicyVersion: { type: String, default: null },
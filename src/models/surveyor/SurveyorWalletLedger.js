@@ -0,0 +1,70 @@
+/**
+ * Surveyor prepaid wallet: append-only ledger of money (paise) and bundle order credits.
+ * Rows are never updated; each carries the running balance after it, so the latest row (highest seq)
+ * is the wallet. seq is unique per surveyor, so two concurrent writers cannot both append on the same
+ * balance — the loser re-reads and retries (payment/surveyorWallet.service).
+ */
+
+const mongoose = require("mongoose");
+const { SURVEYOR_WALLET_ENTRY_KIND } = require("../../config/constants");
+const { ORDER_TYPES } = require("../../config/lifecycleQcSpec");
+
+const SurveyorWalletLedgerSchema = new mongoose.Schema(
+  {
+    surveyor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+    },
+    /** 1-based position in this surveyor's ledger. */
+    seq: { type: Number, required: true, min: 1, immutable: true },
+    kind: {
+      type: String,
+      enum: Object.values(SURVEYOR_WALLET_ENTRY_KIND),
+      required: true,
+      immutable: true,
+    },
+    /** Signed balance movement (paise); 0 on bundle-credit rows. */
+    amountPaise: { type: Number, required: true, default: 0, immutable: true },
+    balanceAfterPaise: { type: Number, required: true, min: 0, immutable: true },
+    /** Bundle rows: signed order credits moved for orderType. */
+    orderType: { type: String, enum: Object.values(ORDER_TYPES), default: null, immutable: true },
+    credits: { type: Number, default: 0, immutable: true },
+    /** Order credits left per order type after this row. */
+    creditsAfter: { type: Map, of: Number, default: () => ({}), immutable: true },
+    /** Idempotency key (e.g. topup:<merchantOrderId>, booking:<uploadId>); one row per key. */
+    ref: { type: String, default: null, immutable: true },
+    surveyorSketchUpload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveyorSketchUpload",
+      default: null,
+      index: true,
+      immutable: true,
+    },
+    /** Gateway order that funded a TOPUP / BUNDLE_PURCHASE. */
+    merchantOrderId: { type: String, default: null, immutable: true },
+    /** BUNDLE_PURCHASE: pack as sold. */
+    bundlePack: {
+      packId: { type: mongoose.Schema.Types.ObjectId, ref: "BundlePack", default: null },
+      code: { type: String, default: null },
+      orders: { type: Number, default: null },
+      pricePaise: { type: Number, default: null },
+    },
+    /** REVERSAL: the row undone. */
+    reverses: { type: mongoose.Schema.Types.ObjectId, ref: "SurveyorWalletLedger", default: null, immutable: true },
+    note: { type: String, trim: true, default: null, maxlength: 500, immutable: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+  },
+  { timestamps: true, strict: true, collection: "surveyor_wallet_ledger" }
+);
+
+SurveyorWalletLedgerSchema.index({ surveyor: 1, seq: -1 }, { unique: true });
+SurveyorWalletLedgerSchema.index(
+  { ref: 1 },
+  { unique: true, partialFilterExpression: { ref: { $type: "string" } } }
+);
+SurveyorWalletLedgerSchema.index({ kind: 1, createdAt: -1 });
+
+module.exports =
+  mongoose.models.SurveyorWalletLedger || mongoose.model("SurveyorWalletLedger", SurveyorWalletLedgerSchema);
@@ -60,6 +60,10 @@ const UserSchema = new mongoose.Schema({
   upiDetails: {
     upiId: { type: String, trim: true, default: null },
   },
+  /** PAN for TDS on payouts (config/cadTds); without one the higher no-PAN rate applies. */
+  taxDetails: {
+    pan: { type: String, trim: true, uppercase: true, default: null },
+  },
   professionalDetails: {
     skills: [{ type: String, trim: true }],
     experienceYears: { type: Number, min: 0, default: null },
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const WorkingCalendarSchema = require("../../masters/subSchemas/WorkingCalendar.schema");
 
 const CadProfileSchema = new mongoose.Schema({
   cadCenter: {
@@ -7,7 +8,8 @@ const CadProfileSchema = new mongoose.Schema({
     required: false, // optional for now; can be made required later
     index: true,
   },
-  skills: [{ type: String }],
+  /** Routing skills (CAD_ROUTING_SKILL) — matched by auto-assign against upload surveyType / superimpose. */
+  skills: [{ type: String, trim: true, lowercase: true }],
   personalDetails: {
     firstName: { type: String, trim: true, default: null },
     lastName: { type: String, trim: true, default: null },
@@ -44,6 +46,9 @@ const CadProfileSchema = new mongoose.Schema({
     default: "AVAILABLE",
     index: true,
   },
+  /** Personal business hours for SLA dueAt; overrides the center calendar. null = use center. */
+  workingCalendar: { type: WorkingCalendarSchema, default: null },
+  /** Average surveyor feedback rating (1–5); 0 = not rated yet. Maintained by cadUserFeedback.service. */
   rating: { type: Number, default: 0 },
   workload: { type: Number, default: 0 },
 }, { _id: false });
@@ -20,6 +20,13 @@ const SurveyorProfileSchema = new mongoose.Schema({
     ref: "Taluka",
     required: true,
   },
+  /** Optional buyer GSTIN printed on tax invoices (first two digits = place of supply). */
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null,
+  },
 }, { _id: false });
 
 // Export Schema for use as embedded subdocument in User. Do not use as standalone Model.
@@ -7,6 +7,7 @@ const SurveyDraft = require("../models/surveyor/SurveyDraft");
 const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
 const { USER_ROLES, SURVEY_SKETCH_STATUS } = require("../config/constants");
 const orderStatusCounts = require("./orderStatusCounts.service");
+const couponService = require("./payment/coupon.service");
 
 function paiseToRupees(paise) {
   const n = Number(paise);
@@ -33,6 +34,7 @@ async function getDashboardStats() {
     sketchFailedCount,
     revisionPendingRows,
     revisionFailedCount,
+    couponDiscounts,
   ] = await Promise.all([
     User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
     SurveyDraft.countDocuments({ deletedAt: null }),
@@ -45,7 +47,10 @@ async function getDashboardStats() {
           count: { $sum: 1 },
           amountPaise: {
             $sum: {
-              $ifNull: ["$sketchPayment.paidAmountPaise", { $ifNull: ["$sketchPayment.amountPaise", 0] }],
+              $subtract: [
+                { $ifNull: ["$sketchPayment.paidAmountPaise", { $ifNull: ["$sketchPayment.amountPaise", 0] }] },
+                { $ifNull: ["$sketchPayment.refundedAmountPaise", 0] },
+              ],
             },
           },
         },
@@ -54,15 +59,21 @@ async function getDashboardStats() {
     SurveyorSketchUpload.aggregate([
       { $match: { revisionFeePayments: { $exists: true, $ne: [] } } },
       { $unwind: "$revisionFeePayments" },
+      { $match: { "revisionFeePayments.refundedAt": null } },
       {
         $group: {
           _id: null,
           count: { $sum: 1 },
           amountPaise: {
             $sum: {
-              $ifNull: [
-                "$revisionFeePayments.paidAmountPaise",
-                { $ifNull: ["$revisionFeePayments.chargedAmountPaise", 0] },
+              $subtract: [
+                {
+                  $ifNull: [
+                    "$revisionFeePayments.paidAmountPaise",
+                    { $ifNull: ["$revisionFeePayments.chargedAmountPaise", 0] },
+                  ],
+                },
+                { $ifNull: ["$revisionFeePayments.refundedAmountPaise", 0] },
               ],
             },
           },
@@ -96,6 +107,7 @@ async function getDashboardStats() {
       },
     ]),
     SurveyorSketchUpload.countDocuments({ "pendingRevisionPayment.status": "FAILED" }),
+    couponService.redeemedDiscountSummary(),
   ]);
 
   const usersByRole = {};
@@ -157,6 +169,18 @@ async function getDashboardStats() {
         sketchUploadFailed: sketchFailedCount,
         revisionPaymentFailed: revisionFailedCount,
       },
+      // Revenue given up to promo codes on paid fees (received amounts above are already net of it).
+      couponDiscounts: {
+        redemptions: couponDiscounts.redemptions,
+        amountPaise: couponDiscounts.discountPaise,
+        amountRupees: paiseToRupees(couponDiscounts.discountPaise),
+        byCode: couponDiscounts.byCode.map((c) => ({
+          code: c.code,
+          redemptions: c.redemptions,
+          amountPaise: c.discountPaise,
+          amountRupees: paiseToRupees(c.discountPaise),
+        })),
+      },
     },
   };
 }
@@ -0,0 +1,232 @@
+/**
+ * Delivery QC (audit M-08): one DeliveryQcRecord per CAD delivery, reviewed against QC_CHECKLIST_11E.
+ * Files reach the surveyor (CAD_DELIVERED) only after every required check passes;
+ * a failed review returns the assignment to the CAD user with the reasons.
+ */
+
+const DeliveryQcRecord = require("../../models/assignment/DeliveryQcRecord");
+const { NotFoundError, ConflictError, BadRequestError } = require("../../utils/errors");
+const { DELIVERY_QC_STATUS, QC_CHECK_RESULT } = require("../../config/constants");
+const { QC_MATRIX, ORDER_TYPES } = require("../../config/lifecycleQcSpec");
+const logger = require("../../utils/logger");
+
+/**
+ * Checklist rows frozen onto a new record (result filled by the reviewer).
+ * @param {Record<string, { result: string, note: string }>} [machineFindings] DXF pre-fill by code
+ */
+function buildChecklistSnapshot(machineFindings = {}) {
+  return QC_MATRIX.checks.map((c) => ({
+    id: c.id,
+    code: c.code,
+    label: c.label,
+    required: c.required !== false,
+    result: null,
+    note: null,
+    machine: machineFindings[c.code] || null,
+  }));
+}
+
+/**
+ * Merge reviewer results into a checklist and decide the outcome. Pure.
+ * Every item needs a result; N/A is only allowed on non-required items.
+ * @param {Array} checklist frozen checks ({ id, code, label, required })
+ * @param {Array<{ code: string, result: string, note?: string }>} inputChecks
+ * @returns {{ checks: Array, passed: boolean, failureReasons: string[] }}
+ */
+function evaluateQcChecks(checklist, inputChecks) {
+  const byCode = new Map((inputChecks || []).map((c) => [String(c.code).toUpperCase(), c]));
+  const errors = [];
+  const checks = checklist.map((item) => {
+    const input = byCode.get(item.code);
+    const result = input?.result ? String(input.result).toUpperCase() : null;
+    if (!result || !Object.values(QC_CHECK_RESULT).includes(result)) {
+      errors.push({ field: `checks.${item.code}`, message: "result must be PASS, FAIL or NA" });
+    } else if (result === QC_CHECK_RESULT.NA && item.required) {
+      errors.push({ field: `checks.${item.code}`, message: "NA is not allowed on a required check" });
+    }
+    return { ...item, result, note: input?.note ? String(input.note).trim() : null };
+  });
+  if (errors.length) {
+    throw new BadRequestError("QC checklist is incomplete", { code: "QC_CHECKLIST_INVALID", errors });
+  }
+
+  const failureReasons = checks
+    .filter((c) => c.result === QC_CHECK_RESULT.FAIL)
+    .map((c) => `${c.code}: ${c.note || c.label}`);
+  return { checks, passed: failureReasons.length === 0, failureReasons };
+}
+
+/** History entry is surveyor-visible: QC passed, or legacy row delivered before QC existed. */
+function isReleasedDelivery(entry) {
+  if (!entry) return false;
+  return !entry.qc || entry.qc.status === DELIVERY_QC_STATUS.PASSED;
+}
+
+/**
+ * Unsaved PENDING record for a delivery; caller links its _id on the history entry, then saves.
+ */
+function buildQcRecord({
+  uploadDoc,
+  assignmentDoc,
+  cadUserId,
+  revisionNo,
+  isRevision,
+  submittedAt,
+  machineFindings = {},
+}) {
+  return new DeliveryQcRecord({
+    surveyorSketchUpload: uploadDoc._id,
+    assignment: assignmentDoc._id,
+    cadUser: cadUserId,
+    isRevision: Boolean(isRevision),
+    revisionNo,
+    orderType: uploadDoc.orderType || ORDER_TYPES.STANDARD_11E,
+    checklistId: QC_MATRIX.checklistId,
+    checklistVersion: QC_MATRIX.version,
+    checks: buildChecklistSnapshot(machineFindings),
+    submittedAt,
+  });
+}
+
+async function findPendingForUpload(uploadId) {
+  return DeliveryQcRecord.findOne({
+    surveyorSketchUpload: uploadId,
+    status: DELIVERY_QC_STATUS.PENDING,
+  })
+    .select("_id assignment revisionNo isRevision submittedAt")
+    .lean();
+}
+
+/** Review queue (admin). Oldest PENDING first by default. */
+async function listQcRecords({ status, surveyorSketchUploadId } = {}, pagination = null) {
+  const query = {};
+  const st = status ? String(status).toUpperCase() : DELIVERY_QC_STATUS.PENDING;
+  if (st !== "ALL") {
+    if (!Object.values(DELIVERY_QC_STATUS).includes(st)) {
+      throw new BadRequestError(
+        `status must be one of: ${[...Object.values(DELIVERY_QC_STATUS), "ALL"].join(", ")}`,
+        { code: "INVALID_QC_STATUS" }
+      );
+    }
+    query.status = st;
+  }
+  if (surveyorSketchUploadId) query.surveyorSketchUpload = surveyorSketchUploadId;
+
+  const limit = Math.min(100, Math.max(1, parseInt(pagination?.limit, 10) || 20));
+  const skip = Math.max(0, ((parseInt(pagination?.page, 10) || 1) - 1) * limit);
+  const sort = st === DELIVERY_QC_STATUS.PENDING ? { createdAt: 1 } : { createdAt: -1 };
+
+  const [data, total] = await Promise.all([
+    DeliveryQcRecord.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("surveyorSketchUpload", "applicationId surveyNo status orderType")
+      .populate("cadUser", "name auth")
+      .populate("reviewer", "name")
+      .lean(),
+    DeliveryQcRecord.countDocuments(query),
+  ]);
+  return { data, total };
+}
+
+/** One record plus the files under review and their DXF findings (from the linked history entry). */
+async function getQcRecord(recordId) {
+  const record = await DeliveryQcRecord.findById(recordId)
+    .populate("surveyorSketchUpload", "applicationId surveyNo status orderType cadDeliverableHistory")
+    .populate("cadUser", "name auth")
+    .populate("reviewer", "name")
+    .lean();
+  if (!record) {
+    throw new NotFoundError("QC record not found", { code: "QC_RECORD_NOT_FOUND" });
+  }
+  const history = record.surveyorSketchUpload?.cadDeliverableHistory || [];
+  const entry = history.find((h) => String(h?.qc?.record || "") === String(record._id)) || null;
+  if (record.surveyorSketchUpload) delete record.surveyorSketchUpload.cadDeliverableHistory;
+  return { ...record, deliverables: entry?.deliverables || [], dxfAnalysis: entry?.dxfAnalysis || [] };
+}
+
+/**
+ * Reviewer completes the checklist. PASSED → release to surveyor; FAILED → back to the CAD user.
+ * @param {string} recordId
+ * @param {{ checks: Array<{ code, result, note? }>, notes?: string }} payload
+ * @param {object} reviewer admin / QC reviewer user
+ */
+async function completeQcReview(recordId, { checks, notes = null }, reviewer) {
+  const record = await DeliveryQcRecord.findById(recordId);
+  if (!record) {
+    throw new NotFoundError("QC record not found", { code: "QC_RECORD_NOT_FOUND" });
+  }
+  if (record.status !== DELIVERY_QC_STATUS.PENDING) {
+    throw new ConflictError(`QC review already completed (${record.status})`, {
+      code: "QC_ALREADY_COMPLETED",
+      status: record.status,
+    });
+  }
+
+  const snapshot = record.checks.map((c) => ({
+    id: c.id,
+    code: c.code,
+    label: c.label,
+    required: c.required,
+    machine: c.machine || null,
+  }));
+  const outcome = evaluateQcChecks(snapshot, checks);
+
+  const review = {
+    checks: outcome.checks,
+    notes: notes || null,
+    failureReasons: outcome.failureReasons,
+    status: outcome.passed ? DELIVERY_QC_STATUS.PASSED : DELIVERY_QC_STATUS.FAILED,
+    reviewer: reviewer?._id || null,
+    reviewedAt: new Date(),
+  };
+
+  // Conditional on PENDING so two reviewers cannot both release / bounce the same delivery.
+  const claimed = await DeliveryQcRecord.findOneAndUpdate(
+    { _id: record._id, status: DELIVERY_QC_STATUS.PENDING },
+    { $set: review },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ConflictError("QC review already completed", { code: "QC_ALREADY_COMPLETED" });
+  }
+
+  const assignmentService = require("./surveySketchAssignment.service");
+  let assignment;
+  try {
+    assignment = outcome.passed
+      ? await assignmentService.releaseDeliveryAfterQc(claimed, reviewer)
+      : await assignmentService.returnDeliveryAfterQcFailure(claimed, reviewer);
+  } catch (err) {
+    // The delivery did not move: reopen the record (only this review's write) so the review can be retried.
+    await DeliveryQcRecord.updateOne(
+      { _id: record._id, status: review.status, reviewedAt: review.reviewedAt },
+      {
+        $set: {
+          status: DELIVERY_QC_STATUS.PENDING,
+          checks: record.checks,
+          notes: record.notes ?? null,
+          failureReasons: [],
+          reviewer: null,
+          reviewedAt: null,
+        },
+      }
+    );
+    logger.error("QC review outcome not applied; record reopened", err, { recordId: String(record._id) });
+    throw err;
+  }
+
+  return { record: claimed.toObject(), assignment };
+}
+
+module.exports = {
+  buildChecklistSnapshot,
+  evaluateQcChecks,
+  isReleasedDelivery,
+  buildQcRecord,
+  findPendingForUpload,
+  listQcRecords,
+  getQcRecord,
+  completeQcReview,
+};
@@ -21,6 +21,7 @@ const {
   SURVEY_SKETCH_ASSIGNMENT_STATUS,
   SURVEY_SKETCH_STATUS,
   CAD_WALLET_ENTRY_KIND,
+  DELIVERY_QC_STATUS,
 } = require("../../config/constants");
 const {
   assertSketchBookingPaymentAllowsWorkflow,
@@ -31,16 +32,23 @@ const {
   assertSketchStatusTransition,
   assertAssignmentStatusTransition,
   assertQcRequiredForRelease,
+  orderTypeListMatch,
   ORDER_TYPES,
 } = require("../../config/lifecycleQcSpec");
 const {
   requireLoadedUpload,
 } = require("../requireLoadedRecord");
 const slaDue = require("../slaDue.service");
+const slaCalendar = require("../slaCalendar.service");
 const sketchPaymentPricing = require("../sketchPaymentPricing.service");
 const phonePeSketchPayment = require("../phonePeSketchPayment.service");
+const paymentProvider = require("../payment/paymentProvider.service");
+const couponService = require("../payment/coupon.service");
 const paymentAttempt = require("../paymentAttempt.service");
 const cadWalletService = require("../cadWallet.service");
+const deliveryQc = require("./deliveryQc.service");
+const dxfAnalysisService = require("../dxfAnalysis.service");
+const cadPreviewService = require("../cadPreview.service");
 const { normalizeStoredDocumentList } = require("../../utils/surveyDocuments");
 const { mongoRoleEquals, mongoStatusEquals } = require("../../utils/roleNormalize");
 
@@ -260,7 +268,7 @@ async function create(payload, assignedBy) {
         existing.cadCenter = cadCenterToStore || null;
         existing.assignedBy = assignedBy._id;
         existing.notes = notes ? String(notes).trim().slice(0, 1000) : existing.notes || null;
-        slaDue.applySlaOnAssign(existing);
+        await slaCalendar.applySlaOnAssignWithCalendar(existing);
         await existing.save();
         await syncUploadStatusWithActiveAssignment(surveyorSketchUploadId);
 
@@ -307,7 +315,7 @@ async function create(payload, assignedBy) {
     notes: notes ? String(notes).trim().slice(0, 1000) : null,
   });
   // M-10: server-owned dueAt — ignore client dueDate
-  slaDue.applySlaOnAssign(doc);
+  await slaCalendar.applySlaOnAssignWithCalendar(doc);
   await doc.save();
 
   const sketchForAssign = await loadUploadOrThrow(surveyorSketchUploadId, "status");
@@ -356,7 +364,7 @@ async function listByCadCenter(cadCenterId, options = {}) {
       .sort({ assignedAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate("surveyorSketchUpload", "applicationId surveyNo status district taluka village createdAt")
+      .populate("surveyorSketchUpload", "applicationId surveyNo status orderType district taluka village createdAt")
       .populate("assignedTo", "name auth")
       .populate("assignedBy", "name")
       .lean(),
@@ -387,7 +395,7 @@ async function getAssignmentCountsByCenter(cadCenterId) {
  */
 async function getById(assignmentId) {
   const doc = await SurveySketchAssignment.findById(assignmentId)
-    .populate("surveyorSketchUpload", "applicationId surveyNo status documents district taluka village surveyor createdAt")
+    .populate("surveyorSketchUpload", "applicationId surveyNo status orderType documents district taluka village surveyor createdAt")
     .populate("cadCenter", "name code availabilityStatus contact address")
     .populate("assignedTo", "name auth cadProfile")
     .populate("assignedBy", "name")
@@ -549,7 +557,7 @@ async function pullbackAndReassign(assignmentId, { assignedCadUserId, reason },
   applyAssignmentStatus(doc, SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED);
   doc.completedAt = null;
   doc.rejectedByCad = null;
-  slaDue.applySlaOnAssign(doc); // restart SLA clock on pullback
+  await slaCalendar.applySlaOnAssignWithCalendar(doc); // restart SLA clock on pullback
   await doc.save();
   if (doc.surveyorSketchUpload) {
     await syncUploadStatusWithActiveAssignment(doc.surveyorSketchUpload);
@@ -689,6 +697,7 @@ async function listAll(filters = {}, pagination = null) {
   const query = {};
   if (filters.cadCenterId) query.cadCenter = filters.cadCenterId;
   if (filters.surveyorSketchUploadId) query.surveyorSketchUpload = filters.surveyorSketchUploadId;
+  if (filters.orderType) query.orderType = orderTypeListMatch(filters.orderType);
   // Do not filter by status – return all assignments as stored in DB
 
   const limit = Math.min(100, Math.max(1, parseInt(pagination?.limit, 10) || 20));
@@ -699,7 +708,7 @@ async function listAll(filters = {}, pagination = null) {
       .sort({ assignedAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate("surveyorSketchUpload", "applicationId surveyNo status createdAt")
+      .populate("surveyorSketchUpload", "applicationId surveyNo status orderType createdAt")
       .populate("cadCenter", "name code availabilityStatus")
       .populate("assignedTo", "name auth")
       .populate("assignedBy", "name")
@@ -794,6 +803,9 @@ async function listForCadUser(cadUser, options = {}) {
   } else {
     filter.status = { $ne: SURVEY_SKETCH_ASSIGNMENT_STATUS.CANCELLED };
   }
+  if (options.orderType != null && options.orderType !== "") {
+    filter.orderType = orderTypeListMatch(options.orderType);
+  }
 
   // UX safeguard: hide expired ASSIGNED work (assignedAt older than 2h).
   // Cron job will enforce the same rule by setting these assignments to CANCELLED.
@@ -821,7 +833,7 @@ async function listForCadUser(cadUser, options = {}) {
       )
       .skip(skip)
       .limit(limit)
-      .populate("surveyorSketchUpload", "applicationId surveyNo status district taluka village createdAt cadDeliverable")
+      .populate("surveyorSketchUpload", "applicationId surveyNo status orderType district taluka village createdAt cadDeliverable")
       .populate("cadCenter", "name code")
       .populate("assignedTo", "name auth")
       .populate("assignedBy", "name")
@@ -886,7 +898,8 @@ async function autoRejectExpiredAssignments({ now = new Date(), limit = 250 } =
 }
 
 /**
- * CAD uploads finished sketch URL (after presign PUT). Sets upload.cadDeliverable, assignment COMPLETED, sketch CAD_DELIVERED.
+ * CAD uploads finished sketch URL (after presign PUT). Assignment COMPLETED and the delivery staged for QC;
+ * upload.cadDeliverable / sketch CAD_DELIVERED are set only when QC passes (releaseDeliveryAfterQc).
  */
 function buildCadDeliverableHistoryEntry({ revisionNo, isRevision, deliverables, submittedBy, submittedAt }) {
   const files = normalizeStoredDocumentList(deliverables);
@@ -964,76 +977,15 @@ async function deliverCadSketch(assignmentId, cadUser, fileMeta) {
       })
     );
   }
-  const nextBaseSubmissionNo = uploadDoc.cadDeliverableHistory.filter((h) => !h?.isRevision).length;
-  uploadDoc.cadDeliverableHistory.push(
-    buildCadDeliverableHistoryEntry({
-      revisionNo: nextBaseSubmissionNo,
-      isRevision: false,
-      deliverables: cadDeliverables,
-      submittedBy: cadUser._id,
-      submittedAt: new Date(),
-    })
-  );
-  uploadDoc.cadDeliverable = cadDeliverables;
-  assertQcRequiredForRelease(ORDER_TYPES.STANDARD_11E);
-  applySketchStatus(uploadDoc, SURVEY_SKETCH_STATUS.CAD_DELIVERED);
-  const cadDownloadEntitlement = require("../cadDownloadEntitlement.service");
-  await cadDownloadEntitlement.applyBalanceRequirementOnDelivery(uploadDoc);
-  await uploadDoc.save();
-
-  applyAssignmentStatus(doc, SURVEY_SKETCH_ASSIGNMENT_STATUS.COMPLETED);
-  doc.completedAt = new Date();
-  const snapComplete = slaDue.resolveSlaState(doc);
-  doc.slaState = snapComplete.state;
-  await doc.save();
-
-  try {
-    await cadWalletService.recordPendingEarningIfConfigured({
-      cadUserId: cadUser._id,
-      assignmentId: doc._id,
-      surveyorSketchUploadId: uploadId,
-      kind: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY,
-      revisionNo: 0,
-    });
-  } catch (wErr) {
-    logger.error("cadWallet initial delivery record failed", wErr, { assignmentId: String(doc._id) });
-  }
-
-  const sketch = await SurveyorSketchUpload.findById(uploadId).select("surveyor applicationId surveyNo").lean();
-  try {
-    await notificationService.create({
-      type: "CAD_SKETCH_DELIVERED",
-      title: "CAD sketch ready",
-      message: `Your sketch ${sketch?.applicationId || ""} is ready. Pay the balance (if required) then download from the app.`,
-      entityType: "SurveyorSketchUpload",
-      entityId: uploadId,
-      targetRoles: [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN],
-      targetUsers: sketch?.surveyor ? [sketch.surveyor] : [],
-      createdBy: cadUser._id,
-      data: { assignmentId: doc._id, applicationId: sketch?.applicationId || null },
-    });
-  } catch (err) {
-    logger.error("Failed to notify surveyor of CAD deliverable", err, {
-      assignmentId: String(assignmentId),
-    });
-  }
-
-  const populated = await SurveySketchAssignment.findById(doc._id)
-    .populate("surveyorSketchUpload", "applicationId surveyNo status cadDeliverable")
-    .populate("cadCenter", "name code")
-    .populate("assignedTo", "name auth")
-    .populate("assignedBy", "name")
-    .lean();
-
-  await notifyAssignmentEvent({
-    type: "SURVEY_SKETCH_DELIVERED_BY_CAD",
-    title: "Assignment completed",
-    message: "CAD submitted the finished sketch.",
-    assignmentDoc: populated || doc,
-    createdBy: cadUser?._id,
+  await assertNoPendingQc(uploadId);
+  const nextBaseSubmissionNo = countedDeliveries(uploadDoc).filter((h) => !h?.isRevision).length;
+  await stageDeliveryForQc(doc, uploadDoc, cadUser, {
+    revisionNo: nextBaseSubmissionNo,
+    isRevision: false,
+    files: cadDeliverables,
   });
 
-  return slaDue.decorateAssignment(populated);
+  return loadDecoratedAssignment(doc._id, "applicationId surveyNo status cadDeliverable");
 }
 
 async function commitRevisionToUploadAndAssign(uploadDoc, surveyor, payload, nextRevisionNo, latestCompleted) {
@@ -1061,7 +1013,7 @@ async function commitRevisionToUploadAndAssign(uploadDoc, surveyor, payload, nex
     assignedBy: latestCompleted.assignedBy || surveyor._id,
     notes: `Auto-assigned for revision request #${nextRevisionNo}`,
   });
-  slaDue.applySlaOnAssign(reassignment);
+  await slaCalendar.applySlaOnAssignWithCalendar(reassignment);
   await reassignment.save();
   await syncUploadStatusWithActiveAssignment(uploadDoc._id);
 
@@ -1175,6 +1127,9 @@ async function completeRevisionAfterPayment(merchantOrderId, phonepeResponse = {
     paidAmountPaise: match.paidPaise,
     planAmountRupees: pending.planAmountRupees != null ? Number(pending.planAmountRupees) : null,
     discountRupees: pending.discountRupees != null ? Number(pending.discountRupees) : null,
+    pricingVersion: pending.pricingVersion || null,
+    pricingVersionId: pending.pricingVersionId || null,
+    coupon: pending.coupon || null,
     paidAt: new Date(),
     phonepeResponse: phonepeResponse && typeof phonepeResponse === "object" ? phonepeResponse : null,
   };
@@ -1190,6 +1145,31 @@ async function completeRevisionAfterPayment(merchantOrderId, phonepeResponse = {
   return result ? { ...result, paymentRejected: false } : { paymentRejected: false };
 }
 
+/**
+ * Settled exceptional refund of a paid revision fee (approved refund policy). The revision itself stays
+ * delivered; the fee row is marked so dashboards and payouts stop counting it (partial refunds only
+ * add to refundedAmountPaise).
+ * @returns {Promise<boolean>} false when no unrefunded fee row matches the order
+ */
+async function markRevisionFeeRefunded(
+  uploadId,
+  revisionNo,
+  { merchantOrderId, reasonCode, policyVersion, amountPaise, full = true } = {}
+) {
+  const match = { revisionNo: Number(revisionNo), refundedAt: null };
+  if (merchantOrderId) match.merchantOrderId = merchantOrderId;
+  const $set = {
+    "revisionFeePayments.$.refundReasonCode": reasonCode || null,
+    "revisionFeePayments.$.refundPolicyVersion": policyVersion || null,
+  };
+  if (full) $set["revisionFeePayments.$.refundedAt"] = new Date();
+  const res = await SurveyorSketchUpload.updateOne(
+    { _id: uploadId, revisionFeePayments: { $elemMatch: match } },
+    { $set, $inc: { "revisionFeePayments.$.refundedAmountPaise": Number(amountPaise) || 0 } }
+  );
+  return res.modifiedCount > 0;
+}
+
 async function requestSketchRevision(uploadId, surveyor, payload) {
   let uploadDoc = await SurveyorSketchUpload.findById(uploadId);
   if (!uploadDoc) {
@@ -1218,8 +1198,21 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
 
     if (isStale) {
       await SurveyorSketchUpload.findByIdAndUpdate(uploadId, { $unset: { pendingRevisionPayment: 1 } });
+      if (pendingPay.coupon) {
+        await couponService.releaseCoupon({
+          uploadId,
+          purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+          revisionNo: pendingPay.revisionNo,
+        });
+      }
       uploadDoc = await SurveyorSketchUpload.findById(uploadId);
     } else {
+      if (payload.couponCode && couponService.normalizeCouponCode(payload.couponCode) !== pendingPay.coupon?.code) {
+        throw new BadRequestError("This revision's fee is already locked at checkout; a coupon cannot be changed now", {
+          code: "COUPON_LOCKED",
+          errors: [{ field: "couponCode", message: "Revision checkout already started" }],
+        });
+      }
       // Payment still pending: never return 409 — always issue (or re-issue) checkout so the client can pay.
       if (payload.remarks !== undefined) {
         uploadDoc.pendingRevisionPayment.remarks = payload.remarks;
@@ -1231,12 +1224,6 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
         await uploadDoc.save();
       }
 
-      const phonePe = phonePeSketchPayment;
-      if (!phonePe.isPhonePeConfigured()) {
-        throw new BadRequestError("Revision fee is configured but PhonePe is not configured.", {
-          code: "PHONEPE_NOT_CONFIGURED",
-        });
-      }
       // Keep immutable expected amount from first initiation; do not accept client overrides.
       const merchantOrderId = uploadDoc.pendingRevisionPayment.merchantOrderId || pendingPay.merchantOrderId;
       const revisionFeePaise = Number(uploadDoc.pendingRevisionPayment.amountPaise);
@@ -1248,13 +1235,19 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
       }
       let checkoutPageUrl;
       try {
-        logger.info("PhonePe initiatePay pending revision resume", {
+        logger.info("Checkout pending revision resume", {
           uploadId: String(uploadId),
           merchantOrderId,
           amountPaise: revisionFeePaise,
           payableRupees: revisionFeePaise / 100,
         });
-        const pr = await phonePe.initiatePay(merchantOrderId, revisionFeePaise);
+        // Same merchantOrderId → stays on the gateway the revision checkout started on.
+        const pr = await paymentProvider.startCheckout({
+          purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+          merchantOrderId,
+          amountPaise: revisionFeePaise,
+          description: `Sketch revision ${uploadDoc.pendingRevisionPayment.revisionNo}`,
+        });
         checkoutPageUrl = pr.redirectUrl;
         try {
           await paymentAttempt.recordInitiated({
@@ -1264,6 +1257,9 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
             merchantOrderId,
             expectedAmountPaise: revisionFeePaise,
             revisionNo: uploadDoc.pendingRevisionPayment.revisionNo,
+            provider: pr.provider,
+            providerOrderId: pr.providerOrderId,
+            coupon: uploadDoc.pendingRevisionPayment.coupon,
           });
         } catch (ledgerErr) {
           logger.error("Failed to record revision payment attempt (resume)", ledgerErr, {
@@ -1272,9 +1268,9 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
           });
         }
       } catch (pe) {
-        logger.error("PhonePe initiatePay failed for pending revision (resume checkout)", pe, { uploadId: String(uploadId) });
+        logger.error("Checkout failed for pending revision (resume checkout)", pe, { uploadId: String(uploadId) });
         if (pe instanceof BadRequestError) throw pe;
-        throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PHONEPE_INIT_FAILED" });
+        throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PAYMENT_INIT_FAILED" });
       }
       const lean = await SurveyorSketchUpload.findById(uploadId)
         .populate("surveyor", "name role")
@@ -1295,6 +1291,9 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
             revisionNo: pendingPay.revisionNo,
             planAmountRupees: pendingPay.planAmountRupees ?? null,
             discountRupees: pendingPay.discountRupees ?? null,
+            coupon: pendingPay.coupon
+              ? { code: pendingPay.coupon.code, discountPaise: pendingPay.coupon.discountPaise }
+              : null,
             payableRupees:
               revisionFeePaise != null && Number.isFinite(revisionFeePaise) ? revisionFeePaise / 100 : null,
             message: payload.retryPayment
@@ -1339,17 +1338,38 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
   }
 
   const nextRevisionNo = (uploadDoc.revisionRequests?.length || 0) + 1;
-  const phonePe = phonePeSketchPayment;
   const resolvedRevision = await sketchPaymentPricing.resolveSketchRevisionFee();
-  const revisionFeePaise = resolvedRevision.feePaise;
+  let revisionFeePaise = resolvedRevision.feePaise;
   const mustPay = nextRevisionNo >= 2 && revisionFeePaise > 0;
+  if (payload.couponCode && !mustPay) {
+    throw new BadRequestError("This revision is free; no coupon is needed", {
+      code: "COUPON_NOT_APPLICABLE",
+      errors: [{ field: "couponCode", message: "No revision fee to discount" }],
+    });
+  }
 
   if (mustPay) {
-    if (!phonePe.isPhonePeConfigured()) {
-      throw new BadRequestError("Revision fee is configured but PhonePe is not configured.", {
-        code: "PHONEPE_NOT_CONFIGURED",
+    await paymentProvider.resolveCheckoutProvider(paymentAttempt.PAYMENT_PURPOSE.REVISION);
+    if (uploadDoc.pendingRevisionPayment?.coupon) {
+      // Earlier checkout for this revision failed unpaid; its reserved use goes back before re-pricing.
+      await couponService.releaseCoupon({
+        uploadId,
+        purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+        revisionNo: uploadDoc.pendingRevisionPayment.revisionNo,
       });
     }
+    const coupon = payload.couponCode
+      ? await couponService.reserveCoupon({
+          code: payload.couponCode,
+          surveyorId: surveyor._id,
+          districtId: uploadDoc.district,
+          purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+          revisionNo: nextRevisionNo,
+          uploadId,
+          lines: couponService.revisionFeeLines(resolvedRevision),
+        })
+      : null;
+    if (coupon) revisionFeePaise = coupon.payablePaise;
     const merchantOrderId = `rev_${uploadId}_${nextRevisionNo}`;
     uploadDoc.pendingRevisionPayment = {
       revisionNo: nextRevisionNo,
@@ -1361,12 +1381,15 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
       planAmountRupees: resolvedRevision.planAmountRupees,
       discountRupees: resolvedRevision.discountRupees,
       pricingSource: resolvedRevision.source,
+      pricingVersion: resolvedRevision.contractVersion || null,
+      pricingVersionId: resolvedRevision.pricingVersionId || null,
+      coupon: coupon?.snapshot || null,
       requestedAt: new Date(),
     };
     await uploadDoc.save();
     let checkoutPageUrl;
     try {
-      logger.info("PhonePe initiatePay sketch revision", {
+      logger.info("Checkout sketch revision", {
         uploadId: String(uploadId),
         merchantOrderId,
         amountPaise: revisionFeePaise,
@@ -1374,7 +1397,12 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
         pricingSource: resolvedRevision.source,
         revisionNo: nextRevisionNo,
       });
-      const pr = await phonePe.initiatePay(merchantOrderId, revisionFeePaise);
+      const pr = await paymentProvider.startCheckout({
+        purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+        merchantOrderId,
+        amountPaise: revisionFeePaise,
+        description: `Sketch revision ${nextRevisionNo}`,
+      });
       checkoutPageUrl = pr.redirectUrl;
       try {
         await paymentAttempt.recordInitiated({
@@ -1384,6 +1412,9 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
           merchantOrderId,
           expectedAmountPaise: revisionFeePaise,
           revisionNo: nextRevisionNo,
+          provider: pr.provider,
+          providerOrderId: pr.providerOrderId,
+          coupon: coupon?.snapshot,
         });
       } catch (ledgerErr) {
         logger.error("Failed to record revision payment attempt", ledgerErr, {
@@ -1392,10 +1423,17 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
         });
       }
     } catch (pe) {
-      logger.error("PhonePe initiatePay failed for sketch revision", pe, { uploadId: String(uploadId) });
+      logger.error("Checkout failed for sketch revision", pe, { uploadId: String(uploadId) });
       await SurveyorSketchUpload.findByIdAndUpdate(uploadId, { $unset: { pendingRevisionPayment: 1 } });
+      if (coupon) {
+        await couponService.releaseCoupon({
+          uploadId,
+          purpose: paymentAttempt.PAYMENT_PURPOSE.REVISION,
+          revisionNo: nextRevisionNo,
+        });
+      }
       if (pe instanceof BadRequestError) throw pe;
-      throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PHONEPE_INIT_FAILED" });
+      throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PAYMENT_INIT_FAILED" });
     }
     const lean = await SurveyorSketchUpload.findById(uploadId)
       .populate("surveyor", "name role")
@@ -1416,8 +1454,9 @@ async function requestSketchRevision(uploadId, surveyor, payload) {
           revisionNo: nextRevisionNo,
           planAmountRupees: resolvedRevision.planAmountRupees,
           discountRupees: resolvedRevision.discountRupees,
-          payableRupees: resolvedRevision.payableRupees,
+          payableRupees: revisionFeePaise / 100,
           pricingSource: resolvedRevision.source,
+          coupon: coupon ? { code: coupon.snapshot.code, discountPaise: coupon.discountPaise } : null,
         },
       },
     };
@@ -1505,21 +1544,140 @@ async function deliverCadSketchRevision(assignmentId, cadUser, fileMeta) {
     );
   }
 
-  const nextRevisionNo = uploadDoc.cadDeliverableHistory.filter((h) => h?.isRevision).length + 1;
-  uploadDoc.cadDeliverableHistory.push(
-    buildCadDeliverableHistoryEntry({
-      revisionNo: nextRevisionNo,
-      isRevision: true,
-      deliverables: revisedDeliverables,
-      submittedBy: cadUser._id,
-      submittedAt: new Date(),
-    })
+  await assertNoPendingQc(uploadDoc._id);
+  const nextRevisionNo = countedDeliveries(uploadDoc).filter((h) => h?.isRevision).length + 1;
+  await stageDeliveryForQc(doc, uploadDoc, cadUser, {
+    revisionNo: nextRevisionNo,
+    isRevision: true,
+    files: revisedDeliverables,
+  });
+
+  return loadDecoratedAssignment(
+    doc._id,
+    "applicationId surveyNo status cadDeliverable cadDeliverableHistory revisionRequests"
+  );
+}
+
+/** Delivery numbering ignores QC-failed rows (a bounced delivery is resubmitted under the same number). */
+function countedDeliveries(uploadDoc) {
+  return (uploadDoc.cadDeliverableHistory || []).filter(
+    (h) => h?.qc?.status !== DELIVERY_QC_STATUS.FAILED
+  );
+}
+
+async function assertNoPendingQc(uploadId) {
+  const pending = await deliveryQc.findPendingForUpload(uploadId);
+  if (pending) {
+    throw new ConflictError("Previous delivery is awaiting QC review", {
+      code: "QC_REVIEW_PENDING",
+      errors: [{ qcRecordId: String(pending._id), revisionNo: pending.revisionNo }],
+    });
+  }
+}
+
+async function loadDecoratedAssignment(assignmentId, uploadSelect) {
+  return slaDue.decorateAssignment(
+    await SurveySketchAssignment.findById(assignmentId)
+      .populate("surveyorSketchUpload", uploadSelect)
+      .populate("cadCenter", "name code")
+      .populate("assignedTo", "name auth")
+      .populate("assignedBy", "name")
+      .lean()
+  );
+}
+
+function findQcHistoryEntry(uploadDoc, recordId) {
+  return (uploadDoc.cadDeliverableHistory || []).find(
+    (h) => String(h?.qc?.record || "") === String(recordId)
   );
-  uploadDoc.cadDeliverable = revisedDeliverables;
-  assertQcRequiredForRelease(ORDER_TYPES.STANDARD_11E);
+}
+
+/**
+ * Stage a CAD delivery for QC (M-08). Files go on a history entry with qc PENDING and the CAD job is
+ * COMPLETED; upload.cadDeliverable / CAD_DELIVERED wait for releaseDeliveryAfterQc.
+ */
+async function stageDeliveryForQc(doc, uploadDoc, cadUser, { revisionNo, isRevision, files }) {
+  assertQcRequiredForRelease(uploadDoc.orderType || ORDER_TYPES.STANDARD_11E);
+  const submittedAt = new Date();
+  const dxfAnalysis = await dxfAnalysisService.findAnalysesForFiles(files);
+  // H-12: preview is optional for CAD; render one from the DXF so the surveyor can view on a phone.
+  const generatedPreview = await cadPreviewService.generatePreviewForDelivery({
+    uploadDoc,
+    files,
+    cadUserId: cadUser._id,
+  });
+  const deliverables = generatedPreview ? [...files, generatedPreview] : files;
+  const record = deliveryQc.buildQcRecord({
+    uploadDoc,
+    assignmentDoc: doc,
+    cadUserId: cadUser._id,
+    revisionNo,
+    isRevision,
+    submittedAt,
+    machineFindings: dxfAnalysisService.buildQcPrefill(dxfAnalysis),
+  });
+  uploadDoc.cadDeliverableHistory.push({
+    ...buildCadDeliverableHistoryEntry({
+      revisionNo,
+      isRevision,
+      deliverables,
+      submittedBy: cadUser._id,
+      submittedAt,
+    }),
+    qc: { status: DELIVERY_QC_STATUS.PENDING, record: record._id, reviewedAt: null, reasons: [] },
+    dxfAnalysis,
+  });
+  await uploadDoc.save();
+  await record.save();
+
+  applyAssignmentStatus(doc, SURVEY_SKETCH_ASSIGNMENT_STATUS.COMPLETED);
+  doc.completedAt = submittedAt;
+  doc.qcReturn = null;
+  const snapComplete = slaDue.resolveSlaState(doc);
+  doc.slaState = snapComplete.state;
+  await doc.save();
+
+  try {
+    await notificationService.create({
+      type: "CAD_DELIVERY_QC_PENDING",
+      title: "Delivery awaiting QC",
+      message: `CAD ${isRevision ? `revision #${revisionNo}` : "delivery"} for ${uploadDoc.applicationId || "sketch"} needs the 11E QC review.`,
+      entityType: "DeliveryQcRecord",
+      entityId: record._id,
+      targetRoles: [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN],
+      targetUsers: [],
+      createdBy: cadUser._id,
+      data: {
+        assignmentId: doc._id,
+        applicationId: uploadDoc.applicationId || null,
+        orderType: record.orderType,
+        revisionNo,
+        isRevision,
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to notify admins of pending QC", err, { assignmentId: String(doc._id) });
+  }
+  return record;
+}
+
+/**
+ * QC passed: publish the staged files to the surveyor (CAD_DELIVERED), apply the balance gate,
+ * book the CAD earning and notify. Called by deliveryQc.completeQcReview.
+ */
+async function releaseDeliveryAfterQc(record, reviewer) {
+  const uploadDoc = await loadUploadOrThrow(record.surveyorSketchUpload);
+  const entry = findQcHistoryEntry(uploadDoc, record._id);
+  if (!entry) {
+    throw new NotFoundError("Delivery for QC record not found", { code: "QC_DELIVERY_NOT_FOUND" });
+  }
+  entry.qc = { status: DELIVERY_QC_STATUS.PASSED, record: record._id, reviewedAt: record.reviewedAt, reasons: [] };
+  uploadDoc.markModified("cadDeliverableHistory");
+  uploadDoc.cadDeliverable = normalizeStoredDocumentList(entry.deliverables);
+  assertQcRequiredForRelease(uploadDoc.orderType || ORDER_TYPES.STANDARD_11E);
   applySketchStatus(uploadDoc, SURVEY_SKETCH_STATUS.CAD_DELIVERED);
 
-  if (Array.isArray(uploadDoc.revisionRequests)) {
+  if (record.isRevision && Array.isArray(uploadDoc.revisionRequests)) {
     const lastOpen = [...uploadDoc.revisionRequests].reverse().find((r) => r.status === "REQUESTED");
     if (lastOpen) {
       lastOpen.status = "RESOLVED";
@@ -1531,33 +1689,121 @@ async function deliverCadSketchRevision(assignmentId, cadUser, fileMeta) {
   await cadDownloadEntitlement.applyBalanceRequirementOnDelivery(uploadDoc);
   await uploadDoc.save();
 
-  applyAssignmentStatus(doc, SURVEY_SKETCH_ASSIGNMENT_STATUS.COMPLETED);
-  doc.completedAt = new Date();
-  const snapComplete = slaDue.resolveSlaState(doc);
-  doc.slaState = snapComplete.state;
-  await doc.save();
-
   try {
     await cadWalletService.recordPendingEarningIfConfigured({
-      cadUserId: cadUser._id,
-      assignmentId: doc._id,
-      surveyorSketchUploadId: doc.surveyorSketchUpload,
-      kind: CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY,
-      revisionNo: nextRevisionNo,
+      cadUserId: record.cadUser,
+      assignmentId: record.assignment,
+      surveyorSketchUploadId: uploadDoc._id,
+      kind: record.isRevision ? CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY : CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY,
+      revisionNo: record.isRevision ? record.revisionNo : 0,
     });
   } catch (wErr) {
-    logger.error("cadWallet revision delivery record failed", wErr, { assignmentId: String(doc._id) });
+    logger.error("cadWallet delivery record failed", wErr, { assignmentId: String(record.assignment) });
   }
 
-  return slaDue.decorateAssignment(
-    await SurveySketchAssignment.findById(doc._id)
-      .populate("surveyorSketchUpload", "applicationId surveyNo status cadDeliverable cadDeliverableHistory revisionRequests")
-      .populate("cadCenter", "name code")
-      .populate("assignedTo", "name auth")
-      .populate("assignedBy", "name")
-      .lean()
-  );
+  const label = record.isRevision ? `Revision #${record.revisionNo} of your sketch` : "Your sketch";
+  try {
+    await notificationService.create({
+      type: "CAD_SKETCH_DELIVERED",
+      title: "CAD sketch ready",
+      message: `${label} ${uploadDoc.applicationId || ""} is ready. Pay the balance (if required) then download from the app.`,
+      entityType: "SurveyorSketchUpload",
+      entityId: uploadDoc._id,
+      targetRoles: [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN],
+      targetUsers: uploadDoc.surveyor ? [uploadDoc.surveyor] : [],
+      createdBy: reviewer?._id || null,
+      data: {
+        assignmentId: record.assignment,
+        applicationId: uploadDoc.applicationId || null,
+        qcRecordId: record._id,
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to notify surveyor of CAD deliverable", err, {
+      assignmentId: String(record.assignment),
+    });
+  }
+
+  const populated = await SurveySketchAssignment.findById(record.assignment)
+    .populate("surveyorSketchUpload", "applicationId surveyNo status cadDeliverable")
+    .populate("cadCenter", "name code")
+    .populate("assignedTo", "name auth")
+    .populate("assignedBy", "name")
+    .lean();
+
+  if (populated && !record.isRevision) {
+    await notifyAssignmentEvent({
+      type: "SURVEY_SKETCH_DELIVERED_BY_CAD",
+      title: "Assignment completed",
+      message: "CAD sketch passed QC and was released to the surveyor.",
+      assignmentDoc: populated,
+      createdBy: reviewer?._id,
+    });
+  }
+
+  return populated ? slaDue.decorateAssignment(populated) : null;
+}
+
+/**
+ * QC failed: mark the delivery FAILED (kept for audit, never shown to the surveyor) and return the
+ * assignment to the CAD user as IN_PROGRESS with the reasons. Time spent in QC is not charged to SLA.
+ */
+async function returnDeliveryAfterQcFailure(record, reviewer) {
+  const uploadDoc = await loadUploadOrThrow(record.surveyorSketchUpload);
+  const entry = findQcHistoryEntry(uploadDoc, record._id);
+  if (entry) {
+    entry.qc = {
+      status: DELIVERY_QC_STATUS.FAILED,
+      record: record._id,
+      reviewedAt: record.reviewedAt,
+      reasons: record.failureReasons,
+    };
+    uploadDoc.markModified("cadDeliverableHistory");
+    await uploadDoc.save();
+  }
+
+  const doc = await SurveySketchAssignment.findById(record.assignment);
+  if (!doc) {
+    throw new NotFoundError("Assignment not found", { code: "ASSIGNMENT_NOT_FOUND" });
+  }
+  if (doc.status === SURVEY_SKETCH_ASSIGNMENT_STATUS.COMPLETED) {
+    applyAssignmentStatus(doc, SURVEY_SKETCH_ASSIGNMENT_STATUS.IN_PROGRESS);
+    doc.completedAt = null;
+    doc.slaPausedAt = record.submittedAt;
+    slaDue.resumeSla(doc);
+  }
+  doc.qcReturn = {
+    record: record._id,
+    reasons: record.failureReasons,
+    notes: record.notes || null,
+    at: record.reviewedAt,
+  };
+  await doc.save();
+
+  try {
+    await notificationService.create({
+      type: "CAD_DELIVERY_QC_FAILED",
+      title: "Delivery returned by QC",
+      message: `QC failed for ${uploadDoc.applicationId || "your delivery"}: ${record.failureReasons.join("; ")}`,
+      entityType: "SurveySketchAssignment",
+      entityId: doc._id,
+      targetRoles: [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN],
+      targetUsers: getNotificationCadUserIds(doc),
+      createdBy: reviewer?._id || null,
+      data: {
+        qcRecordId: record._id,
+        applicationId: uploadDoc.applicationId || null,
+        reasons: record.failureReasons,
+        notes: record.notes || null,
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to notify CAD user of QC failure", err, { assignmentId: String(doc._id) });
+  }
+
+  return loadDecoratedAssignment(doc._id, "applicationId surveyNo status cadDeliverable");
 }
+
 async function getCadDashboardStats(cadUser) {
   const uid = cadUser._id;
   const touched = { $or: [{ assignedTo: uid }, { rejectedByCad: uid }] };
@@ -1643,7 +1889,7 @@ async function extendAssignmentSla(assignmentId, { hours, ms, reason }, actor) {
     });
   }
   if (!doc.dueAt && !doc.slaDurationMs) {
-    slaDue.applySlaOnAssign(doc);
+    await slaCalendar.applySlaOnAssignWithCalendar(doc);
   }
   let extendMs = ms != null ? Number(ms) : null;
   if (extendMs == null && hours != null) {
@@ -1693,7 +1939,7 @@ async function processSlaAlerts({ limit = null } = {}) {
   ];
   const open = await SurveySketchAssignment.find({ status: { $in: openStatuses } })
     .select(
-      "status assignedAt dueAt slaDurationMs slaPausedTotalMs slaPausedAt slaExtensions slaState assignedTo surveyorSketchUpload"
+      "status assignedAt dueAt slaDurationMs slaPausedTotalMs slaPausedAt slaExtensions slaCalendar slaState assignedTo surveyorSketchUpload"
     )
     .sort({ dueAt: 1 })
     .lean();
@@ -1710,6 +1956,7 @@ async function processSlaAlerts({ limit = null } = {}) {
         pausedTotalMs: a.slaPausedTotalMs || 0,
         slaPausedAt: a.slaPausedAt,
         extensions: a.slaExtensions || [],
+        calendar: a.slaCalendar || null,
       });
       a.dueAt = dueAt;
       a.slaDurationMs = slaDurationMs;
@@ -1825,6 +2072,7 @@ module.exports = {
   requestSketchRevision,
   completeRevisionAfterPayment,
   markRevisionPaymentFailed,
+  markRevisionFeeRefunded,
   deliverCadSketchRevision,
   listAll,
   autoAssignFromFlow,
@@ -1835,4 +2083,6 @@ module.exports = {
   repairUploadStatusesForSurveyor,
   extendAssignmentSla,
   processSlaAlerts,
+  releaseDeliveryAfterQc,
+  returnDeliveryAfterQcFailure,
 };
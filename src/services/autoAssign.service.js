@@ -8,9 +8,9 @@ const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
 const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
 const AutoAssignAttempt = require("../models/assignment/AutoAssignAttempt");
 const { AUTO_ASSIGN_ATTEMPT_OUTCOME } = require("../models/assignment/AutoAssignAttempt");
-const CadCenter = require("../models/masters/CadCenter");
 const User = require("../models/user/User");
 const flowService = require("./config/surveySketchAssignmentFlow.service");
+const autoAssignRouting = require("./autoAssignRouting.service");
 const notificationService = require("./notification.service");
 const logger = require("../utils/logger");
 const { getCorrelationId } = require("../utils/requestContext");
@@ -21,7 +21,7 @@ const {
   SURVEY_SKETCH_STATUS,
   SURVEY_SKETCH_ASSIGNMENT_STATUS,
 } = require("../config/constants");
-const { assertSketchStatusTransition } = require("../config/lifecycleQcSpec");
+const { assertSketchStatusTransition, ORDER_TYPES } = require("../config/lifecycleQcSpec");
 
 const AUTO_ASSIGN_STATE = Object.freeze({
   IDLE: "IDLE",
@@ -92,51 +92,17 @@ async function recordAttempt(fields) {
   }
 }
 
-async function pickCadCenterForAutoAssign() {
-  const loadStatuses = [
-    SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED,
-    SURVEY_SKETCH_ASSIGNMENT_STATUS.IN_PROGRESS,
-    SURVEY_SKETCH_ASSIGNMENT_STATUS.ON_HOLD,
-  ];
-
-  const rows = await CadCenter.aggregate([
-    {
-      $match: {
-        deletedAt: null,
-        status: "ACTIVE",
-        availabilityStatus: { $in: ["AVAILABLE", "BUSY"] },
-      },
-    },
-    {
-      $lookup: {
-        from: "surveysketchassignments",
-        let: { centerId: "$_id" },
-        pipeline: [
-          {
-            $match: {
-              $expr: { $eq: ["$cadCenter", "$$centerId"] },
-              status: { $in: loadStatuses },
-            },
-          },
-          { $count: "count" },
-        ],
-        as: "activeWork",
-      },
-    },
-    {
-      $addFields: {
-        currentLoad: { $ifNull: [{ $arrayElemAt: ["$activeWork.count", 0] }, 0] },
-        availabilityRank: {
-          $cond: [{ $eq: ["$availabilityStatus", "AVAILABLE"] }, 0, 1],
-        },
-      },
-    },
-    { $sort: { availabilityRank: 1, currentLoad: 1, createdAt: 1, _id: 1 } },
-    { $limit: 1 },
-    { $project: { _id: 1 } },
-  ]);
-
-  return rows?.[0]?._id || null;
+/**
+ * Score eligible CAD centers (region, skills, rating, workload, availability) with the
+ * admin routing weights; the winner is `cadCenterId`, `routing` is persisted on the attempt.
+ * In CAD_USER mode `cadUserId` is the direct assignee (null = center pool fallback).
+ */
+async function pickCadCenterForAutoAssign(upload, flow = {}) {
+  return autoAssignRouting.routeUploadToCadCenter(upload, {
+    weights: flow.routingWeights,
+    mode: flow.mode,
+    maxConcurrentJobsPerCadUser: flow.maxConcurrentJobsPerCadUser,
+  });
 }
 
 function isManualOverrideAllowed(meta, now = new Date()) {
@@ -281,7 +247,10 @@ async function enqueueAutoAssign(uploadId, { actorUserId = null } = {}) {
   });
 }
 
-async function markFailure(uploadId, { attemptNo, failureCode, failureReason, source, actorUserId }) {
+async function markFailure(
+  uploadId,
+  { attemptNo, failureCode, failureReason, source, actorUserId, routing = null }
+) {
   const max = getMaxAttempts();
   const toException = attemptNo >= max;
   const nextState = toException ? AUTO_ASSIGN_STATE.EXCEPTION : AUTO_ASSIGN_STATE.PENDING_RETRY;
@@ -312,6 +281,7 @@ async function markFailure(uploadId, { attemptNo, failureCode, failureReason, so
     failureCode,
     failureReason,
     actorUserId,
+    routing,
   });
 
   if (attemptNo >= getAlertAfterAttempts() || toException) {
@@ -327,7 +297,10 @@ async function markFailure(uploadId, { attemptNo, failureCode, failureReason, so
   return { state: nextState, nextRetryAt, attemptNo };
 }
 
-async function markSuccess(uploadId, { attemptNo, assignmentId, cadCenterId, source, actorUserId }) {
+async function markSuccess(
+  uploadId,
+  { attemptNo, assignmentId, cadCenterId, cadUserId = null, source, actorUserId, routing = null }
+) {
   await SurveyorSketchUpload.updateOne(
     { _id: uploadId },
     {
@@ -353,8 +326,10 @@ async function markSuccess(uploadId, { attemptNo, assignmentId, cadCenterId, sou
     source,
     outcome: AUTO_ASSIGN_ATTEMPT_OUTCOME.SUCCESS,
     cadCenterId,
+    cadUserId,
     assignmentId,
     actorUserId,
+    routing,
   });
 }
 
@@ -418,7 +393,7 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
       $inc: { "autoAssignMeta.attemptCount": 1 },
     },
     { new: true }
-  ).select("_id status sketchPayment autoAssignMeta");
+  ).select("_id status sketchPayment autoAssignMeta district taluka surveyType isSuperimpose orderType");
 
   if (!locked) {
     await recordAttempt({
@@ -483,8 +458,10 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
   }
 
   let cadCenterId;
+  let cadUserId;
+  let routing;
   try {
-    cadCenterId = await pickCadCenterForAutoAssign();
+    ({ cadCenterId, cadUserId, routing } = await pickCadCenterForAutoAssign(locked, flow));
   } catch (err) {
     logger.error("pickCadCenterForAutoAssign failed", err, { uploadId: String(uploadId) });
     return markFailure(uploadId, {
@@ -503,20 +480,23 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
       failureReason: "No AVAILABLE/BUSY CAD center with capacity for auto-assign",
       source,
       actorUserId: assignedById,
+      routing,
     });
   }
 
   try {
+    // Direct CAD user assignments store no center, same as manual assignedCadUserId.
     const doc = new SurveySketchAssignment({
       surveyorSketchUpload: uploadId,
-      cadCenter: cadCenterId,
-      assignedTo: null,
+      cadCenter: cadUserId ? null : cadCenterId,
+      assignedTo: cadUserId || null,
       status: SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED,
       assignedBy: assignedBy._id,
+      orderType: locked.orderType || ORDER_TYPES.STANDARD_11E,
       notes: "auto-assign",
     });
-    const slaDue = require("./slaDue.service");
-    slaDue.applySlaOnAssign(doc);
+    const slaCalendar = require("./slaCalendar.service");
+    await slaCalendar.applySlaOnAssignWithCalendar(doc);
     await doc.save();
 
     const sketchAuto = await SurveyorSketchUpload.findById(uploadId).select("status");
@@ -529,13 +509,16 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
       attemptNo,
       assignmentId: doc._id,
       cadCenterId,
+      cadUserId,
       source,
       actorUserId: assignedById,
+      routing,
     });
 
     const populated = await SurveySketchAssignment.findById(doc._id)
       .populate("surveyorSketchUpload", "applicationId surveyNo status")
       .populate("cadCenter", "name code availabilityStatus")
+      .populate("assignedTo", "name auth")
       .populate("assignedBy", "name")
       .lean();
 
@@ -543,12 +526,22 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
       await notificationService.create({
         type: "SURVEY_SKETCH_AUTO_ASSIGNED",
         title: "Survey sketch auto-assigned",
-        message: "A new survey sketch was automatically assigned to a CAD center.",
+        message: cadUserId
+          ? "A new survey sketch was automatically assigned to a CAD user."
+          : "A new survey sketch was automatically assigned to a CAD center.",
         entityType: "SurveySketchAssignment",
         entityId: doc._id,
         targetRoles: [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN, USER_ROLES.CAD],
+        targetUsers: cadUserId ? [cadUserId] : [],
         createdBy: assignedBy._id,
-        data: { cadCenterId: String(cadCenterId), source },
+        data: {
+          cadCenterId: String(cadCenterId),
+          cadUserId: cadUserId ? String(cadUserId) : null,
+          mode: routing?.mode || null,
+          orderType: doc.orderType,
+          source,
+          routingScore: routing?.candidates?.[0]?.score ?? null,
+        },
       });
     } catch (notifyErr) {
       logger.error("auto-assign success notification failed", notifyErr, { uploadId: String(uploadId) });
@@ -583,20 +576,29 @@ async function tryAutoAssign(uploadId, { source = "RETRY_JOB", actorUserId = nul
   }
 }
 
-/**
- * Scheduled: retry PENDING_RETRY due, and keep EXCEPTION visible.
- */
-async function processAutoAssignRetries({ limit = 40 } = {}) {
-  const now = new Date();
-  const due = await SurveyorSketchUpload.find({
+function findDueRetries(orderTypeFilter, now, limit) {
+  if (limit <= 0) return [];
+  return SurveyorSketchUpload.find({
     status: SURVEY_SKETCH_STATUS.PENDING,
     "autoAssignMeta.state": AUTO_ASSIGN_STATE.PENDING_RETRY,
+    orderType: orderTypeFilter,
     $or: [{ "autoAssignMeta.nextRetryAt": { $lte: now } }, { "autoAssignMeta.nextRetryAt": null }],
   })
-    .select("_id")
+    .select("_id orderType")
     .sort({ "autoAssignMeta.nextRetryAt": 1 })
     .limit(limit)
     .lean();
+}
+
+/**
+ * Scheduled: retry PENDING_RETRY due, and keep EXCEPTION visible.
+ * Express orders are retried first (shorter SLA); standard/legacy fill the remaining batch.
+ */
+async function processAutoAssignRetries({ limit = 40 } = {}) {
+  const now = new Date();
+  const express = await findDueRetries(ORDER_TYPES.EXPRESS_11E, now, limit);
+  const standard = await findDueRetries({ $ne: ORDER_TYPES.EXPRESS_11E }, now, limit - express.length);
+  const due = [...express, ...standard];
 
   const results = [];
   for (const row of due) {
@@ -631,7 +633,7 @@ async function listExceptionQueue({ page = 1, limit = 20 } = {}) {
   };
   const [data, total] = await Promise.all([
     SurveyorSketchUpload.find(filter)
-      .select("applicationId surveyNo status autoAssignMeta surveyor createdAt")
+      .select("applicationId surveyNo status orderType autoAssignMeta surveyor createdAt")
       .populate("surveyor", "name auth.email")
       .sort({ "autoAssignMeta.exceptionQueuedAt": -1, "autoAssignMeta.nextRetryAt": 1 })
       .skip((p - 1) * lim)
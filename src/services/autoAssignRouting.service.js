@@ -0,0 +1,383 @@
+/**
+ * Skill- and jurisdiction-aware CAD center routing for auto-assign (M-09).
+ *
+ * Each ACTIVE, non-OFFLINE center gets a 0..1 score per factor, combined with the
+ * admin weights stored on SurveySketchAssignmentFlow:
+ * - region: center servedRegions covers the upload taluka (1) / district (0.75); none configured = 0.5
+ * - skill: best member coverage of required skills (surveyType + superimpose)
+ * - rating: average cadProfile.rating of rated members / 5 (0.5 when nobody is rated)
+ * - workload: 1 / (1 + open assignments per active member)
+ * - availability: center AVAILABLE = 1, BUSY = 0.5
+ *
+ * In CAD_USER mode the best-ranked center with an eligible member (AVAILABLE, under the
+ * per-user job cap, center under `capacity` × cap) gets the job assigned to that member;
+ * when nobody qualifies the job falls back to the top center's pool.
+ *
+ * Scoring and selection are pure (scoreCadCenterCandidates, selectCadUserCandidate) so they
+ * can be unit-tested without Mongo.
+ */
+
+const CadCenter = require("../models/masters/CadCenter");
+const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
+const User = require("../models/user/User");
+const {
+  USER_ROLES,
+  USER_STATUS,
+  MASTER_STATUS,
+  CAD_CENTER_AVAILABILITY,
+  CAD_ROUTING_SKILL,
+  SURVEY_SKETCH_ASSIGNMENT_STATUS,
+  AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS,
+  AUTO_ASSIGN_MODE,
+  AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER,
+} = require("../config/constants");
+const { mongoRoleEquals, mongoStatusEquals } = require("../utils/roleNormalize");
+
+const ROUTING_FACTORS = Object.freeze(Object.keys(AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS));
+
+/** Candidates persisted on each AutoAssignAttempt (top N by rank). */
+const MAX_PERSISTED_CANDIDATES = 10;
+
+const LOAD_STATUSES = [
+  SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED,
+  SURVEY_SKETCH_ASSIGNMENT_STATUS.IN_PROGRESS,
+  SURVEY_SKETCH_ASSIGNMENT_STATUS.ON_HOLD,
+];
+
+/** Jobs counted against the per-user cap in CAD_USER mode. */
+const USER_CAP_STATUSES = [
+  SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED,
+  SURVEY_SKETCH_ASSIGNMENT_STATUS.IN_PROGRESS,
+];
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function normalizeSkill(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Weights merged over defaults; invalid / negative values fall back to the default.
+ * @returns {{ region: number, skill: number, rating: number, workload: number, availability: number }}
+ */
+function normalizeRoutingWeights(raw) {
+  const out = {};
+  for (const factor of ROUTING_FACTORS) {
+    const n = raw && raw[factor] != null ? Number(raw[factor]) : NaN;
+    out[factor] = Number.isFinite(n) && n >= 0 ? n : AUTO_ASSIGN_ROUTING_DEFAULT_WEIGHTS[factor];
+  }
+  return out;
+}
+
+/** Skills a CAD team needs for this upload. */
+function requiredSkillsForJob(job = {}) {
+  const skills = [];
+  const surveyType = normalizeSkill(job.surveyType);
+  if (surveyType) skills.push(surveyType);
+  if (job.isSuperimpose) skills.push(CAD_ROUTING_SKILL.SUPERIMPOSE);
+  return skills;
+}
+
+/** Union of routing skills and legacy professionalDetails.skills. */
+function memberSkillSet(member) {
+  const raw = [
+    ...(member?.cadProfile?.skills || []),
+    ...(member?.professionalDetails?.skills || []),
+  ];
+  return new Set(raw.map(normalizeSkill).filter(Boolean));
+}
+
+function idSet(list) {
+  return new Set((list || []).map((id) => String(id)));
+}
+
+function scoreRegion(center, job) {
+  const districts = idSet(center?.servedRegions?.districts);
+  const talukas = idSet(center?.servedRegions?.talukas);
+  if (!districts.size && !talukas.size) return 0.5;
+  if (job.taluka && talukas.has(String(job.taluka))) return 1;
+  if (job.district && districts.has(String(job.district))) return 0.75;
+  return 0;
+}
+
+function memberSkillCoverage(member, requiredSkills) {
+  if (!requiredSkills.length) return 1;
+  const skills = memberSkillSet(member);
+  return requiredSkills.filter((s) => skills.has(s)).length / requiredSkills.length;
+}
+
+function scoreSkill(members, requiredSkills) {
+  if (!requiredSkills.length) return 1;
+  if (!members.length) return 0;
+  return Math.max(...members.map((m) => memberSkillCoverage(m, requiredSkills)));
+}
+
+function scoreRating(members) {
+  const rated = members
+    .map((m) => Number(m?.cadProfile?.rating))
+    .filter((r) => Number.isFinite(r) && r > 0);
+  if (!rated.length) return 0.5;
+  const avg = rated.reduce((a, b) => a + b, 0) / rated.length;
+  return Math.min(1, Math.max(0, avg / 5));
+}
+
+function scoreWorkload(currentLoad, memberCount) {
+  const perMember = Number(currentLoad || 0) / Math.max(1, Number(memberCount || 0));
+  return 1 / (1 + perMember);
+}
+
+function scoreAvailability(center) {
+  if (center?.availabilityStatus === CAD_CENTER_AVAILABILITY.AVAILABLE) return 1;
+  if (center?.availabilityStatus === CAD_CENTER_AVAILABILITY.BUSY) return 0.5;
+  return 0;
+}
+
+/**
+ * Rank centers for one upload.
+ * @param {object} input
+ * @param {object[]} input.centers lean CadCenter rows
+ * @param {Map<string, object[]>} input.membersByCenter centerId → active, non-OFFLINE CAD users
+ * @param {Map<string, number>} input.loadByCenter centerId → open assignments (pool + members)
+ * @param {object} input.job { district, taluka, surveyType, isSuperimpose }
+ * @param {object} [input.weights]
+ * @returns {object[]} candidates sorted best-first with `rank`
+ */
+function scoreCadCenterCandidates({ centers, membersByCenter, loadByCenter, job, weights }) {
+  const w = normalizeRoutingWeights(weights);
+  const totalWeight = ROUTING_FACTORS.reduce((sum, f) => sum + w[f], 0) || 1;
+  const requiredSkills = requiredSkillsForJob(job);
+
+  const scored = (centers || []).map((center) => {
+    const key = String(center._id);
+    const members = membersByCenter?.get(key) || [];
+    const currentLoad = loadByCenter?.get(key) || 0;
+    const factors = {
+      region: scoreRegion(center, job || {}),
+      skill: scoreSkill(members, requiredSkills),
+      rating: scoreRating(members),
+      workload: scoreWorkload(currentLoad, members.length),
+      availability: scoreAvailability(center),
+    };
+    const weighted = ROUTING_FACTORS.reduce((sum, f) => sum + w[f] * factors[f], 0);
+    return {
+      cadCenterId: center._id,
+      name: center.name || null,
+      code: center.code || null,
+      score: round4(weighted / totalWeight),
+      factors: Object.fromEntries(ROUTING_FACTORS.map((f) => [f, round4(factors[f])])),
+      currentLoad,
+      memberCount: members.length,
+      _createdAt: center.createdAt ? new Date(center.createdAt).getTime() : 0,
+    };
+  });
+
+  scored.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.currentLoad - b.currentLoad ||
+      a._createdAt - b._createdAt ||
+      String(a.cadCenterId).localeCompare(String(b.cadCenterId))
+  );
+
+  return scored.map(({ _createdAt, ...row }, i) => ({ ...row, rank: i + 1 }));
+}
+
+function normalizeMaxJobsPerCadUser(raw) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : AUTO_ASSIGN_DEFAULT_MAX_JOBS_PER_CAD_USER;
+}
+
+/**
+ * CAD_USER mode: walk centers best-first and pick the first eligible member.
+ * Within a center: best skill coverage, then fewest open jobs, then highest rating.
+ * @param {object} input
+ * @param {object[]} input.candidates output of scoreCadCenterCandidates
+ * @param {object[]} input.centers lean CadCenter rows (for `capacity`)
+ * @param {Map<string, object[]>} input.membersByCenter
+ * @param {Map<string, number>} input.loadByCenter
+ * @param {Map<string, number>} input.loadByUser userId → ASSIGNED/IN_PROGRESS jobs
+ * @param {number} input.maxConcurrentJobs
+ * @param {string[]} input.requiredSkills
+ * @returns {{ cadUserId, cadCenterId, activeJobs: number, skillCoverage: number } | null}
+ */
+function selectCadUserCandidate({
+  candidates,
+  centers,
+  membersByCenter,
+  loadByCenter,
+  loadByUser,
+  maxConcurrentJobs,
+  requiredSkills = [],
+}) {
+  const max = normalizeMaxJobsPerCadUser(maxConcurrentJobs);
+  const centerById = new Map((centers || []).map((c) => [String(c._id), c]));
+
+  for (const candidate of candidates || []) {
+    const key = String(candidate.cadCenterId);
+    const capacity = centerById.get(key)?.capacity;
+    if (capacity != null && (loadByCenter?.get(key) || 0) >= Number(capacity) * max) continue;
+
+    const eligible = (membersByCenter?.get(key) || [])
+      .filter((m) => m?.cadProfile?.availabilityStatus === "AVAILABLE")
+      .map((m) => ({
+        member: m,
+        activeJobs: loadByUser?.get(String(m._id)) || 0,
+        skillCoverage: memberSkillCoverage(m, requiredSkills),
+        rating: Number(m?.cadProfile?.rating) || 0,
+      }))
+      .filter((row) => row.activeJobs < max);
+    if (!eligible.length) continue;
+
+    eligible.sort(
+      (a, b) =>
+        b.skillCoverage - a.skillCoverage ||
+        a.activeJobs - b.activeJobs ||
+        b.rating - a.rating ||
+        String(a.member._id).localeCompare(String(b.member._id))
+    );
+    const best = eligible[0];
+    return {
+      cadUserId: best.member._id,
+      cadCenterId: candidate.cadCenterId,
+      activeJobs: best.activeJobs,
+      skillCoverage: round4(best.skillCoverage),
+    };
+  }
+  return null;
+}
+
+/**
+ * Load centers, their active CAD members and open work for routing.
+ */
+async function loadRoutingInputs() {
+  const centers = await CadCenter.find({
+    deletedAt: null,
+    status: MASTER_STATUS.ACTIVE,
+    availabilityStatus: { $in: [CAD_CENTER_AVAILABILITY.AVAILABLE, CAD_CENTER_AVAILABILITY.BUSY] },
+  })
+    .select("_id name code availabilityStatus servedRegions capacity createdAt")
+    .lean();
+  if (!centers.length) {
+    return { centers, membersByCenter: new Map(), loadByCenter: new Map(), loadByUser: new Map() };
+  }
+
+  const centerIds = centers.map((c) => c._id);
+  const members = await User.find({
+    ...mongoRoleEquals(USER_ROLES.CAD),
+    ...mongoStatusEquals(USER_STATUS.ACTIVE),
+    deletedAt: null,
+    "cadProfile.cadCenter": { $in: centerIds },
+    "cadProfile.availabilityStatus": { $ne: "OFFLINE" },
+  })
+    .select("_id cadProfile.cadCenter cadProfile.skills cadProfile.rating cadProfile.availabilityStatus professionalDetails.skills")
+    .lean();
+  const memberIds = members.map((m) => m._id);
+
+  const membersByCenter = new Map();
+  const centerByMember = new Map();
+  for (const m of members) {
+    const key = String(m.cadProfile.cadCenter);
+    if (!membersByCenter.has(key)) membersByCenter.set(key, []);
+    membersByCenter.get(key).push(m);
+    centerByMember.set(String(m._id), key);
+  }
+
+  const [poolRows, memberRows, userCapRows] = await Promise.all([
+    SurveySketchAssignment.aggregate([
+      { $match: { cadCenter: { $in: centerIds }, status: { $in: LOAD_STATUSES } } },
+      { $group: { _id: "$cadCenter", count: { $sum: 1 } } },
+    ]),
+    members.length
+      ? SurveySketchAssignment.aggregate([
+          {
+            $match: {
+              assignedTo: { $in: memberIds },
+              cadCenter: null,
+              status: { $in: LOAD_STATUSES },
+            },
+          },
+          { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+        ])
+      : [],
+    members.length
+      ? SurveySketchAssignment.aggregate([
+          { $match: { assignedTo: { $in: memberIds }, status: { $in: USER_CAP_STATUSES } } },
+          { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+        ])
+      : [],
+  ]);
+
+  const loadByCenter = new Map();
+  for (const row of poolRows) {
+    const key = String(row._id);
+    loadByCenter.set(key, (loadByCenter.get(key) || 0) + row.count);
+  }
+  for (const row of memberRows) {
+    const key = centerByMember.get(String(row._id));
+    if (key) loadByCenter.set(key, (loadByCenter.get(key) || 0) + row.count);
+  }
+
+  const loadByUser = new Map(userCapRows.map((row) => [String(row._id), row.count]));
+
+  return { centers, membersByCenter, loadByCenter, loadByUser };
+}
+
+/**
+ * Score every eligible center for an upload; in CAD_USER mode also pick a CAD user.
+ * @returns {Promise<{ cadCenterId, cadUserId, routing: object }>} cadUserId null = center pool
+ */
+async function routeUploadToCadCenter(
+  upload,
+  { weights, mode = AUTO_ASSIGN_MODE.CENTER_POOL, maxConcurrentJobsPerCadUser } = {}
+) {
+  const job = {
+    district: upload?.district || null,
+    taluka: upload?.taluka || null,
+    surveyType: upload?.surveyType || null,
+    isSuperimpose: Boolean(upload?.isSuperimpose),
+  };
+  const w = normalizeRoutingWeights(weights);
+  const inputs = await loadRoutingInputs();
+  const candidates = scoreCadCenterCandidates({ ...inputs, job, weights: w });
+  const requiredSkills = requiredSkillsForJob(job);
+
+  let cadUser = null;
+  let fallbackReason = null;
+  if (mode === AUTO_ASSIGN_MODE.CAD_USER) {
+    cadUser = selectCadUserCandidate({
+      ...inputs,
+      candidates,
+      maxConcurrentJobs: maxConcurrentJobsPerCadUser,
+      requiredSkills,
+    });
+    if (!cadUser && candidates.length) fallbackReason = "NO_ELIGIBLE_CAD_USER";
+  }
+
+  return {
+    cadCenterId: cadUser?.cadCenterId || candidates[0]?.cadCenterId || null,
+    cadUserId: cadUser?.cadUserId || null,
+    routing: {
+      mode,
+      job: { ...job, requiredSkills },
+      weights: w,
+      candidates: candidates.slice(0, MAX_PERSISTED_CANDIDATES),
+      cadUser,
+      fallbackReason,
+    },
+  };
+}
+
+module.exports = {
+  ROUTING_FACTORS,
+  normalizeRoutingWeights,
+  requiredSkillsForJob,
+  scoreCadCenterCandidates,
+  normalizeMaxJobsPerCadUser,
+  selectCadUserCandidate,
+  routeUploadToCadCenter,
+};
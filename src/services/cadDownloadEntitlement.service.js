@@ -2,13 +2,21 @@
  * Audit C-02: CAD deliverable download entitlement.
  * Surveyor download requires reconciled balance payment (₹100 booking + ₹400 balance model).
  * Browser / order status alone must never grant file access.
+ * Exception (H-12): `role: "preview"` files (watermarked PDF / image) are downloadable once
+ * delivered, before the balance is paid; source DWG/DXF only after.
  */
 
 const { randomUUID } = require("crypto");
 const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
 const sketchPaymentPricing = require("./sketchPaymentPricing.service");
 const phonePeSketchPayment = require("./phonePeSketchPayment.service");
+const paymentProvider = require("./payment/paymentProvider.service");
+const { isReleasedDelivery } = require("./assignment/deliveryQc.service");
+const { CAD_DELIVERABLE_ROLES, roleFromFile } = require("../config/cadDeliverableContract");
+const previewWatermark = require("./previewWatermark.service");
+const { getWatermarkPolicy } = require("./fileSecurity.service");
 const s3 = require("../utils/s3");
+const { displayName } = require("../utils/userDisplay");
 const { USER_ROLES, SURVEY_SKETCH_STATUS } = require("../config/constants");
 const { ForbiddenError, NotFoundError, BadRequestError } = require("../utils/errors");
 const logger = require("../utils/logger");
@@ -46,9 +54,15 @@ function normalizeFiles(value) {
       mimeType: f.mimeType != null ? String(f.mimeType) : null,
       size: f.size != null && f.size !== "" ? Number(f.size) : null,
       uploadedAt: f.uploadedAt || null,
+      role: roleFromFile(f),
+      generated: Boolean(f.generated),
     }));
 }
 
+function isPreviewFile(file) {
+  return file?.role === CAD_DELIVERABLE_ROLES.PREVIEW;
+}
+
 function hasDeliverableFiles(upload) {
   return normalizeFiles(upload?.cadDeliverable).length > 0;
 }
@@ -149,6 +163,8 @@ async function applyBalanceRequirementOnDelivery(uploadDoc) {
       planAmountRupees: resolved.planAmountRupees,
       discountRupees: resolved.discountRupees,
       pricingSource: resolved.source,
+      pricingVersion: resolved.contractVersion || null,
+      pricingVersionId: resolved.pricingVersionId || null,
       paidAmountPaise: null,
       paymentFailureReason: null,
       phonepeResponse: null,
@@ -158,8 +174,30 @@ async function applyBalanceRequirementOnDelivery(uploadDoc) {
     };
     appendBalanceLedger(uploadDoc, "AMOUNT_LOCKED", {
       amountPaise: resolved.feePaise,
-      note: `source=${resolved.source}`,
+      note: `source=${resolved.source} pricing=${resolved.contractVersion || "baseline"}`,
     });
+    const bundleCredit = uploadDoc.sketchPayment?.wallet?.bundleCredit;
+    if (bundleCredit && resolved.feePaise > 0) {
+      // The bundle credit spent at booking prepaid this order's balance too.
+      const now = new Date();
+      Object.assign(uploadDoc.balancePayment, {
+        status: BALANCE_PAYMENT_STATUSES.COMPLETED,
+        paidAmountPaise: resolved.feePaise,
+        paidAt: now,
+        wallet: {
+          debitedPaise: 0,
+          bundleCredit: { orderType: bundleCredit.orderType, coveredPaise: resolved.feePaise },
+          fundedAt: now,
+        },
+      });
+      uploadDoc.downloadEntitlement = { granted: true, grantedAt: now, reason: "BALANCE_PAID", revokedAt: null };
+      appendBalanceLedger(uploadDoc, "BUNDLE_PREPAID", {
+        amountPaise: resolved.feePaise,
+        paidAmountPaise: resolved.feePaise,
+        note: `orderType=${bundleCredit.orderType}`,
+      });
+      return;
+    }
   }
 
   const expected = Number(uploadDoc.balancePayment.amountPaise) || 0;
@@ -226,6 +264,8 @@ function redactFileMeta(files) {
     mimeType: f.mimeType,
     size: f.size,
     uploadedAt: f.uploadedAt,
+    role: f.role,
+    generated: f.generated,
     urlWithheld: true,
   }));
 }
@@ -255,6 +295,8 @@ function buildEntitlementMeta(upload) {
     payableRupees: expected != null && Number.isFinite(Number(expected)) ? Number(expected) / 100 : null,
     paidAmountPaise: upload.balancePayment?.paidAmountPaise ?? null,
     refunded: isRefunded(upload),
+    /** Preview files can be downloaded before the balance is paid (H-12). */
+    previewAvailable: normalizeFiles(upload.cadDeliverable).some(isPreviewFile),
     downloadApi: "GET /api/surveyor/sketch-uploads/{uploadId}/cad-download",
     balancePaymentApi: "POST /api/surveyor/sketch-uploads/{uploadId}/balance-payment",
   };
@@ -277,11 +319,18 @@ function presentUploadForActor(upload, actor) {
   const out = { ...upload };
   out.cadDeliverable = redactFileMeta(upload.cadDeliverable);
   if (Array.isArray(upload.cadDeliverableHistory)) {
-    out.cadDeliverableHistory = upload.cadDeliverableHistory.map((row) => ({
-      ...row,
-      deliverables: redactFileMeta(row?.deliverables),
-      deliverable: row?.deliverable ? redactFileMeta([row.deliverable])[0] : null,
-    }));
+    // Deliveries still in QC (or failed QC) are never surveyor-visible (M-08).
+    // dxfAnalysis is QC-internal (object keys, layer names) — dropped for surveyors.
+    // historyIndex is the position in the full history (revision-diff from / to).
+    out.cadDeliverableHistory = upload.cadDeliverableHistory
+      .map((row, historyIndex) => ({ row, historyIndex }))
+      .filter(({ row }) => isReleasedDelivery(row))
+      .map(({ row: { dxfAnalysis: _qcOnly, ...row }, historyIndex }) => ({
+        ...row,
+        historyIndex,
+        deliverables: redactFileMeta(row?.deliverables),
+        deliverable: row?.deliverable ? redactFileMeta([row.deliverable])[0] : null,
+      }));
   }
 
   // Do not expose PhonePe raw payloads, download grant tokens, or entitlement flag as authority.
@@ -306,7 +355,11 @@ function presentUploadForActor(upload, actor) {
   return out;
 }
 
-async function initiateBalancePayment(surveyor, uploadId) {
+/**
+ * @param {{ couponCode?: string }} [options] - campaign code; only accepted at the first balance checkout,
+ *   after which the (discounted) amount stays locked for retries
+ */
+async function initiateBalancePayment(surveyor, uploadId, { couponCode, useWallet = true } = {}) {
   if (surveyor.role !== USER_ROLES.SURVEYOR) {
     throw new ForbiddenError("Only surveyors can pay sketch balance", { code: "SURVEYOR_ONLY" });
   }
@@ -357,21 +410,121 @@ async function initiateBalancePayment(surveyor, uploadId) {
     };
   }
 
-  if (!phonePeSketchPayment.isPhonePeConfigured()) {
-    throw new BadRequestError("PhonePe is not configured for balance payment", {
-      code: "PHONEPE_NOT_CONFIGURED",
+  const { PAYMENT_PURPOSE } = require("./paymentAttempt.service");
+  const couponService = require("./payment/coupon.service");
+  const surveyorWallet = require("./payment/surveyorWallet.service");
+  const bp = upload.balancePayment;
+  let coupon = null;
+  if (couponCode) {
+    if (bp.merchantOrderId || bp.coupon || bp.wallet) {
+      throw new BadRequestError("The balance amount is already locked at checkout; a coupon cannot be added now", {
+        code: "COUPON_LOCKED",
+        errors: [{ field: "couponCode", message: "Balance checkout already started" }],
+      });
+    }
+    coupon = await couponService.reserveCoupon({
+      code: couponCode,
+      surveyorId: surveyor._id,
+      districtId: upload.district,
+      purpose: PAYMENT_PURPOSE.BALANCE,
+      uploadId: upload._id,
+      lines: couponService.balanceFeeLines(bp),
     });
   }
-
+  const chargePaise = coupon ? coupon.payablePaise : feePaise;
   const merchantOrderId = phonePeSketchPayment.balancePaymentMerchantOrderId(upload._id);
-  const pay = await phonePeSketchPayment.initiatePay(merchantOrderId, feePaise);
+  const releaseCoupon = () =>
+    coupon ? couponService.releaseCoupon({ uploadId: upload._id, purpose: PAYMENT_PURPOSE.BALANCE }) : null;
+
+  // Wallet first, at the first checkout only; retries charge the gateway the same remainder.
+  let debitEntry = null;
+  if (useWallet && !bp.merchantOrderId && !bp.wallet) {
+    try {
+      debitEntry = await surveyorWallet.debitForCheckout({
+        surveyorId: surveyor._id,
+        uploadId: upload._id,
+        purpose: PAYMENT_PURPOSE.BALANCE,
+        duePaise: chargePaise,
+        ref: `balance:${upload._id}:${merchantOrderId}`,
+      });
+    } catch (err) {
+      await releaseCoupon();
+      throw err;
+    }
+  }
+  const wallet = debitEntry ? surveyorWallet.fundingSnapshot({ debitEntry }) : bp.wallet || null;
+  const gatewayPaise = chargePaise - (Number(wallet?.debitedPaise) || 0);
 
-  upload.balancePayment.status = BALANCE_PAYMENT_STATUSES.PENDING;
-  upload.balancePayment.merchantOrderId = merchantOrderId;
-  upload.balancePayment.paymentFailureReason = null;
+  if (coupon) {
+    bp.amountPaise = chargePaise;
+    bp.coupon = coupon.snapshot;
+    appendBalanceLedger(upload, "COUPON_APPLIED", {
+      amountPaise: chargePaise,
+      note: `code=${coupon.snapshot.code};discountPaise=${coupon.discountPaise}`,
+    });
+  }
+  if (debitEntry) {
+    bp.wallet = wallet;
+    appendBalanceLedger(upload, "WALLET_DEBITED", { amountPaise: wallet.debitedPaise });
+  }
+  const couponMeta = bp.coupon ? { code: bp.coupon.code, discountPaise: bp.coupon.discountPaise } : null;
+
+  if (gatewayPaise <= 0) {
+    bp.status = BALANCE_PAYMENT_STATUSES.COMPLETED;
+    bp.paidAmountPaise = chargePaise;
+    bp.paidAt = new Date();
+    bp.paymentFailureReason = null;
+    upload.downloadEntitlement = { granted: true, grantedAt: bp.paidAt, reason: "BALANCE_PAID", revokedAt: null };
+    appendBalanceLedger(upload, "PAYMENT_COMPLETED", {
+      amountPaise: chargePaise,
+      paidAmountPaise: chargePaise,
+      note: "wallet",
+    });
+    await upload.save();
+    if (coupon) {
+      await couponService.redeemForPaymentQuietly({
+        surveyorSketchUpload: upload._id,
+        purpose: PAYMENT_PURPOSE.BALANCE,
+        revisionNo: null,
+        merchantOrderId: null,
+      });
+    }
+    return {
+      data: presentUploadForActor(upload.toObject(), surveyor),
+      meta: {
+        payment: {
+          requiresPayment: false,
+          fundedBy: "WALLET",
+          amountPaise: chargePaise,
+          wallet: surveyorWallet.presentFunding(wallet),
+          coupon: couponMeta,
+          purpose: "CAD_BALANCE",
+          message: "Balance paid from your prepaid wallet; CAD download unlocked",
+        },
+      },
+    };
+  }
+
+  let pay;
+  try {
+    pay = await paymentProvider.startCheckout({
+      purpose: PAYMENT_PURPOSE.BALANCE,
+      merchantOrderId,
+      amountPaise: gatewayPaise,
+      description: `CAD balance ${upload.applicationId || upload._id}`,
+    });
+  } catch (err) {
+    await releaseCoupon();
+    await surveyorWallet.reverseEntriesQuietly([debitEntry], "Balance checkout not started");
+    throw err;
+  }
+
+  bp.status = BALANCE_PAYMENT_STATUSES.PENDING;
+  bp.merchantOrderId = merchantOrderId;
+  bp.paymentFailureReason = null;
   appendBalanceLedger(upload, "CHECKOUT_INITIATED", {
     merchantOrderId,
-    amountPaise: feePaise,
+    amountPaise: gatewayPaise,
   });
   await upload.save();
 
@@ -382,7 +535,10 @@ async function initiateBalancePayment(surveyor, uploadId) {
       surveyorSketchUploadId: upload._id,
       surveyorId: surveyor._id,
       merchantOrderId,
-      expectedAmountPaise: feePaise,
+      expectedAmountPaise: gatewayPaise,
+      provider: pay.provider,
+      providerOrderId: pay.providerOrderId,
+      coupon: bp.coupon,
     });
   } catch (ledgerErr) {
     logger.error("Failed to record balance payment attempt", ledgerErr, {
@@ -399,11 +555,13 @@ async function initiateBalancePayment(surveyor, uploadId) {
         checkoutPageUrl: pay.redirectUrl,
         redirectUrl: pay.redirectUrl,
         merchantOrderId,
-        amountPaise: feePaise,
-        planAmountRupees: upload.balancePayment.planAmountRupees,
-        discountRupees: upload.balancePayment.discountRupees,
-        payableRupees: feePaise / 100,
-        pricingSource: upload.balancePayment.pricingSource,
+        amountPaise: gatewayPaise,
+        planAmountRupees: bp.planAmountRupees,
+        discountRupees: bp.discountRupees,
+        payableRupees: gatewayPaise / 100,
+        pricingSource: bp.pricingSource,
+        coupon: couponMeta,
+        wallet: surveyorWallet.presentFunding(wallet),
         purpose: "CAD_BALANCE",
         message: "Pay the balance amount to unlock CAD download",
       },
@@ -466,10 +624,12 @@ async function completeBalancePaymentAfterPhonePe(uploadId, phonepeResponse, { m
   }
 
   await ensureBalanceRequirementForUpload(upload);
+  // The gateway collects amountPaise less any wallet share spent at checkout.
+  const walletPaise = Number(upload.balancePayment?.wallet?.debitedPaise) || 0;
   const expected =
     expectedAmountPaise != null && Number.isFinite(Number(expectedAmountPaise))
       ? Math.round(Number(expectedAmountPaise))
-      : Number(upload.balancePayment?.amountPaise);
+      : Number(upload.balancePayment?.amountPaise) - walletPaise;
   const match = phonePeSketchPayment.assertPaidMatchesExpected(expected, phonepeResponse);
   if (!match.ok) {
     logger.error("PhonePe balance payment amount rejected", {
@@ -503,7 +663,7 @@ async function completeBalancePaymentAfterPhonePe(uploadId, phonepeResponse, { m
   upload.balancePayment.status = BALANCE_PAYMENT_STATUSES.COMPLETED;
   upload.balancePayment.phonepeResponse = phonepeResponse;
   upload.balancePayment.paidAt = new Date();
-  upload.balancePayment.paidAmountPaise = match.paidPaise;
+  upload.balancePayment.paidAmountPaise = match.paidPaise + walletPaise;
   upload.balancePayment.paymentFailureReason = null;
   if (merchantOrderId) upload.balancePayment.merchantOrderId = merchantOrderId;
   upload.downloadEntitlement = {
@@ -542,61 +702,75 @@ async function markBalancePaymentFailed(uploadId, phonepeResponse) {
 }
 
 /**
- * Admin: mark balance as refunded — exceptional ops only (approved refund policy).
- * Irrevocably revokes download entitlement (audit C-02). Not a customer entitlement.
+ * Settled exceptional refund of the balance payment (approved refund policy; gateway refund completed
+ * or recorded off-platform). Irrevocably revokes download entitlement (audit C-02) when the refunded
+ * order is the one that unlocked it; a refunded mismatched payment leaves the balance payable.
+ * A partial refund (`full: false`) only adds to refundedAmountPaise; entitlement stays.
+ * @returns {Promise<boolean>} false when the order is not this upload's balance order or already refunded
  */
-async function markBalanceRefunded(actor, uploadId, payload = {}) {
-  if (actor.role !== USER_ROLES.ADMIN && actor.role !== USER_ROLES.SUPER_ADMIN) {
-    throw new ForbiddenError("Only admin can mark balance refunded", { code: "ADMIN_ONLY" });
-  }
-
-  const { assertExceptionalAdminRefundAllowed } = require("../config/refundPolicy");
-  const approved = assertExceptionalAdminRefundAllowed(payload);
-
+async function applyBalanceRefund(
+  uploadId,
+  { merchantOrderId, reasonCode, policyVersion, note, amountPaise, full = true } = {}
+) {
   const upload = await SurveyorSketchUpload.findById(uploadId);
-  if (!upload) {
-    throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
-  }
-  upload.balancePayment = upload.balancePayment || {};
-  if (upload.balancePayment.status === BALANCE_PAYMENT_STATUSES.REFUNDED) {
-    throw new BadRequestError("Balance payment is already marked REFUNDED", {
-      code: "ALREADY_REFUNDED",
+  if (!upload) return false;
+  const bp = upload.balancePayment || {};
+  if (bp.merchantOrderId && merchantOrderId && bp.merchantOrderId !== merchantOrderId) return false;
+  if (bp.status === BALANCE_PAYMENT_STATUSES.REFUNDED) return false;
+
+  upload.balancePayment = bp;
+  upload.balancePayment.refundedAmountPaise = (Number(bp.refundedAmountPaise) || 0) + (Number(amountPaise) || 0);
+  upload.balancePayment.refundReasonCode = reasonCode || null;
+  upload.balancePayment.refundPolicyVersion = policyVersion || null;
+  if (!full) {
+    appendBalanceLedger(upload, "PARTIALLY_REFUNDED", {
+      merchantOrderId: merchantOrderId || bp.merchantOrderId,
+      amountPaise: bp.amountPaise,
+      paidAmountPaise: amountPaise,
+      reasonCode,
+      policyVersion,
+      note,
     });
+    await upload.save();
+    return true;
   }
-  upload.balancePayment.status = BALANCE_PAYMENT_STATUSES.REFUNDED;
+
   upload.balancePayment.refundedAt = new Date();
-  upload.balancePayment.refundReasonCode = approved.reasonCode;
-  upload.balancePayment.refundPolicyVersion = approved.policyVersion;
-  upload.downloadEntitlement = {
-    granted: false,
-    grantedAt: null,
-    reason: "REFUNDED",
-    revokedAt: new Date(),
-  };
+  if (bp.status !== BALANCE_PAYMENT_STATUSES.AMOUNT_MISMATCH) {
+    upload.balancePayment.status = BALANCE_PAYMENT_STATUSES.REFUNDED;
+    upload.downloadEntitlement = {
+      granted: false,
+      grantedAt: null,
+      reason: "REFUNDED",
+      revokedAt: new Date(),
+    };
+  }
   appendBalanceLedger(upload, "REFUNDED", {
-    merchantOrderId: upload.balancePayment.merchantOrderId,
-    amountPaise: upload.balancePayment.amountPaise,
-    paidAmountPaise: upload.balancePayment.paidAmountPaise,
-    reasonCode: approved.reasonCode,
-    policyVersion: approved.policyVersion,
-    note: approved.note,
+    merchantOrderId: merchantOrderId || bp.merchantOrderId,
+    amountPaise: bp.amountPaise,
+    paidAmountPaise: amountPaise != null ? amountPaise : bp.paidAmountPaise,
+    reasonCode,
+    policyVersion,
+    note,
   });
   await upload.save();
+  return true;
+}
 
-  try {
-    const paymentAttempt = require("./paymentAttempt.service");
-    if (upload.balancePayment.merchantOrderId) {
-      await paymentAttempt.markAttemptRefunded(upload.balancePayment.merchantOrderId, {
-        note: `${approved.reasonCode}: ${approved.note}`,
-      });
-    }
-  } catch (ledgerErr) {
-    logger.error("Failed to mark payment attempt refunded", ledgerErr, {
-      uploadId: String(uploadId),
-    });
-  }
-
-  return presentUploadForActor(upload.toObject(), actor);
+/** Balance ledger entry for a gateway refund that is in flight (REFUND_REQUESTED) or failed (REFUND_FAILED). */
+async function recordBalanceRefundEvent(uploadId, event, { merchantOrderId, amountPaise, reasonCode, policyVersion, note } = {}) {
+  const upload = await SurveyorSketchUpload.findById(uploadId);
+  if (!upload) return;
+  if (upload.balancePayment?.merchantOrderId && upload.balancePayment.merchantOrderId !== merchantOrderId) return;
+  appendBalanceLedger(upload, event, {
+    merchantOrderId,
+    amountPaise: upload.balancePayment?.amountPaise,
+    paidAmountPaise: amountPaise,
+    reasonCode,
+    policyVersion,
+    note,
+  });
+  await upload.save();
 }
 
 function entitlementDenialCode(upload) {
@@ -611,6 +785,10 @@ function entitlementDenialCode(upload) {
 
 /**
  * Issue short-lived signed GET URLs. Requires ownership + delivery + reconciled balance.
+ * Without the balance, only preview-role files are issued (previewOnly: true); with no preview
+ * the request is denied as before.
+ * SERVER_ENFORCED watermark mode: previews are signed as a derived stamped copy carrying this
+ * download's trace code; a preview that cannot be stamped is withheld, never issued raw.
  * Optional one-use grantId: replay of the same grantId is rejected.
  */
 async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
@@ -641,7 +819,9 @@ async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
     throw new BadRequestError("CAD deliverable is not ready yet", { code: "CAD_NOT_DELIVERED" });
   }
 
-  if (!isDownloadEntitled(upload)) {
+  const entitled = isDownloadEntitled(upload);
+  const files = normalizeFiles(upload.cadDeliverable).filter((f) => entitled || isPreviewFile(f));
+  if (!files.length) {
     const code = entitlementDenialCode(upload);
     throw new ForbiddenError("Balance payment required before CAD download", {
       code,
@@ -666,8 +846,11 @@ async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
   }
 
   const ttl = getDownloadUrlTtlSeconds();
-  const expiresAt = new Date(Date.now() + ttl * 1000);
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + ttl * 1000);
   const newGrantId = randomUUID();
+  const watermarkPolicy = getWatermarkPolicy();
+  const traceCode = watermarkPolicy.serverEnforced ? previewWatermark.generateTraceCode() : null;
   if (!Array.isArray(upload.downloadGrants)) upload.downloadGrants = [];
   upload.downloadGrants.push({
     grantId: newGrantId,
@@ -678,14 +861,16 @@ async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
   if (upload.downloadGrants.length > 20) {
     upload.downloadGrants = upload.downloadGrants.slice(-20);
   }
-  appendBalanceLedger(upload, "DOWNLOAD_URLS_ISSUED", {
+  appendBalanceLedger(upload, entitled ? "DOWNLOAD_URLS_ISSUED" : "PREVIEW_URLS_ISSUED", {
     amountPaise: upload.balancePayment?.amountPaise,
-    note: `grantId=${newGrantId};ttl=${ttl}`,
+    note: `grantId=${newGrantId};ttl=${ttl}` + (traceCode ? `;trace=${traceCode}` : ""),
   });
   await upload.save();
 
-  const files = normalizeFiles(upload.cadDeliverable);
+  const { logFileAccess } = require("./fileAccessLog.service");
   const outFiles = [];
+  const withheld = [];
+  const derived = [];
   for (const file of files) {
     const key = s3.keyFromFileUrl(file.url);
     if (!key) {
@@ -697,29 +882,77 @@ async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
         code: "DELIVERABLE_KEY_UNRESOLVED",
       });
     }
-    const downloadUrl = await s3.getPresignedGetUrl(key, ttl);
+    let issued = { key, fileName: file.fileName, mimeType: file.mimeType, size: file.size };
+    if (traceCode && isPreviewFile(file)) {
+      try {
+        issued = await previewWatermark.createWatermarkedPreview({
+          sourceKey: key,
+          fileName: file.fileName,
+          uploadId: upload._id,
+          stamp: {
+            applicationId: upload.applicationId || null,
+            surveyorName: displayName(surveyor),
+            unpaid: !entitled,
+            traceCode,
+            issuedAt,
+          },
+        });
+        derived.push({ sourceKey: key, derivedKey: issued.key, sha256: issued.sha256 });
+      } catch (err) {
+        logger.error("Preview watermark failed; file withheld", err, {
+          uploadId: String(uploadId),
+          fileName: file.fileName,
+          traceCode,
+        });
+        withheld.push({ fileName: file.fileName, role: file.role, code: err.code || "PREVIEW_WATERMARK_FAILED" });
+        continue;
+      }
+    }
+    const downloadUrl = await s3.getPresignedGetUrl(issued.key, ttl);
     outFiles.push({
-      fileName: file.fileName,
-      mimeType: file.mimeType,
-      size: file.size,
+      fileName: issued.fileName,
+      mimeType: issued.mimeType,
+      size: issued.size,
+      role: file.role,
+      generated: file.generated,
+      watermarked: issued.key !== key,
       downloadUrl,
       expiresAt: expiresAt.toISOString(),
       expiresInSeconds: ttl,
     });
   }
 
-  const { logFileAccess } = require("./fileAccessLog.service");
+  if (!outFiles.length) {
+    await logFileAccess({
+      action: "DOWNLOAD_DENIED",
+      actorUserId: surveyor._id,
+      actorRole: surveyor.role,
+      uploadId: upload._id,
+      success: false,
+      code: "PREVIEW_WATERMARK_FAILED",
+      traceCode,
+      meta: { grantId: newGrantId, withheld },
+    });
+    throw new BadRequestError("Preview could not be watermarked for download", {
+      code: "PREVIEW_WATERMARK_FAILED",
+      errors: { withheld },
+    });
+  }
+
   await logFileAccess({
     action: "DOWNLOAD_ISSUED",
     actorUserId: surveyor._id,
     actorRole: surveyor.role,
     uploadId: upload._id,
     success: true,
+    traceCode,
     meta: {
       grantId: newGrantId,
       ttl,
       fileCount: outFiles.length,
-      watermarkPolicy: require("./fileSecurity.service").getWatermarkPolicy(),
+      previewOnly: !entitled,
+      watermarkPolicy,
+      ...(traceCode ? { watermark: { unpaid: !entitled, derived, withheld } } : {}),
     },
   });
 
@@ -729,7 +962,10 @@ async function getCadDownloadForSurveyor(surveyor, uploadId, { grantId } = {}) {
     grantId: newGrantId,
     expiresAt: expiresAt.toISOString(),
     expiresInSeconds: ttl,
+    previewOnly: !entitled,
+    traceCode,
     files: outFiles,
+    ...(withheld.length ? { withheld } : {}),
     downloadEntitlement: buildEntitlementMeta(upload),
   };
 }
@@ -746,8 +982,10 @@ module.exports = {
   initiateBalancePayment,
   completeBalancePaymentAfterPhonePe,
   markBalancePaymentFailed,
-  markBalanceRefunded,
+  applyBalanceRefund,
+  recordBalanceRefundEvent,
   getCadDownloadForSurveyor,
+  entitlementDenialCode,
   getDownloadUrlTtlSeconds,
   appendBalanceLedger,
 };
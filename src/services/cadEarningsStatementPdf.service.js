@@ -0,0 +1,166 @@
+/**
+ * PDF rendering of a CAD operator's financial-year earnings statement (utils/pdf, A4 portrait, Helvetica).
+ * Input is services/cadTds getEarningsStatement; the payment table continues onto further pages.
+ */
+
+const { PAGE_SIZES, PDF_FONTS, textOps, pathOps, estimateTextWidth, buildPdf } = require("../utils/pdf");
+const { CAD_WALLET_ENTRY_KIND } = require("../config/constants");
+const { formatPaise } = require("./payment/taxDocumentPdf.service");
+
+const MARGIN = 48;
+const ROW_HEIGHT = 13;
+
+const KIND_LABELS = {
+  [CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY]: "Delivery",
+  [CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY]: "Revision",
+  [CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK]: "Clawback",
+  [CAD_WALLET_ENTRY_KIND.DISPUTE_ADJUSTMENT]: "Adjustment",
+};
+
+function formatDate(d) {
+  if (!d) return "-";
+  return new Date(new Date(d).getTime() + 330 * 60 * 1000).toISOString().slice(0, 10).split("-").reverse().join("-");
+}
+
+const pct = (bps) => (bps == null ? "-" : `${(Number(bps) / 100).toFixed(2).replace(/\.?0+$/, "")}%`);
+
+/**
+ * @param {Awaited<ReturnType<typeof import("./cadTds.service").getEarningsStatement>>} statement
+ * @returns {Buffer}
+ */
+function renderEarningsStatementPdf(statement) {
+  const { width, height } = PAGE_SIZES.A4_PORTRAIT;
+  const right = width - MARGIN;
+  const pages = [];
+  let ops = [];
+  let y = height - MARGIN;
+  const text = (s, x, size = 9, font = PDF_FONTS.REGULAR) => ops.push(textOps(String(s), { x, y, size, font }));
+  const textRight = (s, x, size = 9, font = PDF_FONTS.REGULAR) =>
+    ops.push(textOps(String(s), { x: x - estimateTextWidth(String(s), size), y, size, font }));
+  const rule = () => ops.push(`0.5 w ${pathOps([{ x: MARGIN, y: y + 4 }, { x: right, y: y + 4 }])}`);
+  const down = (dy) => {
+    y -= dy;
+  };
+  const newPage = () => {
+    pages.push({ width, height, content: ops.join("\n") });
+    ops = [];
+    y = height - MARGIN;
+  };
+
+  const s = statement;
+  text("EARNINGS STATEMENT", MARGIN, 16, PDF_FONTS.BOLD);
+  textRight(`FY ${s.financialYear}`, right, 11, PDF_FONTS.BOLD);
+  down(22);
+  text(s.deductor?.name || "-", MARGIN, 11, PDF_FONTS.BOLD);
+  textRight(`Period: ${formatDate(s.period.from)} to ${formatDate(new Date(s.period.to.getTime() - 1))}`, right);
+  down(13);
+  if (s.deductor?.tan) {
+    text(`TAN: ${s.deductor.tan}`, MARGIN);
+    down(12);
+  }
+  down(8);
+  rule();
+  down(12);
+
+  text("CAD operator", MARGIN, 9, PDF_FONTS.BOLD);
+  textRight(`Generated: ${formatDate(s.generatedAt)}`, right);
+  down(12);
+  text(s.cadUser.name || "-", MARGIN);
+  down(12);
+  if (s.cadUser.email) {
+    text(s.cadUser.email, MARGIN);
+    down(12);
+  }
+  text(`PAN: ${s.cadUser.pan || "Not provided"}`, MARGIN);
+  down(20);
+
+  const colValue = right;
+  const colLabel = MARGIN + 300;
+  rule();
+  text("Summary", MARGIN, 9, PDF_FONTS.BOLD);
+  textRight("Amount (Rs.)", colValue, 9, PDF_FONTS.BOLD);
+  down(14);
+  rule();
+  const t = s.totals;
+  for (const [label, value] of [
+    [`Earned (${t.earnedEntries} credits)`, t.earnedPaise],
+    ["Refund clawbacks", -t.clawbackPaise],
+    ["Paid out (gross)", t.grossPaidPaise],
+    ["TDS deducted", -t.tdsPaise],
+  ]) {
+    text(label, MARGIN);
+    textRight(formatPaise(value), colValue);
+    down(ROW_HEIGHT);
+  }
+  textRight("Net received", colLabel + 80, 10, PDF_FONTS.BOLD);
+  textRight(`Rs. ${formatPaise(t.netPaidPaise)}`, colValue, 10, PDF_FONTS.BOLD);
+  down(22);
+
+  const quarterCols = [MARGIN, MARGIN + 200, MARGIN + 320, right];
+  rule();
+  text("Quarter", quarterCols[0], 9, PDF_FONTS.BOLD);
+  textRight("Gross (Rs.)", quarterCols[1] + 60, 9, PDF_FONTS.BOLD);
+  textRight("TDS (Rs.)", quarterCols[2] + 60, 9, PDF_FONTS.BOLD);
+  textRight("Net (Rs.)", quarterCols[3], 9, PDF_FONTS.BOLD);
+  down(14);
+  rule();
+  for (const q of s.quarters) {
+    text(`${q.quarter} (${q.label})`, quarterCols[0]);
+    textRight(formatPaise(q.grossPaise), quarterCols[1] + 60);
+    textRight(formatPaise(q.tdsPaise), quarterCols[2] + 60);
+    textRight(formatPaise(q.netPaise), quarterCols[3]);
+    down(ROW_HEIGHT);
+  }
+  down(10);
+
+  const cols = { date: MARGIN, kind: MARGIN + 62, utr: MARGIN + 122, gross: MARGIN + 290, rate: MARGIN + 340, tds: MARGIN + 410 };
+  const tableHeader = () => {
+    rule();
+    text("Paid on", cols.date, 9, PDF_FONTS.BOLD);
+    text("For", cols.kind, 9, PDF_FONTS.BOLD);
+    text("UTR", cols.utr, 9, PDF_FONTS.BOLD);
+    textRight("Gross", cols.gross, 9, PDF_FONTS.BOLD);
+    textRight("TDS rate", cols.rate, 9, PDF_FONTS.BOLD);
+    textRight("TDS", cols.tds, 9, PDF_FONTS.BOLD);
+    textRight("Net", right, 9, PDF_FONTS.BOLD);
+    down(14);
+    rule();
+  };
+  text("Payments", MARGIN, 11, PDF_FONTS.BOLD);
+  down(16);
+  tableHeader();
+  if (!s.payments.length) {
+    text("No payments in this financial year.", MARGIN);
+    down(ROW_HEIGHT);
+  }
+  for (const p of s.payments) {
+    if (y < MARGIN + 40) {
+      newPage();
+      tableHeader();
+    }
+    text(formatDate(p.paidAt), cols.date);
+    text(KIND_LABELS[p.kind] || p.kind || "-", cols.kind);
+    text(p.utr || "-", cols.utr);
+    textRight(formatPaise(p.grossPaise), cols.gross);
+    textRight(p.section ? `${pct(p.rateBps)} ${p.section}` : "-", cols.rate);
+    textRight(formatPaise(p.tdsPaise), cols.tds);
+    textRight(formatPaise(p.netPaise), right);
+    down(ROW_HEIGHT);
+  }
+  down(12);
+  if (y < MARGIN + 30) newPage();
+  text("Amounts in rupees. TDS is deposited against the PAN shown for each payment.", MARGIN, 8);
+  down(11);
+  text("This is a computer-generated statement and does not require a signature.", MARGIN, 8);
+  newPage();
+
+  return buildPdf(pages, {
+    title: `Earnings statement FY ${s.financialYear}`,
+    author: s.deductor?.name || undefined,
+    creationDate: s.generatedAt ? new Date(s.generatedAt) : undefined,
+  });
+}
+
+module.exports = {
+  renderEarningsStatementPdf,
+};
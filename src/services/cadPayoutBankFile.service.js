@@ -0,0 +1,171 @@
+/**
+ * Bank files for batch CAD payouts: the NEFT bulk-upload CSV we send and the response file the bank
+ * returns. The upload uses the common corporate net-banking bulk layout (one row per beneficiary,
+ * amount in rupees, DD/MM/YYYY value date, our reference echoed back). Response columns are found by
+ * header name (case / spacing / punctuation ignored), so banks that reorder or add columns still parse.
+ */
+
+const { parseCsv, toCsv } = require("../utils/csv");
+const { rupeesToPaise } = require("./payment/phonePeSettlement.parser");
+const { CAD_PAYOUT_LINE_STATUS, CAD_PAYOUT_MODE } = require("../models/cad/CadPayoutRun");
+
+const FORMAT = "NEFT_BULK_V1";
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MAX_PARSE_ERRORS = 50;
+
+const UPLOAD_HEADER = Object.freeze([
+  "Payment Mode",
+  "Beneficiary Name",
+  "Beneficiary Account Number",
+  "IFSC Code",
+  "Beneficiary VPA",
+  "Amount",
+  "Value Date",
+  "Debit Account Number",
+  "Customer Reference",
+  "Remarks",
+]);
+
+/** Normalized header → field. */
+const RESPONSE_ALIASES = Object.freeze({
+  customerreference: "reference",
+  customerrefno: "reference",
+  custrefno: "reference",
+  clientreference: "reference",
+  paymentreference: "reference",
+  referenceno: "reference",
+  refno: "reference",
+  status: "status",
+  transactionstatus: "status",
+  paymentstatus: "status",
+  utr: "utr",
+  utrno: "utr",
+  utrnumber: "utr",
+  bankreference: "utr",
+  bankrefno: "utr",
+  amount: "amount",
+  transactionamount: "amount",
+  reason: "reason",
+  failurereason: "reason",
+  rejectionreason: "reason",
+  errordescription: "reason",
+  remarks: "reason",
+});
+
+const PAID_STATUSES = new Set(["SUCCESS", "SUCCESSFUL", "PAID", "PROCESSED", "COMPLETED", "EXECUTED", "SETTLED"]);
+const FAILED_STATUSES = new Set(["FAILED", "FAILURE", "REJECTED", "RETURNED", "CANCELLED", "REVERSED"]);
+
+function normalizeHeader(h) {
+  return String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function istDate(d) {
+  return new Date(new Date(d).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10).split("-").reverse().join("/");
+}
+
+/** What the bank transfers for a line: gross less TDS (runs built before TDS carry no netPaise). */
+function netOf(line) {
+  return line.netPaise ?? line.amountPaise;
+}
+
+/** Bank remarks fields take short alphanumerics only. */
+function remarks(run) {
+  return `CAD payout ${run.runNo}`.replace(/[^A-Za-z0-9 ]/g, "").slice(0, 30);
+}
+
+/**
+ * Upload CSV for the run's PENDING lines.
+ * @param {{ runNo: string, lines: object[] }} run
+ * @param {{ valueDate?: Date, debitAccount?: string|null }} [options]
+ */
+function buildBankUploadCsv(run, { valueDate = new Date(), debitAccount = null } = {}) {
+  const rows = [UPLOAD_HEADER.slice()];
+  for (const line of run.lines || []) {
+    if (line.status !== CAD_PAYOUT_LINE_STATUS.PENDING) continue;
+    const b = line.beneficiary || {};
+    const neft = line.mode === CAD_PAYOUT_MODE.NEFT;
+    rows.push([
+      line.mode,
+      b.name || "",
+      neft ? b.accountNumber || "" : "",
+      neft ? b.ifscCode || "" : "",
+      neft ? "" : b.upiId || "",
+      (netOf(line) / 100).toFixed(2),
+      istDate(valueDate),
+      debitAccount || "",
+      line.reference,
+      remarks(run),
+    ]);
+  }
+  return toCsv(rows);
+}
+
+/**
+ * @param {string} text - bank response CSV
+ * @returns {{ format: string, lines: Array<{ lineNo: number, reference: string, status: string,
+ *   utr: string|null, amountPaise: number|null, reason: string|null }>, errors: Array<{ lineNo: number, message: string }> }}
+ *   `status` is PAID / FAILED, or PENDING for rows the bank has not settled yet.
+ */
+function parseBankResponse(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { format: FORMAT, lines: [], errors: [{ lineNo: 1, message: "Empty file" }] };
+
+  const columns = {};
+  rows[0].forEach((h, i) => {
+    const field = RESPONSE_ALIASES[normalizeHeader(h)];
+    if (field && columns[field] == null) columns[field] = i;
+  });
+  const missing = ["reference", "status"].filter((f) => columns[f] == null);
+  if (missing.length) {
+    return { format: FORMAT, lines: [], errors: [{ lineNo: 1, message: `Missing columns: ${missing.join(", ")}` }] };
+  }
+
+  const lines = [];
+  const errors = [];
+  const fail = (lineNo, message) => {
+    if (errors.length < MAX_PARSE_ERRORS) errors.push({ lineNo, message });
+  };
+  const cell = (row, field) => (columns[field] != null ? String(row[columns[field]] ?? "").trim() : "");
+
+  for (let r = 1; r < rows.length; r += 1) {
+    const row = rows[r];
+    const lineNo = r + 1;
+    const reference = cell(row, "reference").toUpperCase();
+    if (!reference) {
+      fail(lineNo, "No customer reference");
+      continue;
+    }
+    const rawStatus = cell(row, "status").toUpperCase().replace(/\s+/g, "_");
+    let status = CAD_PAYOUT_LINE_STATUS.PENDING;
+    if (PAID_STATUSES.has(rawStatus)) status = CAD_PAYOUT_LINE_STATUS.PAID;
+    else if (FAILED_STATUSES.has(rawStatus)) status = CAD_PAYOUT_LINE_STATUS.FAILED;
+    const utr = cell(row, "utr") || null;
+    if (status === CAD_PAYOUT_LINE_STATUS.PAID && !utr) {
+      fail(lineNo, `${reference}: paid without a UTR`);
+      continue;
+    }
+    const rawAmount = cell(row, "amount");
+    const amountPaise = rawAmount ? rupeesToPaise(rawAmount) : null;
+    if (Number.isNaN(amountPaise)) {
+      fail(lineNo, `${reference}: unreadable amount`);
+      continue;
+    }
+    lines.push({
+      lineNo,
+      reference,
+      status,
+      utr,
+      amountPaise,
+      reason: cell(row, "reason").slice(0, 300) || null,
+    });
+  }
+  return { format: FORMAT, lines, errors };
+}
+
+module.exports = {
+  FORMAT,
+  UPLOAD_HEADER,
+  buildBankUploadCsv,
+  parseBankResponse,
+  netOf,
+};
@@ -0,0 +1,410 @@
+/**
+ * CAD payout details (bank / UPI) change workflow. The CAD user requests a change and confirms it with an
+ * OTP sent to their login phone; an admin approves it; after a cooling-off period
+ * (CAD_PAYOUT_DETAILS_COOLING_OFF_HOURS) the scheduled activation copies the new details onto the User,
+ * which is what payout runs read. Each step is notified in-app and by SMS to the phones on the profile when
+ * the change was requested and now, so a hijacked profile cannot silence the real owner.
+ */
+
+const crypto = require("crypto");
+const CadPayoutDetailsChange = require("../models/cad/CadPayoutDetailsChange");
+const { CAD_PAYOUT_DETAILS_CHANGE_STATUS: STATUS } = CadPayoutDetailsChange;
+const User = require("../models/user/User");
+const { USER_ROLES } = require("../config/constants");
+const otpService = require("./otp.service");
+const notificationService = require("./notification.service");
+const { recordAdminAction } = require("./adminAudit.service");
+const sms = require("../utils/sms");
+const { BadRequestError, ConflictError, NotFoundError, DatabaseError } = require("../utils/errors");
+const { displayName } = require("../utils/userDisplay");
+const { rolesEqual } = require("../utils/roleNormalize");
+const logger = require("../utils/logger");
+
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const OPEN_STATUSES = [STATUS.PENDING_OTP, STATUS.PENDING_APPROVAL, STATUS.COOLING_OFF];
+const NOTIFICATION_TYPE = "CAD_PAYOUT_DETAILS_CHANGE";
+
+function getCoolingOffHours() {
+  const n = parseInt(process.env.CAD_PAYOUT_DETAILS_COOLING_OFF_HOURS || "48", 10);
+  if (!Number.isFinite(n)) return 48;
+  return Math.min(720, Math.max(0, n));
+}
+
+const hashOtp = (changeId, code) =>
+  crypto.createHash("sha256").update(`${changeId}:${String(code).trim()}`).digest("hex");
+
+function maskAccount(n) {
+  const s = String(n || "");
+  return s.length > 4 ? `XXXX${s.slice(-4)}` : s;
+}
+
+function maskUpi(id) {
+  const [local, host] = String(id || "").split("@");
+  if (!host) return maskAccount(local);
+  return `${local.slice(0, 2)}***@${host}`;
+}
+
+/** "bank account XXXX1234 and UPI ra***@okaxis" — what the change sets, safe for SMS. */
+function describeChange(change) {
+  const parts = [];
+  if (change.bankDetails) parts.push(`bank account ${maskAccount(change.bankDetails.accountNumber)}`);
+  if (change.upiDetails) {
+    parts.push(change.upiDetails.upiId ? `UPI ${maskUpi(change.upiDetails.upiId)}` : "removal of UPI id");
+  }
+  return parts.join(" and ");
+}
+
+function profilePhones(user) {
+  return [user?.auth?.phone, user?.personalDetails?.phone]
+    .map((p) => sms.normalizeIndianMobile(p))
+    .filter(Boolean);
+}
+
+function present(change) {
+  const user = change.cadUser && typeof change.cadUser === "object" && change.cadUser.name !== undefined ? change.cadUser : null;
+  return {
+    id: String(change._id),
+    cadUserId: String(user ? user._id : change.cadUser),
+    cadUserName: displayName(user),
+    status: change.status,
+    bankDetails: change.bankDetails || null,
+    upiDetails: change.upiDetails || null,
+    previous: change.previous || { bankDetails: null, upiDetails: null },
+    otp: {
+      expiresAt: change.otp?.expiresAt || null,
+      attempts: change.otp?.attempts || 0,
+      verifiedAt: change.otp?.verifiedAt || null,
+    },
+    review: change.review || null,
+    coolingOffHours: change.coolingOffHours ?? null,
+    effectiveAt: change.effectiveAt || null,
+    activatedAt: change.activatedAt || null,
+    cancelledAt: change.cancelledAt || null,
+    cancelReason: change.cancelReason || null,
+    createdAt: change.createdAt || null,
+    updatedAt: change.updatedAt || null,
+  };
+}
+
+const MESSAGES = {
+  REQUESTED: (c) => `A change of your payout details to ${describeChange(c)} was requested. Not you? Contact support now.`,
+  VERIFIED: (c) => `Your payout details change to ${describeChange(c)} is confirmed and awaits admin approval.`,
+  APPROVED: (c) =>
+    `Your payout details change to ${describeChange(c)} was approved; payouts switch on ${c.effectiveAt.toISOString().slice(0, 10)}.`,
+  ACTIVE: (c) => `Payouts now go to ${describeChange(c)}.`,
+  REJECTED: (c) => `Your payout details change to ${describeChange(c)} was rejected. Payouts continue to your old details.`,
+  CANCELLED: (c) => `Your payout details change to ${describeChange(c)} was cancelled. Payouts continue to your old details.`,
+};
+
+/** In-app notification plus SMS to old and current profile phones; never fails the workflow step. */
+async function notifyChange(change, event) {
+  const message = MESSAGES[event](change);
+  try {
+    await notificationService.create({
+      type: NOTIFICATION_TYPE,
+      title: "Payout details change",
+      message,
+      entityType: "CadPayoutDetailsChange",
+      entityId: change._id,
+      data: { event, status: change.status },
+      targetUsers: [change.cadUser],
+    });
+    const user = await User.findById(change.cadUser).select("auth.phone personalDetails.phone").lean();
+    const phones = new Set([...(change.contacts || []), ...profilePhones(user)]);
+    for (const phone of phones) await sms.sendAlertSms(phone, message);
+  } catch (err) {
+    logger.error("cadPayoutDetailsChange notify failed", err, { changeId: String(change._id), event });
+  }
+}
+
+/** New OTP on the change, sent to the CAD user's login phone. */
+async function issueOtp(change, phone) {
+  const code = otpService.generateOtp();
+  const now = new Date();
+  change.otp = {
+    codeHash: hashOtp(change._id, code),
+    expiresAt: new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000),
+    sentAt: now,
+    attempts: 0,
+    verifiedAt: null,
+  };
+  await change.save();
+  if (otpService.isOtpTestModeEnabled()) {
+    logger.info("Payout details OTP issued (test mode – SMS skipped)", { changeId: String(change._id) });
+    return;
+  }
+  if (!(await sms.sendOtpSms(phone, code))) {
+    throw new DatabaseError("Failed to send OTP via SMS", { code: "SMS_SEND_FAILED" });
+  }
+}
+
+async function loadCadUser(cadUserId) {
+  const user = await User.findById(cadUserId)
+    .select("role auth.phone personalDetails.phone bankDetails upiDetails")
+    .lean();
+  if (!user) throw new NotFoundError("User not found");
+  return user;
+}
+
+async function loadChange(changeId, { cadUserId, withOtp = false } = {}) {
+  const q = CadPayoutDetailsChange.findById(changeId);
+  const change = await (withOtp ? q.select("+otp.codeHash") : q);
+  if (!change || (cadUserId && String(change.cadUser) !== String(cadUserId))) {
+    throw new NotFoundError("Payout details change not found", { code: "CAD_PAYOUT_DETAILS_CHANGE_NOT_FOUND" });
+  }
+  return change;
+}
+
+function assertStatus(change, allowed) {
+  if (!allowed.includes(change.status)) {
+    throw new ConflictError(`Payout details change is ${change.status}`, {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+    });
+  }
+}
+
+/**
+ * Move a change on only while it is still in one of `from` (and matches `filter`), as `activate` does, so
+ * concurrent requests and the scheduled activation cannot both win. Conflict when another one got there first.
+ */
+async function transition(changeId, from, $set, filter = {}) {
+  const claimed = await CadPayoutDetailsChange.findOneAndUpdate(
+    { ...filter, _id: changeId, status: { $in: from } },
+    { $set },
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    assertStatus(await loadChange(changeId), from);
+    throw new ConflictError("Payout details change was updated meanwhile; retry", {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+    });
+  }
+  return claimed;
+}
+
+/**
+ * CAD user: start a change. Sections given replace the stored ones whole once the change is active.
+ * @param {{ _id: unknown }} actor - the CAD user
+ * @param {{ bankDetails?: object, upiDetails?: { upiId: string|null } }} payload - validated (schemas.cadPayoutDetailsChangeCreate)
+ */
+async function requestChange(actor, { bankDetails, upiDetails }) {
+  const user = await loadCadUser(actor._id);
+  if (!rolesEqual(user.role, USER_ROLES.CAD)) {
+    throw new BadRequestError("Payout details apply to CAD users only");
+  }
+  if (!user.auth?.phone) {
+    throw new BadRequestError("A login phone is required to confirm payout details changes", {
+      code: "CAD_PAYOUT_DETAILS_PHONE_REQUIRED",
+    });
+  }
+  const open = await CadPayoutDetailsChange.findOne({ cadUser: user._id, status: { $in: OPEN_STATUSES } })
+    .select("status")
+    .lean();
+  if (open) {
+    throw new ConflictError(`A payout details change is already ${open.status}; cancel it first`, {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_OPEN",
+    });
+  }
+
+  const change = new CadPayoutDetailsChange({
+    cadUser: user._id,
+    bankDetails: bankDetails || null,
+    upiDetails: upiDetails || null,
+    previous: { bankDetails: user.bankDetails || null, upiDetails: user.upiDetails || null },
+    contacts: profilePhones(user),
+  });
+  await issueOtp(change, user.auth.phone);
+  await notifyChange(change, "REQUESTED");
+  return present(change.toObject());
+}
+
+async function resendOtp(actor, changeId) {
+  const change = await loadChange(changeId, { cadUserId: actor._id });
+  assertStatus(change, [STATUS.PENDING_OTP]);
+  if (change.otp?.sentAt && Date.now() - change.otp.sentAt.getTime() < OTP_RESEND_INTERVAL_MS) {
+    throw new BadRequestError("Wait a minute before requesting another OTP", {
+      code: "CAD_PAYOUT_DETAILS_OTP_RESEND_TOO_SOON",
+    });
+  }
+  const user = await loadCadUser(actor._id);
+  await issueOtp(change, user.auth?.phone);
+  return present(change.toObject());
+}
+
+/** CAD user: confirm with the OTP. Too many wrong codes cancel the change. */
+async function verifyOtp(actor, changeId, { otp }) {
+  const change = await loadChange(changeId, { cadUserId: actor._id, withOtp: true });
+  assertStatus(change, [STATUS.PENDING_OTP]);
+  if (!change.otp?.codeHash || !change.otp.expiresAt || change.otp.expiresAt < new Date()) {
+    throw new BadRequestError("OTP expired; request a new one", { code: "CAD_PAYOUT_DETAILS_OTP_EXPIRED" });
+  }
+  const expected = Buffer.from(change.otp.codeHash, "hex");
+  const given = Buffer.from(hashOtp(change._id, otp), "hex");
+  if (!crypto.timingSafeEqual(expected, given)) {
+    // Counted atomically: parallel wrong guesses cannot share one attempt or go past the limit.
+    const counted = await CadPayoutDetailsChange.findOneAndUpdate(
+      { _id: change._id, status: STATUS.PENDING_OTP, "otp.attempts": { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { "otp.attempts": 1 } },
+      { new: true }
+    ).lean();
+    if (!counted) {
+      throw new ConflictError("Payout details change is no longer awaiting an OTP", {
+        code: "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+      });
+    }
+    const attempts = counted.otp.attempts;
+    const lockedOut = attempts >= OTP_MAX_ATTEMPTS;
+    let cancelled = null;
+    if (lockedOut) {
+      cancelled = await transition(change._id, [STATUS.PENDING_OTP], {
+        status: STATUS.CANCELLED,
+        cancelledAt: new Date(),
+        cancelReason: "Too many wrong OTP attempts",
+        "otp.codeHash": null,
+      });
+    }
+    await recordAdminAction({
+      action: lockedOut ? "CAD_PAYOUT_DETAILS_OTP_LOCKOUT" : "CAD_PAYOUT_DETAILS_OTP_FAILED",
+      actor: { _id: actor._id, role: USER_ROLES.CAD },
+      targetType: "CadPayoutDetailsChange",
+      targetId: String(change._id),
+      success: false,
+      code: "CAD_PAYOUT_DETAILS_OTP_INVALID",
+      meta: { attempts },
+    });
+    if (cancelled) await notifyChange(cancelled, "CANCELLED");
+    throw new BadRequestError(lockedOut ? "Too many wrong OTP attempts; the change was cancelled" : "Invalid OTP", {
+      code: "CAD_PAYOUT_DETAILS_OTP_INVALID",
+      errors: [{ field: "otp", message: `${Math.max(0, OTP_MAX_ATTEMPTS - attempts)} attempts left` }],
+    });
+  }
+  // Only the code just checked: a resend in between issues a new one, and a lockout in between wins.
+  const verified = await transition(
+    change._id,
+    [STATUS.PENDING_OTP],
+    { status: STATUS.PENDING_APPROVAL, "otp.codeHash": null, "otp.verifiedAt": new Date() },
+    { "otp.codeHash": change.otp.codeHash, "otp.attempts": { $lt: OTP_MAX_ATTEMPTS } }
+  );
+  await notifyChange(verified, "VERIFIED");
+  return present(verified);
+}
+
+/** CAD user: withdraw a change that is not active yet. */
+async function cancelChange(actor, changeId, { reason } = {}) {
+  const change = await loadChange(changeId, { cadUserId: actor._id });
+  assertStatus(change, OPEN_STATUSES);
+  const cancelled = await transition(change._id, OPEN_STATUSES, {
+    status: STATUS.CANCELLED,
+    cancelledAt: new Date(),
+    cancelledBy: actor._id,
+    cancelReason: reason || null,
+  });
+  await notifyChange(cancelled, "CANCELLED");
+  return present(cancelled);
+}
+
+async function listChanges({ cadUserId, status, page = 1, limit = 20 } = {}) {
+  const size = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const p = Math.max(Number(page) || 1, 1);
+  const query = {};
+  if (cadUserId) query.cadUser = cadUserId;
+  if (status) query.status = String(status).toUpperCase();
+  const [rows, total] = await Promise.all([
+    CadPayoutDetailsChange.find(query)
+      .populate("cadUser", "name")
+      .sort({ createdAt: -1 })
+      .skip((p - 1) * size)
+      .limit(size)
+      .lean(),
+    CadPayoutDetailsChange.countDocuments(query),
+  ]);
+  return { data: rows.map(present), page: p, limit: size, total };
+}
+
+async function getChange(changeId) {
+  const change = await CadPayoutDetailsChange.findById(changeId).populate("cadUser", "name").lean();
+  if (!change) {
+    throw new NotFoundError("Payout details change not found", { code: "CAD_PAYOUT_DETAILS_CHANGE_NOT_FOUND" });
+  }
+  return present(change);
+}
+
+/** Copy an approved change onto the User once; false when another worker got there first. */
+async function activate(change, now) {
+  const claimed = await CadPayoutDetailsChange.findOneAndUpdate(
+    { _id: change._id, status: STATUS.COOLING_OFF },
+    { $set: { status: STATUS.ACTIVE, activatedAt: now } },
+    { new: true }
+  ).lean();
+  if (!claimed) return false;
+  const $set = {};
+  if (claimed.bankDetails) $set.bankDetails = claimed.bankDetails;
+  if (claimed.upiDetails) $set.upiDetails = claimed.upiDetails;
+  await User.updateOne({ _id: claimed.cadUser }, { $set });
+  await recordAdminAction({
+    action: "CAD_PAYOUT_DETAILS_CHANGE_ACTIVATE",
+    targetType: "CadPayoutDetailsChange",
+    targetId: String(claimed._id),
+    success: true,
+    meta: { cadUserId: String(claimed.cadUser), sections: Object.keys($set) },
+  });
+  await notifyChange(claimed, "ACTIVE");
+  return true;
+}
+
+/** Admin: approve a confirmed change; it takes effect after the cooling-off period. */
+async function approveChange(actor, changeId, { note } = {}) {
+  const change = await loadChange(changeId);
+  assertStatus(change, [STATUS.PENDING_APPROVAL]);
+  const now = new Date();
+  const hours = getCoolingOffHours();
+  const approved = await transition(change._id, [STATUS.PENDING_APPROVAL], {
+    status: STATUS.COOLING_OFF,
+    review: { by: actor._id, at: now, note: note || null },
+    coolingOffHours: hours,
+    effectiveAt: new Date(now.getTime() + hours * 3600 * 1000),
+  });
+  await notifyChange(approved, "APPROVED");
+  if (hours === 0) await activate(approved, now);
+  return getChange(change._id);
+}
+
+/** Admin: turn a change down before it becomes active (also during cooling-off). */
+async function rejectChange(actor, changeId, { reason }) {
+  const change = await loadChange(changeId);
+  assertStatus(change, [STATUS.PENDING_APPROVAL, STATUS.COOLING_OFF]);
+  const rejected = await transition(change._id, [STATUS.PENDING_APPROVAL, STATUS.COOLING_OFF], {
+    status: STATUS.REJECTED,
+    review: { by: actor._id, at: new Date(), note: reason },
+  });
+  await notifyChange(rejected, "REJECTED");
+  return getChange(change._id);
+}
+
+/** Scheduled (and before a payout run is built): activate changes whose cooling-off has ended. */
+async function activateDueChanges(now = new Date()) {
+  const due = await CadPayoutDetailsChange.find({ status: STATUS.COOLING_OFF, effectiveAt: { $lte: now } })
+    .select("_id")
+    .limit(200)
+    .lean();
+  let activated = 0;
+  for (const change of due) {
+    if (await activate(change, now)) activated += 1;
+  }
+  return { due: due.length, activated };
+}
+
+module.exports = {
+  getCoolingOffHours,
+  requestChange,
+  resendOtp,
+  verifyOtp,
+  cancelChange,
+  listChanges,
+  getChange,
+  approveChange,
+  rejectChange,
+  activateDueChanges,
+};
@@ -6,10 +6,22 @@
  *   CAD operator payout = FIXED ₹400 (not 20% → ₹100)
  *
  * Percent fallback is removed. Missing/invalid required config fails closed.
+ *
+ * Refund clawback (versioned alongside the payout rule): a refund of money that paid for a delivery
+ * already credited to a CAD operator claws back the same share of that credit, never more than credited.
+ * The default is V0 (no clawback). V1 (proportional) is not yet signed off by finance; it only applies
+ * when CAD_CLAWBACK_RULE_VERSION selects it.
+ *
+ * Performance incentives (versioned separately): the initial delivery credit gets a bonus for meeting the SLA
+ * and for a high average rating, and a deduction for a breached SLA or rework beyond the free revisions.
+ * Each adjustment is frozen on the ledger entry as its own line item; deductions never take the credit below zero.
+ * The default is V0 (no incentives). V1 holds proposed amounts that finance has not approved; it only applies
+ * when CAD_INCENTIVE_RULE_VERSION selects it.
  */
 
 const { BadRequestError } = require("../utils/errors");
 const { CAD_WALLET_ENTRY_KIND } = require("../config/constants");
+const { SLA_STATE } = require("./slaDue.service");
 
 /** Immutable approved baseline — do not change without finance + new rule version. */
 const APPROVED_CAD_PAYOUT_RULE = Object.freeze({
@@ -28,6 +40,77 @@ const APPROVED_CAD_PAYOUT_RULE = Object.freeze({
   publicCopy: "CAD operator payout = fixed ₹400 on the standard ₹500 order (booking ₹100 + balance ₹400).",
 });
 
+/**
+ * Clawback rules by version — never edit one in place once approved; record reviewDate / approvedBy only
+ * when finance signs a version off.
+ */
+const CAD_CLAWBACK_RULES = Object.freeze({
+  CAD_CLAWBACK_V0_NONE: Object.freeze({
+    version: "CAD_CLAWBACK_V0_NONE",
+    model: "NONE",
+    reviewDate: null,
+    approvedBy: null,
+    publicCopy: "A refund after delivery does not change the CAD operator payout.",
+  }),
+  CAD_CLAWBACK_V1_PROPORTIONAL: Object.freeze({
+    version: "CAD_CLAWBACK_V1_PROPORTIONAL",
+    model: "PROPORTIONAL",
+    /** Proposed rule, pending finance approval. */
+    reviewDate: null,
+    approvedBy: null,
+    publicCopy:
+      "A refund after delivery reduces the CAD operator payout by the refunded share of what the surveyor paid for that delivery, never below zero.",
+  }),
+});
+
+const DEFAULT_CAD_CLAWBACK_RULE_VERSION = "CAD_CLAWBACK_V0_NONE";
+
+/**
+ * Incentive rules by version — never edit one in place once approved; record reviewDate / approvedBy only
+ * when finance signs a version off.
+ */
+const CAD_INCENTIVE_RULES = Object.freeze({
+  CAD_INCENTIVE_V0_NONE: Object.freeze({
+    version: "CAD_INCENTIVE_V0_NONE",
+    reviewDate: null,
+    approvedBy: null,
+    onTimeBonusPaise: 0,
+    highRatingMin: 5,
+    highRatingBonusPaise: 0,
+    slaBreachPenaltyPaise: 0,
+    freeRevisions: 0,
+    excessRevisionPenaltyPaise: 0,
+    publicCopy: "No performance bonus or deduction: every delivery earns the fixed payout.",
+  }),
+  CAD_INCENTIVE_V1_PERFORMANCE: Object.freeze({
+    version: "CAD_INCENTIVE_V1_PERFORMANCE",
+    /** Proposed amounts, pending finance approval. */
+    reviewDate: null,
+    approvedBy: null,
+    /** Delivered by the SLA due time (slaState MET). */
+    onTimeBonusPaise: 4000,
+    /** Average surveyor rating (cadProfile.rating) at booking, 1–5. */
+    highRatingMin: 4.5,
+    highRatingBonusPaise: 2000,
+    /** Delivered after the SLA due time (slaState BREACHED). */
+    slaBreachPenaltyPaise: 6000,
+    /** Rework rounds (failed QC + surveyor revision requests) allowed before each extra one is deducted. */
+    freeRevisions: 2,
+    excessRevisionPenaltyPaise: 2000,
+    publicCopy:
+      "Initial delivery: +₹40 when delivered within the SLA, +₹20 with an average rating of 4.5 or more; −₹60 when the SLA is breached and −₹20 for each rework round beyond two. Deductions never take a delivery below ₹0.",
+  }),
+});
+
+const DEFAULT_CAD_INCENTIVE_RULE_VERSION = "CAD_INCENTIVE_V0_NONE";
+
+const CAD_INCENTIVE_CODE = Object.freeze({
+  ON_TIME_BONUS: "ON_TIME_BONUS",
+  HIGH_RATING_BONUS: "HIGH_RATING_BONUS",
+  SLA_BREACH_PENALTY: "SLA_BREACH_PENALTY",
+  EXCESS_REVISION_PENALTY: "EXCESS_REVISION_PENALTY",
+});
+
 function parseRequiredNonNegInt(name, fallback) {
   const raw = process.env[name];
   if (raw === undefined || raw === null || String(raw).trim() === "") {
@@ -181,6 +264,149 @@ function computeCadPayoutSettlement({ kind, sourcePaidPaise = 0 } = {}) {
   return { amountPaise, breakdown, rule };
 }
 
+/** Active clawback rule; CAD_CLAWBACK_RULE_VERSION picks a published version and fails closed on unknown ones. */
+function getActiveCadClawbackRule() {
+  const version =
+    (process.env.CAD_CLAWBACK_RULE_VERSION && String(process.env.CAD_CLAWBACK_RULE_VERSION).trim()) ||
+    DEFAULT_CAD_CLAWBACK_RULE_VERSION;
+  const rule = CAD_CLAWBACK_RULES[version];
+  if (!rule) {
+    throw new BadRequestError(`Unknown CAD_CLAWBACK_RULE_VERSION: ${version}`, {
+      code: "CAD_CLAWBACK_CONFIG_INVALID",
+      errors: [{ field: "CAD_CLAWBACK_RULE_VERSION", message: `One of ${Object.keys(CAD_CLAWBACK_RULES).join(", ")}` }],
+    });
+  }
+  return rule;
+}
+
+/**
+ * Clawback for one credited wallet entry when `refundedPaise` of its source payment is refunded.
+ * Basis is what the surveyor paid for the delivery (initial: booking + balance; revision: that fee).
+ * @param {{ creditedPaise: number, basisPaise: number, refundedPaise: number, alreadyClawedBackPaise?: number }} input
+ * @returns {{ amountPaise: number, breakdown: object }} amountPaise is the positive size of the clawback
+ */
+function computeCadRefundClawback({ creditedPaise, basisPaise, refundedPaise, alreadyClawedBackPaise = 0 } = {}) {
+  const rule = getActiveCadClawbackRule();
+  const credited = Math.max(0, Math.round(Number(creditedPaise) || 0));
+  const basis = Math.max(0, Math.round(Number(basisPaise) || 0));
+  const refunded = Math.max(0, Math.round(Number(refundedPaise) || 0));
+  const proportionalRule = rule.model === "PROPORTIONAL";
+  if (proportionalRule && credited > 0 && refunded > 0 && basis <= 0) {
+    throw new BadRequestError("Cannot compute CAD clawback: paid amount for the delivery is unknown", {
+      code: "CAD_CLAWBACK_BASIS_UNKNOWN",
+    });
+  }
+  const open = Math.max(0, credited - Math.max(0, Math.round(Number(alreadyClawedBackPaise) || 0)));
+  const proportional =
+    proportionalRule && basis > 0 ? Math.round((credited * Math.min(refunded, basis)) / basis) : 0;
+  const amountPaise = Math.min(open, proportional);
+  return {
+    amountPaise,
+    breakdown: {
+      clawbackRuleVersion: rule.version,
+      clawbackModel: rule.model,
+      creditedPaise: credited,
+      clawbackBasisPaise: basis,
+      refundedPaise: refunded,
+    },
+  };
+}
+
+/** Active incentive rule; CAD_INCENTIVE_RULE_VERSION picks a published version and fails closed on unknown ones. */
+function getApprovedCadIncentiveRule() {
+  const version =
+    (process.env.CAD_INCENTIVE_RULE_VERSION && String(process.env.CAD_INCENTIVE_RULE_VERSION).trim()) ||
+    DEFAULT_CAD_INCENTIVE_RULE_VERSION;
+  const rule = CAD_INCENTIVE_RULES[version];
+  if (!rule) {
+    throw new BadRequestError(`Unknown CAD_INCENTIVE_RULE_VERSION: ${version}`, {
+      code: "CAD_INCENTIVE_CONFIG_INVALID",
+      errors: [{ field: "CAD_INCENTIVE_RULE_VERSION", message: `One of ${Object.keys(CAD_INCENTIVE_RULES).join(", ")}` }],
+    });
+  }
+  return rule;
+}
+
+/**
+ * Bonus / deduction line items for one delivery credit of `basePaise`. Only the initial delivery carries
+ * incentives; revisions are paid (or not) by their own fixed rule.
+ * @param {{ kind: string, basePaise: number, slaState?: string|null, rating?: number|null, revisionCount?: number }} input
+ * @returns {{ amountPaise: number, incentivePaise: number, lineItems: Array<{ code, label, amountPaise }>, breakdown: object }}
+ *   amountPaise is the credit after incentives (never negative)
+ */
+function computeCadIncentives({ kind, basePaise, slaState = null, rating = null, revisionCount = 0 } = {}) {
+  const rule = getApprovedCadIncentiveRule();
+  const base = Math.max(0, Math.round(Number(basePaise) || 0));
+  const revisions = Math.max(0, Math.round(Number(revisionCount) || 0));
+  const avgRating = Number(rating) > 0 ? Number(rating) : null;
+
+  const lineItems = [];
+  if (kind === CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY && base > 0) {
+    if (slaState === SLA_STATE.MET && rule.onTimeBonusPaise > 0) {
+      lineItems.push({
+        code: CAD_INCENTIVE_CODE.ON_TIME_BONUS,
+        label: "Delivered within SLA",
+        amountPaise: rule.onTimeBonusPaise,
+      });
+    }
+    if (avgRating != null && avgRating >= rule.highRatingMin && rule.highRatingBonusPaise > 0) {
+      lineItems.push({
+        code: CAD_INCENTIVE_CODE.HIGH_RATING_BONUS,
+        label: `Average rating ${avgRating} (≥ ${rule.highRatingMin})`,
+        amountPaise: rule.highRatingBonusPaise,
+      });
+    }
+    if (slaState === SLA_STATE.BREACHED && rule.slaBreachPenaltyPaise > 0) {
+      lineItems.push({
+        code: CAD_INCENTIVE_CODE.SLA_BREACH_PENALTY,
+        label: "SLA breached",
+        amountPaise: -rule.slaBreachPenaltyPaise,
+      });
+    }
+    const excess = revisions - rule.freeRevisions;
+    if (excess > 0 && rule.excessRevisionPenaltyPaise > 0) {
+      lineItems.push({
+        code: CAD_INCENTIVE_CODE.EXCESS_REVISION_PENALTY,
+        label: `${excess} rework round${excess === 1 ? "" : "s"} beyond ${rule.freeRevisions}`,
+        amountPaise: -excess * rule.excessRevisionPenaltyPaise,
+      });
+    }
+  }
+
+  // Deductions are capped so the credit stays >= 0; the capped amount is what the line item shows.
+  let running = base + lineItems.filter((l) => l.amountPaise > 0).reduce((sum, l) => sum + l.amountPaise, 0);
+  for (const line of lineItems) {
+    if (line.amountPaise >= 0) continue;
+    line.amountPaise = -Math.min(running, -line.amountPaise);
+    running += line.amountPaise;
+  }
+  const capped = lineItems.filter((l) => l.amountPaise !== 0);
+  const incentivePaise = capped.reduce((sum, l) => sum + l.amountPaise, 0);
+
+  return {
+    amountPaise: base + incentivePaise,
+    incentivePaise,
+    lineItems: capped,
+    breakdown: {
+      incentiveRuleVersion: rule.version,
+      slaState: slaState || null,
+      rating: avgRating,
+      revisionCount: revisions,
+    },
+  };
+}
+
+/** What the surveyor paid toward the delivery a wallet entry of `kind` credits (clawback basis). */
+function resolveClawbackBasisPaise(upload, kind, revisionNo) {
+  if (!upload) return 0;
+  if (kind === CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY) {
+    return resolveRevisionSourcePaidPaise(upload, revisionNo);
+  }
+  const bp = upload.balancePayment || {};
+  const balancePaid = Number(bp.paidAmountPaise) > 0 ? Math.round(Number(bp.paidAmountPaise)) : 0;
+  return resolveInitialDeliverySourcePaidPaise(upload) + balancePaid;
+}
+
 /** @deprecated H-11 — percent payout removed. Kept for API shape compat (always null). */
 function getCadPayoutPercent() {
   return null;
@@ -234,9 +460,17 @@ function resolveSourcePaidPaiseForLedgerKind(upload, kind, revisionNo) {
 
 module.exports = {
   APPROVED_CAD_PAYOUT_RULE,
+  CAD_CLAWBACK_RULES,
+  CAD_INCENTIVE_RULES,
+  CAD_INCENTIVE_CODE,
   getApprovedCadPayoutRule,
   assertCadPayoutRuleReady,
   computeCadPayoutSettlement,
+  getActiveCadClawbackRule,
+  computeCadRefundClawback,
+  getApprovedCadIncentiveRule,
+  computeCadIncentives,
+  resolveClawbackBasisPaise,
   getCadPayoutPercent,
   computeCadPayoutPaiseFromSourcePaid,
   resolveInitialDeliverySourcePaidPaise,
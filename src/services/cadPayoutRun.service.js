@@ -0,0 +1,493 @@
+/**
+ * Weekly batch CAD payouts. A run locks every unpaid (PENDING / part-paid) wallet credit up to a cutoff,
+ * nets clawbacks per CAD user and builds one bank line per user from their bank or UPI details. Finance
+ * downloads the NEFT bulk file, uploads it to the bank and marks the run SUBMITTED, then imports the
+ * bank's response file: PAID lines record the tranche (with UTR) on each entry, FAILED lines release
+ * their entries for the next run. Only one run may be open (DRAFT / SUBMITTED) at a time.
+ */
+
+const crypto = require("crypto");
+const CadPayoutRun = require("../models/cad/CadPayoutRun");
+const {
+  CAD_PAYOUT_RUN_STATUS,
+  CAD_PAYOUT_LINE_STATUS,
+  CAD_PAYOUT_MODE,
+  CAD_PAYOUT_SKIP_REASON,
+} = require("../models/cad/CadPayoutRun");
+const CadWalletLedger = require("../models/cad/CadWalletLedger");
+const User = require("../models/user/User");
+const { CAD_WALLET_ENTRY_STATUS, CAD_WALLET_ENTRY_KIND } = require("../config/constants");
+const cadWallet = require("./cadWallet.service");
+const cadTds = require("./cadTds.service");
+const cadTdsSettings = require("./config/cadTdsSettings.service");
+const cadPayoutDetailsChange = require("./cadPayoutDetailsChange.service");
+const { buildBankUploadCsv, parseBankResponse, netOf, FORMAT } = require("./cadPayoutBankFile.service");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/errors");
+const { displayName } = require("../utils/userDisplay");
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = [CAD_PAYOUT_RUN_STATUS.DRAFT, CAD_PAYOUT_RUN_STATUS.SUBMITTED];
+
+/** Start of the IST calendar day containing `at`. */
+function istDayStart(at = new Date()) {
+  const t = new Date(at).getTime() + IST_OFFSET_MS;
+  return new Date(t - (t % DAY_MS) - IST_OFFSET_MS);
+}
+
+async function nextRunNo(now) {
+  const prefix = `CP${new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(2, 10).replace(/-/g, "")}`;
+  const count = await CadPayoutRun.countDocuments({ runNo: { $regex: `^${prefix}` } });
+  return `${prefix}${String(count + 1).padStart(2, "0")}`;
+}
+
+/** Bank account wins over UPI; null when the CAD user has neither. */
+function beneficiaryFor(user) {
+  const bank = user?.bankDetails || {};
+  if (bank.accountNumber && bank.ifscCode) {
+    return {
+      mode: CAD_PAYOUT_MODE.NEFT,
+      beneficiary: {
+        name: bank.accountHolderName || displayName(user),
+        accountNumber: bank.accountNumber,
+        ifscCode: String(bank.ifscCode).toUpperCase(),
+        bankName: bank.bankName || null,
+        upiId: null,
+      },
+    };
+  }
+  if (user?.upiDetails?.upiId) {
+    return {
+      mode: CAD_PAYOUT_MODE.UPI,
+      beneficiary: {
+        name: displayName(user),
+        accountNumber: null,
+        ifscCode: null,
+        bankName: null,
+        upiId: user.upiDetails.upiId,
+      },
+    };
+  }
+  return null;
+}
+
+const remainingOf = (row) => Math.max(0, (Number(row.amountPaise) || 0) - cadWallet.effectivePaidPaise(row));
+
+function presentLine(line) {
+  const user = line.cadUser && typeof line.cadUser === "object" && line.cadUser.name !== undefined ? line.cadUser : null;
+  return {
+    lineNo: line.lineNo,
+    reference: line.reference,
+    cadUserId: String(user ? user._id : line.cadUser),
+    cadUserName: displayName(user) || line.beneficiary?.name || null,
+    mode: line.mode,
+    beneficiary: line.beneficiary,
+    amountPaise: line.amountPaise,
+    amountRupees: line.amountPaise / 100,
+    tds: line.tds?.section ? line.tds : null,
+    tdsPaise: line.tdsPaise || 0,
+    netPaise: netOf(line),
+    netRupees: netOf(line) / 100,
+    entryCount: (line.entries || []).length,
+    entries: (line.entries || []).map((e) => ({
+      entryId: String(e.entry),
+      amountPaise: e.amountPaise,
+      tdsPaise: e.tdsPaise || 0,
+    })),
+    status: line.status,
+    utr: line.utr || null,
+    failureReason: line.failureReason || null,
+    settledAt: line.settledAt || null,
+  };
+}
+
+function presentRun(run, { withLines = false } = {}) {
+  const out = {
+    id: String(run._id),
+    runNo: run.runNo,
+    status: run.status,
+    cutoff: run.cutoff,
+    totals: {
+      lineCount: run.totals?.lineCount || 0,
+      amountPaise: run.totals?.amountPaise || 0,
+      tdsPaise: run.totals?.tdsPaise || 0,
+      netPaise: run.totals?.netPaise ?? run.totals?.amountPaise ?? 0,
+      paidPaise: run.totals?.paidPaise || 0,
+      failedPaise: run.totals?.failedPaise || 0,
+      amountRupees: (run.totals?.amountPaise || 0) / 100,
+      paidRupees: (run.totals?.paidPaise || 0) / 100,
+      failedRupees: (run.totals?.failedPaise || 0) / 100,
+    },
+    skippedCount: (run.skipped || []).length,
+    responseFiles: run.responseFiles || [],
+    createdBy: run.createdBy || null,
+    createdAt: run.createdAt || null,
+    submittedAt: run.submittedAt || null,
+    submittedBy: run.submittedBy || null,
+    completedAt: run.completedAt || null,
+    cancelledAt: run.cancelledAt || null,
+    cancelledBy: run.cancelledBy || null,
+    cancelReason: run.cancelReason || null,
+  };
+  if (withLines) {
+    out.lines = (run.lines || []).map(presentLine);
+    out.skipped = (run.skipped || []).map((s) => ({
+      cadUserId: String(s.cadUser?._id || s.cadUser),
+      cadUserName: displayName(s.cadUser),
+      reason: s.reason,
+      netPaise: s.netPaise,
+    }));
+  }
+  return out;
+}
+
+function recomputeTotals(run) {
+  const sum = (status) =>
+    run.lines.filter((l) => l.status === status).reduce((acc, l) => acc + l.amountPaise, 0);
+  run.totals = {
+    lineCount: run.lines.length,
+    amountPaise: run.lines.reduce((acc, l) => acc + l.amountPaise, 0),
+    tdsPaise: run.lines.reduce((acc, l) => acc + (l.tdsPaise || 0), 0),
+    netPaise: run.lines.reduce((acc, l) => acc + netOf(l), 0),
+    paidPaise: sum(CAD_PAYOUT_LINE_STATUS.PAID),
+    failedPaise: sum(CAD_PAYOUT_LINE_STATUS.FAILED),
+  };
+}
+
+/**
+ * Admin (or the weekly schedule): build a DRAFT run from unpaid wallet credits created at or before
+ * `cutoff` (default now). Entries not paid by a line (no payout details, net ≤ 0) are released again.
+ * @param {{ _id?: unknown } | null} actor
+ * @param {{ cutoff?: Date }} [options]
+ */
+async function createPayoutRun(actor, { cutoff } = {}) {
+  const now = new Date();
+  const at = cutoff || now;
+  if (at > now) {
+    throw new BadRequestError("cutoff cannot be in the future", {
+      code: "CAD_PAYOUT_CUTOFF_INVALID",
+      errors: [{ field: "cutoff", message: "Future date" }],
+    });
+  }
+  const open = await CadPayoutRun.findOne({ status: { $in: OPEN_STATUSES } }).select("runNo status").lean();
+  if (open) {
+    throw new ConflictError(`Payout run ${open.runNo} is still ${open.status}; complete or cancel it first`, {
+      code: "CAD_PAYOUT_RUN_OPEN",
+    });
+  }
+
+  let run;
+  try {
+    run = await CadPayoutRun.create({ runNo: await nextRunNo(now), cutoff: at, createdBy: actor?._id || null });
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError("Another payout run was created at the same time; retry", {
+        code: "CAD_PAYOUT_RUN_OPEN",
+      });
+    }
+    throw err;
+  }
+
+  // Bank / UPI changes past their cooling-off must be on the users before beneficiaries are read.
+  await cadPayoutDetailsChange.activateDueChanges(now);
+
+  // Lock first, then read what we hold: manual payments cannot touch these entries from here on.
+  await CadWalletLedger.updateMany(
+    {
+      status: CAD_WALLET_ENTRY_STATUS.PENDING,
+      amountPaise: { $gt: 0 },
+      createdAt: { $lte: at },
+      payoutRun: null,
+    },
+    { $set: { payoutRun: run._id } }
+  );
+  const held = await CadWalletLedger.find({ payoutRun: run._id }).sort({ createdAt: 1, _id: 1 }).lean();
+  const userIds = [...new Set(held.map((r) => String(r.cadUser)))];
+  const [clawbacks, users, tdsSettings] = await Promise.all([
+    userIds.length
+      ? CadWalletLedger.find({
+          cadUser: { $in: userIds },
+          kind: CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK,
+          status: CAD_WALLET_ENTRY_STATUS.PENDING,
+          createdAt: { $lte: at },
+        })
+          .select("cadUser amountPaise paidAmountPaise status")
+          .lean()
+      : [],
+    userIds.length
+      ? User.find({ _id: { $in: userIds } }).select("name bankDetails upiDetails taxDetails").lean()
+      : [],
+    cadTdsSettings.resolveSettings(),
+  ]);
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+  const clawbackByUser = new Map();
+  for (const c of clawbacks) {
+    const k = String(c.cadUser);
+    clawbackByUser.set(k, (clawbackByUser.get(k) || 0) + (Number(c.amountPaise) || 0));
+  }
+
+  const lines = [];
+  const skipped = [];
+  const allocated = new Set();
+  for (const uid of userIds) {
+    const rows = held.filter((r) => String(r.cadUser) === uid);
+    const net = rows.reduce((acc, r) => acc + remainingOf(r), 0) + (clawbackByUser.get(uid) || 0);
+    if (net <= 0) {
+      skipped.push({ cadUser: uid, reason: CAD_PAYOUT_SKIP_REASON.NET_NOT_POSITIVE, netPaise: net });
+      continue;
+    }
+    const payee = beneficiaryFor(usersById.get(uid));
+    if (!payee) {
+      skipped.push({ cadUser: uid, reason: CAD_PAYOUT_SKIP_REASON.NO_PAYOUT_DETAILS, netPaise: net });
+      continue;
+    }
+    const tdsRule = cadTds.resolveTdsRule(usersById.get(uid), tdsSettings);
+    let left = net;
+    const entries = [];
+    for (const r of rows) {
+      if (left <= 0) break;
+      const amount = Math.min(remainingOf(r), left);
+      if (amount <= 0) continue;
+      entries.push({ entry: r._id, amountPaise: amount, tdsPaise: cadTds.tdsOn(amount, tdsRule).tdsPaise });
+      allocated.add(String(r._id));
+      left -= amount;
+    }
+    const tdsPaise = entries.reduce((acc, e) => acc + e.tdsPaise, 0);
+    const lineNo = lines.length + 1;
+    lines.push({
+      lineNo,
+      reference: `${run.runNo}L${String(lineNo).padStart(3, "0")}`,
+      cadUser: uid,
+      mode: payee.mode,
+      beneficiary: payee.beneficiary,
+      amountPaise: net,
+      tds: tdsRule || {},
+      tdsPaise,
+      netPaise: net - tdsPaise,
+      entries,
+    });
+  }
+
+  const unallocated = held.filter((r) => !allocated.has(String(r._id))).map((r) => r._id);
+  if (!lines.length) {
+    await cadWallet.releasePayoutRunEntries(run._id);
+    await CadPayoutRun.deleteOne({ _id: run._id });
+    throw new BadRequestError("Nothing to pay up to this cutoff", {
+      code: "CAD_PAYOUT_RUN_EMPTY",
+      errors: skipped.slice(0, 10).map((s) => ({ field: `cadUser ${s.cadUser}`, message: s.reason })),
+    });
+  }
+  if (unallocated.length) await cadWallet.releasePayoutRunEntries(run._id, unallocated);
+
+  run.lines = lines;
+  run.skipped = skipped;
+  recomputeTotals(run);
+  await run.save();
+  return presentRun(run.toObject(), { withLines: true });
+}
+
+/**
+ * @param {{ status?: string, page?: number, limit?: number }} [filters]
+ */
+async function listPayoutRuns({ status, page = 1, limit = 20 } = {}) {
+  const size = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const p = Math.max(Number(page) || 1, 1);
+  const query = {};
+  if (status) query.status = String(status).toUpperCase();
+  const [rows, total] = await Promise.all([
+    CadPayoutRun.find(query)
+      .select("-lines")
+      .sort({ createdAt: -1 })
+      .skip((p - 1) * size)
+      .limit(size)
+      .lean(),
+    CadPayoutRun.countDocuments(query),
+  ]);
+  return { data: rows.map((r) => presentRun(r)), page: p, limit: size, total };
+}
+
+async function loadRun(runId) {
+  const run = await CadPayoutRun.findById(runId);
+  if (!run) throw new NotFoundError("Payout run not found", { code: "CAD_PAYOUT_RUN_NOT_FOUND" });
+  return run;
+}
+
+async function getPayoutRun(runId) {
+  const run = await CadPayoutRun.findById(runId)
+    .populate("lines.cadUser", "name auth.email auth.phone")
+    .populate("skipped.cadUser", "name auth.email auth.phone")
+    .lean();
+  if (!run) throw new NotFoundError("Payout run not found", { code: "CAD_PAYOUT_RUN_NOT_FOUND" });
+  return presentRun(run, { withLines: true });
+}
+
+/** NEFT bulk-upload CSV; available until the bank's response has been applied. */
+async function exportBankFile(runId) {
+  const run = await loadRun(runId);
+  if (!OPEN_STATUSES.includes(run.status)) {
+    throw new ConflictError(`Payout run is ${run.status}`, { code: "CAD_PAYOUT_RUN_LOCKED" });
+  }
+  return {
+    fileName: `${run.runNo}-neft.csv`,
+    format: FORMAT,
+    csv: buildBankUploadCsv(run, { debitAccount: process.env.CAD_PAYOUT_DEBIT_ACCOUNT || null }),
+  };
+}
+
+async function transition(runId, from, update, lockedMessage) {
+  const run = await CadPayoutRun.findOneAndUpdate({ _id: runId, status: from }, { $set: update }, { new: true }).lean();
+  if (run) return run;
+  const existing = await CadPayoutRun.findById(runId).select("status").lean();
+  if (!existing) throw new NotFoundError("Payout run not found", { code: "CAD_PAYOUT_RUN_NOT_FOUND" });
+  throw new ConflictError(`${lockedMessage} (run is ${existing.status})`, { code: "CAD_PAYOUT_RUN_LOCKED" });
+}
+
+/** Finance has uploaded the bank file: DRAFT → SUBMITTED. */
+async function submitPayoutRun(runId, actor) {
+  const run = await transition(
+    runId,
+    CAD_PAYOUT_RUN_STATUS.DRAFT,
+    { status: CAD_PAYOUT_RUN_STATUS.SUBMITTED, submittedAt: new Date(), submittedBy: actor?._id || null },
+    "Only a DRAFT run can be submitted"
+  );
+  return presentRun(run);
+}
+
+/** Drop a DRAFT run (never sent to the bank) and release its entries. */
+async function cancelPayoutRun(runId, actor, { reason = null } = {}) {
+  const run = await transition(
+    runId,
+    CAD_PAYOUT_RUN_STATUS.DRAFT,
+    {
+      status: CAD_PAYOUT_RUN_STATUS.CANCELLED,
+      cancelledAt: new Date(),
+      cancelledBy: actor?._id || null,
+      cancelReason: reason,
+    },
+    "Only a DRAFT run can be cancelled"
+  );
+  await cadWallet.releasePayoutRunEntries(run._id);
+  return presentRun(run);
+}
+
+/**
+ * Apply the bank's response file to a SUBMITTED run. Rows the bank has not settled yet are left PENDING;
+ * the run COMPLETES once every line is PAID or FAILED. Repeating an outcome already applied is a no-op,
+ * a contradicting one is reported as a row error and not applied.
+ * @param {{ _id?: unknown } | null} actor
+ * @param {{ csv: string, fileName?: string }} input
+ */
+async function importBankResponse(runId, actor, { csv, fileName = null }) {
+  const run = await loadRun(runId);
+  if (run.status !== CAD_PAYOUT_RUN_STATUS.SUBMITTED) {
+    throw new ConflictError(`Bank responses apply to SUBMITTED runs (run is ${run.status})`, {
+      code: "CAD_PAYOUT_RUN_LOCKED",
+    });
+  }
+  const fileSha256 = crypto.createHash("sha256").update(csv).digest("hex");
+  if ((run.responseFiles || []).some((f) => f.fileSha256 === fileSha256)) {
+    throw new ConflictError("This bank response file has already been imported", {
+      code: "CAD_PAYOUT_RESPONSE_ALREADY_IMPORTED",
+    });
+  }
+  const parsed = parseBankResponse(csv);
+  if (!parsed.lines.length) {
+    throw new BadRequestError("Bank response file has no readable lines", {
+      code: "CAD_PAYOUT_RESPONSE_EMPTY",
+      errors: parsed.errors.slice(0, 10).map((e) => ({ field: `line ${e.lineNo}`, message: e.message })),
+    });
+  }
+
+  const byReference = new Map(run.lines.map((l) => [l.reference, l]));
+  const summary = { rows: parsed.lines.length, paid: 0, failed: 0, unchanged: 0, pending: 0 };
+  const errors = [...parsed.errors];
+  const now = new Date();
+  for (const row of parsed.lines) {
+    const line = byReference.get(row.reference);
+    if (!line) {
+      errors.push({ lineNo: row.lineNo, message: `${row.reference}: not a line of ${run.runNo}` });
+      continue;
+    }
+    if (row.status === CAD_PAYOUT_LINE_STATUS.PENDING) {
+      summary.pending += 1;
+      continue;
+    }
+    if (row.amountPaise != null && row.amountPaise !== netOf(line)) {
+      errors.push({
+        lineNo: row.lineNo,
+        message: `${row.reference}: amount ${row.amountPaise} paise does not match ${netOf(line)}`,
+      });
+      continue;
+    }
+    if (line.status === row.status) {
+      summary.unchanged += 1;
+      continue;
+    }
+    if (line.status !== CAD_PAYOUT_LINE_STATUS.PENDING) {
+      errors.push({ lineNo: row.lineNo, message: `${row.reference}: already ${line.status}, file says ${row.status}` });
+      continue;
+    }
+
+    if (row.status === CAD_PAYOUT_LINE_STATUS.PAID) {
+      for (const e of line.entries) {
+        await cadWallet.applyPayoutRunTranche(e.entry, run._id, e.amountPaise, {
+          actor,
+          utr: row.utr,
+          tdsRule: line.tds?.section ? line.tds : null,
+        });
+      }
+      line.utr = row.utr;
+      summary.paid += 1;
+    } else {
+      await cadWallet.releasePayoutRunEntries(run._id, line.entries.map((e) => e.entry));
+      line.failureReason = row.reason || "Failed by bank";
+      summary.failed += 1;
+    }
+    line.status = row.status;
+    line.settledAt = now;
+  }
+
+  recomputeTotals(run);
+  if (run.lines.every((l) => l.status !== CAD_PAYOUT_LINE_STATUS.PENDING)) {
+    run.status = CAD_PAYOUT_RUN_STATUS.COMPLETED;
+    run.completedAt = now;
+  }
+  run.responseFiles.push({
+    fileName,
+    fileSha256,
+    importedAt: now,
+    importedBy: actor?._id || null,
+    paid: summary.paid,
+    failed: summary.failed,
+  });
+  await run.save();
+  return { run: presentRun(run.toObject(), { withLines: true }), summary: { ...summary, errors } };
+}
+
+/**
+ * Weekly schedule: open a DRAFT run up to the start of today (IST) unless one is already open or there
+ * is nothing to pay. Submitting stays a finance action.
+ */
+async function createScheduledPayoutRun(now = new Date()) {
+  try {
+    const run = await createPayoutRun(null, { cutoff: istDayStart(now) });
+    return { created: true, runNo: run.runNo, lineCount: run.totals.lineCount, amountPaise: run.totals.amountPaise };
+  } catch (err) {
+    if (err?.code === "CAD_PAYOUT_RUN_OPEN" || err?.code === "CAD_PAYOUT_RUN_EMPTY") {
+      return { created: false, reason: err.code };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  createPayoutRun,
+  listPayoutRuns,
+  getPayoutRun,
+  exportBankFile,
+  submitPayoutRun,
+  cancelPayoutRun,
+  importBankResponse,
+  createScheduledPayoutRun,
+  istDayStart,
+};
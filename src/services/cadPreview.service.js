@@ -0,0 +1,118 @@
+/**
+ * Generated PDF preview for CAD deliveries without one (H-12).
+ * PREVIEW is optional in the deliverable contract, but surveyors cannot open DWG/DXF on a phone.
+ * When a bundle has a DXF source and no preview, render one server-side, stamp it with the
+ * application ID and surveyor name, and store it as a `role: "preview"` deliverable.
+ * The cad-download API serves previews before the balance is paid; sources only after.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const User = require("../models/user/User");
+const s3 = require("../utils/s3");
+const { isBinaryDxf, parseDxf } = require("../utils/dxfParser");
+const { renderDxfPreviewPdf } = require("../utils/dxfPreview");
+const {
+  CAD_DELIVERABLE_ROLES,
+  CAD_DELIVERABLE_CONTRACT_VERSION,
+  roleFromFile,
+} = require("../config/cadDeliverableContract");
+const { analysisMaxBytes, isAnalyzableSource } = require("./dxfAnalysis.service");
+const { displayName } = require("../utils/userDisplay");
+const logger = require("../utils/logger");
+
+const PREVIEW_GENERATOR_VERSION = "DXF_PREVIEW_PDF_V1";
+
+function isPreviewFile(file) {
+  return roleFromFile(file || {}) === CAD_DELIVERABLE_ROLES.PREVIEW;
+}
+
+/** First DXF source that can be rendered, or null when the bundle already has a preview. */
+function pickPreviewSource(files) {
+  const list = Array.isArray(files) ? files : [];
+  if (list.some(isPreviewFile)) return null;
+  return (
+    list.find(
+      (f) =>
+        roleFromFile(f) === CAD_DELIVERABLE_ROLES.SOURCE && f.s3Key && isAnalyzableSource(f.s3Key, f.fileName)
+    ) || null
+  );
+}
+
+/** "plot.dxf" -> "plot-preview.pdf" */
+function previewFileName(sourceFileName) {
+  const base = path.basename(String(sourceFileName || "drawing"), path.extname(String(sourceFileName || "")));
+  return `${base || "drawing"}-preview.pdf`;
+}
+
+/**
+ * Render and store a preview for this delivery when the CAD user did not upload one.
+ * Never throws — delivery must not fail because a preview could not be drawn.
+ * @param {{ uploadDoc: object, files: object[], cadUserId: unknown }} args
+ * @returns {Promise<object|null>} deliverable file entry, or null when none was generated
+ */
+async function generatePreviewForDelivery({ uploadDoc, files, cadUserId }) {
+  const source = pickPreviewSource(files);
+  if (!source) return null;
+  try {
+    const maxBytes = analysisMaxBytes();
+    if (source.size != null && Number(source.size) > maxBytes) {
+      logger.warn("DXF preview skipped: source too large", { s3Key: source.s3Key, size: source.size });
+      return null;
+    }
+    const buf = await s3.getObjectBytes(source.s3Key, { maxBytes });
+    if (isBinaryDxf(buf)) {
+      logger.warn("DXF preview skipped: binary DXF", { s3Key: source.s3Key });
+      return null;
+    }
+    const parsed = parseDxf(buf.toString("latin1"));
+    const surveyor = uploadDoc.surveyor
+      ? await User.findById(uploadDoc.surveyor).select("name").lean()
+      : null;
+    const generatedAt = new Date();
+    const { pdf, stats } = renderDxfPreviewPdf(parsed, {
+      applicationId: uploadDoc.applicationId || null,
+      surveyorName: displayName(surveyor),
+      sourceFileName: source.fileName || null,
+      generatedAt,
+    });
+
+    const fileName = previewFileName(source.fileName);
+    const key = s3.buildUploadKey("cad-deliverables", uploadDoc._id, fileName, cadUserId);
+    await s3.putObject(key, pdf, "application/pdf");
+    logger.info("DXF preview generated", {
+      uploadId: String(uploadDoc._id),
+      s3Key: key,
+      source: source.s3Key,
+      bytes: pdf.length,
+      ...stats,
+    });
+    return {
+      url: s3.getPublicUrl(key),
+      fileName,
+      mimeType: "application/pdf",
+      size: pdf.length,
+      role: CAD_DELIVERABLE_ROLES.PREVIEW,
+      s3Key: key,
+      sha256: crypto.createHash("sha256").update(pdf).digest("hex"),
+      confirmed: true,
+      contractVersion: source.contractVersion || CAD_DELIVERABLE_CONTRACT_VERSION,
+      uploadedAt: generatedAt,
+      generated: { from: source.s3Key, by: PREVIEW_GENERATOR_VERSION },
+    };
+  } catch (err) {
+    logger.error("DXF preview generation failed", err, {
+      uploadId: String(uploadDoc?._id),
+      s3Key: source.s3Key,
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  PREVIEW_GENERATOR_VERSION,
+  isPreviewFile,
+  pickPreviewSource,
+  previewFileName,
+  generatePreviewForDelivery,
+};
@@ -0,0 +1,283 @@
+/**
+ * TDS on CAD operator payouts (config/cadTds): the rule a payee is taxed under, the deduction on a gross
+ * tranche, finance's quarterly TDS summary and the operator's per-financial-year earnings statement.
+ * Deductions are frozen on each wallet payment-log tranche, so summaries and statements only read history.
+ */
+
+const CadWalletLedger = require("../models/cad/CadWalletLedger");
+const User = require("../models/user/User");
+const { CAD_WALLET_ENTRY_KIND } = require("../config/constants");
+const { PAN_PATTERN, TDS_QUARTERS, tdsRateBps } = require("../config/cadTds");
+const cadTdsSettings = require("./config/cadTdsSettings.service");
+const { financialYearOf } = require("./payment/taxDocument.service");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
+const { displayName } = require("../utils/userDisplay");
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * @param {{ taxDetails?: { pan?: string|null } } | null} user
+ * @param {Awaited<ReturnType<typeof cadTdsSettings.resolveSettings>>} settings
+ * @returns {{ section: string, rateBps: number, pan: string|null } | null} null when TDS is off
+ */
+function resolveTdsRule(user, settings) {
+  if (!settings?.enabled) return null;
+  const raw = user?.taxDetails?.pan ? String(user.taxDetails.pan).toUpperCase() : null;
+  const pan = raw && PAN_PATTERN.test(raw) ? raw : null;
+  return { section: settings.section, rateBps: tdsRateBps(settings, pan), pan };
+}
+
+async function loadTdsRule(cadUserId) {
+  const settings = await cadTdsSettings.resolveSettings();
+  if (!settings.enabled) return null;
+  const user = await User.findById(cadUserId).select("taxDetails").lean();
+  return resolveTdsRule(user, settings);
+}
+
+/** Deduction on a gross tranche, to the paisa. */
+function tdsOn(grossPaise, rule) {
+  const gross = Math.max(0, Math.floor(Number(grossPaise) || 0));
+  const tdsPaise = rule ? Math.round((gross * rule.rateBps) / 10000) : 0;
+  return { tdsPaise, netPaise: gross - tdsPaise };
+}
+
+/** Payment-log fields for a tranche taxed under `rule`. */
+function tdsLogFields(rule, grossPaise) {
+  return {
+    tdsPaise: tdsOn(grossPaise, rule).tdsPaise,
+    tdsSection: rule?.section || null,
+    tdsRateBps: rule ? rule.rateBps : null,
+    pan: rule?.pan || null,
+  };
+}
+
+function istDate(year, month) {
+  return new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS);
+}
+
+/** "2026-27" → [1 Apr 2026, 1 Apr 2027) IST. */
+function financialYearRange(fy) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(fy || ""));
+  if (!m || (Number(m[1]) + 1) % 100 !== Number(m[2])) {
+    throw new BadRequestError("fy must look like 2026-27", { errors: [{ field: "fy", message: "Invalid value" }] });
+  }
+  const y = Number(m[1]);
+  return { from: istDate(y, 3), to: istDate(y + 1, 3) };
+}
+
+function quarterRange(fy, quarter) {
+  const q = TDS_QUARTERS[String(quarter || "").toUpperCase()];
+  if (!q) {
+    throw new BadRequestError("quarter must be Q1, Q2, Q3 or Q4", {
+      errors: [{ field: "quarter", message: "Invalid value" }],
+    });
+  }
+  const { from } = financialYearRange(fy);
+  const y = new Date(from.getTime() + IST_OFFSET_MS).getUTCFullYear();
+  return { from: istDate(y, q.startMonth), to: istDate(y, q.startMonth + 3), label: q.label };
+}
+
+/** Payment tranches recorded in [from, to), one row per tranche. */
+function tranchePipeline(match, from, to) {
+  return [
+    { $match: { ...match, "paymentLog.recordedAt": { $gte: from, $lt: to } } },
+    { $unwind: "$paymentLog" },
+    { $match: { "paymentLog.recordedAt": { $gte: from, $lt: to } } },
+  ];
+}
+
+/**
+ * Finance: gross paid, TDS and net per CAD operator / PAN / section for one FY quarter (Form 26Q input).
+ * @param {{ fy: string, quarter: string }} params
+ */
+async function getQuarterlyTdsSummary({ fy, quarter }) {
+  const { from, to, label } = quarterRange(fy, quarter);
+  const groups = await CadWalletLedger.aggregate([
+    ...tranchePipeline({}, from, to),
+    {
+      $group: {
+        _id: {
+          cadUser: "$cadUser",
+          pan: "$paymentLog.pan",
+          section: "$paymentLog.tdsSection",
+          rateBps: "$paymentLog.tdsRateBps",
+        },
+        grossPaise: { $sum: "$paymentLog.amountPaise" },
+        tdsPaise: { $sum: { $ifNull: ["$paymentLog.tdsPaise", 0] } },
+        payments: { $sum: 1 },
+        lastPaidAt: { $max: "$paymentLog.recordedAt" },
+      },
+    },
+  ]);
+  const users = await User.find({ _id: { $in: [...new Set(groups.map((g) => String(g._id.cadUser)))] } })
+    .select("name auth.email")
+    .lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+  const items = groups
+    .map((g) => {
+      const u = byId.get(String(g._id.cadUser));
+      return {
+        cadUserId: String(g._id.cadUser),
+        cadUserName: displayName(u),
+        email: u?.auth?.email || null,
+        pan: g._id.pan || null,
+        section: g._id.section || null,
+        rateBps: g._id.rateBps ?? null,
+        payments: g.payments,
+        grossPaise: g.grossPaise,
+        tdsPaise: g.tdsPaise,
+        netPaise: g.grossPaise - g.tdsPaise,
+        lastPaidAt: g.lastPaidAt,
+      };
+    })
+    .sort((a, b) => (a.cadUserName || "").localeCompare(b.cadUserName || "") || b.tdsPaise - a.tdsPaise);
+  const totals = items.reduce(
+    (acc, i) => ({
+      grossPaise: acc.grossPaise + i.grossPaise,
+      tdsPaise: acc.tdsPaise + i.tdsPaise,
+      netPaise: acc.netPaise + i.netPaise,
+      payments: acc.payments + i.payments,
+    }),
+    { grossPaise: 0, tdsPaise: 0, netPaise: 0, payments: 0 }
+  );
+  return {
+    financialYear: fy,
+    quarter: String(quarter).toUpperCase(),
+    period: { from, to, label },
+    deductor: (await cadTdsSettings.resolveSettings()).deductor,
+    totals: { ...totals, withoutPan: items.filter((i) => !i.pan && i.tdsPaise > 0).length },
+    items,
+  };
+}
+
+/** Quarterly summary as spreadsheet sheets (Summary + Deductees) for the CSV / XLSX export. */
+function tdsSummaryExportSheets(summary) {
+  return [
+    {
+      name: "Summary",
+      rows: [
+        ["Field", "Value"],
+        ["Financial year", summary.financialYear],
+        ["Quarter", `${summary.quarter} (${summary.period.label})`],
+        ["Deductor", summary.deductor.name || ""],
+        ["TAN", summary.deductor.tan || ""],
+        ["Payments", summary.totals.payments],
+        ["Gross paid (paise)", summary.totals.grossPaise],
+        ["TDS (paise)", summary.totals.tdsPaise],
+        ["Net paid (paise)", summary.totals.netPaise],
+        ["Deductees without PAN", summary.totals.withoutPan],
+      ],
+    },
+    {
+      name: "Deductees",
+      rows: [
+        ["CAD user id", "Name", "Email", "PAN", "Section", "Rate (bps)", "Payments", "Gross (paise)", "TDS (paise)", "Net (paise)", "Last paid at"],
+        ...summary.items.map((i) => [
+          i.cadUserId,
+          i.cadUserName,
+          i.email,
+          i.pan || "PANNOTAVBL",
+          i.section,
+          i.rateBps,
+          i.payments,
+          i.grossPaise,
+          i.tdsPaise,
+          i.netPaise,
+          i.lastPaidAt,
+        ]),
+      ],
+    },
+  ];
+}
+
+/** Financial years in which the operator earned or was paid, newest first. */
+async function listStatementYears(cadUserId) {
+  const first = await CadWalletLedger.findOne({ cadUser: cadUserId }).sort({ createdAt: 1 }).select("createdAt").lean();
+  if (!first) return [];
+  const fyLabel = (y) => `${y}-${String((y + 1) % 100).padStart(2, "0")}`;
+  const firstYear = Number(financialYearOf(first.createdAt).slice(0, 4));
+  const years = [];
+  for (let y = Number(financialYearOf(new Date()).slice(0, 4)); y >= firstYear; y -= 1) years.push(fyLabel(y));
+  return years;
+}
+
+/**
+ * One operator's financial year: credits and clawbacks booked, every payment tranche (gross, TDS, net)
+ * and TDS per quarter. Drives the statement PDF.
+ */
+async function getEarningsStatement(cadUserId, fy) {
+  const { from, to } = financialYearRange(fy);
+  const user = await User.findById(cadUserId).select("name auth.email taxDetails").lean();
+  if (!user) throw new NotFoundError("CAD user not found", { code: "CAD_USER_NOT_FOUND" });
+  const [booked, tranches, settings] = await Promise.all([
+    CadWalletLedger.aggregate([
+      { $match: { cadUser: user._id, createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: "$kind", amountPaise: { $sum: "$amountPaise" }, entries: { $sum: 1 } } },
+    ]),
+    CadWalletLedger.aggregate([
+      ...tranchePipeline({ cadUser: user._id }, from, to),
+      { $sort: { "paymentLog.recordedAt": 1 } },
+      {
+        $project: {
+          _id: 0,
+          entryId: "$_id",
+          kind: 1,
+          paidAt: "$paymentLog.recordedAt",
+          grossPaise: "$paymentLog.amountPaise",
+          tdsPaise: { $ifNull: ["$paymentLog.tdsPaise", 0] },
+          section: "$paymentLog.tdsSection",
+          rateBps: "$paymentLog.tdsRateBps",
+          pan: "$paymentLog.pan",
+          utr: "$paymentLog.utr",
+        },
+      },
+    ]),
+    cadTdsSettings.resolveSettings(),
+  ]);
+
+  const clawback = booked.find((b) => b._id === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK);
+  const earnedPaise = booked.filter((b) => b !== clawback).reduce((acc, b) => acc + b.amountPaise, 0);
+  const quarters = Object.keys(TDS_QUARTERS).map((q) => {
+    const r = quarterRange(fy, q);
+    const rows = tranches.filter((t) => t.paidAt >= r.from && t.paidAt < r.to);
+    const grossPaise = rows.reduce((acc, t) => acc + t.grossPaise, 0);
+    const tdsPaise = rows.reduce((acc, t) => acc + t.tdsPaise, 0);
+    return { quarter: q, label: r.label, grossPaise, tdsPaise, netPaise: grossPaise - tdsPaise };
+  });
+  const sum = (field) => quarters.reduce((acc, q) => acc + q[field], 0);
+  return {
+    financialYear: fy,
+    period: { from, to },
+    cadUser: {
+      id: String(user._id),
+      name: displayName(user),
+      email: user.auth?.email || null,
+      pan: user.taxDetails?.pan || null,
+    },
+    deductor: settings.deductor,
+    totals: {
+      earnedPaise,
+      earnedEntries: booked.filter((b) => b !== clawback).reduce((acc, b) => acc + b.entries, 0),
+      clawbackPaise: clawback ? -clawback.amountPaise : 0,
+      grossPaidPaise: sum("grossPaise"),
+      tdsPaise: sum("tdsPaise"),
+      netPaidPaise: sum("netPaise"),
+    },
+    quarters,
+    payments: tranches.map((t) => ({ ...t, netPaise: t.grossPaise - t.tdsPaise })),
+    generatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  resolveTdsRule,
+  loadTdsRule,
+  tdsOn,
+  tdsLogFields,
+  financialYearRange,
+  quarterRange,
+  getQuarterlyTdsSummary,
+  tdsSummaryExportSheets,
+  listStatementYears,
+  getEarningsStatement,
+};
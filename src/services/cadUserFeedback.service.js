@@ -1,9 +1,24 @@
 const CadUserFeedback = require("../models/cad/CadUserFeedback");
 const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
 const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+const User = require("../models/user/User");
+const logger = require("../utils/logger");
 const { USER_ROLES } = require("../config/constants");
 const { NotFoundError, BadRequestError, ForbiddenError } = require("../utils/errors");
 
+/**
+ * Keep cadProfile.rating (used by auto-assign routing) equal to the CAD user's average feedback.
+ */
+async function refreshCadUserRating(cadUserId) {
+  const [row] = await CadUserFeedback.aggregate([
+    { $match: { cadUser: cadUserId } },
+    { $group: { _id: "$cadUser", avg: { $avg: "$rating" } } },
+  ]);
+  const rating = row ? Math.round(row.avg * 100) / 100 : 0;
+  await User.updateOne({ _id: cadUserId }, { $set: { "cadProfile.rating": rating } });
+  return rating;
+}
+
 async function createFeedback({ assignmentId, surveyorId, payload }) {
   const assignment = await SurveySketchAssignment.findById(assignmentId)
     .select("_id assignedTo surveyorSketchUpload")
@@ -46,6 +61,12 @@ async function createFeedback({ assignmentId, surveyorId, payload }) {
     .populate("cadUser", "name auth")
     .lean();
 
+  try {
+    await refreshCadUserRating(assignment.assignedTo);
+  } catch (err) {
+    logger.error("CAD rating refresh failed", err, { cadUserId: String(assignment.assignedTo) });
+  }
+
   return doc;
 }
 
@@ -85,4 +106,5 @@ async function getFeedbackByAssignment({ assignmentId, actor }) {
 module.exports = {
   createFeedback,
   getFeedbackByAssignment,
+  refreshCadUserRating,
 };
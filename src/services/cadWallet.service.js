@@ -1,6 +1,8 @@
 /**
  * CAD wallet: pending / paid payouts for completed deliveries.
  * Amounts come from env (paise). Zero = no ledger row created.
+ * Refunds of delivered work add negative REFUND_CLAWBACK rows that net against the operator's balance.
+ * Initial delivery credits include the versioned performance incentives (bonus / deduction line items).
  */
 
 const mongoose = require("mongoose");
@@ -8,14 +10,18 @@ const CadWalletLedger = require("../models/cad/CadWalletLedger");
 const User = require("../models/user/User");
 const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
 const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+const { PAYMENT_PURPOSE } = require("../models/payment/PaymentAttempt");
 const {
   CAD_WALLET_ENTRY_STATUS,
   CAD_WALLET_ENTRY_KIND,
   USER_ROLES,
   SURVEY_SKETCH_ASSIGNMENT_STATUS,
+  DELIVERY_QC_STATUS,
 } = require("../config/constants");
 const cadPayoutPricing = require("./cadPayoutPricing.service");
-const { NotFoundError, BadRequestError } = require("../utils/errors");
+const cadTds = require("./cadTds.service");
+const { isReleasedDelivery } = require("./assignment/deliveryQc.service");
+const { NotFoundError, BadRequestError, ConflictError } = require("../utils/errors");
 const logger = require("../utils/logger");
 const { mongoRoleEquals } = require("../utils/roleNormalize");
 
@@ -38,8 +44,12 @@ function formatLedgerEntryRow(row) {
   const paid = effectivePaidPaise(row);
   const total = Math.max(0, Number(row.amountPaise) || 0);
   const remaining = Math.max(0, total - paid);
+  const isClawback = row.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK;
+  /** Signed: clawbacks are negative. */
+  const amount = isClawback ? Math.round(Number(row.amountPaise) || 0) : total;
   let balanceStatus = "PENDING";
-  if (total <= 0 || remaining <= 0) balanceStatus = "PAID";
+  if (isClawback) balanceStatus = "CLAWBACK";
+  else if (total <= 0 || remaining <= 0) balanceStatus = "PAID";
   else if (paid > 0) balanceStatus = "PARTIAL";
   const sourcePaid = Math.max(0, Number(row.sourcePaidAmountPaise) || 0);
   return {
@@ -58,14 +68,27 @@ function formatLedgerEntryRow(row) {
     platformFeePaise: row.platformFeePaise != null ? Number(row.platformFeePaise) : null,
     taxPaise: row.taxPaise != null ? Number(row.taxPaise) : null,
     adjustmentPaise: row.adjustmentPaise != null ? Number(row.adjustmentPaise) : null,
-    amountPaise: total,
-    amountRupees: paiseToRupees(total),
+    incentiveRuleVersion: row.incentiveRuleVersion || null,
+    incentivePaise: Number(row.incentivePaise) || 0,
+    incentiveRupees: paiseToRupees(row.incentivePaise),
+    lineItems: buildLineItems(row, amount),
+    amountPaise: amount,
+    amountRupees: paiseToRupees(amount),
     paidAmountPaise: paid,
     paidAmountRupees: paiseToRupees(paid),
     remainingPaise: remaining,
     remainingRupees: paiseToRupees(remaining),
     paidPercent: paidPercentForDoc(row),
+    tdsPaise: tdsPaidPaise(row),
+    tdsRupees: paiseToRupees(tdsPaidPaise(row)),
+    netPaidPaise: paid - tdsPaidPaise(row),
+    netPaidRupees: paiseToRupees(paid - tdsPaidPaise(row)),
     balanceStatus,
+    clawbackOf: row.clawbackOf || null,
+    refundRef: row.refundRef || null,
+    clawbackRuleVersion: row.clawbackRuleVersion || null,
+    refundedPaise: row.refundedPaise != null ? Number(row.refundedPaise) : null,
+    dispute: row.dispute || null,
     status: row.status,
     paidAt: row.paidAt,
     createdAt: row.createdAt,
@@ -73,6 +96,31 @@ function formatLedgerEntryRow(row) {
   };
 }
 
+/**
+ * Separate line items for a transaction: the fixed payout then each incentive bonus / deduction
+ * (legacy rows, clawbacks and dispute adjustments are a single line).
+ */
+function buildLineItems(row, amount) {
+  const incentives = Array.isArray(row.incentiveLineItems) ? row.incentiveLineItems : [];
+  if (row.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK || !incentives.length) {
+    const code =
+      row.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK || row.kind === CAD_WALLET_ENTRY_KIND.DISPUTE_ADJUSTMENT
+        ? row.kind
+        : "PAYOUT";
+    return [{ code, label: null, amountPaise: amount, amountRupees: paiseToRupees(amount) }];
+  }
+  const base = row.payoutPaise != null ? Number(row.payoutPaise) : amount - (Number(row.incentivePaise) || 0);
+  return [
+    { code: "PAYOUT", label: null, amountPaise: base, amountRupees: paiseToRupees(base) },
+    ...incentives.map((l) => ({
+      code: l.code,
+      label: l.label || null,
+      amountPaise: Number(l.amountPaise) || 0,
+      amountRupees: paiseToRupees(l.amountPaise),
+    })),
+  ];
+}
+
 function paiseToRupees(paise) {
   return Math.round(Number(paise) || 0) / 100;
 }
@@ -108,6 +156,11 @@ function effectivePaidPaise(doc) {
   return Math.min(total, Math.max(0, recorded || 0));
 }
 
+/** TDS withheld across the entry's payment tranches. */
+function tdsPaidPaise(doc) {
+  return (doc.paymentLog || []).reduce((acc, p) => acc + (Number(p.tdsPaise) || 0), 0);
+}
+
 function paidPercentForDoc(doc) {
   const total = Math.max(0, Number(doc.amountPaise) || 0);
   if (total <= 0) return 100;
@@ -116,8 +169,34 @@ function paidPercentForDoc(doc) {
 }
 
 /**
- * Record a pending earning from the versioned FIXED payout rule (H-11).
- * Idempotent per (assignment, kind, revisionNo).
+ * Rework rounds on a sketch so far: deliveries bounced by QC plus surveyor revision requests.
+ */
+function countRevisionRounds(upload) {
+  const history = Array.isArray(upload?.cadDeliverableHistory) ? upload.cadDeliverableHistory : [];
+  const failedQc = history.filter((h) => h?.qc?.status === DELIVERY_QC_STATUS.FAILED).length;
+  const requests = Array.isArray(upload?.revisionRequests) ? upload.revisionRequests.length : 0;
+  return failedQc + requests;
+}
+
+/**
+ * Inputs to the incentive rule as they stand at booking: assignment SLA state, the CAD user's average
+ * rating and rework rounds. Later feedback does not move a booked credit.
+ */
+async function loadIncentiveInputs({ cadUserId, assignmentId, upload }) {
+  const [assignment, cadUser] = await Promise.all([
+    assignmentId ? SurveySketchAssignment.findById(assignmentId).select("slaState").lean() : null,
+    cadUserId ? User.findById(cadUserId).select("cadProfile.rating").lean() : null,
+  ]);
+  return {
+    slaState: assignment?.slaState || null,
+    rating: Number(cadUser?.cadProfile?.rating) > 0 ? Number(cadUser.cadProfile.rating) : null,
+    revisionCount: countRevisionRounds(upload),
+  };
+}
+
+/**
+ * Record a pending earning from the versioned FIXED payout rule (H-11) plus the versioned performance
+ * incentives. Idempotent per (assignment, kind, revisionNo).
  */
 async function recordPendingEarningIfConfigured({
   cadUserId,
@@ -128,7 +207,7 @@ async function recordPendingEarningIfConfigured({
 }) {
   const upload = surveyorSketchUploadId
     ? await SurveyorSketchUpload.findById(surveyorSketchUploadId)
-        .select("sketchPayment revisionFeePayments")
+        .select("sketchPayment revisionFeePayments cadDeliverableHistory revisionRequests")
         .lean()
     : null;
 
@@ -137,11 +216,18 @@ async function recordPendingEarningIfConfigured({
     kind,
     revisionNo
   );
-  const { amountPaise, breakdown } = cadPayoutPricing.computeCadPayoutSettlement({
+  const { amountPaise: payoutPaise, breakdown } = cadPayoutPricing.computeCadPayoutSettlement({
     kind,
     sourcePaidAmountPaise,
   });
-  if (!amountPaise || amountPaise <= 0) return null;
+  if (!payoutPaise || payoutPaise <= 0) return null;
+
+  const incentiveInputs =
+    kind === CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY
+      ? await loadIncentiveInputs({ cadUserId, assignmentId, upload })
+      : {};
+  const incentives = cadPayoutPricing.computeCadIncentives({ kind, basePaise: payoutPaise, ...incentiveInputs });
+  const amountPaise = incentives.amountPaise;
 
   const rev =
     kind === CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY
@@ -172,6 +258,17 @@ async function recordPendingEarningIfConfigured({
           platformFeePaise: breakdown.platformFeePaise,
           taxPaise: breakdown.taxPaise,
           adjustmentPaise: breakdown.adjustmentPaise,
+          incentiveRuleVersion: incentives.breakdown.incentiveRuleVersion,
+          incentiveInputs:
+            kind === CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY
+              ? {
+                  slaState: incentives.breakdown.slaState,
+                  rating: incentives.breakdown.rating,
+                  revisionCount: incentives.breakdown.revisionCount,
+                }
+              : null,
+          incentiveLineItems: incentives.lineItems,
+          incentivePaise: incentives.incentivePaise,
           paidAmountPaise: 0,
           paymentLog: [],
           status: CAD_WALLET_ENTRY_STATUS.PENDING,
@@ -193,6 +290,91 @@ async function recordPendingEarningIfConfigured({
   return true;
 }
 
+/**
+ * Claw back delivery credits after a settled surveyor refund (versioned rule; the V0 default writes nothing).
+ * Booking / balance refunds reduce the initial delivery credit; a revision fee refund reduces that
+ * revision's credit. No credit yet → nothing to claw back. Idempotent per (credit, refundRef).
+ * @param {{ uploadId: string, purpose: string, revisionNo?: number|null, refundRef: string,
+ *   refundedPaise: number, reasonCode?: string|null }} refund
+ * @returns {Promise<Array<{ clawbackOf: *, cadUser: *, amountPaise: number }>>} clawbacks written (amount negative)
+ */
+async function recordRefundClawback({
+  uploadId,
+  purpose,
+  revisionNo = null,
+  refundRef,
+  refundedPaise,
+  reasonCode = null,
+}) {
+  if (cadPayoutPricing.getActiveCadClawbackRule().model === "NONE") return [];
+
+  const kind =
+    purpose === PAYMENT_PURPOSE.REVISION
+      ? CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY
+      : CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY;
+  const rev = kind === CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY ? 0 : Number(revisionNo);
+  const credits = await CadWalletLedger.find({ surveyorSketchUpload: uploadId, kind, revisionNo: rev })
+    .select("cadUser assignment surveyorSketchUpload kind revisionNo amountPaise")
+    .lean();
+  if (!credits.length) return [];
+
+  const upload = await SurveyorSketchUpload.findById(uploadId)
+    .select("sketchPayment balancePayment revisionFeePayments")
+    .lean();
+  const basisPaise = cadPayoutPricing.resolveClawbackBasisPaise(upload, kind, rev);
+
+  const written = [];
+  for (const credit of credits) {
+    const prior = await CadWalletLedger.find({
+      clawbackOf: credit._id,
+      refundRef: { $ne: refundRef },
+    })
+      .select("amountPaise")
+      .lean();
+    const alreadyClawedBackPaise = prior.reduce((sum, r) => sum + Math.abs(Number(r.amountPaise) || 0), 0);
+    const { amountPaise, breakdown } = cadPayoutPricing.computeCadRefundClawback({
+      creditedPaise: credit.amountPaise,
+      basisPaise,
+      refundedPaise,
+      alreadyClawedBackPaise,
+    });
+    if (amountPaise <= 0) continue;
+
+    await CadWalletLedger.updateOne(
+      { assignment: credit.assignment, kind: CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK, revisionNo: rev, refundRef },
+      {
+        $setOnInsert: {
+          cadUser: credit.cadUser,
+          assignment: credit.assignment,
+          surveyorSketchUpload: credit.surveyorSketchUpload,
+          kind: CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK,
+          revisionNo: rev,
+          amountPaise: -amountPaise,
+          clawbackOf: credit._id,
+          refundRef,
+          clawbackRuleVersion: breakdown.clawbackRuleVersion,
+          refundedPaise: breakdown.refundedPaise,
+          clawbackBasisPaise: breakdown.clawbackBasisPaise,
+          refundReasonCode: reasonCode,
+          paidAmountPaise: 0,
+          paymentLog: [],
+          status: CAD_WALLET_ENTRY_STATUS.PENDING,
+        },
+      },
+      { upsert: true }
+    );
+    logger.info("cadWallet.recordRefundClawback", {
+      uploadId: String(uploadId),
+      clawbackOf: String(credit._id),
+      refundRef,
+      amountPaise: -amountPaise,
+      clawbackRuleVersion: breakdown.clawbackRuleVersion,
+    });
+    written.push({ clawbackOf: credit._id, cadUser: credit.cadUser, amountPaise: -amountPaise });
+  }
+  return written;
+}
+
 async function getSummaryForCad(cadUserId) {
   const uid =
     cadUserId instanceof mongoose.Types.ObjectId
@@ -209,15 +391,20 @@ async function getSummaryForCad(cadUserId) {
     {
       $addFields: {
         effectivePaidPaise: {
-          $min: [
-            "$amountPaise",
+          $max: [
+            0,
             {
-              $cond: [
-                { $eq: ["$status", paidStr] },
+              $min: [
+                "$amountPaise",
                 {
-                  $cond: [{ $gt: ["$_paidRaw", 0] }, "$_paidRaw", "$amountPaise"],
+                  $cond: [
+                    { $eq: ["$status", paidStr] },
+                    {
+                      $cond: [{ $gt: ["$_paidRaw", 0] }, "$_paidRaw", "$amountPaise"],
+                    },
+                    { $max: [0, "$_paidRaw"] },
+                  ],
                 },
-                { $max: [0, "$_paidRaw"] },
               ],
             },
           ],
@@ -287,11 +474,20 @@ async function listTransactionsForCad(cadUserId, options = {}) {
   return { data: rows, total, page, limit };
 }
 
-async function recordPayment(entryId, actor, { payFull, amountPaise: tranchePaise }) {
+/**
+ * Admin payout tranche (gross) on one ledger row. TDS is withheld under the payee's rule at payment time;
+ * `tdsRule` lets a caller paying several rows resolve it once.
+ */
+async function recordPayment(entryId, actor, { payFull, amountPaise: tranchePaise }, { tdsRule } = {}) {
   const doc = await CadWalletLedger.findById(entryId);
   if (!doc) {
     throw new NotFoundError("Wallet entry not found", { code: "CAD_WALLET_ENTRY_NOT_FOUND" });
   }
+  if (doc.payoutRun) {
+    throw new ConflictError("Wallet entry is being paid by an open payout run", {
+      code: "CAD_WALLET_ENTRY_IN_PAYOUT_RUN",
+    });
+  }
 
   const total = Math.max(0, Number(doc.amountPaise) || 0);
   const currentPaid = effectivePaidPaise(doc);
@@ -324,13 +520,16 @@ async function recordPayment(entryId, actor, { payFull, amountPaise: tranchePais
     throw new BadRequestError("No payment amount to apply", { code: "ZERO_PAYMENT" });
   }
 
+  const rule = tdsRule !== undefined ? tdsRule : await cadTds.loadTdsRule(doc.cadUser);
   const newPaid = currentPaid + delta;
   doc.paidAmountPaise = Math.min(total, newPaid);
   if (!Array.isArray(doc.paymentLog)) doc.paymentLog = [];
+  const tds = cadTds.tdsLogFields(rule, delta);
   doc.paymentLog.push({
     amountPaise: delta,
     recordedAt: new Date(),
     recordedBy: actor?._id || null,
+    ...tds,
   });
 
   if (doc.paidAmountPaise >= total) {
@@ -347,6 +546,7 @@ async function recordPayment(entryId, actor, { payFull, amountPaise: tranchePais
     entryId: String(entryId),
     actorId: actor?._id ? String(actor._id) : null,
     deltaPaise: delta,
+    tdsPaise: tds.tdsPaise,
     payFull: Boolean(payFull),
   });
 
@@ -371,6 +571,8 @@ function formatLedgerEntryForAdmin(row) {
     remainingPaise: remaining,
     remainingRupees: paiseToRupees(remaining),
     paidPercent: paidPercentForDoc(row),
+    tdsPaise: tdsPaidPaise(row),
+    netPaidPaise: paid - tdsPaidPaise(row),
   };
 }
 
@@ -381,7 +583,7 @@ async function markEntryPaid(entryId, actor) {
 
 /**
  * Admin payout by CAD user + amount.
- * Applies payment to oldest pending ledger entries first.
+ * Applies payment to oldest pending ledger entries first (entries held by an open payout run are skipped).
  */
 async function recordPaymentForCadUser(cadUserId, actor, { amountPaise, payFull }) {
   const uid =
@@ -408,10 +610,16 @@ async function recordPaymentForCadUser(cadUserId, actor, { amountPaise, payFull
   }
 
   let remainingToApply = amount;
-  const pendingRows = await CadWalletLedger.find({ cadUser: uid, status: CAD_WALLET_ENTRY_STATUS.PENDING })
+  const pendingRows = await CadWalletLedger.find({
+    cadUser: uid,
+    status: CAD_WALLET_ENTRY_STATUS.PENDING,
+    payoutRun: null,
+  })
     .sort({ createdAt: 1, _id: 1 })
     .lean();
 
+  const tdsRule = await cadTds.loadTdsRule(uid);
+  let tdsPaise = 0;
   const touchedEntryIds = [];
   for (const row of pendingRows) {
     if (remainingToApply <= 0) break;
@@ -420,7 +628,8 @@ async function recordPaymentForCadUser(cadUserId, actor, { amountPaise, payFull
     const remaining = Math.max(0, total - paid);
     if (remaining <= 0) continue;
     const delta = Math.min(remainingToApply, remaining);
-    await recordPayment(row._id, actor, { payFull: false, amountPaise: delta });
+    await recordPayment(row._id, actor, { payFull: false, amountPaise: delta }, { tdsRule });
+    tdsPaise += cadTds.tdsOn(delta, tdsRule).tdsPaise;
     touchedEntryIds.push(row._id);
     remainingToApply -= delta;
   }
@@ -437,11 +646,57 @@ async function recordPaymentForCadUser(cadUserId, actor, { amountPaise, payFull
     appliedAmountRupees: paiseToRupees(appliedPaise),
     unappliedAmountPaise: remainingToApply,
     unappliedAmountRupees: paiseToRupees(remainingToApply),
+    /** Withheld from the applied amount; transfer netPayable to the operator. */
+    tdsPaise,
+    tdsRupees: paiseToRupees(tdsPaise),
+    netPayablePaise: appliedPaise - tdsPaise,
+    netPayableRupees: paiseToRupees(appliedPaise - tdsPaise),
+    tds: tdsRule,
     touchedEntryIds,
     summary: cadSummary,
   };
 }
 
+/**
+ * Batch payout: record a bank-confirmed tranche on an entry held by `runId` and release it.
+ * An entry no longer held by the run is left alone, so re-applying a response file is harmless.
+ * `tdsRule` is the rule frozen on the run line when it was built.
+ * @returns {Promise<number|null>} paise applied, or null when the entry was not held by the run
+ */
+async function applyPayoutRunTranche(entryId, runId, amountPaise, { actor = null, utr = null, tdsRule = null } = {}) {
+  const doc = await CadWalletLedger.findOne({ _id: entryId, payoutRun: runId });
+  if (!doc) return null;
+  const total = Math.max(0, Number(doc.amountPaise) || 0);
+  const currentPaid = effectivePaidPaise(doc);
+  const delta = Math.min(Math.max(0, Math.floor(Number(amountPaise) || 0)), Math.max(0, total - currentPaid));
+  if (delta > 0) {
+    doc.paidAmountPaise = currentPaid + delta;
+    doc.paymentLog.push({
+      amountPaise: delta,
+      recordedAt: new Date(),
+      recordedBy: actor?._id || null,
+      payoutRun: runId,
+      utr,
+      ...cadTds.tdsLogFields(tdsRule, delta),
+    });
+    if (doc.paidAmountPaise >= total) {
+      doc.status = CAD_WALLET_ENTRY_STATUS.PAID;
+      doc.paidAt = new Date();
+    }
+  }
+  doc.payoutRun = null;
+  await doc.save();
+  return delta;
+}
+
+/** Batch payout: free entries held by `runId` (run cancelled, line failed, or entry not allocated). */
+async function releasePayoutRunEntries(runId, entryIds = null) {
+  const filter = { payoutRun: runId };
+  if (entryIds) filter._id = { $in: entryIds };
+  const res = await CadWalletLedger.updateMany(filter, { $set: { payoutRun: null } });
+  return res?.modifiedCount ?? 0;
+}
+
 function ledgerEffectivePaidAddFields() {
   const paidStr = CAD_WALLET_ENTRY_STATUS.PAID;
   return [
@@ -453,15 +708,20 @@ function ledgerEffectivePaidAddFields() {
     {
       $addFields: {
         effectivePaidPaise: {
-          $min: [
-            "$amountPaise",
+          $max: [
+            0,
             {
-              $cond: [
-                { $eq: ["$status", paidStr] },
+              $min: [
+                "$amountPaise",
                 {
-                  $cond: [{ $gt: ["$_paidRaw", 0] }, "$_paidRaw", "$amountPaise"],
+                  $cond: [
+                    { $eq: ["$status", paidStr] },
+                    {
+                      $cond: [{ $gt: ["$_paidRaw", 0] }, "$_paidRaw", "$amountPaise"],
+                    },
+                    { $max: [0, "$_paidRaw"] },
+                  ],
                 },
-                { $max: [0, "$_paidRaw"] },
               ],
             },
           ],
@@ -528,7 +788,10 @@ async function syncCadWalletFromCompletedAssignments(cadUserId) {
       .lean();
     if (!upload) continue;
 
-    const history = Array.isArray(upload.cadDeliverableHistory) ? upload.cadDeliverableHistory : [];
+    // Only QC-released deliveries earn (pending / failed QC rows are skipped).
+    const history = (Array.isArray(upload.cadDeliverableHistory) ? upload.cadDeliverableHistory : []).filter(
+      isReleasedDelivery
+    );
     const hasInitial = history.some((h) => h && !h.isRevision);
     if (hasInitial) {
       await recordPendingEarningIfConfigured({
@@ -758,12 +1021,16 @@ module.exports = {
   getInitialDeliveryPayoutPaise,
   getRevisionDeliveryPayoutPaise,
   recordPendingEarningIfConfigured,
+  recordRefundClawback,
   getSummaryForCad,
   listTransactionsForCad,
   recordPayment,
   recordPaymentForCadUser,
   markEntryPaid,
+  applyPayoutRunTranche,
+  releasePayoutRunEntries,
   effectivePaidPaise,
+  tdsPaidPaise,
   paidPercentForDoc,
   getPendingPayoutSummaryForAdmin,
   syncCadWalletFromCompletedAssignments,
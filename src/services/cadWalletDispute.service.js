@@ -0,0 +1,345 @@
+/**
+ * CAD wallet disputes: a CAD user raises a missing credit or wrong amount against a wallet entry or an
+ * assignment, talks to admins in a message thread (attachments are the user's own uploads), and an admin
+ * resolves it — optionally posting a DISPUTE_ADJUSTMENT credit that the next payout run pays — or rejects it.
+ * Every state change is notified in-app to the CAD user; new disputes and CAD replies reach admins.
+ */
+
+const CadWalletDispute = require("../models/cad/CadWalletDispute");
+const { CAD_WALLET_DISPUTE_STATUS: STATUS } = CadWalletDispute;
+const CadWalletLedger = require("../models/cad/CadWalletLedger");
+const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
+const { USER_ROLES, CAD_WALLET_ENTRY_KIND, CAD_WALLET_ENTRY_STATUS } = require("../config/constants");
+const notificationService = require("./notification.service");
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../utils/errors");
+const { displayName } = require("../utils/userDisplay");
+const { rolesEqual } = require("../utils/roleNormalize");
+const logger = require("../utils/logger");
+
+const OPEN_STATUSES = [STATUS.OPEN, STATUS.UNDER_REVIEW];
+const NOTIFICATION_TYPE = "CAD_WALLET_DISPUTE";
+const ADMIN_ROLES = [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN];
+
+const populated = (ref) => (ref && typeof ref === "object" && ref.name !== undefined ? ref : null);
+const idOf = (ref) => (ref ? String(ref._id || ref) : null);
+
+function presentMessage(m) {
+  const author = populated(m.author);
+  return {
+    id: idOf(m._id),
+    authorId: idOf(m.author),
+    authorName: displayName(author),
+    authorRole: m.authorRole,
+    body: m.body,
+    attachments: m.attachments || [],
+    createdAt: m.createdAt || null,
+  };
+}
+
+function present(dispute, { withMessages = true } = {}) {
+  const user = populated(dispute.cadUser);
+  const messages = dispute.messages || [];
+  const resolution = dispute.resolution || {};
+  return {
+    id: String(dispute._id),
+    cadUserId: idOf(dispute.cadUser),
+    cadUserName: displayName(user),
+    ledgerEntryId: idOf(dispute.ledgerEntry),
+    assignmentId: idOf(dispute.assignment),
+    category: dispute.category,
+    subject: dispute.subject,
+    status: dispute.status,
+    messageCount: messages.length,
+    ...(withMessages ? { messages: messages.map(presentMessage) } : {}),
+    lastMessageAt: dispute.lastMessageAt || null,
+    review: dispute.review?.at ? { by: idOf(dispute.review.by), at: dispute.review.at } : null,
+    resolution: resolution.at
+      ? {
+          by: idOf(resolution.by),
+          at: resolution.at,
+          note: resolution.note || null,
+          adjustmentPaise: resolution.adjustmentPaise || 0,
+          adjustmentRupees: (resolution.adjustmentPaise || 0) / 100,
+          adjustmentEntryId: idOf(resolution.adjustmentEntry),
+        }
+      : null,
+    createdAt: dispute.createdAt || null,
+    updatedAt: dispute.updatedAt || null,
+  };
+}
+
+const MESSAGES = {
+  OPENED: (d) => `Your wallet dispute "${d.subject}" was received. We will get back to you here.`,
+  UNDER_REVIEW: (d) => `Your wallet dispute "${d.subject}" is under review.`,
+  RESOLVED: (d) =>
+    d.resolution?.adjustmentPaise > 0
+      ? `Your wallet dispute "${d.subject}" was resolved: ₹${d.resolution.adjustmentPaise / 100} was credited to your wallet.`
+      : `Your wallet dispute "${d.subject}" was resolved.`,
+  REJECTED: (d) => `Your wallet dispute "${d.subject}" was rejected. See the reply for the reason.`,
+  REPLY: (d) => `New reply on your wallet dispute "${d.subject}".`,
+};
+
+const ADMIN_MESSAGES = {
+  OPENED: (d) => `New CAD wallet dispute (${d.category}): "${d.subject}".`,
+  REPLY: (d) => `CAD user replied on wallet dispute "${d.subject}".`,
+};
+
+/** In-app notification to the CAD user, or to admins for `audience: "ADMIN"`; never fails the workflow step. */
+async function notifyDispute(dispute, event, { audience = "CAD" } = {}) {
+  const admins = audience === "ADMIN";
+  try {
+    await notificationService.create({
+      type: NOTIFICATION_TYPE,
+      title: "Wallet dispute",
+      message: (admins ? ADMIN_MESSAGES : MESSAGES)[event](dispute),
+      entityType: "CadWalletDispute",
+      entityId: dispute._id,
+      data: { event, status: dispute.status, category: dispute.category },
+      targetUsers: admins ? [] : [dispute.cadUser],
+      targetRoles: admins ? ADMIN_ROLES : [],
+    });
+  } catch (err) {
+    logger.error("cadWalletDispute notify failed", err, { disputeId: String(dispute._id), event, audience });
+  }
+}
+
+/** CAD users may only attach their own uploads (uploads/<type>/user/<id>/…); admins attach anything. */
+function assertAttachmentsOwned(actor, attachments) {
+  if (!rolesEqual(actor.role, USER_ROLES.CAD)) return;
+  const marker = `/user/${String(actor._id)}/`;
+  const foreign = (attachments || []).find((a) => !String(a.url).includes(marker));
+  if (foreign) {
+    throw new ForbiddenError("Attach files you uploaded through POST /api/upload/image", {
+      code: "CAD_WALLET_DISPUTE_ATTACHMENT_FORBIDDEN",
+      errors: [{ field: "attachments", message: foreign.fileName || "Not your upload" }],
+    });
+  }
+}
+
+function buildMessage(actor, { message, attachments }) {
+  return {
+    author: actor._id,
+    authorRole: rolesEqual(actor.role, USER_ROLES.CAD) ? "CAD" : "ADMIN",
+    body: message,
+    attachments: attachments || [],
+    createdAt: new Date(),
+  };
+}
+
+async function loadDispute(disputeId, { cadUserId } = {}) {
+  const dispute = await CadWalletDispute.findById(disputeId);
+  if (!dispute || (cadUserId && String(dispute.cadUser) !== String(cadUserId))) {
+    throw new NotFoundError("Wallet dispute not found", { code: "CAD_WALLET_DISPUTE_NOT_FOUND" });
+  }
+  return dispute;
+}
+
+function assertStatus(dispute, allowed) {
+  if (!allowed.includes(dispute.status)) {
+    throw new ConflictError(`Wallet dispute is ${dispute.status}`, { code: "CAD_WALLET_DISPUTE_STATE" });
+  }
+}
+
+/**
+ * CAD user: open a dispute on one of their wallet entries and/or assignments.
+ * @param {{ _id: unknown, role: string }} actor - the CAD user
+ * @param {{ ledgerEntryId?: string, assignmentId?: string, category: string, subject: string, message: string,
+ *   attachments: object[] }} payload - validated (schemas.cadWalletDisputeCreate)
+ */
+async function openDispute(actor, { ledgerEntryId, assignmentId, category, subject, message, attachments }) {
+  assertAttachmentsOwned(actor, attachments);
+  let assignment = assignmentId || null;
+  if (ledgerEntryId) {
+    const entry = await CadWalletLedger.findById(ledgerEntryId).select("cadUser assignment").lean();
+    if (!entry || String(entry.cadUser) !== String(actor._id)) {
+      throw new NotFoundError("Wallet entry not found", { code: "CAD_WALLET_ENTRY_NOT_FOUND" });
+    }
+    if (assignment && entry.assignment && String(entry.assignment) !== String(assignment)) {
+      throw new BadRequestError("Wallet entry belongs to a different assignment", {
+        code: "CAD_WALLET_DISPUTE_LINK_MISMATCH",
+      });
+    }
+    assignment = assignment || (entry.assignment ? String(entry.assignment) : null);
+  }
+  if (assignmentId) {
+    const row = await SurveySketchAssignment.findById(assignmentId).select("assignedTo").lean();
+    if (!row || String(row.assignedTo) !== String(actor._id)) {
+      throw new NotFoundError("Assignment not found", { code: "ASSIGNMENT_NOT_FOUND" });
+    }
+  }
+
+  // One open dispute per wallet entry, or per assignment when no entry is named (e.g. a missing credit).
+  const link = ledgerEntryId ? { ledgerEntry: ledgerEntryId } : { assignment, ledgerEntry: null };
+  const open = await CadWalletDispute.findOne({ cadUser: actor._id, status: { $in: OPEN_STATUSES }, ...link })
+    .select("_id status")
+    .lean();
+  if (open) {
+    throw new ConflictError(`A dispute about this is already ${open.status}; reply on it instead`, {
+      code: "CAD_WALLET_DISPUTE_OPEN",
+      errors: [{ field: "disputeId", message: String(open._id) }],
+    });
+  }
+
+  const first = buildMessage(actor, { message, attachments });
+  const dispute = new CadWalletDispute({
+    cadUser: actor._id,
+    ledgerEntry: ledgerEntryId || null,
+    assignment,
+    category,
+    subject,
+    messages: [first],
+    lastMessageAt: first.createdAt,
+  });
+  await dispute.save();
+  await notifyDispute(dispute, "OPENED");
+  await notifyDispute(dispute, "OPENED", { audience: "ADMIN" });
+  return present(dispute.toObject());
+}
+
+async function listDisputes({ cadUserId, status, page = 1, limit = 20 } = {}) {
+  const size = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const p = Math.max(Number(page) || 1, 1);
+  const query = {};
+  if (cadUserId) query.cadUser = cadUserId;
+  if (status) query.status = String(status).toUpperCase();
+  const [rows, total] = await Promise.all([
+    CadWalletDispute.find(query)
+      .populate("cadUser", "name")
+      .sort({ updatedAt: -1 })
+      .skip((p - 1) * size)
+      .limit(size)
+      .lean(),
+    CadWalletDispute.countDocuments(query),
+  ]);
+  return { data: rows.map((d) => present(d, { withMessages: false })), page: p, limit: size, total };
+}
+
+/** One dispute with its thread; `cadUserId` limits it to that CAD user's own disputes. */
+async function getDispute(disputeId, { cadUserId } = {}) {
+  const dispute = await CadWalletDispute.findById(disputeId)
+    .populate("cadUser", "name")
+    .populate("messages.author", "name")
+    .lean();
+  if (!dispute || (cadUserId && idOf(dispute.cadUser) !== String(cadUserId))) {
+    throw new NotFoundError("Wallet dispute not found", { code: "CAD_WALLET_DISPUTE_NOT_FOUND" });
+  }
+  return present(dispute);
+}
+
+/** CAD user (own disputes) or admin: reply on an open dispute; the other side is notified. */
+async function addMessage(actor, disputeId, payload) {
+  const isCad = rolesEqual(actor.role, USER_ROLES.CAD);
+  const dispute = await loadDispute(disputeId, { cadUserId: isCad ? actor._id : undefined });
+  assertStatus(dispute, OPEN_STATUSES);
+  assertAttachmentsOwned(actor, payload.attachments);
+  const message = buildMessage(actor, payload);
+  dispute.messages.push(message);
+  dispute.lastMessageAt = message.createdAt;
+  await dispute.save();
+  await notifyDispute(dispute, "REPLY", { audience: isCad ? "ADMIN" : "CAD" });
+  return getDispute(dispute._id);
+}
+
+/** Admin: pick up an OPEN dispute. */
+async function startReview(actor, disputeId) {
+  const dispute = await loadDispute(disputeId);
+  assertStatus(dispute, [STATUS.OPEN]);
+  dispute.status = STATUS.UNDER_REVIEW;
+  dispute.review = { by: actor._id, at: new Date() };
+  await dispute.save();
+  await notifyDispute(dispute, "UNDER_REVIEW");
+  return getDispute(dispute._id);
+}
+
+/**
+ * Admin: resolve an open dispute. A positive `adjustmentPaise` posts one DISPUTE_ADJUSTMENT credit (PENDING,
+ * paid like any other entry); the status is claimed first so two admins cannot both credit it.
+ */
+async function resolveDispute(actor, disputeId, { note, adjustmentPaise = 0 }) {
+  const now = new Date();
+  const claimed = await CadWalletDispute.findOneAndUpdate(
+    { _id: disputeId, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status: STATUS.RESOLVED,
+        resolution: { by: actor._id, at: now, note, adjustmentPaise, adjustmentEntry: null },
+        lastMessageAt: now,
+      },
+      $push: { messages: buildMessage(actor, { message: note, attachments: [] }) },
+    },
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    assertStatus(await loadDispute(disputeId), OPEN_STATUSES);
+    throw new ConflictError("Wallet dispute changed while resolving; retry", { code: "CAD_WALLET_DISPUTE_STATE" });
+  }
+
+  if (adjustmentPaise > 0) {
+    try {
+      const entry = await CadWalletLedger.findOneAndUpdate(
+        { dispute: claimed._id, kind: CAD_WALLET_ENTRY_KIND.DISPUTE_ADJUSTMENT },
+        {
+          $setOnInsert: {
+            cadUser: claimed.cadUser,
+            assignment: claimed.assignment || null,
+            kind: CAD_WALLET_ENTRY_KIND.DISPUTE_ADJUSTMENT,
+            revisionNo: null,
+            amountPaise: adjustmentPaise,
+            dispute: claimed._id,
+            paidAmountPaise: 0,
+            paymentLog: [],
+            status: CAD_WALLET_ENTRY_STATUS.PENDING,
+          },
+        },
+        { upsert: true, new: true }
+      ).lean();
+      await CadWalletDispute.updateOne({ _id: claimed._id }, { $set: { "resolution.adjustmentEntry": entry._id } });
+      claimed.resolution.adjustmentEntry = entry._id;
+    } catch (err) {
+      // No credit, no resolution: reopen for review so the admin can retry.
+      await CadWalletDispute.updateOne(
+        { _id: claimed._id, status: STATUS.RESOLVED },
+        { $set: { status: STATUS.UNDER_REVIEW, "resolution.at": null } }
+      );
+      if (err?.code === 11000) {
+        // Only an index from before dispute adjustments existed can reject this insert: raise it, don't retry.
+        logger.warn("ALERT_CAD_WALLET_DISPUTE_ADJUSTMENT_INDEX", {
+          disputeId: String(claimed._id),
+          index: err.keyPattern || null,
+          action: "run scripts/migrate-superseded-indexes.js",
+        });
+        throw new ConflictError("Adjustment credit rejected by a superseded wallet ledger index; retry after migration", {
+          code: "CAD_WALLET_DISPUTE_ADJUSTMENT_CONFLICT",
+        });
+      }
+      logger.error("cadWalletDispute adjustment failed", err, { disputeId: String(claimed._id) });
+      throw err;
+    }
+  }
+  await notifyDispute(claimed, "RESOLVED");
+  return getDispute(claimed._id);
+}
+
+/** Admin: reject an open dispute; the reason is posted on the thread. */
+async function rejectDispute(actor, disputeId, { reason }) {
+  const dispute = await loadDispute(disputeId);
+  assertStatus(dispute, OPEN_STATUSES);
+  const now = new Date();
+  dispute.status = STATUS.REJECTED;
+  dispute.resolution = { by: actor._id, at: now, note: reason, adjustmentPaise: 0, adjustmentEntry: null };
+  dispute.messages.push(buildMessage(actor, { message: reason, attachments: [] }));
+  dispute.lastMessageAt = now;
+  await dispute.save();
+  await notifyDispute(dispute, "REJECTED");
+  return getDispute(dispute._id);
+}
+
+module.exports = {
+  openDispute,
+  listDisputes,
+  getDispute,
+  addMessage,
+  startReview,
+  resolveDispute,
+  rejectDispute,
+};
@@ -0,0 +1,83 @@
+const CadTdsSettings = require("../../models/config/CadTdsSettings");
+const { CAD_TDS_DEFAULTS } = require("../../config/cadTds");
+const { BadRequestError } = require("../../utils/errors");
+
+const SETTINGS_SELECT =
+  "key enabled deductor section rate194CIndividualBps rate194COtherBps rate194JBps noPanRateBps updatedBy createdAt updatedAt";
+const RATE_FIELDS = ["rate194CIndividualBps", "rate194COtherBps", "rate194JBps", "noPanRateBps"];
+
+/** Stored settings with defaults applied — what the next payout tranche is taxed with. */
+function effective(doc) {
+  const out = {
+    enabled: !!doc?.enabled && !!doc?.deductor?.tan,
+    deductor: {
+      name: doc?.deductor?.name || null,
+      tan: doc?.deductor?.tan || null,
+    },
+    section: doc?.section || CAD_TDS_DEFAULTS.section,
+  };
+  for (const field of RATE_FIELDS) out[field] = doc?.[field] ?? CAD_TDS_DEFAULTS[field];
+  return out;
+}
+
+function present(doc) {
+  return {
+    key: doc?.key || CadTdsSettings.settingsKey,
+    ...effective(doc),
+    updatedBy: doc?.updatedBy || null,
+    updatedAt: doc?.updatedAt || null,
+  };
+}
+
+async function getSettings() {
+  const doc = await CadTdsSettings.findOne({ key: CadTdsSettings.settingsKey })
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/**
+ * @param {{ enabled?: boolean, deductor?: { name?: string|null, tan?: string|null }, section?: string|null,
+ *   rate194CIndividualBps?: number|null, rate194COtherBps?: number|null, rate194JBps?: number|null,
+ *   noPanRateBps?: number|null }} payload - validated (schemas.cadTdsSettingsUpdate); null clears to default
+ */
+async function updateSettings(payload, actor) {
+  const key = CadTdsSettings.settingsKey;
+  const current = await CadTdsSettings.findOne({ key }).select("enabled deductor").lean();
+  const enabled = payload.enabled ?? !!current?.enabled;
+  const tan = payload.deductor?.tan !== undefined ? payload.deductor.tan : current?.deductor?.tan;
+  if (enabled && !tan) {
+    throw new BadRequestError("Set the deductor TAN before enabling TDS", {
+      code: "CAD_TDS_TAN_REQUIRED",
+      errors: [{ field: "deductor.tan", message: "Required when TDS is enabled" }],
+    });
+  }
+
+  const $set = { updatedBy: actor?._id || null };
+  for (const [field, value] of Object.entries(payload.deductor || {})) $set[`deductor.${field}`] = value;
+  for (const field of ["enabled", "section", ...RATE_FIELDS]) {
+    if (payload[field] !== undefined) $set[field] = payload[field];
+  }
+  const doc = await CadTdsSettings.findOneAndUpdate(
+    { key },
+    { $set, $setOnInsert: { key } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  )
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/** Settings for taxing a payout now. */
+async function resolveSettings() {
+  const doc = await CadTdsSettings.findOne({ key: CadTdsSettings.settingsKey }).select(SETTINGS_SELECT).lean();
+  return effective(doc);
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  resolveSettings,
+};
@@ -0,0 +1,75 @@
+const InvoiceSettings = require("../../models/config/InvoiceSettings");
+const { TAX_INVOICE_DEFAULTS } = require("../../config/taxInvoice");
+
+const SETTINGS_SELECT = "key seller sacCode gstRateBps numberPrefix serviceDescription updatedBy createdAt updatedAt";
+
+/** Stored settings with defaults applied — what the next tax document is issued with. */
+function effective(doc) {
+  const seller = doc?.seller || {};
+  const gstin = seller.gstin || null;
+  return {
+    seller: {
+      legalName: seller.legalName || null,
+      gstin,
+      address: seller.address || null,
+      stateCode: seller.stateCode || (gstin ? gstin.slice(0, 2) : TAX_INVOICE_DEFAULTS.stateCode),
+      email: seller.email || null,
+    },
+    gstRegistered: !!gstin,
+    sacCode: doc?.sacCode || TAX_INVOICE_DEFAULTS.sacCode,
+    gstRateBps: doc?.gstRateBps ?? TAX_INVOICE_DEFAULTS.gstRateBps,
+    numberPrefix: doc?.numberPrefix || TAX_INVOICE_DEFAULTS.numberPrefix,
+    serviceDescription: doc?.serviceDescription || TAX_INVOICE_DEFAULTS.serviceDescription,
+  };
+}
+
+function present(doc) {
+  return {
+    key: doc?.key || InvoiceSettings.settingsKey,
+    ...effective(doc),
+    updatedBy: doc?.updatedBy || null,
+    updatedAt: doc?.updatedAt || null,
+  };
+}
+
+async function getSettings() {
+  const doc = await InvoiceSettings.findOne({ key: InvoiceSettings.settingsKey })
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/**
+ * @param {{ seller?: object, sacCode?: string|null, gstRateBps?: number|null, numberPrefix?: string|null,
+ *   serviceDescription?: string|null }} payload - validated (schemas.invoiceSettingsUpdate); null clears to default
+ */
+async function updateSettings(payload, actor) {
+  const $set = { updatedBy: actor?._id || null };
+  for (const [field, value] of Object.entries(payload.seller || {})) $set[`seller.${field}`] = value;
+  for (const field of ["sacCode", "gstRateBps", "numberPrefix", "serviceDescription"]) {
+    if (payload[field] !== undefined) $set[field] = payload[field];
+  }
+  const key = InvoiceSettings.settingsKey;
+  const doc = await InvoiceSettings.findOneAndUpdate(
+    { key },
+    { $set, $setOnInsert: { key } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  )
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/** Settings for issuing a document now. */
+async function resolveSettings() {
+  const doc = await InvoiceSettings.findOne({ key: InvoiceSettings.settingsKey }).select(SETTINGS_SELECT).lean();
+  return effective(doc);
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  resolveSettings,
+};
@@ -0,0 +1,83 @@
+const PaymentProviderSettings = require("../../models/config/PaymentProviderSettings");
+const { PAYMENT_PURPOSE, PAYMENT_PROVIDER } = require("../../models/payment/PaymentAttempt");
+const { BadRequestError } = require("../../utils/errors");
+const {
+  getProvider,
+  listProviders,
+  normalizeProviderName,
+} = require("../payment/paymentProvider.service");
+
+const SETTINGS_SELECT = "key purposeProviders updatedBy createdAt updatedAt";
+
+/** PAYMENT_PROVIDER_DEFAULT env, else PHONEPE. */
+function defaultProviderName() {
+  return normalizeProviderName(process.env.PAYMENT_PROVIDER_DEFAULT) || PAYMENT_PROVIDER.PHONEPE;
+}
+
+function present(doc) {
+  const overrides = doc?.purposeProviders || {};
+  const fallback = defaultProviderName();
+  const effective = {};
+  for (const purpose of Object.values(PAYMENT_PURPOSE)) {
+    effective[purpose] = overrides[purpose] || fallback;
+  }
+  return {
+    key: doc?.key || PaymentProviderSettings.settingsKey,
+    defaultProvider: fallback,
+    purposeProviders: effective,
+    overrides: Object.fromEntries(Object.values(PAYMENT_PURPOSE).map((p) => [p, overrides[p] || null])),
+    providers: listProviders(),
+    updatedBy: doc?.updatedBy || null,
+    updatedAt: doc?.updatedAt || null,
+  };
+}
+
+async function getSettings() {
+  const key = PaymentProviderSettings.settingsKey;
+  const doc = await PaymentProviderSettings.findOne({ key })
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/**
+ * @param {{ purposeProviders: Record<string, string|null> }} payload - null clears back to the default
+ */
+async function updateSettings(payload, actor) {
+  const $set = { updatedBy: actor?._id || null };
+  for (const [purpose, name] of Object.entries(payload.purposeProviders || {})) {
+    if (name && !getProvider(name).isConfigured()) {
+      throw new BadRequestError(`Payment provider ${name} is not configured in this environment`, {
+        code: "PAYMENT_PROVIDER_NOT_CONFIGURED",
+        errors: [{ field: `purposeProviders.${purpose}`, message: "Provider not configured" }],
+      });
+    }
+    $set[`purposeProviders.${purpose}`] = name || null;
+  }
+  const key = PaymentProviderSettings.settingsKey;
+  const doc = await PaymentProviderSettings.findOneAndUpdate(
+    { key },
+    { $set, $setOnInsert: { key } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+    .select(SETTINGS_SELECT)
+    .populate("updatedBy", "name role")
+    .lean();
+  return present(doc);
+}
+
+/** Gateway name for a new checkout of `purpose`. */
+async function resolveProviderName(purpose) {
+  const doc = await PaymentProviderSettings.findOne({ key: PaymentProviderSettings.settingsKey })
+    .select("purposeProviders")
+    .lean();
+  return doc?.purposeProviders?.[purpose] || defaultProviderName();
+}
+
+module.exports = {
+  defaultProviderName,
+  getSettings,
+  updateSettings,
+  resolveProviderName,
+};
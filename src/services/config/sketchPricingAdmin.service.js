@@ -6,6 +6,7 @@
 const SurveySketchStandardPricing = require("../../models/config/SurveySketchStandardPricing");
 const { PRICING_KEY, ensureLegacyPricingMigrated } = require("../sketchStandardPricing.repository");
 const sketchPaymentPricing = require("../sketchPaymentPricing.service");
+const pricingVersions = require("./sketchPricingVersion.service");
 const { getApprovedSketchOrderPricing } = require("../../config/sketchOrderPricing");
 const { BadRequestError } = require("../../utils/errors");
 
@@ -14,6 +15,7 @@ const DISCOUNT_FIELDS = [
   "sketchRevisionDiscountRupees",
   "sketchBalanceDiscountRupees",
   "sketchSuperimposeDiscountRupees",
+  "sketchExpressDiscountRupees",
 ];
 
 const PLAN_FIELDS = [
@@ -21,6 +23,7 @@ const PLAN_FIELDS = [
   "sketchRevisionPlanAmountRupees",
   "sketchBalancePlanAmountRupees",
   "sketchSuperimposePlanAmountRupees",
+  "sketchExpressPlanAmountRupees",
 ];
 
 const PLAN_TO_CONTRACT = {
@@ -28,6 +31,7 @@ const PLAN_TO_CONTRACT = {
   sketchRevisionPlanAmountRupees: "revisionRupees",
   sketchBalancePlanAmountRupees: "balanceRupees",
   sketchSuperimposePlanAmountRupees: "superimposeRupees",
+  sketchExpressPlanAmountRupees: "expressRupees",
 };
 
 function assertNonNegNumberOrNull(field, value) {
@@ -43,7 +47,7 @@ function assertNonNegNumberOrNull(field, value) {
 }
 
 async function getPricingSettings() {
-  await ensureLegacyPricingMigrated();
+  await Promise.all([ensureLegacyPricingMigrated(), pricingVersions.ensurePricingVersionsLoaded()]);
   const doc = await SurveySketchStandardPricing.findOneAndUpdate(
     { key: PRICING_KEY },
     { $setOnInsert: { key: PRICING_KEY } },
@@ -66,6 +70,8 @@ async function getPricingSettings() {
     sketchBalanceDiscountRupees: doc?.sketchBalanceDiscountRupees ?? null,
     sketchSuperimposePlanAmountRupees: contract.superimposeRupees,
     sketchSuperimposeDiscountRupees: doc?.sketchSuperimposeDiscountRupees ?? null,
+    sketchExpressPlanAmountRupees: contract.expressRupees,
+    sketchExpressDiscountRupees: doc?.sketchExpressDiscountRupees ?? null,
     pricingContract: pricing.pricingContract,
     pricing,
     updatedBy: doc?.updatedBy ?? null,
@@ -75,7 +81,7 @@ async function getPricingSettings() {
 }
 
 async function updatePricingSettings(payload, actor) {
-  await ensureLegacyPricingMigrated();
+  await Promise.all([ensureLegacyPricingMigrated(), pricingVersions.ensurePricingVersionsLoaded()]);
   const contract = getApprovedSketchOrderPricing();
   const $set = {};
 
@@ -90,7 +96,7 @@ async function updatePricingSettings(payload, actor) {
     const n = assertNonNegNumberOrNull(f, payload[f]);
     if (n !== expected) {
       throw new BadRequestError(
-        `${f} is server-owned (contract ${contract.version}). Expected ₹${expected} or null; got ₹${n}. Change discounts only, or bump finance contract version.`,
+        `${f} is server-owned (contract ${contract.version}). Expected ₹${expected} or null; got ₹${n}. Change discounts only, or schedule a new pricing version.`,
         {
           code: "SKETCH_PLAN_LOCKED_TO_CONTRACT",
           errors: [{ field: f, message: `Must be ${expected} or null` }],
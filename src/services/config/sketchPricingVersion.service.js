@@ -0,0 +1,225 @@
+/**
+ * Scheduled sketch pricing versions (BIZ-09 contract in Mongo): admin schedules, cancels and lists them;
+ * pricing reads load them into config/sketchOrderPricing, which picks the one in force by time.
+ *
+ * Each warm instance reloads at most every SKETCH_PRICING_CACHE_TTL_MS (default 60s). A version must be
+ * scheduled at least that far ahead, so every instance already holds it when effectiveFrom passes and
+ * the switch happens on time without a deploy or a reload.
+ */
+
+const SketchPricingVersion = require("../../models/config/SketchPricingVersion");
+const {
+  getApprovedSketchOrderPricing,
+  getUpcomingSketchOrderPricing,
+  setStoredSketchPricingVersions,
+  defaultPublicCopy,
+  assertAlignedWithCadPayout,
+  APPROVED_SKETCH_ORDER_PRICING,
+} = require("../../config/sketchOrderPricing");
+const { BadRequestError, ConflictError, NotFoundError } = require("../../utils/errors");
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+let loadedAt = 0;
+
+function cacheTtlMs() {
+  const n = Number(process.env.SKETCH_PRICING_CACHE_TTL_MS);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_CACHE_TTL_MS;
+}
+
+/** Live version plus every upcoming one — all the sync resolver ever needs. */
+async function loadPricingVersions(now = new Date()) {
+  const [live, upcoming] = await Promise.all([
+    SketchPricingVersion.findOne({ cancelledAt: null, effectiveFrom: { $lte: now } })
+      .sort({ effectiveFrom: -1 })
+      .lean(),
+    SketchPricingVersion.find({ cancelledAt: null, effectiveFrom: { $gt: now } })
+      .sort({ effectiveFrom: 1 })
+      .lean(),
+  ]);
+  setStoredSketchPricingVersions([...(live ? [live] : []), ...upcoming]);
+  loadedAt = Date.now();
+}
+
+async function ensurePricingVersionsLoaded() {
+  if (loadedAt && Date.now() - loadedAt < cacheTtlMs()) return;
+  await loadPricingVersions();
+}
+
+function versionStatus(row, liveId, now) {
+  if (row.cancelledAt) return "CANCELLED";
+  if (new Date(row.effectiveFrom) > now) return "UPCOMING";
+  return String(row._id) === liveId ? "ACTIVE" : "SUPERSEDED";
+}
+
+function present(row, status) {
+  return {
+    id: String(row._id),
+    version: row.version,
+    status,
+    effectiveFrom: row.effectiveFrom,
+    grossPaise: row.grossPaise,
+    bookingPaise: row.bookingPaise,
+    balancePaise: row.balancePaise,
+    revisionPaise: row.revisionPaise,
+    superimposePaise: row.superimposePaise,
+    expressPaise: row.expressPaise,
+    grossRupees: row.grossPaise / 100,
+    bookingRupees: row.bookingPaise / 100,
+    balanceRupees: row.balancePaise / 100,
+    revisionRupees: row.revisionPaise / 100,
+    superimposeRupees: row.superimposePaise / 100,
+    expressRupees: row.expressPaise != null ? row.expressPaise / 100 : null,
+    publicCopy: row.publicCopy || defaultPublicCopy(row),
+    approval: {
+      approvedBy: row.approval?.approvedBy || null,
+      approvedAt: row.approval?.approvedAt || null,
+      reference: row.approval?.reference || null,
+    },
+    createdBy: row.createdBy || null,
+    createdAt: row.createdAt || null,
+    cancelledAt: row.cancelledAt || null,
+    cancelledBy: row.cancelledBy || null,
+    cancelReason: row.cancelReason || null,
+  };
+}
+
+async function liveVersionId(now) {
+  const live = await SketchPricingVersion.findOne({ cancelledAt: null, effectiveFrom: { $lte: now } })
+    .sort({ effectiveFrom: -1 })
+    .select("_id")
+    .lean();
+  return live ? String(live._id) : null;
+}
+
+/** Admin history, newest effectiveFrom first, with the contract currently charged. */
+async function listPricingVersions({ page = 1, limit = 50 } = {}) {
+  const now = new Date();
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const p = Math.max(Number(page) || 1, 1);
+  const [rows, total, liveId] = await Promise.all([
+    SketchPricingVersion.find({})
+      .sort({ effectiveFrom: -1 })
+      .skip((p - 1) * size)
+      .limit(size)
+      .populate("createdBy", "name role")
+      .populate("cancelledBy", "name role")
+      .lean(),
+    SketchPricingVersion.countDocuments({}),
+    liveVersionId(now),
+  ]);
+  await ensurePricingVersionsLoaded();
+  return {
+    current: getApprovedSketchOrderPricing(now),
+    upcoming: getUpcomingSketchOrderPricing(now),
+    items: rows.map((r) => present(r, versionStatus(r, liveId, now))),
+    page: p,
+    limit: size,
+    total,
+  };
+}
+
+/**
+ * @param {{ version: string, effectiveFrom: Date, approvedBy: string, approvedAt?: Date,
+ *   approvalReference?: string, publicCopy?: string, amounts: Record<string, number> }} payload - paise amounts
+ */
+async function schedulePricingVersion(payload, actor) {
+  const now = new Date();
+  const leadMs = cacheTtlMs();
+  const effectiveFrom = payload.effectiveFrom;
+  if (effectiveFrom.getTime() < now.getTime() + leadMs) {
+    throw new BadRequestError(
+      `effectiveFrom must be at least ${Math.ceil(leadMs / 1000)}s in the future so every instance switches on time`,
+      { code: "SKETCH_PRICING_EFFECTIVE_TOO_SOON", errors: [{ field: "effectiveFrom", message: "Too soon" }] }
+    );
+  }
+  const approvedAt = payload.approvedAt || now;
+  if (approvedAt > now) {
+    throw new BadRequestError("approvedAt cannot be in the future", {
+      code: "SKETCH_PRICING_APPROVAL_INVALID",
+      errors: [{ field: "approvedAt", message: "Future date" }],
+    });
+  }
+  if (payload.version === APPROVED_SKETCH_ORDER_PRICING.version) {
+    throw new ConflictError(`${payload.version} is the code baseline; pick a new version label`, {
+      code: "SKETCH_PRICING_VERSION_EXISTS",
+    });
+  }
+  const clash = await SketchPricingVersion.findOne({ cancelledAt: null, effectiveFrom }).select("version").lean();
+  if (clash) {
+    throw new ConflictError(`${clash.version} already takes effect at that time`, {
+      code: "SKETCH_PRICING_EFFECTIVE_CLASH",
+      errors: [{ field: "effectiveFrom", message: "Another version starts then" }],
+    });
+  }
+
+  // Omitted lines carry over from whatever will be charged just before the switch.
+  await loadPricingVersions(now);
+  const previous = getApprovedSketchOrderPricing(new Date(effectiveFrom.getTime() - 1));
+  const amounts = {
+    bookingPaise: previous.bookingPaise,
+    balancePaise: previous.balancePaise,
+    revisionPaise: previous.revisionPaise,
+    superimposePaise: previous.superimposePaise,
+    expressPaise: previous.expressPaise,
+    ...payload.amounts,
+  };
+  amounts.grossPaise = amounts.bookingPaise + amounts.balancePaise;
+  if (amounts.grossPaise <= 0) {
+    throw new BadRequestError("booking + balance must be above ₹0", {
+      code: "SKETCH_PRICING_INCONSISTENT",
+      errors: [{ field: "bookingRupees", message: "Gross would be ₹0" }],
+    });
+  }
+  // Refused here rather than at the next deploy gate, after surveyors were already charged the mismatch.
+  assertAlignedWithCadPayout(amounts);
+
+  let doc;
+  try {
+    doc = await SketchPricingVersion.create({
+      version: payload.version,
+      effectiveFrom,
+      ...amounts,
+      publicCopy: payload.publicCopy || null,
+      approval: { approvedBy: payload.approvedBy, approvedAt, reference: payload.approvalReference || null },
+      createdBy: actor?._id || null,
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError(`Pricing version ${payload.version} already exists`, {
+        code: "SKETCH_PRICING_VERSION_EXISTS",
+      });
+    }
+    throw err;
+  }
+  await loadPricingVersions();
+  return present(doc.toObject(), "UPCOMING");
+}
+
+/** Withdraw a version before it takes effect; versions already charged stay as history. */
+async function cancelPricingVersion(versionId, actor, { reason = null } = {}) {
+  const now = new Date();
+  const doc = await SketchPricingVersion.findOneAndUpdate(
+    { _id: versionId, cancelledAt: null, effectiveFrom: { $gt: now } },
+    { $set: { cancelledAt: now, cancelledBy: actor?._id || null, cancelReason: reason } },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    const existing = await SketchPricingVersion.findById(versionId).select("cancelledAt").lean();
+    if (!existing) throw new NotFoundError("Pricing version not found", { code: "SKETCH_PRICING_VERSION_NOT_FOUND" });
+    throw new ConflictError(
+      existing.cancelledAt ? "Pricing version is already cancelled" : "Pricing version is already in effect",
+      { code: "SKETCH_PRICING_VERSION_LOCKED" }
+    );
+  }
+  await loadPricingVersions();
+  return present(doc, "CANCELLED");
+}
+
+module.exports = {
+  loadPricingVersions,
+  ensurePricingVersionsLoaded,
+  listPricingVersions,
+  schedulePricingVersion,
+  cancelPricingVersion,
+};
@@ -1,5 +1,29 @@
 const SurveySketchAssignmentFlow = require("../../models/config/SurveySketchAssignmentFlow");
 const { BadRequestError } = require("../../utils/errors");
+const { AUTO_ASSIGN_MODE } = require("../../config/constants");
+const {
+  ROUTING_FACTORS,
+  normalizeRoutingWeights,
+  normalizeMaxJobsPerCadUser,
+} = require("../autoAssignRouting.service");
+
+const SETTINGS_SELECT =
+  "key autoAssignEnabled autoAssignMode maxConcurrentJobsPerCadUser routingWeights updatedBy createdAt updatedAt";
+
+function normalizeMode(raw) {
+  return Object.values(AUTO_ASSIGN_MODE).includes(raw) ? raw : AUTO_ASSIGN_MODE.CENTER_POOL;
+}
+
+/** Fill defaults for docs created before mode / weights existed. */
+function withRoutingDefaults(doc) {
+  if (!doc) return doc;
+  return {
+    ...doc,
+    autoAssignMode: normalizeMode(doc.autoAssignMode),
+    maxConcurrentJobsPerCadUser: normalizeMaxJobsPerCadUser(doc.maxConcurrentJobsPerCadUser),
+    routingWeights: normalizeRoutingWeights(doc.routingWeights),
+  };
+}
 
 async function getSettings() {
   const key = SurveySketchAssignmentFlow.flowKey;
@@ -8,47 +32,61 @@ async function getSettings() {
     { $setOnInsert: { key, autoAssignEnabled: false } },
     { new: true, upsert: true, setDefaultsOnInsert: true }
   )
-    .select("key autoAssignEnabled updatedBy createdAt updatedAt")
+    .select(SETTINGS_SELECT)
     .populate("updatedBy", "name role")
     .lean();
-  return doc;
+  return withRoutingDefaults(doc);
 }
 
 async function updateSettings(payload, actor) {
-  if (payload.autoAssignEnabled === undefined) {
-    throw new BadRequestError("autoAssignEnabled is required", {
+  const fields = ["autoAssignEnabled", "autoAssignMode", "maxConcurrentJobsPerCadUser", "routingWeights"];
+  if (fields.every((f) => payload[f] === undefined)) {
+    throw new BadRequestError(`One of ${fields.join(", ")} is required`, {
       code: "AUTO_ASSIGN_REQUIRED",
       errors: [{ field: "autoAssignEnabled", message: "Required" }],
     });
   }
+  const $set = { updatedBy: actor?._id || null };
+  if (payload.autoAssignEnabled !== undefined) {
+    $set.autoAssignEnabled = Boolean(payload.autoAssignEnabled);
+  }
+  if (payload.autoAssignMode !== undefined) $set.autoAssignMode = payload.autoAssignMode;
+  if (payload.maxConcurrentJobsPerCadUser !== undefined) {
+    $set.maxConcurrentJobsPerCadUser = payload.maxConcurrentJobsPerCadUser;
+  }
+  if (payload.routingWeights) {
+    for (const factor of ROUTING_FACTORS) {
+      if (payload.routingWeights[factor] !== undefined) {
+        $set[`routingWeights.${factor}`] = Number(payload.routingWeights[factor]);
+      }
+    }
+  }
   const key = SurveySketchAssignmentFlow.flowKey;
   const doc = await SurveySketchAssignmentFlow.findOneAndUpdate(
     { key },
     {
-      $set: {
-        autoAssignEnabled: Boolean(payload.autoAssignEnabled),
-        updatedBy: actor?._id || null,
-      },
+      $set,
       $setOnInsert: { key },
     },
     { new: true, upsert: true, setDefaultsOnInsert: true }
   )
-    .select("key autoAssignEnabled updatedBy createdAt updatedAt")
+    .select(SETTINGS_SELECT)
     .populate("updatedBy", "name role")
     .lean();
-  return doc;
+  return withRoutingDefaults(doc);
 }
 
 async function getAutoAssignState() {
   const doc = await SurveySketchAssignmentFlow.findOne({ key: SurveySketchAssignmentFlow.flowKey })
-    .select("autoAssignEnabled updatedBy")
+    .select("autoAssignEnabled autoAssignMode maxConcurrentJobsPerCadUser routingWeights updatedBy")
     .lean();
-  if (!doc) {
-    return { enabled: false, updatedBy: null };
-  }
+  const settings = withRoutingDefaults(doc || {});
   return {
-    enabled: Boolean(doc.autoAssignEnabled),
-    updatedBy: doc.updatedBy || null,
+    enabled: Boolean(doc?.autoAssignEnabled),
+    updatedBy: doc?.updatedBy || null,
+    mode: settings.autoAssignMode,
+    maxConcurrentJobsPerCadUser: settings.maxConcurrentJobsPerCadUser,
+    routingWeights: settings.routingWeights,
   };
 }
 
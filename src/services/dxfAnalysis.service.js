@@ -0,0 +1,283 @@
+/**
+ * Server-side DXF checks for CAD source deliverables (M-08).
+ * Runs after POST /api/upload/confirm; findings pre-fill the machine-checkable 11E QC items
+ * (BOUNDARY, SCALE, NORTH, TOPOLOGY, FORMAT). The QC reviewer still records the final result.
+ */
+
+const CadFileAnalysis = require("../models/cad/CadFileAnalysis");
+const { getObjectBytes } = require("../utils/s3");
+const {
+  isBinaryDxf,
+  parseDxf,
+  computeExtents,
+  polygonArea,
+  polylineSelfIntersects,
+} = require("../utils/dxfParser");
+const { fileExt } = require("../config/cadDeliverableContract");
+const { DXF_ANALYSIS_STATUS, QC_CHECK_RESULT } = require("../config/constants");
+const logger = require("../utils/logger");
+
+const DXF_ANALYSIS_VERSION = "DXF_QC_V1";
+
+/** QC_CHECKLIST_11E codes the parser can judge. */
+const MACHINE_QC_CODES = Object.freeze(["BOUNDARY", "SCALE", "NORTH", "TOPOLOGY", "FORMAT"]);
+
+const DXF_ANALYSIS_MAX_BYTES_DEFAULT = 20 * 1024 * 1024;
+/** Self-intersection is O(n²) per polyline; larger rings are counted but not checked. */
+const MAX_VERTICES_FOR_TOPOLOGY = 2000;
+const MAX_LAYERS_IN_SUMMARY = 200;
+
+const NORTH_BLOCK_RE = /north|n[-_ ]?arrow/i;
+const NORTH_TEXT_RE = /^\s*(n|north)\s*$|\bnorth\b/i;
+
+function analysisMaxBytes() {
+  const n = Number(process.env.DXF_ANALYSIS_MAX_BYTES);
+  return Number.isFinite(n) && n > 0 ? n : DXF_ANALYSIS_MAX_BYTES_DEFAULT;
+}
+
+/** Only CAD deliverable .dxf sources are parsed (DWG is proprietary; previews are images/PDF). */
+function isAnalyzableSource(key, fileName) {
+  return String(key || "").startsWith("uploads/cad-deliverables/") && fileExt(fileName || key) === ".dxf";
+}
+
+function finding(result, note) {
+  return { result, note };
+}
+
+function findNorthArrow(parsed) {
+  const insert = parsed.inserts.find((i) => NORTH_BLOCK_RE.test(i.block));
+  if (insert) return { found: true, via: "BLOCK", detail: insert.block };
+  const blockWithText = parsed.inserts
+    .map((i) => parsed.blocks.find((b) => b.name === i.block))
+    .find((b) => b && b.texts.some((t) => NORTH_TEXT_RE.test(t)));
+  if (blockWithText) return { found: true, via: "BLOCK_TEXT", detail: blockWithText.name };
+  const text = parsed.texts.find((t) => NORTH_TEXT_RE.test(t.value));
+  if (text) return { found: true, via: "TEXT", detail: text.value.slice(0, 40) };
+  return { found: false, via: null, detail: null };
+}
+
+/**
+ * Summarise a parsed drawing and judge the machine-checkable QC items. Pure.
+ * @param {ReturnType<typeof parseDxf>} parsed
+ */
+function summarizeDxf(parsed) {
+  const entityCounts = {};
+  const perLayer = new Map(parsed.layers.map((name) => [name, 0]));
+  for (const e of parsed.entities) {
+    entityCounts[e.type] = (entityCounts[e.type] || 0) + 1;
+    perLayer.set(e.layer, (perLayer.get(e.layer) || 0) + 1);
+  }
+  const layers = [...perLayer.entries()]
+    .map(([name, entityCount]) => ({ name, entityCount }))
+    .sort((a, b) => b.entityCount - a.entityCount || a.name.localeCompare(b.name))
+    .slice(0, MAX_LAYERS_IN_SUMMARY);
+
+  const extents = parsed.headerExtents
+    ? { ...parsed.headerExtents, source: "HEADER" }
+    : (() => {
+        const box = computeExtents(parsed.points);
+        return box ? { ...box, source: "COMPUTED" } : null;
+      })();
+
+  const rings = parsed.polylines.filter((p) => p.closed && p.vertices.length >= 3);
+  const openCount = parsed.polylines.length - rings.length;
+  let selfIntersecting = 0;
+  let skipped = 0;
+  for (const p of parsed.polylines) {
+    if (p.vertices.length > MAX_VERTICES_FOR_TOPOLOGY) {
+      skipped += 1;
+    } else if (polylineSelfIntersects(p.vertices, p.closed)) {
+      selfIntersecting += 1;
+    }
+  }
+  const largestArea = rings.reduce((max, p) => Math.max(max, polygonArea(p.vertices)), 0);
+  const northArrow = findNorthArrow(parsed);
+  const entityTotal = parsed.entities.length;
+
+  const width = extents ? extents.max.x - extents.min.x : 0;
+  const height = extents ? extents.max.y - extents.min.y : 0;
+  const unitsSet = parsed.units.code != null && parsed.units.code !== 0;
+
+  const checks = {
+    FORMAT: entityTotal > 0
+      ? finding(QC_CHECK_RESULT.PASS, `ASCII DXF ${parsed.acadVersion || "(version not set)"}; ${entityTotal} entities on ${layers.length} layers`)
+      : finding(QC_CHECK_RESULT.FAIL, "DXF has no drawing entities"),
+    SCALE: !unitsSet
+      ? finding(QC_CHECK_RESULT.FAIL, "Drawing units ($INSUNITS) not set")
+      : width > 0 && height > 0
+        ? finding(QC_CHECK_RESULT.PASS, `Units ${parsed.units.name}; extents ${round(width)} × ${round(height)}`)
+        : finding(QC_CHECK_RESULT.FAIL, "Drawing extents are empty or degenerate"),
+    BOUNDARY: rings.length
+      ? finding(QC_CHECK_RESULT.PASS, `${rings.length} closed polyline(s); largest area ${round(largestArea)} sq ${parsed.units.name || "units"}`)
+      : finding(QC_CHECK_RESULT.FAIL, `No closed boundary polyline (${openCount} open)`),
+    TOPOLOGY: selfIntersecting
+      ? finding(QC_CHECK_RESULT.FAIL, `${selfIntersecting} self-intersecting polyline(s)`)
+      : finding(
+          QC_CHECK_RESULT.PASS,
+          skipped ? `No self-intersections (${skipped} large polyline(s) not checked)` : "No self-intersections"
+        ),
+    NORTH: northArrow.found
+      ? finding(QC_CHECK_RESULT.PASS, `North indicator found (${northArrow.via}: ${northArrow.detail})`)
+      : finding(QC_CHECK_RESULT.FAIL, "No north arrow block or NORTH/N text found"),
+  };
+
+  return {
+    acadVersion: parsed.acadVersion,
+    units: parsed.units,
+    extents,
+    layers,
+    entityCounts,
+    entityTotal,
+    polylines: {
+      total: parsed.polylines.length,
+      closed: rings.length,
+      open: openCount,
+      selfIntersecting,
+      notChecked: skipped,
+      largestClosedArea: round(largestArea),
+    },
+    northArrow,
+    checks,
+  };
+}
+
+function round(n) {
+  return Math.round(Number(n) * 1000) / 1000;
+}
+
+/**
+ * Parse raw bytes. Never throws: returns { status, reason, summary }.
+ * @param {Buffer} buf
+ */
+function analyzeDxfBuffer(buf) {
+  if (isBinaryDxf(buf)) {
+    return { status: DXF_ANALYSIS_STATUS.SKIPPED, reason: "BINARY_DXF_UNSUPPORTED", summary: null };
+  }
+  try {
+    const parsed = parseDxf(buf.toString("latin1"));
+    return { status: DXF_ANALYSIS_STATUS.OK, reason: null, summary: summarizeDxf(parsed) };
+  } catch (err) {
+    return {
+      status: DXF_ANALYSIS_STATUS.FAILED,
+      reason: String(err?.message || "DXF parse failed").slice(0, 200),
+      summary: {
+        checks: { FORMAT: finding(QC_CHECK_RESULT.FAIL, "DXF could not be parsed") },
+      },
+    };
+  }
+}
+
+/** Compact view for API responses (no layer list). */
+function presentAnalysis(doc) {
+  if (!doc) return null;
+  return {
+    s3Key: doc.s3Key,
+    fileName: doc.fileName || null,
+    parserVersion: doc.parserVersion,
+    status: doc.status,
+    reason: doc.reason || null,
+    units: doc.summary?.units || null,
+    entityTotal: doc.summary?.entityTotal ?? null,
+    checks: doc.summary?.checks || null,
+  };
+}
+
+/**
+ * Analyse a freshly confirmed upload and upsert the result by key.
+ * Returns null for files that are not CAD .dxf sources.
+ */
+async function analyzeConfirmedUpload({ key, fileName, contentLength, eTag, uploadedBy }) {
+  if (!isAnalyzableSource(key, fileName)) return null;
+
+  let outcome;
+  const maxBytes = analysisMaxBytes();
+  if (contentLength != null && contentLength > maxBytes) {
+    outcome = { status: DXF_ANALYSIS_STATUS.SKIPPED, reason: "FILE_TOO_LARGE_FOR_ANALYSIS", summary: null };
+  } else {
+    const buf = await getObjectBytes(key, { maxBytes });
+    outcome = analyzeDxfBuffer(buf);
+  }
+
+  const doc = await CadFileAnalysis.findOneAndUpdate(
+    { s3Key: key },
+    {
+      $set: {
+        fileName: fileName || null,
+        uploadedBy: uploadedBy || null,
+        contentLength: contentLength ?? null,
+        eTag: eTag || null,
+        parserVersion: DXF_ANALYSIS_VERSION,
+        status: outcome.status,
+        reason: outcome.reason,
+        summary: outcome.summary,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  if (outcome.status !== DXF_ANALYSIS_STATUS.OK) {
+    logger.warn("DXF analysis not OK", { key, status: outcome.status, reason: outcome.reason });
+  }
+  return presentAnalysis(doc);
+}
+
+/**
+ * Stored analyses for delivered source files, as history-entry rows.
+ * @param {Array<{ s3Key?: string, role?: string }>} files
+ */
+async function findAnalysesForFiles(files) {
+  const keys = (files || [])
+    .filter((f) => f?.s3Key && isAnalyzableSource(f.s3Key, f.fileName))
+    .map((f) => f.s3Key);
+  if (!keys.length) return [];
+  const docs = await CadFileAnalysis.find({ s3Key: { $in: keys } }).lean();
+  return docs.map((d) => ({
+    s3Key: d.s3Key,
+    fileName: d.fileName || null,
+    parserVersion: d.parserVersion,
+    status: d.status,
+    reason: d.reason || null,
+    summary: d.summary || null,
+    analyzedAt: d.updatedAt || null,
+  }));
+}
+
+/**
+ * Machine findings per QC code across all analysed sources. FAIL on any file wins.
+ * @returns {Record<string, { result: string, note: string }>}
+ */
+function buildQcPrefill(analyses) {
+  const out = {};
+  for (const a of analyses || []) {
+    const checks = a?.summary?.checks || {};
+    for (const code of MACHINE_QC_CODES) {
+      const f = checks[code];
+      if (!f) continue;
+      const note = (analyses.length > 1 ? `${a.fileName || a.s3Key}: ` : "") + f.note;
+      const prev = out[code];
+      if (!prev) {
+        out[code] = { result: f.result, note };
+      } else {
+        out[code] = {
+          result: prev.result === QC_CHECK_RESULT.FAIL || f.result === QC_CHECK_RESULT.FAIL
+            ? QC_CHECK_RESULT.FAIL
+            : QC_CHECK_RESULT.PASS,
+          note: `${prev.note}; ${note}`.slice(0, 500),
+        };
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DXF_ANALYSIS_VERSION,
+  MACHINE_QC_CODES,
+  analysisMaxBytes,
+  isAnalyzableSource,
+  summarizeDxf,
+  analyzeDxfBuffer,
+  analyzeConfirmedUpload,
+  findAnalysesForFiles,
+  buildQcPrefill,
+  presentAnalysis,
+};
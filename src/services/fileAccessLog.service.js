@@ -1,5 +1,6 @@
 const FileAccessEvent = require("../models/security/FileAccessEvent");
 const logger = require("../utils/logger");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
 const { getCorrelationId } = require("../utils/requestContext");
 
 /**
@@ -13,6 +14,7 @@ async function logFileAccess({
   uploadId = null,
   success,
   code = null,
+  traceCode = null,
   meta = null,
   ip = null,
   userAgent = null,
@@ -27,6 +29,7 @@ async function logFileAccess({
       uploadId,
       success: Boolean(success),
       code,
+      traceCode,
       meta: {
         ...(meta && typeof meta === "object" ? meta : {}),
         ...(correlationId ? { correlationId } : {}),
@@ -39,4 +42,46 @@ async function logFileAccess({
   }
 }
 
-module.exports = { logFileAccess, FileAccessEvent };
+const TRACE_CODE_RE = /^WM-[0-9A-F]{10}$/;
+
+/**
+ * Who received a watermarked preview: file access events carrying this trace code (SERVER_ENFORCED).
+ * @param {string} traceCode - as printed on the stamped preview, e.g. WM-1A2B3C4D5E
+ */
+async function findWatermarkTrace(traceCode) {
+  const code = String(traceCode || "").trim().toUpperCase();
+  if (!TRACE_CODE_RE.test(code)) {
+    throw new BadRequestError("traceCode must look like WM-XXXXXXXXXX", { code: "INVALID_TRACE_CODE" });
+  }
+  const events = await FileAccessEvent.find({ traceCode: code })
+    .sort({ createdAt: 1 })
+    .populate("actorUserId", "name role phone email")
+    .lean();
+  if (!events.length) {
+    throw new NotFoundError("No download found for this trace code", { code: "TRACE_CODE_NOT_FOUND" });
+  }
+  const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+  const upload = events[0].uploadId
+    ? await SurveyorSketchUpload.findById(events[0].uploadId).select("applicationId surveyor status").lean()
+    : null;
+  return {
+    traceCode: code,
+    upload: upload
+      ? { _id: upload._id, applicationId: upload.applicationId || null, surveyor: upload.surveyor, status: upload.status }
+      : null,
+    events: events.map((e) => ({
+      _id: e._id,
+      action: e.action,
+      success: e.success,
+      code: e.code,
+      actor: e.actorUserId || null,
+      actorRole: e.actorRole,
+      ip: e.ip,
+      userAgent: e.userAgent,
+      createdAt: e.createdAt,
+      meta: e.meta,
+    })),
+  };
+}
+
+module.exports = { logFileAccess, findWatermarkTrace, FileAccessEvent };
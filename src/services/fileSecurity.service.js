@@ -3,6 +3,7 @@
  */
 
 const { BadRequestError } = require("../utils/errors");
+const { WATERMARK_MODES } = require("../config/constants");
 
 /** Known file signatures (offset 0 unless noted). */
 const SIGNATURES = [
@@ -187,13 +188,20 @@ function assertValidHeaderOrThrow(bytes, meta) {
   return r;
 }
 
-/** Watermark policy — server records requirement; rasterization is CAD-client / offline. */
+/**
+ * Watermark policy. WATERMARK_MODE=SERVER_ENFORCED stamps previews per download
+ * (previewWatermark.service); anything else (incl. legacy CLIENT_SIDE_ON_EXPORT) is CLIENT_SIDE.
+ */
 function getWatermarkPolicy() {
+  const serverEnforced =
+    String(process.env.WATERMARK_MODE || "").trim().toUpperCase() === WATERMARK_MODES.SERVER_ENFORCED;
   return {
     required: String(process.env.WATERMARK_REQUIRED || "true").toLowerCase() !== "false",
-    mode: process.env.WATERMARK_MODE || "CLIENT_SIDE_ON_EXPORT",
-    notice:
-      "CAD deliverables must carry surveyor/order watermark on export per North-cot policy. Server issues short-lived URLs only.",
+    mode: serverEnforced ? WATERMARK_MODES.SERVER_ENFORCED : WATERMARK_MODES.CLIENT_SIDE,
+    serverEnforced,
+    notice: serverEnforced
+      ? "Preview deliverables are stamped server-side on every download (application ID, surveyor, UNPAID PREVIEW until the balance is paid, trace code). Originals are never issued to surveyors; source DWG/DXF only after balance payment."
+      : "CAD deliverables must carry surveyor/order watermark on export per North-cot policy. Server issues short-lived URLs only.",
   };
 }
 
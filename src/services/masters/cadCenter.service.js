@@ -18,6 +18,8 @@ function normalizeCreate(payload) {
     status,
     availabilityStatus,
     capacity,
+    servedRegions,
+    workingCalendar,
     metadata,
     createdBy,
   } = payload;
@@ -50,6 +52,10 @@ function normalizeCreate(payload) {
         ? availabilityStatus
         : CAD_CENTER_AVAILABILITY.AVAILABLE,
     capacity: capacity != null ? Number(capacity) : null,
+    servedRegions: servedRegions
+      ? { districts: servedRegions.districts || [], talukas: servedRegions.talukas || [] }
+      : undefined,
+    workingCalendar: workingCalendar || null,
     metadata: metadata ? { establishedDate: metadata.establishedDate, notes: metadata.notes } : undefined,
     createdBy: createdBy || undefined,
   };
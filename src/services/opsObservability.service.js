@@ -39,7 +39,7 @@ async function getSlaAging() {
     status: { $in: openStatuses },
   })
     .select(
-      "status assignedAt dueAt slaDurationMs slaPausedTotalMs slaPausedAt slaExtensions slaState assignedTo surveyorSketchUpload"
+      "status assignedAt dueAt slaDurationMs slaPausedTotalMs slaPausedAt slaExtensions slaCalendar slaState assignedTo surveyorSketchUpload"
     )
     .lean();
 
@@ -0,0 +1,441 @@
+/**
+ * Bulk ZIP bundles for one order (C-02 / H-07).
+ * - Surveyor: every released CAD delivery (rev-N/ folders) they are entitled to. Before the balance
+ *   is paid only preview files go in; under WATERMARK_MODE=SERVER_ENFORCED previews are stamped
+ *   with the bundle's trace code exactly as single downloads are.
+ * - CAD user: the order inputs (documents, singleUpload, audio, other_documents) of an assignment
+ *   assigned to them.
+ * Files are streamed from S3 into a multipart ZIP under uploads/derived/bundles/ (API Gateway cannot
+ * return large bodies) with a manifest.json; the response is a short-lived signed URL.
+ * Every bundle is logged in FileAccessEvent as BUNDLE_ISSUED.
+ */
+
+const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
+const cadDownloadEntitlement = require("./cadDownloadEntitlement.service");
+const previewWatermark = require("./previewWatermark.service");
+const { getWatermarkPolicy } = require("./fileSecurity.service");
+const { previewMaxBytes } = require("./cadDeliverableContract.service");
+const { isReleasedDelivery } = require("./assignment/deliveryQc.service");
+const { assertSketchBookingPaymentAllowsWorkflow } = require("./sketchPaymentGate.service");
+const { logFileAccess } = require("./fileAccessLog.service");
+const { CAD_DELIVERABLE_ROLES, roleFromFile } = require("../config/cadDeliverableContract");
+const { USER_ROLES, SURVEY_SKETCH_ASSIGNMENT_STATUS } = require("../config/constants");
+const { createZipWriter } = require("../utils/zip");
+const { displayName } = require("../utils/userDisplay");
+const s3 = require("../utils/s3");
+const { ForbiddenError, NotFoundError, BadRequestError } = require("../utils/errors");
+const logger = require("../utils/logger");
+
+const BUNDLE_MANIFEST_VERSION = "ORDER_BUNDLE_V1";
+const BUNDLE_KINDS = Object.freeze({
+  SURVEYOR_DELIVERABLES: "SURVEYOR_DELIVERABLES",
+  CAD_INPUTS: "CAD_INPUTS",
+});
+const BUNDLE_MAX_BYTES_DEFAULT = 500 * 1024 * 1024;
+
+/** Uncompressed bytes allowed in one bundle (CAD_BUNDLE_MAX_BYTES). */
+function bundleMaxBytes() {
+  const n = Number(process.env.CAD_BUNDLE_MAX_BYTES || BUNDLE_MAX_BYTES_DEFAULT);
+  return Number.isFinite(n) && n > 0 ? n : BUNDLE_MAX_BYTES_DEFAULT;
+}
+
+function sizeOrNull(value) {
+  return value != null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+/** One candidate file: where it lives, where it goes in the ZIP, what the manifest says about it. */
+function bundleEntry(file, { folder, role, revisionNo = null }) {
+  const fileName = file.fileName || String(file.url || file.s3Key || "file").split("/").pop() || "file";
+  return {
+    key: s3.keyFromFileUrl(file.url) || file.s3Key || null,
+    folder,
+    fileName: String(fileName),
+    role,
+    revisionNo,
+    mimeType: file.mimeType || null,
+    size: sizeOrNull(file.size),
+  };
+}
+
+/**
+ * Surveyor-visible deliverables: released history rows as rev-N/, or the latest cadDeliverable for
+ * legacy uploads without history.
+ */
+function collectDeliverableEntries(upload) {
+  const rows = (Array.isArray(upload.cadDeliverableHistory) ? upload.cadDeliverableHistory : []).filter(
+    isReleasedDelivery
+  );
+  if (!rows.length) {
+    return (upload.cadDeliverable || []).map((f) => bundleEntry(f, { folder: "latest", role: roleFromFile(f) }));
+  }
+  const out = [];
+  for (const row of rows) {
+    const files = row.deliverables?.length ? row.deliverables : row.deliverable ? [row.deliverable] : [];
+    for (const f of files) {
+      out.push(
+        bundleEntry(f, { folder: `rev-${row.revisionNo}`, role: roleFromFile(f), revisionNo: row.revisionNo })
+      );
+    }
+  }
+  return out;
+}
+
+function documentsEntries(documents) {
+  if (!documents) return [];
+  const pairs = documents instanceof Map ? [...documents.entries()] : Object.entries(documents);
+  return pairs.flatMap(([docKey, files]) =>
+    (Array.isArray(files) ? files : [files])
+      .filter(Boolean)
+      .map((f) => bundleEntry(f, { folder: `documents/${docKey}`, role: `documents.${docKey}` }))
+  );
+}
+
+/** Order inputs a CAD user works from. */
+function collectInputEntries(upload) {
+  const list = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+  return [
+    ...documentsEntries(upload.documents),
+    ...list(upload.singleUpload).map((f) => bundleEntry(f, { folder: "single-upload", role: "singleUpload" })),
+    ...list(upload.audio).map((f) => bundleEntry(f, { folder: "audio", role: "audio" })),
+    ...list(upload.other_documents).map((f) =>
+      bundleEntry(f, { folder: "other-documents", role: "other_documents" })
+    ),
+  ];
+}
+
+/** "plot.pdf" -> "plot (2).pdf" until the path is free. */
+function uniquePath(zip, folder, fileName) {
+  const safe = s3.sanitizeFileName(fileName);
+  const dot = safe.lastIndexOf(".");
+  const base = dot > 0 ? safe.slice(0, dot) : safe;
+  const ext = dot > 0 ? safe.slice(dot) : "";
+  let candidate = `${folder}/${safe}`;
+  for (let n = 2; zip.has(candidate); n += 1) candidate = `${folder}/${base} (${n})${ext}`;
+  return candidate;
+}
+
+function bundleFileName(upload, kind) {
+  const label = upload.applicationId || String(upload._id);
+  return `${label}-${kind === BUNDLE_KINDS.CAD_INPUTS ? "inputs" : "deliverables"}.zip`;
+}
+
+/**
+ * Stream entries into a ZIP in S3. Entries that cannot be read are listed as skipped, not fatal;
+ * exceeding the size cap, or skipping everything, is (the partial upload is aborted).
+ * `transform(entry)` may return `{ bytes, fileName, mimeType }` to store instead of the original.
+ */
+async function writeBundle({ upload, kind, entries, manifestExtra, transform }) {
+  const maxBytes = bundleMaxBytes();
+  const known = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+  if (known > maxBytes) {
+    throw new BadRequestError("Bundle is too large; download files individually", {
+      code: "BUNDLE_TOO_LARGE",
+      errors: { maxBytes, totalBytes: known },
+    });
+  }
+
+  const fileName = bundleFileName(upload, kind);
+  const key = s3.buildDerivedKey("bundles", upload._id, fileName);
+  const writer = await s3.createMultipartWriter(key, "application/zip");
+  const zip = createZipWriter(writer, { maxBytes });
+  const files = [];
+  const skipped = [];
+  try {
+    for (const entry of entries) {
+      const meta = { fileName: entry.fileName, role: entry.role, revisionNo: entry.revisionNo };
+      if (!entry.key) {
+        skipped.push({ ...meta, code: "KEY_UNRESOLVED" });
+        continue;
+      }
+      let replaced = null;
+      if (transform) {
+        try {
+          replaced = await transform(entry);
+        } catch (err) {
+          logger.error("Bundle entry transform failed; file withheld", err, {
+            uploadId: String(upload._id),
+            key: entry.key,
+          });
+          skipped.push({ ...meta, code: err.code || "TRANSFORM_FAILED" });
+          continue;
+        }
+      }
+      let source;
+      try {
+        source = replaced ? [replaced.bytes] : (await s3.getObjectStream(entry.key)).body;
+      } catch (err) {
+        logger.error("Bundle entry unreadable; skipped", err, {
+          uploadId: String(upload._id),
+          key: entry.key,
+        });
+        skipped.push({ ...meta, code: "OBJECT_UNREADABLE" });
+        continue;
+      }
+      const name = replaced?.fileName || entry.fileName;
+      const written = await zip.addStream(uniquePath(zip, entry.folder, name), source);
+      files.push({
+        path: written.name,
+        ...meta,
+        fileName: name,
+        mimeType: replaced ? replaced.mimeType : entry.mimeType,
+        size: written.size,
+        sha256: written.sha256,
+        ...(replaced ? { watermarked: true } : {}),
+        sourceKey: entry.key,
+      });
+    }
+
+    if (!files.length) {
+      throw new BadRequestError("None of the files could be added to the bundle", {
+        code: "BUNDLE_EMPTY",
+        errors: { skipped },
+      });
+    }
+
+    const manifest = {
+      manifestVersion: BUNDLE_MANIFEST_VERSION,
+      kind,
+      uploadId: String(upload._id),
+      applicationId: upload.applicationId || null,
+      generatedAt: new Date().toISOString(),
+      ...manifestExtra,
+      files: files.map(({ sourceKey: _internal, ...f }) => f),
+      skipped,
+    };
+    await zip.addBuffer("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.finish();
+    const { size } = await writer.complete();
+    return { key, fileName, size, manifest, files };
+  } catch (err) {
+    await writer.abort().catch((abortErr) => logger.error("Bundle multipart abort failed", abortErr, { key }));
+    if (err instanceof RangeError) {
+      throw new BadRequestError("Bundle is too large; download files individually", {
+        code: "BUNDLE_TOO_LARGE",
+        errors: { maxBytes },
+      });
+    }
+    throw err;
+  }
+}
+
+async function issueBundleUrl(bundle) {
+  const ttl = cadDownloadEntitlement.getDownloadUrlTtlSeconds();
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+  return {
+    fileName: bundle.fileName,
+    size: bundle.size,
+    fileCount: bundle.manifest.files.length,
+    downloadUrl: await s3.getPresignedGetUrl(bundle.key, ttl),
+    expiresAt: expiresAt.toISOString(),
+    expiresInSeconds: ttl,
+  };
+}
+
+function bundleLogMeta(kind, bundle, extra = {}) {
+  return {
+    kind,
+    manifestVersion: BUNDLE_MANIFEST_VERSION,
+    size: bundle.size,
+    files: bundle.files.map((f) => ({ path: f.path, sourceKey: f.sourceKey, sha256: f.sha256 })),
+    skipped: bundle.manifest.skipped,
+    ...extra,
+  };
+}
+
+/**
+ * ZIP of the surveyor's released deliveries. Same ownership + balance checks as cad-download:
+ * unpaid → previews only (denied when there are none).
+ */
+async function getDeliverableBundleForSurveyor(surveyor, uploadId) {
+  if (surveyor.role !== USER_ROLES.SURVEYOR) {
+    throw new ForbiddenError("Only surveyors can download CAD deliverables", { code: "SURVEYOR_ONLY" });
+  }
+  const upload = await SurveyorSketchUpload.findById(uploadId);
+  if (!upload) {
+    throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
+  }
+  if (String(upload.surveyor) !== String(surveyor._id)) {
+    await logFileAccess({
+      action: "ACCESS_DENIED_CROSS_USER",
+      actorUserId: surveyor._id,
+      actorRole: surveyor.role,
+      uploadId: upload._id,
+      success: false,
+      code: "NOT_YOUR_SKETCH",
+      meta: { bundle: BUNDLE_KINDS.SURVEYOR_DELIVERABLES },
+    });
+    throw new ForbiddenError("You can download only your own uploads", { code: "NOT_YOUR_SKETCH" });
+  }
+
+  await cadDownloadEntitlement.ensureBalanceRequirementForUpload(upload);
+  if (!cadDownloadEntitlement.hasDeliverableFiles(upload)) {
+    throw new BadRequestError("CAD deliverable is not ready yet", { code: "CAD_NOT_DELIVERED" });
+  }
+
+  const entitled = cadDownloadEntitlement.isDownloadEntitled(upload);
+  const entries = collectDeliverableEntries(upload).filter(
+    (e) => entitled || e.role === CAD_DELIVERABLE_ROLES.PREVIEW
+  );
+  if (!entries.length) {
+    const code = cadDownloadEntitlement.entitlementDenialCode(upload);
+    await logFileAccess({
+      action: "DOWNLOAD_DENIED",
+      actorUserId: surveyor._id,
+      actorRole: surveyor.role,
+      uploadId: upload._id,
+      success: false,
+      code,
+      meta: { bundle: BUNDLE_KINDS.SURVEYOR_DELIVERABLES },
+    });
+    throw new ForbiddenError("Balance payment required before CAD download", {
+      code,
+      errors: { downloadEntitlement: cadDownloadEntitlement.buildEntitlementMeta(upload) },
+    });
+  }
+
+  const watermarkPolicy = getWatermarkPolicy();
+  const traceCode = watermarkPolicy.serverEnforced ? previewWatermark.generateTraceCode() : null;
+  const issuedAt = new Date();
+  const transform = traceCode
+    ? async (entry) => {
+        if (entry.role !== CAD_DELIVERABLE_ROLES.PREVIEW) return null;
+        const bytes = await s3.getObjectBytes(entry.key, { maxBytes: previewMaxBytes() });
+        return {
+          bytes: await previewWatermark.stampPreviewBytes(bytes, {
+            applicationId: upload.applicationId || null,
+            surveyorName: displayName(surveyor),
+            unpaid: !entitled,
+            traceCode,
+            issuedAt,
+          }),
+          fileName: previewWatermark.derivedFileName(entry.fileName, traceCode),
+          mimeType: "application/pdf",
+        };
+      }
+    : null;
+
+  let bundle;
+  try {
+    bundle = await writeBundle({
+      upload,
+      kind: BUNDLE_KINDS.SURVEYOR_DELIVERABLES,
+      entries,
+      manifestExtra: { previewOnly: !entitled, traceCode },
+      transform,
+    });
+  } catch (err) {
+    await logFileAccess({
+      action: "DOWNLOAD_DENIED",
+      actorUserId: surveyor._id,
+      actorRole: surveyor.role,
+      uploadId: upload._id,
+      success: false,
+      code: err.code || "BUNDLE_FAILED",
+      traceCode,
+      meta: { bundle: BUNDLE_KINDS.SURVEYOR_DELIVERABLES, errors: err.errors || null },
+    });
+    throw err;
+  }
+
+  const issued = await issueBundleUrl(bundle);
+  cadDownloadEntitlement.appendBalanceLedger(upload, entitled ? "BUNDLE_URL_ISSUED" : "PREVIEW_BUNDLE_URL_ISSUED", {
+    amountPaise: upload.balancePayment?.amountPaise,
+    note: `files=${issued.fileCount};ttl=${issued.expiresInSeconds}` + (traceCode ? `;trace=${traceCode}` : ""),
+  });
+  await upload.save();
+
+  await logFileAccess({
+    action: "BUNDLE_ISSUED",
+    actorUserId: surveyor._id,
+    actorRole: surveyor.role,
+    objectKey: bundle.key,
+    uploadId: upload._id,
+    success: true,
+    traceCode,
+    meta: bundleLogMeta(BUNDLE_KINDS.SURVEYOR_DELIVERABLES, bundle, { previewOnly: !entitled, watermarkPolicy }),
+  });
+
+  return {
+    uploadId: String(upload._id),
+    applicationId: upload.applicationId || null,
+    previewOnly: !entitled,
+    traceCode,
+    bundle: issued,
+    manifest: bundle.manifest,
+    downloadEntitlement: cadDownloadEntitlement.buildEntitlementMeta(upload),
+  };
+}
+
+/**
+ * ZIP of the order inputs for a CAD user's own assignment (not pool / other users' work).
+ * Booking payment must be satisfied, as for every other CAD workflow step.
+ */
+async function getInputBundleForCad(cadUser, assignmentId) {
+  if (cadUser.role !== USER_ROLES.CAD) {
+    throw new ForbiddenError("Only CAD users can use this endpoint");
+  }
+  const assignment = await SurveySketchAssignment.findById(assignmentId).lean();
+  if (!assignment || assignment.status === SURVEY_SKETCH_ASSIGNMENT_STATUS.CANCELLED) {
+    throw new NotFoundError("Assignment not found", { code: "ASSIGNMENT_NOT_FOUND" });
+  }
+  if (!assignment.assignedTo || String(assignment.assignedTo) !== String(cadUser._id)) {
+    await logFileAccess({
+      action: "ACCESS_DENIED_CROSS_USER",
+      actorUserId: cadUser._id,
+      actorRole: cadUser.role,
+      uploadId: assignment.surveyorSketchUpload,
+      success: false,
+      code: "NOT_YOUR_ASSIGNMENT",
+      meta: { bundle: BUNDLE_KINDS.CAD_INPUTS, assignmentId: String(assignment._id) },
+    });
+    throw new ForbiddenError("This assignment is not assigned to you", { code: "NOT_YOUR_ASSIGNMENT" });
+  }
+
+  const upload = await SurveyorSketchUpload.findById(assignment.surveyorSketchUpload);
+  if (!upload) {
+    throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
+  }
+  assertSketchBookingPaymentAllowsWorkflow(upload, { action: "cad_input_bundle" });
+
+  const entries = collectInputEntries(upload);
+  if (!entries.length) {
+    throw new BadRequestError("This order has no input files", { code: "BUNDLE_EMPTY" });
+  }
+
+  const bundle = await writeBundle({
+    upload,
+    kind: BUNDLE_KINDS.CAD_INPUTS,
+    entries,
+    manifestExtra: { assignmentId: String(assignment._id) },
+  });
+
+  const issued = await issueBundleUrl(bundle);
+  await logFileAccess({
+    action: "BUNDLE_ISSUED",
+    actorUserId: cadUser._id,
+    actorRole: cadUser.role,
+    objectKey: bundle.key,
+    uploadId: upload._id,
+    success: true,
+    meta: bundleLogMeta(BUNDLE_KINDS.CAD_INPUTS, bundle, { assignmentId: String(assignment._id) }),
+  });
+
+  return {
+    assignmentId: String(assignment._id),
+    uploadId: String(upload._id),
+    applicationId: upload.applicationId || null,
+    bundle: issued,
+    manifest: bundle.manifest,
+  };
+}
+
+module.exports = {
+  BUNDLE_MANIFEST_VERSION,
+  BUNDLE_KINDS,
+  bundleMaxBytes,
+  collectDeliverableEntries,
+  collectInputEntries,
+  getDeliverableBundleForSurveyor,
+  getInputBundleForCad,
+};
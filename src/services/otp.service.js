@@ -195,3 +195,4 @@ class OtpService {
 module.exports = new OtpService();
 module.exports.assertOtpTestModeAllowed = assertOtpTestModeAllowed;
 module.exports.generateOtp = generateOtp;
+module.exports.isOtpTestModeEnabled = isOtpTestModeEnabled;
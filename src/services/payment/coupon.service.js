@@ -0,0 +1,469 @@
+/**
+ * Coupon / promo-code engine for surveyor fees (booking incl. superimpose add-on, balance, revision).
+ *
+ * A code is applied when a fee is first charged: the discount is computed on the server-resolved fee
+ * (sketchPaymentPricing, admin discounts included), one use is reserved against the coupon's caps, and
+ * the result is frozen into the upload's payment snapshot (`coupon`) and the PaymentAttempt. Retries of
+ * that payment charge the frozen amount; the use is REDEEMED when the payment completes (paymentCallback).
+ * A coupon never takes a fee below MIN_PAYABLE_PAISE — free orders stay an admin pricing decision.
+ */
+
+const Coupon = require("../../models/payment/Coupon");
+const {
+  COUPON_DISCOUNT_TYPE,
+  COUPON_FEE_LINE,
+  COUPON_STACKING,
+} = require("../../models/payment/Coupon");
+const CouponRedemption = require("../../models/payment/CouponRedemption");
+const { COUPON_REDEMPTION_STATE } = require("../../models/payment/CouponRedemption");
+const { PAYMENT_PURPOSE } = require("../../models/payment/PaymentAttempt");
+const SurveyorSketchUpload = require("../../models/surveyor/SurveyorSketchUpload");
+const User = require("../../models/user/User");
+const sketchPaymentPricing = require("../sketchPaymentPricing.service");
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+/** Smallest amount a coupon may leave payable (gateways need a non-zero charge). */
+const MIN_PAYABLE_PAISE = 100;
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function couponError(message, code) {
+  return new BadRequestError(message, { code, errors: [{ field: "couponCode", message }] });
+}
+
+/** One fee line from a pricing resolution ({ feePaise, planAmountRupees }). */
+function lineOf(line, resolved) {
+  const payablePaise = Math.max(0, Math.round(Number(resolved?.feePaise) || 0));
+  const planPaise = Math.max(toPaise(resolved?.planAmountRupees ?? 0) || 0, payablePaise);
+  return { line, planPaise, adminDiscountPaise: planPaise - payablePaise, payablePaise };
+}
+
+/** Fee lines of a booking charge (sketchPaymentPricing.resolveSketchUploadFee result). */
+function bookingFeeLines(resolved) {
+  const lines = [
+    lineOf(COUPON_FEE_LINE.BOOKING, { feePaise: resolved.baseFeePaise, planAmountRupees: resolved.planAmountRupees }),
+  ];
+  if (resolved.superimpose) lines.push(lineOf(COUPON_FEE_LINE.SUPERIMPOSE, resolved.superimpose));
+  // Express surcharge is payable but not a coupon target.
+  if (resolved.express) lines.push(lineOf("EXPRESS", resolved.express));
+  return lines;
+}
+
+/** Fee line of a balance charge locked at delivery (upload.balancePayment). */
+function balanceFeeLines(balancePayment) {
+  return [
+    lineOf(COUPON_FEE_LINE.BALANCE, {
+      feePaise: balancePayment.amountPaise,
+      planAmountRupees: balancePayment.planAmountRupees,
+    }),
+  ];
+}
+
+/** Fee line of a paid revision (sketchPaymentPricing.resolveSketchRevisionFee result). */
+function revisionFeeLines(resolved) {
+  return [lineOf(COUPON_FEE_LINE.REVISION, resolved)];
+}
+
+/**
+ * Coupon discount (paise) for a charge made of `lines`. Percentages apply per eligible line, flat amounts
+ * across eligible lines in order; maxDiscountRupees caps the coupon's own discount. BEST_OF computes on the
+ * plan amount and only the part beyond the admin discount applies (the larger of the two wins).
+ * @param {object} coupon
+ * @param {{ line: string, planPaise: number, adminDiscountPaise: number, payablePaise: number }[]} lines
+ * @returns {number}
+ */
+function computeCouponDiscount(coupon, lines) {
+  const totalPayable = lines.reduce((sum, l) => sum + l.payablePaise, 0);
+  const bestOf = coupon.stacking === COUPON_STACKING.BEST_OF;
+  let remaining =
+    coupon.discountType === COUPON_DISCOUNT_TYPE.FLAT ? toPaise(coupon.amountOffRupees) : Number.POSITIVE_INFINITY;
+  if (coupon.maxDiscountRupees != null) remaining = Math.min(remaining, toPaise(coupon.maxDiscountRupees));
+  let discount = 0;
+  for (const l of lines) {
+    if (!(coupon.appliesTo || []).includes(l.line) || l.payablePaise <= 0 || remaining <= 0) continue;
+    const base = bestOf ? l.planPaise : l.payablePaise;
+    const raw =
+      coupon.discountType === COUPON_DISCOUNT_TYPE.PERCENT
+        ? Math.min(Math.floor((base * Number(coupon.percentOff)) / 100), remaining)
+        : Math.min(base, remaining);
+    remaining -= raw;
+    discount += Math.min(bestOf ? Math.max(0, raw - l.adminDiscountPaise) : raw, l.payablePaise);
+  }
+  return Math.max(0, Math.min(discount, totalPayable - MIN_PAYABLE_PAISE));
+}
+
+async function loadCoupon(code) {
+  const normalized = normalizeCouponCode(code);
+  const coupon = normalized ? await Coupon.findOne({ code: normalized }).lean() : null;
+  if (!coupon) throw couponError("Coupon code not found", "COUPON_NOT_FOUND");
+  return coupon;
+}
+
+/**
+ * Validate a code for one charge and price it (no reservation).
+ * @returns {Promise<{ coupon: object, userUses: number, grossPaise: number, discountPaise: number, payablePaise: number }>}
+ */
+async function quoteCoupon({ code, surveyorId, districtId, purpose, lines, now = new Date() }) {
+  const coupon = await loadCoupon(code);
+  if (!coupon.active) throw couponError("Coupon is not active", "COUPON_INACTIVE");
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw couponError("Coupon is not valid yet", "COUPON_NOT_STARTED");
+  }
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) throw couponError("Coupon has expired", "COUPON_EXPIRED");
+  if (!lines.some((l) => (coupon.appliesTo || []).includes(l.line) && l.payablePaise > 0)) {
+    throw couponError(`Coupon does not apply to the ${String(purpose).toLowerCase()} fee`, "COUPON_NOT_APPLICABLE");
+  }
+  if ((coupon.districts || []).length && !coupon.districts.some((d) => String(d) === String(districtId))) {
+    throw couponError("Coupon is not valid in this district", "COUPON_DISTRICT_NOT_ELIGIBLE");
+  }
+  if ((coupon.surveyorCategories || []).length) {
+    const user = await User.findById(surveyorId).select("surveyorProfile.category").lean();
+    if (!coupon.surveyorCategories.includes(user?.surveyorProfile?.category)) {
+      throw couponError("Coupon is not valid for your account category", "COUPON_CATEGORY_NOT_ELIGIBLE");
+    }
+  }
+  if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw couponError("Coupon has been fully used", "COUPON_EXHAUSTED");
+  }
+  const userUses = await CouponRedemption.countDocuments({ coupon: coupon._id, surveyor: surveyorId });
+  if (userUses >= (coupon.maxRedemptionsPerUser || 1)) {
+    throw couponError("You have already used this coupon", "COUPON_USER_LIMIT_REACHED");
+  }
+  const grossPaise = lines.reduce((sum, l) => sum + l.payablePaise, 0);
+  const discountPaise = computeCouponDiscount(coupon, lines);
+  if (discountPaise <= 0) {
+    throw couponError("Coupon gives no further discount on this fee", "COUPON_NO_BENEFIT");
+  }
+  return { coupon, userUses, grossPaise, discountPaise, payablePaise: grossPaise - discountPaise };
+}
+
+function snapshotOf(coupon, discountPaise, appliedAt) {
+  return {
+    couponId: coupon._id,
+    code: coupon.code,
+    discountType: coupon.discountType,
+    stacking: coupon.stacking,
+    discountPaise,
+    appliedAt,
+  };
+}
+
+/**
+ * Quote and reserve one use of a code for one fee payment. Caps are enforced atomically: the overall cap
+ * by a conditional increment of redemptionCount, the per-user cap by the unique (coupon, surveyor, userSeq).
+ * @param {{ code: string, surveyorId: string, districtId: string, purpose: string, revisionNo?: number|null,
+ *   uploadId: string, lines: object[], now?: Date }} params
+ * @returns {Promise<{ grossPaise: number, discountPaise: number, payablePaise: number, snapshot: object }>}
+ */
+async function reserveCoupon({ code, surveyorId, districtId, purpose, revisionNo = null, uploadId, lines, now = new Date() }) {
+  const quote = await quoteCoupon({ code, surveyorId, districtId, purpose, lines, now });
+  const { coupon } = quote;
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  ).lean();
+  if (!claimed) throw couponError("Coupon has been fully used", "COUPON_EXHAUSTED");
+  try {
+    await CouponRedemption.create({
+      coupon: coupon._id,
+      code: coupon.code,
+      surveyor: surveyorId,
+      userSeq: quote.userUses + 1,
+      surveyorSketchUpload: uploadId,
+      purpose,
+      revisionNo,
+      grossPaise: quote.grossPaise,
+      discountPaise: quote.discountPaise,
+      payablePaise: quote.payablePaise,
+    });
+  } catch (err) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    if (err?.code === 11000) {
+      if (err.keyPattern?.userSeq) throw couponError("You have already used this coupon", "COUPON_USER_LIMIT_REACHED");
+      throw couponError("A coupon is already applied to this payment", "COUPON_ALREADY_APPLIED");
+    }
+    throw err;
+  }
+  return {
+    grossPaise: quote.grossPaise,
+    discountPaise: quote.discountPaise,
+    payablePaise: quote.payablePaise,
+    snapshot: snapshotOf(coupon, quote.discountPaise, now),
+  };
+}
+
+/** Give back a reserved (unpaid) use, e.g. when the checkout it was reserved for could not start. */
+async function releaseCoupon({ uploadId, purpose, revisionNo = null }) {
+  const row = await CouponRedemption.findOneAndDelete({
+    surveyorSketchUpload: uploadId,
+    purpose,
+    revisionNo,
+    state: COUPON_REDEMPTION_STATE.RESERVED,
+  }).lean();
+  if (row) await Coupon.updateOne({ _id: row.coupon }, { $inc: { redemptionCount: -1 } });
+  return !!row;
+}
+
+/** Completed payment → its reserved use (if any) becomes REDEEMED. */
+async function redeemForPayment(attempt, { now = new Date() } = {}) {
+  return CouponRedemption.findOneAndUpdate(
+    {
+      surveyorSketchUpload: attempt.surveyorSketchUpload,
+      purpose: attempt.purpose,
+      revisionNo: attempt.revisionNo ?? null,
+      state: COUPON_REDEMPTION_STATE.RESERVED,
+    },
+    { $set: { state: COUPON_REDEMPTION_STATE.REDEEMED, merchantOrderId: attempt.merchantOrderId, redeemedAt: now } },
+    { new: true }
+  ).lean();
+}
+
+async function redeemForPaymentQuietly(attempt) {
+  try {
+    return await redeemForPayment(attempt);
+  } catch (err) {
+    logger.error("ALERT_COUPON_REDEEM_FAILED", err, {
+      merchantOrderId: attempt?.merchantOrderId,
+      escalateTo: "operations",
+    });
+    return null;
+  }
+}
+
+/**
+ * Surveyor: what a code would take off a fee, without reserving it.
+ * @param {{ code: string, purpose: string, uploadId?: string, district?: string, isSuperimpose?: boolean,
+ *   orderType?: string }} payload - validated (schemas.couponPreview)
+ */
+async function previewCoupon(surveyor, payload) {
+  let lines;
+  let districtId = payload.district || null;
+  if (payload.purpose === PAYMENT_PURPOSE.BOOKING) {
+    lines = bookingFeeLines(
+      await sketchPaymentPricing.resolveSketchUploadFee({
+        isSuperimpose: payload.isSuperimpose === true,
+        orderType: payload.orderType,
+      })
+    );
+    if (!districtId) {
+      const user = await User.findById(surveyor._id).select("surveyorProfile.district").lean();
+      districtId = user?.surveyorProfile?.district || null;
+    }
+  } else {
+    const upload = await SurveyorSketchUpload.findById(payload.uploadId)
+      .select("surveyor district balancePayment")
+      .lean();
+    if (!upload) throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
+    if (String(upload.surveyor) !== String(surveyor._id)) {
+      throw new ForbiddenError("You can apply coupons only to your own uploads", { code: "NOT_YOUR_SKETCH" });
+    }
+    districtId = upload.district;
+    if (payload.purpose === PAYMENT_PURPOSE.BALANCE) {
+      const bp = upload.balancePayment || {};
+      if (bp.merchantOrderId || bp.coupon) {
+        throw couponError("The balance amount is already locked at checkout", "COUPON_LOCKED");
+      }
+      if (bp.amountPaise != null) {
+        lines = balanceFeeLines(bp);
+      } else {
+        const resolved = await sketchPaymentPricing.resolveSketchBalanceFee();
+        lines = balanceFeeLines({ amountPaise: resolved.feePaise, planAmountRupees: resolved.planAmountRupees });
+      }
+    } else {
+      lines = revisionFeeLines(await sketchPaymentPricing.resolveSketchRevisionFee());
+    }
+  }
+  const quote = await quoteCoupon({
+    code: payload.code,
+    surveyorId: surveyor._id,
+    districtId,
+    purpose: payload.purpose,
+    lines,
+  });
+  return {
+    code: quote.coupon.code,
+    description: quote.coupon.description || null,
+    purpose: payload.purpose,
+    discountType: quote.coupon.discountType,
+    stacking: quote.coupon.stacking,
+    grossPaise: quote.grossPaise,
+    discountPaise: quote.discountPaise,
+    payablePaise: quote.payablePaise,
+    payableRupees: quote.payablePaise / 100,
+    validUntil: quote.coupon.validUntil || null,
+  };
+}
+
+// -------- Admin --------
+
+function present(c) {
+  return {
+    id: String(c._id),
+    code: c.code,
+    description: c.description || null,
+    discountType: c.discountType,
+    percentOff: c.percentOff ?? null,
+    amountOffRupees: c.amountOffRupees ?? null,
+    maxDiscountRupees: c.maxDiscountRupees ?? null,
+    appliesTo: c.appliesTo || [],
+    districts: (c.districts || []).map(String),
+    surveyorCategories: c.surveyorCategories || [],
+    validFrom: c.validFrom || null,
+    validUntil: c.validUntil || null,
+    maxRedemptions: c.maxRedemptions ?? null,
+    maxRedemptionsPerUser: c.maxRedemptionsPerUser ?? 1,
+    stacking: c.stacking,
+    active: c.active !== false,
+    redemptionCount: c.redemptionCount || 0,
+    remainingRedemptions: c.maxRedemptions != null ? Math.max(0, c.maxRedemptions - (c.redemptionCount || 0)) : null,
+    createdAt: c.createdAt || null,
+    updatedAt: c.updatedAt || null,
+  };
+}
+
+function assertTerms(c) {
+  if (c.discountType === COUPON_DISCOUNT_TYPE.PERCENT && !(c.percentOff > 0)) {
+    throw new BadRequestError("percentOff is required for PERCENT coupons", {
+      code: "COUPON_TERMS_INVALID",
+      errors: [{ field: "percentOff", message: "Required" }],
+    });
+  }
+  if (c.discountType === COUPON_DISCOUNT_TYPE.FLAT && !(c.amountOffRupees > 0)) {
+    throw new BadRequestError("amountOffRupees is required for FLAT coupons", {
+      code: "COUPON_TERMS_INVALID",
+      errors: [{ field: "amountOffRupees", message: "Required" }],
+    });
+  }
+  if (c.validFrom && c.validUntil && new Date(c.validUntil) <= new Date(c.validFrom)) {
+    throw new BadRequestError("validUntil must be after validFrom", {
+      code: "COUPON_TERMS_INVALID",
+      errors: [{ field: "validUntil", message: "Must be after validFrom" }],
+    });
+  }
+}
+
+/** @param {object} payload - validated (schemas.couponCreate) */
+async function createCoupon(payload, actor) {
+  assertTerms(payload);
+  try {
+    const doc = await Coupon.create({ ...payload, createdBy: actor?._id || null, updatedBy: actor?._id || null });
+    return present(doc.toObject());
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError(`Coupon code ${payload.code} already exists`, { code: "COUPON_CODE_EXISTS" });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Terms changes apply to later checkouts only; frozen snapshots keep what was charged.
+ * @param {object} payload - validated (schemas.couponUpdate); code cannot change
+ */
+async function updateCoupon(couponId, payload, actor) {
+  const doc = await Coupon.findById(couponId);
+  if (!doc) throw new NotFoundError("Coupon not found", { code: "COUPON_NOT_FOUND" });
+  for (const [field, value] of Object.entries(payload)) doc[field] = value;
+  assertTerms(doc);
+  if (doc.maxRedemptions != null && doc.maxRedemptions < doc.redemptionCount) {
+    throw new BadRequestError(`maxRedemptions cannot be below uses so far (${doc.redemptionCount})`, {
+      code: "COUPON_TERMS_INVALID",
+      errors: [{ field: "maxRedemptions", message: `At least ${doc.redemptionCount}` }],
+    });
+  }
+  doc.updatedBy = actor?._id || null;
+  await doc.save();
+  return present(doc.toObject());
+}
+
+/** @param {{ active?: string, q?: string, page?: number, limit?: number }} [filters] */
+async function listCoupons({ active, q, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (active === "true" || active === true) query.active = true;
+  if (active === "false" || active === false) query.active = false;
+  if (q) query.code = { $regex: `^${normalizeCouponCode(q).replace(/[^A-Z0-9_-]/g, "")}` };
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const p = Math.max(Number(page) || 1, 1);
+  const [rows, total] = await Promise.all([
+    Coupon.find(query).sort({ createdAt: -1 }).skip((p - 1) * size).limit(size).lean(),
+    Coupon.countDocuments(query),
+  ]);
+  return { items: rows.map(present), page: p, limit: size, total };
+}
+
+async function listRedemptions(couponId, { state, page = 1, limit = 50 } = {}) {
+  const coupon = await Coupon.findById(couponId).lean();
+  if (!coupon) throw new NotFoundError("Coupon not found", { code: "COUPON_NOT_FOUND" });
+  const query = { coupon: coupon._id };
+  if (state) query.state = String(state).toUpperCase();
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const p = Math.max(Number(page) || 1, 1);
+  const [rows, total] = await Promise.all([
+    CouponRedemption.find(query).sort({ createdAt: -1 }).skip((p - 1) * size).limit(size).lean(),
+    CouponRedemption.countDocuments(query),
+  ]);
+  return {
+    coupon: present(coupon),
+    items: rows.map((r) => ({
+      id: String(r._id),
+      surveyorId: String(r.surveyor),
+      uploadId: String(r.surveyorSketchUpload),
+      purpose: r.purpose,
+      revisionNo: r.revisionNo ?? null,
+      state: r.state,
+      grossPaise: r.grossPaise,
+      discountPaise: r.discountPaise,
+      payablePaise: r.payablePaise,
+      merchantOrderId: r.merchantOrderId || null,
+      reservedAt: r.createdAt,
+      redeemedAt: r.redeemedAt || null,
+    })),
+    page: p,
+    limit: size,
+    total,
+  };
+}
+
+/** Redeemed discounts by code (admin dashboard revenue). */
+async function redeemedDiscountSummary() {
+  const rows = await CouponRedemption.aggregate([
+    { $match: { state: COUPON_REDEMPTION_STATE.REDEEMED } },
+    { $group: { _id: "$code", count: { $sum: 1 }, discountPaise: { $sum: "$discountPaise" } } },
+    { $sort: { discountPaise: -1 } },
+  ]);
+  return {
+    redemptions: rows.reduce((sum, r) => sum + r.count, 0),
+    discountPaise: rows.reduce((sum, r) => sum + r.discountPaise, 0),
+    byCode: rows.map((r) => ({ code: r._id, redemptions: r.count, discountPaise: r.discountPaise })),
+  };
+}
+
+module.exports = {
+  MIN_PAYABLE_PAISE,
+  normalizeCouponCode,
+  bookingFeeLines,
+  balanceFeeLines,
+  revisionFeeLines,
+  computeCouponDiscount,
+  quoteCoupon,
+  reserveCoupon,
+  releaseCoupon,
+  redeemForPayment,
+  redeemForPaymentQuietly,
+  previewCoupon,
+  createCoupon,
+  updateCoupon,
+  listCoupons,
+  listRedemptions,
+  redeemedDiscountSummary,
+};
@@ -0,0 +1,157 @@
+/**
+ * In-memory checkout for local runs and tests — never a real gateway.
+ * Enabled only when PAYMENT_FAKE_PROVIDER_ENABLED=true and STAGE / NODE_ENV is not prod / production.
+ * Checkout "redirects" straight back to /api/payments/fake/callback. Orders stay PENDING until
+ * `settleOrder` (tests) unless PAYMENT_FAKE_AUTO_COMPLETE=true; refunds complete immediately unless
+ * `settleRefund` is used to hold them. State lives in this process only.
+ * Webhooks are signed like Razorpay's (HMAC-SHA256 of the raw body in X-Fake-Signature) with
+ * PAYMENT_FAKE_WEBHOOK_SECRET; body `{ id, event: order.* | refund.*, merchantOrderId, merchantRefundId, createdAt }`.
+ */
+
+const crypto = require("crypto");
+const { PAYMENT_PROVIDER, PROVIDER_STATE, REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+
+const { WEBHOOK_KIND } = require("../../models/payment/PaymentWebhookEvent");
+
+const orders = new Map();
+const refunds = new Map();
+let nextRefundState = REFUND_STATE.COMPLETED;
+
+function isProductionStage() {
+  const stage = String(process.env.STAGE || process.env.NODE_ENV || "").toLowerCase();
+  return stage === "prod" || stage === "production";
+}
+
+function status(merchantOrderId) {
+  const o = orders.get(merchantOrderId);
+  return {
+    provider: PAYMENT_PROVIDER.FAKE,
+    state: o ? o.state : PROVIDER_STATE.FAILED,
+    merchantOrderId,
+    orderId: o ? o.orderId : null,
+    amount: o && o.state === PROVIDER_STATE.COMPLETED ? o.paidPaise : null,
+    transactionId: o && o.state === PROVIDER_STATE.COMPLETED ? `fake_txn_${o.orderId}` : null,
+  };
+}
+
+function refundView(merchantRefundId) {
+  const r = refunds.get(merchantRefundId);
+  return {
+    provider: PAYMENT_PROVIDER.FAKE,
+    merchantRefundId,
+    refundId: r ? r.refundId : null,
+    state: r ? r.state : REFUND_STATE.FAILED,
+    amountPaise: r ? r.amountPaise : null,
+  };
+}
+
+function webhookSecret() {
+  return String(process.env.PAYMENT_FAKE_WEBHOOK_SECRET || "").trim();
+}
+
+/** Tests / local tooling: X-Fake-Signature for a raw body. */
+function webhookSignature(rawBody, secret = webhookSecret()) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+module.exports = {
+  name: PAYMENT_PROVIDER.FAKE,
+  callbackSlug: "fake",
+  maxOrderIdLength: 64,
+
+  isConfigured() {
+    return process.env.PAYMENT_FAKE_PROVIDER_ENABLED === "true" && !isProductionStage();
+  },
+
+  async createOrder({ merchantOrderId, amountPaise, callbackUrl }) {
+    const auto = process.env.PAYMENT_FAKE_AUTO_COMPLETE === "true";
+    const existing = orders.get(merchantOrderId);
+    const orderId = existing?.orderId || `fake_${orders.size + 1}`;
+    orders.set(merchantOrderId, {
+      orderId,
+      amountPaise,
+      paidPaise: amountPaise,
+      state: auto ? PROVIDER_STATE.COMPLETED : PROVIDER_STATE.PENDING,
+    });
+    return { redirectUrl: callbackUrl, providerOrderId: orderId };
+  },
+
+  async fetchStatus(merchantOrderId) {
+    return status(merchantOrderId);
+  },
+
+  verifyCallback(query = {}) {
+    return { merchantOrderId: query.merchantOrderId || null, verified: true };
+  },
+
+  verifyWebhook({ headers = {}, rawBody = "" } = {}) {
+    if (!this.isConfigured() || !webhookSecret()) return { verified: false, reason: "WEBHOOK_NOT_CONFIGURED" };
+    const given = Buffer.from(String(headers["x-fake-signature"] || ""));
+    const want = Buffer.from(webhookSignature(rawBody));
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+      return { verified: false, reason: "SIGNATURE_MISMATCH" };
+    }
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return { verified: false, reason: "INVALID_BODY" };
+    }
+    const eventType = body?.event || null;
+    let kind = WEBHOOK_KIND.OTHER;
+    if (String(eventType).startsWith("order.")) kind = WEBHOOK_KIND.ORDER;
+    else if (String(eventType).startsWith("refund.")) kind = WEBHOOK_KIND.REFUND;
+    const createdAt = body?.createdAt ? new Date(body.createdAt) : null;
+    return {
+      verified: true,
+      kind,
+      eventType,
+      eventId: body?.id || null,
+      occurredAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : null,
+      merchantOrderId: body?.merchantOrderId || null,
+      merchantRefundId: body?.merchantRefundId || null,
+    };
+  },
+
+  async refund({ merchantRefundId, amountPaise }) {
+    if (!refunds.has(merchantRefundId)) {
+      refunds.set(merchantRefundId, {
+        refundId: `fake_rfnd_${refunds.size + 1}`,
+        amountPaise,
+        state: nextRefundState,
+      });
+    }
+    return refundView(merchantRefundId);
+  },
+
+  async fetchRefundStatus(merchantRefundId) {
+    return refundView(merchantRefundId);
+  },
+
+  /** Tests: settle a checkout (`paidPaise` defaults to the ordered amount). */
+  settleOrder(merchantOrderId, { state = PROVIDER_STATE.COMPLETED, paidPaise } = {}) {
+    const o = orders.get(merchantOrderId);
+    if (!o) throw new Error(`Fake provider: unknown order ${merchantOrderId}`);
+    o.state = state;
+    if (paidPaise !== undefined) o.paidPaise = paidPaise;
+  },
+
+  /** Tests: settle an existing refund, or (no id) choose the state new refunds start in. */
+  settleRefund(merchantRefundId, state) {
+    if (!merchantRefundId) {
+      nextRefundState = state;
+      return;
+    }
+    const r = refunds.get(merchantRefundId);
+    if (!r) throw new Error(`Fake provider: unknown refund ${merchantRefundId}`);
+    r.state = state;
+  },
+
+  webhookSignature,
+
+  reset() {
+    orders.clear();
+    refunds.clear();
+    nextRefundState = REFUND_STATE.COMPLETED;
+  },
+};
@@ -0,0 +1,238 @@
+/**
+ * Browser return after any checkout gateway (GET /api/payments/{provider}/callback).
+ * Cancel / fail / success all return to the surveyor dashboard (session preserved).
+ * The return itself never marks anything paid: the attempt's own gateway is asked server-to-server
+ * (audit §4.1 point 28) and the payment attempt ledger applies the transition. The S2S webhook
+ * (paymentWebhook.service) settles through the same settleProviderOrder.
+ */
+
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER } = require("../../models/payment/PaymentAttempt");
+const { getProvider } = require("./paymentProvider.service");
+const logger = require("../../utils/logger");
+
+function normalizeOrderState(response) {
+  const s = response?.state ?? response?.status ?? response?.orderStatus;
+  return s != null ? String(s) : "";
+}
+
+/** Upload id embedded in a merchant order id (booking / retry / balance / revision formats). */
+function parseUploadIdFromMerchantOrder(merchantOrderId) {
+  const {
+    parseBalanceUploadIdFromMerchantOrder,
+    parseSketchUploadIdFromMerchantOrder,
+  } = require("../phonePeSketchPayment.service");
+  if (merchantOrderId.startsWith("bal")) return parseBalanceUploadIdFromMerchantOrder(merchantOrderId);
+  if (merchantOrderId.startsWith("sketch_") || merchantOrderId.startsWith("sk")) {
+    return parseSketchUploadIdFromMerchantOrder(merchantOrderId);
+  }
+  if (merchantOrderId.startsWith("rev_")) {
+    const m = String(merchantOrderId).match(/^rev_([a-f0-9]{24})_(\d+)$/i);
+    return m ? m[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Settle one order from its gateway's server-to-server status: the attempt ledger applies the transition,
+ * then the purpose's completion / failure routine runs. Shared by the browser return and the S2S webhook;
+ * neither trusts amounts or states they carry.
+ * @param {string} providerName - gateway the notification came through
+ * @param {string} merchantOrderId
+ * @param {{ pendingIsFailure?: boolean }} [options] - browser return: a not-completed order is a failed
+ *   payment (the user came back without paying); webhook: a still-PENDING order is left alone
+ * @returns {Promise<{ outcome: "success"|"cancelled"|"pending", returnOrigin: string|null, reason?: string }>}
+ */
+async function settleProviderOrder(providerName, merchantOrderId, { pendingIsFailure = true } = {}) {
+  const phonePeSketchPayment = require("../phonePeSketchPayment.service");
+  const adapter = getProvider(providerName);
+  const cancelled = (reason, returnOrigin = null) => ({ outcome: "cancelled", returnOrigin, reason });
+
+  const known = await PaymentAttempt.findOne({ merchantOrderId })
+    .select("provider providerOrderId")
+    .lean();
+  if (known && (known.provider || PAYMENT_PROVIDER.PHONEPE) !== adapter.name) {
+    logger.error("Payment callback provider mismatch", {
+      merchantOrderId,
+      callbackProvider: adapter.name,
+      attemptProvider: known.provider,
+    });
+    return cancelled("PROVIDER_MISMATCH");
+  }
+
+  let orderState = "";
+  let phonepeResponse = {};
+  if (adapter.isConfigured()) {
+    try {
+      const response = await adapter.fetchStatus(merchantOrderId, {
+        providerOrderId: known?.providerOrderId || null,
+      });
+      orderState = normalizeOrderState(response);
+      phonepeResponse = response && typeof response === "object" ? response : {};
+    } catch (e) {
+      logger.error("Payment provider status check failed", e, { provider: adapter.name, merchantOrderId });
+      if (!pendingIsFailure) throw e;
+    }
+  }
+
+  const completed = String(orderState).toUpperCase() === "COMPLETED";
+  if (!completed && !pendingIsFailure && String(orderState).toUpperCase() !== "FAILED") {
+    return { outcome: "pending", returnOrigin: null };
+  }
+  const surveyorSketchUploadService = require("../surveyorSketchUpload.service");
+  const surveySketchAssignmentService = require("../assignment/surveySketchAssignment.service");
+  const cadDownloadEntitlement = require("../cadDownloadEntitlement.service");
+  const paymentAttempt = require("../paymentAttempt.service");
+  const settled = (result, returnOrigin = null) =>
+    result?.paymentRejected ? cancelled("PAYMENT_REJECTED", returnOrigin) : { outcome: "success", returnOrigin };
+
+  // Immutable attempt ledger transition (points 26–27). No-op path if legacy order has no attempt row yet.
+  const attemptResult = await paymentAttempt.applyProviderCallback({
+    merchantOrderId,
+    phonepeResponse,
+    completed,
+    assertPaidMatchesExpected: phonePeSketchPayment.assertPaidMatchesExpected,
+  });
+
+  const returnOrigin =
+    attemptResult.attempt?.providerReference?.returnOrigin ||
+    attemptResult.attempt?.returnOrigin ||
+    null;
+
+  if (attemptResult.reason === "UNKNOWN_PAYMENT_ATTEMPT") {
+    // Fall through to legacy routing for pre-ledger (PhonePe-only) payments.
+    if (adapter.name !== PAYMENT_PROVIDER.PHONEPE) return cancelled("UNKNOWN_PAYMENT_ATTEMPT");
+  } else if (attemptResult.attempt) {
+    const lockedUploadId = String(attemptResult.uploadId);
+    const purpose = attemptResult.attempt.purpose;
+
+    // Callback cannot override order identity: parsed id must match locked attempt identity.
+    const parsedUploadId = parseUploadIdFromMerchantOrder(merchantOrderId);
+    if (parsedUploadId && parsedUploadId !== lockedUploadId) {
+      logger.error("Payment callback order identity mismatch", {
+        merchantOrderId,
+        parsedUploadId,
+        lockedUploadId,
+      });
+      return cancelled("ORDER_IDENTITY_MISMATCH", returnOrigin);
+    }
+
+    if (!attemptResult.ok) {
+      if (purpose === paymentAttempt.PAYMENT_PURPOSE.BALANCE) {
+        await cadDownloadEntitlement.markBalancePaymentFailed(lockedUploadId, phonepeResponse);
+      } else if (purpose === paymentAttempt.PAYMENT_PURPOSE.BOOKING) {
+        await surveyorSketchUploadService.markSketchPaymentFailed(lockedUploadId, phonepeResponse);
+      } else if (purpose === paymentAttempt.PAYMENT_PURPOSE.REVISION) {
+        await surveySketchAssignmentService.markRevisionPaymentFailed(merchantOrderId, phonepeResponse);
+      }
+      return cancelled(attemptResult.reason, returnOrigin);
+    }
+
+    const { BALANCE, BOOKING, REVISION, WALLET_TOPUP } = paymentAttempt.PAYMENT_PURPOSE;
+    let result = null;
+    if (purpose === BALANCE) {
+      result = await cadDownloadEntitlement.completeBalancePaymentAfterPhonePe(
+        lockedUploadId,
+        phonepeResponse,
+        { merchantOrderId, expectedAmountPaise: attemptResult.expectedPaise }
+      );
+    } else if (purpose === BOOKING) {
+      result = await surveyorSketchUploadService.completeSketchUploadAfterPayment(
+        lockedUploadId,
+        phonepeResponse,
+        { merchantOrderId, expectedAmountPaise: attemptResult.expectedPaise }
+      );
+    } else if (purpose === REVISION) {
+      result = await surveySketchAssignmentService.completeRevisionAfterPayment(
+        merchantOrderId,
+        phonepeResponse
+      );
+    } else if (purpose === WALLET_TOPUP) {
+      result = await require("./surveyorWallet.service").creditTopupAfterPayment(attemptResult.attempt);
+    }
+    if ([BALANCE, BOOKING, REVISION, WALLET_TOPUP].includes(purpose)) {
+      if (!result?.paymentRejected) {
+        if (purpose !== WALLET_TOPUP) await require("./coupon.service").redeemForPaymentQuietly(attemptResult.attempt);
+        // Best-effort: a failure here is alerted and retried by the hourly tax document issuer.
+        await require("./taxDocument.service").issueInvoiceQuietly(attemptResult.attempt._id);
+      }
+      return settled(result, returnOrigin);
+    }
+  }
+
+  // Legacy routing (orders initiated before payment_attempts existed)
+  if (merchantOrderId.startsWith("bal")) {
+    const uploadId = parseUploadIdFromMerchantOrder(merchantOrderId);
+    if (!uploadId) {
+      logger.error("PhonePe callback: could not parse balance upload id", { merchantOrderId });
+      return cancelled("UNPARSEABLE_ORDER_ID");
+    }
+    if (!completed) {
+      await cadDownloadEntitlement.markBalancePaymentFailed(uploadId, phonepeResponse);
+      return cancelled("PROVIDER_NOT_COMPLETED");
+    }
+    return settled(
+      await cadDownloadEntitlement.completeBalancePaymentAfterPhonePe(uploadId, phonepeResponse, { merchantOrderId })
+    );
+  }
+
+  if (merchantOrderId.startsWith("sketch_") || merchantOrderId.startsWith("sk")) {
+    const uploadId = parseUploadIdFromMerchantOrder(merchantOrderId);
+    if (!uploadId) {
+      logger.error("PhonePe callback: could not parse sketch upload id", { merchantOrderId });
+      return cancelled("UNPARSEABLE_ORDER_ID");
+    }
+    if (!completed) {
+      await surveyorSketchUploadService.markSketchPaymentFailed(uploadId, phonepeResponse);
+      return cancelled("PROVIDER_NOT_COMPLETED");
+    }
+    return settled(
+      await surveyorSketchUploadService.completeSketchUploadAfterPayment(uploadId, phonepeResponse, {
+        merchantOrderId,
+      })
+    );
+  }
+
+  if (merchantOrderId.startsWith("rev_")) {
+    if (!completed) {
+      await surveySketchAssignmentService.markRevisionPaymentFailed(merchantOrderId, phonepeResponse);
+      return cancelled("PROVIDER_NOT_COMPLETED");
+    }
+    return settled(
+      await surveySketchAssignmentService.completeRevisionAfterPayment(merchantOrderId, phonepeResponse)
+    );
+  }
+
+  return cancelled("UNKNOWN_ORDER");
+}
+
+/**
+ * @param {string} providerName - PAYMENT_PROVIDER value of the callback route
+ * @param {Record<string, string>} query - callback query string
+ * @returns {Promise<{ redirectUrl: string }>}
+ */
+async function handleProviderCallback(providerName, query = {}) {
+  const phonePeSketchPayment = require("../phonePeSketchPayment.service");
+  const pickReturn = (outcome, returnOrigin = null) =>
+    phonePeSketchPayment.buildBrowserPaymentReturnUrl(outcome, { returnOrigin });
+
+  const adapter = getProvider(providerName);
+  const { merchantOrderId, verified } = adapter.verifyCallback(query);
+  if (!merchantOrderId || typeof merchantOrderId !== "string") {
+    return { redirectUrl: pickReturn("cancelled") };
+  }
+  if (verified === false) {
+    logger.error("Payment callback signature rejected", { provider: adapter.name, merchantOrderId });
+    return { redirectUrl: pickReturn("cancelled") };
+  }
+
+  const { outcome, returnOrigin } = await settleProviderOrder(adapter.name, merchantOrderId);
+  return { redirectUrl: pickReturn(outcome, returnOrigin) };
+}
+
+module.exports = {
+  normalizeOrderState,
+  parseUploadIdFromMerchantOrder,
+  settleProviderOrder,
+  handleProviderCallback,
+};
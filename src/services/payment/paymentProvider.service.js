@@ -0,0 +1,131 @@
+/**
+ * Checkout gateway layer. Each adapter (phonePe / razorpay / fake .provider.js) implements:
+ *   name, callbackSlug, maxOrderIdLength, isConfigured(),
+ *   createOrder({ merchantOrderId, amountPaise, callbackUrl, description }) → { redirectUrl, providerOrderId },
+ *   fetchStatus(merchantOrderId, { providerOrderId }) → { state: COMPLETED|PENDING|FAILED, amount, orderId,
+ *     transactionId, provider } (PhonePe-shaped, so assertPaidMatchesExpected / sanitizeProviderReference apply),
+ *   verifyCallback(query) → { merchantOrderId, verified: true|false|null },
+ *   refund({ merchantRefundId, merchantOrderId, providerOrderId, providerPaymentId, amountPaise })
+ *     / fetchRefundStatus(merchantRefundId, { refundId, providerPaymentId }) → { refundId, state: REFUND_STATE,
+ *     amountPaise, failureReason? } (refunds: paymentRefund.service).
+ *   verifyWebhook({ headers (lower-case names), rawBody }) → { verified, reason?, kind: WEBHOOK_KIND, eventType,
+ *     eventId, occurredAt, merchantOrderId, merchantRefundId } (S2S webhooks: paymentWebhook.service).
+ * The gateway for a new checkout is chosen per purpose in admin settings (paymentProviderSettings.service);
+ * an attempt stays on the gateway it was created with (PaymentAttempt.provider) for status, callback and refund.
+ */
+
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER } = require("../../models/payment/PaymentAttempt");
+const { BadRequestError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+const ADAPTERS = Object.freeze({
+  [PAYMENT_PROVIDER.PHONEPE]: () => require("./phonePe.provider"),
+  [PAYMENT_PROVIDER.RAZORPAY]: () => require("./razorpay.provider"),
+  [PAYMENT_PROVIDER.FAKE]: () => require("./fake.provider"),
+});
+
+function normalizeProviderName(raw) {
+  const name = String(raw || "").toUpperCase().trim();
+  return ADAPTERS[name] ? name : null;
+}
+
+/** @param {string|null|undefined} name - legacy attempts without a provider are PhonePe */
+function getProvider(name) {
+  const key = name == null ? PAYMENT_PROVIDER.PHONEPE : normalizeProviderName(name);
+  if (!key) {
+    throw new BadRequestError(`Unknown payment provider: ${name}`, { code: "UNKNOWN_PAYMENT_PROVIDER" });
+  }
+  return ADAPTERS[key]();
+}
+
+function getProviderByCallbackSlug(slug) {
+  const s = String(slug || "").toLowerCase();
+  const name = Object.keys(ADAPTERS).find((key) => ADAPTERS[key]().callbackSlug === s);
+  return name ? ADAPTERS[name]() : null;
+}
+
+function listProviders() {
+  return Object.keys(ADAPTERS).map((name) => ({ name, configured: ADAPTERS[name]().isConfigured() }));
+}
+
+function buildCallbackUrl(adapter, merchantOrderId) {
+  const { getPublicApiBaseUrl } = require("../phonePeSketchPayment.service");
+  const base = getPublicApiBaseUrl();
+  if (!base) {
+    throw new BadRequestError("PUBLIC_API_BASE_URL is required when sketch payment fees are enabled", {
+      code: "PUBLIC_API_BASE_URL_REQUIRED",
+    });
+  }
+  return `${base}/api/payments/${adapter.callbackSlug}/callback?merchantOrderId=${encodeURIComponent(merchantOrderId)}`;
+}
+
+function assertConfigured(adapter) {
+  if (!adapter.isConfigured()) {
+    throw new BadRequestError(`Payment provider ${adapter.name} is not configured`, {
+      code: `${adapter.name}_NOT_CONFIGURED`,
+    });
+  }
+  return adapter;
+}
+
+/**
+ * Gateway for a new checkout of `purpose`; throws `<PROVIDER>_NOT_CONFIGURED` so callers can fail
+ * before touching order state.
+ */
+async function resolveCheckoutProvider(purpose) {
+  const settings = require("../config/paymentProviderSettings.service");
+  return assertConfigured(getProvider(await settings.resolveProviderName(purpose)));
+}
+
+/**
+ * Create the gateway order. A merchantOrderId that already has an attempt (resumed revision checkout)
+ * stays on that attempt's gateway.
+ * @returns {Promise<{ provider: string, redirectUrl: string, providerOrderId: string|null }>}
+ */
+async function startCheckout({ purpose, merchantOrderId, amountPaise, description = null }) {
+  const orderId = String(merchantOrderId || "").trim();
+  const existing = orderId
+    ? await PaymentAttempt.findOne({ merchantOrderId: orderId }).select("provider").lean()
+    : null;
+  const adapter = existing
+    ? assertConfigured(getProvider(existing.provider))
+    : await resolveCheckoutProvider(purpose);
+  if (!orderId || orderId.length > adapter.maxOrderIdLength) {
+    throw new BadRequestError(
+      `merchantOrderId must be 1-${adapter.maxOrderIdLength} characters for ${adapter.name}`,
+      { code: "PAYMENT_INVALID_ORDER_ID" }
+    );
+  }
+  try {
+    const out = await adapter.createOrder({
+      merchantOrderId: orderId,
+      amountPaise,
+      callbackUrl: buildCallbackUrl(adapter, orderId),
+      description,
+    });
+    return { provider: adapter.name, redirectUrl: out.redirectUrl, providerOrderId: out.providerOrderId || null };
+  } catch (err) {
+    if (err instanceof BadRequestError) throw err;
+    logger.error("Payment provider checkout failed", err, { provider: adapter.name, merchantOrderId: orderId });
+    throw new BadRequestError(err?.message || "Payment gateway error", { code: `${adapter.name}_INIT_FAILED` });
+  }
+}
+
+/** Server-to-server status for an attempt, from the gateway it was created on. */
+async function fetchAttemptStatus(attempt) {
+  const adapter = getProvider(attempt.provider);
+  return adapter.fetchStatus(attempt.merchantOrderId, { providerOrderId: attempt.providerOrderId || null });
+}
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  normalizeProviderName,
+  getProvider,
+  getProviderByCallbackSlug,
+  listProviders,
+  buildCallbackUrl,
+  resolveCheckoutProvider,
+  startCheckout,
+  fetchAttemptStatus,
+};
@@ -0,0 +1,560 @@
+/**
+ * Exceptional admin refunds through the payment's own gateway (approved refund policy — not a customer
+ * entitlement). A refund row is added to the PaymentAttempt as PENDING, sent to the gateway, and settled
+ * from the gateway's answer, the scheduled refund sync (handlers/paymentRefundSync) or a manual sync.
+ * Upload-side effects (balance entitlement revoke, booking REFUNDED, revision fee marked) apply only when
+ * the refund COMPLETES. `offPlatform` records money already returned outside the gateway (chargeback,
+ * pre-ledger order) and settles immediately, as the old bookkeeping-only flow did.
+ * Refunds may be partial (amountPaise): the payment is REFUNDED, and the upload-side effects above apply,
+ * only once completed refunds cover what was paid. Every completed refund of the upload's own order claws
+ * back the CAD operator's delivery credit in proportion (cadPayoutPricing clawback rule).
+ */
+
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const {
+  PAYMENT_PURPOSE,
+  PAYMENT_PROVIDER,
+  PROVIDER_STATE,
+  REFUND_STATE,
+  RECON_FLAG,
+} = require("../../models/payment/PaymentAttempt");
+const SurveyorSketchUpload = require("../../models/surveyor/SurveyorSketchUpload");
+const paymentProvider = require("./paymentProvider.service");
+const { assertExceptionalAdminRefundAllowed } = require("../../config/refundPolicy");
+const { USER_ROLES } = require("../../config/constants");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+/** Money was taken in these states (a mismatched amount is refunded as paid). */
+const REFUNDABLE_STATES = new Set([PROVIDER_STATE.COMPLETED, PROVIDER_STATE.AMOUNT_MISMATCH]);
+
+/** Max pending refunds checked per scheduled run (PAYMENT_REFUND_SYNC_LIMIT, default 50). */
+function getRefundSyncLimit() {
+  const n = parseInt(process.env.PAYMENT_REFUND_SYNC_LIMIT || "50", 10);
+  return Number.isFinite(n) && n > 0 ? n : 50;
+}
+
+/** Order that funded `purpose` on the upload (revision: the fee row for `revisionNo`). */
+function uploadOrderId(upload, purpose, revisionNo) {
+  if (purpose === PAYMENT_PURPOSE.BALANCE) return upload.balancePayment?.merchantOrderId || null;
+  if (purpose === PAYMENT_PURPOSE.BOOKING) return upload.sketchPayment?.merchantOrderId || null;
+  const fee = (upload.revisionFeePayments || []).find((p) => Number(p.revisionNo) === revisionNo);
+  return fee?.merchantOrderId || null;
+}
+
+function uploadSideRefunded(upload, purpose, revisionNo) {
+  if (purpose === PAYMENT_PURPOSE.BALANCE) return upload.balancePayment?.status === "REFUNDED";
+  if (purpose === PAYMENT_PURPOSE.BOOKING) return !!upload.sketchPayment?.refundedAt;
+  const fee = (upload.revisionFeePayments || []).find((p) => Number(p.revisionNo) === revisionNo);
+  return !!fee?.refundedAt;
+}
+
+/** Refunded so far on the upload for attempt-less (pre-ledger) orders. */
+function uploadRefundedPaise(upload, purpose, revisionNo) {
+  if (purpose === PAYMENT_PURPOSE.BALANCE) return Number(upload.balancePayment?.refundedAmountPaise) || 0;
+  if (purpose === PAYMENT_PURPOSE.BOOKING) return Number(upload.sketchPayment?.refundedAmountPaise) || 0;
+  const fee = (upload.revisionFeePayments || []).find((p) => Number(p.revisionNo) === revisionNo);
+  return Number(fee?.refundedAmountPaise) || 0;
+}
+
+/** Paid amount recorded on the upload for attempt-less (pre-ledger) orders. */
+function uploadPaidPaise(upload, purpose, revisionNo) {
+  if (purpose === PAYMENT_PURPOSE.BALANCE) {
+    return Number(upload.balancePayment?.paidAmountPaise ?? upload.balancePayment?.amountPaise) || 0;
+  }
+  if (purpose === PAYMENT_PURPOSE.BOOKING) {
+    return Number(upload.sketchPayment?.paidAmountPaise ?? upload.sketchPayment?.amountPaise) || 0;
+  }
+  const fee = (upload.revisionFeePayments || []).find((p) => Number(p.revisionNo) === revisionNo);
+  return Number(fee?.paidAmountPaise ?? fee?.chargedAmountPaise) || 0;
+}
+
+/** 4xx from the gateway means the refund was not created; timeouts / 5xx may still have landed. */
+function isDefinitiveRejection(err) {
+  const status = Number(err?.statusCode ?? err?.httpStatusCode);
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/** Money taken on this attempt (a mismatched amount is refunded as paid). */
+function attemptPaidPaise(attempt) {
+  return Number(
+    attempt.paidAmountPaise ||
+      (attempt.providerState === PROVIDER_STATE.COMPLETED ? attempt.expectedAmountPaise : 0)
+  );
+}
+
+/** Sum of COMPLETED refunds on this attempt. */
+function attemptRefundedPaise(attempt) {
+  return (attempt?.refunds || [])
+    .filter((r) => r.state === REFUND_STATE.COMPLETED)
+    .reduce((sum, r) => sum + (Number(r.amountPaise) || 0), 0);
+}
+
+/** Requested amount, or everything not yet refunded; never more than that. */
+function resolveRefundAmount(requested, paidPaise, refundedPaise) {
+  const remaining = paidPaise - refundedPaise;
+  if (remaining <= 0) {
+    throw new BadRequestError("Payment is already refunded", { code: "ALREADY_REFUNDED" });
+  }
+  if (requested == null) return remaining;
+  if (requested > remaining) {
+    throw new BadRequestError("Refund amount exceeds what is left to refund on this payment", {
+      code: "REFUND_AMOUNT_EXCEEDS_PAID",
+      errors: [{ field: "amountPaise", message: `At most ${remaining} paise`, remainingPaise: remaining }],
+    });
+  }
+  return requested;
+}
+
+function rowOf(attempt, merchantRefundId) {
+  return (attempt?.refunds || []).find((r) => r.merchantRefundId === merchantRefundId) || null;
+}
+
+function presentRefund(attempt, row) {
+  return {
+    merchantRefundId: row.merchantRefundId,
+    providerRefundId: row.providerRefundId || null,
+    state: row.state,
+    amountPaise: row.amountPaise,
+    offPlatform: row.offPlatform === true,
+    reasonCode: row.reasonCode || null,
+    policyVersion: row.policyVersion || null,
+    note: row.note || null,
+    requestedBy: row.requestedBy || null,
+    requestedAt: row.requestedAt || null,
+    settledAt: row.settledAt || null,
+    lastCheckAt: row.lastCheckAt || null,
+    failureReason: row.failureReason || null,
+    merchantOrderId: attempt.merchantOrderId,
+    paidAmountPaise: attempt.refunds ? attemptPaidPaise(attempt) : null,
+    refundedAmountPaise: attempt.refunds ? attemptRefundedPaise(attempt) : null,
+    provider: attempt.provider || PAYMENT_PROVIDER.PHONEPE,
+    purpose: attempt.purpose,
+    uploadId: String(attempt.surveyorSketchUpload),
+    revisionNo: attempt.revisionNo ?? null,
+  };
+}
+
+async function applyUploadRefund({ purpose, uploadId, revisionNo, merchantOrderId }, row, full) {
+  const info = {
+    merchantOrderId,
+    reasonCode: row.reasonCode,
+    policyVersion: row.policyVersion,
+    note: row.note,
+    amountPaise: row.amountPaise,
+    full,
+  };
+  if (purpose === PAYMENT_PURPOSE.BALANCE) {
+    return require("../cadDownloadEntitlement.service").applyBalanceRefund(uploadId, info);
+  }
+  if (purpose === PAYMENT_PURPOSE.BOOKING) {
+    return require("../surveyorSketchUpload.service").markSketchPaymentRefunded(uploadId, info);
+  }
+  if (purpose === PAYMENT_PURPOSE.REVISION) {
+    return require("../assignment/surveySketchAssignment.service").markRevisionFeeRefunded(
+      uploadId,
+      revisionNo,
+      info
+    );
+  }
+  return false;
+}
+
+/**
+ * Upload-side effects of a settled refund, then the CAD clawback when the refunded order is the one that
+ * paid for the delivery (a duplicate charge changes neither), then the refund's credit note. Failures alert
+ * instead of undoing the refund.
+ */
+async function settleUploadRefund(target, row, { full, refundRef }) {
+  await applyUploadSideEffects(target, row, { full, refundRef });
+  if (row.merchantRefundId) {
+    await require("./taxDocument.service").issueCreditNoteQuietly(row.merchantRefundId);
+  }
+}
+
+async function applyUploadSideEffects(target, row, { full, refundRef }) {
+  let applied = false;
+  try {
+    applied = await applyUploadRefund(target, row, full);
+  } catch (err) {
+    logger.error("ALERT_PAYMENT_REFUND_UPLOAD_UPDATE_FAILED", err, {
+      merchantRefundId: refundRef,
+      merchantOrderId: target.merchantOrderId,
+      escalateTo: "operations",
+    });
+    return;
+  }
+  if (!applied) return;
+  try {
+    await require("../cadWallet.service").recordRefundClawback({
+      uploadId: target.uploadId,
+      purpose: target.purpose,
+      revisionNo: target.revisionNo,
+      refundRef,
+      refundedPaise: row.amountPaise,
+      reasonCode: row.reasonCode,
+    });
+  } catch (err) {
+    logger.error("ALERT_CAD_CLAWBACK_FAILED", err, {
+      refundRef,
+      uploadId: target.uploadId,
+      purpose: target.purpose,
+      escalateTo: "finance",
+    });
+  }
+}
+
+async function recordBalanceEvent(attempt, row, event) {
+  if (attempt.purpose !== PAYMENT_PURPOSE.BALANCE) return;
+  try {
+    await require("../cadDownloadEntitlement.service").recordBalanceRefundEvent(
+      String(attempt.surveyorSketchUpload),
+      event,
+      {
+        merchantOrderId: attempt.merchantOrderId,
+        amountPaise: row.amountPaise,
+        reasonCode: row.reasonCode,
+        policyVersion: row.policyVersion,
+        note: event === "REFUND_FAILED" ? row.failureReason : row.note,
+      }
+    );
+  } catch (err) {
+    logger.error("Failed to record balance refund ledger event", err, {
+      merchantOrderId: attempt.merchantOrderId,
+      event,
+    });
+  }
+}
+
+/**
+ * Apply a gateway refund status to a PENDING refund row. Only the caller that moves the row out of
+ * PENDING applies upload-side effects, so a sync racing a callback settles once. The payment becomes
+ * REFUNDED only when this refund completes the paid amount.
+ * @param {string} merchantRefundId
+ * @param {{ state?: string, refundId?: string, failureReason?: string }} status - adapter refund payload
+ * @returns {Promise<{ attempt: object, refund: object, settled: boolean }>}
+ */
+async function applyRefundStatus(merchantRefundId, status = {}) {
+  const now = new Date();
+  const state = REFUND_STATE[String(status.state || "").toUpperCase()] || REFUND_STATE.PENDING;
+  const pendingRow = { refunds: { $elemMatch: { merchantRefundId, state: REFUND_STATE.PENDING } } };
+  const $set = { "refunds.$.lastCheckAt": now };
+  if (status.refundId) $set["refunds.$.providerRefundId"] = String(status.refundId);
+  const update = { $set };
+  if (state !== REFUND_STATE.PENDING) {
+    $set["refunds.$.state"] = state;
+    $set["refunds.$.settledAt"] = now;
+  }
+  if (state === REFUND_STATE.FAILED) {
+    $set["refunds.$.failureReason"] = String(status.failureReason || "PROVIDER_REFUND_FAILED").slice(0, 500);
+  }
+  // Only one refund per payment is PENDING at a time, so COMPLETED rows cannot change under us.
+  const before = await PaymentAttempt.findOne(pendingRow).lean();
+  const pending = rowOf(before, merchantRefundId);
+  const full =
+    !!pending && attemptRefundedPaise(before) + Number(pending.amountPaise) >= attemptPaidPaise(before);
+  if (state === REFUND_STATE.COMPLETED) {
+    if (full) $set.providerState = PROVIDER_STATE.REFUNDED;
+    update.$push = {
+      reconciliationFlags: {
+        flag: full ? RECON_FLAG.REFUNDED : RECON_FLAG.PARTIALLY_REFUNDED,
+        at: now,
+        note: `gateway_refund ${merchantRefundId}`,
+      },
+    };
+  }
+
+  const attempt = before ? await PaymentAttempt.findOneAndUpdate(pendingRow, update, { new: true }).lean() : null;
+  if (!attempt) {
+    const existing = await PaymentAttempt.findOne({ "refunds.merchantRefundId": merchantRefundId }).lean();
+    if (!existing) throw new NotFoundError("Refund not found", { code: "REFUND_NOT_FOUND" });
+    return { attempt: existing, refund: rowOf(existing, merchantRefundId), settled: false };
+  }
+  const row = rowOf(attempt, merchantRefundId);
+
+  if (state === REFUND_STATE.COMPLETED) {
+    await settleUploadRefund(
+      {
+        purpose: attempt.purpose,
+        uploadId: String(attempt.surveyorSketchUpload),
+        revisionNo: attempt.revisionNo,
+        merchantOrderId: attempt.merchantOrderId,
+      },
+      row,
+      { full, refundRef: merchantRefundId }
+    );
+  } else if (state === REFUND_STATE.FAILED) {
+    logger.warn("ALERT_PAYMENT_REFUND_FAILED", {
+      alertType: "PAYMENT_REFUND",
+      severity: "high",
+      merchantRefundId,
+      merchantOrderId: attempt.merchantOrderId,
+      provider: attempt.provider,
+      failureReason: row.failureReason,
+      escalateTo: "operations",
+    });
+    await recordBalanceEvent(attempt, row, "REFUND_FAILED");
+  }
+  return { attempt, refund: row, settled: state !== REFUND_STATE.PENDING };
+}
+
+/**
+ * Admin exceptional refund of one upload payment (booking / balance / revision fee), in full or in part.
+ * @param {{ reasonCode: string, note: string, revisionNo?: number, merchantOrderId?: string,
+ *   offPlatform?: boolean, amountPaise?: number }} payload - merchantOrderId picks a specific attempt (e.g. a
+ *   duplicate charge), default is the order the upload recorded for this purpose; amountPaise defaults to
+ *   everything not yet refunded
+ */
+async function requestRefund(actor, uploadId, purpose, payload = {}) {
+  if (actor.role !== USER_ROLES.ADMIN && actor.role !== USER_ROLES.SUPER_ADMIN) {
+    throw new ForbiddenError("Only admin can issue refunds", { code: "ADMIN_ONLY" });
+  }
+  const approved = assertExceptionalAdminRefundAllowed(payload);
+  const offPlatform = payload.offPlatform === true;
+  const requestedPaise = payload.amountPaise != null ? Number(payload.amountPaise) : null;
+  const revisionNo = purpose === PAYMENT_PURPOSE.REVISION ? Number(payload.revisionNo) : null;
+
+  const upload = await SurveyorSketchUpload.findById(uploadId)
+    .select("sketchPayment balancePayment revisionFeePayments")
+    .lean();
+  if (!upload) {
+    throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
+  }
+  const canonical = uploadOrderId(upload, purpose, revisionNo);
+  const merchantOrderId = payload.merchantOrderId ? String(payload.merchantOrderId).trim() : canonical;
+  if (!merchantOrderId) {
+    throw new BadRequestError("No payment to refund for this upload", { code: "NO_PAYMENT_TO_REFUND" });
+  }
+  if (merchantOrderId === canonical && uploadSideRefunded(upload, purpose, revisionNo)) {
+    throw new BadRequestError("Payment is already refunded", { code: "ALREADY_REFUNDED" });
+  }
+
+  const attempt = await PaymentAttempt.findOne({ merchantOrderId }).lean();
+  if (
+    attempt &&
+    (String(attempt.surveyorSketchUpload) !== String(uploadId) ||
+      attempt.purpose !== purpose ||
+      (revisionNo != null && attempt.revisionNo != null && Number(attempt.revisionNo) !== revisionNo))
+  ) {
+    throw new BadRequestError("merchantOrderId does not belong to this upload payment", {
+      code: "REFUND_ORDER_MISMATCH",
+    });
+  }
+
+  const now = new Date();
+  const base = {
+    offPlatform,
+    reasonCode: approved.reasonCode,
+    policyVersion: approved.policyVersion,
+    note: approved.note,
+    requestedBy: actor._id || null,
+    requestedAt: now,
+  };
+
+  if (!attempt) {
+    // Pre-ledger order: nothing for the gateway to match, so only an off-platform record is possible.
+    if (merchantOrderId !== canonical) {
+      throw new BadRequestError("No payment to refund for this upload", { code: "NO_PAYMENT_TO_REFUND" });
+    }
+    if (!offPlatform) {
+      throw new BadRequestError(
+        "No payment attempt for this order; record a refund made outside the gateway with offPlatform: true",
+        { code: "PAYMENT_ATTEMPT_NOT_FOUND" }
+      );
+    }
+    const paidPaise = uploadPaidPaise(upload, purpose, revisionNo);
+    const refundedPaise = uploadRefundedPaise(upload, purpose, revisionNo);
+    const amountPaise = resolveRefundAmount(requestedPaise, paidPaise, refundedPaise);
+    const row = {
+      ...base,
+      merchantRefundId: null,
+      state: REFUND_STATE.COMPLETED,
+      amountPaise,
+      settledAt: now,
+    };
+    await settleUploadRefund({ purpose, uploadId: String(uploadId), revisionNo, merchantOrderId }, row, {
+      full: refundedPaise + amountPaise >= paidPaise,
+      refundRef: `op_${merchantOrderId}_${now.getTime()}`,
+    });
+    return presentRefund({ merchantOrderId, provider: null, purpose, surveyorSketchUpload: uploadId, revisionNo }, row);
+  }
+
+  if (attempt.providerState === PROVIDER_STATE.REFUNDED) {
+    throw new BadRequestError("Payment is already refunded", { code: "ALREADY_REFUNDED" });
+  }
+  if (!REFUNDABLE_STATES.has(attempt.providerState)) {
+    throw new BadRequestError("Only a completed payment can be refunded", {
+      code: "PAYMENT_NOT_REFUNDABLE",
+      errors: [{ field: "merchantOrderId", providerState: attempt.providerState }],
+    });
+  }
+  const paidPaise = attemptPaidPaise(attempt);
+  if (!(paidPaise > 0)) {
+    throw new BadRequestError("Paid amount is unknown for this payment", { code: "REFUND_AMOUNT_UNKNOWN" });
+  }
+  const refundedPaise = attemptRefundedPaise(attempt);
+  const amountPaise = resolveRefundAmount(requestedPaise, paidPaise, refundedPaise);
+  const full = refundedPaise + amountPaise >= paidPaise;
+  const adapter = paymentProvider.getProvider(attempt.provider);
+  if (!offPlatform && !adapter.isConfigured()) {
+    throw new BadRequestError(`Payment provider ${adapter.name} is not configured`, {
+      code: `${adapter.name}_NOT_CONFIGURED`,
+    });
+  }
+
+  const merchantRefundId = `rf${attempt._id}${(attempt.refunds || []).length + 1}`;
+  const row = {
+    ...base,
+    merchantRefundId,
+    amountPaise,
+    state: offPlatform ? REFUND_STATE.COMPLETED : REFUND_STATE.PENDING,
+    settledAt: offPlatform ? now : null,
+  };
+  const update = { $push: { refunds: row } };
+  if (offPlatform) {
+    const note = `${approved.reasonCode}: ${approved.note}`;
+    update.$set = { manuallyAdjusted: true };
+    if (full) update.$set.providerState = PROVIDER_STATE.REFUNDED;
+    update.$push.reconciliationFlags = {
+      $each: [
+        { flag: full ? RECON_FLAG.REFUNDED : RECON_FLAG.PARTIALLY_REFUNDED, at: now, note },
+        { flag: RECON_FLAG.MANUALLY_ADJUSTED, at: now, note },
+      ],
+    };
+  }
+  // One refund in flight per payment, claimed against the refunds we summed above: a double-submit or a
+  // refund settled meanwhile loses here instead of refunding more than was paid.
+  const claimed = await PaymentAttempt.findOneAndUpdate(
+    {
+      _id: attempt._id,
+      providerState: attempt.providerState,
+      "refunds.state": { $ne: REFUND_STATE.PENDING },
+      refunds: { $size: (attempt.refunds || []).length },
+    },
+    update,
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    throw new BadRequestError("A refund is already in progress for this payment", {
+      code: "REFUND_IN_PROGRESS",
+    });
+  }
+
+  const target = {
+    purpose,
+    uploadId: String(uploadId),
+    revisionNo: attempt.revisionNo ?? revisionNo,
+    merchantOrderId,
+  };
+  if (offPlatform) {
+    await settleUploadRefund(target, row, { full, refundRef: merchantRefundId });
+    return presentRefund(claimed, rowOf(claimed, merchantRefundId));
+  }
+
+  await recordBalanceEvent(claimed, row, "REFUND_REQUESTED");
+  let status;
+  try {
+    status = await adapter.refund({
+      merchantRefundId,
+      merchantOrderId,
+      providerOrderId: attempt.providerOrderId || null,
+      providerPaymentId: attempt.providerReference?.transactionId || null,
+      amountPaise,
+    });
+  } catch (err) {
+    logger.error("Gateway refund request failed", err, { provider: adapter.name, merchantOrderId, merchantRefundId });
+    // A rejected request is final; anything else stays PENDING for the refund sync to resolve.
+    status = isDefinitiveRejection(err)
+      ? { state: REFUND_STATE.FAILED, failureReason: err?.message || "REFUND_REQUEST_REJECTED" }
+      : { state: REFUND_STATE.PENDING };
+  }
+  const result = await applyRefundStatus(merchantRefundId, status);
+  return presentRefund(result.attempt, result.refund);
+}
+
+/** Ask the gateway about one PENDING refund and settle it. */
+async function syncRefund(merchantRefundId) {
+  const attempt = await PaymentAttempt.findOne({ "refunds.merchantRefundId": merchantRefundId }).lean();
+  const row = rowOf(attempt, merchantRefundId);
+  if (!row) throw new NotFoundError("Refund not found", { code: "REFUND_NOT_FOUND" });
+  if (row.state !== REFUND_STATE.PENDING) return presentRefund(attempt, row);
+
+  const adapter = paymentProvider.getProvider(attempt.provider);
+  if (!adapter.isConfigured()) {
+    throw new BadRequestError(`Payment provider ${adapter.name} is not configured`, {
+      code: `${adapter.name}_NOT_CONFIGURED`,
+    });
+  }
+  const status = await adapter.fetchRefundStatus(merchantRefundId, {
+    refundId: row.providerRefundId || null,
+    providerPaymentId: attempt.providerReference?.transactionId || null,
+  });
+  const result = await applyRefundStatus(merchantRefundId, status);
+  return presentRefund(result.attempt, result.refund);
+}
+
+/**
+ * Scheduled: settle PENDING refunds, oldest first, capped per run.
+ * @returns {Promise<{ checked: number, completed: number, failed: number, pending: number, skipped: number, errors: number }>}
+ */
+async function syncPendingRefunds({ limit = getRefundSyncLimit() } = {}) {
+  const out = { checked: 0, completed: 0, failed: 0, pending: 0, skipped: 0, errors: 0 };
+  const attempts = await PaymentAttempt.find({ "refunds.state": REFUND_STATE.PENDING })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .lean();
+  for (const attempt of attempts) {
+    if (!paymentProvider.getProvider(attempt.provider).isConfigured()) {
+      out.skipped += 1;
+      continue;
+    }
+    for (const row of (attempt.refunds || []).filter((r) => r.state === REFUND_STATE.PENDING)) {
+      try {
+        const refund = await syncRefund(row.merchantRefundId);
+        out.checked += 1;
+        if (refund.state === REFUND_STATE.COMPLETED) out.completed += 1;
+        else if (refund.state === REFUND_STATE.FAILED) out.failed += 1;
+        else out.pending += 1;
+      } catch (err) {
+        out.errors += 1;
+        logger.error("Refund status sync failed", err, {
+          merchantRefundId: row.merchantRefundId,
+          provider: attempt.provider,
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Admin: refunds across payments, newest first.
+ * @param {{ state?: string, uploadId?: string, limit?: number }} [filters]
+ */
+async function listRefunds({ state, uploadId, limit = 50 } = {}) {
+  const query = { "refunds.0": { $exists: true } };
+  if (state) query["refunds.state"] = state;
+  if (uploadId) query.surveyorSketchUpload = uploadId;
+  const attempts = await PaymentAttempt.find(query)
+    .select("merchantOrderId provider purpose surveyorSketchUpload revisionNo refunds updatedAt")
+    .sort({ updatedAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .lean();
+  const rows = [];
+  for (const attempt of attempts) {
+    for (const row of attempt.refunds || []) {
+      if (!state || row.state === state) rows.push(presentRefund(attempt, row));
+    }
+  }
+  return rows.sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+}
+
+module.exports = {
+  REFUND_STATE,
+  getRefundSyncLimit,
+  requestRefund,
+  applyRefundStatus,
+  syncRefund,
+  syncPendingRefunds,
+  listRefunds,
+};
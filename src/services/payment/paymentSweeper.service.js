@@ -0,0 +1,185 @@
+/**
+ * Scheduled sweeper for stuck PENDING payment attempts (browser return and webhook both missed).
+ * Polls each attempt's own gateway and settles through paymentCallback.settleProviderOrder — the same
+ * completion / failure routines as the callback — leaving still-pending orders for a later run.
+ * Per attempt, polls back off exponentially (PaymentAttempt.sweep); per run, at most PAYMENT_SWEEP_LIMIT
+ * attempts are polled. Every poll is recorded in payment_sweep_actions for the admin view.
+ * Attempts past PAYMENT_ATTEMPT_EXPIRE_MS are left to daily reconciliation (EXPIRED flag).
+ */
+
+const crypto = require("crypto");
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const { PROVIDER_STATE } = require("../../models/payment/PaymentAttempt");
+const PaymentSweepAction = require("../../models/payment/PaymentSweepAction");
+const { SWEEP_OUTCOME } = require("../../models/payment/PaymentSweepAction");
+const paymentProvider = require("./paymentProvider.service");
+const { getPendingExpireMs } = require("../paymentReconciliation.service");
+const logger = require("../../utils/logger");
+
+function envMs(name, fallback) {
+  const n = parseInt(process.env[name] || String(fallback), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Attempts younger than this are still in checkout (PAYMENT_SWEEP_MIN_AGE_MS, default 5 min). */
+function getSweepMinAgeMs() {
+  return envMs("PAYMENT_SWEEP_MIN_AGE_MS", 5 * 60 * 1000);
+}
+
+/** Max gateway polls per run (PAYMENT_SWEEP_LIMIT, default 25). */
+function getSweepLimit() {
+  return envMs("PAYMENT_SWEEP_LIMIT", 25);
+}
+
+/**
+ * Wait before poll number `count + 1`: base × 2^(count − 1), capped
+ * (PAYMENT_SWEEP_BACKOFF_BASE_MS default 5 min, PAYMENT_SWEEP_BACKOFF_MAX_MS default 6 h).
+ */
+function sweepBackoffMs(count) {
+  const base = envMs("PAYMENT_SWEEP_BACKOFF_BASE_MS", 5 * 60 * 1000);
+  const max = envMs("PAYMENT_SWEEP_BACKOFF_MAX_MS", 6 * 60 * 60 * 1000);
+  return Math.min(max, base * 2 ** Math.max(0, count - 1));
+}
+
+function dueFilter(now) {
+  return {
+    providerState: PROVIDER_STATE.PENDING,
+    initiatedAt: { $lte: new Date(now - getSweepMinAgeMs()), $gt: new Date(now - getPendingExpireMs()) },
+    $or: [{ "sweep.nextAt": null }, { "sweep.nextAt": { $lte: new Date(now) } }],
+  };
+}
+
+/**
+ * Claim one attempt for this run (bumps count and schedules the next poll up front, so overlapping runs
+ * and crashes never poll it early). Returns null when another run got there first.
+ */
+async function claimAttempt(attempt, now) {
+  const count = Number(attempt.sweep?.count || 0) + 1;
+  const nextAt = new Date(now + sweepBackoffMs(count));
+  const claimed = await PaymentAttempt.findOneAndUpdate(
+    { _id: attempt._id, ...dueFilter(now) },
+    { $set: { "sweep.count": count, "sweep.lastAt": new Date(now), "sweep.nextAt": nextAt } },
+    { new: true }
+  )
+    .select("_id merchantOrderId provider purpose sweep")
+    .lean();
+  return claimed ? { count, nextAt } : null;
+}
+
+async function recordAction(runId, attempt, claim, { outcome, reason = null, error = null }) {
+  await PaymentAttempt.updateOne({ _id: attempt._id }, { $set: { "sweep.lastOutcome": outcome } });
+  try {
+    await PaymentSweepAction.create({
+      runId,
+      paymentAttempt: attempt._id,
+      merchantOrderId: attempt.merchantOrderId,
+      provider: attempt.provider,
+      purpose: attempt.purpose,
+      outcome,
+      reason,
+      error: error ? String(error).slice(0, 1000) : null,
+      sweepCount: claim.count,
+      nextSweepAt: outcome === SWEEP_OUTCOME.STILL_PENDING || outcome === SWEEP_OUTCOME.ERROR ? claim.nextAt : null,
+    });
+  } catch (err) {
+    logger.error("Payment sweep action log failed", err, { runId, merchantOrderId: attempt.merchantOrderId });
+  }
+}
+
+/**
+ * Scheduled: settle due PENDING attempts, oldest poll first.
+ * @returns {Promise<{ runId: string, checked: number, completed: number, failed: number, pending: number,
+ *   skipped: number, errors: number }>}
+ */
+async function sweepPendingAttempts({ limit = getSweepLimit(), now = Date.now() } = {}) {
+  const { settleProviderOrder } = require("./paymentCallback.service");
+  const runId = crypto.randomUUID();
+  const out = { runId, checked: 0, completed: 0, failed: 0, pending: 0, skipped: 0, errors: 0 };
+  const due = await PaymentAttempt.find(dueFilter(now))
+    .select("_id merchantOrderId provider purpose sweep")
+    .sort({ "sweep.nextAt": 1, initiatedAt: 1 })
+    .limit(limit)
+    .lean();
+
+  for (const attempt of due) {
+    const claim = await claimAttempt(attempt, now);
+    if (!claim) continue;
+    if (!paymentProvider.getProvider(attempt.provider).isConfigured()) {
+      out.skipped += 1;
+      await recordAction(runId, attempt, claim, {
+        outcome: SWEEP_OUTCOME.SKIPPED,
+        reason: "PROVIDER_NOT_CONFIGURED",
+      });
+      continue;
+    }
+    out.checked += 1;
+    try {
+      const { outcome, reason } = await settleProviderOrder(attempt.provider, attempt.merchantOrderId, {
+        pendingIsFailure: false,
+      });
+      if (outcome === "success") {
+        out.completed += 1;
+        await recordAction(runId, attempt, claim, { outcome: SWEEP_OUTCOME.COMPLETED });
+      } else if (outcome === "pending") {
+        out.pending += 1;
+        await recordAction(runId, attempt, claim, { outcome: SWEEP_OUTCOME.STILL_PENDING });
+      } else {
+        out.failed += 1;
+        await recordAction(runId, attempt, claim, { outcome: SWEEP_OUTCOME.FAILED, reason: reason || null });
+      }
+    } catch (err) {
+      out.errors += 1;
+      logger.error("Payment sweep failed for attempt", err, {
+        runId,
+        merchantOrderId: attempt.merchantOrderId,
+        provider: attempt.provider,
+      });
+      await recordAction(runId, attempt, claim, { outcome: SWEEP_OUTCOME.ERROR, error: err?.message || err });
+    }
+  }
+  return out;
+}
+
+/**
+ * Admin: sweeper actions newest first, plus how many PENDING attempts are waiting for a poll.
+ * @param {{ outcome?: string, merchantOrderId?: string, runId?: string, limit?: number }} [filters]
+ */
+async function listSweepActions({ outcome, merchantOrderId, runId, limit = 50 } = {}) {
+  const query = {};
+  if (outcome) query.outcome = outcome;
+  if (merchantOrderId) query.merchantOrderId = merchantOrderId;
+  if (runId) query.runId = runId;
+  const [actions, pendingDue] = await Promise.all([
+    PaymentSweepAction.find(query)
+      .sort({ at: -1 })
+      .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+      .lean(),
+    PaymentAttempt.countDocuments(dueFilter(Date.now())),
+  ]);
+  return {
+    pendingDue,
+    actions: actions.map((a) => ({
+      id: String(a._id),
+      runId: a.runId,
+      paymentAttemptId: String(a.paymentAttempt),
+      merchantOrderId: a.merchantOrderId,
+      provider: a.provider,
+      purpose: a.purpose,
+      outcome: a.outcome,
+      reason: a.reason || null,
+      error: a.error || null,
+      sweepCount: a.sweepCount,
+      nextSweepAt: a.nextSweepAt || null,
+      at: a.at,
+    })),
+  };
+}
+
+module.exports = {
+  SWEEP_OUTCOME,
+  getSweepMinAgeMs,
+  getSweepLimit,
+  sweepBackoffMs,
+  sweepPendingAttempts,
+  listSweepActions,
+};
@@ -0,0 +1,277 @@
+/**
+ * Gateway server-to-server webhooks (POST /api/payments/{provider}/webhook).
+ * Settles orders whose browser return never arrived (tab closed) without waiting for reconciliation.
+ * The adapter verifies the signature / authorization header; the body is only a hint — order and refund
+ * status are re-fetched from the gateway and applied through the same paths as the browser callback
+ * (paymentCallback.settleProviderOrder) and the refund sync (paymentRefund.syncRefund).
+ * Replay protection: one payment_webhook_events row per provider + event type + order / refund id, and events
+ * carrying a timestamp must fall inside PAYMENT_WEBHOOK_MAX_AGE_SEC.
+ */
+
+const PaymentWebhookEvent = require("../../models/payment/PaymentWebhookEvent");
+const {
+  WEBHOOK_STATUS,
+  WEBHOOK_KIND,
+  RAW_BODY_MAX_CHARS,
+} = require("../../models/payment/PaymentWebhookEvent");
+const { REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+const { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+/** A RECEIVED row older than this is a crashed delivery and may be claimed again. */
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+/** Gateway clocks may run slightly ahead of ours. */
+const FUTURE_SKEW_SEC = 300;
+const REJECTED_BODY_MAX_CHARS = 4096;
+const SENSITIVE_HEADER = /authorization|signature|cookie|token|secret|api-key/i;
+
+/** Settlement outcomes that mean "not ours / nothing to do" rather than a processed payment. */
+const IGNORED_REASONS = new Set(["UNKNOWN_ORDER", "UNKNOWN_PAYMENT_ATTEMPT", "PROVIDER_MISMATCH"]);
+
+function getWebhookMaxAgeSec() {
+  const n = parseInt(process.env.PAYMENT_WEBHOOK_MAX_AGE_SEC || "86400", 10);
+  return Number.isFinite(n) && n > 0 ? n : 86400;
+}
+
+function lowerCaseHeaders(headers = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) out[String(k).toLowerCase()] = v;
+  return out;
+}
+
+function sanitizeHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([k]) => !SENSITIVE_HEADER.test(k)));
+}
+
+function clipBody(rawBody, max) {
+  const body = String(rawBody || "");
+  return { rawBody: body.slice(0, max), rawBodyTruncated: body.length > max };
+}
+
+/** Order events are keyed on merchantOrderId, refund events on merchantRefundId; null → log only. */
+function dedupeKeyOf(provider, verified) {
+  const ref = verified.kind === WEBHOOK_KIND.REFUND ? verified.merchantRefundId : verified.merchantOrderId;
+  if (!ref || verified.kind === WEBHOOK_KIND.OTHER) return null;
+  return [provider, verified.kind, verified.eventType || "", ref].join(":");
+}
+
+function present(event, { duplicate = false } = {}) {
+  return {
+    id: event?._id ? String(event._id) : null,
+    provider: event?.provider || null,
+    kind: event?.kind || null,
+    eventType: event?.eventType || null,
+    eventId: event?.eventId || null,
+    merchantOrderId: event?.merchantOrderId || null,
+    merchantRefundId: event?.merchantRefundId || null,
+    status: event?.status || null,
+    outcome: event?.outcome || null,
+    error: event?.error || null,
+    attempts: event?.attempts ?? 0,
+    duplicateCount: event?.duplicateCount ?? 0,
+    receivedAt: event?.receivedAt || null,
+    processedAt: event?.processedAt || null,
+    duplicate,
+  };
+}
+
+async function logRejected(adapter, headers, rawBody, reason, verified = {}) {
+  try {
+    await PaymentWebhookEvent.create({
+      provider: adapter.name,
+      kind: verified.kind || WEBHOOK_KIND.OTHER,
+      eventType: verified.eventType || null,
+      eventId: verified.eventId || null,
+      merchantOrderId: verified.merchantOrderId || null,
+      merchantRefundId: verified.merchantRefundId || null,
+      signatureVerified: verified.verified === true,
+      status: WEBHOOK_STATUS.REJECTED,
+      outcome: reason,
+      occurredAt: verified.occurredAt || null,
+      headers: sanitizeHeaders(headers),
+      ...clipBody(rawBody, REJECTED_BODY_MAX_CHARS),
+    });
+  } catch (err) {
+    logger.error("Payment webhook rejection log failed", err, { provider: adapter.name, reason });
+  }
+  logger.warn("Payment webhook rejected", { provider: adapter.name, reason, eventType: verified.eventType });
+}
+
+/**
+ * Insert the event row, or take over a FAILED / crashed one. Anything else is a duplicate delivery.
+ * @returns {Promise<{ event: object, duplicate?: boolean }>}
+ */
+async function claimEvent(dedupeKey, fields) {
+  if (!dedupeKey) return { event: (await PaymentWebhookEvent.create(fields)).toObject() };
+  try {
+    return { event: (await PaymentWebhookEvent.create({ ...fields, dedupeKey })).toObject() };
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+  const reclaimed = await PaymentWebhookEvent.findOneAndUpdate(
+    {
+      dedupeKey,
+      $or: [
+        { status: WEBHOOK_STATUS.FAILED },
+        { status: WEBHOOK_STATUS.RECEIVED, updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      ],
+    },
+    {
+      $set: {
+        status: WEBHOOK_STATUS.RECEIVED,
+        error: null,
+        receivedAt: new Date(),
+        rawBody: fields.rawBody,
+        rawBodyTruncated: fields.rawBodyTruncated,
+        headers: fields.headers,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (reclaimed) return { event: reclaimed };
+
+  const existing = await PaymentWebhookEvent.findOneAndUpdate(
+    { dedupeKey },
+    { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (existing?.status === WEBHOOK_STATUS.RECEIVED) {
+    // Another delivery is settling it right now; make the gateway retry rather than drop the event.
+    throw new ConflictError("Webhook event is already being processed", { code: "WEBHOOK_IN_PROGRESS" });
+  }
+  return { event: existing, duplicate: true };
+}
+
+/** @returns {Promise<{ status: string, outcome: string }>} */
+async function processEvent(adapter, verified) {
+  if (verified.kind === WEBHOOK_KIND.ORDER && verified.merchantOrderId) {
+    const { settleProviderOrder } = require("./paymentCallback.service");
+    const { outcome, reason } = await settleProviderOrder(adapter.name, verified.merchantOrderId, {
+      pendingIsFailure: false,
+    });
+    if (outcome === "pending") {
+      // Gateway notified a final state but its status API disagrees: retry later instead of dropping it.
+      throw new ConflictError("Gateway still reports the order as pending", { code: "WEBHOOK_ORDER_PENDING" });
+    }
+    if (IGNORED_REASONS.has(reason)) return { status: WEBHOOK_STATUS.IGNORED, outcome: reason };
+    return { status: WEBHOOK_STATUS.PROCESSED, outcome: reason ? `${outcome}:${reason}` : outcome };
+  }
+
+  if (verified.kind === WEBHOOK_KIND.REFUND && verified.merchantRefundId) {
+    const { syncRefund } = require("./paymentRefund.service");
+    try {
+      const refund = await syncRefund(verified.merchantRefundId);
+      // An accepted-but-pending refund is left to the paymentRefundSync job / the final refund event.
+      return { status: WEBHOOK_STATUS.PROCESSED, outcome: `refund:${refund.state || REFUND_STATE.PENDING}` };
+    } catch (err) {
+      if (err?.code === "REFUND_NOT_FOUND") return { status: WEBHOOK_STATUS.IGNORED, outcome: "REFUND_NOT_FOUND" };
+      throw err;
+    }
+  }
+
+  return { status: WEBHOOK_STATUS.IGNORED, outcome: "UNHANDLED_EVENT" };
+}
+
+/**
+ * Verify, log and settle one webhook delivery.
+ * @param {object} adapter - payment provider adapter (paymentProvider.service)
+ * @param {{ headers?: Record<string, string>, rawBody?: string }} request - raw body exactly as received
+ * @returns {Promise<ReturnType<typeof present>>}
+ */
+async function ingestWebhook(adapter, { headers = {}, rawBody = "" } = {}) {
+  const h = lowerCaseHeaders(headers);
+  const verified = adapter.verifyWebhook({ headers: h, rawBody }) || {};
+  if (verified.verified !== true) {
+    await logRejected(adapter, h, rawBody, verified.reason || "SIGNATURE_MISMATCH", verified);
+    throw new UnauthorizedError("Webhook signature could not be verified", { code: "WEBHOOK_SIGNATURE_INVALID" });
+  }
+
+  if (verified.occurredAt) {
+    const ageSec = (Date.now() - new Date(verified.occurredAt).getTime()) / 1000;
+    if (ageSec > getWebhookMaxAgeSec() || ageSec < -FUTURE_SKEW_SEC) {
+      await logRejected(adapter, h, rawBody, "STALE_EVENT", verified);
+      throw new BadRequestError("Webhook event is outside the accepted time window", {
+        code: "WEBHOOK_EVENT_STALE",
+      });
+    }
+  }
+
+  const dedupeKey = dedupeKeyOf(adapter.name, verified);
+  const claimed = await claimEvent(dedupeKey, {
+    provider: adapter.name,
+    kind: verified.kind || WEBHOOK_KIND.OTHER,
+    eventType: verified.eventType || null,
+    eventId: verified.eventId || null,
+    merchantOrderId: verified.merchantOrderId || null,
+    merchantRefundId: verified.merchantRefundId || null,
+    signatureVerified: true,
+    occurredAt: verified.occurredAt || null,
+    headers: sanitizeHeaders(h),
+    ...clipBody(rawBody, RAW_BODY_MAX_CHARS),
+  });
+  if (claimed.duplicate) {
+    logger.info("Payment webhook duplicate ignored", { provider: adapter.name, dedupeKey });
+    return present(claimed.event, { duplicate: true });
+  }
+
+  const eventId = claimed.event._id;
+  try {
+    const { status, outcome } = await processEvent(adapter, verified);
+    const done = await PaymentWebhookEvent.findByIdAndUpdate(
+      eventId,
+      { $set: { status, outcome, error: null, processedAt: new Date() } },
+      { new: true }
+    ).lean();
+    return present(done);
+  } catch (err) {
+    await PaymentWebhookEvent.updateOne(
+      { _id: eventId },
+      { $set: { status: WEBHOOK_STATUS.FAILED, error: String(err?.message || err).slice(0, 1000) } }
+    );
+    logger.error("Payment webhook processing failed", err, {
+      provider: adapter.name,
+      dedupeKey,
+      merchantOrderId: verified.merchantOrderId || null,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Admin: webhook event log, newest first (raw bodies only on the single-event view).
+ * @param {{ provider?: string, status?: string, merchantOrderId?: string, limit?: number }} [filters]
+ */
+async function listWebhookEvents({ provider, status, merchantOrderId, limit = 50 } = {}) {
+  const query = {};
+  if (provider) query.provider = provider;
+  if (status) query.status = status;
+  if (merchantOrderId) query.merchantOrderId = merchantOrderId;
+  const events = await PaymentWebhookEvent.find(query)
+    .select("-rawBody -headers")
+    .sort({ receivedAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .lean();
+  return events.map((e) => present(e));
+}
+
+async function getWebhookEvent(eventId) {
+  const event = await PaymentWebhookEvent.findById(eventId).lean();
+  if (!event) throw new NotFoundError("Webhook event not found", { code: "WEBHOOK_EVENT_NOT_FOUND" });
+  return {
+    ...present(event),
+    signatureVerified: event.signatureVerified,
+    occurredAt: event.occurredAt || null,
+    headers: event.headers || {},
+    rawBody: event.rawBody || "",
+    rawBodyTruncated: !!event.rawBodyTruncated,
+  };
+}
+
+module.exports = {
+  WEBHOOK_STATUS,
+  getWebhookMaxAgeSec,
+  ingestWebhook,
+  listWebhookEvents,
+  getWebhookEvent,
+};
@@ -0,0 +1,115 @@
+/**
+ * PhonePe Standard Checkout adapter (pg-sdk-node). Credentials / redirect env: see phonePeSketchPayment.service.
+ * Order status keeps the SDK payload (state COMPLETED | PENDING | FAILED, amount in paise) so stored
+ * `phonepeResponse` snapshots stay in the shape they always had.
+ * Webhooks: PHONEPE_WEBHOOK_USERNAME / PHONEPE_WEBHOOK_PASSWORD as set on the PhonePe dashboard; the
+ * Authorization header is sha256(username:password), same check as the SDK's validateCallback.
+ */
+
+const crypto = require("crypto");
+const phonePe = require("../phonePeSketchPayment.service");
+const { PAYMENT_PROVIDER, REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+const { WEBHOOK_KIND } = require("../../models/payment/PaymentWebhookEvent");
+
+function requireClient() {
+  const client = phonePe.getClient();
+  if (!client) {
+    throw new Error("PhonePe is not configured (set PHONEPE_CLIENT_ID and PHONEPE_CLIENT_SECRET)");
+  }
+  return client;
+}
+
+function normalizeRefund(res, merchantRefundId) {
+  const raw = String(res?.state || "").toUpperCase();
+  return {
+    provider: PAYMENT_PROVIDER.PHONEPE,
+    merchantRefundId,
+    refundId: res?.refundId || res?.merchantRefundId || merchantRefundId,
+    state: REFUND_STATE[raw] || REFUND_STATE.PENDING,
+    amountPaise: Number.isFinite(Number(res?.amount)) ? Number(res.amount) : null,
+  };
+}
+
+function webhookAuthorization() {
+  const username = String(process.env.PHONEPE_WEBHOOK_USERNAME || "").trim();
+  const password = String(process.env.PHONEPE_WEBHOOK_PASSWORD || "").trim();
+  if (!username || !password) return null;
+  return crypto.createHash("sha256").update(`${username}:${password}`).digest("hex");
+}
+
+/** `checkout.order.completed` (current) and `CHECKOUT_ORDER_COMPLETED` (SDK CallbackType) spellings. */
+function webhookKind(eventType) {
+  const t = String(eventType || "").toLowerCase().replace(/_/g, ".");
+  if (t.startsWith("checkout.")) return WEBHOOK_KIND.ORDER;
+  if (t.startsWith("pg.refund.")) return WEBHOOK_KIND.REFUND;
+  return WEBHOOK_KIND.OTHER;
+}
+
+module.exports = {
+  name: PAYMENT_PROVIDER.PHONEPE,
+  callbackSlug: "phonepe",
+  /** PhonePe transaction / merchant order ids must stay ≤35 chars. */
+  maxOrderIdLength: 35,
+
+  isConfigured() {
+    return phonePe.isPhonePeConfigured();
+  },
+
+  /** PhonePe builds its own /api/payments/phonepe/callback URL (same shape as `callbackUrl`). */
+  async createOrder({ merchantOrderId, amountPaise }) {
+    const { redirectUrl } = await phonePe.initiatePay(merchantOrderId, amountPaise);
+    return { redirectUrl, providerOrderId: null };
+  },
+
+  async fetchStatus(merchantOrderId) {
+    const response = await requireClient().getOrderStatus(merchantOrderId);
+    return { ...(response && typeof response === "object" ? response : {}), provider: PAYMENT_PROVIDER.PHONEPE };
+  },
+
+  /** Browser return carries no signature — status is always confirmed server-to-server. */
+  verifyCallback(query = {}) {
+    return { merchantOrderId: query.merchantOrderId || query.merchant_order_id || null, verified: null };
+  },
+
+  /** PhonePe sends no event id or timestamp; the payload's state is never trusted (status is re-fetched). */
+  verifyWebhook({ headers = {}, rawBody = "" } = {}) {
+    const expected = webhookAuthorization();
+    if (!expected) return { verified: false, reason: "WEBHOOK_NOT_CONFIGURED" };
+    const given = Buffer.from(String(headers.authorization || "").trim().toLowerCase());
+    const want = Buffer.from(expected);
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+      return { verified: false, reason: "SIGNATURE_MISMATCH" };
+    }
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return { verified: false, reason: "INVALID_BODY" };
+    }
+    const eventType = body?.event || body?.type || null;
+    const payload = body?.payload || {};
+    return {
+      verified: true,
+      kind: webhookKind(eventType),
+      eventType,
+      eventId: null,
+      occurredAt: null,
+      merchantOrderId: payload.merchantOrderId || payload.originalMerchantOrderId || null,
+      merchantRefundId: payload.merchantRefundId || null,
+    };
+  },
+
+  async refund({ merchantRefundId, merchantOrderId, amountPaise }) {
+    const { RefundRequest } = require("pg-sdk-node");
+    const request = RefundRequest.builder()
+      .merchantRefundId(merchantRefundId)
+      .originalMerchantOrderId(merchantOrderId)
+      .amount(amountPaise)
+      .build();
+    return normalizeRefund(await requireClient().refund(request), merchantRefundId);
+  },
+
+  async fetchRefundStatus(merchantRefundId) {
+    return normalizeRefund(await requireClient().getRefundStatus(merchantRefundId), merchantRefundId);
+  },
+};
@@ -0,0 +1,173 @@
+/**
+ * PhonePe merchant settlement report (dashboard → Reports → Settlements, CSV export).
+ * Columns are found by header name (case / spacing / punctuation ignored), so column order and extra
+ * columns do not matter. Amounts are rupees ("1,234.50"); dates without an offset are IST.
+ * Forward payments and refunds share one file, told apart by "Transaction Type".
+ */
+
+const { parseCsv } = require("../../utils/csv");
+const { SETTLEMENT_LINE_TYPE } = require("../../models/payment/SettlementReport");
+
+const FORMAT = "PHONEPE_SETTLEMENT_V1";
+const MAX_PARSE_ERRORS = 50;
+
+/** Normalized header → field. */
+const HEADER_ALIASES = Object.freeze({
+  merchantorderid: "merchantOrderId",
+  merchanttransactionid: "merchantOrderId",
+  merchantrefundid: "merchantRefundId",
+  transactionid: "transactionId",
+  phonepetransactionid: "transactionId",
+  phonepereferenceid: "transactionId",
+  transactiontype: "type",
+  paymenttype: "type",
+  transactiondate: "transactionAt",
+  settlementdate: "settledAt",
+  transactionamount: "gross",
+  amount: "gross",
+  fee: "fee",
+  fees: "fee",
+  totalfees: "fee",
+  mdr: "fee",
+  gst: "tax",
+  igst: "tax",
+  cgst: "tax",
+  sgst: "tax",
+  tax: "tax",
+  settlementamount: "net",
+  netamount: "net",
+  utr: "utr",
+  utrno: "utr",
+  settlementutr: "utr",
+});
+
+const REFUND_TYPES = new Set(["REFUND", "REVERSAL", "REFUND_REVERSAL"]);
+const PAYMENT_TYPES = new Set(["PAYMENT", "FORWARD", "SALE", "CHARGE"]);
+
+function normalizeHeader(h) {
+  return String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** "1,234.50" / "-12.5" / "(12.50)" → paise; "" → 0; anything else → NaN. Exact (no float rounding). */
+function rupeesToPaise(raw) {
+  let s = String(raw ?? "").replace(/[,\s₹]/g, "").replace(/^INR/i, "");
+  if (s === "") return 0;
+  let sign = 1;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  if (s.startsWith("-")) {
+    sign = -sign;
+    s = s.slice(1);
+  }
+  const m = s.match(/^(\d+)(?:\.(\d{1,2}))?$/);
+  if (!m) return NaN;
+  return sign * (Number(m[1]) * 100 + Number((m[2] || "0").padEnd(2, "0")));
+}
+
+/** ISO with offset as-is; "YYYY-MM-DD[ HH:mm[:ss]]" or "DD/MM/YYYY[ HH:mm[:ss]]" as IST. */
+function parseIstDate(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(s)) {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  let parts = m ? [m[1], m[2], m[3], m[4], m[5], m[6]] : null;
+  if (!parts) {
+    m = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    parts = m ? [m[3], m[2], m[1], m[4], m[5], m[6]] : null;
+  }
+  if (!parts) return null;
+  const [y, mo, d, hh = "0", mm = "0", ss = "0"] = parts.map((p) => p ?? undefined);
+  const iso = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}T${String(hh).padStart(2, "0")}:${mm}:${String(ss).padStart(2, "0")}+05:30`;
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {string} text - CSV file contents
+ * @returns {{ format: string, lines: object[], errors: Array<{ lineNo: number, message: string }> }}
+ */
+function parsePhonePeSettlement(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { format: FORMAT, lines: [], errors: [{ lineNo: 1, message: "Empty file" }] };
+
+  const columns = {};
+  rows[0].forEach((h, i) => {
+    const field = HEADER_ALIASES[normalizeHeader(h)];
+    if (!field) return;
+    // Tax may be split over CGST + SGST (+ IGST) columns; everything else takes the first match.
+    if (field === "tax") (columns.tax = columns.tax || []).push(i);
+    else if (columns[field] == null) columns[field] = i;
+  });
+  const missing = ["gross", "net"].filter((f) => columns[f] == null);
+  if (columns.merchantOrderId == null && columns.merchantRefundId == null) missing.push("merchantOrderId");
+  if (missing.length) {
+    return {
+      format: FORMAT,
+      lines: [],
+      errors: [{ lineNo: 1, message: `Missing columns: ${missing.join(", ")}` }],
+    };
+  }
+
+  const lines = [];
+  const errors = [];
+  const fail = (lineNo, message) => {
+    if (errors.length < MAX_PARSE_ERRORS) errors.push({ lineNo, message });
+  };
+  const cell = (row, field) => (columns[field] != null ? String(row[columns[field]] ?? "").trim() : "");
+
+  for (let r = 1; r < rows.length; r += 1) {
+    const row = rows[r];
+    const lineNo = r + 1;
+    const rawType = cell(row, "type").toUpperCase().replace(/\s+/g, "_");
+    const merchantRefundId = cell(row, "merchantRefundId") || null;
+    let type = SETTLEMENT_LINE_TYPE.PAYMENT;
+    if (REFUND_TYPES.has(rawType) || (!rawType && merchantRefundId)) type = SETTLEMENT_LINE_TYPE.REFUND;
+    else if (rawType && !PAYMENT_TYPES.has(rawType)) {
+      fail(lineNo, `Unknown transaction type ${rawType}`);
+      continue;
+    }
+
+    const gross = rupeesToPaise(cell(row, "gross"));
+    const fee = rupeesToPaise(cell(row, "fee"));
+    const tax = (columns.tax || []).reduce((sum, i) => sum + rupeesToPaise(row[i]), 0);
+    const net = rupeesToPaise(cell(row, "net"));
+    if ([gross, fee, tax, net].some((n) => Number.isNaN(n))) {
+      fail(lineNo, "Unreadable amount");
+      continue;
+    }
+    const merchantOrderId = cell(row, "merchantOrderId") || null;
+    if (!merchantOrderId && !merchantRefundId) {
+      fail(lineNo, "No merchant order / refund id");
+      continue;
+    }
+
+    lines.push({
+      lineNo,
+      type,
+      merchantOrderId,
+      merchantRefundId,
+      transactionId: cell(row, "transactionId") || null,
+      utr: cell(row, "utr") || null,
+      transactionAt: parseIstDate(cell(row, "transactionAt")),
+      settledAt: parseIstDate(cell(row, "settledAt")),
+      // Refund rows come signed either way in exports; direction lives in `type`.
+      grossPaise: Math.abs(gross),
+      feePaise: Math.abs(fee),
+      taxPaise: Math.abs(tax),
+      netPaise: Math.abs(net),
+    });
+  }
+  return { format: FORMAT, lines, errors };
+}
+
+module.exports = {
+  FORMAT,
+  rupeesToPaise,
+  parseIstDate,
+  parsePhonePeSettlement,
+};
@@ -0,0 +1,233 @@
+/**
+ * Razorpay-style hosted checkout via Payment Links (REST, basic auth — no SDK dependency).
+ * Env: RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_API_BASE_URL (default https://api.razorpay.com/v1),
+ * PAYMENT_PROVIDER_TIMEOUT_MS (default 10000).
+ * The payment link carries merchantOrderId as `reference_id`; the browser returns to
+ * /api/payments/razorpay/callback with a signed query (link id | reference | status | payment id).
+ * Status is normalized to the PhonePe-shaped payload the payment services already read:
+ * `{ state: COMPLETED | PENDING | FAILED, amount (paise), orderId, transactionId }`.
+ * Webhooks: RAZORPAY_WEBHOOK_SECRET signs the raw body (X-Razorpay-Signature); subscribe to payment_link.*
+ * and refund.* events with the endpoint /api/payments/razorpay/webhook.
+ */
+
+const crypto = require("crypto");
+const { PAYMENT_PROVIDER, PROVIDER_STATE, REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+const { WEBHOOK_KIND } = require("../../models/payment/PaymentWebhookEvent");
+
+const DEFAULT_API_BASE = "https://api.razorpay.com/v1";
+
+const LINK_STATE = Object.freeze({
+  paid: PROVIDER_STATE.COMPLETED,
+  cancelled: PROVIDER_STATE.FAILED,
+  expired: PROVIDER_STATE.FAILED,
+});
+
+const REFUND_STATUS = Object.freeze({
+  processed: REFUND_STATE.COMPLETED,
+  failed: REFUND_STATE.FAILED,
+});
+
+function credentials() {
+  const keyId = String(process.env.RAZORPAY_KEY_ID || "").trim();
+  const keySecret = String(process.env.RAZORPAY_KEY_SECRET || "").trim();
+  return keyId && keySecret ? { keyId, keySecret } : null;
+}
+
+function timeoutMs() {
+  const n = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS || "10000", 10);
+  return Number.isFinite(n) && n > 0 ? n : 10000;
+}
+
+async function request(method, path, body) {
+  const creds = credentials();
+  if (!creds) throw new Error("Razorpay is not configured (set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET)");
+  const base = String(process.env.RAZORPAY_API_BASE_URL || DEFAULT_API_BASE).replace(/\/$/, "");
+  const res = await fetch(`${base}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${creds.keyId}:${creds.keySecret}`).toString("base64")}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(timeoutMs()),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const reason = json?.error?.description || json?.error?.code || res.statusText;
+    const err = new Error(`Razorpay ${method} ${path} failed (${res.status}): ${reason}`);
+    err.statusCode = res.status;
+    throw err;
+  }
+  return json;
+}
+
+function normalizeLink(link, merchantOrderId) {
+  const state = LINK_STATE[String(link?.status || "").toLowerCase()] || PROVIDER_STATE.PENDING;
+  const payments = Array.isArray(link?.payments) ? link.payments : [];
+  const captured = payments.find((p) => String(p.status).toLowerCase() === "captured") || payments[0] || null;
+  const paid = Number(link?.amount_paid);
+  return {
+    provider: PAYMENT_PROVIDER.RAZORPAY,
+    state,
+    merchantOrderId: link?.reference_id || merchantOrderId,
+    orderId: link?.id || null,
+    amount: state === PROVIDER_STATE.COMPLETED && Number.isFinite(paid) && paid > 0 ? paid : null,
+    transactionId: captured?.payment_id || captured?.id || null,
+    linkStatus: link?.status || null,
+  };
+}
+
+function normalizeRefund(res, merchantRefundId) {
+  return {
+    provider: PAYMENT_PROVIDER.RAZORPAY,
+    merchantRefundId: res?.receipt || merchantRefundId,
+    refundId: res?.id || null,
+    state: REFUND_STATUS[String(res?.status || "").toLowerCase()] || REFUND_STATE.PENDING,
+    amountPaise: Number.isFinite(Number(res?.amount)) ? Number(res.amount) : null,
+  };
+}
+
+async function findLink(merchantOrderId, providerOrderId) {
+  if (providerOrderId) return request("GET", `/payment_links/${encodeURIComponent(providerOrderId)}`);
+  const list = await request("GET", `/payment_links?reference_id=${encodeURIComponent(merchantOrderId)}`);
+  return (list?.payment_links || [])[0] || null;
+}
+
+/** Signature Razorpay appends to the payment-link callback URL. */
+function callbackSignature({ linkId, referenceId, status, paymentId }, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${linkId}|${referenceId}|${status}|${paymentId}`)
+    .digest("hex");
+}
+
+/** X-Razorpay-Signature: HMAC-SHA256 of the raw request body with the webhook secret. */
+function webhookSignature(rawBody, secret) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+module.exports = {
+  name: PAYMENT_PROVIDER.RAZORPAY,
+  callbackSlug: "razorpay",
+  /** Payment link `reference_id` limit. */
+  maxOrderIdLength: 40,
+
+  isConfigured() {
+    return credentials() != null;
+  },
+
+  async createOrder({ merchantOrderId, amountPaise, callbackUrl, description }) {
+    const link = await request("POST", "/payment_links", {
+      amount: amountPaise,
+      currency: "INR",
+      reference_id: merchantOrderId,
+      description: description || merchantOrderId,
+      callback_url: callbackUrl,
+      callback_method: "get",
+      reminder_enable: false,
+    });
+    if (!link?.short_url) throw new Error("Razorpay did not return a checkout URL");
+    return { redirectUrl: link.short_url, providerOrderId: link.id || null };
+  },
+
+  async fetchStatus(merchantOrderId, { providerOrderId = null } = {}) {
+    const link = await findLink(merchantOrderId, providerOrderId);
+    if (!link) return { provider: PAYMENT_PROVIDER.RAZORPAY, state: PROVIDER_STATE.PENDING, amount: null };
+    return normalizeLink(link, merchantOrderId);
+  },
+
+  /**
+   * `verified: false` when the signature is present but wrong, or names a different order than our URL.
+   * Missing signature (user closed the page) → `null`; the status fetch decides.
+   */
+  verifyCallback(query = {}) {
+    const referenceId = query.razorpay_payment_link_reference_id || null;
+    const merchantOrderId = query.merchantOrderId || referenceId || null;
+    if (!query.razorpay_signature) return { merchantOrderId, verified: null };
+    if (referenceId && query.merchantOrderId && referenceId !== query.merchantOrderId) {
+      return { merchantOrderId, verified: false };
+    }
+    const creds = credentials();
+    if (!creds) return { merchantOrderId, verified: false };
+    const expected = callbackSignature(
+      {
+        linkId: query.razorpay_payment_link_id || "",
+        referenceId: referenceId || "",
+        status: query.razorpay_payment_link_status || "",
+        paymentId: query.razorpay_payment_id || "",
+      },
+      creds.keySecret
+    );
+    const given = Buffer.from(String(query.razorpay_signature));
+    const want = Buffer.from(expected);
+    return { merchantOrderId, verified: given.length === want.length && crypto.timingSafeEqual(given, want) };
+  },
+
+  verifyWebhook({ headers = {}, rawBody = "" } = {}) {
+    const secret = String(process.env.RAZORPAY_WEBHOOK_SECRET || "").trim();
+    if (!secret) return { verified: false, reason: "WEBHOOK_NOT_CONFIGURED" };
+    const given = Buffer.from(String(headers["x-razorpay-signature"] || ""));
+    const want = Buffer.from(webhookSignature(rawBody, secret));
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+      return { verified: false, reason: "SIGNATURE_MISMATCH" };
+    }
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return { verified: false, reason: "INVALID_BODY" };
+    }
+    const eventType = body?.event || null;
+    const link = body?.payload?.payment_link?.entity;
+    const refund = body?.payload?.refund?.entity;
+    const createdAt = Number(body?.created_at);
+    let kind = WEBHOOK_KIND.OTHER;
+    if (String(eventType).startsWith("payment_link.")) kind = WEBHOOK_KIND.ORDER;
+    else if (String(eventType).startsWith("refund.")) kind = WEBHOOK_KIND.REFUND;
+    return {
+      verified: true,
+      kind,
+      eventType,
+      eventId: headers["x-razorpay-event-id"] || null,
+      occurredAt: Number.isFinite(createdAt) && createdAt > 0 ? new Date(createdAt * 1000) : null,
+      merchantOrderId: link?.reference_id || refund?.notes?.merchantOrderId || null,
+      merchantRefundId: refund?.receipt || null,
+    };
+  },
+
+  /** Refunds go against the captured payment id (`transactionId` from the status payload). */
+  async refund({ merchantRefundId, merchantOrderId, providerOrderId, providerPaymentId, amountPaise }) {
+    let paymentId = providerPaymentId;
+    if (!paymentId) {
+      paymentId = (await this.fetchStatus(merchantOrderId, { providerOrderId })).transactionId;
+    }
+    if (!paymentId) throw new Error(`Razorpay: no captured payment for ${merchantOrderId}`);
+    const res = await request("POST", `/payments/${encodeURIComponent(paymentId)}/refund`, {
+      amount: amountPaise,
+      receipt: merchantRefundId,
+      speed: "normal",
+      notes: { merchantOrderId },
+    });
+    return normalizeRefund(res, merchantRefundId);
+  },
+
+  /**
+   * Without a gateway refund id (refund request timed out), look the refund up by receipt on the payment;
+   * no such refund means the request never landed → FAILED.
+   */
+  async fetchRefundStatus(merchantRefundId, { refundId, providerPaymentId } = {}) {
+    if (refundId) {
+      return normalizeRefund(await request("GET", `/refunds/${encodeURIComponent(refundId)}`), merchantRefundId);
+    }
+    if (!providerPaymentId) throw new Error("Razorpay refund status needs the refund or payment id");
+    const list = await request("GET", `/payments/${encodeURIComponent(providerPaymentId)}/refunds`);
+    const found = (list?.items || []).find((r) => r.receipt === merchantRefundId);
+    if (!found) {
+      return { ...normalizeRefund(null, merchantRefundId), state: REFUND_STATE.FAILED, failureReason: "REFUND_NOT_FOUND" };
+    }
+    return normalizeRefund(found, merchantRefundId);
+  },
+
+  callbackSignature,
+  webhookSignature,
+};
@@ -0,0 +1,537 @@
+/**
+ * Settlement reconciliation: finance uploads the gateway's daily settlement file, each line is matched
+ * to payment_attempts by merchantOrderId (refund lines by refunds.merchantRefundId) and flagged:
+ *   EXTRA       — settled by the gateway with no matching local success / completed refund
+ *   AMOUNT_DIFF — gross differs from the locally recorded paid / refunded amount
+ *   FEE_DIFF    — fee or GST outside the configured rate, or gross − fee − tax ≠ net on the line
+ *   MISSING     — local success / gateway refund inside the report period with no line in the file
+ * Reconciliation is computed on read, so a late callback clears its flag the next time the report is opened.
+ */
+
+const crypto = require("crypto");
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER, PROVIDER_STATE, REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+const SettlementReport = require("../../models/payment/SettlementReport");
+const {
+  SETTLEMENT_LINE_TYPE,
+  SETTLEMENT_FLAG,
+  SETTLEMENT_MAX_LINES,
+} = require("../../models/payment/SettlementReport");
+const { parsePhonePeSettlement } = require("./phonePeSettlement.parser");
+const { BadRequestError, ConflictError, NotFoundError } = require("../../utils/errors");
+
+/** Settlement file parsers per gateway. */
+const PARSERS = Object.freeze({
+  [PAYMENT_PROVIDER.PHONEPE]: parsePhonePeSettlement,
+});
+
+/** Local states whose money the gateway should settle. */
+const SETTLED_STATES = [PROVIDER_STATE.COMPLETED, PROVIDER_STATE.REFUNDED];
+
+const providerOf = (a) => a.provider || PAYMENT_PROVIDER.PHONEPE;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Expected gateway charges: `<PROVIDER>_SETTLEMENT_FEE_BPS` of gross (unset → the file's own fee is taken
+ * as expected), GST PAYMENT_SETTLEMENT_FEE_GST_BPS of the fee (default 1800 = 18 %), and a per-line
+ * rounding tolerance PAYMENT_SETTLEMENT_TOLERANCE_PAISE (default 1).
+ */
+function getFeeRule(provider) {
+  const raw = process.env[`${provider}_SETTLEMENT_FEE_BPS`];
+  const feeBps = raw == null || raw === "" ? null : envInt(`${provider}_SETTLEMENT_FEE_BPS`, null);
+  return {
+    feeBps,
+    gstBps: envInt("PAYMENT_SETTLEMENT_FEE_GST_BPS", 1800),
+    tolerancePaise: envInt("PAYMENT_SETTLEMENT_TOLERANCE_PAISE", 1),
+  };
+}
+
+function expectedCharges(grossPaise, rule) {
+  const feePaise = Math.round((grossPaise * rule.feeBps) / 10000);
+  return { feePaise, taxPaise: Math.round((feePaise * rule.gstBps) / 10000) };
+}
+
+/** Midnight IST on or before `d` (gateway files are cut on Indian business days). */
+function istDayStart(d) {
+  const t = new Date(d).getTime() + IST_OFFSET_MS;
+  return new Date(t - (t % DAY_MS) - IST_OFFSET_MS);
+}
+
+function reportSummary(r) {
+  return {
+    id: String(r._id),
+    provider: r.provider,
+    format: r.format,
+    fileName: r.fileName || null,
+    periodFrom: r.periodFrom,
+    periodTo: r.periodTo,
+    lineCount: r.lineCount,
+    totals: r.totals,
+    parseErrors: r.parseErrors || [],
+    uploadedBy: r.uploadedBy ? String(r.uploadedBy) : null,
+    createdAt: r.createdAt,
+  };
+}
+
+/**
+ * Admin: parse and store a settlement file. The same file (sha256) cannot be imported twice per gateway.
+ * @param {{ _id?: unknown } | null} actor
+ * @param {{ provider: string, csv: string, fileName?: string, periodFrom?: Date, periodTo?: Date }} input
+ */
+async function importSettlementReport(actor, { provider, csv, fileName = null, periodFrom, periodTo }) {
+  const parse = PARSERS[provider];
+  if (!parse) {
+    throw new BadRequestError(`No settlement report format for ${provider}`, {
+      code: "SETTLEMENT_FORMAT_UNSUPPORTED",
+    });
+  }
+  let parsed;
+  try {
+    parsed = parse(csv);
+  } catch (err) {
+    throw new BadRequestError(`Settlement file could not be read: ${err.message}`, {
+      code: "SETTLEMENT_UNREADABLE",
+    });
+  }
+  if (!parsed.lines.length) {
+    throw new BadRequestError("Settlement file has no readable lines", {
+      code: "SETTLEMENT_EMPTY",
+      errors: parsed.errors.slice(0, 10).map((e) => ({ field: `line ${e.lineNo}`, message: e.message })),
+    });
+  }
+  if (parsed.lines.length > SETTLEMENT_MAX_LINES) {
+    throw new BadRequestError(`Settlement file has more than ${SETTLEMENT_MAX_LINES} lines; split it by day`, {
+      code: "SETTLEMENT_TOO_LARGE",
+    });
+  }
+
+  let from = periodFrom;
+  let to = periodTo;
+  if (!from || !to) {
+    const times = parsed.lines.map((l) => l.transactionAt?.getTime()).filter(Number.isFinite);
+    if (!times.length) {
+      throw new BadRequestError("Settlement file has no transaction dates; pass periodFrom and periodTo", {
+        code: "SETTLEMENT_PERIOD_REQUIRED",
+      });
+    }
+    from = istDayStart(Math.min(...times));
+    to = new Date(istDayStart(Math.max(...times)).getTime() + DAY_MS);
+  }
+
+  const signed = (l) => (l.type === SETTLEMENT_LINE_TYPE.REFUND ? -1 : 1);
+  const totals = { grossPaise: 0, feePaise: 0, taxPaise: 0, netPaise: 0 };
+  for (const l of parsed.lines) {
+    totals.grossPaise += signed(l) * l.grossPaise;
+    totals.feePaise += l.feePaise;
+    totals.taxPaise += l.taxPaise;
+    totals.netPaise += signed(l) * l.netPaise;
+  }
+
+  try {
+    const report = await SettlementReport.create({
+      provider,
+      format: parsed.format,
+      fileName,
+      fileSha256: crypto.createHash("sha256").update(csv).digest("hex"),
+      periodFrom: from,
+      periodTo: to,
+      uploadedBy: actor?._id || null,
+      lineCount: parsed.lines.length,
+      totals,
+      lines: parsed.lines,
+      parseErrors: parsed.errors,
+    });
+    return reportSummary(report);
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError("This settlement file has already been imported", {
+        code: "SETTLEMENT_ALREADY_IMPORTED",
+      });
+    }
+    throw err;
+  }
+}
+
+function emptyFlags() {
+  return Object.fromEntries(Object.values(SETTLEMENT_FLAG).map((f) => [f, 0]));
+}
+
+function lineItem(line) {
+  return {
+    lineNo: line.lineNo,
+    type: line.type,
+    merchantOrderId: line.merchantOrderId || null,
+    merchantRefundId: line.merchantRefundId || null,
+    transactionId: line.transactionId || null,
+    utr: line.utr || null,
+    transactionAt: line.transactionAt || null,
+    settledAt: line.settledAt || null,
+    grossPaise: line.grossPaise,
+    feePaise: line.feePaise,
+    taxPaise: line.taxPaise,
+    netPaise: line.netPaise,
+    localState: null,
+    expectedGrossPaise: null,
+    expectedFeePaise: null,
+    expectedTaxPaise: null,
+    expectedNetPaise: null,
+    flags: [],
+  };
+}
+
+/** Local view of a PAYMENT line; attempt is null when nothing matches. */
+function checkPaymentLine(item, attempt, rule) {
+  if (!attempt) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.EXTRA, note: "no_local_payment" });
+    return;
+  }
+  item.localState = attempt.providerState;
+  if (!SETTLED_STATES.includes(attempt.providerState)) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.EXTRA, note: `local_${String(attempt.providerState).toLowerCase()}` });
+    return;
+  }
+  const gross = Number(attempt.paidAmountPaise) || 0;
+  const charges = rule.feeBps == null ? { feePaise: item.feePaise, taxPaise: item.taxPaise } : expectedCharges(gross, rule);
+  item.expectedGrossPaise = gross;
+  item.expectedFeePaise = charges.feePaise;
+  item.expectedTaxPaise = charges.taxPaise;
+  item.expectedNetPaise = gross - charges.feePaise - charges.taxPaise;
+  if (item.grossPaise !== gross) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.AMOUNT_DIFF, note: `gross_${item.grossPaise}_local_${gross}` });
+  }
+}
+
+/** Local view of a REFUND line; refund is null when nothing matches. Gateways charge no fee on refunds. */
+function checkRefundLine(item, attempt, refund) {
+  if (!refund) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.EXTRA, note: "no_local_refund" });
+    return;
+  }
+  item.localState = refund.state;
+  if (refund.state !== REFUND_STATE.COMPLETED || refund.offPlatform) {
+    const note = refund.offPlatform ? "local_off_platform" : `local_${String(refund.state).toLowerCase()}`;
+    item.flags.push({ flag: SETTLEMENT_FLAG.EXTRA, note });
+    return;
+  }
+  if (!item.merchantOrderId) item.merchantOrderId = attempt.merchantOrderId;
+  item.expectedGrossPaise = refund.amountPaise;
+  item.expectedFeePaise = item.feePaise;
+  item.expectedTaxPaise = item.taxPaise;
+  item.expectedNetPaise = refund.amountPaise - item.feePaise - item.taxPaise;
+  if (item.grossPaise !== refund.amountPaise) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.AMOUNT_DIFF, note: `gross_${item.grossPaise}_local_${refund.amountPaise}` });
+  }
+}
+
+/** FEE_DIFF: the line does not add up, or its charges are off the configured rate. */
+function checkCharges(item, rule) {
+  const tol = rule.tolerancePaise;
+  if (Math.abs(item.grossPaise - item.feePaise - item.taxPaise - item.netPaise) > tol) {
+    item.flags.push({ flag: SETTLEMENT_FLAG.FEE_DIFF, note: "gross_minus_charges_ne_net" });
+    return;
+  }
+  if (item.type !== SETTLEMENT_LINE_TYPE.PAYMENT || rule.feeBps == null) return;
+  const expected = expectedCharges(item.grossPaise, rule);
+  if (Math.abs(item.feePaise - expected.feePaise) > tol || Math.abs(item.taxPaise - expected.taxPaise) > tol) {
+    item.flags.push({
+      flag: SETTLEMENT_FLAG.FEE_DIFF,
+      note: `fee_${item.feePaise}+${item.taxPaise}_expected_${expected.feePaise}+${expected.taxPaise}`,
+    });
+  }
+}
+
+/**
+ * Admin: match a stored settlement report against payment_attempts.
+ * Net figures are signed (refunds negative): actualNetPaise is what the gateway paid out per the file,
+ * expectedNetPaise what local records say it should have paid for the same period.
+ * @param {string} reportId
+ */
+async function reconcileSettlementReport(reportId) {
+  const report = await SettlementReport.findById(reportId).lean();
+  if (!report) throw new NotFoundError("Settlement report not found", { code: "SETTLEMENT_REPORT_NOT_FOUND" });
+  const rule = getFeeRule(report.provider);
+  const lines = report.lines || [];
+
+  const orderIds = [...new Set(lines.map((l) => l.merchantOrderId).filter(Boolean))];
+  const refundIds = [
+    ...new Set(lines.filter((l) => l.type === SETTLEMENT_LINE_TYPE.REFUND).map((l) => l.merchantRefundId).filter(Boolean)),
+  ];
+  const select = "_id merchantOrderId provider purpose providerState paidAmountPaise expectedAmountPaise completedAt refunds";
+  const [byOrder, byRefund] = await Promise.all([
+    PaymentAttempt.find({ merchantOrderId: { $in: orderIds } }).select(select).lean(),
+    refundIds.length
+      ? PaymentAttempt.find({ "refunds.merchantRefundId": { $in: refundIds } }).select(select).lean()
+      : [],
+  ]);
+  const attempts = new Map(byOrder.map((a) => [a.merchantOrderId, a]));
+  const refunds = new Map();
+  for (const a of [...byOrder, ...byRefund]) {
+    for (const r of a.refunds || []) refunds.set(r.merchantRefundId, { attempt: a, refund: r });
+  }
+
+  const items = [];
+  const seen = new Set();
+  for (const line of lines) {
+    const item = lineItem(line);
+    const key =
+      line.type === SETTLEMENT_LINE_TYPE.REFUND
+        ? `R:${line.merchantRefundId || ""}`
+        : `P:${line.merchantOrderId || ""}`;
+    if (seen.has(key)) {
+      item.flags.push({ flag: SETTLEMENT_FLAG.EXTRA, note: "duplicate_line" });
+    } else if (line.type === SETTLEMENT_LINE_TYPE.REFUND) {
+      const hit = line.merchantRefundId ? refunds.get(line.merchantRefundId) : null;
+      checkRefundLine(item, hit?.attempt, hit?.refund || null);
+    } else {
+      const attempt = attempts.get(line.merchantOrderId) || null;
+      checkPaymentLine(item, attempt && providerOf(attempt) === report.provider ? attempt : null, rule);
+    }
+    seen.add(key);
+    checkCharges(item, rule);
+    items.push(item);
+  }
+
+  // MISSING: money the gateway took / returned in the period that the file does not mention.
+  const period = { $gte: report.periodFrom, $lt: report.periodTo };
+  // Attempts recorded before the provider field was enforced are PhonePe.
+  const provider =
+    report.provider === PAYMENT_PROVIDER.PHONEPE ? { $in: [PAYMENT_PROVIDER.PHONEPE, null] } : report.provider;
+  const [completed, refunded] = await Promise.all([
+    PaymentAttempt.find({ provider, providerState: { $in: SETTLED_STATES }, completedAt: period })
+      .select(select)
+      .lean(),
+    PaymentAttempt.find({
+      provider,
+      refunds: { $elemMatch: { state: REFUND_STATE.COMPLETED, offPlatform: { $ne: true }, settledAt: period } },
+    })
+      .select(select)
+      .lean(),
+  ]);
+  for (const a of completed) {
+    if (seen.has(`P:${a.merchantOrderId}`)) continue;
+    const gross = Number(a.paidAmountPaise) || 0;
+    const charges = rule.feeBps == null ? { feePaise: 0, taxPaise: 0 } : expectedCharges(gross, rule);
+    items.push({
+      ...lineItem({ lineNo: null, type: SETTLEMENT_LINE_TYPE.PAYMENT, merchantOrderId: a.merchantOrderId }),
+      grossPaise: null,
+      feePaise: null,
+      taxPaise: null,
+      netPaise: null,
+      transactionAt: a.completedAt || null,
+      localState: a.providerState,
+      expectedGrossPaise: gross,
+      expectedFeePaise: charges.feePaise,
+      expectedTaxPaise: charges.taxPaise,
+      expectedNetPaise: gross - charges.feePaise - charges.taxPaise,
+      flags: [{ flag: SETTLEMENT_FLAG.MISSING, note: "not_in_settlement" }],
+    });
+  }
+  for (const a of refunded) {
+    for (const r of a.refunds || []) {
+      const inPeriod = r.settledAt && r.settledAt >= report.periodFrom && r.settledAt < report.periodTo;
+      if (r.state !== REFUND_STATE.COMPLETED || r.offPlatform || !inPeriod) continue;
+      if (seen.has(`R:${r.merchantRefundId}`)) continue;
+      items.push({
+        ...lineItem({
+          lineNo: null,
+          type: SETTLEMENT_LINE_TYPE.REFUND,
+          merchantOrderId: a.merchantOrderId,
+          merchantRefundId: r.merchantRefundId,
+        }),
+        grossPaise: null,
+        feePaise: null,
+        taxPaise: null,
+        netPaise: null,
+        transactionAt: r.settledAt,
+        localState: r.state,
+        expectedGrossPaise: r.amountPaise,
+        expectedFeePaise: 0,
+        expectedTaxPaise: 0,
+        expectedNetPaise: r.amountPaise,
+        flags: [{ flag: SETTLEMENT_FLAG.MISSING, note: "not_in_settlement" }],
+      });
+    }
+  }
+
+  const flags = emptyFlags();
+  let actualNetPaise = 0;
+  let expectedNetPaise = 0;
+  let matched = 0;
+  for (const item of items) {
+    const sign = item.type === SETTLEMENT_LINE_TYPE.REFUND ? -1 : 1;
+    actualNetPaise += sign * (item.netPaise || 0);
+    expectedNetPaise += sign * (item.expectedNetPaise || 0);
+    if (item.lineNo != null && item.expectedGrossPaise != null) matched += 1;
+    for (const f of new Set(item.flags.map((x) => x.flag))) flags[f] += 1;
+  }
+
+  return {
+    report: reportSummary(report),
+    feeRule: rule,
+    summary: {
+      lines: lines.length,
+      matched,
+      flagged: items.filter((i) => i.flags.length).length,
+      flags,
+      actualNetPaise,
+      expectedNetPaise,
+      netDiffPaise: actualNetPaise - expectedNetPaise,
+    },
+    items,
+  };
+}
+
+/**
+ * Admin: imported reports newest first (without lines).
+ * @param {{ provider?: string, limit?: number }} [filters]
+ */
+async function listSettlementReports({ provider, limit = 50 } = {}) {
+  const query = {};
+  if (provider) query.provider = String(provider).toUpperCase();
+  const rows = await SettlementReport.find(query)
+    .select("-lines")
+    .sort({ periodFrom: -1, createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .lean();
+  return rows.map(reportSummary);
+}
+
+const flagText = (flags) => flags.map((f) => `${f.flag}:${f.note}`).join("; ");
+
+/**
+ * Reconciled report as spreadsheet sheets (Summary + Lines) for the CSV / XLSX export.
+ * @param {Awaited<ReturnType<typeof reconcileSettlementReport>>} result
+ */
+function settlementExportSheets(result) {
+  const { report, summary, feeRule } = result;
+  const summaryRows = [
+    ["Field", "Value"],
+    ["Report id", report.id],
+    ["Provider", report.provider],
+    ["File", report.fileName || ""],
+    ["Period from", report.periodFrom],
+    ["Period to", report.periodTo],
+    ["Lines", summary.lines],
+    ["Matched", summary.matched],
+    ["Flagged", summary.flagged],
+    ...Object.entries(summary.flags).map(([flag, n]) => [flag, n]),
+    ["Actual net (paise)", summary.actualNetPaise],
+    ["Expected net (paise)", summary.expectedNetPaise],
+    ["Net difference (paise)", summary.netDiffPaise],
+    ["Fee rate (bps)", feeRule.feeBps == null ? "from file" : feeRule.feeBps],
+    ["GST on fee (bps)", feeRule.gstBps],
+    ["Tolerance (paise)", feeRule.tolerancePaise],
+  ];
+  const lineRows = [
+    [
+      "Line",
+      "Type",
+      "Merchant order id",
+      "Merchant refund id",
+      "Transaction id",
+      "UTR",
+      "Transaction at",
+      "Settled at",
+      "Gross (paise)",
+      "Fee (paise)",
+      "Tax (paise)",
+      "Net (paise)",
+      "Local state",
+      "Expected gross (paise)",
+      "Expected fee (paise)",
+      "Expected tax (paise)",
+      "Expected net (paise)",
+      "Flags",
+    ],
+    ...result.items.map((i) => [
+      i.lineNo,
+      i.type,
+      i.merchantOrderId,
+      i.merchantRefundId,
+      i.transactionId,
+      i.utr,
+      i.transactionAt,
+      i.settledAt,
+      i.grossPaise,
+      i.feePaise,
+      i.taxPaise,
+      i.netPaise,
+      i.localState,
+      i.expectedGrossPaise,
+      i.expectedFeePaise,
+      i.expectedTaxPaise,
+      i.expectedNetPaise,
+      flagText(i.flags),
+    ]),
+  ];
+  return [
+    { name: "Summary", rows: summaryRows },
+    { name: "Lines", rows: lineRows },
+  ];
+}
+
+/**
+ * Daily reconciliation (paymentReconciliation.runDailyReconciliation) as spreadsheet sheets.
+ * @param {object} summary
+ */
+function dailyExportSheets(summary) {
+  const summaryRows = [
+    ["Field", "Value"],
+    ["From", summary.from],
+    ["To", summary.to],
+    ["Provider", summary.provider || "all"],
+    ["Attempts", summary.totalAttempts],
+    ...Object.entries(summary.flags || {}).map(([flag, n]) => [flag, n]),
+    ...Object.entries(summary.byProvider || {}).map(([p, b]) => [`${p} collected (paise)`, b.collectedPaise]),
+    ["Coupon payments", summary.coupons?.count || 0],
+    ["Coupon discount (paise)", summary.coupons?.discountPaise || 0],
+    ...Object.entries(summary.coupons?.byCode || {}).map(([code, c]) => [`Coupon ${code} discount (paise)`, c.discountPaise]),
+  ];
+  const itemRows = [
+    [
+      "Attempt id",
+      "Merchant order id",
+      "Provider",
+      "Purpose",
+      "Upload id",
+      "State",
+      "Expected (paise)",
+      "Paid (paise)",
+      "Coupon",
+      "Flags",
+    ],
+    ...(summary.items || []).map((i) => [
+      i.attemptId,
+      i.merchantOrderId,
+      i.provider,
+      i.purpose,
+      i.uploadId,
+      i.providerState,
+      i.expectedAmountPaise,
+      i.paidAmountPaise,
+      i.couponCode || "",
+      flagText(i.flags || []),
+    ]),
+  ];
+  return [
+    { name: "Summary", rows: summaryRows },
+    { name: "Items", rows: itemRows },
+  ];
+}
+
+module.exports = {
+  SETTLEMENT_FLAG,
+  getFeeRule,
+  importSettlementReport,
+  reconcileSettlementReport,
+  listSettlementReports,
+  settlementExportSheets,
+  dailyExportSheets,
+};
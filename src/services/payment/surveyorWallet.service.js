@@ -0,0 +1,440 @@
+/**
+ * Surveyor prepaid wallet and bundle packs.
+ *
+ * The wallet is an append-only ledger (SurveyorWalletLedger): money is added by gateway top-ups
+ * (PaymentAttempt purpose WALLET_TOPUP, credited on settlement) and admin credits; bundle packs add order
+ * credits for one order type. Checkout of a booking (POST /api/surveyor/sketch-uploads) or a balance
+ * spends the wallet first — a bundle credit for the upload's order type, then balance — and only the
+ * remainder goes to the gateway. The wallet share is frozen on the upload payment (`wallet`), so retries
+ * charge the same remainder.
+ *
+ * Top-ups are invoiced when paid (taxDocument.service); the orders they later fund carry no second invoice
+ * for that share. Gateway refunds cover the gateway share only; wallet shares are returned by admin credit.
+ */
+
+const SurveyorWalletLedger = require("../../models/surveyor/SurveyorWalletLedger");
+const BundlePack = require("../../models/payment/BundlePack");
+const User = require("../../models/user/User");
+const { COUPON_FEE_LINE } = require("../../models/payment/Coupon");
+const { PAYMENT_PURPOSE } = require("../../models/payment/PaymentAttempt");
+const paymentProvider = require("./paymentProvider.service");
+const paymentAttempt = require("../paymentAttempt.service");
+const { SURVEYOR_WALLET_ENTRY_KIND, USER_ROLES } = require("../../config/constants");
+const { BadRequestError, ConflictError, NotFoundError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+/** Gateways need a non-zero charge: a wallet never leaves a remainder below this. */
+const MIN_GATEWAY_PAISE = 100;
+const TOPUP_MIN_RUPEES = 100;
+const TOPUP_MAX_RUPEES = 50000;
+/** Concurrent appends on one wallet collide on seq; the loser re-reads and retries. */
+const APPEND_ATTEMPTS = 5;
+/** Booking fee lines a bundle credit pays for (superimpose add-on is charged separately). */
+const BUNDLE_COVERED_LINES = [COUPON_FEE_LINE.BOOKING, "EXPRESS"];
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+function creditsOf(entry) {
+  const raw = entry?.creditsAfter;
+  if (!raw) return {};
+  return raw instanceof Map ? Object.fromEntries(raw) : { ...raw };
+}
+
+/** Current balance, order credits and last seq (from the latest ledger row). */
+async function walletState(surveyorId) {
+  const last = await SurveyorWalletLedger.findOne({ surveyor: surveyorId }).sort({ seq: -1 }).lean();
+  return { seq: last?.seq || 0, balancePaise: last?.balanceAfterPaise || 0, credits: creditsOf(last) };
+}
+
+/**
+ * Append one row computed from the current wallet state. `build(state)` returns the row (signed
+ * amountPaise / credits) or null for nothing to do. A row whose ref already exists is returned as is.
+ * @returns {Promise<object|null>} the stored row
+ */
+async function appendEntry(surveyorId, build) {
+  for (let i = 0; i < APPEND_ATTEMPTS; i += 1) {
+    const state = await walletState(surveyorId);
+    const entry = build(state);
+    if (!entry) return null;
+    const amountPaise = Math.round(Number(entry.amountPaise) || 0);
+    const credits = Math.round(Number(entry.credits) || 0);
+    const creditsAfter = { ...state.credits };
+    if (credits) creditsAfter[entry.orderType] = (creditsAfter[entry.orderType] || 0) + credits;
+    const balanceAfterPaise = state.balancePaise + amountPaise;
+    if (balanceAfterPaise < 0 || (credits && creditsAfter[entry.orderType] < 0)) {
+      throw new BadRequestError("Insufficient wallet balance", { code: "WALLET_INSUFFICIENT_BALANCE" });
+    }
+    try {
+      const doc = await SurveyorWalletLedger.create({
+        ...entry,
+        surveyor: surveyorId,
+        seq: state.seq + 1,
+        amountPaise,
+        credits,
+        balanceAfterPaise,
+        creditsAfter,
+      });
+      return doc.toObject();
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      if (err.keyPattern?.ref) return SurveyorWalletLedger.findOne({ ref: entry.ref }).lean();
+    }
+  }
+  throw new ConflictError("Wallet is busy; please retry", { code: "WALLET_BUSY" });
+}
+
+/**
+ * Wallet share of a charge: as much of `duePaise` as the balance covers, keeping any gateway remainder
+ * at MIN_GATEWAY_PAISE or more.
+ */
+function walletDebitFor(balancePaise, duePaise) {
+  const balance = Math.max(0, Math.floor(Number(balancePaise) || 0));
+  const due = Math.max(0, Math.floor(Number(duePaise) || 0));
+  if (balance >= due) return due;
+  if (due - balance < MIN_GATEWAY_PAISE) return Math.max(0, due - MIN_GATEWAY_PAISE);
+  return balance;
+}
+
+/**
+ * Booking fee lines with the ones a bundle credit pays for zeroed (coupon.service line shape).
+ * @returns {{ lines: object[], coveredPaise: number }}
+ */
+function bundleCoverage(lines) {
+  let coveredPaise = 0;
+  const out = lines.map((l) => {
+    if (!BUNDLE_COVERED_LINES.includes(l.line)) return l;
+    coveredPaise += l.payablePaise;
+    return { ...l, payablePaise: 0 };
+  });
+  return { lines: out, coveredPaise };
+}
+
+/** Consume one order credit of `orderType` for a new upload; null when the surveyor has none. */
+async function redeemBundleCredit({ surveyorId, uploadId, orderType }) {
+  return appendEntry(surveyorId, (state) =>
+    (state.credits[orderType] || 0) > 0
+      ? {
+          kind: SURVEYOR_WALLET_ENTRY_KIND.BUNDLE_REDEMPTION,
+          orderType,
+          credits: -1,
+          surveyorSketchUpload: uploadId,
+          ref: `bundle:${uploadId}`,
+        }
+      : null
+  );
+}
+
+/**
+ * Spend the wallet on a booking / balance charge of `duePaise`; null when the balance is empty.
+ * @param {{ surveyorId: string, uploadId: string, purpose: string, duePaise: number, ref: string }} params
+ */
+async function debitForCheckout({ surveyorId, uploadId, purpose, duePaise, ref }) {
+  return appendEntry(surveyorId, (state) => {
+    const debit = walletDebitFor(state.balancePaise, duePaise);
+    if (debit <= 0) return null;
+    return {
+      kind:
+        purpose === PAYMENT_PURPOSE.BALANCE
+          ? SURVEYOR_WALLET_ENTRY_KIND.BALANCE_DEBIT
+          : SURVEYOR_WALLET_ENTRY_KIND.BOOKING_DEBIT,
+      amountPaise: -debit,
+      surveyorSketchUpload: uploadId,
+      ref,
+    };
+  });
+}
+
+/** Undo checkout rows (debits / bundle redemptions) whose checkout never went ahead. Never throws. */
+async function reverseEntriesQuietly(entries, note) {
+  for (const entry of entries) {
+    if (!entry?.ref) continue;
+    try {
+      await appendEntry(entry.surveyor, () => ({
+        kind: SURVEYOR_WALLET_ENTRY_KIND.REVERSAL,
+        amountPaise: -entry.amountPaise,
+        orderType: entry.orderType || null,
+        credits: -(entry.credits || 0),
+        surveyorSketchUpload: entry.surveyorSketchUpload || null,
+        reverses: entry._id,
+        ref: `reversal:${entry.ref}`,
+        note,
+      }));
+    } catch (err) {
+      logger.error("ALERT_SURVEYOR_WALLET_REVERSAL_FAILED", err, {
+        entryId: String(entry._id),
+        ref: entry.ref,
+        escalateTo: "operations",
+      });
+    }
+  }
+}
+
+/** Return the booking's wallet share and bundle credit when an unpaid upload is cleared. */
+async function reverseBookingFundingQuietly(uploadId, note = "Unpaid upload cleared") {
+  const rows = await SurveyorWalletLedger.find({ ref: { $in: [`booking:${uploadId}`, `bundle:${uploadId}`] } }).lean();
+  await reverseEntriesQuietly(rows, note);
+}
+
+/** Upload payment snapshot of a wallet share (sketchPayment.wallet / balancePayment.wallet). */
+function fundingSnapshot({ debitEntry = null, bundleEntry = null, coveredPaise = 0 } = {}) {
+  if (!debitEntry && !bundleEntry) return null;
+  return {
+    debitedPaise: debitEntry ? -debitEntry.amountPaise : 0,
+    bundleCredit: bundleEntry ? { orderType: bundleEntry.orderType, coveredPaise } : null,
+    fundedAt: new Date(),
+  };
+}
+
+/** Checkout meta for a wallet share; null when none. */
+function presentFunding(wallet) {
+  if (!wallet) return null;
+  return {
+    debitedPaise: Number(wallet.debitedPaise) || 0,
+    bundleCredit: wallet.bundleCredit
+      ? { orderType: wallet.bundleCredit.orderType, coveredPaise: wallet.bundleCredit.coveredPaise }
+      : null,
+  };
+}
+
+// -------- Top-ups --------
+
+/** Format: wtu<24hex surveyor id>r<base36> (≤35 chars, like the booking / balance ids). */
+function walletTopupMerchantOrderId(surveyorId) {
+  return `wtu${String(surveyorId)}r${Date.now().toString(36).slice(-6)}`;
+}
+
+function presentPack(p) {
+  return {
+    id: String(p._id),
+    code: p.code,
+    name: p.name,
+    description: p.description || null,
+    orderType: p.orderType,
+    orders: p.orders,
+    priceRupees: p.priceRupees,
+    perOrderRupees: Math.round((p.priceRupees / p.orders) * 100) / 100,
+    active: p.active !== false,
+    createdAt: p.createdAt || null,
+    updatedAt: p.updatedAt || null,
+  };
+}
+
+/**
+ * Start a gateway checkout that credits the wallet (amountRupees) or buys a bundle pack (bundlePackCode).
+ * @param {{ amountRupees?: number, bundlePackCode?: string }} payload - validated (schemas.walletTopupCreate)
+ */
+async function startTopup(surveyor, payload) {
+  let pack = null;
+  let amountPaise;
+  if (payload.bundlePackCode) {
+    pack = await BundlePack.findOne({ code: payload.bundlePackCode, active: true }).lean();
+    if (!pack) throw new NotFoundError("Bundle pack not found", { code: "BUNDLE_PACK_NOT_FOUND" });
+    amountPaise = toPaise(pack.priceRupees);
+  } else {
+    const rupees = Number(payload.amountRupees);
+    if (!(rupees >= TOPUP_MIN_RUPEES && rupees <= TOPUP_MAX_RUPEES)) {
+      const message = `Top-up must be ₹${TOPUP_MIN_RUPEES}–₹${TOPUP_MAX_RUPEES}`;
+      throw new BadRequestError(message, {
+        code: "WALLET_TOPUP_AMOUNT_INVALID",
+        errors: [{ field: "amountRupees", message }],
+      });
+    }
+    amountPaise = toPaise(rupees);
+  }
+
+  const merchantOrderId = walletTopupMerchantOrderId(surveyor._id);
+  const pay = await paymentProvider.startCheckout({
+    purpose: PAYMENT_PURPOSE.WALLET_TOPUP,
+    merchantOrderId,
+    amountPaise,
+    description: pack ? `Bundle ${pack.code}` : "Wallet top-up",
+  });
+  // The attempt is the only record of what to credit, so a failure here must stop the surveyor paying.
+  await paymentAttempt.recordInitiated({
+    purpose: PAYMENT_PURPOSE.WALLET_TOPUP,
+    surveyorId: surveyor._id,
+    merchantOrderId,
+    expectedAmountPaise: amountPaise,
+    provider: pay.provider,
+    providerOrderId: pay.providerOrderId,
+    walletTopup: pack
+      ? { creditPaise: 0, bundlePack: { packId: pack._id, code: pack.code, orderType: pack.orderType, orders: pack.orders } }
+      : { creditPaise: amountPaise },
+  });
+  return {
+    requiresPayment: true,
+    checkoutPageUrl: pay.redirectUrl,
+    redirectUrl: pay.redirectUrl,
+    merchantOrderId,
+    amountPaise,
+    payableRupees: amountPaise / 100,
+    bundlePack: pack ? presentPack(pack) : null,
+    purpose: PAYMENT_PURPOSE.WALLET_TOPUP,
+  };
+}
+
+/** Settlement of a completed WALLET_TOPUP attempt (paymentCallback): credit once per order. */
+async function creditTopupAfterPayment(attempt) {
+  if (!attempt?.surveyor) {
+    logger.error("ALERT_SURVEYOR_WALLET_TOPUP_ORPHANED", {
+      merchantOrderId: attempt?.merchantOrderId,
+      escalateTo: "operations",
+    });
+    return { paymentRejected: false, entry: null };
+  }
+  const pack = attempt.walletTopup?.bundlePack?.code ? attempt.walletTopup.bundlePack : null;
+  const base = { ref: `topup:${attempt.merchantOrderId}`, merchantOrderId: attempt.merchantOrderId };
+  const entry = await appendEntry(attempt.surveyor, () =>
+    pack
+      ? {
+          ...base,
+          kind: SURVEYOR_WALLET_ENTRY_KIND.BUNDLE_PURCHASE,
+          orderType: pack.orderType,
+          credits: pack.orders,
+          bundlePack: {
+            packId: pack.packId,
+            code: pack.code,
+            orders: pack.orders,
+            pricePaise: attempt.expectedAmountPaise,
+          },
+        }
+      : {
+          ...base,
+          kind: SURVEYOR_WALLET_ENTRY_KIND.TOPUP,
+          amountPaise: attempt.walletTopup?.creditPaise ?? attempt.expectedAmountPaise,
+        }
+  );
+  return { paymentRejected: false, entry };
+}
+
+// -------- Views and admin --------
+
+function presentEntry(e) {
+  return {
+    id: String(e._id),
+    seq: e.seq,
+    kind: e.kind,
+    amountPaise: e.amountPaise,
+    balanceAfterPaise: e.balanceAfterPaise,
+    orderType: e.orderType || null,
+    credits: e.credits || 0,
+    creditsAfter: creditsOf(e),
+    uploadId: e.surveyorSketchUpload ? String(e.surveyorSketchUpload) : null,
+    merchantOrderId: e.merchantOrderId || null,
+    bundlePackCode: e.bundlePack?.code || null,
+    note: e.note || null,
+    createdAt: e.createdAt || null,
+  };
+}
+
+/**
+ * Balance, order credits and recent ledger rows; withPacks adds the packs on sale.
+ * @param {{ page?: number, limit?: number, withPacks?: boolean }} [options]
+ */
+async function getWallet(surveyorId, { page = 1, limit = 50, withPacks = false } = {}) {
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const p = Math.max(Number(page) || 1, 1);
+  const [state, rows, total, packs] = await Promise.all([
+    walletState(surveyorId),
+    SurveyorWalletLedger.find({ surveyor: surveyorId }).sort({ seq: -1 }).skip((p - 1) * size).limit(size).lean(),
+    SurveyorWalletLedger.countDocuments({ surveyor: surveyorId }),
+    withPacks ? BundlePack.find({ active: true }).sort({ orderType: 1, orders: 1 }).lean() : null,
+  ]);
+  return {
+    surveyorId: String(surveyorId),
+    balancePaise: state.balancePaise,
+    balanceRupees: state.balancePaise / 100,
+    bundleCredits: state.credits,
+    entries: { items: rows.map(presentEntry), page: p, limit: size, total },
+    ...(withPacks ? { packs: packs.map(presentPack) } : {}),
+  };
+}
+
+async function getSurveyorWalletForAdmin(surveyorId, options = {}) {
+  const user = await User.findById(surveyorId).select("role").lean();
+  if (!user || user.role !== USER_ROLES.SURVEYOR) {
+    throw new NotFoundError("Surveyor not found", { code: "SURVEYOR_NOT_FOUND" });
+  }
+  return getWallet(surveyorId, options);
+}
+
+/**
+ * Admin credit / debit of balance (amountRupees) or order credits (credits + orderType).
+ * @param {{ direction: "CREDIT"|"DEBIT", amountRupees?: number, credits?: number, orderType?: string,
+ *   note: string }} payload - validated (schemas.walletAdjustment)
+ */
+async function adjustWallet(actor, surveyorId, payload) {
+  const user = await User.findById(surveyorId).select("role").lean();
+  if (!user || user.role !== USER_ROLES.SURVEYOR) {
+    throw new NotFoundError("Surveyor not found", { code: "SURVEYOR_NOT_FOUND" });
+  }
+  const sign = payload.direction === "DEBIT" ? -1 : 1;
+  const entry = await appendEntry(surveyorId, () => ({
+    kind: sign > 0 ? SURVEYOR_WALLET_ENTRY_KIND.ADMIN_CREDIT : SURVEYOR_WALLET_ENTRY_KIND.ADMIN_DEBIT,
+    amountPaise: payload.amountRupees ? sign * toPaise(payload.amountRupees) : 0,
+    orderType: payload.credits ? payload.orderType : null,
+    credits: payload.credits ? sign * payload.credits : 0,
+    note: payload.note,
+    createdBy: actor?._id || null,
+  }));
+  return presentEntry(entry);
+}
+
+/** @param {{ active?: string|boolean }} [filters] */
+async function listBundlePacks({ active } = {}) {
+  const query = {};
+  if (active === "true" || active === true) query.active = true;
+  if (active === "false" || active === false) query.active = false;
+  const rows = await BundlePack.find(query).sort({ active: -1, orderType: 1, orders: 1 }).lean();
+  return { items: rows.map(presentPack) };
+}
+
+/** @param {object} payload - validated (schemas.bundlePackCreate) */
+async function createBundlePack(payload, actor) {
+  try {
+    const doc = await BundlePack.create({ ...payload, createdBy: actor?._id || null, updatedBy: actor?._id || null });
+    return presentPack(doc.toObject());
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError(`Bundle pack ${payload.code} already exists`, { code: "BUNDLE_PACK_CODE_EXISTS" });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Price / size changes apply to later purchases; credits already sold are unaffected.
+ * @param {object} payload - validated (schemas.bundlePackUpdate); code and orderType cannot change
+ */
+async function updateBundlePack(packId, payload, actor) {
+  const doc = await BundlePack.findById(packId);
+  if (!doc) throw new NotFoundError("Bundle pack not found", { code: "BUNDLE_PACK_NOT_FOUND" });
+  for (const [field, value] of Object.entries(payload)) doc[field] = value;
+  doc.updatedBy = actor?._id || null;
+  await doc.save();
+  return presentPack(doc.toObject());
+}
+
+module.exports = {
+  MIN_GATEWAY_PAISE,
+  TOPUP_MIN_RUPEES,
+  TOPUP_MAX_RUPEES,
+  walletState,
+  walletDebitFor,
+  bundleCoverage,
+  redeemBundleCredit,
+  debitForCheckout,
+  reverseEntriesQuietly,
+  reverseBookingFundingQuietly,
+  fundingSnapshot,
+  presentFunding,
+  walletTopupMerchantOrderId,
+  startTopup,
+  creditTopupAfterPayment,
+  getWallet,
+  getSurveyorWalletForAdmin,
+  adjustWallet,
+  listBundlePacks,
+  createBundlePack,
+  updateBundlePack,
+};
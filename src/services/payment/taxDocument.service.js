@@ -0,0 +1,459 @@
+/**
+ * GST tax invoices / receipts for completed surveyor payments and credit notes for completed refunds.
+ * Issued right after the payment / refund settles (paymentCallback, paymentRefund) and, for anything those
+ * missed, by the scheduled taxDocumentIssuer job. One invoice per PaymentAttempt, one credit note per
+ * refund; numbers are sequential per series and financial year ({prefix}{I|R|C}/{26-27}/{000001}) and
+ * never skipped. A document is inserted before it is numbered, so concurrent issuers agree on one row per payment.
+ */
+
+const crypto = require("crypto");
+const PaymentAttempt = require("../../models/payment/PaymentAttempt");
+const { PAYMENT_PURPOSE, PAYMENT_PROVIDER, PROVIDER_STATE, REFUND_STATE } = require("../../models/payment/PaymentAttempt");
+const TaxDocument = require("../../models/payment/TaxDocument");
+const TaxDocumentCounter = require("../../models/payment/TaxDocumentCounter");
+const SurveyorSketchUpload = require("../../models/surveyor/SurveyorSketchUpload");
+const User = require("../../models/user/User");
+const {
+  TAX_DOCUMENT_KIND,
+  TAX_DOCUMENT_SERIES,
+  TAX_SUPPLY_TYPE,
+  GSTIN_PATTERN,
+} = require("../../config/taxInvoice");
+const invoiceSettings = require("../config/invoiceSettings.service");
+const { ConflictError, NotFoundError } = require("../../utils/errors");
+const logger = require("../../utils/logger");
+
+/** Payments that were invoiced: completed, or completed and since refunded. */
+const INVOICED_STATES = [PROVIDER_STATE.COMPLETED, PROVIDER_STATE.REFUNDED];
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/** Indian financial year (April–March, IST) of `date`, e.g. "2026-27". */
+function financialYearOf(date) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const y = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${y}-${String((y + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Split a GST-inclusive amount. Unregistered → all taxable, no GST.
+ * @returns {{ taxablePaise: number, cgstPaise: number, sgstPaise: number, igstPaise: number, totalPaise: number }}
+ */
+function splitInclusiveGst(totalPaise, { gstRegistered, gstRateBps, supplyType }) {
+  const out = { taxablePaise: totalPaise, cgstPaise: 0, sgstPaise: 0, igstPaise: 0, totalPaise };
+  if (!gstRegistered || !(gstRateBps > 0)) return out;
+  out.taxablePaise = Math.round((totalPaise * 10000) / (10000 + gstRateBps));
+  const tax = totalPaise - out.taxablePaise;
+  if (supplyType === TAX_SUPPLY_TYPE.INTRA_STATE) {
+    out.cgstPaise = Math.floor(tax / 2);
+    out.sgstPaise = tax - out.cgstPaise;
+  } else {
+    out.igstPaise = tax;
+  }
+  return out;
+}
+
+function seriesOf(kind, gstRegistered) {
+  if (kind === TAX_DOCUMENT_KIND.CREDIT_NOTE) return TAX_DOCUMENT_SERIES.CREDIT_NOTE;
+  return gstRegistered ? TAX_DOCUMENT_SERIES.TAX_INVOICE : TAX_DOCUMENT_SERIES.RECEIPT;
+}
+
+/** Wallet top-ups are invoiced when paid; orders they later fund carry no second invoice for that share. */
+function describeSupply(base, { purpose, revisionNo, applicationId, walletTopup }) {
+  if (purpose === PAYMENT_PURPOSE.WALLET_TOPUP) {
+    const pack = walletTopup?.bundlePack;
+    return pack?.code
+      ? `${base} - prepaid bundle ${pack.code} (${pack.orders} orders)`
+      : `${base} - prepaid wallet top-up`;
+  }
+  const fee =
+    purpose === PAYMENT_PURPOSE.BOOKING
+      ? "booking fee"
+      : purpose === PAYMENT_PURPOSE.BALANCE
+        ? "balance fee"
+        : `revision fee (revision ${revisionNo ?? "-"})`;
+  return `${base} - ${fee}${applicationId ? `, application ${applicationId}` : ""}`;
+}
+
+async function buyerOf(userId) {
+  if (!userId) return { name: null, phone: null, email: null, gstin: null };
+  const u = await User.findById(userId).select("name auth.email auth.phone surveyorProfile.gstin").lean();
+  const name = [u?.name?.first, u?.name?.last].filter(Boolean).join(" ") || null;
+  const gstin = u?.surveyorProfile?.gstin && GSTIN_PATTERN.test(u.surveyorProfile.gstin) ? u.surveyorProfile.gstin : null;
+  return { name, phone: u?.auth?.phone || null, email: u?.auth?.email || null, gstin };
+}
+
+const NUMBERING_ROUNDS = 5;
+
+/** Write a reserved number onto its row and release the counter; a row numbered meanwhile hands it back. */
+async function settleReservation(key, pending) {
+  const numbered = await TaxDocument.findOneAndUpdate(
+    { _id: pending.document, number: null },
+    { $set: { number: pending.number } },
+    { new: true }
+  ).lean();
+  const row = numbered || (await TaxDocument.findById(pending.document).lean());
+  // The counter is still held by this reservation, so seq has not moved past it and can step back.
+  const used = row?.number === pending.number;
+  await TaxDocumentCounter.updateOne(
+    { key, "pending.token": pending.token },
+    used ? { $set: { pending: null } } : { $set: { pending: null }, $inc: { seq: -1 } }
+  );
+}
+
+/**
+ * Number the (still unnumbered) row from its series / FY counter without skipping a number. The counter
+ * holds one reservation at a time; an issuer that finds one left behind (a crash, or a concurrent issue)
+ * settles it before reserving, so a reserved number always ends up on a document or back on the counter.
+ */
+async function assignNumber(doc, numberPrefix) {
+  const key = `${doc.series}:${doc.financialYear}`;
+  for (let round = 0; round < NUMBERING_ROUNDS; round += 1) {
+    const current = await TaxDocument.findById(doc._id).lean();
+    if (!current || current.number) return current;
+
+    const counter = await TaxDocumentCounter.findOne({ key }).lean();
+    if (counter?.pending) {
+      await settleReservation(key, counter.pending);
+      continue;
+    }
+    const seq = (counter?.seq || 0) + 1;
+    const pending = {
+      token: crypto.randomUUID(),
+      document: doc._id,
+      number: `${numberPrefix}${doc.series}/${doc.financialYear.slice(2)}/${String(seq).padStart(6, "0")}`,
+    };
+    try {
+      // Matches only the counter as read and unreserved; otherwise the upsert collides on key (E11000).
+      const reserved = await TaxDocumentCounter.findOneAndUpdate(
+        { key, seq: counter?.seq || 0, pending: null },
+        { $set: { seq, pending } },
+        { new: true, upsert: true }
+      ).lean();
+      if (reserved) await settleReservation(key, pending);
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  logger.warn("ALERT_TAX_DOCUMENT_NUMBERING_CONTENDED", { documentId: String(doc._id), series: key });
+  throw new ConflictError("Tax document numbering is busy; the scheduled issuer will retry", {
+    code: "TAX_DOCUMENT_NUMBERING_CONTENDED",
+  });
+}
+
+/** Insert (unique per payment / refund), then number; a lost insert race numbers / returns the winner's row. */
+async function insertOnce(row, existingQuery, numberPrefix) {
+  let doc;
+  try {
+    doc = (await TaxDocument.create(row)).toObject();
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    doc = await TaxDocument.findOne(existingQuery).lean();
+  }
+  return doc.number ? doc : assignNumber(doc, numberPrefix);
+}
+
+/**
+ * Issue (or return) the tax invoice / receipt for a completed payment.
+ * @param {string} attemptId
+ * @returns {Promise<object|null>} null when the payment is not a completed one
+ */
+async function issueInvoice(attemptId, { now = new Date() } = {}) {
+  const attempt = await PaymentAttempt.findById(attemptId).lean();
+  if (!attempt || !INVOICED_STATES.includes(attempt.providerState)) return null;
+  const totalPaise = Number(attempt.paidAmountPaise || attempt.expectedAmountPaise) || 0;
+  if (!(totalPaise > 0)) return null;
+
+  const settings = await invoiceSettings.resolveSettings();
+  const existingQuery = { kind: TAX_DOCUMENT_KIND.INVOICE, paymentAttempt: attempt._id };
+  let doc = await TaxDocument.findOne(existingQuery).lean();
+  if (!doc) {
+    const upload = attempt.surveyorSketchUpload
+      ? await SurveyorSketchUpload.findById(attempt.surveyorSketchUpload).select("surveyor applicationId").lean()
+      : null;
+    const surveyor = attempt.surveyor || upload?.surveyor || null;
+    const buyer = await buyerOf(surveyor);
+    const placeOfSupply = buyer.gstin ? buyer.gstin.slice(0, 2) : settings.seller.stateCode;
+    const supplyType = settings.gstRegistered
+      ? placeOfSupply === settings.seller.stateCode
+        ? TAX_SUPPLY_TYPE.INTRA_STATE
+        : TAX_SUPPLY_TYPE.INTER_STATE
+      : null;
+    const gstRateBps = settings.gstRegistered ? settings.gstRateBps : 0;
+    const row = {
+      kind: TAX_DOCUMENT_KIND.INVOICE,
+      gstRegistered: settings.gstRegistered,
+      series: seriesOf(TAX_DOCUMENT_KIND.INVOICE, settings.gstRegistered),
+      financialYear: financialYearOf(now),
+      issuedAt: now,
+      paymentAttempt: attempt._id,
+      merchantOrderId: attempt.merchantOrderId,
+      provider: attempt.provider || PAYMENT_PROVIDER.PHONEPE,
+      purpose: attempt.purpose,
+      revisionNo: attempt.revisionNo ?? null,
+      surveyorSketchUpload: attempt.surveyorSketchUpload || null,
+      applicationId: upload?.applicationId || null,
+      surveyor,
+      paidAt: attempt.completedAt || null,
+      seller: settings.seller,
+      buyer,
+      placeOfSupply,
+      supplyType,
+      sacCode: settings.sacCode,
+      description: describeSupply(settings.serviceDescription, {
+        purpose: attempt.purpose,
+        revisionNo: attempt.revisionNo,
+        applicationId: upload?.applicationId,
+        walletTopup: attempt.walletTopup,
+      }),
+      gstRateBps,
+      amounts: splitInclusiveGst(totalPaise, { gstRegistered: settings.gstRegistered, gstRateBps, supplyType }),
+    };
+    doc = await insertOnce(row, existingQuery, settings.numberPrefix);
+  } else if (!doc.number) {
+    doc = await assignNumber(doc, settings.numberPrefix);
+  }
+  if (attempt.taxInvoiceNumber !== doc.number) {
+    await PaymentAttempt.updateOne({ _id: attempt._id }, { $set: { taxInvoiceNumber: doc.number } });
+  }
+  return doc;
+}
+
+/**
+ * Issue (or return) the credit note for a completed refund, mirroring the invoice's GST treatment.
+ * The refund that completes the paid amount takes exactly what is left of the invoice's taxable value
+ * and GST, so an invoice and its credit notes always net to zero.
+ * @param {string} merchantRefundId
+ * @returns {Promise<object|null>} null when the refund is not completed or the payment has no invoice
+ */
+async function issueCreditNote(merchantRefundId, { now = new Date() } = {}) {
+  const attempt = await PaymentAttempt.findOne({ "refunds.merchantRefundId": merchantRefundId })
+    .select("_id refunds")
+    .lean();
+  const refund = (attempt?.refunds || []).find((r) => r.merchantRefundId === merchantRefundId);
+  if (!refund || refund.state !== REFUND_STATE.COMPLETED) return null;
+  const invoice = await issueInvoice(attempt._id, { now });
+  if (!invoice) return null;
+
+  const settings = await invoiceSettings.resolveSettings();
+  const existingQuery = { kind: TAX_DOCUMENT_KIND.CREDIT_NOTE, merchantRefundId };
+  let doc = await TaxDocument.findOne(existingQuery).lean();
+  if (!doc) {
+    const earlier = await TaxDocument.find({
+      kind: TAX_DOCUMENT_KIND.CREDIT_NOTE,
+      paymentAttempt: attempt._id,
+      merchantRefundId: { $ne: merchantRefundId },
+    })
+      .select("amounts")
+      .lean();
+    const credited = (field) => earlier.reduce((sum, d) => sum + (Number(d.amounts?.[field]) || 0), 0);
+    let amounts = splitInclusiveGst(refund.amountPaise, invoice);
+    if (credited("totalPaise") + refund.amountPaise >= invoice.amounts.totalPaise) {
+      const rest = (field) => Math.max(0, invoice.amounts[field] - credited(field));
+      amounts = {
+        taxablePaise: rest("taxablePaise"),
+        cgstPaise: rest("cgstPaise"),
+        sgstPaise: rest("sgstPaise"),
+        igstPaise: rest("igstPaise"),
+        totalPaise: refund.amountPaise,
+      };
+    }
+    const row = {
+      kind: TAX_DOCUMENT_KIND.CREDIT_NOTE,
+      gstRegistered: invoice.gstRegistered,
+      series: seriesOf(TAX_DOCUMENT_KIND.CREDIT_NOTE, invoice.gstRegistered),
+      financialYear: financialYearOf(now),
+      issuedAt: now,
+      paymentAttempt: attempt._id,
+      merchantOrderId: invoice.merchantOrderId,
+      merchantRefundId,
+      originalInvoice: invoice._id,
+      originalInvoiceNumber: invoice.number,
+      provider: invoice.provider,
+      purpose: invoice.purpose,
+      revisionNo: invoice.revisionNo,
+      surveyorSketchUpload: invoice.surveyorSketchUpload,
+      applicationId: invoice.applicationId,
+      surveyor: invoice.surveyor,
+      paidAt: refund.settledAt || null,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      placeOfSupply: invoice.placeOfSupply,
+      supplyType: invoice.supplyType,
+      sacCode: invoice.sacCode,
+      description: `Refund against ${invoice.number}: ${invoice.description}`,
+      gstRateBps: invoice.gstRateBps,
+      amounts,
+    };
+    doc = await insertOnce(row, existingQuery, settings.numberPrefix);
+  } else if (!doc.number) {
+    doc = await assignNumber(doc, settings.numberPrefix);
+  }
+  if (refund.creditNoteNumber !== doc.number) {
+    await PaymentAttempt.updateOne(
+      { _id: attempt._id, "refunds.merchantRefundId": merchantRefundId },
+      { $set: { "refunds.$.creditNoteNumber": doc.number } }
+    );
+  }
+  return doc;
+}
+
+/** Settlement paths must not fail on invoicing; the scheduled issuer retries anything missed. */
+async function issueInvoiceQuietly(attemptId) {
+  try {
+    return await issueInvoice(attemptId);
+  } catch (err) {
+    logger.error("ALERT_TAX_INVOICE_ISSUE_FAILED", err, { paymentAttemptId: String(attemptId), escalateTo: "finance" });
+    return null;
+  }
+}
+
+async function issueCreditNoteQuietly(merchantRefundId) {
+  try {
+    return await issueCreditNote(merchantRefundId);
+  } catch (err) {
+    logger.error("ALERT_TAX_CREDIT_NOTE_ISSUE_FAILED", err, { merchantRefundId, escalateTo: "finance" });
+    return null;
+  }
+}
+
+/** Payments / refunds settled before TAX_INVOICE_START_AT (ISO date, optional) are never invoiced. */
+function getIssueStartAt() {
+  const d = process.env.TAX_INVOICE_START_AT ? new Date(process.env.TAX_INVOICE_START_AT) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : new Date(0);
+}
+
+/** Max documents the scheduled issuer creates per run (TAX_DOCUMENT_ISSUE_LIMIT, default 100). */
+function getIssueLimit() {
+  const n = parseInt(process.env.TAX_DOCUMENT_ISSUE_LIMIT || "100", 10);
+  return Number.isFinite(n) && n > 0 ? n : 100;
+}
+
+/**
+ * Scheduled: issue invoices for completed payments and credit notes for completed refunds that have none.
+ * @returns {Promise<{ invoices: number, creditNotes: number, skipped: number, errors: number }>}
+ */
+async function issueMissingTaxDocuments({ limit = getIssueLimit() } = {}) {
+  const startAt = getIssueStartAt();
+  const out = { invoices: 0, creditNotes: 0, skipped: 0, errors: 0 };
+  const attempts = await PaymentAttempt.find({
+    providerState: { $in: INVOICED_STATES },
+    taxInvoiceNumber: null,
+    completedAt: { $gte: startAt },
+  })
+    .select("_id")
+    .sort({ completedAt: 1 })
+    .limit(limit)
+    .lean();
+  for (const a of attempts) {
+    try {
+      if (await issueInvoice(a._id)) out.invoices += 1;
+      else out.skipped += 1;
+    } catch (err) {
+      out.errors += 1;
+      logger.error("Tax invoice issue failed", err, { paymentAttemptId: String(a._id) });
+    }
+  }
+
+  const missingCreditNote = {
+    state: REFUND_STATE.COMPLETED,
+    merchantRefundId: { $ne: null },
+    creditNoteNumber: null,
+    settledAt: { $gte: startAt },
+  };
+  const refunded = await PaymentAttempt.find({ refunds: { $elemMatch: missingCreditNote } })
+    .select("_id refunds")
+    .limit(Math.max(0, limit - out.invoices))
+    .lean();
+  for (const a of refunded) {
+    const rows = (a.refunds || []).filter(
+      (r) => r.state === REFUND_STATE.COMPLETED && r.merchantRefundId && !r.creditNoteNumber && r.settledAt >= startAt
+    );
+    for (const r of rows) {
+      try {
+        if (await issueCreditNote(r.merchantRefundId)) out.creditNotes += 1;
+        else out.skipped += 1;
+      } catch (err) {
+        out.errors += 1;
+        logger.error("Tax credit note issue failed", err, { merchantRefundId: r.merchantRefundId });
+      }
+    }
+  }
+  return out;
+}
+
+function present(d) {
+  return {
+    id: String(d._id),
+    kind: d.kind,
+    gstRegistered: d.gstRegistered,
+    number: d.number,
+    financialYear: d.financialYear,
+    issuedAt: d.issuedAt,
+    merchantOrderId: d.merchantOrderId,
+    merchantRefundId: d.merchantRefundId || null,
+    originalInvoiceNumber: d.originalInvoiceNumber || null,
+    purpose: d.purpose,
+    revisionNo: d.revisionNo ?? null,
+    uploadId: d.surveyorSketchUpload ? String(d.surveyorSketchUpload) : null,
+    applicationId: d.applicationId || null,
+    surveyorId: d.surveyor ? String(d.surveyor) : null,
+    placeOfSupply: d.placeOfSupply,
+    supplyType: d.supplyType,
+    sacCode: d.sacCode,
+    gstRateBps: d.gstRateBps,
+    amounts: d.amounts,
+  };
+}
+
+/**
+ * List tax documents, newest first. Surveyors pass their own id as surveyorId.
+ * @param {{ surveyorId?: string, uploadId?: string, kind?: string, financialYear?: string,
+ *   merchantOrderId?: string, number?: string, page?: number, limit?: number }} [filters]
+ */
+async function listTaxDocuments({ surveyorId, uploadId, kind, financialYear, merchantOrderId, number, page = 1, limit = 50 } = {}) {
+  const query = { number: { $type: "string" } };
+  if (surveyorId) query.surveyor = surveyorId;
+  if (uploadId) query.surveyorSketchUpload = uploadId;
+  if (kind) query.kind = String(kind).toUpperCase();
+  if (financialYear) query.financialYear = String(financialYear);
+  if (merchantOrderId) query.merchantOrderId = String(merchantOrderId);
+  if (number) query.number = String(number);
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const p = Math.max(Number(page) || 1, 1);
+  const [rows, total] = await Promise.all([
+    TaxDocument.find(query)
+      .sort({ issuedAt: -1, _id: -1 })
+      .skip((p - 1) * size)
+      .limit(size)
+      .lean(),
+    TaxDocument.countDocuments(query),
+  ]);
+  return { items: rows.map(present), page: p, limit: size, total };
+}
+
+/**
+ * One numbered document; with surveyorId only the surveyor's own (others look not found).
+ * @returns {Promise<object>} the stored document
+ */
+async function getTaxDocument(documentId, { surveyorId } = {}) {
+  const doc = await TaxDocument.findById(documentId).lean();
+  if (!doc || !doc.number || (surveyorId && String(doc.surveyor) !== String(surveyorId))) {
+    throw new NotFoundError("Invoice not found", { code: "TAX_DOCUMENT_NOT_FOUND" });
+  }
+  return doc;
+}
+
+module.exports = {
+  TAX_DOCUMENT_KIND,
+  financialYearOf,
+  splitInclusiveGst,
+  issueInvoice,
+  issueCreditNote,
+  issueInvoiceQuietly,
+  issueCreditNoteQuietly,
+  issueMissingTaxDocuments,
+  listTaxDocuments,
+  getTaxDocument,
+  presentTaxDocument: present,
+};
@@ -0,0 +1,201 @@
+/**
+ * PDF rendering of an issued tax document (utils/pdf, A4 portrait, Helvetica).
+ * Rendered from the stored snapshot with the issue date as creation date, so a document downloads
+ * byte-identical every time. "Rs." stands in for the rupee sign (not in WinAnsi).
+ */
+
+const { PAGE_SIZES, PDF_FONTS, textOps, pathOps, estimateTextWidth, buildPdf } = require("../../utils/pdf");
+const { TAX_DOCUMENT_KIND, TAX_SUPPLY_TYPE, GST_STATE_CODES } = require("../../config/taxInvoice");
+
+const MARGIN = 48;
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+function belowHundred(n) {
+  return n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ""}`;
+}
+
+function belowThousand(n) {
+  const h = Math.floor(n / 100);
+  const rest = n % 100;
+  return [h ? `${ONES[h]} Hundred` : "", rest ? belowHundred(rest) : ""].filter(Boolean).join(" ");
+}
+
+/** Indian numbering (lakh / crore): 123456 → "One Lakh Twenty Three Thousand Four Hundred Fifty Six". */
+function numberInWords(value) {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return "Zero";
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n) parts.push(belowThousand(n));
+  return parts.join(" ");
+}
+
+function rupeesInWords(paise) {
+  const rupees = Math.floor(paise / 100);
+  const p = paise % 100;
+  return `Rupees ${numberInWords(rupees)}${p ? ` and ${belowHundred(p)} Paise` : ""} Only`;
+}
+
+/** 12345 → "123.45" with Indian digit grouping (1,23,456.00). */
+function formatPaise(paise) {
+  const v = Math.round(Number(paise) || 0);
+  const sign = v < 0 ? "-" : "";
+  const abs = Math.abs(v);
+  const rupees = String(Math.floor(abs / 100));
+  const head = rupees.slice(0, -3);
+  const grouped = head ? `${head.replace(/\B(?=(\d{2})+(?!\d))/g, ",")},${rupees.slice(-3)}` : rupees;
+  return `${sign}${grouped}.${String(abs % 100).padStart(2, "0")}`;
+}
+
+function formatDate(d) {
+  if (!d) return "-";
+  // Calendar date in IST.
+  return new Date(new Date(d).getTime() + 330 * 60 * 1000).toISOString().slice(0, 10).split("-").reverse().join("-");
+}
+
+const pct = (bps) => `${(Number(bps) / 100).toFixed(2).replace(/\.?0+$/, "")}%`;
+
+function titleOf(doc) {
+  if (doc.kind === TAX_DOCUMENT_KIND.CREDIT_NOTE) return doc.gstRegistered ? "CREDIT NOTE" : "REFUND RECEIPT";
+  return doc.gstRegistered ? "TAX INVOICE" : "PAYMENT RECEIPT";
+}
+
+/**
+ * @param {object} doc - stored TaxDocument
+ * @returns {Buffer}
+ */
+function renderTaxDocumentPdf(doc) {
+  const { width, height } = PAGE_SIZES.A4_PORTRAIT;
+  const ops = [];
+  const right = width - MARGIN;
+  let y = height - MARGIN;
+  const text = (s, x, size = 9, font = PDF_FONTS.REGULAR) => ops.push(textOps(s, { x, y, size, font }));
+  const textRight = (s, x, size = 9, font = PDF_FONTS.REGULAR) =>
+    ops.push(textOps(s, { x: x - estimateTextWidth(s, size), y, size, font }));
+  const rule = () => ops.push(`0.5 w ${pathOps([{ x: MARGIN, y: y + 4 }, { x: right, y: y + 4 }])}`);
+  const down = (dy) => {
+    y -= dy;
+  };
+
+  text(titleOf(doc), MARGIN, 16, PDF_FONTS.BOLD);
+  textRight(doc.number || "", right, 11, PDF_FONTS.BOLD);
+  down(22);
+
+  const seller = doc.seller || {};
+  text(seller.legalName || "-", MARGIN, 11, PDF_FONTS.BOLD);
+  textRight(`Date: ${formatDate(doc.issuedAt)}`, right);
+  down(13);
+  for (const line of String(seller.address || "").split(/\r?\n/).filter(Boolean).slice(0, 4)) {
+    text(line, MARGIN);
+    down(12);
+  }
+  if (seller.gstin) {
+    text(`GSTIN: ${seller.gstin}`, MARGIN);
+    down(12);
+  }
+  if (seller.email) {
+    text(seller.email, MARGIN);
+    down(12);
+  }
+  down(8);
+  rule();
+  down(12);
+
+  const buyer = doc.buyer || {};
+  text("Billed to", MARGIN, 9, PDF_FONTS.BOLD);
+  const pos = doc.placeOfSupply ? `${doc.placeOfSupply} - ${GST_STATE_CODES[doc.placeOfSupply] || ""}` : "-";
+  textRight(`Place of supply: ${pos}`, right);
+  down(12);
+  text(buyer.name || "-", MARGIN);
+  textRight(`Financial year: ${doc.financialYear}`, right);
+  down(12);
+  if (buyer.phone || buyer.email) {
+    text([buyer.phone, buyer.email].filter(Boolean).join("  "), MARGIN);
+    down(12);
+  }
+  if (buyer.gstin) {
+    text(`GSTIN: ${buyer.gstin}`, MARGIN);
+    down(12);
+  }
+  if (doc.kind === TAX_DOCUMENT_KIND.CREDIT_NOTE) {
+    text(`Against invoice: ${doc.originalInvoiceNumber || "-"}`, MARGIN);
+    down(12);
+  }
+  text(`Payment reference: ${doc.merchantOrderId}${doc.merchantRefundId ? ` / refund ${doc.merchantRefundId}` : ""}`, MARGIN);
+  textRight(`Payment date: ${formatDate(doc.paidAt)}`, right);
+  down(18);
+
+  // Line table
+  const colSac = MARGIN + 300;
+  const colAmount = right;
+  rule();
+  text("Description", MARGIN, 9, PDF_FONTS.BOLD);
+  text("SAC", colSac, 9, PDF_FONTS.BOLD);
+  textRight("Amount (Rs.)", colAmount, 9, PDF_FONTS.BOLD);
+  down(14);
+  rule();
+  const desc = String(doc.description || "");
+  const chunks = desc.match(/.{1,62}(\s|$)/g) || [desc];
+  text(chunks[0].trim(), MARGIN);
+  text(doc.sacCode || "-", colSac);
+  textRight(formatPaise(doc.amounts.taxablePaise), colAmount);
+  for (const c of chunks.slice(1, 3)) {
+    down(12);
+    text(c.trim(), MARGIN);
+  }
+  down(18);
+  rule();
+
+  const a = doc.amounts;
+  const half = Math.round(Number(doc.gstRateBps) / 2);
+  const totals = [[doc.gstRegistered ? "Taxable value" : "Amount", a.taxablePaise]];
+  if (doc.gstRegistered && doc.supplyType === TAX_SUPPLY_TYPE.INTRA_STATE) {
+    totals.push([`CGST @ ${pct(half)}`, a.cgstPaise], [`SGST @ ${pct(doc.gstRateBps - half)}`, a.sgstPaise]);
+  } else if (doc.gstRegistered) {
+    totals.push([`IGST @ ${pct(doc.gstRateBps)}`, a.igstPaise]);
+  }
+  for (const [label, value] of totals) {
+    textRight(label, colSac + 80);
+    textRight(formatPaise(value), colAmount);
+    down(13);
+  }
+  textRight(doc.kind === TAX_DOCUMENT_KIND.CREDIT_NOTE ? "Total credited" : "Total paid", colSac + 80, 10, PDF_FONTS.BOLD);
+  textRight(`Rs. ${formatPaise(a.totalPaise)}`, colAmount, 10, PDF_FONTS.BOLD);
+  down(16);
+  text(rupeesInWords(a.totalPaise), MARGIN, 9);
+  down(24);
+
+  if (doc.gstRegistered) {
+    text("Amounts are inclusive of GST. Tax payable on reverse charge: No.", MARGIN, 8);
+    down(11);
+  } else {
+    text("Supplier not registered under GST; no tax charged.", MARGIN, 8);
+    down(11);
+  }
+  text("This is a computer-generated document and does not require a signature.", MARGIN, 8);
+
+  return buildPdf([{ width, height, content: ops.join("\n") }], {
+    title: `${titleOf(doc)} ${doc.number || ""}`.trim(),
+    author: seller.legalName || undefined,
+    creationDate: doc.issuedAt ? new Date(doc.issuedAt) : undefined,
+  });
+}
+
+module.exports = {
+  numberInWords,
+  rupeesInWords,
+  formatPaise,
+  renderTaxDocumentPdf,
+};
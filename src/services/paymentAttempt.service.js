@@ -9,6 +9,7 @@
 const PaymentAttempt = require("../models/payment/PaymentAttempt");
 const {
   PAYMENT_PURPOSE,
+  PAYMENT_PROVIDER,
   PROVIDER_STATE,
   RECON_FLAG,
 } = require("../models/payment/PaymentAttempt");
@@ -71,9 +72,14 @@ async function recordInitiated({
   merchantOrderId,
   expectedAmountPaise,
   revisionNo = null,
+  provider = PAYMENT_PROVIDER.PHONEPE,
+  providerOrderId = null,
+  coupon = null,
+  walletTopup = null,
 }) {
   const expected = Math.round(Number(expectedAmountPaise));
-  if (!merchantOrderId || !surveyorSketchUploadId || !Number.isFinite(expected) || expected <= 0) {
+  const needsUpload = purpose !== PAYMENT_PURPOSE.WALLET_TOPUP;
+  if (!merchantOrderId || (needsUpload && !surveyorSketchUploadId) || !Number.isFinite(expected) || expected <= 0) {
     throw new Error("Invalid payment attempt initiation");
   }
 
@@ -84,11 +90,15 @@ async function recordInitiated({
   try {
     const doc = await PaymentAttempt.create({
       purpose,
-      surveyorSketchUpload: surveyorSketchUploadId,
+      provider,
+      providerOrderId,
+      surveyorSketchUpload: surveyorSketchUploadId || null,
       surveyor: surveyorId || null,
       revisionNo,
       merchantOrderId: String(merchantOrderId),
       expectedAmountPaise: expected,
+      ...(coupon?.code ? { coupon: { code: coupon.code, discountPaise: coupon.discountPaise } } : {}),
+      ...(walletTopup ? { walletTopup } : {}),
       providerState: PROVIDER_STATE.PENDING,
       initiatedAt: new Date(),
       providerReference: {
@@ -216,32 +226,12 @@ async function applyProviderCallback({
   };
 }
 
-async function markAttemptRefunded(merchantOrderId, { note } = {}) {
-  const attempt = await PaymentAttempt.findOne({ merchantOrderId: String(merchantOrderId) });
-  if (!attempt) return null;
-  attempt.providerState = PROVIDER_STATE.REFUNDED;
-  attempt.manuallyAdjusted = true;
-  attempt.reconciliationFlags = attempt.reconciliationFlags || [];
-  attempt.reconciliationFlags.push({
-    flag: RECON_FLAG.REFUNDED,
-    at: new Date(),
-    note: note || "refunded",
-  });
-  attempt.reconciliationFlags.push({
-    flag: RECON_FLAG.MANUALLY_ADJUSTED,
-    at: new Date(),
-    note: note || "refunded",
-  });
-  await attempt.save();
-  return attempt;
-}
-
 module.exports = {
   PAYMENT_PURPOSE,
+  PAYMENT_PROVIDER,
   PROVIDER_STATE,
   RECON_FLAG,
   sanitizeProviderReference,
   recordInitiated,
   applyProviderCallback,
-  markAttemptRefunded,
 };
@@ -1,19 +1,68 @@
 /**
  * Daily payment reconciliation — audit §4.1 point 29.
- * Flags: missing, duplicated, mismatched, expired, refunded, manually adjusted.
+ * Flags: missing, duplicated, mismatched, expired, refunded, partially refunded, manually adjusted.
+ * Attempts from every checkout gateway are reconciled together (duplicates are detected across
+ * gateways); with `checkProvider` each attempt is also compared with its own gateway's order status.
+ * Stuck PENDING attempts are settled between runs by the paymentSweeper job (payment/paymentSweeper.service).
  */
 
 const PaymentAttempt = require("../models/payment/PaymentAttempt");
 const {
+  PAYMENT_PROVIDER,
+  PAYMENT_PURPOSE,
   PROVIDER_STATE,
+  REFUND_STATE,
   RECON_FLAG,
 } = require("../models/payment/PaymentAttempt");
+const paymentProvider = require("./payment/paymentProvider.service");
+const logger = require("../utils/logger");
+
+/** States worth asking the gateway about (terminal mismatch / refund rows are already flagged). */
+const PROVIDER_CHECK_STATES = new Set([
+  PROVIDER_STATE.PENDING,
+  PROVIDER_STATE.FAILED,
+  PROVIDER_STATE.EXPIRED,
+  PROVIDER_STATE.COMPLETED,
+]);
 
 function getPendingExpireMs() {
   const n = parseInt(process.env.PAYMENT_ATTEMPT_EXPIRE_MS || String(24 * 60 * 60 * 1000), 10);
   return Number.isFinite(n) && n > 0 ? n : 24 * 60 * 60 * 1000;
 }
 
+/** Max gateway status calls per run (PAYMENT_RECON_PROVIDER_CHECK_LIMIT, default 100). */
+function getProviderCheckLimit() {
+  const n = parseInt(process.env.PAYMENT_RECON_PROVIDER_CHECK_LIMIT || "100", 10);
+  return Number.isFinite(n) && n >= 0 ? n : 100;
+}
+
+const providerOf = (a) => a.provider || PAYMENT_PROVIDER.PHONEPE;
+
+/** Paise returned to the payer by settled refunds (partial or full). */
+const refundedPaiseOf = (a) =>
+  (a.refunds || [])
+    .filter((r) => r.state === REFUND_STATE.COMPLETED)
+    .reduce((sum, r) => sum + (Number(r.amountPaise) || 0), 0);
+
+/**
+ * Compare one attempt with its gateway. Money taken without a local success → MISSING;
+ * a local success the gateway does not confirm → MISMATCHED.
+ */
+async function checkWithProvider(a) {
+  const adapter = paymentProvider.getProvider(providerOf(a));
+  if (!adapter.isConfigured()) return { skipped: true, found: [] };
+  const status = await paymentProvider.fetchAttemptStatus(a);
+  const remote = String(status?.state || "").toUpperCase();
+  const found = [];
+  if (remote === PROVIDER_STATE.COMPLETED && a.providerState !== PROVIDER_STATE.COMPLETED) {
+    found.push({ flag: RECON_FLAG.MISSING, note: `provider_completed_local_${String(a.providerState).toLowerCase()}` });
+  }
+  if (a.providerState === PROVIDER_STATE.COMPLETED && remote && remote !== PROVIDER_STATE.COMPLETED) {
+    found.push({ flag: RECON_FLAG.MISMATCHED, note: `provider_state_${remote.toLowerCase()}` });
+  }
+  return { skipped: false, remoteState: remote || null, found };
+}
+
 function startOfUtcDay(d = new Date()) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
 }
@@ -26,6 +75,8 @@ function endOfUtcDay(d = new Date()) {
 /**
  * Run reconciliation for a calendar day (UTC) or custom window.
  * Updates attempt.reconciliationFlags when new flags are detected.
+ * @param {{ asOf?, from?, to?, persist?: boolean, provider?: string, checkProvider?: boolean }} [options]
+ *   provider narrows to one gateway; checkProvider asks each attempt's gateway (capped per run)
  */
 async function runDailyReconciliation(options = {}) {
   const asOf = options.asOf ? new Date(options.asOf) : new Date();
@@ -33,25 +84,36 @@ async function runDailyReconciliation(options = {}) {
   const to = options.to ? new Date(options.to) : endOfUtcDay(asOf);
   const expireBefore = new Date(Date.now() - getPendingExpireMs());
   const persist = options.persist !== false;
+  const providerFilter = options.provider ? paymentProvider.getProvider(options.provider).name : null;
+  const checkLimit = options.checkProvider ? getProviderCheckLimit() : 0;
 
-  const attempts = await PaymentAttempt.find({
-    initiatedAt: { $gte: from, $lt: to },
-  })
-    .sort({ initiatedAt: 1 })
-    .lean();
+  const query = { initiatedAt: { $gte: from, $lt: to } };
+  if (providerFilter === PAYMENT_PROVIDER.PHONEPE) {
+    // Attempts recorded before the provider field was enforced are PhonePe.
+    query.provider = { $in: [PAYMENT_PROVIDER.PHONEPE, null] };
+  } else if (providerFilter) {
+    query.provider = providerFilter;
+  }
+  const attempts = await PaymentAttempt.find(query).sort({ initiatedAt: 1 }).lean();
 
   const summary = {
     from: from.toISOString(),
     to: to.toISOString(),
+    provider: providerFilter,
     totalAttempts: attempts.length,
+    byProvider: {},
+    providerChecks: { checked: 0, skipped: 0, errors: 0, limit: checkLimit },
     flags: {
       [RECON_FLAG.MISSING]: 0,
       [RECON_FLAG.DUPLICATED]: 0,
       [RECON_FLAG.MISMATCHED]: 0,
       [RECON_FLAG.EXPIRED]: 0,
       [RECON_FLAG.REFUNDED]: 0,
+      [RECON_FLAG.PARTIALLY_REFUNDED]: 0,
       [RECON_FLAG.MANUALLY_ADJUSTED]: 0,
     },
+    /** Completed payments charged at a coupon-discounted amount (discount frozen on the attempt). */
+    coupons: { count: 0, discountPaise: 0, byCode: {} },
     items: [],
   };
 
@@ -60,6 +122,28 @@ async function runDailyReconciliation(options = {}) {
 
   for (const a of attempts) {
     const found = [];
+    const provider = providerOf(a);
+    if (!summary.byProvider[provider]) {
+      summary.byProvider[provider] = { attempts: 0, completed: 0, pending: 0, flagged: 0, collectedPaise: 0 };
+    }
+    const bucket = summary.byProvider[provider];
+    const refundedPaise = refundedPaiseOf(a);
+    bucket.attempts += 1;
+    if (a.providerState === PROVIDER_STATE.COMPLETED) {
+      bucket.completed += 1;
+      bucket.collectedPaise += (Number(a.paidAmountPaise) || 0) - refundedPaise;
+      if (a.coupon?.code) {
+        const discount = Number(a.coupon.discountPaise) || 0;
+        summary.coupons.count += 1;
+        summary.coupons.discountPaise += discount;
+        const byCode = summary.coupons.byCode[a.coupon.code] || { count: 0, discountPaise: 0 };
+        byCode.count += 1;
+        byCode.discountPaise += discount;
+        summary.coupons.byCode[a.coupon.code] = byCode;
+      }
+    } else if (a.providerState === PROVIDER_STATE.PENDING) {
+      bucket.pending += 1;
+    }
 
     if (a.providerState === PROVIDER_STATE.AMOUNT_MISMATCH) {
       found.push({ flag: RECON_FLAG.MISMATCHED, note: a.failureReason || "amount_mismatch" });
@@ -72,6 +156,8 @@ async function runDailyReconciliation(options = {}) {
     }
     if (a.providerState === PROVIDER_STATE.REFUNDED) {
       found.push({ flag: RECON_FLAG.REFUNDED, note: "refunded" });
+    } else if (refundedPaise > 0) {
+      found.push({ flag: RECON_FLAG.PARTIALLY_REFUNDED, note: `refunded_${refundedPaise}_paise` });
     }
     if (a.manuallyAdjusted) {
       found.push({ flag: RECON_FLAG.MANUALLY_ADJUSTED, note: "manually_adjusted" });
@@ -88,24 +174,54 @@ async function runDailyReconciliation(options = {}) {
       found.push({ flag: RECON_FLAG.MISSING, note: "failed_without_success" });
     }
 
+    if (PROVIDER_CHECK_STATES.has(a.providerState) && summary.providerChecks.checked < checkLimit) {
+      try {
+        const check = await checkWithProvider(a);
+        if (check.skipped) {
+          summary.providerChecks.skipped += 1;
+        } else {
+          summary.providerChecks.checked += 1;
+          // The gateway's answer is more specific than the local-state guess for the same flag.
+          for (const f of check.found) {
+            const i = found.findIndex((x) => x.flag === f.flag);
+            if (i === -1) found.push(f);
+            else found[i] = f;
+          }
+        }
+      } catch (err) {
+        summary.providerChecks.errors += 1;
+        logger.error("Reconciliation provider status check failed", err, {
+          provider,
+          merchantOrderId: a.merchantOrderId,
+        });
+      }
+    }
+
     if (a.providerState === PROVIDER_STATE.COMPLETED) {
-      const key = `${a.purpose}:${String(a.surveyorSketchUpload)}:${a.revisionNo ?? ""}`;
+      // Each wallet top-up is its own order; fee payments duplicate per upload / purpose / revision.
+      const key =
+        a.purpose === PAYMENT_PURPOSE.WALLET_TOPUP
+          ? `${a.purpose}:${a.merchantOrderId}`
+          : `${a.purpose}:${String(a.surveyorSketchUpload)}:${a.revisionNo ?? ""}`;
       if (!completedByKey.has(key)) completedByKey.set(key, []);
       completedByKey.get(key).push(a);
     }
 
     if (found.length) {
+      bucket.flagged += 1;
       for (const f of found) {
         summary.flags[f.flag] = (summary.flags[f.flag] || 0) + 1;
       }
       summary.items.push({
         attemptId: String(a._id),
         merchantOrderId: a.merchantOrderId,
+        provider,
         purpose: a.purpose,
-        uploadId: String(a.surveyorSketchUpload),
+        uploadId: a.surveyorSketchUpload ? String(a.surveyorSketchUpload) : null,
         providerState: a.providerState,
         expectedAmountPaise: a.expectedAmountPaise,
         paidAmountPaise: a.paidAmountPaise,
+        couponCode: a.coupon?.code || null,
         flags: found,
       });
 
@@ -137,20 +253,24 @@ async function runDailyReconciliation(options = {}) {
     }
   }
 
-  // Duplicated successful payments for same order purpose
+  // Duplicated successful payments for same order purpose (also across gateways)
   for (const [key, rows] of completedByKey.entries()) {
     if (rows.length < 2) continue;
     summary.flags[RECON_FLAG.DUPLICATED] += rows.length;
+    const providers = [...new Set(rows.map(providerOf))].join(",");
+    const note = `key=${key};count=${rows.length};providers=${providers}`;
     for (const a of rows) {
       summary.items.push({
         attemptId: String(a._id),
         merchantOrderId: a.merchantOrderId,
+        provider: providerOf(a),
         purpose: a.purpose,
-        uploadId: String(a.surveyorSketchUpload),
+        uploadId: a.surveyorSketchUpload ? String(a.surveyorSketchUpload) : null,
         providerState: a.providerState,
         expectedAmountPaise: a.expectedAmountPaise,
         paidAmountPaise: a.paidAmountPaise,
-        flags: [{ flag: RECON_FLAG.DUPLICATED, note: `key=${key};count=${rows.length}` }],
+        couponCode: a.coupon?.code || null,
+        flags: [{ flag: RECON_FLAG.DUPLICATED, note }],
       });
       if (persist) {
         const hasDup = (a.reconciliationFlags || []).some((r) => r.flag === RECON_FLAG.DUPLICATED);
@@ -162,7 +282,7 @@ async function runDailyReconciliation(options = {}) {
                 reconciliationFlags: {
                   flag: RECON_FLAG.DUPLICATED,
                   at: new Date(),
-                  note: `key=${key};count=${rows.length}`,
+                  note,
                 },
               },
             }
@@ -178,4 +298,5 @@ async function runDailyReconciliation(options = {}) {
 module.exports = {
   runDailyReconciliation,
   getPendingExpireMs,
+  getProviderCheckLimit,
 };
@@ -1,8 +1,9 @@
 /**
- * PhonePe Standard Checkout for survey sketch submission and paid revisions (pg-sdk-node).
+ * PhonePe Standard Checkout for survey sketch submission and paid revisions (pg-sdk-node) — the
+ * PHONEPE adapter (payment/phonePe.provider.js) wraps this; checkout goes through payment/paymentProvider.service.
  * Env: PHONEPE_CLIENT_ID, PHONEPE_CLIENT_SECRET, PHONEPE_CLIENT_VERSION (default 1), PHONEPE_ENV (SANDBOX|PRODUCTION),
  * PUBLIC_API_BASE_URL (API Gateway base, no trailing slash),
- * sketch fee paise via `src/config/sketchOrderPricing.js` (SKETCH_UPLOAD_FEE_PAISE / BALANCE / SUPERIMPOSE overrides),
+ * sketch fee paise via `src/config/sketchOrderPricing.js` (SKETCH_UPLOAD_FEE_PAISE / BALANCE / SUPERIMPOSE / EXPRESS overrides),
  * PHONEPE_SUCCESS_REDIRECT_URL, PHONEPE_FAILURE_REDIRECT_URL.
  * Legacy: CLIENT_ID / CLIENT_SECRET accepted as aliases for PhonePe credentials.
  */
@@ -71,6 +72,12 @@ function getSketchSuperimposeFeePaise() {
   return getApprovedSketchOrderPricing().superimposePaise;
 }
 
+/** Express 11E surcharge (paise) — from approved sketch contract. */
+function getSketchExpressFeePaise() {
+  const { getApprovedSketchOrderPricing } = require("../config/sketchOrderPricing");
+  return getApprovedSketchOrderPricing().expressPaise;
+}
+
 function isLocalhostHost(hostname) {
   const h = String(hostname || "").toLowerCase();
   return h === "localhost" || h === "127.0.0.1" || h === "::1" || h.endsWith(".localhost");
@@ -305,11 +312,6 @@ async function initiatePay(merchantOrderId, amountPaise) {
   return { redirectUrl: out };
 }
 
-function normalizeOrderState(response) {
-  const s = response?.state ?? response?.status ?? response?.orderStatus;
-  return s != null ? String(s) : "";
-}
-
 /**
  * Best-effort: read amount in paise from PhonePe order-status payload (shape varies by SDK/version).
  * @param {unknown} phonepeResponse
@@ -363,178 +365,15 @@ function assertPaidMatchesExpected(expectedPaise, phonepeResponse) {
 }
 
 /**
- * Browser redirect handler after PhonePe (GET callback).
- * Cancel / fail / success all return to the surveyor dashboard (session preserved).
+ * Browser redirect handler after PhonePe (GET callback) — provider-neutral flow in
+ * payment/paymentCallback.service.
  * @param {string} merchantOrderId
  * @returns {Promise<{ redirectUrl: string }>}
  */
 async function handlePhonePeCallback(merchantOrderId) {
-  const pickReturn = (outcome, returnOrigin = null) =>
-    buildBrowserPaymentReturnUrl(outcome, { returnOrigin });
-
-  if (!merchantOrderId || typeof merchantOrderId !== "string") {
-    return { redirectUrl: pickReturn("cancelled") };
-  }
-
-  const client = getClient();
-  let orderState = "";
-  let phonepeResponse = {};
-  if (client) {
-    try {
-      // Server-to-server confirmation only (audit §4.1 point 28) — browser redirect never marks paid alone.
-      const response = await client.getOrderStatus(merchantOrderId);
-      orderState = normalizeOrderState(response);
-      phonepeResponse = response && typeof response === "object" ? response : {};
-    } catch (e) {
-      logger.error("PhonePe getOrderStatus failed", e, { merchantOrderId });
-    }
-  }
-
-  const completed = String(orderState).toUpperCase() === "COMPLETED";
-  const surveyorSketchUploadService = require("./surveyorSketchUpload.service");
-  const surveySketchAssignmentService = require("./assignment/surveySketchAssignment.service");
-  const cadDownloadEntitlement = require("./cadDownloadEntitlement.service");
-  const paymentAttempt = require("./paymentAttempt.service");
-
-  // Immutable attempt ledger transition (points 26–27). No-op path if legacy order has no attempt row yet.
-  const attemptResult = await paymentAttempt.applyProviderCallback({
-    merchantOrderId,
-    phonepeResponse,
-    completed,
-    assertPaidMatchesExpected,
-  });
-
-  const returnOrigin =
-    attemptResult.attempt?.providerReference?.returnOrigin ||
-    attemptResult.attempt?.returnOrigin ||
-    null;
-
-  if (attemptResult.reason === "UNKNOWN_PAYMENT_ATTEMPT") {
-    // Fall through to legacy routing for pre-ledger payments.
-  } else if (attemptResult.attempt) {
-    const lockedUploadId = String(attemptResult.uploadId);
-    const purpose = attemptResult.attempt.purpose;
-
-    // Callback cannot override order identity: parsed id must match locked attempt identity.
-    let parsedUploadId = null;
-    if (merchantOrderId.startsWith("bal")) {
-      parsedUploadId = parseBalanceUploadIdFromMerchantOrder(merchantOrderId);
-    } else if (merchantOrderId.startsWith("sketch_") || merchantOrderId.startsWith("sk")) {
-      parsedUploadId = parseSketchUploadIdFromMerchantOrder(merchantOrderId);
-    } else if (merchantOrderId.startsWith("rev_")) {
-      const m = String(merchantOrderId).match(/^rev_([a-f0-9]{24})_(\d+)$/i);
-      parsedUploadId = m ? m[1] : null;
-    }
-    if (parsedUploadId && parsedUploadId !== lockedUploadId) {
-      logger.error("PhonePe callback order identity mismatch", {
-        merchantOrderId,
-        parsedUploadId,
-        lockedUploadId,
-      });
-      return { redirectUrl: pickReturn("cancelled", returnOrigin) };
-    }
-
-    if (!attemptResult.ok) {
-      if (purpose === paymentAttempt.PAYMENT_PURPOSE.BALANCE) {
-        await cadDownloadEntitlement.markBalancePaymentFailed(lockedUploadId, phonepeResponse);
-      } else if (purpose === paymentAttempt.PAYMENT_PURPOSE.BOOKING) {
-        await surveyorSketchUploadService.markSketchPaymentFailed(lockedUploadId, phonepeResponse);
-      } else if (purpose === paymentAttempt.PAYMENT_PURPOSE.REVISION) {
-        await surveySketchAssignmentService.markRevisionPaymentFailed(merchantOrderId, phonepeResponse);
-      }
-      return { redirectUrl: pickReturn("cancelled", returnOrigin) };
-    }
-
-    if (purpose === paymentAttempt.PAYMENT_PURPOSE.BALANCE) {
-      const result = await cadDownloadEntitlement.completeBalancePaymentAfterPhonePe(
-        lockedUploadId,
-        phonepeResponse,
-        { merchantOrderId, expectedAmountPaise: attemptResult.expectedPaise }
-      );
-      return {
-        redirectUrl: pickReturn(result?.paymentRejected ? "cancelled" : "success", returnOrigin),
-      };
-    }
-    if (purpose === paymentAttempt.PAYMENT_PURPOSE.BOOKING) {
-      const result = await surveyorSketchUploadService.completeSketchUploadAfterPayment(
-        lockedUploadId,
-        phonepeResponse,
-        { merchantOrderId, expectedAmountPaise: attemptResult.expectedPaise }
-      );
-      return {
-        redirectUrl: pickReturn(result?.paymentRejected ? "cancelled" : "success", returnOrigin),
-      };
-    }
-    if (purpose === paymentAttempt.PAYMENT_PURPOSE.REVISION) {
-      const result = await surveySketchAssignmentService.completeRevisionAfterPayment(
-        merchantOrderId,
-        phonepeResponse
-      );
-      return {
-        redirectUrl: pickReturn(result?.paymentRejected ? "cancelled" : "success", returnOrigin),
-      };
-    }
-  }
-
-  // Legacy routing (orders initiated before payment_attempts existed)
-  if (merchantOrderId.startsWith("bal")) {
-    const uploadId = parseBalanceUploadIdFromMerchantOrder(merchantOrderId);
-    if (!uploadId) {
-      logger.error("PhonePe callback: could not parse balance upload id", { merchantOrderId });
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    if (!completed) {
-      await cadDownloadEntitlement.markBalancePaymentFailed(uploadId, phonepeResponse);
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    const result = await cadDownloadEntitlement.completeBalancePaymentAfterPhonePe(
-      uploadId,
-      phonepeResponse,
-      { merchantOrderId }
-    );
-    if (result?.paymentRejected) {
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    return { redirectUrl: pickReturn("success") };
-  }
-
-  if (merchantOrderId.startsWith("sketch_") || merchantOrderId.startsWith("sk")) {
-    const uploadId = parseSketchUploadIdFromMerchantOrder(merchantOrderId);
-    if (!uploadId) {
-      logger.error("PhonePe callback: could not parse sketch upload id", { merchantOrderId });
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    if (!completed) {
-      await surveyorSketchUploadService.markSketchPaymentFailed(uploadId, phonepeResponse);
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    const result = await surveyorSketchUploadService.completeSketchUploadAfterPayment(
-      uploadId,
-      phonepeResponse,
-      { merchantOrderId }
-    );
-    if (result?.paymentRejected) {
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    return { redirectUrl: pickReturn("success") };
-  }
-
-  if (merchantOrderId.startsWith("rev_")) {
-    if (!completed) {
-      await surveySketchAssignmentService.markRevisionPaymentFailed(merchantOrderId, phonepeResponse);
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    const result = await surveySketchAssignmentService.completeRevisionAfterPayment(
-      merchantOrderId,
-      phonepeResponse
-    );
-    if (result?.paymentRejected) {
-      return { redirectUrl: pickReturn("cancelled") };
-    }
-    return { redirectUrl: pickReturn("success") };
-  }
-
-  return { redirectUrl: pickReturn("cancelled") };
+  const { handleProviderCallback } = require("./payment/paymentCallback.service");
+  const { PAYMENT_PROVIDER } = require("../models/payment/PaymentAttempt");
+  return handleProviderCallback(PAYMENT_PROVIDER.PHONEPE, { merchantOrderId });
 }
 
 module.exports = {
@@ -545,6 +384,7 @@ module.exports = {
   getSketchRevisionFeePaise,
   getSketchBalanceFeePaise,
   getSketchSuperimposeFeePaise,
+  getSketchExpressFeePaise,
   getSuccessRedirectUrl,
   getFailureRedirectUrl,
   resolvePhonePeRedirectUrl,
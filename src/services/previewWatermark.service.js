@@ -0,0 +1,177 @@
+/**
+ * Server-side preview watermarking (H-07, WATERMARK_MODE=SERVER_ENFORCED).
+ * Each surveyor preview download gets a derived PDF stamped with the application ID, surveyor name,
+ * "UNPAID PREVIEW" until the balance is paid, and a per-download trace code; the stored original
+ * is never signed for the surveyor. PDF previews are stamped page by page; PNG / JPEG previews are
+ * placed on a PDF page and stamped. Anything else fails closed (the preview is withheld).
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { PDFDocument, StandardFonts, rgb, degrees } = require("pdf-lib");
+const s3 = require("../utils/s3");
+const { winAnsiText } = require("../utils/pdf");
+const { previewMaxBytes } = require("./cadDeliverableContract.service");
+const { BadRequestError } = require("../utils/errors");
+
+const WATERMARK_PIPELINE_VERSION = "PREVIEW_WM_V1";
+const UNPAID_LABEL = "UNPAID PREVIEW";
+/** Longest side (pt) for a raster preview placed on a PDF page. */
+const MAX_RASTER_PAGE_PT = 1684;
+
+const MAGIC = Object.freeze({
+  PDF: Buffer.from("%PDF", "ascii"),
+  PNG: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  JPEG: Buffer.from([0xff, 0xd8, 0xff]),
+});
+
+/** "WM-" + 10 hex chars; looked up via GET /api/admin/watermark-traces/{traceCode}. */
+function generateTraceCode() {
+  return `WM-${crypto.randomBytes(5).toString("hex").toUpperCase()}`;
+}
+
+function sniffKind(bytes) {
+  const head = bytes.subarray(0, 8);
+  if (head.subarray(0, 4).equals(MAGIC.PDF)) return "PDF";
+  if (head.subarray(0, 4).equals(MAGIC.PNG)) return "PNG";
+  if (head.subarray(0, 3).equals(MAGIC.JPEG)) return "JPEG";
+  return null;
+}
+
+/** Footer line printed on every stamped page. */
+function stampFooter({ applicationId, surveyorName, unpaid, traceCode, issuedAt }) {
+  return winAnsiText(
+    [
+      unpaid ? UNPAID_LABEL : "PREVIEW",
+      `Application ${applicationId || "-"}`,
+      `Surveyor ${surveyorName || "-"}`,
+      `Trace ${traceCode}`,
+      issuedAt.toISOString(),
+    ].join("  |  ")
+  );
+}
+
+function stampPage(page, font, stamp) {
+  const box = page.getCropBox();
+  const short = Math.min(box.width, box.height);
+  const label = winAnsiText(`${stamp.applicationId || "-"} · ${stamp.surveyorName || "-"} · ${stamp.traceCode}`);
+
+  const tileSize = Math.max(8, short / 45);
+  const stepX = font.widthOfTextAtSize(label, tileSize) + tileSize * 4;
+  const stepY = tileSize * 7;
+  for (let y = box.y - box.height; y < box.y + box.height * 1.5; y += stepY) {
+    for (let x = box.x - box.width / 2; x < box.x + box.width * 1.2; x += stepX) {
+      page.drawText(label, { x, y, size: tileSize, font, color: rgb(0.45, 0.1, 0.1), opacity: 0.14, rotate: degrees(30) });
+    }
+  }
+
+  if (stamp.unpaid) {
+    const size = short / 9;
+    const width = font.widthOfTextAtSize(UNPAID_LABEL, size);
+    const rad = (30 * Math.PI) / 180;
+    page.drawText(UNPAID_LABEL, {
+      x: box.x + box.width / 2 - (width / 2) * Math.cos(rad),
+      y: box.y + box.height / 2 - (width / 2) * Math.sin(rad),
+      size,
+      font,
+      color: rgb(0.8, 0, 0),
+      opacity: 0.3,
+      rotate: degrees(30),
+    });
+  }
+
+  const footerSize = Math.max(6, short / 110);
+  page.drawRectangle({
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: footerSize * 2.2,
+    color: rgb(1, 1, 1),
+    opacity: 0.85,
+  });
+  page.drawText(stampFooter(stamp), {
+    x: box.x + footerSize,
+    y: box.y + footerSize * 0.7,
+    size: footerSize,
+    font,
+    color: rgb(0, 0, 0),
+  });
+}
+
+/**
+ * Stamp preview bytes. Pure (no I/O).
+ * @param {Buffer} bytes - PDF, PNG or JPEG
+ * @param {{ applicationId?: string|null, surveyorName?: string|null, unpaid: boolean, traceCode: string, issuedAt?: Date }} stamp
+ * @returns {Promise<Buffer>} stamped PDF
+ * @throws {BadRequestError} unknown format or encrypted PDF
+ */
+async function stampPreviewBytes(bytes, stamp) {
+  const kind = sniffKind(bytes);
+  const s = { ...stamp, issuedAt: stamp.issuedAt instanceof Date ? stamp.issuedAt : new Date() };
+  let doc;
+  if (kind === "PDF") {
+    try {
+      doc = await PDFDocument.load(bytes, { updateMetadata: false });
+    } catch (err) {
+      if (err?.name === "EncryptedPDFError") {
+        throw new BadRequestError("Encrypted PDF preview cannot be watermarked", { code: "PREVIEW_PDF_ENCRYPTED" });
+      }
+      throw err;
+    }
+  } else if (kind === "PNG" || kind === "JPEG") {
+    doc = await PDFDocument.create();
+    const image = kind === "PNG" ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+    const fit = Math.min(1, MAX_RASTER_PAGE_PT / Math.max(image.width, image.height));
+    const width = image.width * fit;
+    const height = image.height * fit;
+    doc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+  } else {
+    throw new BadRequestError("Only PDF, PNG and JPEG previews can be watermarked", {
+      code: "PREVIEW_WATERMARK_UNSUPPORTED",
+    });
+  }
+
+  const font = await doc.embedFont(StandardFonts.HelveticaBold);
+  for (const page of doc.getPages()) stampPage(page, font, s);
+  doc.setSubject(winAnsiText(`Trace ${s.traceCode}`));
+  doc.setKeywords([s.traceCode, winAnsiText(s.applicationId || "")].filter(Boolean));
+  doc.setProducer(`cad-backend-api ${WATERMARK_PIPELINE_VERSION}`);
+  doc.setModificationDate(s.issuedAt);
+  return Buffer.from(await doc.save());
+}
+
+/** "site plan.png" -> "site plan-WM-1A2B3C4D5E.pdf" */
+function derivedFileName(fileName, traceCode) {
+  const name = String(fileName || "preview");
+  const base = path.basename(name, path.extname(name)) || "preview";
+  return `${base}-${traceCode}.pdf`;
+}
+
+/**
+ * Fetch the stored preview, stamp it and store the derived copy. Throws on any failure —
+ * the caller withholds the file (never falls back to the original).
+ * @returns {Promise<{ key: string, fileName: string, mimeType: string, size: number, sha256: string }>}
+ */
+async function createWatermarkedPreview({ sourceKey, fileName, uploadId, stamp }) {
+  const bytes = await s3.getObjectBytes(sourceKey, { maxBytes: previewMaxBytes() });
+  const pdf = await stampPreviewBytes(bytes, stamp);
+  const outName = derivedFileName(fileName, stamp.traceCode);
+  const key = s3.buildDerivedKey("watermarked", uploadId, outName);
+  await s3.putObject(key, pdf, "application/pdf");
+  return {
+    key,
+    fileName: outName,
+    mimeType: "application/pdf",
+    size: pdf.length,
+    sha256: crypto.createHash("sha256").update(pdf).digest("hex"),
+  };
+}
+
+module.exports = {
+  WATERMARK_PIPELINE_VERSION,
+  UNPAID_LABEL,
+  generateTraceCode,
+  stampPreviewBytes,
+  derivedFileName,
+  createWatermarkedPreview,
+};
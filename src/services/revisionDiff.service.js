@@ -0,0 +1,347 @@
+/**
+ * What changed between two CAD deliveries of one order (cadDeliverableHistory entries) — for
+ * "nothing changed in my revision" disputes raised through revisionRequests.
+ * Files are paired by role + file name (then role + extension). Every pair gets a full-content
+ * SHA-256 and size comparison; changed DXF sources are also diffed entity by entity per layer,
+ * with an overlay PDF (removed red / added green / modified blue) under uploads/derived/revision-diffs/.
+ * Entries are addressed by their position in cadDeliverableHistory (`historyIndex`): revisionNo alone
+ * is not unique (base deliveries and revisions share numbers; QC-failed rows stay in history).
+ * Surveyors see released deliveries of their own order; entity lists and the overlay show drawing
+ * content, so they follow the download entitlement (hashes, sizes and per-layer counts before that).
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+const User = require("../models/user/User");
+const cadDownloadEntitlement = require("./cadDownloadEntitlement.service");
+const { isReleasedDelivery } = require("./assignment/deliveryQc.service");
+const { analysisMaxBytes, isAnalyzableSource } = require("./dxfAnalysis.service");
+const { logFileAccess } = require("./fileAccessLog.service");
+const { roleFromFile } = require("../config/cadDeliverableContract");
+const { USER_ROLES } = require("../config/constants");
+const { isBinaryDxf, parseDxf } = require("../utils/dxfParser");
+const { classifyDxfEntities, buildDxfDiffReport } = require("../utils/dxfDiff");
+const { renderDxfDiffOverlayPdf } = require("../utils/dxfPreview");
+const { displayName } = require("../utils/userDisplay");
+const s3 = require("../utils/s3");
+const { ForbiddenError, NotFoundError, BadRequestError } = require("../utils/errors");
+const logger = require("../utils/logger");
+
+const FILE_DIFF_STATUS = Object.freeze({
+  UNCHANGED: "UNCHANGED",
+  MODIFIED: "MODIFIED",
+  ADDED: "ADDED",
+  REMOVED: "REMOVED",
+  UNREADABLE: "UNREADABLE",
+});
+
+function rowFiles(row) {
+  const list = row?.deliverables?.length ? row.deliverables : row?.deliverable ? [row.deliverable] : [];
+  return list
+    .filter((f) => f && (f.url || f.s3Key))
+    .map((f) => ({
+      key: s3.keyFromFileUrl(f.url) || f.s3Key || null,
+      fileName: f.fileName || null,
+      role: roleFromFile(f),
+      mimeType: f.mimeType || null,
+      generated: Boolean(f.generated),
+    }));
+}
+
+const extOf = (f) => path.extname(String(f.fileName || f.key || "")).toLowerCase();
+const nameOf = (f) => String(f.fileName || "").toLowerCase();
+
+/** Pair files of two deliveries: same role + name, then same role + extension. */
+function pairFiles(fromFiles, toFiles) {
+  const pairs = [];
+  const left = [...fromFiles];
+  const right = [...toFiles];
+  for (const keyOf of [(f) => `${f.role}|${nameOf(f)}`, (f) => `${f.role}|${extOf(f)}`]) {
+    for (let i = 0; i < left.length; ) {
+      const j = right.findIndex((r) => keyOf(r) === keyOf(left[i]));
+      if (j === -1) {
+        i += 1;
+        continue;
+      }
+      pairs.push({ from: left[i], to: right[j] });
+      left.splice(i, 1);
+      right.splice(j, 1);
+    }
+  }
+  return { pairs, removed: left, added: right };
+}
+
+function parseHistoryIndex(value, field) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new BadRequestError(`${field} must be a cadDeliverableHistory index (0, 1, …)`, {
+      code: "INVALID_HISTORY_INDEX",
+      errors: [{ field, message: "Non-negative integer expected" }],
+    });
+  }
+  return n;
+}
+
+/** `from` / `to` rows; defaults compare the latest visible delivery with the one before it. */
+function pickRows(upload, actor, options) {
+  const history = Array.isArray(upload.cadDeliverableHistory) ? upload.cadDeliverableHistory : [];
+  const visible = history
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => actor.role !== USER_ROLES.SURVEYOR || isReleasedDelivery(row));
+  const find = (index, field) => {
+    const hit = visible.find((v) => v.index === index);
+    if (!hit) {
+      throw new NotFoundError(`No delivery at ${field}=${index}`, { code: "REVISION_NOT_FOUND" });
+    }
+    return hit;
+  };
+
+  const toIndex = parseHistoryIndex(options.to, "to");
+  const fromIndex = parseHistoryIndex(options.from, "from");
+  const to = toIndex != null ? find(toIndex, "to") : visible[visible.length - 1];
+  if (!to) {
+    throw new BadRequestError("No CAD delivery to compare yet", { code: "CAD_NOT_DELIVERED" });
+  }
+  let from;
+  if (fromIndex != null) {
+    from = find(fromIndex, "from");
+  } else {
+    from = [...visible].reverse().find((v) => v.index < to.index);
+    if (!from) {
+      throw new BadRequestError("Only one delivery so far; nothing to compare", {
+        code: "NO_PREVIOUS_REVISION",
+      });
+    }
+  }
+  if (from.index === to.index) {
+    throw new BadRequestError("from and to must be different deliveries", { code: "SAME_REVISION" });
+  }
+  return { from, to };
+}
+
+function rowSummary({ row, index }) {
+  return {
+    historyIndex: index,
+    revisionNo: row.revisionNo,
+    isRevision: Boolean(row.isRevision),
+    submittedAt: row.submittedAt || null,
+    qcStatus: row.qc?.status || null,
+  };
+}
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+/** Full-content digest; DXF sources within the analysis cap are kept in memory for the entity diff. */
+async function readFile(file) {
+  if (!file.key) return { error: "KEY_UNRESOLVED" };
+  try {
+    if (isAnalyzableSource(file.key, file.fileName)) {
+      try {
+        const bytes = await s3.getObjectBytes(file.key, { maxBytes: analysisMaxBytes() });
+        return { sha256: sha256(bytes), size: bytes.length, bytes };
+      } catch (err) {
+        logger.warn("Revision diff: DXF not loaded for entity diff", { key: file.key, reason: err.message });
+      }
+    }
+    const { body } = await s3.getObjectStream(file.key);
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    for await (const chunk of body) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+    return { sha256: hash.digest("hex"), size, bytes: null };
+  } catch (err) {
+    logger.error("Revision diff: object unreadable", err, { key: file.key });
+    return { error: "OBJECT_UNREADABLE" };
+  }
+}
+
+function fileSide(file, read) {
+  return {
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    generated: file.generated,
+    size: read?.size ?? null,
+    sha256: read?.sha256 ?? null,
+  };
+}
+
+function parseDxfBytes(bytes) {
+  if (isBinaryDxf(bytes)) return { error: "BINARY_DXF" };
+  try {
+    return { parsed: parseDxf(bytes.toString("latin1")) };
+  } catch (err) {
+    return { error: "DXF_PARSE_FAILED", message: err.message };
+  }
+}
+
+/** Entity diff for a changed DXF pair; null when either side is not an in-memory DXF. */
+function diffDxfPair(fromRead, toRead) {
+  if (!fromRead.bytes || !toRead.bytes) return null;
+  const a = parseDxfBytes(fromRead.bytes);
+  const b = parseDxfBytes(toRead.bytes);
+  if (a.error || b.error) {
+    return { status: "SKIPPED", reason: a.error || b.error, classified: null, report: null };
+  }
+  const classified = classifyDxfEntities(a.parsed, b.parsed);
+  return { status: "DIFFED", classified, report: buildDxfDiffReport(classified, a.parsed, b.parsed) };
+}
+
+async function storeOverlay({ upload, pair, classified, stamp }) {
+  const { pdf, stats } = renderDxfDiffOverlayPdf(classified, stamp);
+  const base = path.basename(pair.to.fileName || "drawing", path.extname(pair.to.fileName || ""));
+  const key = s3.buildDerivedKey("revision-diffs", upload._id, `${base}-diff.pdf`);
+  await s3.putObject(key, pdf, "application/pdf");
+  const ttl = cadDownloadEntitlement.getDownloadUrlTtlSeconds();
+  return {
+    key,
+    overlay: {
+      fileName: `${base}-diff.pdf`,
+      mimeType: "application/pdf",
+      size: pdf.length,
+      truncated: stats.truncated,
+      downloadUrl: await s3.getPresignedGetUrl(key, ttl),
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+      expiresInSeconds: ttl,
+    },
+  };
+}
+
+/** Surveyor before entitlement: counts only — no entity coordinates / text. */
+function countsOnly(report) {
+  const { changes: _detail, ...rest } = report;
+  return rest;
+}
+
+/**
+ * Compare two deliveries of an order.
+ * @param {object} actor - surveyor (own order, released rows) or admin / super admin
+ * @param {string} uploadId
+ * @param {{ from?: string|number, to?: string|number }} options - cadDeliverableHistory indexes
+ */
+async function diffRevisions(actor, uploadId, options = {}) {
+  const isSurveyor = actor.role === USER_ROLES.SURVEYOR;
+  const upload = await SurveyorSketchUpload.findById(uploadId);
+  if (!upload) {
+    throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
+  }
+  if (isSurveyor && String(upload.surveyor) !== String(actor._id)) {
+    await logFileAccess({
+      action: "ACCESS_DENIED_CROSS_USER",
+      actorUserId: actor._id,
+      actorRole: actor.role,
+      uploadId: upload._id,
+      success: false,
+      code: "NOT_YOUR_SKETCH",
+      meta: { revisionDiff: true },
+    });
+    throw new ForbiddenError("You can compare only your own uploads", { code: "NOT_YOUR_SKETCH" });
+  }
+
+  const { from, to } = pickRows(upload, actor, options);
+  const detailAllowed = !isSurveyor || cadDownloadEntitlement.isDownloadEntitled(upload);
+  const { pairs, removed, added } = pairFiles(rowFiles(from.row), rowFiles(to.row));
+
+  const surveyor = isSurveyor
+    ? actor
+    : upload.surveyor
+      ? await User.findById(upload.surveyor).select("name").lean()
+      : null;
+  const stamp = {
+    applicationId: upload.applicationId || null,
+    surveyorName: displayName(surveyor),
+    fromLabel: `#${from.index} (rev ${from.row.revisionNo})`,
+    toLabel: `#${to.index} (rev ${to.row.revisionNo})`,
+    generatedAt: new Date(),
+  };
+
+  const files = [];
+  const overlayKeys = [];
+  for (const pair of pairs) {
+    const fromRead = await readFile(pair.from);
+    const toRead = await readFile(pair.to);
+    const entry = {
+      role: pair.to.role,
+      from: fileSide(pair.from, fromRead),
+      to: fileSide(pair.to, toRead),
+    };
+    if (fromRead.error || toRead.error) {
+      files.push({ ...entry, status: FILE_DIFF_STATUS.UNREADABLE, reason: fromRead.error || toRead.error });
+      continue;
+    }
+    if (fromRead.sha256 === toRead.sha256) {
+      files.push({ ...entry, status: FILE_DIFF_STATUS.UNCHANGED });
+      continue;
+    }
+    entry.status = FILE_DIFF_STATUS.MODIFIED;
+    entry.sizeDelta = toRead.size - fromRead.size;
+    const dxf = diffDxfPair(fromRead, toRead);
+    if (dxf?.report) {
+      entry.dxf = detailAllowed ? dxf.report : countsOnly(dxf.report);
+      if (detailAllowed) {
+        try {
+          const stored = await storeOverlay({ upload, pair, classified: dxf.classified, stamp });
+          overlayKeys.push(stored.key);
+          entry.dxf.overlay = stored.overlay;
+        } catch (err) {
+          logger.error("Revision diff overlay failed", err, {
+            uploadId: String(upload._id),
+            key: pair.to.key,
+          });
+          entry.dxf.overlay = null;
+        }
+      }
+    } else if (dxf) {
+      entry.dxf = { status: dxf.status, reason: dxf.reason };
+    }
+    files.push(entry);
+  }
+  for (const f of removed) {
+    files.push({ role: f.role, status: FILE_DIFF_STATUS.REMOVED, from: fileSide(f, await readFile(f)), to: null });
+  }
+  for (const f of added) {
+    files.push({ role: f.role, status: FILE_DIFF_STATUS.ADDED, from: null, to: fileSide(f, await readFile(f)) });
+  }
+
+  if (overlayKeys.length) {
+    await logFileAccess({
+      action: "DOWNLOAD_ISSUED",
+      actorUserId: actor._id,
+      actorRole: actor.role,
+      objectKey: overlayKeys[0],
+      uploadId: upload._id,
+      success: true,
+      meta: { kind: "REVISION_DIFF_OVERLAY", from: from.index, to: to.index, overlays: overlayKeys },
+    });
+  }
+
+  const request = to.row.isRevision
+    ? (upload.revisionRequests || []).find((r) => r.revisionNo === to.row.revisionNo)
+    : null;
+  return {
+    uploadId: String(upload._id),
+    applicationId: upload.applicationId || null,
+    from: rowSummary(from),
+    to: rowSummary(to),
+    identical: files.every((f) => f.status === FILE_DIFF_STATUS.UNCHANGED),
+    files,
+    revisionRequest: request
+      ? {
+          revisionNo: request.revisionNo,
+          remarks: request.remarks || null,
+          status: request.status,
+          requestedAt: request.requestedAt || null,
+        }
+      : null,
+    ...(detailAllowed ? {} : { detailWithheld: cadDownloadEntitlement.entitlementDenialCode(upload) }),
+  };
+}
+
+module.exports = {
+  FILE_DIFF_STATUS,
+  pairFiles,
+  diffRevisions,
+};
@@ -4,6 +4,9 @@
  * Unpaid bookings (PAYMENT_PENDING, or amountPaise > 0 without COMPLETED) must not
  * be assigned, delivered, or otherwise progressed by Admin/CAD/jobs.
  * Fee-zero uploads (no amount / amountPaise ≤ 0) are allowed through.
+ * Wallet-funded bookings: sketchPayment.wallet records the prepaid share (wallet balance and/or a bundle
+ * credit); only amountPaise − wallet.debitedPaise goes to the gateway, and a booking the wallet covers
+ * in full is satisfied without any gateway payment.
  */
 
 const { BadRequestError } = require("../utils/errors");
@@ -14,11 +17,24 @@ function bookingAmountPaise(upload) {
   return Number.isFinite(n) ? n : 0;
 }
 
-/** True when booking fee is waived or PhonePe booking is COMPLETED. */
+/** Booking share paid from the surveyor's prepaid wallet (paise). */
+function bookingWalletPaise(upload) {
+  const n = Number(upload?.sketchPayment?.wallet?.debitedPaise);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/** Booking share the gateway must collect (paise). */
+function bookingGatewayDuePaise(upload) {
+  return Math.max(0, bookingAmountPaise(upload) - bookingWalletPaise(upload));
+}
+
+/** True when booking fee is waived, covered by the wallet, or the gateway booking is COMPLETED. */
 function isSketchBookingPaymentSatisfied(upload) {
   const amount = bookingAmountPaise(upload);
   if (amount <= 0) return true;
-  return String(upload?.sketchPayment?.status || "") === "COMPLETED";
+  const status = String(upload?.sketchPayment?.status || "");
+  if (status === "COMPLETED") return true;
+  return status !== "REFUNDED" && bookingGatewayDuePaise(upload) === 0;
 }
 
 /**
@@ -50,6 +66,9 @@ function assertSketchBookingPaymentAllowsWorkflow(upload, opts = {}) {
           action,
           paymentStatus: upload?.sketchPayment?.status || null,
           amountPaise: bookingAmountPaise(upload),
+          walletPaise: bookingWalletPaise(upload),
+          gatewayDuePaise: bookingGatewayDuePaise(upload),
+          bundleCredit: !!upload?.sketchPayment?.wallet?.bundleCredit,
         },
       ],
     });
@@ -60,6 +79,8 @@ function assertSketchBookingPaymentAllowsWorkflow(upload, opts = {}) {
 
 module.exports = {
   bookingAmountPaise,
+  bookingWalletPaise,
+  bookingGatewayDuePaise,
   isSketchBookingPaymentSatisfied,
   assertSketchBookingPaymentAllowsWorkflow,
 };
@@ -8,13 +8,21 @@
  * Client request amounts are **never** accepted.
  *
  * When `isSuperimpose` is true, upload charge = booking + superimpose add-on.
+ * When `orderType` is EXPRESS_11E, the express surcharge is added on top as well; while the contract has no
+ * express price, express orders are refused (SKETCH_EXPRESS_PRICE_NOT_CONFIGURED).
+ *
+ * Every resolution names the pricing version it used (`contractVersion`, `pricingVersionId`) so payment
+ * snapshots record which contract applied; one resolution never mixes two versions across a switch.
  */
 
 const pricingRepo = require("./sketchStandardPricing.repository");
+const pricingVersions = require("./config/sketchPricingVersion.service");
 const {
   getApprovedSketchOrderPricing,
+  getUpcomingSketchOrderPricing,
   contractPlanRupees,
 } = require("../config/sketchOrderPricing");
+const { ORDER_TYPES } = require("../config/lifecycleQcSpec");
 
 /** Exported for unit tests (plan − discount, discount capped at plan). */
 function payableRupeesFromPlan(planRupees, discountRupees) {
@@ -25,14 +33,23 @@ function payableRupeesFromPlan(planRupees, discountRupees) {
   return Math.max(0, p - cappedDisc);
 }
 
+/** Admin discounts plus the pricing contract in force right now (stored versions refreshed if stale). */
+async function loadPricingContext() {
+  const [pricing] = await Promise.all([
+    pricingRepo.getStandardPricingLean(),
+    pricingVersions.ensurePricingVersionsLoaded(),
+  ]);
+  return { pricing, contract: getApprovedSketchOrderPricing() };
+}
+
 /**
- * @param {"upload"|"balance"|"revision"|"superimpose"} line
+ * @param {"upload"|"balance"|"revision"|"superimpose"|"express"} line
  * @param {object|null} pricing admin lean doc
  * @param {string} discountKey
+ * @param {object} contract pinned approved contract
  */
-function resolveContractLine(line, pricing, discountKey) {
-  const contract = getApprovedSketchOrderPricing();
-  const planRupees = contractPlanRupees(line);
+function resolveContractLine(line, pricing, discountKey, contract) {
+  const planRupees = contractPlanRupees(line, contract);
   const rawDisc = pricing?.[discountKey];
   const discountRupees =
     rawDisc != null && Number.isFinite(Number(rawDisc)) ? Math.max(0, Number(rawDisc)) : 0;
@@ -46,35 +63,51 @@ function resolveContractLine(line, pricing, discountKey) {
     payableRupees: Number(payRupees),
     source: cappedDisc > 0 ? "contract+discount" : "contract",
     contractVersion: contract.version,
+    pricingVersionId: contract.pricingVersionId,
     baselineId: contract.baselineId,
   };
 }
 
 async function resolveSuperimposeFee() {
-  const pricing = await pricingRepo.getStandardPricingLean();
-  return resolveContractLine("superimpose", pricing, "sketchSuperimposeDiscountRupees");
+  const { pricing, contract } = await loadPricingContext();
+  return resolveContractLine("superimpose", pricing, "sketchSuperimposeDiscountRupees", contract);
+}
+
+async function resolveExpressFee() {
+  const { pricing, contract } = await loadPricingContext();
+  return resolveContractLine("express", pricing, "sketchExpressDiscountRupees", contract);
 }
 
+const NO_ADDON = Object.freeze({
+  feePaise: 0,
+  planAmountRupees: null,
+  discountRupees: null,
+  payableRupees: 0,
+  source: "none",
+});
+
 /**
- * @param {{ isSuperimpose?: boolean }} [options]
+ * @param {{ isSuperimpose?: boolean, orderType?: string }} [options]
  */
 async function resolveSketchUploadFee(options = {}) {
   const isSuperimpose = options.isSuperimpose === true;
-  const pricing = await pricingRepo.getStandardPricingLean();
-  const base = resolveContractLine("upload", pricing, "sketchUploadDiscountRupees");
+  const orderType =
+    options.orderType === ORDER_TYPES.EXPRESS_11E ? ORDER_TYPES.EXPRESS_11E : ORDER_TYPES.STANDARD_11E;
+  const isExpress = orderType === ORDER_TYPES.EXPRESS_11E;
+  const { pricing, contract } = await loadPricingContext();
+  const base = resolveContractLine("upload", pricing, "sketchUploadDiscountRupees", contract);
 
-  let superimpose = {
-    feePaise: 0,
-    planAmountRupees: null,
-    discountRupees: null,
-    payableRupees: 0,
-    source: "none",
-  };
-  if (isSuperimpose) {
-    superimpose = await resolveSuperimposeFee();
-  }
+  const superimpose = isSuperimpose
+    ? resolveContractLine("superimpose", pricing, "sketchSuperimposeDiscountRupees", contract)
+    : NO_ADDON;
+  const express = isExpress
+    ? resolveContractLine("express", pricing, "sketchExpressDiscountRupees", contract)
+    : NO_ADDON;
 
-  const feePaise = Math.round(Number(base.feePaise) || 0) + Math.round(Number(superimpose.feePaise) || 0);
+  const feePaise =
+    Math.round(Number(base.feePaise) || 0) +
+    Math.round(Number(superimpose.feePaise) || 0) +
+    Math.round(Number(express.feePaise) || 0);
   return {
     feePaise,
     planAmountRupees: base.planAmountRupees,
@@ -82,54 +115,74 @@ async function resolveSketchUploadFee(options = {}) {
     payableRupees: feePaise / 100,
     source: base.source,
     contractVersion: base.contractVersion,
+    pricingVersionId: base.pricingVersionId,
     baselineId: base.baselineId,
     baseFeePaise: Math.round(Number(base.feePaise) || 0),
     superimposeFeePaise: Math.round(Number(superimpose.feePaise) || 0),
     isSuperimpose,
     superimpose: isSuperimpose ? superimpose : null,
+    orderType,
+    expressFeePaise: Math.round(Number(express.feePaise) || 0),
+    express: isExpress ? express : null,
   };
 }
 
 async function resolveSketchRevisionFee() {
-  const pricing = await pricingRepo.getStandardPricingLean();
-  return resolveContractLine("revision", pricing, "sketchRevisionDiscountRupees");
+  const { pricing, contract } = await loadPricingContext();
+  return resolveContractLine("revision", pricing, "sketchRevisionDiscountRupees", contract);
 }
 
 /** Post-delivery balance fee that unlocks CAD download (audit C-02). */
 async function resolveSketchBalanceFee() {
-  const pricing = await pricingRepo.getStandardPricingLean();
-  return resolveContractLine("balance", pricing, "sketchBalanceDiscountRupees");
+  const { pricing, contract } = await loadPricingContext();
+  return resolveContractLine("balance", pricing, "sketchBalanceDiscountRupees", contract);
+}
+
+function presentContract(contract) {
+  return {
+    version: contract.version,
+    pricingVersionId: contract.pricingVersionId,
+    effectiveFrom: contract.effectiveFrom,
+    baselineId: contract.baselineId,
+    reviewDate: contract.reviewDate,
+    phaseRefs: contract.phaseRefs,
+    grossRupees: contract.grossRupees,
+    bookingRupees: contract.bookingRupees,
+    balanceRupees: contract.balanceRupees,
+    revisionRupees: contract.revisionRupees,
+    superimposeRupees: contract.superimposeRupees,
+    expressRupees: contract.expressRupees,
+    publicCopy: contract.publicCopy,
+  };
 }
 
 async function getPublicPricingBreakdown() {
+  await pricingVersions.ensurePricingVersionsLoaded();
   const contract = getApprovedSketchOrderPricing();
-  const [upload, revision, balance, superimpose] = await Promise.all([
+  const expressPriced = contract.expressPaise != null;
+  const [upload, revision, balance, superimpose, express] = await Promise.all([
     resolveSketchUploadFee({ isSuperimpose: false }),
     resolveSketchRevisionFee(),
     resolveSketchBalanceFee(),
     resolveSuperimposeFee(),
+    expressPriced ? resolveExpressFee() : null,
   ]);
   const { getApprovedBusinessRulesPublic } = require("../config/businessRulesBaseline");
   const uploadWithSuperimpose = await resolveSketchUploadFee({ isSuperimpose: true });
+  const uploadExpress = expressPriced ? await resolveSketchUploadFee({ orderType: ORDER_TYPES.EXPRESS_11E }) : null;
   return {
     /** Single server-owned contract — FE must prefer this over hard-coded ₹500. */
-    pricingContract: {
-      version: contract.version,
-      baselineId: contract.baselineId,
-      reviewDate: contract.reviewDate,
-      phaseRefs: contract.phaseRefs,
-      grossRupees: contract.grossRupees,
-      bookingRupees: contract.bookingRupees,
-      balanceRupees: contract.balanceRupees,
-      revisionRupees: contract.revisionRupees,
-      superimposeRupees: contract.superimposeRupees,
-      publicCopy: contract.publicCopy,
-    },
+    pricingContract: presentContract(contract),
+    /** Scheduled versions not yet in force (switch automatically at effectiveFrom). */
+    upcomingPricingContracts: getUpcomingSketchOrderPricing().map(presentContract),
     upload,
     revision,
     balance,
     superimpose,
     uploadWithSuperimpose,
+    /** null while express has no configured price. */
+    express,
+    uploadExpress,
     businessRules: getApprovedBusinessRulesPublic(),
   };
 }
@@ -140,5 +193,6 @@ module.exports = {
   resolveSketchRevisionFee,
   resolveSketchBalanceFee,
   resolveSuperimposeFee,
+  resolveExpressFee,
   getPublicPricingBreakdown,
 };
@@ -0,0 +1,171 @@
+/**
+ * Business-hours calendars for SLA dueAt (audit M-10).
+ * Resolves the calendar for an assignment (CAD user → CAD center → none = 24×7) and freezes it
+ * with holidays from admin-maintained lists, so slaDue.service stays synchronous.
+ */
+
+const CadCenter = require("../models/masters/CadCenter");
+const User = require("../models/user/User");
+const SurveyorSketchUpload = require("../models/surveyor/SurveyorSketchUpload");
+const SlaHoliday = require("../models/config/SlaHoliday");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { SLA_DEFAULT_HOLIDAY_LIST } = require("../config/constants");
+const { ORDER_TYPES } = require("../config/lifecycleQcSpec");
+const { DISPLAY_TIMEZONE, IST_OFFSET_MS, now } = require("./slaDue.service");
+
+/** Holidays copied into a snapshot: covers SLA + long pauses / extensions. */
+const HOLIDAY_HORIZON_DAYS = 180;
+
+function timeToMinutes(hhmm) {
+  const [h, m] = String(hhmm || "").split(":").map(Number);
+  return h * 60 + m;
+}
+
+function istDateKey(date) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Snapshot stored on SurveySketchAssignment.slaCalendar.
+ * @param {object} calendar WorkingCalendar subdoc
+ * @param {{ source: "CAD_USER"|"CAD_CENTER", sourceId, holidays: string[] }} meta
+ */
+function buildCalendarSnapshot(calendar, { source, sourceId = null, holidays = [] }) {
+  return {
+    source,
+    sourceId,
+    timezone: DISPLAY_TIMEZONE,
+    workingDays: [...(calendar.workingDays || [])].sort((a, b) => a - b),
+    startMinute: timeToMinutes(calendar.startTime),
+    endMinute: timeToMinutes(calendar.endTime),
+    holidays,
+  };
+}
+
+async function loadHolidayDates(listKeys, { from, days = HOLIDAY_HORIZON_DAYS }) {
+  const keys = listKeys && listKeys.length ? listKeys : [SLA_DEFAULT_HOLIDAY_LIST];
+  const start = istDateKey(from);
+  const end = istDateKey(new Date(from.getTime() + days * 24 * 60 * 60 * 1000));
+  const rows = await SlaHoliday.find({ listKey: { $in: keys }, date: { $gte: start, $lte: end } })
+    .select("date")
+    .lean();
+  return [...new Set(rows.map((r) => r.date))].sort();
+}
+
+/**
+ * Calendar snapshot for an assignee, or null for 24×7.
+ * A CAD user's own calendar wins; otherwise the explicit center, else the user's center.
+ */
+async function resolveCalendarSnapshot({ cadUserId = null, cadCenterId = null, at = null } = {}) {
+  const t = at || now();
+  let centerId = cadCenterId;
+
+  if (cadUserId) {
+    const user = await User.findById(cadUserId)
+      .select("cadProfile.workingCalendar cadProfile.cadCenter")
+      .lean();
+    const own = user?.cadProfile?.workingCalendar;
+    if (own) {
+      return buildCalendarSnapshot(own, {
+        source: "CAD_USER",
+        sourceId: user._id,
+        holidays: await loadHolidayDates(own.holidayLists, { from: t }),
+      });
+    }
+    if (!centerId) centerId = user?.cadProfile?.cadCenter || null;
+  }
+
+  if (!centerId) return null;
+  const center = await CadCenter.findById(centerId).select("workingCalendar").lean();
+  const cal = center?.workingCalendar;
+  if (!cal) return null;
+  return buildCalendarSnapshot(cal, {
+    source: "CAD_CENTER",
+    sourceId: center._id,
+    holidays: await loadHolidayDates(cal.holidayLists, { from: t }),
+  });
+}
+
+/** Order type for an assignment: frozen value, else the upload's (legacy rows), else STANDARD. */
+async function resolveAssignmentOrderType(doc) {
+  if (doc.orderType) return doc.orderType;
+  if (!doc.surveyorSketchUpload) return ORDER_TYPES.STANDARD_11E;
+  const upload = await SurveyorSketchUpload.findById(doc.surveyorSketchUpload).select("orderType").lean();
+  return upload?.orderType || ORDER_TYPES.STANDARD_11E;
+}
+
+/**
+ * applySlaOnAssign with the assignee's business calendar and the upload's order type (mutates doc).
+ */
+async function applySlaOnAssignWithCalendar(doc, opts = {}) {
+  const slaDue = require("./slaDue.service");
+  const orderType = opts.orderType || (await resolveAssignmentOrderType(doc));
+  doc.orderType = orderType;
+  const calendar = await resolveCalendarSnapshot({
+    cadUserId: doc.assignedTo || null,
+    cadCenterId: doc.cadCenter || null,
+    at: opts.at || null,
+  });
+  return slaDue.applySlaOnAssign(doc, { ...opts, orderType, calendar });
+}
+
+// -------- Admin: holiday lists --------
+
+async function listHolidays({ listKey, year } = {}) {
+  const query = {};
+  if (listKey) query.listKey = String(listKey).toUpperCase();
+  if (year) query.date = { $gte: `${year}-01-01`, $lte: `${year}-12-31` };
+  const data = await SlaHoliday.find(query).sort({ date: 1, listKey: 1 }).lean();
+  const listKeys = await SlaHoliday.distinct("listKey");
+  return { data, total: data.length, listKeys: listKeys.sort() };
+}
+
+/**
+ * Upsert one or many holidays; same (listKey, date) updates the name.
+ */
+async function upsertHolidays({ listKey, holidays }, actor) {
+  const key = String(listKey || SLA_DEFAULT_HOLIDAY_LIST).toUpperCase();
+  const ops = holidays.map((h) => ({
+    updateOne: {
+      filter: { listKey: key, date: h.date },
+      update: {
+        $set: { name: h.name },
+        $setOnInsert: { listKey: key, date: h.date, createdBy: actor?._id || null },
+      },
+      upsert: true,
+    },
+  }));
+  try {
+    await SlaHoliday.bulkWrite(ops, { ordered: true });
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new ConflictError("Holiday already exists for this list and date", {
+        code: "SLA_HOLIDAY_DUPLICATE",
+      });
+    }
+    throw err;
+  }
+  const data = await SlaHoliday.find({ listKey: key, date: { $in: holidays.map((h) => h.date) } })
+    .sort({ date: 1 })
+    .lean();
+  return { listKey: key, data };
+}
+
+async function deleteHoliday(holidayId) {
+  const doc = await SlaHoliday.findByIdAndDelete(holidayId).lean();
+  if (!doc) {
+    throw new NotFoundError("Holiday not found", { code: "SLA_HOLIDAY_NOT_FOUND" });
+  }
+  return { message: "Holiday deleted", holiday: doc };
+}
+
+module.exports = {
+  HOLIDAY_HORIZON_DAYS,
+  buildCalendarSnapshot,
+  resolveCalendarSnapshot,
+  resolveAssignmentOrderType,
+  applySlaOnAssignWithCalendar,
+  listHolidays,
+  upsertHolidays,
+  deleteHoliday,
+};
@@ -1,6 +1,11 @@
 /**
  * Server-owned delivery SLA / dueAt (audit M-10).
  * Public promise: 48-hour delivery after CAD assignment (UTC storage, IST display zone).
+ *
+ * Business time: when an assignment carries `slaCalendar` (frozen from the CAD user / CAD
+ * center working calendar), the SLA budget, pauses, extensions and warning / escalation
+ * windows count only working hours in IST, skipping non-working days and holidays.
+ * Without a calendar the clock is 24×7 wall time (legacy behaviour).
  */
 
 const { SURVEY_SKETCH_ASSIGNMENT_STATUS } = require("../config/constants");
@@ -18,6 +23,12 @@ const SLA_STATE = Object.freeze({
 
 const DISPLAY_TIMEZONE = "Asia/Kolkata";
 
+/** Asia/Kolkata has no DST — fixed +05:30. */
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Guard for calendars with no working time (≈10 years of days). */
+const MAX_CALENDAR_DAYS = 3660;
+
 /** Injectable clock for tests. */
 let _nowProvider = () => new Date();
 
@@ -66,6 +77,7 @@ function getPolicy() {
     escalateMs: getEscalateMs(),
     displayTimezone: DISPLAY_TIMEZONE,
     publicPromise: "48-hour delivery after CAD assignment (Standard 11E)",
+    businessHours: "CAD user calendar, else CAD center calendar; none = 24×7 wall clock",
     pauseStatuses: [SURVEY_SKETCH_ASSIGNMENT_STATUS.ON_HOLD],
     clockStatuses: [
       SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED,
@@ -75,6 +87,86 @@ function getPolicy() {
   };
 }
 
+/**
+ * Validated calendar snapshot or null (24×7). Calendars with no working window are ignored.
+ */
+function normalizeCalendar(calendar) {
+  if (!calendar) return null;
+  const days = Array.isArray(calendar.workingDays)
+    ? [...new Set(calendar.workingDays.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))]
+    : [];
+  const startMinute = Number(calendar.startMinute);
+  const endMinute = Number(calendar.endMinute);
+  if (!days.length || !Number.isFinite(startMinute) || !Number.isFinite(endMinute)) return null;
+  if (startMinute < 0 || endMinute > 1440 || endMinute <= startMinute) return null;
+  return {
+    workingDays: days,
+    startMinute,
+    endMinute,
+    holidays: new Set((calendar.holidays || []).map(String)),
+  };
+}
+
+/** IST calendar day containing instant `ms`. */
+function istDay(ms) {
+  const dayIndex = Math.floor((ms + IST_OFFSET_MS) / DAY_MS);
+  return {
+    startMs: dayIndex * DAY_MS - IST_OFFSET_MS,
+    // 1970-01-01 was a Thursday (4)
+    weekday: (((dayIndex + 4) % 7) + 7) % 7,
+    dateKey: new Date(dayIndex * DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+function workingWindow(day, cal) {
+  if (!cal.workingDays.includes(day.weekday) || cal.holidays.has(day.dateKey)) return null;
+  return {
+    start: day.startMs + cal.startMinute * 60000,
+    end: day.startMs + cal.endMinute * 60000,
+  };
+}
+
+/** Instant reached after `ms` of working time from `from` (both epoch ms). */
+function addBusinessMs(from, ms, calendar) {
+  const cal = normalizeCalendar(calendar);
+  if (!cal) return from + ms;
+  let cursor = from;
+  let left = Math.max(0, ms);
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const day = istDay(cursor);
+    const win = workingWindow(day, cal);
+    if (win) {
+      const start = Math.max(cursor, win.start);
+      if (start < win.end) {
+        if (left <= win.end - start) return start + left;
+        left -= win.end - start;
+      }
+    }
+    cursor = day.startMs + DAY_MS;
+  }
+  return cursor + left;
+}
+
+/** Working time between two instants (negative when `to` is before `from`). */
+function businessMsBetween(from, to, calendar) {
+  const cal = normalizeCalendar(calendar);
+  if (!cal) return to - from;
+  if (to < from) return -businessMsBetween(to, from, calendar);
+  let total = 0;
+  let cursor = from;
+  for (let i = 0; i < MAX_CALENDAR_DAYS && cursor < to; i++) {
+    const day = istDay(cursor);
+    const win = workingWindow(day, cal);
+    if (win) {
+      const start = Math.max(cursor, win.start);
+      const end = Math.min(to, win.end);
+      if (end > start) total += end - start;
+    }
+    cursor = day.startMs + DAY_MS;
+  }
+  return total;
+}
+
 function sumExtensionsMs(extensions) {
   if (!Array.isArray(extensions)) return 0;
   return extensions.reduce((s, e) => s + (Number(e.ms) || 0), 0);
@@ -84,6 +176,7 @@ function sumExtensionsMs(extensions) {
  * Compute authoritative dueAt from clock fields.
  * dueAt = assignedAt + slaDurationMs + pausedTotalMs + extensions
  * (while paused, effective due slides further as pause continues — surfaced via remainingMs).
+ * With `calendar` every term is working time and the sum is laid onto the IST calendar.
  */
 function computeDueAt({
   assignedAt,
@@ -91,6 +184,7 @@ function computeDueAt({
   pausedTotalMs = 0,
   slaPausedAt = null,
   extensions = [],
+  calendar = null,
   at = null,
 }) {
   const start = assignedAt ? new Date(assignedAt).getTime() : NaN;
@@ -100,9 +194,9 @@ function computeDueAt({
   const t = (at || now()).getTime();
   if (slaPausedAt) {
     const pStart = new Date(slaPausedAt).getTime();
-    if (Number.isFinite(pStart) && t > pStart) paused += t - pStart;
+    if (Number.isFinite(pStart) && t > pStart) paused += businessMsBetween(pStart, t, calendar);
   }
-  return new Date(start + duration + paused + sumExtensionsMs(extensions));
+  return new Date(addBusinessMs(start, duration + paused + sumExtensionsMs(extensions), calendar));
 }
 
 function resolveSlaState(assignment, { at = null } = {}) {
@@ -136,6 +230,7 @@ function resolveSlaState(assignment, { at = null } = {}) {
       pausedTotalMs: assignment.slaPausedTotalMs,
       slaPausedAt: assignment.slaPausedAt,
       extensions: assignment.slaExtensions,
+      calendar: assignment.slaCalendar,
       at: t,
     });
 
@@ -161,6 +256,7 @@ function resolveSlaState(assignment, { at = null } = {}) {
       pausedTotalMs: assignment.slaPausedTotalMs || 0,
       slaPausedAt: assignment.slaPausedAt || assignment.updatedAt || t,
       extensions: assignment.slaExtensions,
+      calendar: assignment.slaCalendar,
       at: t,
     });
     return {
@@ -183,22 +279,28 @@ function resolveSlaState(assignment, { at = null } = {}) {
   }
 
   const remainingMs = new Date(dueAt).getTime() - t.getTime();
+  // Warning / escalation windows are working time when the assignment has a calendar.
+  const remainingBusinessMs = assignment.slaCalendar
+    ? businessMsBetween(t.getTime(), new Date(dueAt).getTime(), assignment.slaCalendar)
+    : remainingMs;
+  const base = { dueAt, remainingMs, ageMs, paused: false };
   if (remainingMs <= 0) {
-    return { state: SLA_STATE.BREACHED, dueAt, remainingMs, ageMs, paused: false };
+    return { state: SLA_STATE.BREACHED, ...base };
   }
-  if (remainingMs <= getEscalateMs()) {
-    return { state: SLA_STATE.ESCALATED, dueAt, remainingMs, ageMs, paused: false };
+  if (remainingBusinessMs <= getEscalateMs()) {
+    return { state: SLA_STATE.ESCALATED, ...base };
   }
-  if (remainingMs <= getWarningMs()) {
-    return { state: SLA_STATE.WARNING, dueAt, remainingMs, ageMs, paused: false };
+  if (remainingBusinessMs <= getWarningMs()) {
+    return { state: SLA_STATE.WARNING, ...base };
   }
-  return { state: SLA_STATE.ON_TRACK, dueAt, remainingMs, ageMs, paused: false };
+  return { state: SLA_STATE.ON_TRACK, ...base };
 }
 
 /**
  * Public SLA snapshot attached to assignment / order payloads (same for all roles).
  */
 function buildSlaSnapshot(assignment, { at = null, orderType = null } = {}) {
+  orderType = orderType || assignment?.orderType || null;
   const policy = getPolicy();
   const resolved = resolveSlaState(assignment, { at });
   const dueAt = resolved.dueAt ? new Date(resolved.dueAt) : null;
@@ -221,6 +323,23 @@ function buildSlaSnapshot(assignment, { at = null, orderType = null } = {}) {
     ageHours: resolved.ageMs == null ? null : Math.round(resolved.ageMs / 3600000),
     paused: resolved.paused,
     pausedTotalMs: assignment?.slaPausedTotalMs || 0,
+    /** Working-hours calendar (null = 24×7); remainingBusinessMs counts working time only. */
+    businessCalendar: assignment?.slaCalendar
+      ? {
+          source: assignment.slaCalendar.source,
+          workingDays: assignment.slaCalendar.workingDays,
+          startMinute: assignment.slaCalendar.startMinute,
+          endMinute: assignment.slaCalendar.endMinute,
+        }
+      : null,
+    remainingBusinessMs:
+      assignment?.slaCalendar && resolved.dueAt
+        ? businessMsBetween(
+            (at || now()).getTime(),
+            new Date(resolved.dueAt).getTime(),
+            assignment.slaCalendar
+          )
+        : null,
     extensions: Array.isArray(assignment?.slaExtensions)
       ? assignment.slaExtensions.map((e) => ({
           at: e.at,
@@ -256,14 +375,16 @@ function slaRiskRank(state) {
 
 /**
  * Initialize server-owned SLA fields on a new/reopened assignment document (mutates).
+ * `calendar` is a snapshot from slaCalendar.service (null = 24×7).
  */
-function applySlaOnAssign(doc, { orderType = "STANDARD_11E", at = null } = {}) {
+function applySlaOnAssign(doc, { orderType = "STANDARD_11E", at = null, calendar = null } = {}) {
   const t = at || now();
   const slaDurationMs = getSlaMsForOrderType(orderType);
   if (!doc.assignedAt) doc.assignedAt = t;
   doc.slaDurationMs = slaDurationMs;
   doc.slaPausedTotalMs = 0;
   doc.slaPausedAt = null;
+  doc.slaCalendar = calendar || null;
   doc.slaExtensions = Array.isArray(doc.slaExtensions) ? doc.slaExtensions : [];
   const dueAt = computeDueAt({
     assignedAt: doc.assignedAt,
@@ -271,6 +392,7 @@ function applySlaOnAssign(doc, { orderType = "STANDARD_11E", at = null } = {}) {
     pausedTotalMs: 0,
     slaPausedAt: null,
     extensions: doc.slaExtensions,
+    calendar: doc.slaCalendar,
     at: t,
   });
   doc.dueAt = dueAt;
@@ -292,7 +414,9 @@ function resumeSla(doc, { at = null } = {}) {
   if (doc.slaPausedAt) {
     const pStart = new Date(doc.slaPausedAt).getTime();
     if (Number.isFinite(pStart)) {
-      doc.slaPausedTotalMs = (Number(doc.slaPausedTotalMs) || 0) + Math.max(0, t.getTime() - pStart);
+      doc.slaPausedTotalMs =
+        (Number(doc.slaPausedTotalMs) || 0) +
+        Math.max(0, businessMsBetween(pStart, t.getTime(), doc.slaCalendar));
     }
     doc.slaPausedAt = null;
   }
@@ -302,6 +426,7 @@ function resumeSla(doc, { at = null } = {}) {
     pausedTotalMs: doc.slaPausedTotalMs || 0,
     slaPausedAt: null,
     extensions: doc.slaExtensions,
+    calendar: doc.slaCalendar,
     at: t,
   });
   doc.dueDate = doc.dueAt;
@@ -339,6 +464,7 @@ function extendSla(doc, { ms, reason, by, at = null }) {
       pausedTotalMs: doc.slaPausedTotalMs || 0,
       slaPausedAt: doc.slaPausedAt,
       extensions: doc.slaExtensions,
+      calendar: doc.slaCalendar,
       at: t,
     });
   } else {
@@ -348,6 +474,7 @@ function extendSla(doc, { ms, reason, by, at = null }) {
       pausedTotalMs: doc.slaPausedTotalMs || 0,
       slaPausedAt: null,
       extensions: doc.slaExtensions,
+      calendar: doc.slaCalendar,
       at: t,
     });
   }
@@ -438,6 +565,7 @@ function computeSlaAgingSummary(assignments, { at = null, itemLimit = 50 } = {})
 module.exports = {
   SLA_STATE,
   DISPLAY_TIMEZONE,
+  IST_OFFSET_MS,
   setNowProvider,
   resetNowProvider,
   now,
@@ -448,6 +576,8 @@ module.exports = {
   getSlaMsForOrderType,
   getPolicy,
   computeDueAt,
+  addBusinessMs,
+  businessMsBetween,
   resolveSlaState,
   buildSlaSnapshot,
   slaRiskRank,
@@ -14,11 +14,14 @@ const Village = require("../models/masters/Village");
 const surveySketchAssignmentService = require("./assignment/surveySketchAssignment.service");
 const sketchPaymentPricing = require("./sketchPaymentPricing.service");
 const phonePeSketchPayment = require("./phonePeSketchPayment.service");
+const paymentProvider = require("./payment/paymentProvider.service");
+const couponService = require("./payment/coupon.service");
+const surveyorWallet = require("./payment/surveyorWallet.service");
 const cadDownloadEntitlement = require("./cadDownloadEntitlement.service");
 const paymentAttempt = require("./paymentAttempt.service");
 const notificationService = require("./notification.service");
 const { USER_ROLES, SURVEY_SKETCH_ASSIGNMENT_STATUS, SURVEY_SKETCH_STATUS } = require("../config/constants");
-const { applySketchStatus } = require("../config/lifecycleQcSpec");
+const { applySketchStatus, orderTypeListMatch } = require("../config/lifecycleQcSpec");
 const slaDue = require("./slaDue.service");
 const orderStatusCounts = require("./orderStatusCounts.service");
 const { withWorkflowPhase } = require("../utils/workflowPhase");
@@ -145,10 +148,12 @@ async function completeSketchUploadAfterPayment(uploadId, phonepeResponse, { mer
     }
   }
 
+  // The gateway collects amountPaise less any wallet share spent at checkout.
+  const walletPaise = Number(upload.sketchPayment?.wallet?.debitedPaise) || 0;
   const expectedPaise =
     expectedAmountPaise != null && Number.isFinite(Number(expectedAmountPaise))
       ? Math.round(Number(expectedAmountPaise))
-      : upload.sketchPayment?.amountPaise;
+      : upload.sketchPayment?.amountPaise - walletPaise;
   const match = phonePeSketchPayment.assertPaidMatchesExpected(expectedPaise, phonepeResponse);
   if (!match.ok) {
     logger.error("PhonePe sketch payment amount rejected", {
@@ -171,7 +176,7 @@ async function completeSketchUploadAfterPayment(uploadId, phonepeResponse, { mer
   upload.sketchPayment.status = "COMPLETED";
   upload.sketchPayment.phonepeResponse = phonepeResponse;
   upload.sketchPayment.paidAt = new Date();
-  upload.sketchPayment.paidAmountPaise = match.paidPaise;
+  upload.sketchPayment.paidAmountPaise = match.paidPaise + walletPaise;
   upload.sketchPayment.paymentFailureReason = null;
   await upload.save();
 
@@ -188,6 +193,36 @@ async function markSketchPaymentFailed(uploadId, phonepeResponse) {
   });
 }
 
+/**
+ * Settled exceptional refund of the booking payment. A refunded COMPLETED booking becomes REFUNDED, which
+ * closes the BIZ-10 payment gate again; a refunded mismatched payment stays retryable.
+ * A partial refund (`full: false`) only adds to refundedAmountPaise.
+ * @returns {Promise<boolean>} false when the order is not this upload's booking order or already refunded
+ */
+async function markSketchPaymentRefunded(
+  uploadId,
+  { merchantOrderId, reasonCode, policyVersion, amountPaise, full = true } = {}
+) {
+  const upload = await SurveyorSketchUpload.findById(uploadId).select("sketchPayment").lean();
+  const sp = upload?.sketchPayment;
+  if (!sp || sp.refundedAt || (sp.merchantOrderId && merchantOrderId && sp.merchantOrderId !== merchantOrderId)) {
+    return false;
+  }
+  const $set = {
+    "sketchPayment.refundReasonCode": reasonCode || null,
+    "sketchPayment.refundPolicyVersion": policyVersion || null,
+  };
+  if (full) {
+    if (sp.status === "COMPLETED") $set["sketchPayment.status"] = "REFUNDED";
+    $set["sketchPayment.refundedAt"] = new Date();
+  }
+  await SurveyorSketchUpload.updateOne(
+    { _id: uploadId },
+    { $set, $inc: { "sketchPayment.refundedAmountPaise": Number(amountPaise) || 0 } }
+  );
+  return true;
+}
+
 function sketchUploadMerchantOrderId(uploadId) {
   return phonePeSketchPayment.sketchUploadMerchantOrderId(uploadId);
 }
@@ -223,10 +258,17 @@ function buildSketchPaymentMeta({
       baseFeePaise: resolved.baseFeePaise ?? null,
       superimposeFeePaise: resolved.superimposeFeePaise ?? 0,
       isSuperimpose: resolved.isSuperimpose === true,
+      expressFeePaise: resolved.expressFeePaise ?? 0,
+      orderType: resolved.orderType || null,
       planAmountRupees: resolved.planAmountRupees,
       discountRupees: resolved.discountRupees,
-      payableRupees: resolved.payableRupees,
+      payableRupees: feePaise / 100,
       pricingSource: resolved.source,
+      pricingVersion: resolved.contractVersion || null,
+      coupon: resolved.coupon
+        ? { code: resolved.coupon.code, discountPaise: resolved.coupon.discountPaise }
+        : null,
+      wallet: surveyorWallet.presentFunding(resolved.wallet),
       ...(message ? { message } : {}),
     },
   };
@@ -275,6 +317,7 @@ async function reinitiateSketchPayment(surveyor, uploadId, _options = {}) {
   // Prefer immutable expected amount already persisted at first initiation; else resolve server pricing.
   const resolved = await sketchPaymentPricing.resolveSketchUploadFee({
     isSuperimpose: upload.isSuperimpose === true,
+    orderType: upload.orderType,
   });
   const storedExpected = Number(upload.sketchPayment?.amountPaise);
   const feePaise =
@@ -288,25 +331,28 @@ async function reinitiateSketchPayment(surveyor, uploadId, _options = {}) {
           baseFeePaise: upload.sketchPayment.baseFeePaise ?? null,
           superimposeFeePaise: upload.sketchPayment.superimposeFeePaise ?? 0,
           isSuperimpose: upload.isSuperimpose === true,
+          expressFeePaise: upload.sketchPayment.expressFeePaise ?? 0,
+          orderType: upload.orderType,
           planAmountRupees: upload.sketchPayment.planAmountRupees ?? null,
           discountRupees: upload.sketchPayment.discountRupees ?? null,
           payableRupees: feePaise / 100,
           source: upload.sketchPayment.pricingSource || "stored",
+          contractVersion: upload.sketchPayment.pricingVersion ?? null,
+          pricingVersionId: upload.sketchPayment.pricingVersionId ?? null,
+          coupon: upload.sketchPayment.coupon || null,
+          wallet: upload.sketchPayment.wallet || null,
         }
       : resolved;
+  // The wallet share was spent at the first checkout; the gateway is charged the rest.
+  const gatewayPaise = feePaise - (Number(upload.sketchPayment?.wallet?.debitedPaise) || 0);
 
-  if (!Number.isFinite(feePaise) || feePaise <= 0) {
+  if (!Number.isFinite(feePaise) || feePaise <= 0 || gatewayPaise <= 0) {
     throw new BadRequestError("No payment is required for this upload", {
       code: "SKETCH_PAYMENT_NOT_REQUIRED",
     });
   }
 
-  const phonePe = phonePeSketchPayment;
-  if (!phonePe.isPhonePeConfigured()) {
-    throw new BadRequestError("Sketch upload fee is configured but PhonePe is not configured.", {
-      code: "PHONEPE_NOT_CONFIGURED",
-    });
-  }
+  await paymentProvider.resolveCheckoutProvider(paymentAttempt.PAYMENT_PURPOSE.BOOKING);
 
   const merchantOrderId = sketchUploadRetryMerchantOrderId(upload._id);
   upload.sketchPayment = upload.sketchPayment || {};
@@ -317,25 +363,34 @@ async function reinitiateSketchPayment(surveyor, uploadId, _options = {}) {
     pricingMeta.baseFeePaise ?? upload.sketchPayment.baseFeePaise ?? null;
   upload.sketchPayment.superimposeFeePaise =
     pricingMeta.superimposeFeePaise ?? upload.sketchPayment.superimposeFeePaise ?? 0;
+  upload.sketchPayment.expressFeePaise =
+    pricingMeta.expressFeePaise ?? upload.sketchPayment.expressFeePaise ?? 0;
   upload.sketchPayment.planAmountRupees =
     pricingMeta.planAmountRupees ?? upload.sketchPayment.planAmountRupees ?? null;
   upload.sketchPayment.discountRupees =
     pricingMeta.discountRupees ?? upload.sketchPayment.discountRupees ?? null;
   upload.sketchPayment.pricingSource = pricingMeta.source;
+  upload.sketchPayment.pricingVersion = pricingMeta.contractVersion ?? null;
+  upload.sketchPayment.pricingVersionId = pricingMeta.pricingVersionId ?? null;
   upload.sketchPayment.paymentFailureReason = null;
   applySketchStatus(upload, SURVEY_SKETCH_STATUS.PAYMENT_PENDING);
   await upload.save();
 
   let checkoutPageUrl;
   try {
-    logger.info("PhonePe initiatePay sketch upload retry", {
+    logger.info("Checkout sketch upload retry", {
       uploadId: String(uploadId),
       merchantOrderId,
-      amountPaise: feePaise,
-      payableRupees: feePaise / 100,
+      amountPaise: gatewayPaise,
+      payableRupees: gatewayPaise / 100,
       pricingSource: pricingMeta.source,
     });
-    const pr = await phonePe.initiatePay(merchantOrderId, feePaise);
+    const pr = await paymentProvider.startCheckout({
+      purpose: paymentAttempt.PAYMENT_PURPOSE.BOOKING,
+      merchantOrderId,
+      amountPaise: gatewayPaise,
+      description: `Sketch booking ${upload.applicationId || upload._id}`,
+    });
     checkoutPageUrl = pr.redirectUrl;
     try {
       await paymentAttempt.recordInitiated({
@@ -343,7 +398,10 @@ async function reinitiateSketchPayment(surveyor, uploadId, _options = {}) {
         surveyorSketchUploadId: upload._id,
         surveyorId: surveyor._id,
         merchantOrderId,
-        expectedAmountPaise: feePaise,
+        expectedAmountPaise: gatewayPaise,
+        provider: pr.provider,
+        providerOrderId: pr.providerOrderId,
+        coupon: pricingMeta.coupon,
       });
     } catch (ledgerErr) {
       logger.error("Failed to record booking payment attempt (retry)", ledgerErr, {
@@ -352,29 +410,29 @@ async function reinitiateSketchPayment(surveyor, uploadId, _options = {}) {
       });
     }
   } catch (pe) {
-    logger.error("PhonePe initiatePay failed for sketch upload payment retry", pe, {
+    logger.error("Checkout failed for sketch upload payment retry", pe, {
       uploadId: String(uploadId),
     });
     await SurveyorSketchUpload.findByIdAndUpdate(uploadId, {
       $set: { "sketchPayment.status": "FAILED" },
     });
     if (pe instanceof BadRequestError) throw pe;
-    throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PHONEPE_INIT_FAILED" });
+    throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PAYMENT_INIT_FAILED" });
   }
 
   const data = await loadSketchUploadDetail(uploadId);
   await notifySketchPaymentPending(upload._id, surveyor, {
     checkoutPageUrl,
     merchantOrderId,
-    amountPaise: feePaise,
-    payableRupees: feePaise / 100,
+    amountPaise: gatewayPaise,
+    payableRupees: gatewayPaise / 100,
   });
   return {
     data: withWorkflowPhase(data, null),
     meta: buildSketchPaymentMeta({
       checkoutPageUrl,
       merchantOrderId,
-      feePaise,
+      feePaise: gatewayPaise,
       resolved: pricingMeta,
       message:
         payStatus === "FAILED" || payStatus === "AMOUNT_MISMATCH"
@@ -449,6 +507,9 @@ async function clearSketchUpload(surveyor, uploadId) {
   if (!deleted) {
     throw new NotFoundError("Survey sketch upload not found", { code: "SURVEY_SKETCH_NOT_FOUND" });
   }
+  if (deleted.sketchPayment?.wallet) {
+    await surveyorWallet.reverseBookingFundingQuietly(deleted._id);
+  }
 
   logger.info("Surveyor cleared unpaid sketch upload", {
     uploadId: String(uploadId),
@@ -613,6 +674,7 @@ async function create(surveyor, payload) {
       singleUpload: Array.isArray(payload.singleUpload) ? payload.singleUpload : payload.singleUpload ? [payload.singleUpload] : [],
       others: payload.others ?? null,
       isSuperimpose: payload.isSuperimpose === true,
+      orderType: payload.orderType,
     });
 
   async function cleanupDraftIfRequested() {
@@ -629,48 +691,139 @@ async function create(surveyor, payload) {
     try {
       await doc.save();
 
-      const phonePe = phonePeSketchPayment;
       const resolved = await sketchPaymentPricing.resolveSketchUploadFee({
         isSuperimpose: doc.isSuperimpose === true,
+        orderType: doc.orderType,
       });
-      const feePaise = resolved.feePaise;
-      if (feePaise > 0) {
-        if (!phonePe.isPhonePeConfigured()) {
-          throw new BadRequestError("Sketch upload fee is configured but PhonePe is not configured.", {
-            code: "PHONEPE_NOT_CONFIGURED",
+      const { BOOKING } = paymentAttempt.PAYMENT_PURPOSE;
+      const useWallet = payload.useWallet !== false;
+      let feePaise = resolved.feePaise;
+      let couponLines = couponService.bookingFeeLines(resolved);
+      let coupon = null;
+      let bundleEntry = null;
+      let debitEntry = null;
+      let coveredPaise = 0;
+      try {
+        // Prepaid first: a bundle credit for this order type, then the coupon, then wallet balance.
+        if (useWallet && feePaise > 0) {
+          bundleEntry = await surveyorWallet.redeemBundleCredit({
+            surveyorId: surveyor._id,
+            uploadId: doc._id,
+            orderType: doc.orderType,
           });
+          if (bundleEntry) {
+            ({ lines: couponLines, coveredPaise } = surveyorWallet.bundleCoverage(couponLines));
+            feePaise -= coveredPaise;
+          }
         }
-        const merchantOrderId = `sketch_${doc._id}`;
-        applySketchStatus(doc, SURVEY_SKETCH_STATUS.PAYMENT_PENDING);
+        if (payload.couponCode && feePaise > 0) {
+          coupon = await couponService.reserveCoupon({
+            code: payload.couponCode,
+            surveyorId: surveyor._id,
+            districtId: doc.district,
+            purpose: BOOKING,
+            uploadId: doc._id,
+            lines: couponLines,
+          });
+          feePaise = coupon.payablePaise;
+        }
+        if (useWallet && feePaise > 0) {
+          debitEntry = await surveyorWallet.debitForCheckout({
+            surveyorId: surveyor._id,
+            uploadId: doc._id,
+            purpose: BOOKING,
+            duePaise: feePaise,
+            ref: `booking:${doc._id}`,
+          });
+        }
+      } catch (fundingErr) {
+        // Nothing is charged yet: undo the prepaid rows and drop the upload so the surveyor can resubmit.
+        await surveyorWallet.reverseEntriesQuietly([bundleEntry, debitEntry], "Booking checkout not started");
+        if (coupon) await couponService.releaseCoupon({ uploadId: doc._id, purpose: BOOKING });
+        await SurveyorSketchUpload.deleteOne({ _id: doc._id });
+        throw fundingErr;
+      }
+      const wallet = surveyorWallet.fundingSnapshot({ debitEntry, bundleEntry, coveredPaise });
+      const gatewayPaise = feePaise - (wallet?.debitedPaise || 0);
+      const paymentSnapshot = {
+        amountPaise: feePaise,
+        baseFeePaise: resolved.baseFeePaise,
+        superimposeFeePaise: resolved.superimposeFeePaise,
+        expressFeePaise: resolved.expressFeePaise,
+        planAmountRupees: resolved.planAmountRupees,
+        discountRupees: resolved.discountRupees,
+        pricingSource: resolved.source,
+        pricingVersion: resolved.contractVersion || null,
+        pricingVersionId: resolved.pricingVersionId || null,
+        coupon: coupon?.snapshot || null,
+        wallet,
+      };
+      if (wallet && gatewayPaise <= 0) {
         doc.sketchPayment = {
-          status: "PENDING",
-          merchantOrderId,
-          amountPaise: feePaise,
-          baseFeePaise: resolved.baseFeePaise,
-          superimposeFeePaise: resolved.superimposeFeePaise,
-          planAmountRupees: resolved.planAmountRupees,
-          discountRupees: resolved.discountRupees,
-          pricingSource: resolved.source,
+          ...paymentSnapshot,
+          status: "COMPLETED",
+          merchantOrderId: null,
+          paidAmountPaise: feePaise,
+          paidAt: new Date(),
+        };
+        await doc.save();
+        if (coupon) {
+          await couponService.redeemForPaymentQuietly({
+            surveyorSketchUpload: doc._id,
+            purpose: BOOKING,
+            revisionNo: null,
+            merchantOrderId: null,
+          });
+        }
+        await postSubmitNotifyAndAutoAssign(doc._id, surveyor);
+        await cleanupDraftIfRequested();
+        const latestFunded = await SurveyorSketchUpload.findById(doc._id).lean();
+        return {
+          data: latestFunded || (doc.toJSON ? doc.toJSON() : doc),
+          meta: {
+            payment: {
+              requiresPayment: false,
+              fundedBy: "WALLET",
+              amountPaise: feePaise,
+              wallet: surveyorWallet.presentFunding(wallet),
+              coupon: coupon ? { code: coupon.snapshot.code, discountPaise: coupon.discountPaise } : null,
+              message: "Paid from your prepaid wallet",
+            },
+          },
         };
+      }
+      if (gatewayPaise > 0) {
+        await paymentProvider.resolveCheckoutProvider(BOOKING);
+        const merchantOrderId = `sketch_${doc._id}`;
+        applySketchStatus(doc, SURVEY_SKETCH_STATUS.PAYMENT_PENDING);
+        doc.sketchPayment = { ...paymentSnapshot, status: "PENDING", merchantOrderId };
         await doc.save();
         let checkoutPageUrl;
         try {
-          logger.info("PhonePe initiatePay sketch upload", {
+          logger.info("Checkout sketch upload", {
             uploadId: String(doc._id),
             merchantOrderId,
-            amountPaise: feePaise,
-            payableRupees: feePaise / 100,
+            amountPaise: gatewayPaise,
+            payableRupees: gatewayPaise / 100,
             pricingSource: resolved.source,
           });
-          const pr = await phonePe.initiatePay(merchantOrderId, feePaise);
+          const pr = await paymentProvider.startCheckout({
+            purpose: BOOKING,
+            merchantOrderId,
+            amountPaise: gatewayPaise,
+            description: `Sketch booking ${doc.applicationId || doc._id}`,
+          });
           checkoutPageUrl = pr.redirectUrl;
           try {
             await paymentAttempt.recordInitiated({
-              purpose: paymentAttempt.PAYMENT_PURPOSE.BOOKING,
+              purpose: BOOKING,
               surveyorSketchUploadId: doc._id,
               surveyorId: surveyor._id,
               merchantOrderId,
-              expectedAmountPaise: feePaise,
+              expectedAmountPaise: gatewayPaise,
+              provider: pr.provider,
+              providerOrderId: pr.providerOrderId,
+              coupon: coupon?.snapshot,
             });
           } catch (ledgerErr) {
             logger.error("Failed to record booking payment attempt", ledgerErr, {
@@ -679,17 +832,17 @@ async function create(surveyor, payload) {
             });
           }
         } catch (pe) {
-          logger.error("PhonePe initiatePay failed for sketch upload", pe, { uploadId: String(doc._id) });
+          logger.error("Checkout failed for sketch upload", pe, { uploadId: String(doc._id) });
           await SurveyorSketchUpload.findByIdAndUpdate(doc._id, { $set: { "sketchPayment.status": "FAILED" } });
           if (pe instanceof BadRequestError) throw pe;
-          throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PHONEPE_INIT_FAILED" });
+          throw new BadRequestError(pe?.message || "Payment gateway error", { code: "PAYMENT_INIT_FAILED" });
         }
         await cleanupDraftIfRequested();
         await notifySketchPaymentPending(doc._id, surveyor, {
           checkoutPageUrl,
           merchantOrderId,
-          amountPaise: feePaise,
-          payableRupees: feePaise / 100,
+          amountPaise: gatewayPaise,
+          payableRupees: gatewayPaise / 100,
         });
         const latestPaid = await SurveyorSketchUpload.findById(doc._id).lean();
         return {
@@ -697,8 +850,8 @@ async function create(surveyor, payload) {
           meta: buildSketchPaymentMeta({
             checkoutPageUrl,
             merchantOrderId,
-            feePaise,
-            resolved,
+            feePaise: gatewayPaise,
+            resolved: { ...resolved, coupon: coupon?.snapshot || null, wallet },
           }),
         };
       }
@@ -864,6 +1017,10 @@ async function list(actor, options = {}) {
     filter.status = options.status;
   }
 
+  if (options.orderType) {
+    filter.orderType = orderTypeListMatch(options.orderType);
+  }
+
   if (options.cadCenterId) {
     const SurveySketchAssignment = require("../models/assignment/SurveySketchAssignment");
     const assignments = await SurveySketchAssignment.find({ cadCenter: options.cadCenterId })
@@ -1136,7 +1293,7 @@ async function reviewSketchTerminal(actor, uploadId, { decision, note } = {}) {
     const { assertSketchBookingPaymentAllowsWorkflow } = require("./sketchPaymentGate.service");
     assertSketchBookingPaymentAllowsWorkflow(upload, { action: "terminal_approve" });
     const { assertQcRequiredForRelease, ORDER_TYPES } = require("../config/lifecycleQcSpec");
-    assertQcRequiredForRelease(ORDER_TYPES.STANDARD_11E);
+    assertQcRequiredForRelease(upload.orderType || ORDER_TYPES.STANDARD_11E);
   }
 
   applySketchStatus(upload, terminal);
@@ -1210,15 +1367,14 @@ module.exports = {
   listAllWithAssignment,
   completeSketchUploadAfterPayment,
   markSketchPaymentFailed,
+  markSketchPaymentRefunded,
   reinitiateSketchPayment,
   clearSketchUpload,
   sketchUploadMerchantOrderId,
   sketchUploadRetryMerchantOrderId,
   reviewSketchTerminal,
-  initiateBalancePayment: (actor, uploadId) =>
-    cadDownloadEntitlement.initiateBalancePayment(actor, uploadId),
+  initiateBalancePayment: (actor, uploadId, options) =>
+    cadDownloadEntitlement.initiateBalancePayment(actor, uploadId, options),
   getCadDownload: (actor, uploadId, options) =>
     cadDownloadEntitlement.getCadDownloadForSurveyor(actor, uploadId, options),
-  markBalanceRefunded: (actor, uploadId, options) =>
-    cadDownloadEntitlement.markBalanceRefunded(actor, uploadId, options),
 };
@@ -37,6 +37,7 @@ const fileSecurity = require("./fileSecurity.service");
 const { logFileAccess, FileAccessEvent } = require("./fileAccessLog.service");
 const { assertUploadPresignAllowed } = require("./authThrottle.service");
 const cadDeliverableContract = require("./cadDeliverableContract.service");
+const dxfAnalysisService = require("./dxfAnalysis.service");
 const { CAD_DELIVERABLE_CONTRACT_VERSION } = require("../config/cadDeliverableContract");
 
 const ALLOWED_ROLES = [USER_ROLES.SURVEYOR, USER_ROLES.CAD, USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN];
@@ -622,6 +623,20 @@ async function confirmUpload(params, user, requestMeta = {}) {
     meta: { detected: header.detected, avEngine: av.engine, checksumPackage },
   });
 
+  // M-08: parse CAD .dxf sources now so QC gets machine findings; never blocks the confirm.
+  let dxfAnalysis = null;
+  try {
+    dxfAnalysis = await dxfAnalysisService.analyzeConfirmedUpload({
+      key,
+      fileName,
+      contentLength: meta.contentLength,
+      eTag: meta.eTag,
+      uploadedBy: user._id || user.id,
+    });
+  } catch (err) {
+    logger.error("DXF analysis failed", err, { key });
+  }
+
   return {
     confirmed: true,
     key,
@@ -632,6 +647,7 @@ async function confirmUpload(params, user, requestMeta = {}) {
     contentLength: meta.contentLength,
     eTag: meta.eTag,
     checksumPackage,
+    dxfAnalysis,
     watermarkPolicy: fileSecurity.getWatermarkPolicy(),
   };
 }
@@ -329,10 +329,13 @@ async function patch(actor, userId, payload) {
     lastName,
     status,
     cadCenter,
+    skills,
+    workingCalendar,
     personalDetails,
     kycDetails,
     bankDetails,
     upiDetails,
+    taxDetails,
     professionalDetails,
     documents,
     profileCompleted,
@@ -340,13 +343,17 @@ async function patch(actor, userId, payload) {
     taluka,
     category,
     surveyType,
+    gstin,
   } = payload;
   const hasCadProfilePayload =
     cadCenter !== undefined ||
+    skills !== undefined ||
+    workingCalendar !== undefined ||
     personalDetails !== undefined ||
     kycDetails !== undefined ||
     bankDetails !== undefined ||
     upiDetails !== undefined ||
+    taxDetails !== undefined ||
     professionalDetails !== undefined ||
     documents !== undefined ||
     profileCompleted !== undefined;
@@ -376,6 +383,22 @@ async function patch(actor, userId, payload) {
   if (!rolesEqual(user.role, USER_ROLES.CAD) && hasCadProfilePayload) {
     throw new BadRequestError("CAD profile fields can be updated only for CAD users");
   }
+  if (skills !== undefined) {
+    // Routing skills drive auto-assign scoring; admins curate them, CAD users cannot self-assign.
+    if (rolesEqual(actor?.role, USER_ROLES.CAD)) {
+      throw new ForbiddenError("CAD routing skills can be updated only by an admin");
+    }
+    user.cadProfile = user.cadProfile || {};
+    user.cadProfile.skills = skills;
+  }
+  if (workingCalendar !== undefined) {
+    // Business hours drive SLA dueAt; only admins change them.
+    if (rolesEqual(actor?.role, USER_ROLES.CAD)) {
+      throw new ForbiddenError("CAD working calendar can be updated only by an admin");
+    }
+    user.cadProfile = user.cadProfile || {};
+    user.cadProfile.workingCalendar = workingCalendar;
+  }
 
   if (rolesEqual(user.role, USER_ROLES.CAD)) {
     if (personalDetails !== undefined) {
@@ -390,16 +413,16 @@ async function patch(actor, userId, payload) {
         ...kycDetails,
       };
     }
-    if (bankDetails !== undefined) {
-      user.bankDetails = {
-        ...(user.bankDetails || {}),
-        ...bankDetails,
-      };
+    if (bankDetails !== undefined || upiDetails !== undefined) {
+      // Payout details change only through the OTP + approval + cooling-off workflow (cadPayoutDetailsChange).
+      throw new BadRequestError("Bank / UPI details change through POST /api/cad/payout-details/changes", {
+        code: "CAD_PAYOUT_DETAILS_CHANGE_REQUIRED",
+      });
     }
-    if (upiDetails !== undefined) {
-      user.upiDetails = {
-        ...(user.upiDetails || {}),
-        ...upiDetails,
+    if (taxDetails !== undefined) {
+      user.taxDetails = {
+        ...(user.taxDetails || {}),
+        ...taxDetails,
       };
     }
     if (professionalDetails !== undefined) {
@@ -419,7 +442,10 @@ async function patch(actor, userId, payload) {
     }
   }
 
-  if (rolesEqual(user.role, USER_ROLES.SURVEYOR) && (district !== undefined || taluka !== undefined || category !== undefined || surveyType !== undefined)) {
+  if (
+    rolesEqual(user.role, USER_ROLES.SURVEYOR) &&
+    (district !== undefined || taluka !== undefined || category !== undefined || surveyType !== undefined || gstin !== undefined)
+  ) {
     user.surveyorProfile = user.surveyorProfile || {};
     if (district !== undefined) user.surveyorProfile.district = district;
     if (taluka !== undefined) user.surveyorProfile.taluka = taluka;
@@ -434,6 +460,8 @@ async function patch(actor, userId, payload) {
       const st = String(surveyType).toUpperCase();
       if (["LS", "GS"].includes(st)) user.surveyorProfile.surveyType = st;
     }
+    // Buyer GSTIN on tax invoices (sets the place of supply); issued invoices keep their snapshot.
+    if (gstin !== undefined) user.surveyorProfile.gstin = gstin;
   }
 
   const prevStatus = user.status;
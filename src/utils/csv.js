@@ -0,0 +1,78 @@
+/**
+ * RFC 4180 CSV read / write for admin imports and exports (no dependency).
+ * Exported cells that start with = + - @ (or tab / CR) are prefixed with `'` so spreadsheet apps
+ * never evaluate them as formulas (CSV injection).
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of string cells. Handles quoted fields with commas, doubled quotes and
+ * line breaks, CRLF / LF endings and a leading UTF-8 BOM. Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+      i += 1;
+      continue;
+    }
+    if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      row.push(cell);
+      cell = "";
+      if (row.some((c) => c !== "")) rows.push(row);
+      row = [];
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+    } else {
+      cell += ch;
+    }
+    i += 1;
+  }
+  if (quoted) throw new Error("Unterminated quoted CSV field");
+  row.push(cell);
+  if (row.some((c) => c !== "")) rows.push(row);
+  return rows;
+}
+
+function escapeCell(value) {
+  if (value == null) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {Array<Array<unknown>>} rows - first row is usually the header
+ * @returns {string} CRLF-separated CSV
+ */
+function toCsv(rows) {
+  return rows.map((r) => r.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
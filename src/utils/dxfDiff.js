@@ -0,0 +1,226 @@
+/**
+ * Entity-level diff between two parsed DXF drawings (see dxfParser.parseDxf) for revision disputes.
+ * Entities are paired, in order: by DXF handle (same drawing re-saved), by identical geometry on the
+ * same layer, then by anchor (text / block insert position, arc centre) on the same layer. Pairs that
+ * differ are "modified"; whatever is left over is added / removed.
+ * Coordinates are compared at DIFF_PRECISION decimals. Pure: no I/O.
+ */
+
+const DXF_DIFF_VERSION = "DXF_DIFF_V1";
+const DIFF_PRECISION = 4;
+/** Per-list cap on entities echoed in the report (counts are always complete). */
+const MAX_LISTED_CHANGES = 200;
+
+function fmt(n) {
+  const v = Number(Number(n).toFixed(DIFF_PRECISION));
+  return Object.is(v, -0) ? "0" : String(v);
+}
+
+function pt(p) {
+  return p ? `${fmt(p.x)},${fmt(p.y)}` : "-";
+}
+
+function entity(kind, src, fields, anchor = null) {
+  return {
+    kind,
+    layer: src.layer || "0",
+    handle: src.handle || null,
+    fields,
+    sig: [kind, fields.geometry, fields.text ?? "", fields.block ?? ""].join("|"),
+    anchor,
+    src,
+  };
+}
+
+/** Comparable entities of one drawing: lines, polylines, arcs / circles, texts, block inserts. */
+function comparableEntities(parsed) {
+  const out = [];
+  for (const l of parsed.lines || []) {
+    // A→B and B→A are the same line.
+    out.push(entity("LINE", l, { geometry: [pt(l.a), pt(l.b)].sort().join(" ") }));
+  }
+  for (const p of parsed.polylines || []) {
+    const geometry = `${p.closed ? "closed" : "open"} ${p.vertices.map(pt).join(" ")}`;
+    out.push(entity("POLYLINE", p, { geometry }));
+  }
+  for (const a of parsed.arcs || []) {
+    const circle = a.startAngle === 0 && a.endAngle === 360;
+    const sweep = circle ? "" : ` ${fmt(a.startAngle)}-${fmt(a.endAngle)}`;
+    const geometry = `${pt(a.center)} r${fmt(a.radius)}${sweep}`;
+    out.push(entity(circle ? "CIRCLE" : "ARC", a, { geometry }, pt(a.center)));
+  }
+  for (const t of parsed.texts || []) {
+    const geometry = `${pt(t.at)} h${t.height == null ? "-" : fmt(t.height)} r${fmt(t.rotation || 0)}`;
+    out.push(entity("TEXT", t, { geometry, text: t.value }, t.at ? pt(t.at) : null));
+  }
+  for (const i of parsed.inserts || []) {
+    out.push(entity("INSERT", i, { geometry: pt(i.at), block: i.block }, i.at ? pt(i.at) : null));
+  }
+  return out;
+}
+
+function changedFields(before, after) {
+  const changed = [];
+  if (before.layer !== after.layer) changed.push("layer");
+  for (const key of ["geometry", "text", "block"]) {
+    if ((before.fields[key] ?? null) !== (after.fields[key] ?? null)) changed.push(key);
+  }
+  return changed;
+}
+
+/**
+ * Pair the entities of two drawings.
+ * @returns {{
+ *   unchanged: Array<{ before: object, after: object }>,
+ *   modified: Array<{ before: object, after: object, changed: string[], matchedBy: string }>,
+ *   added: object[],
+ *   removed: object[],
+ *   matchedBy: { handle: number, geometry: number, anchor: number },
+ * }}
+ */
+function classifyDxfEntities(beforeParsed, afterParsed) {
+  const A = comparableEntities(beforeParsed);
+  const B = comparableEntities(afterParsed);
+  const usedB = new Set();
+  const result = {
+    unchanged: [],
+    modified: [],
+    added: [],
+    removed: [],
+    matchedBy: { handle: 0, geometry: 0, anchor: 0 },
+  };
+  const pending = [];
+
+  const pair = (a, b, matchedBy) => {
+    usedB.add(b);
+    result.matchedBy[matchedBy] += 1;
+    const changed = changedFields(a, b);
+    if (changed.length) result.modified.push({ before: a, after: b, changed, matchedBy });
+    else result.unchanged.push({ before: a, after: b });
+  };
+
+  // 1. handles (only when unique in the revised drawing)
+  const byHandle = new Map();
+  const dupHandles = new Set();
+  for (const b of B) {
+    if (!b.handle) continue;
+    if (byHandle.has(b.handle)) dupHandles.add(b.handle);
+    byHandle.set(b.handle, b);
+  }
+  for (const a of A) {
+    const b = a.handle && !dupHandles.has(a.handle) ? byHandle.get(a.handle) : null;
+    if (b && b.kind === a.kind && !usedB.has(b)) pair(a, b, "handle");
+    else pending.push(a);
+  }
+
+  // 2. identical geometry on the same layer, 3. same anchor on the same layer
+  const queues = (keyOf) => {
+    const map = new Map();
+    for (const b of B) {
+      if (usedB.has(b)) continue;
+      const key = keyOf(b);
+      if (key == null) continue;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(b);
+    }
+    return map;
+  };
+  const passes = [
+    ["geometry", (e) => `${e.layer}\u0000${e.sig}`],
+    ["anchor", (e) => (e.anchor ? `${e.layer}\u0000${e.kind}\u0000${e.anchor}` : null)],
+  ];
+  let rest = pending;
+  for (const [matchedBy, keyOf] of passes) {
+    const map = queues(keyOf);
+    const next = [];
+    for (const a of rest) {
+      const key = keyOf(a);
+      const queue = key != null ? map.get(key) : null;
+      const b = queue && queue.shift();
+      if (b) pair(a, b, matchedBy);
+      else next.push(a);
+    }
+    rest = next;
+  }
+
+  result.removed = rest;
+  result.added = B.filter((b) => !usedB.has(b));
+  return result;
+}
+
+function describe(e) {
+  return { kind: e.kind, layer: e.layer, handle: e.handle, ...e.fields };
+}
+
+function capped(list, map) {
+  return list.slice(0, MAX_LISTED_CHANGES).map(map);
+}
+
+/**
+ * JSON report: totals, per-layer counts, layer table / unit changes and (capped) entity lists.
+ * @param {ReturnType<typeof classifyDxfEntities>} classified
+ */
+function buildDxfDiffReport(classified, beforeParsed, afterParsed) {
+  const byLayer = new Map();
+  const bump = (layer, field) => {
+    if (!byLayer.has(layer)) byLayer.set(layer, { layer, added: 0, removed: 0, modified: 0, unchanged: 0 });
+    byLayer.get(layer)[field] += 1;
+  };
+  for (const { after } of classified.unchanged) bump(after.layer, "unchanged");
+  for (const { after } of classified.modified) bump(after.layer, "modified");
+  for (const e of classified.added) bump(e.layer, "added");
+  for (const e of classified.removed) bump(e.layer, "removed");
+
+  const beforeLayers = new Set(beforeParsed.layers || []);
+  const afterLayers = new Set(afterParsed.layers || []);
+  const layersAdded = [...afterLayers].filter((l) => !beforeLayers.has(l));
+  const layersRemoved = [...beforeLayers].filter((l) => !afterLayers.has(l));
+  const unitsChanged = (beforeParsed.units?.code ?? null) !== (afterParsed.units?.code ?? null);
+
+  const summary = {
+    added: classified.added.length,
+    removed: classified.removed.length,
+    modified: classified.modified.length,
+    unchanged: classified.unchanged.length,
+  };
+  const listed = Math.max(summary.added, summary.removed, summary.modified);
+  return {
+    diffVersion: DXF_DIFF_VERSION,
+    identical:
+      summary.added + summary.removed + summary.modified === 0 &&
+      !layersAdded.length &&
+      !layersRemoved.length &&
+      !unitsChanged,
+    summary,
+    matchedBy: classified.matchedBy,
+    units: {
+      before: beforeParsed.units?.name ?? null,
+      after: afterParsed.units?.name ?? null,
+      changed: unitsChanged,
+    },
+    layerTable: { added: layersAdded, removed: layersRemoved },
+    byLayer: [...byLayer.values()].sort((x, y) => x.layer.localeCompare(y.layer)),
+    changes: {
+      added: capped(classified.added, describe),
+      removed: capped(classified.removed, describe),
+      modified: capped(classified.modified, (m) => ({
+        kind: m.after.kind,
+        handle: m.after.handle || m.before.handle,
+        changed: m.changed,
+        matchedBy: m.matchedBy,
+        before: describe(m.before),
+        after: describe(m.after),
+      })),
+    },
+    truncated: listed > MAX_LISTED_CHANGES,
+  };
+}
+
+module.exports = {
+  DXF_DIFF_VERSION,
+  DIFF_PRECISION,
+  MAX_LISTED_CHANGES,
+  comparableEntities,
+  classifyDxfEntities,
+  buildDxfDiffReport,
+};
@@ -0,0 +1,378 @@
+/**
+ * Minimal ASCII DXF reader for server-side QC checks (M-08) and generated previews.
+ * Reads group-code pairs and extracts what the 11E checklist needs: header units / extents,
+ * layers, entity counts, 2D polylines, lines, arcs / circles, texts and block inserts.
+ * Model space only (block contents are not expanded); no binary DXF.
+ */
+
+/** $INSUNITS codes (AutoCAD). */
+const DXF_UNITS = Object.freeze({
+  0: "Unitless",
+  1: "Inches",
+  2: "Feet",
+  3: "Miles",
+  4: "Millimeters",
+  5: "Centimeters",
+  6: "Meters",
+  7: "Kilometers",
+  8: "Microinches",
+  9: "Mils",
+  10: "Yards",
+  14: "Decimeters",
+});
+
+/** AutoCAD writes ±1e20 into $EXTMIN/$EXTMAX for an empty drawing. */
+const EXTENTS_SENTINEL = 1e19;
+
+const EPSILON = 1e-9;
+
+function isBinaryDxf(buf) {
+  return Buffer.isBuffer(buf) && buf.subarray(0, 18).toString("latin1") === "AutoCAD Binary DXF";
+}
+
+/**
+ * Split DXF text into [code, value] pairs.
+ * @throws {Error} when a group code line is not an integer
+ */
+function readPairs(text) {
+  const lines = String(text || "").split(/\r\n|\r|\n/);
+  if (lines.length && lines[lines.length - 1].trim() === "") lines.pop();
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = Number.parseInt(lines[i].trim(), 10);
+    if (!Number.isFinite(code)) {
+      throw new Error(`Invalid DXF group code at line ${i + 1}`);
+    }
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+function num(value) {
+  const n = Number.parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Group pairs into records that start at group code 0, tagged with their section. */
+function readRecords(pairs) {
+  const records = [];
+  let section = null;
+  let current = null;
+  for (let i = 0; i < pairs.length; i += 1) {
+    const [code, value] = pairs[i];
+    if (code === 0) {
+      if (value === "SECTION") {
+        const next = pairs[i + 1];
+        section = next && next[0] === 2 ? next[1].toUpperCase() : null;
+        current = null;
+        i += 1;
+        continue;
+      }
+      if (value === "ENDSEC") {
+        section = null;
+        current = null;
+        continue;
+      }
+      if (value === "EOF") break;
+      current = { type: value.toUpperCase(), section, groups: [] };
+      records.push(current);
+      continue;
+    }
+    if (section === "HEADER") {
+      records.push({ type: "HEADER_VAR", section, groups: [[code, value]] });
+      continue;
+    }
+    if (current) current.groups.push([code, value]);
+  }
+  return records;
+}
+
+function readHeader(records) {
+  const header = {};
+  let name = null;
+  for (const r of records) {
+    if (r.type !== "HEADER_VAR") continue;
+    const [code, value] = r.groups[0];
+    if (code === 9) {
+      name = value;
+      header[name] = {};
+    } else if (name) {
+      header[name][code] = value;
+    }
+  }
+  return header;
+}
+
+function first(groups, code) {
+  const g = groups.find((p) => p[0] === code);
+  return g ? g[1] : null;
+}
+
+/** Vertex list from consecutive 10/20 groups (LWPOLYLINE). */
+function lwVertices(groups) {
+  const out = [];
+  for (let i = 0; i < groups.length; i += 1) {
+    if (groups[i][0] !== 10) continue;
+    const x = num(groups[i][1]);
+    const yGroup = groups[i + 1];
+    const y = yGroup && yGroup[0] === 20 ? num(yGroup[1]) : null;
+    if (x != null && y != null) out.push({ x, y });
+  }
+  return out;
+}
+
+function point(groups, xCode = 10, yCode = 20) {
+  const x = num(first(groups, xCode));
+  const y = num(first(groups, yCode));
+  return x != null && y != null ? { x, y } : null;
+}
+
+function samePoint(a, b) {
+  return Math.abs(a.x - b.x) <= EPSILON && Math.abs(a.y - b.y) <= EPSILON;
+}
+
+/**
+ * Parse ASCII DXF text.
+ * @param {string} text
+ * @returns {{
+ *   acadVersion: string|null,
+ *   units: { code: number|null, name: string|null },
+ *   headerExtents: { min: {x,y}, max: {x,y} } | null,
+ *   layers: string[],
+ *   blocks: Array<{ name: string, texts: string[] }>,
+ *   entities: Array<{ type: string, layer: string }>,
+ *   polylines: Array<{ layer: string, handle: string|null, closed: boolean, vertices: Array<{x,y}> }>,
+ *   lines: Array<{ layer: string, handle: string|null, a: {x,y}, b: {x,y} }>,
+ *   arcs: Array<{ layer: string, handle: string|null, center: {x,y}, radius: number, startAngle: number, endAngle: number }>,
+ *   texts: Array<{ layer: string, handle: string|null, value: string, at: {x,y}|null, height: number|null, rotation: number }>,
+ *   inserts: Array<{ layer: string, handle: string|null, block: string, at: {x,y}|null }>,
+ *   points: Array<{x,y}>
+ * }}
+ */
+function parseDxf(text) {
+  const records = readRecords(readPairs(text));
+  const header = readHeader(records);
+
+  const insUnits = header.$INSUNITS ? Number.parseInt(header.$INSUNITS[70], 10) : null;
+  const extMin = header.$EXTMIN ? { x: num(header.$EXTMIN[10]), y: num(header.$EXTMIN[20]) } : null;
+  const extMax = header.$EXTMAX ? { x: num(header.$EXTMAX[10]), y: num(header.$EXTMAX[20]) } : null;
+  const extentsValid =
+    extMin && extMax &&
+    [extMin.x, extMin.y, extMax.x, extMax.y].every((v) => v != null && Math.abs(v) < EXTENTS_SENTINEL) &&
+    extMax.x >= extMin.x && extMax.y >= extMin.y;
+
+  const out = {
+    acadVersion: header.$ACADVER ? header.$ACADVER[1] || null : null,
+    units: {
+      code: Number.isFinite(insUnits) ? insUnits : null,
+      name: Number.isFinite(insUnits) ? DXF_UNITS[insUnits] || `Code ${insUnits}` : null,
+    },
+    headerExtents: extentsValid ? { min: extMin, max: extMax } : null,
+    layers: [],
+    blocks: [],
+    entities: [],
+    polylines: [],
+    lines: [],
+    arcs: [],
+    texts: [],
+    inserts: [],
+    points: [],
+  };
+
+  let block = null;
+  let openPolyline = null;
+  for (const r of records) {
+    if (r.section === "TABLES" && r.type === "LAYER") {
+      const name = first(r.groups, 2);
+      if (name) out.layers.push(name);
+      continue;
+    }
+    if (r.section === "BLOCKS") {
+      if (r.type === "BLOCK") {
+        block = { name: first(r.groups, 2) || "", texts: [] };
+        out.blocks.push(block);
+      } else if (r.type === "ENDBLK") {
+        block = null;
+      } else if (block && (r.type === "TEXT" || r.type === "MTEXT" || r.type === "ATTDEF")) {
+        const value = first(r.groups, 1) || first(r.groups, 3);
+        if (value) block.texts.push(value);
+      }
+      continue;
+    }
+    if (r.section !== "ENTITIES") continue;
+
+    if (openPolyline) {
+      if (r.type === "VERTEX") {
+        const p = point(r.groups);
+        if (p) {
+          openPolyline.vertices.push(p);
+          out.points.push(p);
+        }
+        continue;
+      }
+      if (r.type === "SEQEND") {
+        openPolyline = null;
+        continue;
+      }
+      openPolyline = null;
+    }
+
+    const layer = first(r.groups, 8) || "0";
+    // Group 5 handle: stable across saves of the same drawing (revision diffs match on it).
+    const handle = first(r.groups, 5);
+    out.entities.push({ type: r.type, layer });
+
+    if (r.type === "LWPOLYLINE" || r.type === "POLYLINE") {
+      const flags = Number.parseInt(first(r.groups, 70) || "0", 10) || 0;
+      const poly = {
+        layer,
+        handle,
+        closed: (flags & 1) === 1,
+        vertices: r.type === "LWPOLYLINE" ? lwVertices(r.groups) : [],
+      };
+      out.polylines.push(poly);
+      out.points.push(...poly.vertices);
+      if (r.type === "POLYLINE") openPolyline = poly;
+    } else if (r.type === "LINE") {
+      const a = point(r.groups, 10, 20);
+      const b = point(r.groups, 11, 21);
+      if (a) out.points.push(a);
+      if (b) out.points.push(b);
+      if (a && b) out.lines.push({ layer, handle, a, b });
+    } else if (r.type === "ARC" || r.type === "CIRCLE") {
+      const center = point(r.groups);
+      const radius = num(first(r.groups, 40));
+      if (center) out.points.push(center);
+      if (center && radius != null && radius > 0) {
+        // DXF angles are degrees, counter-clockwise; a circle is a full sweep.
+        const full = r.type === "CIRCLE";
+        out.arcs.push({
+          layer,
+          handle,
+          center,
+          radius,
+          startAngle: full ? 0 : num(first(r.groups, 50)) ?? 0,
+          endAngle: full ? 360 : num(first(r.groups, 51)) ?? 360,
+        });
+      }
+    } else if (r.type === "TEXT" || r.type === "MTEXT") {
+      // MTEXT continues long strings in group 3 chunks before the final group 1.
+      const chunks = r.groups.filter((g) => g[0] === 3).map((g) => g[1]);
+      const value = (r.type === "MTEXT" ? [...chunks, first(r.groups, 1)] : [first(r.groups, 1), ...chunks])
+        .filter(Boolean)
+        .join("");
+      const p = point(r.groups);
+      out.texts.push({
+        layer,
+        handle,
+        value,
+        at: p,
+        height: num(first(r.groups, 40)),
+        rotation: num(first(r.groups, 50)) ?? 0,
+      });
+      if (p) out.points.push(p);
+    } else if (r.type === "INSERT") {
+      const p = point(r.groups);
+      out.inserts.push({ layer, handle, block: first(r.groups, 2) || "", at: p });
+      if (p) out.points.push(p);
+    } else {
+      const p = point(r.groups);
+      if (p) out.points.push(p);
+    }
+  }
+
+  // "Closed" also covers polylines whose last vertex repeats the first.
+  for (const poly of out.polylines) {
+    const v = poly.vertices;
+    if (!poly.closed && v.length >= 4 && samePoint(v[0], v[v.length - 1])) {
+      poly.closed = true;
+      v.pop();
+    }
+  }
+  return out;
+}
+
+/** Bounding box of points, or null. */
+function computeExtents(points) {
+  if (!points.length) return null;
+  const min = { x: Infinity, y: Infinity };
+  const max = { x: -Infinity, y: -Infinity };
+  for (const p of points) {
+    if (p.x < min.x) min.x = p.x;
+    if (p.y < min.y) min.y = p.y;
+    if (p.x > max.x) max.x = p.x;
+    if (p.y > max.y) max.y = p.y;
+  }
+  return { min, max };
+}
+
+/** Shoelace area (absolute) of a closed ring. */
+function polygonArea(vertices) {
+  let sum = 0;
+  for (let i = 0; i < vertices.length; i += 1) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+function orientation(a, b, c) {
+  const v = (b.y - a.y) * (c.x - b.x) - (b.x - a.x) * (c.y - b.y);
+  if (Math.abs(v) <= EPSILON) return 0;
+  return v > 0 ? 1 : 2;
+}
+
+function onSegment(a, b, c) {
+  return (
+    b.x <= Math.max(a.x, c.x) + EPSILON && b.x >= Math.min(a.x, c.x) - EPSILON &&
+    b.y <= Math.max(a.y, c.y) + EPSILON && b.y >= Math.min(a.y, c.y) - EPSILON
+  );
+}
+
+/** Segments p1–q1 and p2–q2 touch or cross (collinear overlap included). */
+function segmentsIntersect(p1, q1, p2, q2) {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+  if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+  if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+  if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+  return false;
+}
+
+/**
+ * True when any two non-adjacent segments of the polyline touch or cross. O(n²).
+ * @param {Array<{x,y}>} vertices
+ * @param {boolean} closed
+ */
+function polylineSelfIntersects(vertices, closed) {
+  const n = vertices.length;
+  const segCount = closed ? n : n - 1;
+  if (segCount < 3) return false;
+  for (let i = 0; i < segCount; i += 1) {
+    const a1 = vertices[i];
+    const a2 = vertices[(i + 1) % n];
+    for (let j = i + 2; j < segCount; j += 1) {
+      if (closed && i === 0 && j === segCount - 1) continue; // shares vertex 0
+      const b1 = vertices[j];
+      const b2 = vertices[(j + 1) % n];
+      if (segmentsIntersect(a1, a2, b1, b2)) return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  DXF_UNITS,
+  isBinaryDxf,
+  readPairs,
+  parseDxf,
+  computeExtents,
+  polygonArea,
+  segmentsIntersect,
+  polylineSelfIntersects,
+};
@@ -0,0 +1,348 @@
+/**
+ * Render a parsed DXF (see dxfParser.parseDxf) to a one-page watermarked PDF preview.
+ * Draws model-space lines, polylines, arcs / circles and text, fitted to an A3 landscape sheet,
+ * with the application ID and surveyor name stamped across the drawing and in the title strip.
+ * Also renders revision diff overlays (see dxfDiff.classifyDxfEntities) on the same sheet.
+ * Pure: no I/O.
+ */
+
+const {
+  PAGE_SIZES,
+  PDF_FONTS,
+  PDF_WATERMARK_GS,
+  estimateTextWidth,
+  textOps,
+  pathOps,
+  buildPdf,
+} = require("./pdf");
+const { computeExtents } = require("./dxfParser");
+
+const MARGIN = 28;
+const TITLE_STRIP_HEIGHT = 40;
+/** Segments (lines + polyline edges + arc steps) drawn before the preview is truncated. */
+const MAX_PREVIEW_SEGMENTS = 60000;
+const MAX_PREVIEW_TEXTS = 4000;
+const MIN_TEXT_PT = 3;
+const ARC_STEP_DEGREES = 6;
+
+/** Strip MTEXT inline formatting (\P paragraph breaks, \f…; font codes, braces). */
+function plainText(value) {
+  return String(value || "")
+    .replace(/\\P/g, " ")
+    .replace(/\\[A-Za-z][^;\\{}]*;/g, "")
+    .replace(/\\~/g, " ")
+    .replace(/[{}]/g, "")
+    .trim();
+}
+
+/** Points along an arc; angles in degrees, counter-clockwise from start to end. */
+function arcPoints({ center, radius, startAngle, endAngle }) {
+  let sweep = endAngle - startAngle;
+  while (sweep <= 0) sweep += 360;
+  if (sweep > 360) sweep = 360;
+  const steps = Math.max(2, Math.ceil(sweep / ARC_STEP_DEGREES));
+  const out = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const a = ((startAngle + (sweep * i) / steps) * Math.PI) / 180;
+    out.push({ x: center.x + radius * Math.cos(a), y: center.y + radius * Math.sin(a) });
+  }
+  return out;
+}
+
+/** Bounds over everything the preview draws (header extents are often stale). */
+function drawingBounds(parsed) {
+  const pts = [];
+  for (const l of parsed.lines || []) pts.push(l.a, l.b);
+  for (const p of parsed.polylines || []) pts.push(...p.vertices);
+  for (const a of parsed.arcs || []) {
+    pts.push(
+      { x: a.center.x - a.radius, y: a.center.y - a.radius },
+      { x: a.center.x + a.radius, y: a.center.y + a.radius }
+    );
+  }
+  for (const t of parsed.texts || []) if (t.at) pts.push(t.at);
+  return computeExtents(pts) || parsed.headerExtents || null;
+}
+
+function watermarkOps(page, label) {
+  const size = 22;
+  const stepX = estimateTextWidth(label, size) + 80;
+  const stepY = 130;
+  const ops = ["q", `/${PDF_WATERMARK_GS} gs`, "0.55 0.1 0.1 rg"];
+  for (let y = -page.height; y < page.height * 1.5; y += stepY) {
+    for (let x = -page.width / 2; x < page.width * 1.2; x += stepX) {
+      ops.push(textOps(label, { x, y, size, font: PDF_FONTS.BOLD, rotation: 30 }));
+    }
+  }
+  ops.push("Q");
+  return ops;
+}
+
+/** Fit `bounds` into the drawing area of the sheet; returns the point transform and scale. */
+function fitTransform(page, bounds) {
+  const area = {
+    x: MARGIN + 6,
+    y: MARGIN + TITLE_STRIP_HEIGHT + 6,
+    w: page.width - 2 * MARGIN - 12,
+    h: page.height - 2 * MARGIN - TITLE_STRIP_HEIGHT - 12,
+  };
+  const spanX = bounds ? Math.max(bounds.max.x - bounds.min.x, 1e-6) : 1;
+  const spanY = bounds ? Math.max(bounds.max.y - bounds.min.y, 1e-6) : 1;
+  const scale = Math.min(area.w / spanX, area.h / spanY);
+  const offX = area.x + (area.w - spanX * scale) / 2;
+  const offY = area.y + (area.h - spanY * scale) / 2;
+  const tx = (p) => ({
+    x: offX + (p.x - (bounds ? bounds.min.x : 0)) * scale,
+    y: offY + (p.y - (bounds ? bounds.min.y : 0)) * scale,
+  });
+  return { area, scale, tx };
+}
+
+function titleStripOps(page, lines) {
+  const top = MARGIN + TITLE_STRIP_HEIGHT;
+  return [
+    "q 0.4 w 0 0 0 RG",
+    `${MARGIN} ${MARGIN} ${page.width - 2 * MARGIN} ${TITLE_STRIP_HEIGHT} re S`,
+    `${MARGIN} ${top} ${page.width - 2 * MARGIN} ${page.height - top - MARGIN} re S`,
+    "0 0 0 rg",
+    textOps(lines[0], { x: MARGIN + 8, y: MARGIN + 24, size: 10, font: PDF_FONTS.BOLD }),
+    textOps(lines[1], { x: MARGIN + 8, y: MARGIN + 10, size: 7.5 }),
+    "Q",
+  ];
+}
+
+/**
+ * @param {ReturnType<import("./dxfParser").parseDxf>} parsed
+ * @param {{
+ *   applicationId?: string|null,
+ *   surveyorName?: string|null,
+ *   sourceFileName?: string|null,
+ *   generatedAt?: Date,
+ * }} stamp
+ * @returns {{ pdf: Buffer, stats: { segments: number, texts: number, truncated: boolean, empty: boolean } }}
+ */
+function renderDxfPreviewPdf(parsed, stamp = {}) {
+  const page = PAGE_SIZES.A3_LANDSCAPE;
+  const generatedAt = stamp.generatedAt instanceof Date ? stamp.generatedAt : new Date();
+  const applicationId = stamp.applicationId || "—";
+  const surveyorName = stamp.surveyorName || "—";
+
+  const { area, scale, tx } = fitTransform(page, drawingBounds(parsed));
+
+  const ops = ["q 0.5 w 1 J 1 j 0 0 0 RG"];
+  let segments = 0;
+  let truncated = false;
+  const budget = (count) => {
+    if (segments + count > MAX_PREVIEW_SEGMENTS) {
+      truncated = true;
+      return false;
+    }
+    segments += count;
+    return true;
+  };
+
+  for (const l of parsed.lines || []) {
+    if (!budget(1)) break;
+    ops.push(pathOps([tx(l.a), tx(l.b)]));
+  }
+  for (const p of parsed.polylines || []) {
+    if (p.vertices.length < 2) continue;
+    if (!budget(p.vertices.length)) break;
+    ops.push(pathOps(p.vertices.map(tx), p.closed));
+  }
+  for (const a of parsed.arcs || []) {
+    const pts = arcPoints(a);
+    if (!budget(pts.length - 1)) break;
+    ops.push(pathOps(pts.map(tx)));
+  }
+  ops.push("Q");
+
+  let texts = 0;
+  ops.push("q 0 0 0 rg");
+  for (const t of parsed.texts || []) {
+    if (!t.at) continue;
+    const value = plainText(t.value);
+    if (!value) continue;
+    if (texts >= MAX_PREVIEW_TEXTS) {
+      truncated = true;
+      break;
+    }
+    const size = Math.max(MIN_TEXT_PT, (t.height || 2.5) * scale);
+    const at = tx(t.at);
+    ops.push(textOps(value, { x: at.x, y: at.y, size, rotation: t.rotation || 0 }));
+    texts += 1;
+  }
+  ops.push("Q");
+
+  const empty = segments === 0 && texts === 0;
+  if (empty) {
+    ops.push(textOps("No drawable entities in model space", {
+      x: area.x + area.w / 2 - 120,
+      y: area.y + area.h / 2,
+      size: 14,
+    }));
+  }
+
+  ops.push(...watermarkOps(page, `${applicationId} · ${surveyorName}`));
+  ops.push(
+    ...titleStripOps(page, [
+      `PREVIEW — NOT TO SCALE — Application ${applicationId} — Surveyor ${surveyorName}`,
+      `Generated ${generatedAt.toISOString()} from ${stamp.sourceFileName || "DXF source"}` +
+        (parsed.units?.name ? ` · units ${parsed.units.name}` : "") +
+        (truncated ? " · large drawing: preview truncated" : ""),
+    ])
+  );
+
+  const pdf = buildPdf([{ width: page.width, height: page.height, content: ops.join("\n") }], {
+    title: `Preview ${applicationId}`,
+    creationDate: generatedAt,
+  });
+  return { pdf, stats: { segments, texts, truncated, empty } };
+}
+
+/** Diff overlay colours (RGB fill / stroke). */
+const DIFF_STYLES = Object.freeze({
+  unchanged: { color: "0.72 0.72 0.72", width: 0.4, dash: null },
+  removed: { color: "0.85 0.1 0.1", width: 1.1, dash: null },
+  added: { color: "0.05 0.6 0.2", width: 1.1, dash: null },
+  modifiedBefore: { color: "0.95 0.55 0", width: 0.9, dash: "[3 2] 0" },
+  modifiedAfter: { color: "0.1 0.3 0.85", width: 1.1, dash: null },
+});
+
+/** Drawable points of one diff entity (dxfDiff.comparableEntities item). */
+function entityPoints(e) {
+  const s = e.src;
+  if (e.kind === "LINE") return [s.a, s.b];
+  if (e.kind === "POLYLINE") return s.vertices;
+  if (e.kind === "ARC" || e.kind === "CIRCLE") {
+    return [
+      { x: s.center.x - s.radius, y: s.center.y - s.radius },
+      { x: s.center.x + s.radius, y: s.center.y + s.radius },
+    ];
+  }
+  return s.at ? [s.at] : [];
+}
+
+/** PDF ops for one diff entity; inserts are drawn as a small cross at the insertion point. */
+function entityOps(e, tx, scale) {
+  const s = e.src;
+  if (e.kind === "LINE") return { ops: pathOps([tx(s.a), tx(s.b)]), segments: 1 };
+  if (e.kind === "POLYLINE") {
+    if (s.vertices.length < 2) return { ops: "", segments: 0 };
+    return { ops: pathOps(s.vertices.map(tx), s.closed), segments: s.vertices.length };
+  }
+  if (e.kind === "ARC" || e.kind === "CIRCLE") {
+    const pts = arcPoints(s);
+    return { ops: pathOps(pts.map(tx)), segments: pts.length - 1 };
+  }
+  if (!s.at) return { ops: "", segments: 0 };
+  const at = tx(s.at);
+  if (e.kind === "INSERT") {
+    const cross = [
+      pathOps([{ x: at.x - 3, y: at.y - 3 }, { x: at.x + 3, y: at.y + 3 }]),
+      pathOps([{ x: at.x - 3, y: at.y + 3 }, { x: at.x + 3, y: at.y - 3 }]),
+    ];
+    return { ops: cross.join("\n"), segments: 2 };
+  }
+  const value = plainText(s.value);
+  if (!value) return { ops: "", segments: 0 };
+  const size = Math.max(MIN_TEXT_PT, (s.height || 2.5) * scale);
+  return { ops: textOps(value, { x: at.x, y: at.y, size, rotation: s.rotation || 0 }), segments: 1 };
+}
+
+/**
+ * Overlay of two DXF revisions: unchanged grey, removed red, added green, modified orange (dashed,
+ * previous) over blue (revised). Changes are drawn first within the segment budget so a huge
+ * unchanged drawing cannot crowd them out.
+ * @param {ReturnType<import("./dxfDiff").classifyDxfEntities>} classified
+ * @param {{
+ *   applicationId?: string|null,
+ *   surveyorName?: string|null,
+ *   fromLabel?: string,
+ *   toLabel?: string,
+ *   generatedAt?: Date,
+ * }} stamp
+ * @returns {{ pdf: Buffer, stats: { segments: number, truncated: boolean } }}
+ */
+function renderDxfDiffOverlayPdf(classified, stamp = {}) {
+  const page = PAGE_SIZES.A3_LANDSCAPE;
+  const generatedAt = stamp.generatedAt instanceof Date ? stamp.generatedAt : new Date();
+  const applicationId = stamp.applicationId || "—";
+  const surveyorName = stamp.surveyorName || "—";
+
+  const layers = [
+    ["removed", classified.removed],
+    ["added", classified.added],
+    ["modifiedBefore", classified.modified.map((m) => m.before)],
+    ["modifiedAfter", classified.modified.map((m) => m.after)],
+    ["unchanged", classified.unchanged.map((u) => u.after)],
+  ];
+  const bounds = computeExtents(layers.flatMap(([, list]) => list.flatMap(entityPoints)));
+  const { scale, tx } = fitTransform(page, bounds);
+
+  let segments = 0;
+  let truncated = false;
+  const drawn = {};
+  for (const [style, list] of layers) {
+    const ops = [];
+    for (const e of list) {
+      const out = entityOps(e, tx, scale);
+      if (!out.ops) continue;
+      if (segments + out.segments > MAX_PREVIEW_SEGMENTS) {
+        truncated = true;
+        break;
+      }
+      segments += out.segments;
+      ops.push(out.ops);
+    }
+    drawn[style] = ops;
+  }
+
+  const ops = [];
+  for (const style of ["unchanged", "modifiedBefore", "removed", "added", "modifiedAfter"]) {
+    if (!drawn[style].length) continue;
+    const { color, width, dash } = DIFF_STYLES[style];
+    ops.push(`q ${width} w 1 J 1 j ${color} RG ${color} rg${dash ? ` ${dash} d` : ""}`, ...drawn[style], "Q");
+  }
+
+  const legend = [
+    ["removed", `Removed ${classified.removed.length}`],
+    ["added", `Added ${classified.added.length}`],
+    ["modifiedBefore", `Modified ${classified.modified.length} (previous)`],
+    ["modifiedAfter", "(revised)"],
+    ["unchanged", `Unchanged ${classified.unchanged.length}`],
+  ];
+  let lx = page.width - MARGIN - 8 - legend.reduce((w, [, label]) => w + estimateTextWidth(label, 8) + 22, 0);
+  ops.push("q");
+  for (const [style, label] of legend) {
+    const { color } = DIFF_STYLES[style];
+    ops.push(`${color} rg ${lx} ${MARGIN + 22} 10 6 re f`);
+    ops.push("0 0 0 rg", textOps(label, { x: lx + 13, y: MARGIN + 22, size: 8 }));
+    lx += estimateTextWidth(label, 8) + 22;
+  }
+  ops.push("Q");
+
+  ops.push(...watermarkOps(page, `${applicationId} · ${surveyorName}`));
+  ops.push(
+    ...titleStripOps(page, [
+      `REVISION DIFF — NOT TO SCALE — Application ${applicationId} — ` +
+        `${stamp.fromLabel || "previous"} -> ${stamp.toLabel || "revised"}`,
+      `Generated ${generatedAt.toISOString()} · Surveyor ${surveyorName}` +
+        (truncated ? " · large drawing: overlay truncated" : ""),
+    ])
+  );
+
+  const pdf = buildPdf([{ width: page.width, height: page.height, content: ops.join("\n") }], {
+    title: `Revision diff ${applicationId}`,
+    creationDate: generatedAt,
+  });
+  return { pdf, stats: { segments, truncated } };
+}
+
+module.exports = {
+  MAX_PREVIEW_SEGMENTS,
+  plainText,
+  arcPoints,
+  renderDxfPreviewPdf,
+  renderDxfDiffOverlayPdf,
+};
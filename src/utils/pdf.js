@@ -0,0 +1,168 @@
+/**
+ * Minimal PDF 1.4 writer (no dependencies).
+ * Callers supply raw content-stream operators per page; this module handles escaping, fonts,
+ * object offsets and the xref table. Standard Helvetica only (WinAnsi) — characters outside
+ * WinAnsi are replaced with "?".
+ */
+
+const zlib = require("zlib");
+
+/** Page sizes in points (1/72 inch). */
+const PAGE_SIZES = Object.freeze({
+  A4_PORTRAIT: Object.freeze({ width: 595.28, height: 841.89 }),
+  A4_LANDSCAPE: Object.freeze({ width: 841.89, height: 595.28 }),
+  A3_LANDSCAPE: Object.freeze({ width: 1190.55, height: 841.89 }),
+});
+
+/** Font resource names usable in content streams. */
+const PDF_FONTS = Object.freeze({
+  REGULAR: "F1",
+  BOLD: "F2",
+});
+
+/** Graphics state for translucent overlays (watermarks). */
+const PDF_WATERMARK_GS = "GS1";
+
+/** Format a number for a content stream (fixed precision, no exponent). */
+function n(value, digits = 2) {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return "0";
+  const f = 10 ** digits;
+  return String(Math.round(v * f) / f);
+}
+
+/** WinAnsi code points for common punctuation outside Latin-1. */
+const WIN_ANSI_EXTRAS = Object.freeze({
+  "\u2013": "\x96",
+  "\u2014": "\x97",
+  "\u2018": "\x91",
+  "\u2019": "\x92",
+  "\u201c": "\x93",
+  "\u201d": "\x94",
+  "\u2022": "\x95",
+  "\u20ac": "\x80",
+});
+
+/** Replace characters the standard fonts cannot encode with "?" (keeps Unicode for WinAnsi extras). */
+function winAnsiText(value) {
+  return String(value == null ? "" : value).replace(/[^\x20-\x7e\xa0-\xff]/g, (c) =>
+    WIN_ANSI_EXTRAS[c] ? c : "?"
+  );
+}
+
+/** Escape a string as a PDF literal: "(…)". */
+function pdfString(value) {
+  const text = winAnsiText(value)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, (c) => WIN_ANSI_EXTRAS[c])
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+  return `(${text})`;
+}
+
+/** Rough Helvetica advance width (average glyph ≈ 0.52 em) for layout. */
+function estimateTextWidth(text, size) {
+  return String(text || "").length * size * 0.52;
+}
+
+/**
+ * Text-showing operators. rotation is in degrees, counter-clockwise.
+ * @param {string} text
+ * @param {{ x: number, y: number, size: number, font?: string, rotation?: number }} opts
+ */
+function textOps(text, { x, y, size, font = PDF_FONTS.REGULAR, rotation = 0 }) {
+  const rad = (Number(rotation) || 0) * (Math.PI / 180);
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return `BT /${font} ${n(size)} Tf ${n(cos, 4)} ${n(sin, 4)} ${n(-sin, 4)} ${n(cos, 4)} ${n(x)} ${n(y)} Tm ${pdfString(text)} Tj ET`;
+}
+
+/** Open polyline path ("S") or closed ("s"). */
+function pathOps(points, closed = false) {
+  if (!points || points.length < 2) return "";
+  const [head, ...rest] = points;
+  return `${n(head.x)} ${n(head.y)} m ${rest.map((p) => `${n(p.x)} ${n(p.y)} l`).join(" ")} ${closed ? "s" : "S"}`;
+}
+
+/**
+ * Serialise pages into a PDF buffer.
+ * @param {Array<{ width: number, height: number, content: string }>} pages
+ * @param {{ title?: string, author?: string, creationDate?: Date }} [info]
+ * @returns {Buffer}
+ */
+function buildPdf(pages, info = {}) {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw new Error("buildPdf requires at least one page");
+  }
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontRegularId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const fontBoldId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const gsId = add("<< /Type /ExtGState /ca 0.16 /CA 0.16 >>");
+  const resources =
+    `<< /Font << /${PDF_FONTS.REGULAR} ${fontRegularId} 0 R /${PDF_FONTS.BOLD} ${fontBoldId} 0 R >> ` +
+    `/ExtGState << /${PDF_WATERMARK_GS} ${gsId} 0 R >> >>`;
+
+  const pageIds = pages.map((page) => {
+    const stream = zlib.deflateSync(Buffer.from(String(page.content || ""), "latin1"));
+    const contentId = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${n(page.width)} ${n(page.height)}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+
+  const d = info.creationDate instanceof Date ? info.creationDate : new Date();
+  const stamp = d.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  const infoId = add(
+    `<< /Producer ${pdfString("cad-backend-api")} /CreationDate ${pdfString(`D:${stamp}Z`)}` +
+      (info.title ? ` /Title ${pdfString(info.title)}` : "") +
+      (info.author ? ` /Author ${pdfString(info.author)}` : "") +
+      " >>"
+  );
+
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(offset);
+    const parts =
+      body && typeof body === "object"
+        ? [
+            Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, "latin1"),
+            body.stream,
+            Buffer.from("\nendstream\nendobj\n", "latin1"),
+          ]
+        : [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")];
+    for (const p of parts) {
+      chunks.push(p);
+      offset += p.length;
+    }
+  });
+
+  const xref =
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+    `startxref\n${offset}\n%%EOF\n`;
+  chunks.push(Buffer.from(xref, "latin1"));
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAGE_SIZES,
+  PDF_FONTS,
+  PDF_WATERMARK_GS,
+  winAnsiText,
+  pdfString,
+  estimateTextWidth,
+  textOps,
+  pathOps,
+  buildPdf,
+};
@@ -66,6 +66,20 @@ function redirect(url, statusCode = 302) {
   });
 }
 
+/** File download (CSV / XLSX exports). Body goes out base64 so binary content survives API Gateway. */
+function attachment(fileName, body, contentType) {
+  const safeName = String(fileName || "download").replace(/[^A-Za-z0-9._-]/g, "_");
+  return response(200, Buffer.from(body ?? "").toString("base64"), {
+    headers: {
+      "content-type": contentType || "application/octet-stream",
+      "content-disposition": `attachment; filename="${safeName}"`,
+      "cache-control": "no-store",
+      ...defaultApiHeaders(),
+    },
+    isBase64Encoded: true,
+  });
+}
+
 /**
  * error(...) supports both:
  * - error(statusCode, message)
@@ -98,5 +112,6 @@ module.exports = {
   ok,
   created,
   redirect,
+  attachment,
   error,
 };
@@ -34,6 +34,7 @@ const REGION = process.env.AWS_REGION || process.env.REGION || "ap-south-1";
 
 const UPLOADS_PREFIX = "uploads";
 const QUARANTINE_PREFIX = "quarantine";
+const DERIVED_PREFIX = `${UPLOADS_PREFIX}/derived`;
 
 /** Only folder types supported under uploads/. */
 const UPLOAD_FOLDER_TYPES = Object.freeze(["images", "audio", "cad-deliverables"]);
@@ -109,6 +110,17 @@ function buildUploadKey(folderType, entityId, fileName, userId = null) {
   return `${UPLOADS_PREFIX}/${safeType}/user/${uid}/${safeId}/${uuid}-${safeName}`;
 }
 
+/**
+ * Key for a server-derived object (e.g. a per-download watermarked preview). Kept apart from user
+ * uploads so a bucket lifecycle rule can expire `uploads/derived/` on its own schedule.
+ * @param {string} kind - e.g. "watermarked"
+ */
+function buildDerivedKey(kind, entityId, fileName) {
+  const safeKind = String(kind || "misc").replace(/[^a-z0-9-]/gi, "").toLowerCase() || "misc";
+  const safeId = (entityId || "misc").toString().trim().replace(/\s+/g, "") || "misc";
+  return `${DERIVED_PREFIX}/${safeKind}/${safeId}/${randomUUID()}-${sanitizeFileName(fileName)}`;
+}
+
 /**
  * Get presigned PUT URL for single file upload.
  * @param {string} key - S3 object key
@@ -197,6 +209,72 @@ async function getObjectPrefixBytes(key, byteCount = 64) {
   return Buffer.concat(chunks);
 }
 
+/**
+ * Read a whole object into memory (server-side DXF checks). Fails once more than maxBytes arrive.
+ * @param {string} key
+ * @param {{ maxBytes: number }} opts
+ * @returns {Promise<Buffer>}
+ */
+async function getObjectBytes(key, { maxBytes }) {
+  assertUploadKey(key);
+  const out = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+    })
+  );
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of out.Body) {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    total += buf.length;
+    if (total > maxBytes) {
+      if (typeof out.Body.destroy === "function") out.Body.destroy();
+      throw new Error(`Object exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(buf);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Open an object for streaming reads (bundles). The caller must consume or destroy `body`.
+ * @param {string} key
+ * @returns {Promise<{ body: import("stream").Readable, contentLength: number|null, contentType: string|null }>}
+ */
+async function getObjectStream(key) {
+  assertUploadKey(key);
+  const out = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+    })
+  );
+  return {
+    body: out.Body,
+    contentLength: out.ContentLength != null ? Number(out.ContentLength) : null,
+    contentType: out.ContentType || null,
+  };
+}
+
+/**
+ * Server-side write of generated content (e.g. DXF preview PDFs). Bucket default encryption applies.
+ * @param {string} key
+ * @param {Buffer} body
+ * @param {string} contentType
+ */
+async function putObject(key, body, contentType) {
+  assertUploadKey(key);
+  await s3Client.send(
+    new PutObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType || "application/octet-stream",
+    })
+  );
+}
+
 /** Head object for size / etag metadata (H-12 checksum package). */
 async function headObject(key) {
   assertUploadKey(key);
@@ -276,6 +354,59 @@ async function abortMultipartUpload(key, uploadId) {
   return { aborted: true, key };
 }
 
+/** Part size for server-side streaming writes (S3 minimum is 5 MiB for all but the last part). */
+const STREAM_PART_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Server-side streaming write (e.g. ZIP bundles): buffers `write()` chunks into multipart parts so
+ * the object never has to fit in memory. Call `complete()` when done, or `abort()` on failure.
+ * @param {string} key
+ * @param {string} contentType
+ * @returns {Promise<{ write: (chunk: Buffer) => Promise<void>, complete: () => Promise<{ key: string, size: number }>, abort: () => Promise<void> }>}
+ */
+async function createMultipartWriter(key, contentType) {
+  const { uploadId } = await createMultipartUpload(key, contentType);
+  const parts = [];
+  let pending = [];
+  let pendingBytes = 0;
+  let size = 0;
+
+  async function flush() {
+    if (!pendingBytes && parts.length) return;
+    const body = Buffer.concat(pending, pendingBytes);
+    pending = [];
+    pendingBytes = 0;
+    const partNumber = parts.length + 1;
+    const out = await s3Client.send(
+      new UploadPartCommand({
+        Bucket: getBucket(),
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+      })
+    );
+    parts.push({ partNumber, eTag: out.ETag });
+  }
+
+  return {
+    async write(chunk) {
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+      size += chunk.length;
+      if (pendingBytes >= STREAM_PART_BYTES) await flush();
+    },
+    async complete() {
+      await flush();
+      await completeMultipartUpload(key, uploadId, parts);
+      return { key, size };
+    },
+    async abort() {
+      await abortMultipartUpload(key, uploadId);
+    },
+  };
+}
+
 /**
  * Move object to quarantine/ prefix (H-07 malware / bad signature).
  * @returns {Promise<string>} quarantine key
@@ -335,13 +466,18 @@ module.exports = {
   getPresignedGetUrl,
   getPublicUrl,
   buildUploadKey,
+  buildDerivedKey,
   deleteObject,
   getObjectPrefixBytes,
+  getObjectBytes,
+  getObjectStream,
+  putObject,
   headObject,
   createMultipartUpload,
   getPresignedUploadPartUrl,
   completeMultipartUpload,
   abortMultipartUpload,
+  createMultipartWriter,
   quarantineObject,
   keyFromFileUrl,
   assertUploadKey,
@@ -354,5 +490,6 @@ module.exports = {
   REGION,
   UPLOADS_PREFIX,
   QUARANTINE_PREFIX,
+  DERIVED_PREFIX,
   UPLOAD_FOLDER_TYPES,
 };
@@ -87,11 +87,25 @@ async function sendOtpSms(phone, otp) {
     return false;
   }
 
-  const recipient = {
-    mobiles: normalizedMobile,
-    [variableName]: otpValue,
-  };
+  const ok = await postFlow({ templateId, smsRoute, senderId }, { mobiles: normalizedMobile, [variableName]: otpValue });
+  if (ok) {
+    logger.info("MSG91 OTP SMS sent", {
+      phone: normalizedMobile,
+      templateId,
+      variableName,
+      senderId: senderId || undefined,
+    });
+  }
+  return ok;
+}
 
+/**
+ * POST one recipient to an MSG91 flow template.
+ * @returns {Promise<boolean>}
+ */
+async function postFlow({ templateId, smsRoute, senderId }, recipient) {
+  const { authKey } = getMsg91Config();
+  const normalizedMobile = recipient.mobiles;
   const payload = {
     template_id: templateId,
     short_url: "0",
@@ -102,7 +116,6 @@ async function sendOtpSms(phone, otp) {
   if (senderId) {
     payload.sender = senderId;
   }
-
   try {
     const response = await fetch(MSG91_FLOW_URL, {
       method: "POST",
@@ -140,12 +153,6 @@ async function sendOtpSms(phone, otp) {
       return false;
     }
 
-    logger.info("MSG91 OTP SMS sent", {
-      phone: normalizedMobile,
-      templateId,
-      variableName,
-      senderId: senderId || undefined,
-    });
     return true;
   } catch (err) {
     logger.error("MSG91 SMS request failed", err, { phone: normalizedMobile });
@@ -153,8 +160,37 @@ async function sendOtpSms(phone, otp) {
   }
 }
 
+/**
+ * Security alert SMS (e.g. payout details changed) via the MSG91_ALERT_TEMPLATE_ID flow; the text goes in
+ * MSG91_ALERT_VARIABLE_NAME (default "message"). Best-effort: false when not configured or not sent.
+ * @param {string} phone
+ * @param {string} message
+ * @returns {Promise<boolean>}
+ */
+async function sendAlertSms(phone, message) {
+  const normalizedMobile = normalizeIndianMobile(phone);
+  if (!normalizedMobile) {
+    logger.error("MSG91 alert SMS skipped: invalid Indian mobile number", { phone });
+    return false;
+  }
+  const { authKey, smsRoute, senderId } = getMsg91Config();
+  const templateId = String(process.env.MSG91_ALERT_TEMPLATE_ID || "").trim();
+  const variableName = String(process.env.MSG91_ALERT_VARIABLE_NAME || "message").trim() || "message";
+  if (!authKey || !templateId) {
+    logger.warn("MSG91 alert SMS not configured (set MSG91_AUTHKEY and MSG91_ALERT_TEMPLATE_ID)");
+    return false;
+  }
+  const ok = await postFlow(
+    { templateId, smsRoute, senderId },
+    { mobiles: normalizedMobile, [variableName]: String(message).slice(0, 160) }
+  );
+  if (ok) logger.info("MSG91 alert SMS sent", { phone: normalizedMobile, templateId });
+  return ok;
+}
+
 module.exports = {
   sendOtpSms,
+  sendAlertSms,
   isMsg91Configured,
   normalizeIndianMobile,
 };
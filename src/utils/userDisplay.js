@@ -0,0 +1,10 @@
+/**
+ * Human-readable user name for stamps and notices ("First Last"), or null.
+ * @param {{ name?: { first?: string, last?: string } }|null|undefined} user
+ */
+function displayName(user) {
+  const name = [user?.name?.first, user?.name?.last].filter(Boolean).join(" ").trim();
+  return name || null;
+}
+
+module.exports = { displayName };
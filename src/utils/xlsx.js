@@ -0,0 +1,129 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer for admin exports — no dependency (audit H-03
+ * keeps `xlsx` out of runtime deps). Cells are numbers or inline strings; no styles or formulas.
+ * Strings starting with = + - @ are written as text, so nothing is ever evaluated.
+ */
+
+const { createZipWriter } = require("./zip");
+
+const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+/** 0 → A, 25 → Z, 26 → AA. */
+function columnName(index) {
+  let n = index + 1;
+  let name = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    name = String.fromCharCode(65 + r) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/** Sheet names: ≤31 chars, none of []:*?/\ and unique within the workbook. */
+function sheetName(raw, used) {
+  const base = String(raw || "Sheet").replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Sheet";
+  let name = base;
+  for (let i = 2; used.has(name.toLowerCase()); i += 1) name = `${base.slice(0, 28)} ${i}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value == null || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(s)}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`)).join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+/**
+ * @param {Array<{ name: string, rows: Array<Array<unknown>> }>} sheets
+ * @returns {Promise<Buffer>}
+ */
+async function buildXlsx(sheets) {
+  if (!Array.isArray(sheets) || !sheets.length) throw new Error("XLSX needs at least one sheet");
+  const used = new Set();
+  const named = sheets.map((s) => ({ name: sheetName(s.name, used), rows: s.rows || [] }));
+
+  const contentTypes =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    named
+      .map(
+        (_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+          'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      )
+      .join("") +
+    "</Types>";
+  const rootRels =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" ' +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+    'Target="xl/workbook.xml"/></Relationships>';
+  const workbook =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    named.map((s, i) => `<sheet name="${xmlEscape(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+    "</sheets></workbook>";
+  const workbookRels =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    named
+      .map(
+        (_, i) =>
+          `<Relationship Id="rId${i + 1}" ` +
+          'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+          `Target="worksheets/sheet${i + 1}.xml"/>`
+      )
+      .join("") +
+    "</Relationships>";
+
+  const chunks = [];
+  const zip = createZipWriter({ write: (chunk) => chunks.push(chunk) });
+  await zip.addBuffer("[Content_Types].xml", contentTypes);
+  await zip.addBuffer("_rels/.rels", rootRels);
+  await zip.addBuffer("xl/workbook.xml", workbook);
+  await zip.addBuffer("xl/_rels/workbook.xml.rels", workbookRels);
+  for (let i = 0; i < named.length; i += 1) {
+    await zip.addBuffer(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(named[i].rows));
+  }
+  await zip.finish();
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  buildXlsx,
+};
@@ -0,0 +1,223 @@
+/**
+ * Streaming ZIP writer (deflate, no ZIP64). Entries are written as they are read — sizes and CRC go
+ * in a data descriptor after each entry — so a bundle never has to fit in Lambda memory.
+ * The caller supplies the sink: `write(chunk)` may return a promise and is awaited (backpressure).
+ * SHA-256 of each entry's uncompressed bytes is computed on the way through (bundle manifests).
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+/** Classic ZIP limits: 4 GiB per entry / archive, 65535 entries. */
+const ZIP_MAX_BYTES = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8_NAME = 0x0800;
+const METHOD_DEFLATE = 8;
+const VERSION_NEEDED = 20;
+const VERSION_MADE_BY = (3 << 8) | 20; // unix, spec 2.0
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** Incremental CRC-32 (zlib.crc32 is not in every Node 20 runtime). */
+function crc32(buf, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buf.length; i += 1) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/** Entry path inside the archive: forward slashes, no leading slash, no `..` segments. */
+function normalizeEntryName(name) {
+  const parts = String(name || "")
+    .replace(/\\/g, "/")
+    .split("/")
+    .map((p) => p.trim())
+    .filter((p) => p && p !== "." && p !== "..");
+  if (!parts.length) throw new Error("ZIP entry name is empty");
+  return parts.join("/");
+}
+
+/**
+ * @param {{ write: (chunk: Buffer) => unknown }} sink
+ * @param {{ maxBytes?: number, level?: number }} [opts] - maxBytes caps uncompressed input across all entries
+ */
+function createZipWriter(sink, opts = {}) {
+  const maxBytes = Math.min(ZIP_MAX_BYTES, Number(opts.maxBytes) > 0 ? Number(opts.maxBytes) : ZIP_MAX_BYTES);
+  const level = Number.isInteger(opts.level) ? opts.level : zlib.constants.Z_DEFAULT_COMPRESSION;
+  const central = [];
+  const names = new Set();
+  let offset = 0;
+  let bytesIn = 0;
+  let busy = false;
+  let finished = false;
+
+  async function emit(buf) {
+    if (!buf.length) return;
+    offset += buf.length;
+    if (offset > ZIP_MAX_BYTES) throw new RangeError("ZIP archive exceeds 4 GiB");
+    await sink.write(buf);
+  }
+
+  function localHeader(nameBuf, dos) {
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(VERSION_NEEDED, 4);
+    h.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8_NAME, 6);
+    h.writeUInt16LE(METHOD_DEFLATE, 8);
+    h.writeUInt16LE(dos.time, 10);
+    h.writeUInt16LE(dos.date, 12);
+    // crc / sizes (14..25) are zero: they follow in the data descriptor
+    h.writeUInt16LE(nameBuf.length, 26);
+    h.writeUInt16LE(0, 28);
+    return Buffer.concat([h, nameBuf]);
+  }
+
+  function dataDescriptor(entry) {
+    const d = Buffer.alloc(16);
+    d.writeUInt32LE(0x08074b50, 0);
+    d.writeUInt32LE(entry.crc, 4);
+    d.writeUInt32LE(entry.compressedSize, 8);
+    d.writeUInt32LE(entry.size, 12);
+    return d;
+  }
+
+  function centralHeader(entry) {
+    const h = Buffer.alloc(46);
+    h.writeUInt32LE(0x02014b50, 0);
+    h.writeUInt16LE(VERSION_MADE_BY, 4);
+    h.writeUInt16LE(VERSION_NEEDED, 6);
+    h.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8_NAME, 8);
+    h.writeUInt16LE(METHOD_DEFLATE, 10);
+    h.writeUInt16LE(entry.dos.time, 12);
+    h.writeUInt16LE(entry.dos.date, 14);
+    h.writeUInt32LE(entry.crc, 16);
+    h.writeUInt32LE(entry.compressedSize, 20);
+    h.writeUInt32LE(entry.size, 24);
+    h.writeUInt16LE(entry.nameBuf.length, 28);
+    // extra (30), comment (32), disk (34), internal attrs (36) stay 0
+    h.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+    h.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([h, entry.nameBuf]);
+  }
+
+  /**
+   * Add one entry from a readable stream or async iterable of Buffers.
+   * @returns {Promise<{ name: string, size: number, compressedSize: number, crc: number, sha256: string }>}
+   */
+  async function addStream(name, source, { mtime } = {}) {
+    if (finished) throw new Error("ZIP already finished");
+    if (busy) throw new Error("ZIP entries must be added one at a time");
+    if (central.length >= ZIP_MAX_ENTRIES) throw new RangeError("ZIP entry limit reached");
+    const entryName = normalizeEntryName(name);
+    if (names.has(entryName)) throw new Error(`Duplicate ZIP entry: ${entryName}`);
+    busy = true;
+    try {
+      names.add(entryName);
+      const entry = {
+        nameBuf: Buffer.from(entryName, "utf8"),
+        dos: dosDateTime(mtime),
+        offset,
+        crc: 0,
+        size: 0,
+        compressedSize: 0,
+      };
+      await emit(localHeader(entry.nameBuf, entry.dos));
+
+      const sha = crypto.createHash("sha256");
+      const deflate = zlib.createDeflateRaw({ level });
+      const pump = (async () => {
+        for await (const out of deflate) {
+          entry.compressedSize += out.length;
+          await emit(out);
+        }
+      })();
+      try {
+        for await (const chunk of source) {
+          const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+          bytesIn += buf.length;
+          if (bytesIn > maxBytes) throw new RangeError(`ZIP input exceeds ${maxBytes} bytes`);
+          entry.size += buf.length;
+          entry.crc = crc32(buf, entry.crc);
+          sha.update(buf);
+          if (!deflate.write(buf)) await new Promise((resolve) => deflate.once("drain", resolve));
+        }
+        deflate.end();
+        await pump;
+      } catch (err) {
+        deflate.destroy();
+        await pump.catch(() => {});
+        if (typeof source.destroy === "function") source.destroy();
+        throw err;
+      }
+
+      await emit(dataDescriptor(entry));
+      central.push(entry);
+      return {
+        name: entryName,
+        size: entry.size,
+        compressedSize: entry.compressedSize,
+        crc: entry.crc,
+        sha256: sha.digest("hex"),
+      };
+    } finally {
+      busy = false;
+    }
+  }
+
+  function addBuffer(name, buf, opts) {
+    return addStream(name, [Buffer.isBuffer(buf) ? buf : Buffer.from(buf)], opts);
+  }
+
+  /** Write the central directory. @returns {Promise<{ entries: number, size: number }>} */
+  async function finish() {
+    if (finished) throw new Error("ZIP already finished");
+    if (busy) throw new Error("ZIP entry still being written");
+    finished = true;
+    const start = offset;
+    for (const entry of central) await emit(centralHeader(entry));
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+    return { entries: central.length, size: offset };
+  }
+
+  return {
+    addStream,
+    addBuffer,
+    finish,
+    has: (name) => names.has(normalizeEntryName(name)),
+    get bytesIn() {
+      return bytesIn;
+    },
+  };
+}
+
+module.exports = {
+  ZIP_MAX_BYTES,
+  ZIP_MAX_ENTRIES,
+  crc32,
+  normalizeEntryName,
+  createZipWriter,
+};
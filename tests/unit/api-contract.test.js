@@ -17,6 +17,8 @@ const REQUIRED_ROUTES = [
   { path: "/api/auth/refresh", method: "post" },
   { path: "/api/auth/logout", method: "post" },
   { path: "/api/payments/phonepe/callback", method: "get" },
+  { path: "/api/payments/{provider}/callback", method: "get" },
+  { path: "/api/payments/{provider}/webhook", method: "post" },
   { path: "/api/surveyor/sketch-pricing", method: "get" },
   { path: "/api/upload/image", method: "post" },
   { path: "/api/admin/sketch-uploads/{uploadId}/review", method: "post" },
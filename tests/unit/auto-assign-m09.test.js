@@ -39,3 +39,146 @@ describe("M-09 auto-assign", () => {
     );
   });
 });
+
+describe("M-09 auto-assign routing scores", () => {
+  const {
+    normalizeRoutingWeights,
+    requiredSkillsForJob,
+    scoreCadCenterCandidates,
+  } = require("../../src/services/autoAssignRouting.service");
+
+  const district = "64b000000000000000000001";
+  const taluka = "64b000000000000000000002";
+  const job = { district, taluka, surveyType: "joint_flat", isSuperimpose: true };
+
+  function center(id, extra = {}) {
+    return {
+      _id: id,
+      name: `Center ${id}`,
+      code: `C${id}`,
+      availabilityStatus: "AVAILABLE",
+      createdAt: new Date("2025-01-01T00:00:00Z"),
+      ...extra,
+    };
+  }
+
+  it("derives required skills from survey type and superimpose", () => {
+    assert.deepEqual(requiredSkillsForJob(job), ["joint_flat", "superimpose"]);
+    assert.deepEqual(requiredSkillsForJob({ surveyType: "single_flat" }), ["single_flat"]);
+  });
+
+  it("falls back to default weights for missing or invalid values", () => {
+    const w = normalizeRoutingWeights({ region: 10, skill: -1, rating: "x" });
+    assert.equal(w.region, 10);
+    assert.equal(w.skill, 3);
+    assert.equal(w.rating, 1);
+    assert.equal(w.workload, 2);
+  });
+
+  it("prefers the skilled in-jurisdiction center over an idle generalist", () => {
+    const local = center("a", { servedRegions: { districts: [district], talukas: [taluka] } });
+    const remote = center("b", { servedRegions: { districts: ["64b000000000000000000009"], talukas: [] } });
+    const ranked = scoreCadCenterCandidates({
+      centers: [remote, local],
+      membersByCenter: new Map([
+        ["a", [{ cadProfile: { skills: ["joint_flat", "superimpose"], rating: 4.5 } }]],
+        ["b", [{ cadProfile: { skills: [], rating: 0 } }]],
+      ]),
+      loadByCenter: new Map([["a", 2]]),
+      job,
+    });
+    assert.equal(ranked[0].cadCenterId, "a");
+    assert.equal(ranked[0].rank, 1);
+    assert.equal(ranked[0].factors.region, 1);
+    assert.equal(ranked[0].factors.skill, 1);
+    assert.equal(ranked[1].factors.region, 0);
+  });
+
+  it("lets admin weights make workload dominate", () => {
+    const members = new Map([
+      ["a", [{ cadProfile: { skills: ["joint_flat", "superimpose"] } }]],
+      ["b", [{ cadProfile: { skills: [] } }]],
+    ]);
+    const ranked = scoreCadCenterCandidates({
+      centers: [center("a"), center("b")],
+      membersByCenter: members,
+      loadByCenter: new Map([["a", 9]]),
+      job,
+      weights: { region: 0, skill: 0, rating: 0, workload: 10, availability: 0 },
+    });
+    assert.equal(ranked[0].cadCenterId, "b");
+  });
+
+  it("breaks score ties on lower load, then older center", () => {
+    const ranked = scoreCadCenterCandidates({
+      centers: [
+        center("b", { createdAt: new Date("2025-02-01T00:00:00Z") }),
+        center("a", { createdAt: new Date("2025-01-01T00:00:00Z") }),
+      ],
+      membersByCenter: new Map(),
+      loadByCenter: new Map(),
+      job: {},
+      weights: { region: 0, skill: 0, rating: 0, workload: 0, availability: 1 },
+    });
+    assert.deepEqual(
+      ranked.map((c) => c.cadCenterId),
+      ["a", "b"]
+    );
+  });
+});
+
+describe("M-09 auto-assign CAD_USER mode", () => {
+  const { selectCadUserCandidate } = require("../../src/services/autoAssignRouting.service");
+
+  const candidates = [{ cadCenterId: "a" }, { cadCenterId: "b" }];
+  function member(id, extra = {}) {
+    return { _id: id, cadProfile: { availabilityStatus: "AVAILABLE", skills: ["joint_flat"], ...extra } };
+  }
+
+  it("picks the skilled, least-loaded AVAILABLE member of the best center", () => {
+    const pick = selectCadUserCandidate({
+      candidates,
+      centers: [{ _id: "a" }, { _id: "b" }],
+      membersByCenter: new Map([
+        ["a", [member("u1"), member("u2"), member("u3", { availabilityStatus: "BUSY" }), member("u4", { skills: [] })]],
+      ]),
+      loadByCenter: new Map(),
+      loadByUser: new Map([["u1", 2], ["u2", 1]]),
+      maxConcurrentJobs: 3,
+      requiredSkills: ["joint_flat"],
+    });
+    assert.equal(pick.cadUserId, "u2");
+    assert.equal(pick.cadCenterId, "a");
+    assert.equal(pick.activeJobs, 1);
+  });
+
+  it("skips members at the per-user cap and centers at capacity", () => {
+    const pick = selectCadUserCandidate({
+      candidates,
+      centers: [{ _id: "a", capacity: 1 }, { _id: "b" }],
+      membersByCenter: new Map([
+        ["a", [member("u1"), member("u2")]],
+        ["b", [member("u5"), member("u6")]],
+      ]),
+      loadByCenter: new Map([["a", 2]]),
+      loadByUser: new Map([["u5", 2]]),
+      maxConcurrentJobs: 2,
+      requiredSkills: ["joint_flat"],
+    });
+    assert.equal(pick.cadUserId, "u6");
+    assert.equal(pick.cadCenterId, "b");
+  });
+
+  it("returns null when nobody qualifies (center pool fallback)", () => {
+    const pick = selectCadUserCandidate({
+      candidates,
+      centers: [{ _id: "a" }],
+      membersByCenter: new Map([["a", [member("u1", { availabilityStatus: "BUSY" })]]]),
+      loadByCenter: new Map(),
+      loadByUser: new Map(),
+      maxConcurrentJobs: 3,
+      requiredSkills: [],
+    });
+    assert.equal(pick, null);
+  });
+});
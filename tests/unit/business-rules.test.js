@@ -5,6 +5,8 @@ const {
   QC_CHECKLIST_11E,
 } = require("../../src/config/businessRulesBaseline");
 const handler = require("../../src/handlers/businessRulesApi");
+const db = require("../../src/config/db");
+const pricingVersions = require("../../src/services/config/sketchPricingVersion.service");
 
 describe("H-08 business rules", () => {
   it("publishes fixed 400 and 10 QC checks", () => {
@@ -29,7 +31,16 @@ describe("H-08 business rules", () => {
   });
 
   it("GET handler returns ok payload", async () => {
-    const res = await handler.handler({});
+    const saved = { connectDB: db.connectDB, ensure: pricingVersions.ensurePricingVersionsLoaded };
+    db.connectDB = async () => {};
+    pricingVersions.ensurePricingVersionsLoaded = async () => {};
+    let res;
+    try {
+      res = await handler.handler({});
+    } finally {
+      db.connectDB = saved.connectDB;
+      pricingVersions.ensurePricingVersionsLoaded = saved.ensure;
+    }
     assert.equal(res.statusCode, 200);
     const body = JSON.parse(res.body);
     assert.equal(body.ok, true);
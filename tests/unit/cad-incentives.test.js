@@ -0,0 +1,196 @@
+/**
+ * Performance incentives on CAD delivery credits: versioned rule, bonus / deduction line items capped at
+ * zero, frozen on the ledger entry when it is booked and listed per transaction.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CadWalletLedger = require("../../src/models/cad/CadWalletLedger");
+const SurveySketchAssignment = require("../../src/models/assignment/SurveySketchAssignment");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const User = require("../../src/models/user/User");
+const { CAD_WALLET_ENTRY_KIND, DELIVERY_QC_STATUS } = require("../../src/config/constants");
+const {
+  computeCadIncentives,
+  getApprovedCadIncentiveRule,
+  CAD_INCENTIVE_CODE,
+} = require("../../src/services/cadPayoutPricing.service");
+const cadWallet = require("../../src/services/cadWallet.service");
+const { query } = require("./helpers/mockQuery");
+
+const oid = () => new mongoose.Types.ObjectId();
+const INITIAL = CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY;
+
+const prevRuleVersion = process.env.CAD_INCENTIVE_RULE_VERSION;
+
+/** The proposed V1 amounts only apply when selected explicitly. */
+function useV1Rule() {
+  process.env.CAD_INCENTIVE_RULE_VERSION = "CAD_INCENTIVE_V1_PERFORMANCE";
+}
+
+function restoreRuleVersion() {
+  if (prevRuleVersion === undefined) delete process.env.CAD_INCENTIVE_RULE_VERSION;
+  else process.env.CAD_INCENTIVE_RULE_VERSION = prevRuleVersion;
+}
+
+describe("CAD incentive rule", () => {
+  beforeEach(useV1Rule);
+  afterEach(restoreRuleVersion);
+
+  it("defaults to no incentives and records no sign-off for the proposed V1 amounts", () => {
+    delete process.env.CAD_INCENTIVE_RULE_VERSION;
+    const rule = getApprovedCadIncentiveRule();
+    assert.equal(rule.version, "CAD_INCENTIVE_V0_NONE");
+    const out = computeCadIncentives({ kind: INITIAL, basePaise: 40000, slaState: "BREACHED", revisionCount: 5 });
+    assert.deepEqual(out.lineItems, []);
+    assert.equal(out.amountPaise, 40000);
+
+    useV1Rule();
+    assert.equal(getApprovedCadIncentiveRule().approvedBy, null);
+    assert.equal(getApprovedCadIncentiveRule().reviewDate, null);
+  });
+
+  it("adds on-time and high-rating bonuses as separate lines", () => {
+    const out = computeCadIncentives({ kind: INITIAL, basePaise: 40000, slaState: "MET", rating: 4.8 });
+    assert.deepEqual(
+      out.lineItems.map((l) => [l.code, l.amountPaise]),
+      [
+        [CAD_INCENTIVE_CODE.ON_TIME_BONUS, 4000],
+        [CAD_INCENTIVE_CODE.HIGH_RATING_BONUS, 2000],
+      ]
+    );
+    assert.equal(out.amountPaise, 46000);
+    assert.equal(out.breakdown.incentiveRuleVersion, "CAD_INCENTIVE_V1_PERFORMANCE");
+  });
+
+  it("deducts for a breached SLA and each rework round beyond the free ones, never below zero", () => {
+    const out = computeCadIncentives({ kind: INITIAL, basePaise: 40000, slaState: "BREACHED", revisionCount: 4 });
+    assert.deepEqual(
+      out.lineItems.map((l) => [l.code, l.amountPaise]),
+      [
+        [CAD_INCENTIVE_CODE.SLA_BREACH_PENALTY, -6000],
+        [CAD_INCENTIVE_CODE.EXCESS_REVISION_PENALTY, -4000],
+      ]
+    );
+    assert.equal(out.amountPaise, 30000);
+
+    const floored = computeCadIncentives({ kind: INITIAL, basePaise: 7000, slaState: "BREACHED", revisionCount: 3 });
+    assert.deepEqual(
+      floored.lineItems.map((l) => l.amountPaise),
+      [-6000, -1000]
+    );
+    assert.equal(floored.amountPaise, 0);
+  });
+
+  it("leaves revisions and the V0 rule untouched and fails closed on unknown versions", () => {
+    const revision = computeCadIncentives({
+      kind: CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY,
+      basePaise: 5000,
+      slaState: "BREACHED",
+    });
+    assert.deepEqual(revision.lineItems, []);
+    assert.equal(revision.amountPaise, 5000);
+
+    process.env.CAD_INCENTIVE_RULE_VERSION = "CAD_INCENTIVE_V0_NONE";
+    const none = computeCadIncentives({ kind: INITIAL, basePaise: 40000, slaState: "MET", rating: 5 });
+    assert.equal(none.amountPaise, 40000);
+    assert.equal(none.breakdown.incentiveRuleVersion, "CAD_INCENTIVE_V0_NONE");
+
+    process.env.CAD_INCENTIVE_RULE_VERSION = "CAD_INCENTIVE_V9";
+    assert.throws(() => getApprovedCadIncentiveRule(), { code: "CAD_INCENTIVE_CONFIG_INVALID" });
+  });
+});
+
+describe("CAD incentives on wallet entries", () => {
+  const saved = {};
+  const stubbed = [
+    [CadWalletLedger, ["updateOne", "find", "countDocuments"]],
+    [SurveySketchAssignment, ["findById"]],
+    [SurveyorSketchUpload, ["findById"]],
+    [User, ["findById"]],
+  ];
+
+  beforeEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) saved[`${target.modelName}.${n}`] = target[n];
+    useV1Rule();
+  });
+
+  afterEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) target[n] = saved[`${target.modelName}.${n}`];
+    restoreRuleVersion();
+  });
+
+  it("freezes SLA, rating and rework inputs with the line items when the credit is booked", async () => {
+    const cadUserId = oid();
+    const assignmentId = oid();
+    SurveyorSketchUpload.findById = () =>
+      query({
+        sketchPayment: { status: "COMPLETED", paidAmountPaise: 10000 },
+        cadDeliverableHistory: [
+          { isRevision: false, qc: { status: DELIVERY_QC_STATUS.FAILED } },
+          { isRevision: false, qc: { status: DELIVERY_QC_STATUS.FAILED } },
+          { isRevision: false, qc: { status: DELIVERY_QC_STATUS.FAILED } },
+          { isRevision: false, qc: { status: DELIVERY_QC_STATUS.PASSED } },
+        ],
+        revisionRequests: [],
+      });
+    SurveySketchAssignment.findById = () => query({ slaState: "MET" });
+    User.findById = () => query({ cadProfile: { rating: 4.6 } });
+    let write;
+    CadWalletLedger.updateOne = async (filter, update) => {
+      write = update.$setOnInsert;
+    };
+
+    await cadWallet.recordPendingEarningIfConfigured({
+      cadUserId,
+      assignmentId,
+      surveyorSketchUploadId: oid(),
+      kind: INITIAL,
+      revisionNo: 0,
+    });
+    assert.equal(write.payoutPaise, 40000);
+    assert.equal(write.incentivePaise, 4000);
+    assert.equal(write.amountPaise, 44000);
+    assert.equal(write.incentiveRuleVersion, "CAD_INCENTIVE_V1_PERFORMANCE");
+    assert.deepEqual(write.incentiveInputs, { slaState: "MET", rating: 4.6, revisionCount: 3 });
+    assert.deepEqual(
+      write.incentiveLineItems.map((l) => l.code),
+      ["ON_TIME_BONUS", "HIGH_RATING_BONUS", "EXCESS_REVISION_PENALTY"]
+    );
+  });
+
+  it("lists the fixed payout and each incentive as separate transaction lines", async () => {
+    const row = {
+      _id: oid(),
+      kind: INITIAL,
+      revisionNo: 0,
+      amountPaise: 34000,
+      payoutPaise: 40000,
+      incentivePaise: -6000,
+      incentiveRuleVersion: "CAD_INCENTIVE_V1_PERFORMANCE",
+      incentiveLineItems: [{ code: "SLA_BREACH_PENALTY", label: "SLA breached", amountPaise: -6000 }],
+      paidAmountPaise: 0,
+      paymentLog: [],
+      status: "PENDING",
+    };
+    const legacy = { _id: oid(), kind: INITIAL, revisionNo: 0, amountPaise: 40000, payoutPaise: 40000, status: "PENDING" };
+    CadWalletLedger.find = () => query([row, legacy]);
+    CadWalletLedger.countDocuments = async () => 2;
+
+    const { data } = await cadWallet.listTransactionsForCad(oid(), {});
+    assert.deepEqual(
+      data[0].lineItems.map((l) => [l.code, l.amountPaise]),
+      [
+        ["PAYOUT", 40000],
+        ["SLA_BREACH_PENALTY", -6000],
+      ]
+    );
+    assert.equal(data[0].amountRupees, 340);
+    assert.equal(data[0].incentiveRupees, -60);
+    assert.deepEqual(
+      data[1].lineItems.map((l) => [l.code, l.amountPaise]),
+      [["PAYOUT", 40000]]
+    );
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * CAD bank / UPI change workflow: direct PATCH refused, request + OTP confirmation (with lockout), admin
+ * approval into cooling-off, scheduled activation onto the User and alerts to old and current phones.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CadPayoutDetailsChange = require("../../src/models/cad/CadPayoutDetailsChange");
+const { CAD_PAYOUT_DETAILS_CHANGE_STATUS: STATUS } = CadPayoutDetailsChange;
+const User = require("../../src/models/user/User");
+const AdminAuditEvent = require("../../src/models/security/AdminAuditEvent");
+const { USER_ROLES } = require("../../src/config/constants");
+const otpService = require("../../src/services/otp.service");
+const notificationService = require("../../src/services/notification.service");
+const sms = require("../../src/utils/sms");
+const userService = require("../../src/services/user.service");
+const payoutDetails = require("../../src/services/cadPayoutDetailsChange.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const oid = () => new mongoose.Types.ObjectId();
+
+describe("CAD payout details change validation", () => {
+  it("normalises bank / UPI details and refuses malformed ones", () => {
+    assert.deepEqual(
+      schemas.cadPayoutDetailsChangeCreate({
+        bankDetails: { accountNumber: "0011 2233 4455", ifscCode: "hdfc0001234", accountHolderName: " Asha K " },
+        upiDetails: { upiId: "Asha@OKAXIS" },
+      }),
+      {
+        bankDetails: {
+          accountNumber: "001122334455",
+          ifscCode: "HDFC0001234",
+          accountHolderName: "Asha K",
+          bankName: null,
+          branchName: null,
+        },
+        upiDetails: { upiId: "asha@okaxis" },
+      }
+    );
+    assert.deepEqual(schemas.cadPayoutDetailsChangeCreate({ upiDetails: { upiId: null } }), { upiDetails: { upiId: null } });
+    assert.throws(
+      () => schemas.cadPayoutDetailsChangeCreate({ bankDetails: { accountNumber: "001122334455", ifscCode: "HDFC1234", accountHolderName: "A" } }),
+      /Invalid IFSC/
+    );
+    assert.throws(() => schemas.cadPayoutDetailsChangeCreate({}), /bankDetails or upiDetails is required/);
+    assert.throws(() => schemas.cadPayoutDetailsChangeVerify({ otp: "12a456" }), /otp is required/);
+  });
+});
+
+/** The filter operators the service's conditional updates use. */
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, cond]) => {
+    const value = doc.get(path);
+    if (cond && cond.$in) return cond.$in.includes(value);
+    if (cond && cond.$lt !== undefined) return (value || 0) < cond.$lt;
+    return String(value) === String(cond);
+  });
+
+describe("CAD payout details change workflow", () => {
+  const saved = {};
+  const stubbed = [
+    [CadPayoutDetailsChange, ["findOne", "findById", "find", "findOneAndUpdate", "countDocuments"]],
+    [CadPayoutDetailsChange.prototype, ["save"]],
+    [User, ["findById", "updateOne"]],
+    [AdminAuditEvent, ["create"]],
+    [otpService, ["generateOtp", "isOtpTestModeEnabled"]],
+    [notificationService, ["create"]],
+    [sms, ["sendOtpSms", "sendAlertSms"]],
+  ];
+  const key = (i, n) => `${i}.${n}`;
+  const cadUser = oid();
+  let profile;
+  let changes;
+  let otpSms;
+  let alerts;
+  let audits;
+
+  beforeEach(() => {
+    stubbed.forEach(([target, names], i) => names.forEach((n) => (saved[key(i, n)] = target[n])));
+    profile = {
+      _id: cadUser,
+      role: USER_ROLES.CAD,
+      name: { first: "Asha" },
+      auth: { phone: "9876543210" },
+      personalDetails: { phone: "9123456780" },
+      bankDetails: { accountNumber: "111122223333", ifscCode: "SBIN0000001", accountHolderName: "Asha" },
+      upiDetails: { upiId: null },
+    };
+    changes = new Map();
+    otpSms = [];
+    alerts = [];
+    audits = [];
+    CadPayoutDetailsChange.prototype.save = async function save() {
+      changes.set(String(this._id), this);
+      return this;
+    };
+    CadPayoutDetailsChange.findOne = () => query(null);
+    CadPayoutDetailsChange.findOneAndUpdate = (filter, update) => {
+      const doc = changes.get(String(filter._id)) || null;
+      if (!doc || !matches(doc, filter)) return query(null);
+      for (const [path, value] of Object.entries(update.$set || {})) doc.set(path, value);
+      for (const [path, n] of Object.entries(update.$inc || {})) doc.set(path, (doc.get(path) || 0) + n);
+      return query(doc.toObject());
+    };
+    CadPayoutDetailsChange.findById = (id) => {
+      const doc = changes.get(String(id)) || null;
+      const q = query(doc);
+      q.lean = () => query(doc && doc.toObject());
+      return q;
+    };
+    User.findById = () => query(profile);
+    AdminAuditEvent.create = async (row) => audits.push(row);
+    otpService.generateOtp = () => "482913";
+    otpService.isOtpTestModeEnabled = () => false;
+    notificationService.create = async (n) => n;
+    sms.sendOtpSms = async (phone, code) => otpSms.push([phone, code]) > 0;
+    sms.sendAlertSms = async (phone, message) => alerts.push([phone, message]) > 0;
+  });
+
+  afterEach(() => {
+    stubbed.forEach(([target, names], i) => names.forEach((n) => (target[n] = saved[key(i, n)])));
+  });
+
+  const request = () =>
+    payoutDetails.requestChange(
+      { _id: cadUser },
+      { bankDetails: { accountNumber: "001122334455", ifscCode: "HDFC0001234", accountHolderName: "Asha K" } }
+    );
+
+  it("refuses bank / UPI edits through the profile PATCH", async () => {
+    await assert.rejects(
+      userService.patch({ _id: cadUser, role: USER_ROLES.CAD }, cadUser, { bankDetails: { accountNumber: "1" } }),
+      { code: "CAD_PAYOUT_DETAILS_CHANGE_REQUIRED" }
+    );
+  });
+
+  it("confirms by OTP, cools off after approval and only then moves payouts to the new details", async () => {
+    const requested = await request();
+    assert.equal(requested.status, STATUS.PENDING_OTP);
+    assert.equal(requested.previous.bankDetails.accountNumber, "111122223333");
+    assert.deepEqual(otpSms, [["9876543210", "482913"]]);
+    assert.deepEqual(
+      alerts.map(([phone]) => phone),
+      ["919876543210", "919123456780"]
+    );
+    assert.match(alerts[0][1], /bank account XXXX4455 was requested/);
+    assert.doesNotMatch(alerts[0][1], /001122334455/);
+
+    // Profile phone swapped after the request: the old one keeps getting alerts.
+    profile = { ...profile, personalDetails: { phone: "9000000001" } };
+    await assert.rejects(payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "111111" }), {
+      code: "CAD_PAYOUT_DETAILS_OTP_INVALID",
+    });
+    assert.equal(audits.at(-1).action, "CAD_PAYOUT_DETAILS_OTP_FAILED");
+    alerts = [];
+    const verified = await payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "482913" });
+    assert.equal(verified.status, STATUS.PENDING_APPROVAL);
+    assert.deepEqual(
+      alerts.map(([phone]) => phone).sort(),
+      ["919000000001", "919123456780", "919876543210"]
+    );
+
+    const admin = { _id: oid(), role: USER_ROLES.ADMIN };
+    const before = Date.now();
+    const approved = await payoutDetails.approveChange(admin, requested.id, { note: "Called the operator" });
+    assert.equal(approved.status, STATUS.COOLING_OFF);
+    assert.equal(approved.coolingOffHours, 48);
+    assert.ok(approved.effectiveAt.getTime() >= before + 48 * 3600 * 1000);
+
+    let findFilter;
+    let userUpdate;
+    CadPayoutDetailsChange.find = (filter) => {
+      findFilter = filter;
+      return query(filter.effectiveAt.$lte >= approved.effectiveAt ? [{ _id: requested.id }] : []);
+    };
+    CadPayoutDetailsChange.findOneAndUpdate = (filter, update) => {
+      const doc = changes.get(String(filter._id));
+      assert.equal(filter.status, STATUS.COOLING_OFF);
+      Object.assign(doc, update.$set);
+      return query(doc.toObject());
+    };
+    User.updateOne = async (filter, update) => {
+      userUpdate = [filter, update];
+    };
+
+    assert.deepEqual(await payoutDetails.activateDueChanges(new Date()), { due: 0, activated: 0 });
+    assert.equal(userUpdate, undefined);
+    assert.equal(findFilter.status, STATUS.COOLING_OFF);
+
+    const later = new Date(approved.effectiveAt.getTime() + 1000);
+    assert.deepEqual(await payoutDetails.activateDueChanges(later), { due: 1, activated: 1 });
+    assert.equal(String(userUpdate[0]._id), String(cadUser));
+    assert.equal(userUpdate[1].$set.bankDetails.accountNumber, "001122334455");
+    assert.equal(userUpdate[1].$set.upiDetails, undefined);
+    assert.equal(changes.get(requested.id).status, STATUS.ACTIVE);
+    assert.equal(audits.at(-1).action, "CAD_PAYOUT_DETAILS_CHANGE_ACTIVATE");
+  });
+
+  it("cancels the change after too many wrong OTPs and refuses a second open change", async () => {
+    const requested = await request();
+    CadPayoutDetailsChange.findOne = () => query({ status: STATUS.PENDING_OTP });
+    await assert.rejects(request(), { code: "CAD_PAYOUT_DETAILS_CHANGE_OPEN" });
+
+    for (let i = 0; i < 5; i += 1) {
+      await assert.rejects(payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "000000" }), {
+        code: "CAD_PAYOUT_DETAILS_OTP_INVALID",
+      });
+    }
+    assert.equal(changes.get(requested.id).status, STATUS.CANCELLED);
+    assert.equal(audits.at(-1).action, "CAD_PAYOUT_DETAILS_OTP_LOCKOUT");
+    await assert.rejects(payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "482913" }), {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+    });
+    await assert.rejects(payoutDetails.verifyOtp({ _id: oid() }, requested.id, { otp: "482913" }), {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_NOT_FOUND",
+    });
+  });
+
+  it("counts parallel wrong OTPs atomically: the last allowed attempt locks out exactly once", async () => {
+    const requested = await request();
+    changes.get(requested.id).otp.attempts = 4;
+    // Each request reads its own copy, as from the database.
+    CadPayoutDetailsChange.findById = (id) => query(new CadPayoutDetailsChange(changes.get(String(id)).toObject()));
+    const results = await Promise.allSettled([
+      payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "000000" }),
+      payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "000001" }),
+    ]);
+    assert.deepEqual(results.map((r) => r.reason.code).sort(), [
+      "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+      "CAD_PAYOUT_DETAILS_OTP_INVALID",
+    ]);
+    assert.equal(changes.get(requested.id).otp.attempts, 5);
+    assert.equal(changes.get(requested.id).status, STATUS.CANCELLED);
+    assert.deepEqual(
+      audits.map((a) => a.action),
+      ["CAD_PAYOUT_DETAILS_OTP_LOCKOUT"]
+    );
+  });
+
+  it("never overwrites a change that moved on after it was read", async () => {
+    const requested = await request();
+    await payoutDetails.verifyOtp({ _id: cadUser }, requested.id, { otp: "482913" });
+    const stale = changes.get(requested.id).toObject();
+    await payoutDetails.cancelChange({ _id: cadUser }, requested.id, { reason: "Typo in IFSC" });
+
+    // Admin screen still shows the change awaiting approval.
+    const findById = CadPayoutDetailsChange.findById;
+    let reads = 0;
+    CadPayoutDetailsChange.findById = (id) => (reads++ === 0 ? query(new CadPayoutDetailsChange(stale)) : findById(id));
+    await assert.rejects(payoutDetails.approveChange({ _id: oid(), role: USER_ROLES.ADMIN }, requested.id), {
+      code: "CAD_PAYOUT_DETAILS_CHANGE_STATE",
+    });
+    assert.equal(changes.get(requested.id).status, STATUS.CANCELLED);
+    assert.equal(changes.get(requested.id).review?.by ?? null, null);
+  });
+});
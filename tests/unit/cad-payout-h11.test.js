@@ -7,6 +7,10 @@ const {
   getApprovedCadPayoutRule,
   computeCadPayoutSettlement,
   APPROVED_CAD_PAYOUT_RULE,
+  CAD_CLAWBACK_RULES,
+  getActiveCadClawbackRule,
+  computeCadRefundClawback,
+  resolveClawbackBasisPaise,
 } = require("../../src/services/cadPayoutPricing.service");
 const { CAD_WALLET_ENTRY_KIND } = require("../../src/config/constants");
 const { getApprovedBusinessRulesPublic } = require("../../src/config/businessRulesBaseline");
@@ -82,3 +86,77 @@ describe("H-11 CAD payout rule", () => {
     for (const k of keys) delete process.env[k];
   });
 });
+
+describe("CAD refund clawback rule", () => {
+  const prevVersion = process.env.CAD_CLAWBACK_RULE_VERSION;
+  const PROPORTIONAL = CAD_CLAWBACK_RULES.CAD_CLAWBACK_V1_PROPORTIONAL;
+
+  before(() => {
+    process.env.CAD_CLAWBACK_RULE_VERSION = PROPORTIONAL.version;
+  });
+
+  after(() => {
+    if (prevVersion === undefined) delete process.env.CAD_CLAWBACK_RULE_VERSION;
+    else process.env.CAD_CLAWBACK_RULE_VERSION = prevVersion;
+  });
+
+  it("defaults to V0: no clawback until finance approves a rule", () => {
+    delete process.env.CAD_CLAWBACK_RULE_VERSION;
+    assert.equal(getActiveCadClawbackRule().version, "CAD_CLAWBACK_V0_NONE");
+    const { amountPaise } = computeCadRefundClawback({ creditedPaise: 40000, basisPaise: 0, refundedPaise: 10000 });
+    assert.equal(amountPaise, 0);
+    const { refundClawback } = getApprovedBusinessRulesPublic().cadOperatorEarnings;
+    assert.equal(refundClawback.model, "NONE");
+
+    process.env.CAD_CLAWBACK_RULE_VERSION = "CAD_CLAWBACK_V9";
+    assert.throws(() => getActiveCadClawbackRule(), (err) => err.code === "CAD_CLAWBACK_CONFIG_INVALID");
+    process.env.CAD_CLAWBACK_RULE_VERSION = PROPORTIONAL.version;
+  });
+
+  it("claws back the refunded share of the delivery's payment", () => {
+    const { amountPaise, breakdown } = computeCadRefundClawback({
+      creditedPaise: 40000,
+      basisPaise: 50000,
+      refundedPaise: 10000,
+    });
+    assert.equal(amountPaise, 8000);
+    assert.equal(breakdown.clawbackRuleVersion, PROPORTIONAL.version);
+    assert.equal(breakdown.clawbackModel, "PROPORTIONAL");
+  });
+
+  it("the proportional rule is published as pending approval until finance signs it off", () => {
+    assert.equal(PROPORTIONAL.approvedBy, null);
+    const { refundClawback } = getApprovedBusinessRulesPublic().cadOperatorEarnings;
+    assert.equal(refundClawback.ruleVersion, PROPORTIONAL.version);
+    assert.equal(refundClawback.pendingApproval, true);
+  });
+
+  it("never claws back more than was credited", () => {
+    const first = computeCadRefundClawback({ creditedPaise: 40000, basisPaise: 50000, refundedPaise: 40000 });
+    assert.equal(first.amountPaise, 32000);
+    const rest = computeCadRefundClawback({
+      creditedPaise: 40000,
+      basisPaise: 50000,
+      refundedPaise: 50000,
+      alreadyClawedBackPaise: 32000,
+    });
+    assert.equal(rest.amountPaise, 8000);
+  });
+
+  it("fails closed when the delivery's paid amount is unknown", () => {
+    assert.throws(
+      () => computeCadRefundClawback({ creditedPaise: 40000, basisPaise: 0, refundedPaise: 100 }),
+      (err) => err.code === "CAD_CLAWBACK_BASIS_UNKNOWN"
+    );
+  });
+
+  it("basis: booking + balance for the initial delivery, the fee for a revision", () => {
+    const upload = {
+      sketchPayment: { status: "COMPLETED", paidAmountPaise: 10000 },
+      balancePayment: { paidAmountPaise: 40000 },
+      revisionFeePayments: [{ revisionNo: 2, paidAmountPaise: 5000 }],
+    };
+    assert.equal(resolveClawbackBasisPaise(upload, CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY, 0), 50000);
+    assert.equal(resolveClawbackBasisPaise(upload, CAD_WALLET_ENTRY_KIND.REVISION_DELIVERY, 2), 5000);
+  });
+});
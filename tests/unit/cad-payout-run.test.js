@@ -0,0 +1,321 @@
+/**
+ * Batch CAD payout runs: NEFT bulk file / bank response parsing, building a run (entry locks, clawback
+ * netting, NEFT vs UPI, skips), applying the bank response and the wallet-side tranche / lock helpers.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CadPayoutRun = require("../../src/models/cad/CadPayoutRun");
+const { CAD_PAYOUT_RUN_STATUS, CAD_PAYOUT_LINE_STATUS, CAD_PAYOUT_MODE, CAD_PAYOUT_SKIP_REASON } = CadPayoutRun;
+const CadWalletLedger = require("../../src/models/cad/CadWalletLedger");
+const User = require("../../src/models/user/User");
+const { CAD_WALLET_ENTRY_STATUS, CAD_WALLET_ENTRY_KIND } = require("../../src/config/constants");
+const cadWallet = require("../../src/services/cadWallet.service");
+const bankFile = require("../../src/services/cadPayoutBankFile.service");
+const payoutRuns = require("../../src/services/cadPayoutRun.service");
+const cadTdsSettings = require("../../src/services/config/cadTdsSettings.service");
+const cadPayoutDetailsChange = require("../../src/services/cadPayoutDetailsChange.service");
+const { parseCsv } = require("../../src/utils/csv");
+const { query } = require("./helpers/mockQuery");
+
+const oid = () => new mongoose.Types.ObjectId();
+
+function submittedRun() {
+  const run = new CadPayoutRun({
+    runNo: "CP26101901",
+    cutoff: new Date("2026-10-18T18:30:00Z"),
+    status: CAD_PAYOUT_RUN_STATUS.SUBMITTED,
+    lines: [
+      {
+        lineNo: 1,
+        reference: "CP26101901L001",
+        cadUser: oid(),
+        mode: CAD_PAYOUT_MODE.NEFT,
+        beneficiary: { name: "Asha K", accountNumber: "001122334455", ifscCode: "HDFC0001234" },
+        amountPaise: 50000,
+        entries: [
+          { entry: oid(), amountPaise: 30000 },
+          { entry: oid(), amountPaise: 20000 },
+        ],
+      },
+      {
+        lineNo: 2,
+        reference: "CP26101901L002",
+        cadUser: oid(),
+        mode: CAD_PAYOUT_MODE.UPI,
+        beneficiary: { name: "Ravi", upiId: "ravi@okaxis" },
+        amountPaise: 40000,
+        entries: [{ entry: oid(), amountPaise: 40000 }],
+      },
+    ],
+    totals: { lineCount: 2, amountPaise: 90000 },
+  });
+  run.save = async () => run;
+  return run;
+}
+
+describe("CAD payout bank files", () => {
+  it("writes one NEFT / UPI row per pending line with rupee amounts and the line reference", () => {
+    const run = submittedRun();
+    run.lines[1].status = CAD_PAYOUT_LINE_STATUS.PAID;
+    const rows = parseCsv(
+      bankFile.buildBankUploadCsv(run, { valueDate: new Date("2026-10-19T20:00:00Z"), debitAccount: "5000123" })
+    );
+    assert.deepEqual(rows[0], bankFile.UPLOAD_HEADER);
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[1], [
+      "NEFT",
+      "Asha K",
+      "001122334455",
+      "HDFC0001234",
+      "",
+      "500.00",
+      "20/10/2026",
+      "5000123",
+      "CP26101901L001",
+      "CAD payout CP26101901",
+    ]);
+  });
+
+  it("reads response columns by alias and maps bank statuses", () => {
+    const csv = [
+      "Cust Ref No,Amount,Transaction Status,UTR No,Rejection Reason",
+      "cp26101901l001,500.00,Processed,N123456789,",
+      "CP26101901L002,400,Rejected,,Invalid VPA",
+      "CP26101901L003,100,In Progress,,",
+      "CP26101901L004,100,Success,,",
+      ",100,Success,U1,",
+    ].join("\n");
+    const { lines, errors } = bankFile.parseBankResponse(csv);
+    assert.deepEqual(
+      lines.map((l) => [l.reference, l.status, l.utr, l.amountPaise, l.reason]),
+      [
+        ["CP26101901L001", "PAID", "N123456789", 50000, null],
+        ["CP26101901L002", "FAILED", null, 40000, "Invalid VPA"],
+        ["CP26101901L003", "PENDING", null, 10000, null],
+      ]
+    );
+    assert.deepEqual(errors, [
+      { lineNo: 5, message: "CP26101901L004: paid without a UTR" },
+      { lineNo: 6, message: "No customer reference" },
+    ]);
+    assert.match(bankFile.parseBankResponse("Amount,UTR\n1,2").errors[0].message, /Missing columns: reference, status/);
+  });
+});
+
+describe("CAD payout runs", () => {
+  const saved = {};
+  const stubbed = [
+    [CadPayoutRun, ["findOne", "findById", "find", "countDocuments", "create", "deleteOne", "findOneAndUpdate"]],
+    [CadWalletLedger, ["updateMany", "find", "findOne", "findById"]],
+    [User, ["find"]],
+    [cadWallet, ["applyPayoutRunTranche", "releasePayoutRunEntries"]],
+    [cadTdsSettings, ["resolveSettings"]],
+    [cadPayoutDetailsChange, ["activateDueChanges"]],
+  ];
+
+  beforeEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) saved[`${target.modelName || "svc"}.${n}`] = target[n];
+    cadTdsSettings.resolveSettings = async () => ({ enabled: false });
+    cadPayoutDetailsChange.activateDueChanges = async () => ({ due: 0, activated: 0 });
+  });
+
+  afterEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) target[n] = saved[`${target.modelName || "svc"}.${n}`];
+  });
+
+  it("nets clawbacks, pays oldest entries first and skips users it cannot pay", async () => {
+    const asha = oid();
+    const ravi = oid();
+    const noDetails = oid();
+    const e1 = { _id: oid(), cadUser: asha, amountPaise: 40000, paidAmountPaise: 10000, status: "PENDING" };
+    const e2 = { _id: oid(), cadUser: asha, amountPaise: 40000, paidAmountPaise: 0, status: "PENDING" };
+    const e3 = { _id: oid(), cadUser: ravi, amountPaise: 40000, paidAmountPaise: 0, status: "PENDING" };
+    const e4 = { _id: oid(), cadUser: noDetails, amountPaise: 40000, paidAmountPaise: 0, status: "PENDING" };
+    let lockFilter;
+    let createdRun;
+    const released = [];
+
+    CadPayoutRun.findOne = () => query(null);
+    CadPayoutRun.countDocuments = async () => 0;
+    CadPayoutRun.create = async (data) => {
+      createdRun = new CadPayoutRun(data);
+      createdRun.save = async () => createdRun;
+      return createdRun;
+    };
+    CadWalletLedger.updateMany = async (filter) => {
+      lockFilter = filter;
+      return { modifiedCount: 4 };
+    };
+    CadWalletLedger.find = (filter) =>
+      filter.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK
+        ? query([{ cadUser: asha, amountPaise: -20000, status: "PENDING" }])
+        : query([e1, e2, e3, e4]);
+    User.find = () =>
+      query([
+        { _id: asha, name: { first: "Asha" }, bankDetails: { accountNumber: "0011", ifscCode: "hdfc0001234", accountHolderName: "Asha K" } },
+        { _id: ravi, name: { first: "Ravi", last: "M" }, upiDetails: { upiId: "ravi@okaxis" } },
+        { _id: noDetails, name: { first: "Nobody" } },
+      ]);
+    cadWallet.releasePayoutRunEntries = async (runId, ids) => {
+      released.push(ids.map(String));
+      return ids.length;
+    };
+
+    const cutoff = new Date(Date.now() - 1000);
+    const run = await payoutRuns.createPayoutRun({ _id: oid() }, { cutoff });
+    assert.equal(lockFilter.status, CAD_WALLET_ENTRY_STATUS.PENDING);
+    assert.deepEqual(lockFilter.amountPaise, { $gt: 0 });
+    assert.equal(lockFilter.createdAt.$lte, cutoff);
+    assert.equal(lockFilter.payoutRun, null);
+
+    assert.equal(run.status, CAD_PAYOUT_RUN_STATUS.DRAFT);
+    assert.match(run.runNo, /^CP\d{6}01$/);
+    assert.equal(run.lines.length, 2);
+    const [a, r] = run.lines;
+    assert.equal(a.reference, `${run.runNo}L001`);
+    assert.equal(a.mode, CAD_PAYOUT_MODE.NEFT);
+    assert.equal(a.beneficiary.ifscCode, "HDFC0001234");
+    assert.equal(a.beneficiary.name, "Asha K");
+    assert.equal(a.amountPaise, 30000 + 40000 - 20000);
+    assert.deepEqual(a.entries, [
+      { entryId: String(e1._id), amountPaise: 30000, tdsPaise: 0 },
+      { entryId: String(e2._id), amountPaise: 20000, tdsPaise: 0 },
+    ]);
+    assert.equal(a.tds, null);
+    assert.equal(a.netPaise, a.amountPaise);
+    assert.equal(r.mode, CAD_PAYOUT_MODE.UPI);
+    assert.equal(r.beneficiary.upiId, "ravi@okaxis");
+    assert.equal(r.beneficiary.name, "Ravi M");
+    assert.equal(run.totals.amountPaise, 90000);
+    assert.deepEqual(
+      run.skipped.map((s) => [s.cadUserId, s.reason, s.netPaise]),
+      [[String(noDetails), CAD_PAYOUT_SKIP_REASON.NO_PAYOUT_DETAILS, 40000]]
+    );
+    assert.deepEqual(released, [[String(e4._id)]]);
+  });
+
+  it("refuses a second open run and drops a run with nothing to pay", async () => {
+    CadPayoutRun.findOne = () => query({ runNo: "CP26101201", status: CAD_PAYOUT_RUN_STATUS.SUBMITTED });
+    await assert.rejects(() => payoutRuns.createPayoutRun(null, {}), { code: "CAD_PAYOUT_RUN_OPEN" });
+
+    let deleted = false;
+    let releasedAll = false;
+    CadPayoutRun.findOne = () => query(null);
+    CadPayoutRun.countDocuments = async () => 1;
+    CadPayoutRun.create = async (data) => new CadPayoutRun(data);
+    CadPayoutRun.deleteOne = async () => {
+      deleted = true;
+    };
+    CadWalletLedger.updateMany = async () => ({ modifiedCount: 0 });
+    CadWalletLedger.find = () => query([]);
+    User.find = () => query([]);
+    cadWallet.releasePayoutRunEntries = async (runId, ids) => {
+      releasedAll = ids == null;
+      return 0;
+    };
+    await assert.rejects(() => payoutRuns.createPayoutRun(null, {}), { code: "CAD_PAYOUT_RUN_EMPTY" });
+    assert.ok(deleted && releasedAll);
+    assert.deepEqual(await payoutRuns.createScheduledPayoutRun(), { created: false, reason: "CAD_PAYOUT_RUN_EMPTY" });
+  });
+
+  it("applies the bank response: PAID records tranches with UTR, FAILED releases, run completes", async () => {
+    const run = submittedRun();
+    const applied = [];
+    const released = [];
+    CadPayoutRun.findById = () => query(run);
+    cadWallet.applyPayoutRunTranche = async (entryId, runId, amountPaise, { utr }) => {
+      applied.push([String(entryId), amountPaise, utr]);
+      return amountPaise;
+    };
+    cadWallet.releasePayoutRunEntries = async (runId, ids) => {
+      released.push(ids.map(String));
+      return ids.length;
+    };
+
+    const first = "Customer Reference,Status,UTR,Amount\nCP26101901L001,SUCCESS,N900,500.00\nCP26101901L002,PENDING,,400\n";
+    const out1 = await payoutRuns.importBankResponse(String(run._id), { _id: oid() }, { csv: first, fileName: "r1.csv" });
+    assert.deepEqual(out1.summary, { rows: 2, paid: 1, failed: 0, unchanged: 0, pending: 1, errors: [] });
+    assert.deepEqual(applied, [
+      [String(run.lines[0].entries[0].entry), 30000, "N900"],
+      [String(run.lines[0].entries[1].entry), 20000, "N900"],
+    ]);
+    assert.equal(out1.run.status, CAD_PAYOUT_RUN_STATUS.SUBMITTED);
+    assert.equal(out1.run.lines[0].utr, "N900");
+
+    await assert.rejects(
+      () => payoutRuns.importBankResponse(String(run._id), null, { csv: first }),
+      { code: "CAD_PAYOUT_RESPONSE_ALREADY_IMPORTED" }
+    );
+
+    const second = [
+      "Customer Reference,Status,UTR,Amount,Failure Reason",
+      "CP26101901L001,SUCCESS,N900,500.00,",
+      "CP26101901L001,FAILED,,500.00,Account closed",
+      "CP26101901L002,FAILED,,401,Invalid VPA",
+      "CP26101901L002,FAILED,,400,Invalid VPA",
+      "CP99999999L001,SUCCESS,N1,1,",
+    ].join("\n");
+    const out2 = await payoutRuns.importBankResponse(String(run._id), null, { csv: second, fileName: "r2.csv" });
+    assert.equal(out2.summary.paid, 0);
+    assert.equal(out2.summary.failed, 1);
+    assert.equal(out2.summary.unchanged, 1);
+    assert.deepEqual(
+      out2.summary.errors.map((e) => e.lineNo),
+      [3, 4, 6]
+    );
+    assert.deepEqual(released, [[String(run.lines[1].entries[0].entry)]]);
+    assert.equal(applied.length, 2);
+    assert.equal(out2.run.status, CAD_PAYOUT_RUN_STATUS.COMPLETED);
+    assert.equal(out2.run.lines[1].failureReason, "Invalid VPA");
+    assert.equal(out2.run.totals.paidPaise, 50000);
+    assert.equal(out2.run.totals.failedPaise, 40000);
+    assert.equal(run.responseFiles.length, 2);
+  });
+
+  it("only moves DRAFT runs to SUBMITTED / CANCELLED and releases entries on cancel", async () => {
+    const runId = oid();
+    let released = null;
+    CadPayoutRun.findOneAndUpdate = (filter, update) => {
+      assert.equal(filter.status, CAD_PAYOUT_RUN_STATUS.DRAFT);
+      return query({ _id: runId, runNo: "CP26101901", ...update.$set });
+    };
+    cadWallet.releasePayoutRunEntries = async (id) => {
+      released = String(id);
+      return 3;
+    };
+    const cancelled = await payoutRuns.cancelPayoutRun(String(runId), { _id: oid() }, { reason: "Wrong cutoff" });
+    assert.equal(cancelled.status, CAD_PAYOUT_RUN_STATUS.CANCELLED);
+    assert.equal(released, String(runId));
+
+    CadPayoutRun.findOneAndUpdate = () => query(null);
+    CadPayoutRun.findById = () => query({ status: CAD_PAYOUT_RUN_STATUS.COMPLETED });
+    await assert.rejects(() => payoutRuns.submitPayoutRun(String(runId), null), { code: "CAD_PAYOUT_RUN_LOCKED" });
+  });
+
+  it("wallet side: manual payments refuse locked entries; a run tranche pays and unlocks", async () => {
+    const runId = oid();
+    const entry = new CadWalletLedger({
+      cadUser: oid(),
+      kind: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY,
+      amountPaise: 40000,
+      paidAmountPaise: 10000,
+      status: CAD_WALLET_ENTRY_STATUS.PENDING,
+      payoutRun: runId,
+    });
+    entry.save = async () => entry;
+    CadWalletLedger.findById = async () => entry;
+    await assert.rejects(() => cadWallet.recordPayment(String(entry._id), null, { payFull: true }), {
+      code: "CAD_WALLET_ENTRY_IN_PAYOUT_RUN",
+    });
+
+    CadWalletLedger.findOne = async (filter) => (String(filter.payoutRun) === String(runId) ? entry : null);
+    assert.equal(await cadWallet.applyPayoutRunTranche(entry._id, runId, 35000, { utr: "N900" }), 30000);
+    assert.equal(entry.status, CAD_WALLET_ENTRY_STATUS.PAID);
+    assert.equal(entry.paidAmountPaise, 40000);
+    assert.equal(entry.payoutRun, null);
+    assert.equal(entry.paymentLog.at(-1).utr, "N900");
+    assert.equal(await cadWallet.applyPayoutRunTranche(entry._id, oid(), 100), null);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * TDS on CAD payouts: rate selection by section / PAN, PAN and settings validation, TDS frozen on a wallet
+ * payment tranche, FY quarter ranges and the earnings statement PDF.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const mongoose = require("mongoose");
+
+const CadWalletLedger = require("../../src/models/cad/CadWalletLedger");
+const CadTdsSettings = require("../../src/models/config/CadTdsSettings");
+const User = require("../../src/models/user/User");
+const { CAD_TDS_DEFAULTS, TDS_SECTION } = require("../../src/config/cadTds");
+const { CAD_WALLET_ENTRY_KIND } = require("../../src/config/constants");
+const cadTds = require("../../src/services/cadTds.service");
+const cadTdsSettings = require("../../src/services/config/cadTdsSettings.service");
+const cadWallet = require("../../src/services/cadWallet.service");
+const { renderEarningsStatementPdf } = require("../../src/services/cadEarningsStatementPdf.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const oid = () => new mongoose.Types.ObjectId();
+const enabled = (overrides = {}) => ({
+  enabled: true,
+  deductor: { name: "Survey Sketch Pvt Ltd", tan: "BLRS12345E" },
+  ...CAD_TDS_DEFAULTS,
+  ...overrides,
+});
+
+/** Page content streams, inflated, as latin1 text. */
+function pageText(pdf) {
+  const raw = pdf.toString("latin1");
+  const out = [];
+  const re = /stream\r?\n/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const body = pdf.subarray(re.lastIndex, raw.indexOf("endstream", re.lastIndex));
+    try {
+      out.push(zlib.inflateSync(body).toString("latin1"));
+    } catch {
+      out.push(body.toString("latin1"));
+    }
+  }
+  return out.join("\n");
+}
+
+describe("CAD TDS rules", () => {
+  it("picks the rate from section and PAN holder type, and the no-PAN rate without a valid PAN", () => {
+    const settings = enabled();
+    assert.deepEqual(cadTds.resolveTdsRule({ taxDetails: { pan: "abcpe1234f" } }, settings), {
+      section: "194C",
+      rateBps: 100,
+      pan: "ABCPE1234F",
+    });
+    assert.equal(cadTds.resolveTdsRule({ taxDetails: { pan: "ABCCE1234F" } }, settings).rateBps, 200);
+    assert.equal(
+      cadTds.resolveTdsRule({ taxDetails: { pan: "ABCPE1234F" } }, enabled({ section: TDS_SECTION.S194J })).rateBps,
+      1000
+    );
+    assert.deepEqual(cadTds.resolveTdsRule({ taxDetails: { pan: "ABC123" } }, settings), {
+      section: "194C",
+      rateBps: 2000,
+      pan: null,
+    });
+    assert.equal(cadTds.resolveTdsRule({}, { ...settings, enabled: false }), null);
+  });
+
+  it("deducts to the paisa and leaves untaxed tranches whole", () => {
+    assert.deepEqual(cadTds.tdsOn(33333, { rateBps: 100 }), { tdsPaise: 333, netPaise: 33000 });
+    assert.deepEqual(cadTds.tdsOn(40000, null), { tdsPaise: 0, netPaise: 40000 });
+    assert.deepEqual(cadTds.tdsLogFields(null, 40000), { tdsPaise: 0, tdsSection: null, tdsRateBps: null, pan: null });
+  });
+
+  it("bounds financial years and quarters in IST", () => {
+    const fy = cadTds.financialYearRange("2026-27");
+    assert.equal(fy.from.toISOString(), "2026-03-31T18:30:00.000Z");
+    assert.equal(fy.to.toISOString(), "2027-03-31T18:30:00.000Z");
+    const q4 = cadTds.quarterRange("2026-27", "q4");
+    assert.equal(q4.from.toISOString(), "2026-12-31T18:30:00.000Z");
+    assert.equal(q4.to.toISOString(), "2027-03-31T18:30:00.000Z");
+    assert.throws(() => cadTds.financialYearRange("2026-28"), /fy must look like/);
+    assert.throws(() => cadTds.quarterRange("2026-27", "Q5"), /quarter must be/);
+  });
+
+  it("validates PAN on the CAD profile and the TDS settings payload", () => {
+    assert.deepEqual(schemas.userPatch({ taxDetails: { pan: " abcpe1234f " } }).taxDetails, { pan: "ABCPE1234F" });
+    assert.deepEqual(schemas.userPatch({ taxDetails: { pan: "" } }).taxDetails, { pan: null });
+    assert.throws(() => schemas.userPatch({ taxDetails: { pan: "ABCDE12345" } }), /valid 10-character PAN/);
+
+    assert.deepEqual(schemas.cadTdsSettingsUpdate({ deductor: { tan: "blrs12345e" }, rate194JBps: "" }), {
+      deductor: { tan: "BLRS12345E" },
+      rate194JBps: null,
+    });
+    assert.throws(() => schemas.cadTdsSettingsUpdate({ deductor: { tan: "BLR12345E" } }), /Invalid TAN/);
+    assert.throws(() => schemas.cadTdsSettingsUpdate({ section: "194H" }), /194C or 194J/);
+    assert.throws(() => schemas.cadTdsSettingsUpdate({ noPanRateBps: 6000 }), /0–5000/);
+  });
+});
+
+describe("CAD TDS on payments and statements", () => {
+  const saved = {};
+  const stubbed = [
+    [CadWalletLedger, ["findById", "aggregate"]],
+    [CadTdsSettings, ["findOne", "findOneAndUpdate"]],
+    [User, ["findById"]],
+    [cadTdsSettings, ["resolveSettings"]],
+  ];
+
+  beforeEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) saved[`${target.modelName || "svc"}.${n}`] = target[n];
+  });
+
+  afterEach(() => {
+    for (const [target, names] of stubbed) for (const n of names) target[n] = saved[`${target.modelName || "svc"}.${n}`];
+  });
+
+  it("refuses to enable TDS without a deductor TAN", async () => {
+    CadTdsSettings.findOne = () => query(null);
+    CadTdsSettings.findOneAndUpdate = () => assert.fail("must not write");
+    await assert.rejects(cadTdsSettings.updateSettings({ enabled: true }, { _id: oid() }), {
+      code: "CAD_TDS_TAN_REQUIRED",
+    });
+  });
+
+  it("freezes the payee's TDS on each wallet payment tranche", async () => {
+    const cadUser = oid();
+    const doc = new CadWalletLedger({
+      cadUser,
+      kind: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY,
+      amountPaise: 50000,
+      paidAmountPaise: 0,
+      status: "PENDING",
+    });
+    doc.save = async () => doc;
+    CadWalletLedger.findById = () => {
+      const q = query(doc.toObject());
+      q.then = (resolve, reject) => Promise.resolve(doc).then(resolve, reject);
+      q.lean = () => query(doc.toObject());
+      return q;
+    };
+    cadTdsSettings.resolveSettings = async () => enabled();
+    User.findById = () => query({ _id: cadUser, taxDetails: { pan: "ABCPE1234F" } });
+
+    const out = await cadWallet.recordPayment(doc._id, { _id: oid() }, { payFull: false, amountPaise: 30000 });
+    const [tranche] = doc.paymentLog;
+    assert.equal(tranche.amountPaise, 30000);
+    assert.equal(tranche.tdsPaise, 300);
+    assert.equal(tranche.tdsSection, "194C");
+    assert.equal(tranche.tdsRateBps, 100);
+    assert.equal(tranche.pan, "ABCPE1234F");
+    assert.equal(out.tdsPaise, 300);
+    assert.equal(out.netPaidPaise, 29700);
+  });
+
+  it("builds the FY statement from booked credits and tranches and renders it as a PDF", async () => {
+    const cadUser = oid();
+    User.findById = () =>
+      query({ _id: cadUser, name: { first: "Asha", last: "K" }, auth: { email: "asha@example.com" }, taxDetails: { pan: "ABCPE1234F" } });
+    cadTdsSettings.resolveSettings = async () => enabled();
+    let calls = 0;
+    CadWalletLedger.aggregate = async () => {
+      calls += 1;
+      if (calls === 1) {
+        return [
+          { _id: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY, amountPaise: 120000, entries: 3 },
+          { _id: CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK, amountPaise: -8000, entries: 1 },
+        ];
+      }
+      return [
+        { kind: "INITIAL_DELIVERY", paidAt: new Date("2026-05-04T06:00:00Z"), grossPaise: 40000, tdsPaise: 400, section: "194C", rateBps: 100, utr: "N1" },
+        { kind: "INITIAL_DELIVERY", paidAt: new Date("2027-01-11T06:00:00Z"), grossPaise: 72000, tdsPaise: 720, section: "194C", rateBps: 100, utr: "N2" },
+      ];
+    };
+
+    const statement = await cadTds.getEarningsStatement(cadUser, "2026-27");
+    assert.equal(statement.cadUser.name, "Asha K");
+    assert.deepEqual(statement.totals, {
+      earnedPaise: 120000,
+      earnedEntries: 3,
+      clawbackPaise: 8000,
+      grossPaidPaise: 112000,
+      tdsPaise: 1120,
+      netPaidPaise: 110880,
+    });
+    assert.deepEqual(
+      statement.quarters.map((q) => [q.quarter, q.tdsPaise]),
+      [["Q1", 400], ["Q2", 0], ["Q3", 0], ["Q4", 720]]
+    );
+
+    const pdf = renderEarningsStatementPdf(statement);
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+    const text = pageText(pdf);
+    assert.match(text, /EARNINGS STATEMENT/);
+    assert.match(text, /PAN: ABCPE1234F/);
+    assert.match(text, /Rs\. 1,108\.80/);
+  });
+});
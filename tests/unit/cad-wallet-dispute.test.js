@@ -0,0 +1,204 @@
+/**
+ * CAD wallet disputes: payload validation, opening against own entries / uploads only, one open dispute per
+ * entry, threaded replies, admin resolution posting a single DISPUTE_ADJUSTMENT credit and notifications on
+ * each state change.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CadWalletDispute = require("../../src/models/cad/CadWalletDispute");
+const { CAD_WALLET_DISPUTE_STATUS: STATUS } = CadWalletDispute;
+const CadWalletLedger = require("../../src/models/cad/CadWalletLedger");
+const SurveySketchAssignment = require("../../src/models/assignment/SurveySketchAssignment");
+const { USER_ROLES, CAD_WALLET_ENTRY_KIND } = require("../../src/config/constants");
+const notificationService = require("../../src/services/notification.service");
+const disputes = require("../../src/services/cadWalletDispute.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const oid = () => new mongoose.Types.ObjectId();
+
+describe("CAD wallet dispute validation", () => {
+  it("requires a link, a known category, subject and message and keeps attachment refs", () => {
+    const ledgerEntryId = String(oid());
+    assert.deepEqual(
+      schemas.cadWalletDisputeCreate({
+        ledgerEntryId,
+        category: "wrong_amount",
+        subject: " Paid ₹300 not ₹400 ",
+        message: "Bank shows ₹300.",
+        attachments: [{ url: "https://b.s3.ap-south-1.amazonaws.com/uploads/images/user/1/misc/a.png", fileName: "a.png" }],
+      }),
+      {
+        ledgerEntryId,
+        category: "WRONG_AMOUNT",
+        subject: "Paid ₹300 not ₹400",
+        message: "Bank shows ₹300.",
+        attachments: [
+          {
+            url: "https://b.s3.ap-south-1.amazonaws.com/uploads/images/user/1/misc/a.png",
+            fileName: "a.png",
+            mimeType: null,
+            size: null,
+          },
+        ],
+      }
+    );
+    assert.throws(() => schemas.cadWalletDisputeCreate({ category: "OTHER", subject: "x", message: "y" }), /ledgerEntryId or assignmentId/);
+    assert.throws(
+      () => schemas.cadWalletDisputeCreate({ assignmentId: String(oid()), category: "LATE", subject: "x", message: "y" }),
+      /category must be one of/
+    );
+    assert.throws(() => schemas.cadWalletDisputeMessage({ message: " " }), /message is required/);
+    assert.throws(() => schemas.cadWalletDisputeResolve({ note: "ok", adjustmentPaise: 12.5 }), /whole number of paise/);
+    assert.deepEqual(schemas.cadWalletDisputeResolve({ note: "Missed by sync" }), { note: "Missed by sync", adjustmentPaise: 0 });
+  });
+});
+
+describe("CAD wallet dispute workflow", () => {
+  const saved = {};
+  const stubbed = [
+    [CadWalletDispute, ["findById", "findOne", "findOneAndUpdate", "updateOne"]],
+    [CadWalletDispute.prototype, ["save"]],
+    [CadWalletLedger, ["findById", "findOneAndUpdate"]],
+    [SurveySketchAssignment, ["findById"]],
+    [notificationService, ["create"]],
+  ];
+  const key = (i, n) => `${i}.${n}`;
+  const cad = { _id: oid(), role: USER_ROLES.CAD };
+  const admin = { _id: oid(), role: USER_ROLES.ADMIN };
+  const assignmentId = oid();
+  const entryId = oid();
+  let store;
+  let notes;
+
+  beforeEach(() => {
+    stubbed.forEach(([target, names], i) => names.forEach((n) => (saved[key(i, n)] = target[n])));
+    store = new Map();
+    notes = [];
+    CadWalletDispute.prototype.save = async function save() {
+      store.set(String(this._id), this);
+      return this;
+    };
+    CadWalletDispute.findById = (id) => {
+      const doc = store.get(String(id)) || null;
+      const q = query(doc);
+      q.lean = () => query(doc && doc.toObject());
+      return q;
+    };
+    CadWalletDispute.findOne = () => query(null);
+    CadWalletLedger.findById = () => query({ _id: entryId, cadUser: cad._id, assignment: assignmentId });
+    SurveySketchAssignment.findById = () => query({ assignedTo: cad._id });
+    notificationService.create = async (n) => notes.push(n);
+  });
+
+  afterEach(() => {
+    stubbed.forEach(([target, names], i) => names.forEach((n) => (target[n] = saved[key(i, n)])));
+  });
+
+  const open = (actor = cad, extra = {}) =>
+    disputes.openDispute(actor, {
+      ledgerEntryId: String(entryId),
+      category: "MISSING_CREDIT",
+      subject: "Revision 2 not credited",
+      message: "Delivered on Monday.",
+      attachments: [],
+      ...extra,
+    });
+
+  it("opens against the CAD user's own entry, links its assignment and notifies both sides", async () => {
+    const d = await open();
+    assert.equal(d.status, STATUS.OPEN);
+    assert.equal(d.assignmentId, String(assignmentId));
+    assert.equal(d.messages[0].authorRole, "CAD");
+    assert.deepEqual(
+      notes.map((n) => [n.targetUsers.map(String), n.targetRoles]),
+      [
+        [[String(cad._id)], []],
+        [[], [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN]],
+      ]
+    );
+
+    CadWalletLedger.findById = () => query({ _id: entryId, cadUser: oid(), assignment: assignmentId });
+    await assert.rejects(open(), { code: "CAD_WALLET_ENTRY_NOT_FOUND" });
+    CadWalletLedger.findById = () => query({ _id: entryId, cadUser: cad._id, assignment: assignmentId });
+    await assert.rejects(
+      open(cad, { attachments: [{ url: `https://b.s3.ap-south-1.amazonaws.com/uploads/images/user/${oid()}/misc/x.png` }] }),
+      { code: "CAD_WALLET_DISPUTE_ATTACHMENT_FORBIDDEN" }
+    );
+    CadWalletDispute.findOne = () => query({ _id: oid(), status: STATUS.UNDER_REVIEW });
+    await assert.rejects(open(), { code: "CAD_WALLET_DISPUTE_OPEN" });
+  });
+
+  it("threads replies, resolves once with one adjustment credit and then refuses changes", async () => {
+    const d = await open();
+    notes = [];
+    const replied = await disputes.addMessage(admin, d.id, { message: "Checking the QC log.", attachments: [] });
+    assert.deepEqual(
+      replied.messages.map((m) => m.authorRole),
+      ["CAD", "ADMIN"]
+    );
+    assert.deepEqual(notes[0].targetUsers.map(String), [String(cad._id)]);
+    await assert.rejects(disputes.getDispute(d.id, { cadUserId: oid() }), { code: "CAD_WALLET_DISPUTE_NOT_FOUND" });
+
+    const reviewed = await disputes.startReview(admin, d.id);
+    assert.equal(reviewed.status, STATUS.UNDER_REVIEW);
+
+    let credit;
+    CadWalletDispute.findOneAndUpdate = (filter, update) => {
+      const doc = store.get(String(filter._id));
+      assert.deepEqual(filter.status.$in, [STATUS.OPEN, STATUS.UNDER_REVIEW]);
+      if (!filter.status.$in.includes(doc.status)) return query(null);
+      doc.set(update.$set);
+      doc.messages.push(update.$push.messages);
+      return query(doc.toObject());
+    };
+    CadWalletDispute.updateOne = async (filter, update) => {
+      store.get(String(filter._id)).set(update.$set);
+    };
+    CadWalletLedger.findOneAndUpdate = (filter, update, opts) => {
+      assert.equal(opts.upsert, true);
+      assert.equal(filter.kind, CAD_WALLET_ENTRY_KIND.DISPUTE_ADJUSTMENT);
+      credit = { _id: oid(), ...update.$setOnInsert };
+      return query(credit);
+    };
+
+    const resolved = await disputes.resolveDispute(admin, d.id, { note: "Missed by sync; credited.", adjustmentPaise: 40000 });
+    assert.equal(resolved.status, STATUS.RESOLVED);
+    assert.equal(credit.amountPaise, 40000);
+    assert.equal(String(credit.cadUser), String(cad._id));
+    assert.equal(String(credit.assignment), String(assignmentId));
+    assert.equal(resolved.resolution.adjustmentEntryId, String(credit._id));
+    assert.equal(resolved.messages.at(-1).body, "Missed by sync; credited.");
+    assert.match(notes.at(-1).message, /₹400 was credited/);
+
+    await assert.rejects(disputes.resolveDispute(admin, d.id, { note: "again", adjustmentPaise: 40000 }), {
+      code: "CAD_WALLET_DISPUTE_STATE",
+    });
+    await assert.rejects(disputes.addMessage(cad, d.id, { message: "Thanks", attachments: [] }), {
+      code: "CAD_WALLET_DISPUTE_STATE",
+    });
+  });
+
+  it("reopens for review and reports a conflict when a superseded ledger index rejects the adjustment", async () => {
+    const d = await open();
+    CadWalletDispute.findOneAndUpdate = (filter, update) => {
+      const doc = store.get(String(filter._id));
+      doc.set(update.$set);
+      return query(doc.toObject());
+    };
+    CadWalletDispute.updateOne = async (filter, update) => {
+      const doc = store.get(String(filter._id));
+      if (doc.status === filter.status) doc.set(update.$set);
+    };
+    CadWalletLedger.findOneAndUpdate = () =>
+      query(Promise.reject(Object.assign(new Error("E11000 duplicate key"), { code: 11000 })));
+
+    await assert.rejects(disputes.resolveDispute(admin, d.id, { note: "Credited.", adjustmentPaise: 40000 }), {
+      code: "CAD_WALLET_DISPUTE_ADJUSTMENT_CONFLICT",
+    });
+    assert.equal(store.get(d.id).status, STATUS.UNDER_REVIEW);
+    assert.equal(store.get(d.id).resolution.at, null);
+  });
+});
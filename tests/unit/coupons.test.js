@@ -0,0 +1,287 @@
+/**
+ * Coupon engine: discount maths per fee line and stacking rule, eligibility checks, atomic caps on reserve,
+ * admin validation and the reconciliation coupon totals.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Coupon = require("../../src/models/payment/Coupon");
+const { COUPON_DISCOUNT_TYPE, COUPON_FEE_LINE, COUPON_STACKING } = require("../../src/models/payment/Coupon");
+const CouponRedemption = require("../../src/models/payment/CouponRedemption");
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PAYMENT_PURPOSE, PROVIDER_STATE } = require("../../src/models/payment/PaymentAttempt");
+const User = require("../../src/models/user/User");
+const couponService = require("../../src/services/payment/coupon.service");
+const paymentReconciliation = require("../../src/services/paymentReconciliation.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const COUPON_ID = "65f0000000000000000000c1";
+const SURVEYOR_ID = "65f0000000000000000000bb";
+const UPLOAD_ID = "507f1f77bcf86cd799439011";
+const DISTRICT_ID = "65f0000000000000000000d1";
+const NOW = new Date("2026-07-01T06:30:00Z");
+
+function coupon(overrides = {}) {
+  return {
+    _id: COUPON_ID,
+    code: "MONSOON20",
+    discountType: COUPON_DISCOUNT_TYPE.PERCENT,
+    percentOff: 20,
+    amountOffRupees: null,
+    maxDiscountRupees: null,
+    appliesTo: [COUPON_FEE_LINE.BOOKING],
+    districts: [],
+    surveyorCategories: [],
+    validFrom: null,
+    validUntil: null,
+    maxRedemptions: null,
+    maxRedemptionsPerUser: 1,
+    stacking: COUPON_STACKING.STACK,
+    active: true,
+    redemptionCount: 0,
+    ...overrides,
+  };
+}
+
+// ₹1000 plan booking discounted to ₹800 by admin, ₹300 superimpose add-on, ₹200 express surcharge.
+const BOOKING = {
+  feePaise: 130000,
+  baseFeePaise: 80000,
+  planAmountRupees: 1000,
+  superimpose: { feePaise: 30000, planAmountRupees: 300 },
+  express: { feePaise: 20000, planAmountRupees: 200 },
+};
+
+describe("coupons: discount maths", () => {
+  const lines = couponService.bookingFeeLines(BOOKING);
+
+  it("percent applies per targeted line; express is never discounted", () => {
+    assert.equal(couponService.computeCouponDiscount(coupon(), lines), 16000);
+    const both = coupon({ appliesTo: [COUPON_FEE_LINE.BOOKING, COUPON_FEE_LINE.SUPERIMPOSE] });
+    assert.equal(couponService.computeCouponDiscount(both, lines), 22000);
+  });
+
+  it("flat spreads across targeted lines and maxDiscountRupees caps the coupon", () => {
+    const flat = coupon({
+      discountType: COUPON_DISCOUNT_TYPE.FLAT,
+      amountOffRupees: 900,
+      appliesTo: [COUPON_FEE_LINE.BOOKING, COUPON_FEE_LINE.SUPERIMPOSE],
+    });
+    assert.equal(couponService.computeCouponDiscount(flat, lines), 90000);
+    assert.equal(couponService.computeCouponDiscount({ ...flat, maxDiscountRupees: 150 }, lines), 15000);
+    assert.equal(couponService.computeCouponDiscount({ ...coupon(), percentOff: 50, maxDiscountRupees: 100 }, lines), 10000);
+  });
+
+  it("BEST_OF only adds what beats the admin discount", () => {
+    // 30% of ₹1000 plan = ₹300 vs ₹200 admin discount → ₹100 more.
+    assert.equal(
+      couponService.computeCouponDiscount(coupon({ percentOff: 30, stacking: COUPON_STACKING.BEST_OF }), lines),
+      10000
+    );
+    // 10% of plan = ₹100 < ₹200 admin discount → nothing.
+    assert.equal(
+      couponService.computeCouponDiscount(coupon({ percentOff: 10, stacking: COUPON_STACKING.BEST_OF }), lines),
+      0
+    );
+  });
+
+  it("never leaves less than MIN_PAYABLE_PAISE to charge", () => {
+    const revision = couponService.revisionFeeLines({ feePaise: 50000, planAmountRupees: 500 });
+    const free = coupon({ percentOff: 100, appliesTo: [COUPON_FEE_LINE.REVISION] });
+    assert.equal(couponService.computeCouponDiscount(free, revision), 50000 - couponService.MIN_PAYABLE_PAISE);
+  });
+});
+
+describe("coupons: eligibility and reservation", () => {
+  const saved = {};
+  let current;
+  let userUses;
+  let category;
+  let claimResult;
+  let createError;
+  let created;
+  let countMoves;
+
+  beforeEach(() => {
+    current = coupon();
+    userUses = 0;
+    category = "SURVEYOR";
+    claimResult = undefined;
+    createError = null;
+    created = [];
+    countMoves = [];
+    saved.findOne = Coupon.findOne;
+    saved.findOneAndUpdate = Coupon.findOneAndUpdate;
+    saved.updateOne = Coupon.updateOne;
+    saved.countDocuments = CouponRedemption.countDocuments;
+    saved.create = CouponRedemption.create;
+    saved.findById = User.findById;
+    Coupon.findOne = () => query(current);
+    Coupon.findOneAndUpdate = (filter, update) => {
+      countMoves.push(update.$inc.redemptionCount);
+      return query(claimResult === undefined ? { ...current, redemptionCount: current.redemptionCount + 1 } : claimResult);
+    };
+    Coupon.updateOne = async (filter, update) => {
+      countMoves.push(update.$inc.redemptionCount);
+      return { modifiedCount: 1 };
+    };
+    CouponRedemption.countDocuments = async () => userUses;
+    CouponRedemption.create = async (doc) => {
+      if (createError) throw createError;
+      created.push(doc);
+      return doc;
+    };
+    User.findById = () => query({ _id: SURVEYOR_ID, surveyorProfile: { category } });
+  });
+
+  afterEach(() => {
+    Coupon.findOne = saved.findOne;
+    Coupon.findOneAndUpdate = saved.findOneAndUpdate;
+    Coupon.updateOne = saved.updateOne;
+    CouponRedemption.countDocuments = saved.countDocuments;
+    CouponRedemption.create = saved.create;
+    User.findById = saved.findById;
+  });
+
+  const reserve = (overrides = {}) =>
+    couponService.reserveCoupon({
+      code: " monsoon20 ",
+      surveyorId: SURVEYOR_ID,
+      districtId: DISTRICT_ID,
+      purpose: PAYMENT_PURPOSE.BOOKING,
+      uploadId: UPLOAD_ID,
+      lines: couponService.bookingFeeLines(BOOKING),
+      now: NOW,
+      ...overrides,
+    });
+
+  const rejectsWith = (code) => (err) => {
+    assert.equal(err.code, code);
+    return true;
+  };
+
+  it("reserves one use and freezes the discounted amount", async () => {
+    const result = await reserve();
+    assert.equal(result.grossPaise, 130000);
+    assert.equal(result.discountPaise, 16000);
+    assert.equal(result.payablePaise, 114000);
+    assert.equal(result.snapshot.code, "MONSOON20");
+    assert.equal(result.snapshot.appliedAt, NOW);
+    assert.deepEqual(countMoves, [1]);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].userSeq, 1);
+    assert.equal(created[0].purpose, PAYMENT_PURPOSE.BOOKING);
+  });
+
+  it("rejects codes outside their window, district, category or fee line", async () => {
+    current = coupon({ validUntil: new Date("2026-06-30T00:00:00Z") });
+    await assert.rejects(reserve(), rejectsWith("COUPON_EXPIRED"));
+    current = coupon({ validFrom: new Date("2026-07-02T00:00:00Z") });
+    await assert.rejects(reserve(), rejectsWith("COUPON_NOT_STARTED"));
+    current = coupon({ districts: ["65f0000000000000000000d2"] });
+    await assert.rejects(reserve(), rejectsWith("COUPON_DISTRICT_NOT_ELIGIBLE"));
+    current = coupon({ surveyorCategories: ["PUBLIC"] });
+    await assert.rejects(reserve(), rejectsWith("COUPON_CATEGORY_NOT_ELIGIBLE"));
+    current = coupon({ appliesTo: [COUPON_FEE_LINE.BALANCE] });
+    await assert.rejects(reserve(), rejectsWith("COUPON_NOT_APPLICABLE"));
+    current = coupon({ active: false });
+    await assert.rejects(reserve(), rejectsWith("COUPON_INACTIVE"));
+    assert.deepEqual(countMoves, []);
+  });
+
+  it("enforces the per-user and overall caps", async () => {
+    userUses = 1;
+    await assert.rejects(reserve(), rejectsWith("COUPON_USER_LIMIT_REACHED"));
+
+    userUses = 0;
+    claimResult = null; // another checkout took the last use
+    await assert.rejects(reserve(), rejectsWith("COUPON_EXHAUSTED"));
+    assert.equal(created.length, 0);
+  });
+
+  it("gives the use back when the payment already carries a coupon", async () => {
+    createError = Object.assign(new Error("E11000"), { code: 11000, keyPattern: { surveyorSketchUpload: 1 } });
+    await assert.rejects(reserve(), rejectsWith("COUPON_ALREADY_APPLIED"));
+    assert.deepEqual(countMoves, [1, -1]);
+  });
+});
+
+describe("coupons: admin validation", () => {
+  it("normalizes a create body", () => {
+    const out = schemas.couponCreate({
+      code: "diwali-100",
+      discountType: "flat",
+      amountOffRupees: "100",
+      appliesTo: ["booking", "REVISION", "booking"],
+      districts: [DISTRICT_ID],
+      surveyorCategories: ["public"],
+      validUntil: "2026-11-15",
+      maxRedemptions: 500,
+      stacking: "best_of",
+    });
+    assert.equal(out.code, "DIWALI-100");
+    assert.equal(out.discountType, COUPON_DISCOUNT_TYPE.FLAT);
+    assert.equal(out.amountOffRupees, 100);
+    assert.deepEqual(out.appliesTo, ["BOOKING", "REVISION"]);
+    assert.deepEqual(out.surveyorCategories, ["PUBLIC"]);
+    assert.equal(out.stacking, COUPON_STACKING.BEST_OF);
+    assert.ok(out.validUntil instanceof Date);
+  });
+
+  it("rejects bad terms and code changes", () => {
+    assert.throws(() => schemas.couponCreate({ code: "X", discountType: "PERCENT", appliesTo: ["BOOKING"] }), /code/);
+    assert.throws(
+      () => schemas.couponCreate({ code: "OK10", discountType: "PERCENT", percentOff: 120, appliesTo: ["BOOKING"] }),
+      /percentOff/
+    );
+    assert.throws(() => schemas.couponCreate({ code: "OK10", discountType: "PERCENT", appliesTo: ["EXPRESS"] }), /appliesTo/);
+    assert.throws(() => schemas.couponUpdate({ code: "NEW10" }), /cannot be changed/);
+    assert.throws(() => schemas.couponUpdate({}), /At least one/);
+    assert.deepEqual(schemas.couponUpdate({ active: false, maxRedemptions: null }), { active: false, maxRedemptions: null });
+  });
+
+  it("takes an optional code on balance and revision checkouts but never an amount", () => {
+    assert.deepEqual(schemas.balancePaymentInitiate({ couponCode: "monsoon20" }), { couponCode: "MONSOON20" });
+    assert.deepEqual(schemas.balancePaymentInitiate({}), {});
+    assert.throws(() => schemas.balancePaymentInitiate({ amountPaise: 100 }), /cannot be set by the client/);
+    assert.equal(schemas.sketchRevisionRequest({ remarks: "fix", couponCode: "rev50" }).couponCode, "REV50");
+  });
+});
+
+describe("coupons: reconciliation totals", () => {
+  let savedFind;
+  beforeEach(() => {
+    savedFind = PaymentAttempt.find;
+    const attempt = (id, code, discountPaise) => ({
+      _id: id,
+      merchantOrderId: `sketch_${id}`,
+      provider: "PHONEPE",
+      purpose: PAYMENT_PURPOSE.BOOKING,
+      surveyorSketchUpload: id,
+      providerState: PROVIDER_STATE.COMPLETED,
+      expectedAmountPaise: 50000,
+      paidAmountPaise: 50000,
+      coupon: code ? { code, discountPaise } : null,
+    });
+    PaymentAttempt.find = () =>
+      query([
+        attempt("65f000000000000000000001", "MONSOON20", 10000),
+        attempt("65f000000000000000000002", "MONSOON20", 12000),
+        attempt("65f000000000000000000003", null),
+      ]);
+  });
+  afterEach(() => {
+    PaymentAttempt.find = savedFind;
+  });
+
+  it("sums coupon discounts of completed payments by code", async () => {
+    const summary = await paymentReconciliation.runDailyReconciliation({ asOf: NOW, persist: false });
+    assert.deepEqual(summary.coupons, {
+      count: 2,
+      discountPaise: 22000,
+      byCode: { MONSOON20: { count: 2, discountPaise: 22000 } },
+    });
+    assert.equal(summary.byProvider.PHONEPE.collectedPaise, 150000);
+  });
+});
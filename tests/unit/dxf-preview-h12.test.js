@@ -0,0 +1,196 @@
+/**
+ * H-12: generated PDF preview for DXF-only deliveries, downloadable before the balance is paid.
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+process.env.S3_BUCKET = process.env.S3_BUCKET || "unit-test-bucket";
+
+const { parseDxf } = require("../../src/utils/dxfParser");
+const { renderDxfPreviewPdf, arcPoints, plainText } = require("../../src/utils/dxfPreview");
+const { pdfString } = require("../../src/utils/pdf");
+const { pickPreviewSource, previewFileName } = require("../../src/services/cadPreview.service");
+const s3 = require("../../src/utils/s3");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const FileAccessEvent = require("../../src/models/security/FileAccessEvent");
+const {
+  getCadDownloadForSurveyor,
+  presentUploadForActor,
+} = require("../../src/services/cadDownloadEntitlement.service");
+
+function dxf(pairs) {
+  return `${pairs.map(([c, v]) => `${c}\n${v}`).join("\n")}\n`;
+}
+
+const DRAWING = dxf([
+  [0, "SECTION"], [2, "HEADER"], [9, "$INSUNITS"], [70, 6], [0, "ENDSEC"],
+  [0, "SECTION"], [2, "ENTITIES"],
+  [0, "LINE"], [8, "0"], [10, 0], [20, 0], [11, 40], [21, 0],
+  [0, "ARC"], [8, "0"], [10, 20], [20, 10], [40, 5], [50, 0], [51, 90],
+  [0, "CIRCLE"], [8, "0"], [10, 5], [20, 5], [40, 2],
+  [0, "LWPOLYLINE"], [8, "BOUNDARY"], [90, 4], [70, 1],
+  [10, 0], [20, 0], [10, 40], [20, 0], [10, 40], [20, 30], [10, 0], [20, 30],
+  [0, "TEXT"], [8, "0"], [10, 10], [20, 20], [40, 1.5], [50, 90], [1, "Sy. No. 42"],
+  [0, "MTEXT"], [8, "0"], [10, 2], [20, 28], [40, 1], [3, "{\\fArial;HOBLI KA"], [1, "SABA}"],
+  [0, "ENDSEC"], [0, "EOF"],
+]);
+
+function pageContent(pdf) {
+  const raw = pdf.toString("latin1");
+  const start = raw.indexOf("stream\n") + "stream\n".length;
+  const end = raw.indexOf("\nendstream", start);
+  return zlib.inflateSync(pdf.subarray(start, end)).toString("latin1");
+}
+
+describe("H-12 DXF preview rendering", () => {
+  it("parser keeps lines, arcs / circles and positioned text", () => {
+    const parsed = parseDxf(DRAWING);
+    assert.equal(parsed.lines.length, 1);
+    assert.deepEqual(parsed.lines[0].b, { x: 40, y: 0 });
+    assert.equal(parsed.arcs.length, 2);
+    assert.deepEqual(
+      parsed.arcs.map((a) => [a.startAngle, a.endAngle]),
+      [[0, 90], [0, 360]]
+    );
+    const label = parsed.texts.find((t) => t.value === "Sy. No. 42");
+    assert.deepEqual(label.at, { x: 10, y: 20 });
+    assert.equal(label.rotation, 90);
+    assert.equal(plainText(parsed.texts[1].value), "HOBLI KASABA");
+  });
+
+  it("arcs sweep counter-clockwise across 0°", () => {
+    const pts = arcPoints({ center: { x: 0, y: 0 }, radius: 1, startAngle: 270, endAngle: 90 });
+    assert.ok(Math.abs(pts[0].y + 1) < 1e-9);
+    assert.ok(Math.abs(pts[pts.length - 1].y - 1) < 1e-9);
+    assert.ok(pts.every((p) => p.x >= -1e-9), "passes through +x, not -x");
+  });
+
+  it("renders a one-page PDF stamped with application ID and surveyor name", () => {
+    const { pdf, stats } = renderDxfPreviewPdf(parseDxf(DRAWING), {
+      applicationId: "APP-2026-0042",
+      surveyorName: "Asha Rao",
+      sourceFileName: "plot.dxf",
+      generatedAt: new Date("2026-10-01T00:00:00Z"),
+    });
+    const raw = pdf.toString("latin1");
+    assert.ok(raw.startsWith("%PDF-1.4"));
+    assert.ok(raw.trimEnd().endsWith("%%EOF"));
+    assert.match(raw, /\/Count 1/);
+    assert.equal(stats.empty, false);
+    assert.equal(stats.texts, 2);
+
+    const content = pageContent(pdf);
+    assert.match(content, /\(APP-2026-0042 \xb7 Asha Rao\) Tj/);
+    assert.match(content, /Surveyor Asha Rao/);
+    assert.match(content, /\(Sy. No. 42\) Tj/);
+    assert.match(content, / s\n/, "closed boundary polyline");
+  });
+
+  it("escapes PDF strings and replaces characters outside WinAnsi", () => {
+    assert.equal(pdfString("a(b)\\c"), "(a\\(b\\)\\\\c)");
+    assert.equal(pdfString("ಹ—x"), "(?\x97x)");
+  });
+
+  it("renders an empty drawing without throwing", () => {
+    const { stats } = renderDxfPreviewPdf(parseDxf(dxf([[0, "EOF"]])), {});
+    assert.equal(stats.empty, true);
+  });
+});
+
+describe("H-12 generated preview selection", () => {
+  const dxfSource = {
+    fileName: "plot.dxf",
+    role: "source",
+    s3Key: "uploads/cad-deliverables/user/u1/a1/x-plot.dxf",
+  };
+
+  it("picks a DXF source only when no preview was delivered", () => {
+    assert.equal(pickPreviewSource([dxfSource]), dxfSource);
+    assert.equal(pickPreviewSource([dxfSource, { fileName: "p.pdf", role: "preview" }]), null);
+    assert.equal(
+      pickPreviewSource([{ fileName: "plot.dwg", role: "source", s3Key: "uploads/cad-deliverables/user/u/a/x.dwg" }]),
+      null
+    );
+    assert.equal(previewFileName("Plot 12.dxf"), "Plot 12-preview.pdf");
+  });
+});
+
+describe("H-12 preview download before balance", () => {
+  const surveyorId = "507f1f77bcf86cd799439011";
+  const surveyor = { _id: surveyorId, role: "SURVEYOR" };
+  const bucketUrl = (key) => `https://${process.env.S3_BUCKET}.s3.ap-south-1.amazonaws.com/${key}`;
+  const origFind = SurveyorSketchUpload.findById;
+  const origPresign = s3.getPresignedGetUrl;
+  const origCreate = FileAccessEvent.create;
+
+  function fakeUpload(files) {
+    return {
+      _id: "607f1f77bcf86cd799439022",
+      surveyor: surveyorId,
+      status: "CAD_DELIVERED",
+      applicationId: "APP-1",
+      cadDeliverable: files,
+      balancePayment: { amountPaise: 40000, status: "REQUIRED", ledger: [] },
+      downloadEntitlement: { granted: false },
+      downloadGrants: [],
+      async save() {
+        return this;
+      },
+    };
+  }
+
+  const source = { url: bucketUrl("uploads/cad-deliverables/user/c/a/1-plot.dxf"), fileName: "plot.dxf", role: "source" };
+  const preview = {
+    url: bucketUrl("uploads/cad-deliverables/user/c/a/2-plot-preview.pdf"),
+    fileName: "plot-preview.pdf",
+    mimeType: "application/pdf",
+    role: "preview",
+    generated: { from: "uploads/cad-deliverables/user/c/a/1-plot.dxf", by: "DXF_PREVIEW_PDF_V1" },
+  };
+
+  before(() => {
+    s3.getPresignedGetUrl = async (key) => `https://signed.example/${key}`;
+    FileAccessEvent.create = async () => ({});
+  });
+  after(() => {
+    SurveyorSketchUpload.findById = origFind;
+    s3.getPresignedGetUrl = origPresign;
+    FileAccessEvent.create = origCreate;
+  });
+
+  it("issues only the preview while the balance is unpaid", async () => {
+    const upload = fakeUpload([source, preview]);
+    SurveyorSketchUpload.findById = async () => upload;
+    const out = await getCadDownloadForSurveyor(surveyor, upload._id);
+    assert.equal(out.previewOnly, true);
+    assert.deepEqual(out.files.map((f) => f.fileName), ["plot-preview.pdf"]);
+    assert.equal(out.files[0].generated, true);
+    assert.equal(out.downloadEntitlement.granted, false);
+    assert.equal(out.downloadEntitlement.previewAvailable, true);
+    assert.equal(upload.balancePayment.ledger.at(-1).event, "PREVIEW_URLS_ISSUED");
+  });
+
+  it("still denies when there is no preview and the balance is unpaid", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload([source]);
+    await assert.rejects(
+      getCadDownloadForSurveyor(surveyor, "607f1f77bcf86cd799439022"),
+      (err) => err.code === "BALANCE_PAYMENT_REQUIRED"
+    );
+  });
+
+  it("issues source and preview once the balance is paid", async () => {
+    const upload = fakeUpload([source, preview]);
+    upload.balancePayment = { amountPaise: 40000, paidAmountPaise: 40000, status: "COMPLETED", ledger: [] };
+    SurveyorSketchUpload.findById = async () => upload;
+    const out = await getCadDownloadForSurveyor(surveyor, upload._id);
+    assert.equal(out.previewOnly, false);
+    assert.deepEqual(out.files.map((f) => f.role), ["source", "preview"]);
+  });
+
+  it("surveyor payload labels redacted files by role", () => {
+    const out = presentUploadForActor(fakeUpload([source, preview]), surveyor);
+    assert.deepEqual(out.cadDeliverable.map((f) => [f.role, f.urlWithheld]), [["source", true], ["preview", true]]);
+    assert.equal(out.cadDeliverable[0].url, undefined);
+  });
+});
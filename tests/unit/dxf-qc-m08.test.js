@@ -0,0 +1,140 @@
+/**
+ * M-08: server-side DXF checks that pre-fill the 11E QC checklist.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseDxf, polylineSelfIntersects, polygonArea } = require("../../src/utils/dxfParser");
+const {
+  analyzeDxfBuffer,
+  buildQcPrefill,
+  isAnalyzableSource,
+} = require("../../src/services/dxfAnalysis.service");
+const { buildChecklistSnapshot } = require("../../src/services/assignment/deliveryQc.service");
+
+function dxf(pairs) {
+  return `${pairs.map(([c, v]) => `${c}\n${v}`).join("\n")}\n`;
+}
+
+function lwpolyline(layer, points, closed = true) {
+  return [
+    [0, "LWPOLYLINE"],
+    [8, layer],
+    [90, points.length],
+    [70, closed ? 1 : 0],
+    ...points.flatMap(([x, y]) => [[10, x], [20, y]]),
+  ];
+}
+
+function drawing({ units = 6, entities = [], blocks = [] }) {
+  return dxf([
+    [0, "SECTION"], [2, "HEADER"],
+    [9, "$ACADVER"], [1, "AC1015"],
+    [9, "$INSUNITS"], [70, units],
+    [0, "ENDSEC"],
+    [0, "SECTION"], [2, "TABLES"],
+    [0, "TABLE"], [2, "LAYER"],
+    [0, "LAYER"], [2, "BOUNDARY"],
+    [0, "ENDTAB"],
+    [0, "ENDSEC"],
+    [0, "SECTION"], [2, "BLOCKS"],
+    ...blocks,
+    [0, "ENDSEC"],
+    [0, "SECTION"], [2, "ENTITIES"],
+    ...entities,
+    [0, "ENDSEC"],
+    [0, "EOF"],
+  ]);
+}
+
+const square = [[0, 0], [20, 0], [20, 30], [0, 30]];
+const bowtie = [[0, 0], [10, 10], [10, 0], [0, 10]];
+
+describe("M-08 DXF parser", () => {
+  it("reads units, layers, entity counts and closed polylines", () => {
+    const parsed = parseDxf(drawing({ entities: [...lwpolyline("BOUNDARY", square), [0, "LINE"], [8, "0"]] }));
+    assert.equal(parsed.units.name, "Meters");
+    assert.deepEqual(parsed.layers, ["BOUNDARY"]);
+    assert.equal(parsed.entities.length, 2);
+    assert.equal(parsed.polylines[0].closed, true);
+    assert.equal(polygonArea(parsed.polylines[0].vertices), 600);
+  });
+
+  it("treats a repeated first vertex as closed and reads old-style POLYLINE/VERTEX", () => {
+    const parsed = parseDxf(
+      drawing({
+        entities: [
+          ...lwpolyline("A", [...square, [0, 0]], false),
+          [0, "POLYLINE"], [8, "B"], [70, 1],
+          ...square.flatMap(([x, y]) => [[0, "VERTEX"], [8, "B"], [10, x], [20, y]]),
+          [0, "SEQEND"],
+        ],
+      })
+    );
+    assert.equal(parsed.polylines.length, 2);
+    assert.ok(parsed.polylines.every((p) => p.closed && p.vertices.length === 4));
+  });
+
+  it("detects self-intersections", () => {
+    const pts = (list) => list.map(([x, y]) => ({ x, y }));
+    assert.equal(polylineSelfIntersects(pts(square), true), false);
+    assert.equal(polylineSelfIntersects(pts(bowtie), true), true);
+  });
+
+  it("rejects malformed group codes", () => {
+    assert.throws(() => parseDxf("0\nSECTION\nxx\nHEADER\n"), /Invalid DXF group code/);
+  });
+});
+
+describe("M-08 DXF QC findings", () => {
+  it("passes a clean plot with boundary, units and north arrow block", () => {
+    const text = drawing({
+      blocks: [[0, "BLOCK"], [2, "NORTH_ARROW"], [0, "ENDBLK"]],
+      entities: [...lwpolyline("BOUNDARY", square), [0, "INSERT"], [8, "0"], [2, "NORTH_ARROW"], [10, 25], [20, 25]],
+    });
+    const r = analyzeDxfBuffer(Buffer.from(text, "latin1"));
+    assert.equal(r.status, "OK");
+    for (const code of ["BOUNDARY", "SCALE", "NORTH", "TOPOLOGY", "FORMAT"]) {
+      assert.equal(r.summary.checks[code].result, "PASS", code);
+    }
+    assert.equal(r.summary.northArrow.via, "BLOCK");
+  });
+
+  it("flags open boundary, missing units, self-intersection and no north", () => {
+    const text = drawing({
+      units: 0,
+      entities: [...lwpolyline("BOUNDARY", square, false), ...lwpolyline("X", bowtie)],
+    });
+    const { checks } = analyzeDxfBuffer(Buffer.from(text, "latin1")).summary;
+    assert.equal(checks.SCALE.result, "FAIL");
+    assert.equal(checks.TOPOLOGY.result, "FAIL");
+    assert.equal(checks.NORTH.result, "FAIL");
+    assert.equal(checks.BOUNDARY.result, "PASS"); // the bow-tie is closed; topology catches it
+  });
+
+  it("skips binary DXF and fails unparseable text without throwing", () => {
+    assert.equal(analyzeDxfBuffer(Buffer.from("AutoCAD Binary DXF\r\n\u001a\u0000")).status, "SKIPPED");
+    const bad = analyzeDxfBuffer(Buffer.from("0\nSECTION\nnot-a-code\nX\n"));
+    assert.equal(bad.status, "FAILED");
+    assert.equal(bad.summary.checks.FORMAT.result, "FAIL");
+  });
+
+  it("only CAD deliverable .dxf keys are analysed", () => {
+    assert.equal(isAnalyzableSource("uploads/cad-deliverables/user/u/e/x-plan.dxf", "plan.dxf"), true);
+    assert.equal(isAnalyzableSource("uploads/cad-deliverables/user/u/e/x-plan.dwg", "plan.dwg"), false);
+    assert.equal(isAnalyzableSource("uploads/images/user/u/e/x-plan.dxf", "plan.dxf"), false);
+  });
+
+  it("pre-fills machine findings on the QC checklist (FAIL across files wins)", () => {
+    const ok = { fileName: "a.dxf", summary: { checks: { NORTH: { result: "PASS", note: "found" } } } };
+    const bad = { fileName: "b.dxf", summary: { checks: { NORTH: { result: "FAIL", note: "missing" } } } };
+    const prefill = buildQcPrefill([ok, bad]);
+    assert.equal(prefill.NORTH.result, "FAIL");
+    assert.match(prefill.NORTH.note, /a\.dxf: found; b\.dxf: missing/);
+
+    const snap = buildChecklistSnapshot(prefill);
+    assert.equal(snap.find((c) => c.code === "NORTH").machine.result, "FAIL");
+    assert.equal(snap.find((c) => c.code === "NORTH").result, null);
+    assert.equal(snap.find((c) => c.code === "IDENTITY").machine, null);
+  });
+});
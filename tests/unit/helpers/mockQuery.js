@@ -0,0 +1,19 @@
+/**
+ * Chainable stand-in for a mongoose Query: the usual modifiers return the query itself and awaiting it
+ * (or `.lean()`) yields `result`. Pass a rejected promise to make the query fail.
+ * @param {*} result
+ */
+function query(result) {
+  const q = {
+    select: () => q,
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    populate: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+module.exports = { query };
@@ -9,6 +9,8 @@ const {
   normalizeSketchStatus,
   assertQcRequiredForRelease,
   requiresQcForOrderType,
+  normalizeOrderType,
+  orderTypeListMatch,
   ORDER_TYPES,
   QC_CHECKLIST_11E,
   getLifecycleQcPublicSpec,
@@ -76,6 +78,14 @@ describe("M-08 lifecycle + QC", () => {
     assert.equal(gate.checkCount, 10);
   });
 
+  it("normalizes order types and builds list filters (legacy rows count as standard)", () => {
+    assert.equal(normalizeOrderType("express_11e"), ORDER_TYPES.EXPRESS_11E);
+    assert.equal(normalizeOrderType("RUSH"), null);
+    assert.equal(orderTypeListMatch("EXPRESS_11E"), ORDER_TYPES.EXPRESS_11E);
+    assert.deepEqual(orderTypeListMatch("standard_11e"), { $ne: ORDER_TYPES.EXPRESS_11E });
+    assert.throws(() => orderTypeListMatch("RUSH"), (e) => e.code === "INVALID_ORDER_TYPE");
+  });
+
   it("public business rules embed the same machine", () => {
     const rules = getApprovedBusinessRulesPublic();
     const spec = getLifecycleQcPublicSpec();
@@ -87,3 +97,111 @@ describe("M-08 lifecycle + QC", () => {
     assert.ok(Array.isArray(SKETCH_TRANSITIONS[SURVEY_SKETCH_STATUS.PENDING]));
   });
 });
+
+describe("M-08 delivery QC record", () => {
+  const {
+    buildChecklistSnapshot,
+    evaluateQcChecks,
+    isReleasedDelivery,
+  } = require("../../src/services/assignment/deliveryQc.service");
+  const { schemas } = require("../../src/middleware/validator");
+
+  const allPass = () => QC_CHECKLIST_11E.map((c) => ({ code: c.code, result: "PASS" }));
+
+  it("snapshot freezes all 10 checks; only REVISION may be N/A", () => {
+    const snap = buildChecklistSnapshot();
+    assert.equal(snap.length, 10);
+    assert.deepEqual(
+      snap.filter((c) => !c.required).map((c) => c.code),
+      ["REVISION"]
+    );
+    assert.ok(snap.every((c) => c.result === null));
+  });
+
+  it("passes when every required check passes (N/A on optional ok)", () => {
+    const checks = allPass().map((c) => (c.code === "REVISION" ? { ...c, result: "NA" } : c));
+    const out = evaluateQcChecks(buildChecklistSnapshot(), checks);
+    assert.equal(out.passed, true);
+    assert.deepEqual(out.failureReasons, []);
+  });
+
+  it("fails with reasons for each FAIL and rejects N/A on required checks", () => {
+    const checks = allPass().map((c) =>
+      c.code === "BOUNDARY" ? { ...c, result: "FAIL", note: "North-east corner not closed" } : c
+    );
+    const out = evaluateQcChecks(buildChecklistSnapshot(), checks);
+    assert.equal(out.passed, false);
+    assert.deepEqual(out.failureReasons, ["BOUNDARY: North-east corner not closed"]);
+
+    const na = allPass().map((c) => (c.code === "NORTH" ? { ...c, result: "NA" } : c));
+    assert.throws(() => evaluateQcChecks(buildChecklistSnapshot(), na), (e) => e.code === "QC_CHECKLIST_INVALID");
+    assert.throws(() => evaluateQcChecks(buildChecklistSnapshot(), allPass().slice(1)), (e) => e.code === "QC_CHECKLIST_INVALID");
+  });
+
+  it("only PASSED or legacy (no qc) history rows are released", () => {
+    assert.equal(isReleasedDelivery({ revisionNo: 0 }), true);
+    assert.equal(isReleasedDelivery({ qc: { status: "PASSED" } }), true);
+    assert.equal(isReleasedDelivery({ qc: { status: "PENDING" } }), false);
+    assert.equal(isReleasedDelivery({ qc: { status: "FAILED" } }), false);
+  });
+
+  it("review body needs every code once and a note on FAIL", () => {
+    const body = schemas.qcReviewComplete({ checks: allPass(), notes: " ok " });
+    assert.equal(body.checks.length, 10);
+    assert.equal(body.notes, "ok");
+    const dup = allPass();
+    dup[1] = { ...dup[0] };
+    assert.throws(() => schemas.qcReviewComplete({ checks: dup }), /distinct QC code/);
+    const noNote = allPass().map((c) => (c.code === "SCALE" ? { ...c, result: "FAIL" } : c));
+    assert.throws(() => schemas.qcReviewComplete({ checks: noNote }), /note is required/);
+  });
+
+  it("reopens the record when the delivery cannot be released, so the review can be retried", async (t) => {
+    const mongoose = require("mongoose");
+    const DeliveryQcRecord = require("../../src/models/assignment/DeliveryQcRecord");
+    const assignmentService = require("../../src/services/assignment/surveySketchAssignment.service");
+    const { completeQcReview } = require("../../src/services/assignment/deliveryQc.service");
+    const saved = {
+      findById: DeliveryQcRecord.findById,
+      findOneAndUpdate: DeliveryQcRecord.findOneAndUpdate,
+      updateOne: DeliveryQcRecord.updateOne,
+      release: assignmentService.releaseDeliveryAfterQc,
+    };
+    t.after(() => {
+      DeliveryQcRecord.findById = saved.findById;
+      DeliveryQcRecord.findOneAndUpdate = saved.findOneAndUpdate;
+      DeliveryQcRecord.updateOne = saved.updateOne;
+      assignmentService.releaseDeliveryAfterQc = saved.release;
+    });
+
+    const record = new DeliveryQcRecord({
+      assignment: new mongoose.Types.ObjectId(),
+      surveyorSketchUpload: new mongoose.Types.ObjectId(),
+      cadUser: new mongoose.Types.ObjectId(),
+      checks: buildChecklistSnapshot(),
+    });
+    let stored = record.toObject();
+    DeliveryQcRecord.findById = async () => record;
+    DeliveryQcRecord.findOneAndUpdate = async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored = { ...stored, ...update.$set };
+      return new DeliveryQcRecord(stored);
+    };
+    DeliveryQcRecord.updateOne = async (filter, update) => {
+      if (stored.status === filter.status && stored.reviewedAt === filter.reviewedAt) {
+        stored = { ...stored, ...update.$set };
+      }
+    };
+    assignmentService.releaseDeliveryAfterQc = async () => {
+      throw new Error("upload save failed");
+    };
+
+    await assert.rejects(completeQcReview(record._id, { checks: allPass() }, { _id: new mongoose.Types.ObjectId() }), {
+      message: "upload save failed",
+    });
+    assert.equal(stored.status, "PENDING");
+    assert.equal(stored.reviewedAt, null);
+    assert.equal(stored.reviewer, null);
+    assert.ok(stored.checks.every((c) => c.result === null));
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * C-02 / H-07: ZIP bundles of surveyor deliverables and CAD order inputs.
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+
+process.env.S3_BUCKET = process.env.S3_BUCKET || "unit-test-bucket";
+
+const { createZipWriter, crc32 } = require("../../src/utils/zip");
+const s3 = require("../../src/utils/s3");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const SurveySketchAssignment = require("../../src/models/assignment/SurveySketchAssignment");
+const FileAccessEvent = require("../../src/models/security/FileAccessEvent");
+const {
+  getDeliverableBundleForSurveyor,
+  getInputBundleForCad,
+} = require("../../src/services/orderBundle.service");
+
+/** Entries from the central directory: { name -> Buffer }. */
+function readZip(buf) {
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const out = {};
+  for (let i = 0; i < count; i += 1) {
+    const crc = buf.readUInt32LE(p + 16);
+    const compressed = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    const dataStart = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = zlib.inflateRawSync(buf.subarray(dataStart, dataStart + compressed));
+    assert.equal(crc32(data), crc, `crc of ${name}`);
+    out[name] = data;
+    p += 46 + nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return out;
+}
+
+const sha = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+describe("C-02 streaming ZIP writer", () => {
+  it("writes readable deflate entries with sha256 per entry", async () => {
+    const chunks = [];
+    const zip = createZipWriter({ write: async (c) => chunks.push(c) });
+    const big = Buffer.alloc(200000, 7);
+    const a = await zip.addStream("rev-1/plot.dxf", Readable.from([big.subarray(0, 65536), big.subarray(65536)]));
+    await zip.addBuffer("../manifest.json", Buffer.from("{}"));
+    assert.equal(a.sha256, sha(big));
+    await assert.rejects(zip.addBuffer("manifest.json", Buffer.from("x")), /Duplicate/);
+    await zip.finish();
+    const entries = readZip(Buffer.concat(chunks));
+    assert.deepEqual(Object.keys(entries), ["rev-1/plot.dxf", "manifest.json"]);
+    assert.ok(entries["rev-1/plot.dxf"].equals(big));
+  });
+
+  it("stops once the byte cap is exceeded", async () => {
+    const zip = createZipWriter({ write: () => {} }, { maxBytes: 10 });
+    await assert.rejects(zip.addBuffer("a.bin", Buffer.alloc(11)), RangeError);
+  });
+});
+
+describe("C-02 order bundles", () => {
+  const bucketUrl = (key) => `https://${process.env.S3_BUCKET}.s3.ap-south-1.amazonaws.com/${key}`;
+  const surveyor = { _id: "507f1f77bcf86cd799439011", role: "SURVEYOR" };
+  const cadUser = { _id: "507f1f77bcf86cd799439033", role: "CAD" };
+  const objects = new Map([
+    ["uploads/cad-deliverables/user/c/a/r0-plot.dxf", Buffer.from("0\nSECTION\n0\nEOF\n")],
+    ["uploads/cad-deliverables/user/c/a/r0-plot.pdf", Buffer.from("%PDF-1.4 rev0")],
+    ["uploads/cad-deliverables/user/c/a/r1-plot.dxf", Buffer.from("0\nSECTION\n1\nEOF\n")],
+    ["uploads/cad-deliverables/user/c/a/r1-plot.pdf", Buffer.from("%PDF-1.4 rev1")],
+    ["uploads/images/user/s/u/atlas.jpg", Buffer.from("atlas-bytes")],
+    ["uploads/images/user/s/u/bundle.pdf", Buffer.from("single-bundle")],
+    ["uploads/audio/user/s/u/note.webm", Buffer.from("voice")],
+  ]);
+  const file = (key, role) => ({ url: bucketUrl(key), fileName: key.split("-").pop(), role });
+  const delivery = (rev) => [
+    file(`uploads/cad-deliverables/user/c/a/r${rev}-plot.dxf`, "source"),
+    file(`uploads/cad-deliverables/user/c/a/r${rev}-plot.pdf`, "preview"),
+  ];
+  const orig = {
+    mode: process.env.WATERMARK_MODE,
+    findUpload: SurveyorSketchUpload.findById,
+    findAssignment: SurveySketchAssignment.findById,
+    writer: s3.createMultipartWriter,
+    stream: s3.getObjectStream,
+    presign: s3.getPresignedGetUrl,
+    create: FileAccessEvent.create,
+  };
+  let stored;
+  let events;
+
+  function fakeUpload(paid) {
+    return {
+      _id: "607f1f77bcf86cd799439022",
+      surveyor: surveyor._id,
+      status: "CAD_DELIVERED",
+      applicationId: "APP-9",
+      sketchPayment: { amountPaise: 50000, status: "COMPLETED" },
+      documents: new Map([["atlas", [file("uploads/images/user/s/u/atlas.jpg")]]]),
+      singleUpload: [file("uploads/images/user/s/u/bundle.pdf")],
+      audio: [file("uploads/audio/user/s/u/note.webm")],
+      other_documents: [{ url: "https://elsewhere.example/x.pdf", fileName: "x.pdf" }],
+      cadDeliverable: delivery(1),
+      cadDeliverableHistory: [
+        { revisionNo: 0, deliverables: delivery(0), qc: { status: "PASSED" } },
+        { revisionNo: 1, deliverables: delivery(1), qc: { status: "PASSED" } },
+        { revisionNo: 2, deliverables: delivery(2), qc: { status: "FAILED" } },
+      ],
+      balancePayment: paid
+        ? { amountPaise: 40000, paidAmountPaise: 40000, status: "COMPLETED", ledger: [] }
+        : { amountPaise: 40000, status: "REQUIRED", ledger: [] },
+      downloadEntitlement: { granted: paid },
+      async save() {
+        return this;
+      },
+    };
+  }
+
+  before(() => {
+    delete process.env.WATERMARK_MODE;
+    s3.createMultipartWriter = async (key) => {
+      const chunks = [];
+      return {
+        write: async (c) => chunks.push(c),
+        complete: async () => {
+          stored.set(key, Buffer.concat(chunks));
+          return { key, size: stored.get(key).length };
+        },
+        abort: async () => {},
+      };
+    };
+    s3.getObjectStream = async (key) => {
+      if (!objects.has(key)) throw new Error("NoSuchKey");
+      return { body: Readable.from([objects.get(key)]) };
+    };
+    s3.getPresignedGetUrl = async (key) => `https://signed.example/${key}`;
+    FileAccessEvent.create = async (doc) => {
+      events.push(doc);
+      return doc;
+    };
+  });
+  beforeEach(() => {
+    stored = new Map();
+    events = [];
+  });
+  after(() => {
+    if (orig.mode !== undefined) process.env.WATERMARK_MODE = orig.mode;
+    SurveyorSketchUpload.findById = orig.findUpload;
+    SurveySketchAssignment.findById = orig.findAssignment;
+    s3.createMultipartWriter = orig.writer;
+    s3.getObjectStream = orig.stream;
+    s3.getPresignedGetUrl = orig.presign;
+    FileAccessEvent.create = orig.create;
+  });
+
+  const zipFor = (out) => readZip(stored.get(out.bundle.downloadUrl.replace("https://signed.example/", "")));
+
+  it("bundles every released revision with a manifest once the balance is paid", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(true);
+    const out = await getDeliverableBundleForSurveyor(surveyor, "607f1f77bcf86cd799439022");
+    assert.equal(out.previewOnly, false);
+    assert.equal(out.bundle.fileName, "APP-9-deliverables.zip");
+    const entries = zipFor(out);
+    assert.deepEqual(Object.keys(entries).sort(), [
+      "manifest.json",
+      "rev-0/plot.dxf",
+      "rev-0/plot.pdf",
+      "rev-1/plot.dxf",
+      "rev-1/plot.pdf",
+    ]);
+    const manifest = JSON.parse(entries["manifest.json"]);
+    const row = manifest.files.find((f) => f.path === "rev-1/plot.dxf");
+    assert.equal(row.revisionNo, 1);
+    assert.equal(row.role, "source");
+    assert.equal(row.sha256, sha(objects.get("uploads/cad-deliverables/user/c/a/r1-plot.dxf")));
+    assert.equal(row.sourceKey, undefined, "object keys stay out of the surveyor manifest");
+    const logged = events.at(-1);
+    assert.equal(logged.action, "BUNDLE_ISSUED");
+    assert.ok(logged.objectKey.startsWith("uploads/derived/bundles/607f1f77bcf86cd799439022/"));
+    assert.equal(logged.meta.files.length, 4);
+  });
+
+  it("bundles previews only while the balance is unpaid", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(false);
+    const out = await getDeliverableBundleForSurveyor(surveyor, "607f1f77bcf86cd799439022");
+    assert.equal(out.previewOnly, true);
+    assert.deepEqual(out.manifest.files.map((f) => f.path), ["rev-0/plot.pdf", "rev-1/plot.pdf"]);
+  });
+
+  it("refuses another surveyor's order and logs the attempt", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(true);
+    await assert.rejects(
+      getDeliverableBundleForSurveyor({ ...surveyor, _id: "507f1f77bcf86cd799439099" }, "607f1f77bcf86cd799439022"),
+      (err) => err.code === "NOT_YOUR_SKETCH"
+    );
+    assert.equal(events.at(-1).action, "ACCESS_DENIED_CROSS_USER");
+    assert.equal(stored.size, 0);
+  });
+
+  it("bundles order inputs for the assigned CAD user, skipping foreign URLs", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(false);
+    SurveySketchAssignment.findById = () => ({
+      lean: async () => ({
+        _id: "707f1f77bcf86cd799439044",
+        surveyorSketchUpload: "607f1f77bcf86cd799439022",
+        assignedTo: cadUser._id,
+        status: "IN_PROGRESS",
+      }),
+    });
+    const out = await getInputBundleForCad(cadUser, "707f1f77bcf86cd799439044");
+    assert.deepEqual(Object.keys(zipFor(out)).sort(), [
+      "audio/note.webm",
+      "documents/atlas/atlas.jpg",
+      "manifest.json",
+      "single-upload/bundle.pdf",
+    ]);
+    assert.deepEqual(out.manifest.skipped.map((s) => [s.role, s.code]), [["other_documents", "KEY_UNRESOLVED"]]);
+    assert.equal(events.at(-1).meta.kind, "CAD_INPUTS");
+  });
+
+  it("refuses inputs for an assignment held by someone else", async () => {
+    SurveySketchAssignment.findById = () => ({
+      lean: async () => ({
+        _id: "707f1f77bcf86cd799439044",
+        surveyorSketchUpload: "607f1f77bcf86cd799439022",
+        assignedTo: "507f1f77bcf86cd799439077",
+        status: "IN_PROGRESS",
+      }),
+    });
+    await assert.rejects(
+      getInputBundleForCad(cadUser, "707f1f77bcf86cd799439044"),
+      (err) => err.code === "NOT_YOUR_ASSIGNMENT"
+    );
+    assert.equal(events.at(-1).action, "ACCESS_DENIED_CROSS_USER");
+  });
+});
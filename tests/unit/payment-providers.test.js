@@ -0,0 +1,361 @@
+/**
+ * Pluggable checkout gateways: registry, Razorpay-style adapter, fake adapter end-to-end through the
+ * callback, per-purpose selection and cross-provider reconciliation (mocked models, no network).
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER, PROVIDER_STATE, RECON_FLAG } = require("../../src/models/payment/PaymentAttempt");
+const PaymentProviderSettings = require("../../src/models/config/PaymentProviderSettings");
+const paymentProvider = require("../../src/services/payment/paymentProvider.service");
+const fake = require("../../src/services/payment/fake.provider");
+const razorpay = require("../../src/services/payment/razorpay.provider");
+const { handleProviderCallback } = require("../../src/services/payment/paymentCallback.service");
+const surveyorSketchUploadService = require("../../src/services/surveyorSketchUpload.service");
+const couponService = require("../../src/services/payment/coupon.service");
+const taxDocument = require("../../src/services/payment/taxDocument.service");
+const { runDailyReconciliation } = require("../../src/services/paymentReconciliation.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const UPLOAD_ID = "507f1f77bcf86cd799439011";
+const ENV_KEYS = [
+  "PAYMENT_FAKE_PROVIDER_ENABLED",
+  "PAYMENT_FAKE_AUTO_COMPLETE",
+  "PAYMENT_PROVIDER_DEFAULT",
+  "PUBLIC_API_BASE_URL",
+  "RAZORPAY_KEY_ID",
+  "RAZORPAY_KEY_SECRET",
+  "STAGE",
+  "PHONEPE_SUCCESS_REDIRECT_URL",
+  "PHONEPE_FAILURE_REDIRECT_URL",
+];
+
+/** Mongoose-like query: chainable select/sort, awaitable directly or via lean(). */
+let savedEnv;
+before(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+  process.env.PAYMENT_FAKE_PROVIDER_ENABLED = "true";
+  process.env.PUBLIC_API_BASE_URL = "https://api.example.test";
+  process.env.PHONEPE_SUCCESS_REDIRECT_URL = "https://app.example.test/ok";
+  process.env.PHONEPE_FAILURE_REDIRECT_URL = "https://app.example.test/fail";
+  delete process.env.PAYMENT_FAKE_AUTO_COMPLETE;
+  delete process.env.PAYMENT_PROVIDER_DEFAULT;
+  delete process.env.STAGE;
+});
+after(() => {
+  for (const [k, v] of Object.entries(savedEnv)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+});
+
+describe("payment providers: registry", () => {
+  it("resolves by name and callback slug; null is legacy PhonePe", () => {
+    assert.equal(paymentProvider.getProvider(null).name, PAYMENT_PROVIDER.PHONEPE);
+    assert.equal(paymentProvider.getProvider("razorpay").name, PAYMENT_PROVIDER.RAZORPAY);
+    assert.equal(paymentProvider.getProviderByCallbackSlug("fake").name, PAYMENT_PROVIDER.FAKE);
+    assert.equal(paymentProvider.getProviderByCallbackSlug("nope"), null);
+    assert.throws(() => paymentProvider.getProvider("stripe"), (e) => e.code === "UNKNOWN_PAYMENT_PROVIDER");
+  });
+
+  it("fake provider never counts as configured on prod", () => {
+    process.env.STAGE = "prod";
+    try {
+      assert.equal(fake.isConfigured(), false);
+    } finally {
+      delete process.env.STAGE;
+    }
+    assert.equal(fake.isConfigured(), true);
+  });
+});
+
+describe("payment providers: Razorpay-style adapter", () => {
+  let origFetch;
+  beforeEach(() => {
+    origFetch = global.fetch;
+    process.env.RAZORPAY_KEY_ID = "rzp_test";
+    process.env.RAZORPAY_KEY_SECRET = "shh";
+  });
+  afterEach(() => {
+    global.fetch = origFetch;
+    delete process.env.RAZORPAY_KEY_ID;
+    delete process.env.RAZORPAY_KEY_SECRET;
+  });
+
+  it("verifies the callback signature", () => {
+    const q = {
+      merchantOrderId: "bal1",
+      razorpay_payment_link_id: "plink_1",
+      razorpay_payment_link_reference_id: "bal1",
+      razorpay_payment_link_status: "paid",
+      razorpay_payment_id: "pay_1",
+    };
+    const sig = razorpay.callbackSignature(
+      { linkId: "plink_1", referenceId: "bal1", status: "paid", paymentId: "pay_1" },
+      "shh"
+    );
+    assert.deepEqual(razorpay.verifyCallback({ ...q, razorpay_signature: sig }), {
+      merchantOrderId: "bal1",
+      verified: true,
+    });
+    assert.equal(razorpay.verifyCallback({ ...q, razorpay_signature: "00" }).verified, false);
+    assert.equal(razorpay.verifyCallback({ merchantOrderId: "bal1" }).verified, null);
+    assert.equal(
+      razorpay.verifyCallback({ ...q, razorpay_signature: sig, merchantOrderId: "other" }).verified,
+      false
+    );
+  });
+
+  it("normalizes a paid link to the PhonePe-shaped status", async () => {
+    let calledUrl;
+    global.fetch = async (url) => {
+      calledUrl = url;
+      return {
+        ok: true,
+        json: async () => ({
+          id: "plink_1",
+          status: "paid",
+          reference_id: "bal1",
+          amount_paid: 40000,
+          payments: [{ payment_id: "pay_1", status: "captured" }],
+        }),
+      };
+    };
+    const s = await razorpay.fetchStatus("bal1", { providerOrderId: "plink_1" });
+    assert.match(calledUrl, /\/payment_links\/plink_1$/);
+    assert.equal(s.state, PROVIDER_STATE.COMPLETED);
+    assert.equal(s.amount, 40000);
+    assert.equal(s.transactionId, "pay_1");
+  });
+});
+
+describe("payment providers: checkout selection", () => {
+  let origAttemptFindOne;
+  let origSettingsFindOne;
+  let settingsDoc;
+  let existingAttempt;
+
+  beforeEach(() => {
+    fake.reset();
+    settingsDoc = null;
+    existingAttempt = null;
+    origAttemptFindOne = PaymentAttempt.findOne;
+    origSettingsFindOne = PaymentProviderSettings.findOne;
+    PaymentAttempt.findOne = () => query(existingAttempt);
+    PaymentProviderSettings.findOne = () => query(settingsDoc);
+  });
+  afterEach(() => {
+    PaymentAttempt.findOne = origAttemptFindOne;
+    PaymentProviderSettings.findOne = origSettingsFindOne;
+  });
+
+  it("uses the admin choice for the purpose", async () => {
+    settingsDoc = { purposeProviders: { BALANCE: PAYMENT_PROVIDER.FAKE } };
+    const out = await paymentProvider.startCheckout({
+      purpose: "BALANCE",
+      merchantOrderId: `bal${UPLOAD_ID}`,
+      amountPaise: 40000,
+    });
+    assert.equal(out.provider, PAYMENT_PROVIDER.FAKE);
+    assert.equal(out.redirectUrl, `https://api.example.test/api/payments/fake/callback?merchantOrderId=bal${UPLOAD_ID}`);
+    assert.ok(out.providerOrderId);
+  });
+
+  it("fails with <PROVIDER>_NOT_CONFIGURED before creating an order", async () => {
+    settingsDoc = { purposeProviders: { BOOKING: PAYMENT_PROVIDER.RAZORPAY } };
+    await assert.rejects(
+      paymentProvider.resolveCheckoutProvider("BOOKING"),
+      (e) => e.code === "RAZORPAY_NOT_CONFIGURED"
+    );
+  });
+
+  it("keeps a resumed order on the gateway of its existing attempt", async () => {
+    settingsDoc = { purposeProviders: { REVISION: PAYMENT_PROVIDER.RAZORPAY } };
+    existingAttempt = { provider: PAYMENT_PROVIDER.FAKE };
+    const out = await paymentProvider.startCheckout({
+      purpose: "REVISION",
+      merchantOrderId: `rev_${UPLOAD_ID}_2`,
+      amountPaise: 20000,
+    });
+    assert.equal(out.provider, PAYMENT_PROVIDER.FAKE);
+  });
+});
+
+describe("payment providers: fake gateway through the callback", () => {
+  const merchantOrderId = `sketch_${UPLOAD_ID}`;
+  let origFindOne;
+  let origComplete;
+  let origFailed;
+  let origRedeem;
+  let origInvoice;
+  let attempt;
+  let completed;
+  let failed;
+  let redeemed;
+
+  beforeEach(async () => {
+    fake.reset();
+    completed = [];
+    failed = [];
+    redeemed = [];
+    attempt = {
+      merchantOrderId,
+      provider: PAYMENT_PROVIDER.FAKE,
+      providerOrderId: null,
+      purpose: "BOOKING",
+      surveyorSketchUpload: UPLOAD_ID,
+      expectedAmountPaise: 10000,
+      providerState: PROVIDER_STATE.PENDING,
+      reconciliationFlags: [],
+      async save() {
+        return this;
+      },
+    };
+    origFindOne = PaymentAttempt.findOne;
+    origComplete = surveyorSketchUploadService.completeSketchUploadAfterPayment;
+    origFailed = surveyorSketchUploadService.markSketchPaymentFailed;
+    origRedeem = couponService.redeemForPaymentQuietly;
+    origInvoice = taxDocument.issueInvoiceQuietly;
+    PaymentAttempt.findOne = () => query(attempt);
+    couponService.redeemForPaymentQuietly = async (a) => {
+      redeemed.push(a.merchantOrderId);
+      return null;
+    };
+    taxDocument.issueInvoiceQuietly = async () => null;
+    surveyorSketchUploadService.completeSketchUploadAfterPayment = async (id, response) => {
+      completed.push({ id, response });
+      return {};
+    };
+    surveyorSketchUploadService.markSketchPaymentFailed = async (id) => {
+      failed.push(id);
+    };
+    await fake.createOrder({ merchantOrderId, amountPaise: 10000, callbackUrl: "x" });
+  });
+  afterEach(() => {
+    PaymentAttempt.findOne = origFindOne;
+    surveyorSketchUploadService.completeSketchUploadAfterPayment = origComplete;
+    surveyorSketchUploadService.markSketchPaymentFailed = origFailed;
+    couponService.redeemForPaymentQuietly = origRedeem;
+    taxDocument.issueInvoiceQuietly = origInvoice;
+  });
+
+  it("completes the booking once the gateway reports it paid", async () => {
+    fake.settleOrder(merchantOrderId);
+    const { redirectUrl } = await handleProviderCallback(PAYMENT_PROVIDER.FAKE, { merchantOrderId });
+    assert.equal(attempt.providerState, PROVIDER_STATE.COMPLETED);
+    assert.equal(completed.length, 1);
+    assert.equal(completed[0].id, UPLOAD_ID);
+    assert.deepEqual(redeemed, [merchantOrderId]);
+    assert.match(redirectUrl, /ok/);
+  });
+
+  it("an unpaid return fails the attempt and the booking payment", async () => {
+    const { redirectUrl } = await handleProviderCallback(PAYMENT_PROVIDER.FAKE, { merchantOrderId });
+    assert.equal(attempt.providerState, PROVIDER_STATE.FAILED);
+    assert.deepEqual(failed, [UPLOAD_ID]);
+    assert.equal(completed.length, 0);
+    assert.deepEqual(redeemed, []);
+    assert.match(redirectUrl, /fail/);
+  });
+
+  it("rejects a callback arriving on another gateway's route", async () => {
+    fake.settleOrder(merchantOrderId);
+    attempt.provider = PAYMENT_PROVIDER.RAZORPAY;
+    await handleProviderCallback(PAYMENT_PROVIDER.FAKE, { merchantOrderId });
+    assert.equal(attempt.providerState, PROVIDER_STATE.PENDING);
+    assert.equal(completed.length, 0);
+  });
+});
+
+describe("payment providers: cross-provider reconciliation", () => {
+  let origFind;
+  let origUpdateOne;
+  let rows;
+
+  beforeEach(() => {
+    fake.reset();
+    origFind = PaymentAttempt.find;
+    origUpdateOne = PaymentAttempt.updateOne;
+    PaymentAttempt.find = () => query(rows);
+    PaymentAttempt.updateOne = async () => ({});
+  });
+  afterEach(() => {
+    PaymentAttempt.find = origFind;
+    PaymentAttempt.updateOne = origUpdateOne;
+  });
+
+  it("summarizes per gateway and flags duplicates across gateways", async () => {
+    const now = new Date();
+    rows = [
+      {
+        _id: "a1",
+        merchantOrderId: `bal${UPLOAD_ID}`,
+        provider: null,
+        purpose: "BALANCE",
+        surveyorSketchUpload: UPLOAD_ID,
+        providerState: PROVIDER_STATE.COMPLETED,
+        expectedAmountPaise: 40000,
+        paidAmountPaise: 40000,
+        initiatedAt: now,
+      },
+      {
+        _id: "a2",
+        merchantOrderId: `bal${UPLOAD_ID}x`,
+        provider: PAYMENT_PROVIDER.FAKE,
+        purpose: "BALANCE",
+        surveyorSketchUpload: UPLOAD_ID,
+        providerState: PROVIDER_STATE.COMPLETED,
+        expectedAmountPaise: 40000,
+        paidAmountPaise: 40000,
+        initiatedAt: now,
+      },
+    ];
+    const s = await runDailyReconciliation({ asOf: now });
+    assert.equal(s.byProvider.PHONEPE.collectedPaise, 40000);
+    assert.equal(s.byProvider.FAKE.completed, 1);
+    assert.equal(s.flags[RECON_FLAG.DUPLICATED], 2);
+    const dup = s.items.find((i) => i.flags[0].flag === RECON_FLAG.DUPLICATED);
+    assert.match(dup.flags[0].note, /providers=PHONEPE,FAKE/);
+  });
+
+  it("checkProvider flags money the gateway took without a local success", async () => {
+    const merchantOrderId = `sketch_${UPLOAD_ID}`;
+    await fake.createOrder({ merchantOrderId, amountPaise: 10000, callbackUrl: "x" });
+    fake.settleOrder(merchantOrderId);
+    rows = [
+      {
+        _id: "a3",
+        merchantOrderId,
+        provider: PAYMENT_PROVIDER.FAKE,
+        purpose: "BOOKING",
+        surveyorSketchUpload: UPLOAD_ID,
+        providerState: PROVIDER_STATE.FAILED,
+        expectedAmountPaise: 10000,
+        paidAmountPaise: null,
+        initiatedAt: new Date(),
+      },
+    ];
+    const s = await runDailyReconciliation({ checkProvider: true, persist: false });
+    assert.equal(s.providerChecks.checked, 1);
+    assert.deepEqual(s.items[0].flags, [
+      { flag: RECON_FLAG.MISSING, note: "provider_completed_local_failed" },
+    ]);
+  });
+});
+
+describe("payment providers: admin settings validator", () => {
+  const run = (body) => schemas.paymentProviderSettingsUpdate(body);
+
+  it("accepts a provider or null per purpose", () => {
+    const out = run({ purposeProviders: { BALANCE: "razorpay", REVISION: null } });
+    assert.deepEqual(out.purposeProviders, { BALANCE: PAYMENT_PROVIDER.RAZORPAY, REVISION: null });
+  });
+
+  it("rejects unknown purposes and providers", () => {
+    assert.throws(() => run({ purposeProviders: { TIP: "FAKE" } }), (e) => e.statusCode === 400);
+    assert.throws(() => run({ purposeProviders: { BOOKING: "stripe" } }), (e) => e.statusCode === 400);
+    assert.throws(() => run({}), (e) => e.statusCode === 400);
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Gateway-initiated exceptional refunds: refund rows on PaymentAttempt, settle-once semantics,
+ * upload-side effects only on completion, partial refunds and the CAD payout clawback
+ * (fake gateway).
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PROVIDER_STATE, REFUND_STATE, PAYMENT_PROVIDER } = require("../../src/models/payment/PaymentAttempt");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const CadWalletLedger = require("../../src/models/cad/CadWalletLedger");
+const fake = require("../../src/services/payment/fake.provider");
+const paymentRefund = require("../../src/services/payment/paymentRefund.service");
+const taxDocument = require("../../src/services/payment/taxDocument.service");
+const { isDownloadEntitled } = require("../../src/services/cadDownloadEntitlement.service");
+const { schemas } = require("../../src/middleware/validator");
+const { USER_ROLES, CAD_WALLET_ENTRY_KIND } = require("../../src/config/constants");
+const { query } = require("./helpers/mockQuery");
+
+const UPLOAD_ID = "507f1f77bcf86cd799439011";
+const ATTEMPT_ID = "65f000000000000000000001";
+const ORDER_ID = `bal${UPLOAD_ID}`;
+const admin = { _id: "65f0000000000000000000aa", role: USER_ROLES.ADMIN };
+const approval = { reasonCode: "DUPLICATE_CHARGE", note: "Charged twice by gateway" };
+
+/** Enough of Mongo's matching / update operators for the refund service's queries. */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "refunds" && cond.$elemMatch) {
+      return doc.refunds.some((r) => Object.entries(cond.$elemMatch).every(([k, v]) => r[k] === v));
+    }
+    if (key === "refunds" && cond.$size != null) return doc.refunds.length === cond.$size;
+    if (key === "refunds.state") {
+      if (cond.$ne) return !doc.refunds.some((r) => r.state === cond.$ne);
+      return doc.refunds.some((r) => r.state === cond);
+    }
+    if (key === "refunds.merchantRefundId") return doc.refunds.some((r) => r.merchantRefundId === cond);
+    return String(doc[key]) === String(cond);
+  });
+}
+
+function applyUpdate(doc, filter, update) {
+  const pos = filter.refunds?.$elemMatch
+    ? doc.refunds.findIndex((r) => r.merchantRefundId === filter.refunds.$elemMatch.merchantRefundId)
+    : -1;
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    if (path.startsWith("refunds.$.")) doc.refunds[pos][path.slice(10)] = value;
+    else doc[path] = value;
+  }
+  for (const [path, value] of Object.entries(update.$push || {})) {
+    doc[path].push(...(value.$each || [value]));
+  }
+}
+
+function balanceUpload(overrides = {}) {
+  return {
+    _id: UPLOAD_ID,
+    surveyor: "65f0000000000000000000bb",
+    sketchPayment: { status: "COMPLETED", merchantOrderId: `sketch_${UPLOAD_ID}`, paidAmountPaise: 10000 },
+    balancePayment: {
+      status: "COMPLETED",
+      merchantOrderId: ORDER_ID,
+      amountPaise: 40000,
+      paidAmountPaise: 40000,
+      ledger: [],
+    },
+    downloadEntitlement: { granted: true, grantedAt: new Date(), reason: "BALANCE_PAID", revokedAt: null },
+    revisionFeePayments: [],
+    async save() {
+      return this;
+    },
+    ...overrides,
+  };
+}
+
+// Clawback cases run under the proposed proportional rule (the V0 default writes none).
+const ENV = { PAYMENT_FAKE_PROVIDER_ENABLED: "true", CAD_CLAWBACK_RULE_VERSION: "CAD_CLAWBACK_V1_PROPORTIONAL" };
+const savedEnv = {};
+before(() => {
+  for (const [k, v] of Object.entries(ENV)) {
+    savedEnv[k] = process.env[k];
+    process.env[k] = v;
+  }
+});
+after(() => {
+  for (const k of Object.keys(ENV)) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+
+describe("payment refunds: gateway refund lifecycle", () => {
+  const orig = {};
+  let attempts;
+  let upload;
+  let wallet;
+  let creditNotes;
+
+  const ledgerEvents = () => upload.balancePayment.ledger.map((e) => e.event);
+
+  beforeEach(() => {
+    fake.reset();
+    upload = balanceUpload();
+    attempts = [
+      {
+        _id: ATTEMPT_ID,
+        merchantOrderId: ORDER_ID,
+        provider: PAYMENT_PROVIDER.FAKE,
+        purpose: "BALANCE",
+        surveyorSketchUpload: UPLOAD_ID,
+        revisionNo: null,
+        expectedAmountPaise: 40000,
+        paidAmountPaise: 40000,
+        providerState: PROVIDER_STATE.COMPLETED,
+        providerReference: { transactionId: "fake_txn_1" },
+        reconciliationFlags: [],
+        refunds: [],
+      },
+    ];
+    wallet = [
+      {
+        _id: "65f0000000000000000000c1",
+        cadUser: "65f0000000000000000000cc",
+        assignment: "65f0000000000000000000dd",
+        surveyorSketchUpload: UPLOAD_ID,
+        kind: CAD_WALLET_ENTRY_KIND.INITIAL_DELIVERY,
+        revisionNo: 0,
+        amountPaise: 40000,
+      },
+    ];
+    Object.assign(orig, {
+      findOne: PaymentAttempt.findOne,
+      findOneAndUpdate: PaymentAttempt.findOneAndUpdate,
+      find: PaymentAttempt.find,
+      findById: SurveyorSketchUpload.findById,
+      walletFind: CadWalletLedger.find,
+      walletUpdateOne: CadWalletLedger.updateOne,
+      issueCreditNoteQuietly: taxDocument.issueCreditNoteQuietly,
+    });
+    creditNotes = [];
+    taxDocument.issueCreditNoteQuietly = async (merchantRefundId) => {
+      creditNotes.push(merchantRefundId);
+      return null;
+    };
+    CadWalletLedger.find = (filter) =>
+      query(
+        filter.clawbackOf
+          ? wallet.filter((w) => w.clawbackOf === filter.clawbackOf && w.refundRef !== filter.refundRef.$ne)
+          : wallet.filter((w) => w.kind === filter.kind && w.revisionNo === filter.revisionNo)
+      );
+    CadWalletLedger.updateOne = async (filter, update) => {
+      if (!wallet.some((w) => w.kind === filter.kind && w.refundRef === filter.refundRef)) {
+        wallet.push({ _id: `claw${wallet.length}`, ...update.$setOnInsert });
+      }
+      return { acknowledged: true };
+    };
+    PaymentAttempt.findOne = (filter) => query(attempts.find((a) => matches(a, filter)) || null);
+    PaymentAttempt.find = (filter) => query(attempts.filter((a) => matches(a, filter)));
+    PaymentAttempt.findOneAndUpdate = (filter, update) => {
+      const doc = attempts.find((a) => matches(a, filter)) || null;
+      if (doc) applyUpdate(doc, filter, update);
+      return query(doc);
+    };
+    SurveyorSketchUpload.findById = () => query(upload);
+  });
+  afterEach(() => {
+    PaymentAttempt.findOne = orig.findOne;
+    PaymentAttempt.findOneAndUpdate = orig.findOneAndUpdate;
+    PaymentAttempt.find = orig.find;
+    SurveyorSketchUpload.findById = orig.findById;
+    CadWalletLedger.find = orig.walletFind;
+    CadWalletLedger.updateOne = orig.walletUpdateOne;
+    taxDocument.issueCreditNoteQuietly = orig.issueCreditNoteQuietly;
+  });
+
+  const clawbacks = () => wallet.filter((w) => w.kind === CAD_WALLET_ENTRY_KIND.REFUND_CLAWBACK);
+
+  it("revokes entitlement when the gateway completes the refund", async () => {
+    const refund = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+    assert.equal(refund.state, REFUND_STATE.COMPLETED);
+    assert.equal(refund.amountPaise, 40000);
+    assert.equal(refund.provider, PAYMENT_PROVIDER.FAKE);
+    assert.equal(attempts[0].providerState, PROVIDER_STATE.REFUNDED);
+    assert.equal(upload.balancePayment.status, "REFUNDED");
+    assert.equal(isDownloadEntitled(upload), false);
+    assert.deepEqual(ledgerEvents(), ["REFUND_REQUESTED", "REFUNDED"]);
+    // ₹400 of the ₹500 order refunded → 4/5 of the ₹400 credit clawed back.
+    assert.deepEqual(
+      clawbacks().map((w) => [w.amountPaise, w.clawbackOf, w.refundRef]),
+      [[-32000, wallet[0]._id, refund.merchantRefundId]]
+    );
+  });
+
+  it("partial refunds keep entitlement until they cover the payment", async () => {
+    const first = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", {
+      ...approval,
+      amountPaise: 15000,
+    });
+    assert.equal(first.state, REFUND_STATE.COMPLETED);
+    assert.equal(first.refundedAmountPaise, 15000);
+    assert.equal(attempts[0].providerState, PROVIDER_STATE.COMPLETED);
+    assert.equal(upload.balancePayment.refundedAmountPaise, 15000);
+    assert.equal(upload.downloadEntitlement.granted, true);
+    assert.equal(attempts[0].reconciliationFlags.at(-1).flag, "PARTIALLY_REFUNDED");
+
+    await assert.rejects(
+      paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", { ...approval, amountPaise: 25001 }),
+      (e) => e.code === "REFUND_AMOUNT_EXCEEDS_PAID"
+    );
+
+    const rest = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+    assert.equal(rest.amountPaise, 25000);
+    assert.equal(attempts[0].providerState, PROVIDER_STATE.REFUNDED);
+    assert.equal(upload.balancePayment.status, "REFUNDED");
+    assert.equal(upload.downloadEntitlement.granted, false);
+    assert.deepEqual(ledgerEvents(), ["REFUND_REQUESTED", "PARTIALLY_REFUNDED", "REFUND_REQUESTED", "REFUNDED"]);
+    assert.deepEqual(clawbacks().map((w) => w.amountPaise), [-12000, -20000]);
+    assert.deepEqual(creditNotes, [first.merchantRefundId, rest.merchantRefundId]);
+
+    await assert.rejects(
+      paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval),
+      (e) => e.code === "ALREADY_REFUNDED"
+    );
+  });
+
+  it("no clawback when the work was not credited yet", async () => {
+    wallet = [];
+    await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", { ...approval, amountPaise: 1000 });
+    assert.equal(clawbacks().length, 0);
+  });
+
+  it("no clawback under the default rule", async () => {
+    delete process.env.CAD_CLAWBACK_RULE_VERSION;
+    try {
+      await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+      assert.equal(clawbacks().length, 0);
+    } finally {
+      process.env.CAD_CLAWBACK_RULE_VERSION = ENV.CAD_CLAWBACK_RULE_VERSION;
+    }
+  });
+
+  it("keeps entitlement while the refund is pending and settles once", async () => {
+    fake.settleRefund(null, REFUND_STATE.PENDING);
+    const pending = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+    assert.equal(pending.state, REFUND_STATE.PENDING);
+    assert.equal(upload.downloadEntitlement.granted, true);
+    assert.equal(attempts[0].providerState, PROVIDER_STATE.COMPLETED);
+
+    await assert.rejects(
+      paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval),
+      (e) => e.code === "REFUND_IN_PROGRESS"
+    );
+
+    fake.settleRefund(pending.merchantRefundId, REFUND_STATE.COMPLETED);
+    const summary = await paymentRefund.syncPendingRefunds();
+    assert.equal(summary.completed, 1);
+    assert.equal(upload.downloadEntitlement.granted, false);
+
+    const again = await paymentRefund.applyRefundStatus(pending.merchantRefundId, { state: "COMPLETED" });
+    assert.equal(again.settled, false);
+    assert.equal(ledgerEvents().filter((e) => e === "REFUNDED").length, 1);
+  });
+
+  it("a failed refund leaves entitlement and allows a new request", async () => {
+    fake.settleRefund(null, REFUND_STATE.FAILED);
+    const failed = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+    assert.equal(failed.state, REFUND_STATE.FAILED);
+    assert.equal(upload.downloadEntitlement.granted, true);
+    assert.deepEqual(ledgerEvents(), ["REFUND_REQUESTED", "REFUND_FAILED"]);
+
+    fake.settleRefund(null, REFUND_STATE.COMPLETED);
+    const retried = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+    assert.equal(retried.state, REFUND_STATE.COMPLETED);
+    assert.notEqual(retried.merchantRefundId, failed.merchantRefundId);
+  });
+
+  it("a gateway timeout stays PENDING; a rejected request fails", async () => {
+    const origRefund = fake.refund;
+    try {
+      fake.refund = async () => {
+        throw new Error("socket hang up");
+      };
+      const timedOut = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+      assert.equal(timedOut.state, REFUND_STATE.PENDING);
+
+      attempts[0].refunds = [];
+      fake.refund = async () => {
+        throw Object.assign(new Error("refund amount exceeds captured"), { statusCode: 400 });
+      };
+      const rejected = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval);
+      assert.equal(rejected.state, REFUND_STATE.FAILED);
+      assert.match(rejected.failureReason, /exceeds captured/);
+    } finally {
+      fake.refund = origRefund;
+    }
+  });
+
+  it("enforces the refund policy and admin role", async () => {
+    await assert.rejects(
+      paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", { reasonCode: "CHANGED_MIND", note: "x" }),
+      (e) => e.code === "REFUND_REASON_CODE_REQUIRED"
+    );
+    await assert.rejects(
+      paymentRefund.requestRefund({ _id: "x", role: USER_ROLES.SURVEYOR }, UPLOAD_ID, "BALANCE", approval),
+      (e) => e.code === "ADMIN_ONLY"
+    );
+    assert.equal(attempts[0].refunds.length, 0);
+  });
+
+  it("pre-ledger orders need offPlatform, which settles immediately", async () => {
+    attempts = [];
+    await assert.rejects(
+      paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", approval),
+      (e) => e.code === "PAYMENT_ATTEMPT_NOT_FOUND"
+    );
+    const refund = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", {
+      reasonCode: "CHARGEBACK_OR_DISPUTE",
+      note: "Bank reversed the charge",
+      offPlatform: true,
+    });
+    assert.equal(refund.state, REFUND_STATE.COMPLETED);
+    assert.equal(refund.offPlatform, true);
+    assert.equal(upload.balancePayment.status, "REFUNDED");
+  });
+
+  it("refunding a duplicate attempt leaves the upload's own payment alone", async () => {
+    const dupOrder = `bal${UPLOAD_ID}d`;
+    attempts.push({ ...structuredClone(attempts[0]), _id: "65f000000000000000000002", merchantOrderId: dupOrder });
+    const refund = await paymentRefund.requestRefund(admin, UPLOAD_ID, "BALANCE", {
+      ...approval,
+      merchantOrderId: dupOrder,
+    });
+    assert.equal(refund.state, REFUND_STATE.COMPLETED);
+    assert.equal(refund.merchantOrderId, dupOrder);
+    assert.equal(upload.balancePayment.status, "COMPLETED");
+    assert.equal(upload.downloadEntitlement.granted, true);
+    assert.equal(attempts[0].providerState, PROVIDER_STATE.COMPLETED);
+    assert.equal(clawbacks().length, 0);
+  });
+});
+
+describe("payment refunds: request validators", () => {
+  it("accepts offPlatform and a duplicate order id alongside the policy fields", () => {
+    const out = schemas.balanceRefundMark({ ...approval, offPlatform: true, merchantOrderId: "bal_dup-1" });
+    assert.equal(out.reasonCode, "DUPLICATE_CHARGE");
+    assert.equal(out.offPlatform, true);
+    assert.equal(out.merchantOrderId, "bal_dup-1");
+  });
+
+  it("takes an optional partial amount in paise", () => {
+    assert.equal(schemas.paymentRefundRequest({ ...approval, amountPaise: "2500" }).amountPaise, 2500);
+    assert.equal(schemas.paymentRefundRequest(approval).amountPaise, null);
+    assert.throws(() => schemas.paymentRefundRequest({ ...approval, amountPaise: 0 }), (e) => e.statusCode === 400);
+    assert.throws(() => schemas.paymentRefundRequest({ ...approval, amountPaise: 12.5 }), (e) => e.statusCode === 400);
+  });
+
+  it("rejects malformed offPlatform, order ids and revision numbers", () => {
+    assert.throws(() => schemas.paymentRefundRequest({ ...approval, offPlatform: "yes" }), (e) => e.statusCode === 400);
+    assert.throws(() => schemas.paymentRefundRequest({ ...approval, merchantOrderId: "a b" }), (e) => e.statusCode === 400);
+    assert.throws(() => schemas.revisionRefundRequest({ ...approval, revisionNo: 0 }), (e) => e.statusCode === 400);
+    assert.equal(schemas.revisionRefundRequest({ ...approval, revisionNo: "2" }).revisionNo, 2);
+  });
+});
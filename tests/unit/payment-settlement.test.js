@@ -0,0 +1,278 @@
+/**
+ * Gateway settlement reconciliation: PhonePe settlement CSV parsing (fixture), line matching with
+ * MISSING / EXTRA / AMOUNT_DIFF / FEE_DIFF flags, net totals and the CSV / XLSX export helpers.
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER, PROVIDER_STATE, REFUND_STATE } = require("../../src/models/payment/PaymentAttempt");
+const SettlementReport = require("../../src/models/payment/SettlementReport");
+const { SETTLEMENT_FLAG, SETTLEMENT_LINE_TYPE } = require("../../src/models/payment/SettlementReport");
+const parser = require("../../src/services/payment/phonePeSettlement.parser");
+const settlement = require("../../src/services/payment/settlementReconciliation.service");
+const { parseCsv, toCsv } = require("../../src/utils/csv");
+const { buildXlsx } = require("../../src/utils/xlsx");
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, "fixtures/phonepe-settlement.csv"), "utf8");
+
+/** Entry name → contents, read through the central directory (entries use data descriptors). */
+function unzipEntries(buf) {
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(eocd + 10);
+  const out = new Map();
+  for (let i = 0, off = buf.readUInt32LE(eocd + 16); i < count; i += 1) {
+    const method = buf.readUInt16LE(off + 10);
+    const size = buf.readUInt32LE(off + 20);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const extraLen = buf.readUInt16LE(off + 30);
+    const commentLen = buf.readUInt16LE(off + 32);
+    const local = buf.readUInt32LE(off + 42);
+    const name = buf.toString("utf8", off + 46, off + 46 + nameLen);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + size);
+    out.set(name, (method === 8 ? zlib.inflateRawSync(data) : data).toString("utf8"));
+    off += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+describe("csv utils", () => {
+  it("reads quoted commas, doubled quotes, embedded newlines and a BOM", () => {
+    const rows = parseCsv('\uFEFFa,"b,c","say ""hi""","x\ny"\r\n\r\n1,2,3,4\n');
+    assert.deepEqual(rows, [
+      ["a", "b,c", 'say "hi"', "x\ny"],
+      ["1", "2", "3", "4"],
+    ]);
+    assert.throws(() => parseCsv('a,"open'), /Unterminated/);
+  });
+
+  it("neutralizes formula cells on export", () => {
+    const out = toCsv([["=HYPERLINK(1)", "+1", "-2", "@x", "plain", -5, "a,b"]]);
+    assert.equal(out, "'=HYPERLINK(1),'+1,'-2,'@x,plain,-5,\"a,b\"\r\n");
+  });
+});
+
+describe("PhonePe settlement parser", () => {
+  it("reads the fixture into paise lines with IST dates and summed GST columns", () => {
+    const { format, lines, errors } = parser.parsePhonePeSettlement(FIXTURE);
+    assert.equal(format, "PHONEPE_SETTLEMENT_V1");
+    assert.equal(lines.length, 5);
+    assert.deepEqual(errors, [{ lineNo: 7, message: "Unknown transaction type BONUS" }]);
+    const first = lines[0];
+    assert.equal(first.merchantOrderId, "NC-ORD-1");
+    assert.equal(first.type, SETTLEMENT_LINE_TYPE.PAYMENT);
+    assert.equal(first.grossPaise, 118000);
+    assert.equal(first.feePaise, 2360);
+    assert.equal(first.taxPaise, 425);
+    assert.equal(first.netPaise, 115215);
+    assert.equal(first.transactionAt.toISOString(), "2026-10-19T04:45:00.000Z");
+    assert.equal(first.utr, "UTR000111");
+    const refund = lines[4];
+    assert.equal(refund.type, SETTLEMENT_LINE_TYPE.REFUND);
+    assert.equal(refund.merchantRefundId, "NC-RF-1");
+    assert.equal(refund.grossPaise, 20000);
+    assert.equal(refund.netPaise, 20000);
+  });
+
+  it("converts rupee strings exactly and rejects garbage", () => {
+    assert.equal(parser.rupeesToPaise("0.29"), 29);
+    assert.equal(parser.rupeesToPaise("1,00,000.5"), 10000050);
+    assert.equal(parser.rupeesToPaise("(12.50)"), -1250);
+    assert.equal(parser.rupeesToPaise(""), 0);
+    assert.ok(Number.isNaN(parser.rupeesToPaise("12.345")));
+    assert.ok(Number.isNaN(parser.rupeesToPaise("abc")));
+  });
+
+  it("reports missing required columns instead of guessing", () => {
+    const { lines, errors } = parser.parsePhonePeSettlement("Merchant Transaction Id,Fee\nNC-1,1.00\n");
+    assert.equal(lines.length, 0);
+    assert.match(errors[0].message, /Missing columns: gross, net/);
+  });
+});
+
+describe("settlement reconciliation", () => {
+  const orig = {};
+  let attempts;
+  let report;
+  let savedBps;
+
+  const chain = (value) => {
+    const q = { select: () => q, sort: () => q, limit: () => q, lean: async () => value };
+    return q;
+  };
+
+  function matches(a, filter) {
+    if (filter.merchantOrderId) return filter.merchantOrderId.$in.includes(a.merchantOrderId);
+    if (filter["refunds.merchantRefundId"]) {
+      return a.refunds.some((r) => filter["refunds.merchantRefundId"].$in.includes(r.merchantRefundId));
+    }
+    const inPeriod = (d, p) => d && d >= p.$gte && d < p.$lt;
+    if (filter.providerState) {
+      return filter.providerState.$in.includes(a.providerState) && inPeriod(a.completedAt, filter.completedAt);
+    }
+    const m = filter.refunds.$elemMatch;
+    return a.refunds.some((r) => r.state === m.state && !r.offPlatform && inPeriod(r.settledAt, m.settledAt));
+  }
+
+  const attempt = (merchantOrderId, paidAmountPaise, extra = {}) => ({
+    _id: `att-${merchantOrderId}`,
+    merchantOrderId,
+    provider: PAYMENT_PROVIDER.PHONEPE,
+    providerState: PROVIDER_STATE.COMPLETED,
+    paidAmountPaise,
+    expectedAmountPaise: paidAmountPaise,
+    completedAt: new Date("2026-10-19T06:00:00Z"),
+    refunds: [],
+    ...extra,
+  });
+
+  before(() => {
+    savedBps = process.env.PHONEPE_SETTLEMENT_FEE_BPS;
+    process.env.PHONEPE_SETTLEMENT_FEE_BPS = "200";
+  });
+  after(() => {
+    if (savedBps === undefined) delete process.env.PHONEPE_SETTLEMENT_FEE_BPS;
+    else process.env.PHONEPE_SETTLEMENT_FEE_BPS = savedBps;
+  });
+
+  beforeEach(() => {
+    orig.find = PaymentAttempt.find;
+    orig.findById = SettlementReport.findById;
+    orig.create = SettlementReport.create;
+    const { lines } = parser.parsePhonePeSettlement(FIXTURE);
+    report = {
+      _id: "rep-1",
+      provider: PAYMENT_PROVIDER.PHONEPE,
+      format: "PHONEPE_SETTLEMENT_V1",
+      periodFrom: new Date("2026-10-18T18:30:00Z"),
+      periodTo: new Date("2026-10-19T18:30:00Z"),
+      lineCount: lines.length,
+      lines,
+    };
+    attempts = [
+      attempt("NC-ORD-1", 118000, {
+        refunds: [
+          {
+            merchantRefundId: "NC-RF-1",
+            state: REFUND_STATE.COMPLETED,
+            amountPaise: 20000,
+            settledAt: new Date("2026-10-19T08:30:00Z"),
+          },
+        ],
+      }),
+      attempt("NC-ORD-2", 45000),
+      attempt("NC-ORD-3", 30000),
+      attempt("NC-ORD-4", 10000),
+      attempt("NC-ORD-OLD", 10000, { completedAt: new Date("2026-10-17T06:00:00Z") }),
+    ];
+    PaymentAttempt.find = (filter) => chain(attempts.filter((a) => matches(a, filter)));
+    SettlementReport.findById = (id) => chain(id === report._id ? report : null);
+  });
+
+  afterEach(() => {
+    PaymentAttempt.find = orig.find;
+    SettlementReport.findById = orig.findById;
+    SettlementReport.create = orig.create;
+  });
+
+  it("flags amount, fee, extra and missing lines and totals the net", async () => {
+    const result = await settlement.reconcileSettlementReport("rep-1");
+    const flagsOf = (id, type = SETTLEMENT_LINE_TYPE.PAYMENT) =>
+      result.items
+        .filter((i) => i.merchantOrderId === id && i.type === type)
+        .flatMap((i) => i.flags.map((f) => f.flag));
+
+    assert.deepEqual(flagsOf("NC-ORD-1"), []);
+    assert.deepEqual(flagsOf("NC-ORD-1", SETTLEMENT_LINE_TYPE.REFUND), []);
+    assert.deepEqual(flagsOf("NC-ORD-2"), [SETTLEMENT_FLAG.AMOUNT_DIFF]);
+    assert.deepEqual(flagsOf("NC-ORD-3"), [SETTLEMENT_FLAG.FEE_DIFF]);
+    assert.deepEqual(flagsOf("NC-ORD-X"), [SETTLEMENT_FLAG.EXTRA]);
+    assert.deepEqual(flagsOf("NC-ORD-4"), [SETTLEMENT_FLAG.MISSING]);
+    assert.deepEqual(flagsOf("NC-ORD-OLD"), []);
+
+    assert.deepEqual(result.summary.flags, { MISSING: 1, EXTRA: 1, AMOUNT_DIFF: 1, FEE_DIFF: 1 });
+    assert.equal(result.summary.lines, 5);
+    assert.equal(result.summary.matched, 4);
+    // File: 1152.15 + 488.20 + 289.38 + 97.64 − 200 paid out.
+    assert.equal(result.summary.actualNetPaise, 182737);
+    // Local at 2 % + 18 % GST: 1152.15 + 439.38 + 292.92 + 97.64 (missing ORD-4) − 200.
+    assert.equal(result.summary.expectedNetPaise, 178209);
+    assert.equal(result.summary.netDiffPaise, 4528);
+  });
+
+  it("flags a payment line whose local attempt is not a success as EXTRA", async () => {
+    attempts[1].providerState = PROVIDER_STATE.PENDING;
+    const result = await settlement.reconcileSettlementReport("rep-1");
+    const item = result.items.find((i) => i.merchantOrderId === "NC-ORD-2");
+    assert.deepEqual(item.flags, [{ flag: SETTLEMENT_FLAG.EXTRA, note: "local_pending" }]);
+  });
+
+  it("flags a line whose charges do not add up to the net even without a fee rate", async () => {
+    delete process.env.PHONEPE_SETTLEMENT_FEE_BPS;
+    try {
+      report.lines[0] = { ...report.lines[0], netPaise: 115000 };
+      const result = await settlement.reconcileSettlementReport("rep-1");
+      assert.equal(result.feeRule.feeBps, null);
+      assert.deepEqual(result.items[0].flags, [
+        { flag: SETTLEMENT_FLAG.FEE_DIFF, note: "gross_minus_charges_ne_net" },
+      ]);
+      assert.equal(result.items.find((i) => i.merchantOrderId === "NC-ORD-3").flags.length, 0);
+    } finally {
+      process.env.PHONEPE_SETTLEMENT_FEE_BPS = "200";
+    }
+  });
+
+  it("imports with an IST-day period and rejects the same file twice", async () => {
+    let saved;
+    SettlementReport.create = async (doc) => {
+      if (saved && saved.fileSha256 === doc.fileSha256) throw Object.assign(new Error("dup"), { code: 11000 });
+      saved = { _id: "rep-2", ...doc };
+      return saved;
+    };
+    const out = await settlement.importSettlementReport({ _id: "admin-1" }, {
+      provider: PAYMENT_PROVIDER.PHONEPE,
+      csv: FIXTURE,
+      fileName: "settlement.csv",
+    });
+    assert.equal(out.lineCount, 5);
+    assert.equal(out.parseErrors.length, 1);
+    assert.equal(new Date(out.periodFrom).toISOString(), "2026-10-18T18:30:00.000Z");
+    assert.equal(new Date(out.periodTo).toISOString(), "2026-10-19T18:30:00.000Z");
+    assert.equal(out.totals.netPaise, 182737);
+    await assert.rejects(
+      settlement.importSettlementReport(null, { provider: PAYMENT_PROVIDER.PHONEPE, csv: FIXTURE }),
+      (err) => err.code === "SETTLEMENT_ALREADY_IMPORTED"
+    );
+    await assert.rejects(
+      settlement.importSettlementReport(null, { provider: PAYMENT_PROVIDER.RAZORPAY, csv: FIXTURE }),
+      (err) => err.code === "SETTLEMENT_FORMAT_UNSUPPORTED"
+    );
+  });
+
+  it("exports the reconciled report as an XLSX workbook with Summary and Lines sheets", async () => {
+    const result = await settlement.reconcileSettlementReport("rep-1");
+    const sheets = settlement.settlementExportSheets(result);
+    assert.deepEqual(sheets.map((s) => s.name), ["Summary", "Lines"]);
+    assert.equal(sheets[1].rows.length, result.items.length + 1);
+
+    const buf = await buildXlsx(sheets);
+    assert.equal(buf.readUInt32LE(0), 0x04034b50);
+    const entries = unzipEntries(buf);
+    const names = [...entries.keys()];
+    const sheet2 = entries.get("xl/worksheets/sheet2.xml");
+    assert.deepEqual(names, [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+      "xl/worksheets/sheet2.xml",
+    ]);
+    assert.match(sheet2, /NC-ORD-X/);
+    assert.match(sheet2, /EXTRA:no_local_payment/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Stuck-PENDING payment sweeper: due selection, per-attempt exponential backoff, per-run cap,
+ * settlement through the callback path and the admin action log.
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER, PROVIDER_STATE } = require("../../src/models/payment/PaymentAttempt");
+const PaymentSweepAction = require("../../src/models/payment/PaymentSweepAction");
+const { SWEEP_OUTCOME } = require("../../src/models/payment/PaymentSweepAction");
+const paymentCallback = require("../../src/services/payment/paymentCallback.service");
+const sweeper = require("../../src/services/payment/paymentSweeper.service");
+
+const MIN = 60 * 1000;
+const NOW = Date.parse("2026-10-19T10:00:00Z");
+
+let savedEnv;
+before(() => {
+  savedEnv = process.env.PAYMENT_FAKE_PROVIDER_ENABLED;
+  process.env.PAYMENT_FAKE_PROVIDER_ENABLED = "true";
+});
+after(() => {
+  if (savedEnv === undefined) delete process.env.PAYMENT_FAKE_PROVIDER_ENABLED;
+  else process.env.PAYMENT_FAKE_PROVIDER_ENABLED = savedEnv;
+});
+
+describe("payment sweeper: backoff", () => {
+  it("doubles from the base per poll and caps at the max", () => {
+    assert.equal(sweeper.sweepBackoffMs(1), 5 * MIN);
+    assert.equal(sweeper.sweepBackoffMs(2), 10 * MIN);
+    assert.equal(sweeper.sweepBackoffMs(4), 40 * MIN);
+    assert.equal(sweeper.sweepBackoffMs(20), 6 * 60 * MIN);
+  });
+});
+
+describe("payment sweeper: run", () => {
+  const orig = {};
+  let attempts;
+  let actions;
+  let settled;
+  let outcomes;
+
+  function isDue(a, filter) {
+    if (a.providerState !== filter.providerState) return false;
+    if (!(a.initiatedAt <= filter.initiatedAt.$lte && a.initiatedAt > filter.initiatedAt.$gt)) return false;
+    if (filter._id && String(a._id) !== String(filter._id)) return false;
+    return a.sweep.nextAt == null || a.sweep.nextAt <= filter.$or[1]["sweep.nextAt"].$lte;
+  }
+
+  const chain = (value) => {
+    let result = value;
+    const q = {
+      select: () => q,
+      sort: () => q,
+      limit: (n) => {
+        result = result.slice(0, n);
+        return q;
+      },
+      lean: async () => result,
+    };
+    return q;
+  };
+
+  function attempt(id, ageMin, sweep = {}) {
+    return {
+      _id: id,
+      merchantOrderId: `sketch_${id}`,
+      provider: PAYMENT_PROVIDER.FAKE,
+      purpose: "BOOKING",
+      providerState: PROVIDER_STATE.PENDING,
+      initiatedAt: new Date(NOW - ageMin * MIN),
+      sweep: { count: 0, nextAt: null, ...sweep },
+    };
+  }
+
+  beforeEach(() => {
+    actions = [];
+    settled = [];
+    outcomes = {};
+    attempts = [
+      attempt("a1", 30),
+      attempt("a2", 2), // still in checkout
+      attempt("a3", 60, { count: 2, nextAt: new Date(NOW + 5 * MIN) }), // backing off
+      attempt("a4", 45),
+      attempt("a5", 3 * 24 * 60), // past PAYMENT_ATTEMPT_EXPIRE_MS → reconciliation's job
+    ];
+    Object.assign(orig, {
+      find: PaymentAttempt.find,
+      findOneAndUpdate: PaymentAttempt.findOneAndUpdate,
+      updateOne: PaymentAttempt.updateOne,
+      create: PaymentSweepAction.create,
+      settle: paymentCallback.settleProviderOrder,
+    });
+    PaymentAttempt.find = (filter) => chain(attempts.filter((a) => isDue(a, filter)));
+    PaymentAttempt.findOneAndUpdate = (filter, update) => {
+      const a = attempts.find((x) => isDue(x, filter));
+      if (a) {
+        for (const [k, v] of Object.entries(update.$set)) a.sweep[k.slice(6)] = v;
+      }
+      return chain(a ? { ...a } : null);
+    };
+    PaymentAttempt.updateOne = async (filter, update) => {
+      const a = attempts.find((x) => x._id === filter._id);
+      for (const [k, v] of Object.entries(update.$set)) a.sweep[k.slice(6)] = v;
+    };
+    PaymentSweepAction.create = async (doc) => actions.push(doc);
+    paymentCallback.settleProviderOrder = async (provider, merchantOrderId, options) => {
+      settled.push({ merchantOrderId, options });
+      const r = outcomes[merchantOrderId] || { outcome: "pending", returnOrigin: null };
+      if (r instanceof Error) throw r;
+      return r;
+    };
+  });
+
+  afterEach(() => {
+    PaymentAttempt.find = orig.find;
+    PaymentAttempt.findOneAndUpdate = orig.findOneAndUpdate;
+    PaymentAttempt.updateOne = orig.updateOne;
+    PaymentSweepAction.create = orig.create;
+    paymentCallback.settleProviderOrder = orig.settle;
+  });
+
+  it("polls only due attempts and settles them through the callback path, PENDING left alone", async () => {
+    outcomes.sketch_a1 = { outcome: "success", returnOrigin: null };
+    outcomes.sketch_a4 = { outcome: "cancelled", returnOrigin: null, reason: "PROVIDER_NOT_COMPLETED" };
+    const res = await sweeper.sweepPendingAttempts({ now: NOW });
+
+    assert.deepEqual(settled.map((s) => s.merchantOrderId), ["sketch_a1", "sketch_a4"]);
+    assert.ok(settled.every((s) => s.options.pendingIsFailure === false));
+    assert.equal(res.checked, 2);
+    assert.equal(res.completed, 1);
+    assert.equal(res.failed, 1);
+    assert.deepEqual(
+      actions.map((a) => [a.merchantOrderId, a.outcome, a.reason]),
+      [
+        ["sketch_a1", SWEEP_OUTCOME.COMPLETED, null],
+        ["sketch_a4", SWEEP_OUTCOME.FAILED, "PROVIDER_NOT_COMPLETED"],
+      ]
+    );
+    assert.ok(actions.every((a) => a.runId === res.runId));
+  });
+
+  it("a still-pending attempt backs off exponentially between polls", async () => {
+    await sweeper.sweepPendingAttempts({ now: NOW });
+    const a1 = attempts.find((a) => a._id === "a1");
+    assert.equal(a1.sweep.count, 1);
+    assert.equal(a1.sweep.nextAt.getTime(), NOW + 5 * MIN);
+    assert.equal(a1.sweep.lastOutcome, SWEEP_OUTCOME.STILL_PENDING);
+
+    settled = [];
+    await sweeper.sweepPendingAttempts({ now: NOW + MIN });
+    assert.ok(!settled.some((s) => s.merchantOrderId === "sketch_a1"), "not due before its backoff");
+
+    await sweeper.sweepPendingAttempts({ now: NOW + 5 * MIN });
+    assert.equal(a1.sweep.count, 2);
+    assert.equal(a1.sweep.nextAt.getTime(), NOW + 5 * MIN + 10 * MIN);
+  });
+
+  it("caps polls per run", async () => {
+    const res = await sweeper.sweepPendingAttempts({ now: NOW, limit: 1 });
+    assert.equal(res.checked, 1);
+    assert.equal(settled.length, 1);
+  });
+
+  it("a gateway error is logged and retried on the backoff schedule", async () => {
+    outcomes.sketch_a1 = new Error("gateway timeout");
+    const res = await sweeper.sweepPendingAttempts({ now: NOW });
+    assert.equal(res.errors, 1);
+    const logged = actions.find((a) => a.merchantOrderId === "sketch_a1");
+    assert.equal(logged.outcome, SWEEP_OUTCOME.ERROR);
+    assert.equal(logged.error, "gateway timeout");
+    assert.equal(logged.nextSweepAt.getTime(), NOW + 5 * MIN);
+  });
+
+  it("attempts on an unconfigured gateway are skipped, not polled", async () => {
+    delete process.env.PAYMENT_FAKE_PROVIDER_ENABLED;
+    try {
+      const res = await sweeper.sweepPendingAttempts({ now: NOW });
+      assert.equal(res.skipped, 2);
+      assert.equal(settled.length, 0);
+      assert.ok(actions.every((a) => a.outcome === SWEEP_OUTCOME.SKIPPED));
+    } finally {
+      process.env.PAYMENT_FAKE_PROVIDER_ENABLED = "true";
+    }
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Gateway S2S webhooks: adapter signature checks, the raw event log, per-order idempotency, replay window,
+ * and settlement through the callback / refund-sync paths.
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PAYMENT_PROVIDER, PROVIDER_STATE } = require("../../src/models/payment/PaymentAttempt");
+const PaymentWebhookEvent = require("../../src/models/payment/PaymentWebhookEvent");
+const { WEBHOOK_STATUS, WEBHOOK_KIND } = require("../../src/models/payment/PaymentWebhookEvent");
+const fake = require("../../src/services/payment/fake.provider");
+const phonePeProvider = require("../../src/services/payment/phonePe.provider");
+const razorpayProvider = require("../../src/services/payment/razorpay.provider");
+const paymentCallback = require("../../src/services/payment/paymentCallback.service");
+const paymentRefund = require("../../src/services/payment/paymentRefund.service");
+const paymentAttemptService = require("../../src/services/paymentAttempt.service");
+const { ingestWebhook } = require("../../src/services/payment/paymentWebhook.service");
+
+const ORDER_ID = "sketch_507f1f77bcf86cd799439011";
+const ENV_KEYS = [
+  "PAYMENT_FAKE_PROVIDER_ENABLED",
+  "PAYMENT_FAKE_WEBHOOK_SECRET",
+  "PHONEPE_WEBHOOK_USERNAME",
+  "PHONEPE_WEBHOOK_PASSWORD",
+  "RAZORPAY_WEBHOOK_SECRET",
+  "PAYMENT_WEBHOOK_MAX_AGE_SEC",
+];
+
+let savedEnv;
+before(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+  process.env.PAYMENT_FAKE_PROVIDER_ENABLED = "true";
+  process.env.PAYMENT_FAKE_WEBHOOK_SECRET = "fake-webhook-secret";
+});
+after(() => {
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+
+function fakeDelivery(body, { secret } = {}) {
+  const rawBody = JSON.stringify(body);
+  return {
+    headers: { "Content-Type": "application/json", "X-Fake-Signature": fake.webhookSignature(rawBody, secret) },
+    rawBody,
+  };
+}
+
+describe("payment webhooks: adapter verification", () => {
+  it("PhonePe: Authorization must be sha256(username:password)", () => {
+    process.env.PHONEPE_WEBHOOK_USERNAME = "northcot";
+    process.env.PHONEPE_WEBHOOK_PASSWORD = "hook-pass";
+    const authorization = crypto.createHash("sha256").update("northcot:hook-pass").digest("hex");
+    const rawBody = JSON.stringify({
+      event: "pg.refund.completed",
+      payload: { merchantRefundId: "rf_1", originalMerchantOrderId: ORDER_ID, state: "COMPLETED" },
+    });
+
+    const ok = phonePeProvider.verifyWebhook({ headers: { authorization }, rawBody });
+    assert.equal(ok.verified, true);
+    assert.equal(ok.kind, WEBHOOK_KIND.REFUND);
+    assert.equal(ok.merchantRefundId, "rf_1");
+    assert.equal(ok.merchantOrderId, ORDER_ID);
+
+    const legacy = phonePeProvider.verifyWebhook({
+      headers: { authorization },
+      rawBody: JSON.stringify({ type: "CHECKOUT_ORDER_COMPLETED", payload: { merchantOrderId: ORDER_ID } }),
+    });
+    assert.equal(legacy.kind, WEBHOOK_KIND.ORDER);
+
+    const bad = phonePeProvider.verifyWebhook({ headers: { authorization: "0".repeat(64) }, rawBody });
+    assert.equal(bad.verified, false);
+    assert.equal(bad.reason, "SIGNATURE_MISMATCH");
+  });
+
+  it("PhonePe: unset webhook credentials reject every delivery", () => {
+    delete process.env.PHONEPE_WEBHOOK_USERNAME;
+    const res = phonePeProvider.verifyWebhook({ headers: { authorization: "x" }, rawBody: "{}" });
+    assert.deepEqual(res, { verified: false, reason: "WEBHOOK_NOT_CONFIGURED" });
+  });
+
+  it("Razorpay: HMAC of the raw body, event id and timestamp from the delivery", () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = "rzp-hook";
+    const rawBody = JSON.stringify({
+      event: "payment_link.paid",
+      created_at: 1760000000,
+      payload: { payment_link: { entity: { id: "plink_1", reference_id: ORDER_ID, status: "paid" } } },
+    });
+    const signature = razorpayProvider.webhookSignature(rawBody, "rzp-hook");
+    const res = razorpayProvider.verifyWebhook({
+      headers: { "x-razorpay-signature": signature, "x-razorpay-event-id": "evt_1" },
+      rawBody,
+    });
+    assert.equal(res.verified, true);
+    assert.equal(res.kind, WEBHOOK_KIND.ORDER);
+    assert.equal(res.merchantOrderId, ORDER_ID);
+    assert.equal(res.eventId, "evt_1");
+    assert.equal(res.occurredAt.getTime(), 1760000000 * 1000);
+
+    const tampered = razorpayProvider.verifyWebhook({
+      headers: { "x-razorpay-signature": signature },
+      rawBody: rawBody.replace("paid", "PAID"),
+    });
+    assert.equal(tampered.verified, false);
+  });
+});
+
+describe("payment webhooks: ingestion", () => {
+  const orig = {};
+  let rows;
+  let settleCalls;
+  let settleResult;
+
+  function matches(doc, filter) {
+    return Object.entries(filter).every(([key, cond]) => {
+      if (key === "$or") return cond.some((f) => matches(doc, f));
+      if (cond && cond.$lt) return doc[key] < cond.$lt;
+      return String(doc[key]) === String(cond);
+    });
+  }
+
+  function applyUpdate(doc, update) {
+    Object.assign(doc, update.$set || {});
+    for (const [k, v] of Object.entries(update.$inc || {})) doc[k] = (doc[k] || 0) + v;
+    doc.updatedAt = new Date();
+  }
+
+  const lean = (value) => ({ lean: async () => (value ? { ...value } : null) });
+
+  /** Whether a stored row is covered by the unique dedupeKey index, as MongoDB would decide from its options. */
+  const [, dedupeIndex] = PaymentWebhookEvent.schema.indexes().find(([fields]) => "dedupeKey" in fields);
+  function inDedupeIndex(row) {
+    if (dedupeIndex.partialFilterExpression) return typeof row.dedupeKey === "string";
+    if (dedupeIndex.sparse) return "dedupeKey" in row;
+    return true;
+  }
+  const only = () => rows.filter((r) => r.status !== WEBHOOK_STATUS.REJECTED);
+
+  beforeEach(() => {
+    fake.reset();
+    rows = [];
+    settleCalls = [];
+    settleResult = { outcome: "success", returnOrigin: null };
+    Object.assign(orig, {
+      create: PaymentWebhookEvent.create,
+      findOneAndUpdate: PaymentWebhookEvent.findOneAndUpdate,
+      findByIdAndUpdate: PaymentWebhookEvent.findByIdAndUpdate,
+      updateOne: PaymentWebhookEvent.updateOne,
+      settleProviderOrder: paymentCallback.settleProviderOrder,
+      syncRefund: paymentRefund.syncRefund,
+    });
+    PaymentWebhookEvent.create = async (doc) => {
+      const row = {
+        ...new PaymentWebhookEvent(doc).toObject(),
+        _id: `evt${rows.length + 1}`,
+        updatedAt: new Date(),
+      };
+      if (inDedupeIndex(row) && rows.some((r) => inDedupeIndex(r) && r.dedupeKey === row.dedupeKey)) {
+        throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+      }
+      rows.push(row);
+      return { toObject: () => ({ ...row }) };
+    };
+    PaymentWebhookEvent.findOneAndUpdate = (filter, update) => {
+      const row = rows.find((r) => matches(r, filter));
+      if (row) applyUpdate(row, update);
+      return lean(row);
+    };
+    PaymentWebhookEvent.findByIdAndUpdate = (id, update) => {
+      const row = rows.find((r) => r._id === id);
+      applyUpdate(row, update);
+      return lean(row);
+    };
+    PaymentWebhookEvent.updateOne = async (filter, update) => {
+      const row = rows.find((r) => matches(r, filter));
+      if (row) applyUpdate(row, update);
+    };
+    paymentCallback.settleProviderOrder = async (provider, merchantOrderId, options) => {
+      settleCalls.push({ provider, merchantOrderId, options });
+      if (settleResult instanceof Error) throw settleResult;
+      return settleResult;
+    };
+  });
+
+  afterEach(() => {
+    PaymentWebhookEvent.create = orig.create;
+    PaymentWebhookEvent.findOneAndUpdate = orig.findOneAndUpdate;
+    PaymentWebhookEvent.findByIdAndUpdate = orig.findByIdAndUpdate;
+    PaymentWebhookEvent.updateOne = orig.updateOne;
+    paymentCallback.settleProviderOrder = orig.settleProviderOrder;
+    paymentRefund.syncRefund = orig.syncRefund;
+  });
+
+  const orderEvent = (extra = {}) =>
+    fakeDelivery({ id: "e1", event: "order.completed", merchantOrderId: ORDER_ID, ...extra });
+
+  it("rejects a bad signature with 401, logs it without a dedupe key and settles nothing", async () => {
+    const forged = fakeDelivery({ event: "order.completed", merchantOrderId: ORDER_ID }, { secret: "wrong" });
+    await assert.rejects(ingestWebhook(fake, forged), { statusCode: 401, code: "WEBHOOK_SIGNATURE_INVALID" });
+    assert.equal(settleCalls.length, 0);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].status, WEBHOOK_STATUS.REJECTED);
+    assert.equal(rows[0].dedupeKey, undefined);
+  });
+
+  it("stores any number of keyless events: rejected deliveries and events without an order ref", async () => {
+    for (const secret of ["wrong", "also-wrong"]) {
+      const forged = fakeDelivery({ event: "order.completed", merchantOrderId: ORDER_ID }, { secret });
+      await assert.rejects(ingestWebhook(fake, forged), { code: "WEBHOOK_SIGNATURE_INVALID" });
+    }
+    for (const id of ["e1", "e2"]) {
+      const res = await ingestWebhook(fake, fakeDelivery({ id, event: "account.updated" }));
+      assert.equal(res.status, WEBHOOK_STATUS.IGNORED);
+    }
+    assert.equal(rows.length, 4);
+    assert.ok(rows.every((r) => !("dedupeKey" in r)));
+  });
+
+  it("settles an order event through the callback path without treating PENDING as failure", async () => {
+    const res = await ingestWebhook(fake, orderEvent());
+    assert.equal(res.status, WEBHOOK_STATUS.PROCESSED);
+    assert.equal(res.outcome, "success");
+    assert.equal(res.duplicate, false);
+    assert.deepEqual(settleCalls, [
+      { provider: PAYMENT_PROVIDER.FAKE, merchantOrderId: ORDER_ID, options: { pendingIsFailure: false } },
+    ]);
+    assert.ok(rows[0].rawBody.includes(ORDER_ID));
+    assert.equal(rows[0].headers["x-fake-signature"], undefined, "signature header is not stored");
+  });
+
+  it("is idempotent per order: a replayed event is acknowledged but settles only once", async () => {
+    await ingestWebhook(fake, orderEvent());
+    const replay = await ingestWebhook(fake, orderEvent({ id: "e1-retry" }));
+    assert.equal(replay.duplicate, true);
+    assert.equal(replay.status, WEBHOOK_STATUS.PROCESSED);
+    assert.equal(settleCalls.length, 1);
+    assert.equal(only().length, 1);
+    assert.equal(only()[0].duplicateCount, 1);
+  });
+
+  it("a failed delivery is logged FAILED and the gateway's retry processes it", async () => {
+    settleResult = new Error("gateway timeout");
+    await assert.rejects(ingestWebhook(fake, orderEvent()), /gateway timeout/);
+    assert.equal(rows[0].status, WEBHOOK_STATUS.FAILED);
+    assert.equal(rows[0].error, "gateway timeout");
+
+    settleResult = { outcome: "success", returnOrigin: null };
+    const retry = await ingestWebhook(fake, orderEvent());
+    assert.equal(retry.status, WEBHOOK_STATUS.PROCESSED);
+    assert.equal(retry.attempts, 2);
+    assert.equal(settleCalls.length, 2);
+  });
+
+  it("asks for a retry (409) while the gateway still reports the order pending", async () => {
+    settleResult = { outcome: "pending", returnOrigin: null };
+    await assert.rejects(ingestWebhook(fake, orderEvent()), { statusCode: 409, code: "WEBHOOK_ORDER_PENDING" });
+    assert.equal(rows[0].status, WEBHOOK_STATUS.FAILED);
+  });
+
+  it("an event in flight makes a concurrent delivery retry instead of dropping it", async () => {
+    rows.push({
+      _id: "evt0",
+      dedupeKey: `${PAYMENT_PROVIDER.FAKE}:ORDER:order.completed:${ORDER_ID}`,
+      status: WEBHOOK_STATUS.RECEIVED,
+      attempts: 1,
+      duplicateCount: 0,
+      updatedAt: new Date(),
+    });
+    await assert.rejects(ingestWebhook(fake, orderEvent()), { statusCode: 409, code: "WEBHOOK_IN_PROGRESS" });
+    assert.equal(settleCalls.length, 0);
+  });
+
+  it("rejects events outside the replay window", async () => {
+    process.env.PAYMENT_WEBHOOK_MAX_AGE_SEC = "60";
+    try {
+      const stale = orderEvent({ createdAt: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+      await assert.rejects(ingestWebhook(fake, stale), { statusCode: 400, code: "WEBHOOK_EVENT_STALE" });
+      assert.equal(settleCalls.length, 0);
+      assert.equal(rows[0].status, WEBHOOK_STATUS.REJECTED);
+      assert.equal(rows[0].outcome, "STALE_EVENT");
+    } finally {
+      delete process.env.PAYMENT_WEBHOOK_MAX_AGE_SEC;
+    }
+  });
+
+  it("unknown orders are logged as IGNORED", async () => {
+    settleResult = { outcome: "cancelled", returnOrigin: null, reason: "UNKNOWN_ORDER" };
+    const res = await ingestWebhook(fake, orderEvent());
+    assert.equal(res.status, WEBHOOK_STATUS.IGNORED);
+    assert.equal(res.outcome, "UNKNOWN_ORDER");
+  });
+
+  it("refund events sync the refund; refunds we never issued are IGNORED", async () => {
+    const synced = [];
+    paymentRefund.syncRefund = async (merchantRefundId) => {
+      synced.push(merchantRefundId);
+      if (merchantRefundId === "rf_unknown") throw Object.assign(new Error("Refund not found"), { code: "REFUND_NOT_FOUND" });
+      return { merchantRefundId, state: "COMPLETED" };
+    };
+    const done = await ingestWebhook(fake, fakeDelivery({ event: "refund.processed", merchantRefundId: "rf_1" }));
+    assert.equal(done.status, WEBHOOK_STATUS.PROCESSED);
+    assert.equal(done.outcome, "refund:COMPLETED");
+
+    const unknown = await ingestWebhook(fake, fakeDelivery({ event: "refund.processed", merchantRefundId: "rf_unknown" }));
+    assert.equal(unknown.status, WEBHOOK_STATUS.IGNORED);
+    assert.deepEqual(synced, ["rf_1", "rf_unknown"]);
+    assert.equal(settleCalls.length, 0);
+  });
+});
+
+describe("payment webhooks: settleProviderOrder", () => {
+  const orig = {};
+
+  beforeEach(() => {
+    fake.reset();
+    orig.findOne = PaymentAttempt.findOne;
+    orig.apply = paymentAttemptService.applyProviderCallback;
+    PaymentAttempt.findOne = () => ({
+      select: () => ({ lean: async () => ({ provider: PAYMENT_PROVIDER.FAKE, providerOrderId: "fake_1" }) }),
+    });
+    paymentAttemptService.applyProviderCallback = async () => {
+      throw new Error("attempt must not be touched");
+    };
+  });
+
+  afterEach(() => {
+    PaymentAttempt.findOne = orig.findOne;
+    paymentAttemptService.applyProviderCallback = orig.apply;
+  });
+
+  it("webhook mode leaves a still-PENDING order alone", async () => {
+    await fake.createOrder({ merchantOrderId: ORDER_ID, amountPaise: 10000, callbackUrl: "http://x" });
+    const res = await paymentCallback.settleProviderOrder(PAYMENT_PROVIDER.FAKE, ORDER_ID, {
+      pendingIsFailure: false,
+    });
+    assert.equal(res.outcome, "pending");
+  });
+
+  it("a webhook for an order on another gateway is not settled", async () => {
+    PaymentAttempt.findOne = () => ({
+      select: () => ({ lean: async () => ({ provider: PAYMENT_PROVIDER.RAZORPAY }) }),
+    });
+    await fake.createOrder({ merchantOrderId: ORDER_ID, amountPaise: 10000, callbackUrl: "http://x" });
+    fake.settleOrder(ORDER_ID, { state: PROVIDER_STATE.COMPLETED });
+    const res = await paymentCallback.settleProviderOrder(PAYMENT_PROVIDER.FAKE, ORDER_ID, {
+      pendingIsFailure: false,
+    });
+    assert.deepEqual(res, { outcome: "cancelled", returnOrigin: null, reason: "PROVIDER_MISMATCH" });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * H-07: server-enforced preview watermarking (derived stamped copy + per-download trace code).
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+process.env.S3_BUCKET = process.env.S3_BUCKET || "unit-test-bucket";
+
+const { PDFDocument } = require("pdf-lib");
+const { buildPdf, PAGE_SIZES } = require("../../src/utils/pdf");
+const { getWatermarkPolicy } = require("../../src/services/fileSecurity.service");
+const {
+  generateTraceCode,
+  stampPreviewBytes,
+  derivedFileName,
+} = require("../../src/services/previewWatermark.service");
+const s3 = require("../../src/utils/s3");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const FileAccessEvent = require("../../src/models/security/FileAccessEvent");
+const { getCadDownloadForSurveyor } = require("../../src/services/cadDownloadEntitlement.service");
+
+const ONE_PX_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+function samplePdf(pages = 2) {
+  return buildPdf(
+    Array.from({ length: pages }, () => ({ ...PAGE_SIZES.A4_PORTRAIT, content: "0 0 m 100 100 l S" }))
+  );
+}
+
+/** All stream bodies, inflated where possible, as latin1 text. */
+function allStreams(pdf) {
+  const raw = pdf.toString("latin1");
+  const out = [];
+  const re = /stream\r?\n/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const end = raw.indexOf("endstream", re.lastIndex);
+    const body = pdf.subarray(re.lastIndex, end);
+    try {
+      out.push(zlib.inflateSync(body).toString("latin1"));
+    } catch {
+      out.push(body.toString("latin1"));
+    }
+  }
+  return out.join("\n");
+}
+
+const hex = (text) => Buffer.from(text, "latin1").toString("hex").toUpperCase();
+
+describe("H-07 watermark policy mode", () => {
+  const orig = process.env.WATERMARK_MODE;
+  afterEach(() => {
+    if (orig === undefined) delete process.env.WATERMARK_MODE;
+    else process.env.WATERMARK_MODE = orig;
+  });
+
+  it("defaults to CLIENT_SIDE (legacy CLIENT_SIDE_ON_EXPORT included)", () => {
+    delete process.env.WATERMARK_MODE;
+    assert.equal(getWatermarkPolicy().mode, "CLIENT_SIDE");
+    process.env.WATERMARK_MODE = "CLIENT_SIDE_ON_EXPORT";
+    assert.equal(getWatermarkPolicy().serverEnforced, false);
+  });
+
+  it("switches to SERVER_ENFORCED", () => {
+    process.env.WATERMARK_MODE = "server_enforced";
+    const p = getWatermarkPolicy();
+    assert.equal(p.mode, "SERVER_ENFORCED");
+    assert.equal(p.serverEnforced, true);
+    assert.match(p.notice, /UNPAID PREVIEW/);
+  });
+});
+
+describe("H-07 preview stamping", () => {
+  const stamp = { applicationId: "APP-77", surveyorName: "Asha Rao", traceCode: "WM-0A1B2C3D4E" };
+
+  it("trace codes are WM- + 10 hex and unique per call", () => {
+    const a = generateTraceCode();
+    assert.match(a, /^WM-[0-9A-F]{10}$/);
+    assert.notEqual(a, generateTraceCode());
+    assert.equal(derivedFileName("site plan.png", a), `site plan-${a}.pdf`);
+  });
+
+  it("stamps every PDF page with UNPAID PREVIEW and the trace code", async () => {
+    const out = await stampPreviewBytes(samplePdf(2), { ...stamp, unpaid: true });
+    const doc = await PDFDocument.load(out);
+    assert.equal(doc.getPageCount(), 2);
+    assert.equal(doc.getSubject(), "Trace WM-0A1B2C3D4E");
+    const streams = allStreams(out);
+    assert.ok(streams.includes(hex("UNPAID PREVIEW")));
+    assert.ok(streams.includes(hex("WM-0A1B2C3D4E")));
+    assert.ok(streams.includes(hex("Surveyor Asha Rao")));
+  });
+
+  it("omits UNPAID PREVIEW once paid", async () => {
+    const out = await stampPreviewBytes(samplePdf(1), { ...stamp, unpaid: false });
+    const streams = allStreams(out);
+    assert.ok(!streams.includes(hex("UNPAID PREVIEW")));
+    assert.ok(streams.includes(hex("WM-0A1B2C3D4E")));
+  });
+
+  it("places raster previews on a stamped PDF page", async () => {
+    const out = await stampPreviewBytes(ONE_PX_PNG, { ...stamp, unpaid: true });
+    assert.equal(out.subarray(0, 4).toString("latin1"), "%PDF");
+    assert.equal((await PDFDocument.load(out)).getPageCount(), 1);
+  });
+
+  it("rejects formats it cannot stamp", async () => {
+    await assert.rejects(
+      stampPreviewBytes(Buffer.from("GIF89a...."), { ...stamp, unpaid: true }),
+      (err) => err.code === "PREVIEW_WATERMARK_UNSUPPORTED"
+    );
+  });
+});
+
+describe("H-07 SERVER_ENFORCED download", () => {
+  const surveyor = { _id: "507f1f77bcf86cd799439011", role: "SURVEYOR", name: { first: "Asha", last: "Rao" } };
+  const bucketUrl = (key) => `https://${process.env.S3_BUCKET}.s3.ap-south-1.amazonaws.com/${key}`;
+  const previewKey = "uploads/cad-deliverables/user/c/a/2-plot.pdf";
+  const orig = {
+    mode: process.env.WATERMARK_MODE,
+    findById: SurveyorSketchUpload.findById,
+    getObjectBytes: s3.getObjectBytes,
+    putObject: s3.putObject,
+    presign: s3.getPresignedGetUrl,
+    create: FileAccessEvent.create,
+  };
+  let stored;
+  let events;
+  let previewBytes;
+
+  function fakeUpload() {
+    return {
+      _id: "607f1f77bcf86cd799439022",
+      surveyor: surveyor._id,
+      status: "CAD_DELIVERED",
+      applicationId: "APP-77",
+      cadDeliverable: [
+        { url: bucketUrl("uploads/cad-deliverables/user/c/a/1-plot.dxf"), fileName: "plot.dxf", role: "source" },
+        { url: bucketUrl(previewKey), fileName: "plot.pdf", mimeType: "application/pdf", role: "preview" },
+      ],
+      balancePayment: { amountPaise: 40000, status: "REQUIRED", ledger: [] },
+      downloadEntitlement: { granted: false },
+      downloadGrants: [],
+      async save() {
+        return this;
+      },
+    };
+  }
+
+  before(() => {
+    process.env.WATERMARK_MODE = "SERVER_ENFORCED";
+    SurveyorSketchUpload.findById = async () => fakeUpload();
+    s3.getObjectBytes = async () => previewBytes;
+    s3.putObject = async (key, body) => {
+      stored.set(key, body);
+    };
+    s3.getPresignedGetUrl = async (key) => `https://signed.example/${key}`;
+    FileAccessEvent.create = async (doc) => {
+      events.push(doc);
+      return doc;
+    };
+  });
+  after(() => {
+    if (orig.mode === undefined) delete process.env.WATERMARK_MODE;
+    else process.env.WATERMARK_MODE = orig.mode;
+    SurveyorSketchUpload.findById = orig.findById;
+    s3.getObjectBytes = orig.getObjectBytes;
+    s3.putObject = orig.putObject;
+    s3.getPresignedGetUrl = orig.presign;
+    FileAccessEvent.create = orig.create;
+  });
+
+  it("signs a derived stamped copy, never the original preview", async () => {
+    stored = new Map();
+    events = [];
+    previewBytes = samplePdf(1);
+    const out = await getCadDownloadForSurveyor(surveyor, "607f1f77bcf86cd799439022");
+    assert.match(out.traceCode, /^WM-[0-9A-F]{10}$/);
+    assert.equal(out.files.length, 1);
+    const [file] = out.files;
+    assert.equal(file.watermarked, true);
+    assert.ok(!file.downloadUrl.includes(previewKey));
+    const derivedKey = file.downloadUrl.replace("https://signed.example/", "");
+    assert.ok(derivedKey.startsWith("uploads/derived/watermarked/607f1f77bcf86cd799439022/"));
+    assert.ok(allStreams(stored.get(derivedKey)).includes(hex(out.traceCode)));
+    assert.equal(events.at(-1).traceCode, out.traceCode);
+    assert.equal(events.at(-1).meta.watermark.derived[0].sourceKey, previewKey);
+  });
+
+  it("withholds a preview it cannot stamp instead of issuing the original", async () => {
+    stored = new Map();
+    events = [];
+    previewBytes = Buffer.from("RIFF....WEBPVP8 ");
+    await assert.rejects(
+      getCadDownloadForSurveyor(surveyor, "607f1f77bcf86cd799439022"),
+      (err) => err.code === "PREVIEW_WATERMARK_FAILED"
+    );
+    assert.equal(stored.size, 0);
+    assert.equal(events.at(-1).action, "DOWNLOAD_DENIED");
+  });
+});
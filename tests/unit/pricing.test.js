@@ -2,10 +2,17 @@
  * H-04 / B4: pricing / state rules (Node built-in test runner).
  * Admin may discount only; plan amounts come from sketch order contract / env.
  */
-const { describe, it, beforeEach, afterEach } = require("node:test");
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
 const assert = require("node:assert/strict");
 
 const pricingRepo = require("../../src/services/sketchStandardPricing.repository");
+const pricingVersions = require("../../src/services/config/sketchPricingVersion.service");
+const SketchPricingVersion = require("../../src/models/config/SketchPricingVersion");
+const {
+  getApprovedSketchOrderPricing,
+  getUpcomingSketchOrderPricing,
+  setStoredSketchPricingVersions,
+} = require("../../src/config/sketchOrderPricing");
 const {
   payableRupeesFromPlan,
   resolveSketchUploadFee,
@@ -13,6 +20,19 @@ const {
   getPublicPricingBreakdown,
 } = require("../../src/services/sketchPaymentPricing.service");
 const { isDownloadEntitled, isRefunded } = require("../../src/services/cadDownloadEntitlement.service");
+const { getApprovedBusinessRulesPublic } = require("../../src/config/businessRulesBaseline");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+// Stored versions are seeded per test; nothing here reaches Mongo.
+let originalEnsureLoaded;
+before(() => {
+  originalEnsureLoaded = pricingVersions.ensurePricingVersionsLoaded;
+  pricingVersions.ensurePricingVersionsLoaded = async () => {};
+});
+after(() => {
+  pricingVersions.ensurePricingVersionsLoaded = originalEnsureLoaded;
+});
 
 describe("pricing: payableRupeesFromPlan", () => {
   it("applies discount", () => {
@@ -34,6 +54,7 @@ describe("pricing: resolveSketchUploadFee from contract + discount", () => {
     "SKETCH_BALANCE_FEE_PAISE",
     "SKETCH_ORDER_GROSS_PAISE",
     "SKETCH_SUPERIMPOSE_FEE_PAISE",
+    "SKETCH_EXPRESS_FEE_PAISE",
   ];
   const prevEnv = {};
 
@@ -100,17 +121,61 @@ describe("pricing: resolveSketchUploadFee from contract + discount", () => {
     assert.equal(fee.superimposeFeePaise, 0);
   });
 
+  it("refuses EXPRESS_11E while the contract has no express price", async () => {
+    pricingRepo.getStandardPricingLean = async () => ({});
+    await assert.rejects(resolveSketchUploadFee({ orderType: "EXPRESS_11E" }), {
+      code: "SKETCH_EXPRESS_PRICE_NOT_CONFIGURED",
+    });
+    const breakdown = await getPublicPricingBreakdown();
+    assert.equal(breakdown.pricingContract.expressRupees, null);
+    assert.equal(breakdown.express, null);
+    assert.equal(breakdown.uploadExpress, null);
+    assert.doesNotMatch(breakdown.pricingContract.publicCopy, /Express/);
+  });
+
+  it("adds express surcharge for EXPRESS_11E", async () => {
+    pricingRepo.getStandardPricingLean = async () => ({});
+    process.env.SKETCH_EXPRESS_FEE_PAISE = "30000";
+    const fee = await resolveSketchUploadFee({ orderType: "EXPRESS_11E" });
+    assert.equal(fee.orderType, "EXPRESS_11E");
+    assert.equal(fee.baseFeePaise, 10000);
+    assert.equal(fee.expressFeePaise, 30000);
+    assert.equal(fee.feePaise, 40000);
+  });
+
+  it("applies admin express discount and stacks with superimpose", async () => {
+    pricingRepo.getStandardPricingLean = async () => ({ sketchExpressDiscountRupees: 100 });
+    process.env.SKETCH_EXPRESS_FEE_PAISE = "30000";
+    const fee = await resolveSketchUploadFee({ orderType: "EXPRESS_11E", isSuperimpose: true });
+    assert.equal(fee.express.discountRupees, 100);
+    assert.equal(fee.expressFeePaise, 20000);
+    assert.equal(fee.feePaise, 10000 + 20000 + 20000);
+  });
+
+  it("treats unknown or missing orderType as standard", async () => {
+    pricingRepo.getStandardPricingLean = async () => ({});
+    const fee = await resolveSketchUploadFee({ orderType: "RUSH" });
+    assert.equal(fee.orderType, "STANDARD_11E");
+    assert.equal(fee.expressFeePaise, 0);
+    assert.equal(fee.feePaise, 10000);
+  });
+
   it("public breakdown exposes superimpose + uploadWithSuperimpose", async () => {
     pricingRepo.getStandardPricingLean = async () => ({});
     process.env.SKETCH_UPLOAD_FEE_PAISE = "10000";
     process.env.SKETCH_BALANCE_FEE_PAISE = "40000";
     process.env.SKETCH_ORDER_GROSS_PAISE = "50000";
     process.env.SKETCH_SUPERIMPOSE_FEE_PAISE = "20000";
+    process.env.SKETCH_EXPRESS_FEE_PAISE = "30000";
     const breakdown = await getPublicPricingBreakdown();
     assert.ok(breakdown.superimpose);
     assert.equal(breakdown.superimpose.feePaise, 20000);
     assert.equal(breakdown.upload.feePaise, 10000);
     assert.equal(breakdown.uploadWithSuperimpose.feePaise, 30000);
+    assert.equal(breakdown.express.feePaise, 30000);
+    assert.equal(breakdown.uploadExpress.feePaise, 40000);
+    assert.equal(breakdown.pricingContract.expressRupees, 300);
+    assert.match(breakdown.pricingContract.publicCopy, /Express delivery add-on ₹300/);
   });
 });
 
@@ -131,6 +196,185 @@ describe("pricing: balance fee resolve", () => {
   });
 });
 
+describe("pricing: scheduled versions", () => {
+  const HOUR = 60 * 60 * 1000;
+  const version = (id, label, effectiveFrom, amounts = {}) => ({
+    _id: id,
+    version: label,
+    effectiveFrom,
+    grossPaise: 60000,
+    bookingPaise: 15000,
+    balancePaise: 45000,
+    revisionPaise: 5000,
+    superimposePaise: 20000,
+    expressPaise: 30000,
+    approval: { approvedBy: "founder/finance", approvedAt: new Date("2026-10-01T00:00:00Z") },
+    cancelledAt: null,
+    ...amounts,
+  });
+  let origRepo;
+  beforeEach(() => {
+    origRepo = pricingRepo.getStandardPricingLean;
+    pricingRepo.getStandardPricingLean = async () => ({});
+  });
+  afterEach(() => {
+    pricingRepo.getStandardPricingLean = origRepo;
+    setStoredSketchPricingVersions([]);
+  });
+
+  it("switches to an upcoming version at its effectiveFrom without a reload", () => {
+    const switchAt = new Date(Date.now() + HOUR);
+    setStoredSketchPricingVersions([
+      version("a".repeat(24), "SKETCH_ORDER_V3", new Date(Date.now() - HOUR)),
+      version("b".repeat(24), "SKETCH_ORDER_V4", switchAt, { bookingPaise: 20000, grossPaise: 65000 }),
+    ]);
+    const now = getApprovedSketchOrderPricing();
+    assert.equal(now.version, "SKETCH_ORDER_V3");
+    assert.equal(now.pricingVersionId, "a".repeat(24));
+    assert.equal(now.bookingPaise, 15000);
+    assert.deepEqual(getUpcomingSketchOrderPricing().map((c) => c.version), ["SKETCH_ORDER_V4"]);
+
+    const later = getApprovedSketchOrderPricing(new Date(switchAt.getTime() + 1));
+    assert.equal(later.version, "SKETCH_ORDER_V4");
+    assert.equal(later.bookingRupees, 200);
+    assert.deepEqual(getUpcomingSketchOrderPricing(new Date(switchAt.getTime() + 1)), []);
+  });
+
+  it("falls back to the code baseline until a version takes effect and ignores cancelled ones", () => {
+    setStoredSketchPricingVersions([
+      version("c".repeat(24), "SKETCH_ORDER_V3", new Date(Date.now() - HOUR), { cancelledAt: new Date() }),
+      version("d".repeat(24), "SKETCH_ORDER_V4", new Date(Date.now() + HOUR)),
+    ]);
+    const rule = getApprovedSketchOrderPricing();
+    assert.equal(rule.version, "SKETCH_ORDER_V1");
+    assert.equal(rule.pricingVersionId, null);
+    assert.equal(rule.bookingPaise, 10000);
+  });
+
+  it("prices checkout from the live version and names it for the payment snapshot", async () => {
+    const prevEnv = process.env.SKETCH_UPLOAD_FEE_PAISE;
+    process.env.SKETCH_UPLOAD_FEE_PAISE = "12345";
+    try {
+      setStoredSketchPricingVersions([version("e".repeat(24), "SKETCH_ORDER_V3", new Date(Date.now() - HOUR))]);
+      const fee = await resolveSketchUploadFee({ orderType: "EXPRESS_11E" });
+      assert.equal(fee.feePaise, 15000 + 30000);
+      assert.equal(fee.contractVersion, "SKETCH_ORDER_V3");
+      assert.equal(fee.pricingVersionId, "e".repeat(24));
+      const balance = await resolveSketchBalanceFee();
+      assert.equal(balance.feePaise, 45000);
+      assert.equal(balance.pricingVersionId, "e".repeat(24));
+    } finally {
+      if (prevEnv === undefined) delete process.env.SKETCH_UPLOAD_FEE_PAISE;
+      else process.env.SKETCH_UPLOAD_FEE_PAISE = prevEnv;
+    }
+  });
+
+  it("publishes current and upcoming prices on business rules and the pricing breakdown", async () => {
+    setStoredSketchPricingVersions([
+      version("f".repeat(24), "SKETCH_ORDER_V3", new Date(Date.now() - HOUR)),
+      version("0".repeat(24), "SKETCH_ORDER_V4", new Date(Date.now() + HOUR), { publicCopy: "New prices" }),
+    ]);
+    const rules = getApprovedBusinessRulesPublic();
+    assert.equal(rules.sketchOrderPricing.version, "SKETCH_ORDER_V3");
+    assert.equal(rules.sketchOrderPricing.grossRupees, 600);
+    assert.equal(rules.sketchOrderPricing.upcoming.length, 1);
+    assert.equal(rules.sketchOrderPricing.upcoming[0].publicCopy, "New prices");
+    assert.equal(rules.surveyorBalanceFee.rupees, 450);
+    const breakdown = await getPublicPricingBreakdown();
+    assert.equal(breakdown.pricingContract.pricingVersionId, "f".repeat(24));
+    assert.equal(breakdown.upcomingPricingContracts[0].version, "SKETCH_ORDER_V4");
+  });
+});
+
+describe("pricing: scheduling versions", () => {
+  const saved = {};
+  let created;
+  beforeEach(() => {
+    for (const k of ["findOne", "find", "create"]) saved[k] = SketchPricingVersion[k];
+    created = null;
+    SketchPricingVersion.findOne = () => query(null);
+    SketchPricingVersion.find = () => query(created ? [created] : []);
+    SketchPricingVersion.create = async (doc) => {
+      created = { _id: "1".repeat(24), ...doc };
+      return { toObject: () => created };
+    };
+  });
+  afterEach(() => {
+    Object.assign(SketchPricingVersion, saved);
+    setStoredSketchPricingVersions([]);
+  });
+
+  const payload = (overrides = {}) =>
+    schemas.sketchPricingVersionCreate({
+      version: "sketch_order_v3",
+      effectiveFrom: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      approvedBy: "founder/finance",
+      approvalReference: "Board minute 2026-10",
+      bookingRupees: 150,
+      ...overrides,
+    });
+
+  /** CAD payout rule raised to the ₹150 booking the payload schedules. */
+  const CAD_ENV = { CAD_PAYOUT_BOOKING_PAISE: "15000", CAD_PAYOUT_GROSS_PAISE: "55000", CAD_PAYOUT_PLATFORM_FEE_PAISE: "15000" };
+  async function withCadEnv(fn) {
+    const prev = {};
+    for (const [k, v] of Object.entries(CAD_ENV)) {
+      prev[k] = process.env[k];
+      process.env[k] = v;
+    }
+    try {
+      return await fn();
+    } finally {
+      for (const k of Object.keys(CAD_ENV)) {
+        if (prev[k] === undefined) delete process.env[k];
+        else process.env[k] = prev[k];
+      }
+    }
+  }
+
+  it("carries omitted lines over from the contract in force and recomputes gross", async () => {
+    const result = await withCadEnv(() => pricingVersions.schedulePricingVersion(payload(), { _id: "2".repeat(24) }));
+    assert.equal(result.status, "UPCOMING");
+    assert.equal(result.version, "SKETCH_ORDER_V3");
+    assert.equal(created.bookingPaise, 15000);
+    assert.equal(created.balancePaise, 40000);
+    assert.equal(created.grossPaise, 55000);
+    assert.equal(created.expressPaise, null);
+    assert.equal(created.approval.reference, "Board minute 2026-10");
+  });
+
+  it("rejects a version whose booking / balance the CAD payout rule does not match", async () => {
+    await assert.rejects(
+      pricingVersions.schedulePricingVersion(payload()),
+      (err) => err.code === "SKETCH_CAD_PRICING_MISMATCH"
+    );
+    assert.equal(created, null);
+  });
+
+  it("rejects versions that would switch before every instance has reloaded", async () => {
+    await assert.rejects(
+      pricingVersions.schedulePricingVersion(payload({ effectiveFrom: new Date(Date.now() + 1000).toISOString() })),
+      (err) => err.code === "SKETCH_PRICING_EFFECTIVE_TOO_SOON"
+    );
+  });
+
+  it("rejects a second version starting at the same instant", async () => {
+    SketchPricingVersion.findOne = () => query({ version: "SKETCH_ORDER_V9" });
+    await assert.rejects(
+      pricingVersions.schedulePricingVersion(payload()),
+      (err) => err.code === "SKETCH_PRICING_EFFECTIVE_CLASH"
+    );
+  });
+
+  it("validates the schedule payload", () => {
+    assert.deepEqual(payload().amounts, { bookingPaise: 15000 });
+    assert.throws(() => payload({ bookingRupees: undefined }), /At least one price/);
+    assert.throws(() => payload({ effectiveFrom: "soon" }), /effectiveFrom must be a date/);
+    assert.throws(() => payload({ version: "v" }), /version must be/);
+    assert.throws(() => payload({ balanceRupees: -1 }), /non-negative/);
+  });
+});
+
 describe("entitlement state rules", () => {
   it("denies when refunded", () => {
     assert.equal(
@@ -0,0 +1,218 @@
+/**
+ * H-12: revision diff between two CAD deliveries (DXF entity diff + overlay, hash / size for other files).
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+
+process.env.S3_BUCKET = process.env.S3_BUCKET || "unit-test-bucket";
+
+const { parseDxf } = require("../../src/utils/dxfParser");
+const { classifyDxfEntities, buildDxfDiffReport } = require("../../src/utils/dxfDiff");
+const { renderDxfDiffOverlayPdf } = require("../../src/utils/dxfPreview");
+const { pairFiles, diffRevisions } = require("../../src/services/revisionDiff.service");
+const s3 = require("../../src/utils/s3");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const FileAccessEvent = require("../../src/models/security/FileAccessEvent");
+const User = require("../../src/models/user/User");
+
+function dxf(entities, { handles = true } = {}) {
+  const body = entities.filter(([c]) => handles || c !== 5);
+  const pairs = [[0, "SECTION"], [2, "ENTITIES"], ...body, [0, "ENDSEC"], [0, "EOF"]];
+  return `${pairs.map(([c, v]) => `${c}\n${v}`).join("\n")}\n`;
+}
+
+const BEFORE_ENTITIES = [
+  [0, "LINE"], [5, "1A"], [8, "0"], [10, 0], [20, 0], [11, 40], [21, 0],
+  [0, "TEXT"], [5, "2B"], [8, "LABELS"], [10, 10], [20, 20], [40, 1.5], [1, "Sy. No. 42"],
+  [0, "LWPOLYLINE"], [5, "3C"], [8, "BOUNDARY"], [90, 3], [70, 1],
+  [10, 0], [20, 0], [10, 40], [20, 0], [10, 40], [20, 30],
+];
+const AFTER_ENTITIES = [
+  [0, "LINE"], [5, "1A"], [8, "0"], [10, 0], [20, 0], [11, 40], [21, 5],
+  [0, "TEXT"], [5, "2B"], [8, "LABELS"], [10, 10], [20, 20], [40, 1.5], [1, "Sy. No. 42/1"],
+  [0, "CIRCLE"], [5, "4D"], [8, "WELL"], [10, 20], [20, 15], [40, 2],
+];
+const BEFORE = dxf(BEFORE_ENTITIES);
+const AFTER = dxf(AFTER_ENTITIES);
+
+describe("H-12 DXF entity diff", () => {
+  it("matches by handle and reports added / removed / modified per layer", () => {
+    const a = parseDxf(BEFORE);
+    const b = parseDxf(AFTER);
+    const classified = classifyDxfEntities(a, b);
+    const report = buildDxfDiffReport(classified, a, b);
+    assert.deepEqual(report.summary, { added: 1, removed: 1, modified: 2, unchanged: 0 });
+    assert.equal(report.matchedBy.handle, 2);
+    assert.equal(report.identical, false);
+    const layers = Object.fromEntries(report.byLayer.map((l) => [l.layer, l]));
+    assert.equal(layers.BOUNDARY.removed, 1);
+    assert.equal(layers.WELL.added, 1);
+    const text = report.changes.modified.find((m) => m.kind === "TEXT");
+    assert.deepEqual(text.changed, ["text"]);
+    assert.equal(text.after.text, "Sy. No. 42/1");
+  });
+
+  it("pairs handle-less text by position and treats a re-save as identical", () => {
+    const a = parseDxf(dxf(BEFORE_ENTITIES, { handles: false }));
+    const classified = classifyDxfEntities(a, parseDxf(dxf(AFTER_ENTITIES, { handles: false })));
+    const text = classified.modified.find((m) => m.after.kind === "TEXT");
+    assert.equal(text.matchedBy, "anchor");
+    const same = buildDxfDiffReport(classifyDxfEntities(a, parseDxf(BEFORE)), a, parseDxf(BEFORE));
+    assert.equal(same.identical, true);
+    assert.equal(same.summary.unchanged, 3);
+  });
+
+  it("renders the overlay as a PDF", () => {
+    const classified = classifyDxfEntities(parseDxf(BEFORE), parseDxf(AFTER));
+    const { pdf, stats } = renderDxfDiffOverlayPdf(classified, {
+      applicationId: "APP-9",
+      fromLabel: "#0",
+      toLabel: "#1",
+    });
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+    assert.ok(stats.segments > 0);
+    assert.equal(stats.truncated, false);
+  });
+});
+
+describe("H-12 revision diff service", () => {
+  const surveyor = { _id: "507f1f77bcf86cd799439011", role: "SURVEYOR", name: "R. Rao" };
+  const admin = { _id: "507f1f77bcf86cd799439055", role: "ADMIN" };
+  const uploadId = "607f1f77bcf86cd799439022";
+  const objects = new Map([
+    ["uploads/cad-deliverables/user/c/a/r0-plot.dxf", Buffer.from(BEFORE)],
+    ["uploads/cad-deliverables/user/c/a/r0-plot.pdf", Buffer.from("%PDF-1.4 rev0")],
+    ["uploads/cad-deliverables/user/c/a/r1-plot.dxf", Buffer.from(AFTER)],
+    ["uploads/cad-deliverables/user/c/a/r1-plot.pdf", Buffer.from("%PDF-1.4 rev0")],
+    ["uploads/cad-deliverables/user/c/a/r2-plot.dxf", Buffer.from(AFTER)],
+    ["uploads/cad-deliverables/user/c/a/r2-plot.pdf", Buffer.from("%PDF-1.4 rev2 longer")],
+  ]);
+  const file = (key, role) => ({ s3Key: key, fileName: key.split("-").pop(), role });
+  const delivery = (rev) => [
+    file(`uploads/cad-deliverables/user/c/a/r${rev}-plot.dxf`, "source"),
+    file(`uploads/cad-deliverables/user/c/a/r${rev}-plot.pdf`, "preview"),
+  ];
+  const orig = {
+    findUpload: SurveyorSketchUpload.findById,
+    findUser: User.findById,
+    bytes: s3.getObjectBytes,
+    stream: s3.getObjectStream,
+    put: s3.putObject,
+    presign: s3.getPresignedGetUrl,
+    create: FileAccessEvent.create,
+  };
+  let stored;
+  let events;
+
+  function fakeUpload(paid) {
+    return {
+      _id: uploadId,
+      surveyor: surveyor._id,
+      status: "CAD_DELIVERED",
+      applicationId: "APP-9",
+      cadDeliverableHistory: [
+        { revisionNo: 0, deliverables: delivery(0), qc: { status: "PASSED" } },
+        { revisionNo: 1, isRevision: true, deliverables: delivery(1), qc: { status: "PASSED" } },
+        { revisionNo: 2, isRevision: true, deliverables: delivery(2), qc: { status: "FAILED" } },
+      ],
+      revisionRequests: [{ revisionNo: 1, remarks: "Label survey number 42/1", status: "COMPLETED" }],
+      balancePayment: paid
+        ? { amountPaise: 40000, paidAmountPaise: 40000, status: "COMPLETED", ledger: [] }
+        : { amountPaise: 40000, status: "REQUIRED", ledger: [] },
+      downloadEntitlement: { granted: paid },
+    };
+  }
+
+  before(() => {
+    User.findById = () => ({ select: () => ({ lean: async () => ({ name: "R. Rao" }) }) });
+    s3.getObjectBytes = async (key) => {
+      if (!objects.has(key)) throw new Error("NoSuchKey");
+      return objects.get(key);
+    };
+    s3.getObjectStream = async (key) => {
+      if (!objects.has(key)) throw new Error("NoSuchKey");
+      return { body: Readable.from([objects.get(key)]) };
+    };
+    s3.putObject = async (key, body) => {
+      stored.set(key, body);
+    };
+    s3.getPresignedGetUrl = async (key) => `https://signed.example/${key}`;
+    FileAccessEvent.create = async (doc) => {
+      events.push(doc);
+      return doc;
+    };
+  });
+  beforeEach(() => {
+    stored = new Map();
+    events = [];
+  });
+  after(() => {
+    SurveyorSketchUpload.findById = orig.findUpload;
+    User.findById = orig.findUser;
+    s3.getObjectBytes = orig.bytes;
+    s3.getObjectStream = orig.stream;
+    s3.putObject = orig.put;
+    s3.getPresignedGetUrl = orig.presign;
+    FileAccessEvent.create = orig.create;
+  });
+
+  it("pairs files by role + name, then role + extension", () => {
+    const { pairs, added, removed } = pairFiles(
+      [{ role: "source", fileName: "plot.dxf" }, { role: "preview", fileName: "plot.pdf" }],
+      [{ role: "source", fileName: "plot-v2.dxf" }, { role: "preview", fileName: "sheet.png" }]
+    );
+    assert.deepEqual(pairs.map((p) => p.to.fileName), ["plot-v2.dxf"]);
+    assert.deepEqual(removed.map((f) => f.fileName), ["plot.pdf"]);
+    assert.deepEqual(added.map((f) => f.fileName), ["sheet.png"]);
+  });
+
+  it("defaults to the latest released delivery and returns entity changes with an overlay", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(true);
+    const out = await diffRevisions(surveyor, uploadId);
+    assert.deepEqual([out.from.historyIndex, out.to.historyIndex], [0, 1]);
+    assert.equal(out.identical, false);
+    assert.equal(out.revisionRequest.remarks, "Label survey number 42/1");
+    const source = out.files.find((f) => f.role === "source");
+    assert.equal(source.status, "MODIFIED");
+    assert.equal(source.dxf.summary.modified, 2);
+    assert.equal(source.dxf.changes.added[0].layer, "WELL");
+    assert.ok(source.dxf.overlay.downloadUrl.includes(`uploads/derived/revision-diffs/${uploadId}/`));
+    assert.equal(stored.size, 1);
+    assert.equal(out.files.find((f) => f.role === "preview").status, "UNCHANGED");
+    assert.equal(events.at(-1).meta.kind, "REVISION_DIFF_OVERLAY");
+    assert.equal(out.detailWithheld, undefined);
+  });
+
+  it("withholds entity detail and the overlay until the balance is paid", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(false);
+    const out = await diffRevisions(surveyor, uploadId, { from: "0", to: "1" });
+    const source = out.files.find((f) => f.role === "source");
+    assert.equal(source.dxf.summary.added, 1);
+    assert.equal(source.dxf.changes, undefined);
+    assert.equal(source.dxf.overlay, undefined);
+    assert.ok(out.detailWithheld);
+    assert.equal(stored.size, 0);
+  });
+
+  it("keeps QC-failed deliveries from surveyors; admins compare hashes and sizes", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(true);
+    await assert.rejects(diffRevisions(surveyor, uploadId, { to: 2 }), (err) => err.code === "REVISION_NOT_FOUND");
+    const out = await diffRevisions(admin, uploadId, { from: 1, to: 2 });
+    assert.equal(out.files.find((f) => f.role === "source").status, "UNCHANGED");
+    const preview = out.files.find((f) => f.role === "preview");
+    assert.equal(preview.status, "MODIFIED");
+    assert.equal(preview.sizeDelta, 7);
+    assert.notEqual(preview.from.sha256, preview.to.sha256);
+    await assert.rejects(diffRevisions(admin, uploadId, { from: 1, to: 1 }), (err) => err.code === "SAME_REVISION");
+  });
+
+  it("refuses another surveyor's order", async () => {
+    SurveyorSketchUpload.findById = async () => fakeUpload(true);
+    await assert.rejects(
+      diffRevisions({ ...surveyor, _id: "507f1f77bcf86cd799439099" }, uploadId),
+      (err) => err.code === "NOT_YOUR_SKETCH"
+    );
+    assert.equal(events.at(-1).action, "ACCESS_DENIED_CROSS_USER");
+  });
+});
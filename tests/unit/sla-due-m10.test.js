@@ -63,3 +63,55 @@ describe("M-10 SLA dueAt", () => {
     assert.equal(snap.dueAt, null);
   });
 });
+
+describe("M-10 SLA business-hours calendar (IST)", () => {
+  const wholeDaysMonSat = { source: "CAD_CENTER", workingDays: [1, 2, 3, 4, 5, 6], startMinute: 0, endMinute: 1440, holidays: [] };
+  const officeHours = { source: "CAD_CENTER", workingDays: [1, 2, 3, 4, 5, 6], startMinute: 570, endMinute: 1110, holidays: ["2026-07-25"] };
+
+  after(() => {
+    slaDue.resetNowProvider();
+  });
+
+  it("skips a closed Sunday using the injected clock", () => {
+    // Saturday 20:00 IST
+    slaDue.setNowProvider(() => new Date("2026-07-25T14:30:00.000Z"));
+    const doc = { status: SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED };
+    slaDue.applySlaOnAssign(doc, { calendar: wholeDaysMonSat });
+    // Sat 4h + Mon 24h + Tue 20h → Tuesday 20:00 IST
+    assert.equal(doc.dueAt.toISOString(), "2026-07-28T14:30:00.000Z");
+    assert.equal(doc.slaCalendar.source, "CAD_CENTER");
+  });
+
+  it("counts only office hours and skips holidays", () => {
+    const dueAt = slaDue.computeDueAt({
+      assignedAt: new Date("2026-07-24T12:00:00.000Z"), // Fri 17:30 IST
+      slaDurationMs: 4 * 3600 * 1000,
+      calendar: officeHours,
+    });
+    // Fri 1h, Sat holiday, Sun off, Mon 09:30 + 3h
+    assert.equal(dueAt.toISOString(), "2026-07-27T07:00:00.000Z");
+  });
+
+  it("warns on remaining working time, not wall time", () => {
+    const assignment = {
+      status: SURVEY_SKETCH_ASSIGNMENT_STATUS.IN_PROGRESS,
+      assignedAt: new Date("2026-07-24T04:30:00.000Z"),
+      dueAt: new Date("2026-07-27T04:30:00.000Z"), // Mon 10:00 IST
+      slaCalendar: wholeDaysMonSat,
+    };
+    const at = new Date("2026-07-25T17:30:00.000Z"); // Sat 23:00 IST — 35h wall, 11h working
+    assert.equal(slaDue.resolveSlaState({ ...assignment, slaCalendar: null }, { at }).state, slaDue.SLA_STATE.ON_TRACK);
+    const snap = slaDue.buildSlaSnapshot(assignment, { at });
+    assert.equal(snap.state, slaDue.SLA_STATE.WARNING);
+    assert.equal(snap.remainingBusinessMs, 11 * 3600 * 1000);
+  });
+
+  it("pause over a closed day adds only working time", () => {
+    const doc = { status: SURVEY_SKETCH_ASSIGNMENT_STATUS.ASSIGNED };
+    slaDue.applySlaOnAssign(doc, { at: new Date("2026-07-25T14:30:00.000Z"), calendar: wholeDaysMonSat });
+    slaDue.pauseSla(doc, { at: new Date("2026-07-25T14:30:00.000Z") }); // Sat 20:00 IST
+    slaDue.resumeSla(doc, { at: new Date("2026-07-26T18:30:00.000Z") }); // Mon 00:00 IST
+    assert.equal(doc.slaPausedTotalMs, 4 * 3600 * 1000);
+    assert.equal(doc.dueAt.toISOString(), "2026-07-28T18:30:00.000Z");
+  });
+});
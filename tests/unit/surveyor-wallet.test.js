@@ -0,0 +1,276 @@
+/**
+ * Surveyor prepaid wallet: checkout split maths, append-only ledger (running balance, seq races, idempotent
+ * refs), top-up settlement, bundle-prepaid balance, the booking payment gate and request validation.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SurveyorWalletLedger = require("../../src/models/surveyor/SurveyorWalletLedger");
+const User = require("../../src/models/user/User");
+const { PAYMENT_PURPOSE } = require("../../src/models/payment/PaymentAttempt");
+const { SURVEYOR_WALLET_ENTRY_KIND, USER_ROLES } = require("../../src/config/constants");
+const surveyorWallet = require("../../src/services/payment/surveyorWallet.service");
+const sketchPaymentPricing = require("../../src/services/sketchPaymentPricing.service");
+const cadDownloadEntitlement = require("../../src/services/cadDownloadEntitlement.service");
+const {
+  isSketchBookingPaymentSatisfied,
+  assertSketchBookingPaymentAllowsWorkflow,
+} = require("../../src/services/sketchPaymentGate.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const SURVEYOR_ID = "65f0000000000000000000bb";
+const UPLOAD_ID = "507f1f77bcf86cd799439011";
+
+/** In-memory ledger behind findOne / create, with the model's unique indexes. */
+function mockLedger(rows = []) {
+  const originals = { findOne: SurveyorWalletLedger.findOne, create: SurveyorWalletLedger.create };
+  let failNextSeq = 0;
+  SurveyorWalletLedger.findOne = (filter) => {
+    if (filter.ref) return query(rows.find((r) => r.ref === filter.ref) || null);
+    const own = rows.filter((r) => String(r.surveyor) === String(filter.surveyor));
+    return query(own.sort((a, b) => b.seq - a.seq)[0] || null);
+  };
+  SurveyorWalletLedger.create = async (doc) => {
+    if (failNextSeq > 0) {
+      failNextSeq -= 1;
+      // Another writer took this seq first.
+      const last = rows[rows.length - 1];
+      rows.push({ ...last, _id: `race${rows.length}`, seq: doc.seq, ref: null, amountPaise: 0, credits: 0 });
+      throw Object.assign(new Error("dup"), { code: 11000, keyPattern: { surveyor: 1, seq: -1 } });
+    }
+    if (doc.ref && rows.some((r) => r.ref === doc.ref)) {
+      throw Object.assign(new Error("dup"), { code: 11000, keyPattern: { ref: 1 } });
+    }
+    const row = { ...doc, _id: `row${rows.length}` };
+    rows.push(row);
+    return { toObject: () => row };
+  };
+  return {
+    rows,
+    raceOnce: () => {
+      failNextSeq = 1;
+    },
+    restore: () => Object.assign(SurveyorWalletLedger, originals),
+  };
+}
+
+describe("surveyor wallet: checkout split", () => {
+  it("spends the whole due when the balance covers it, else the balance", () => {
+    assert.equal(surveyorWallet.walletDebitFor(50000, 30000), 30000);
+    assert.equal(surveyorWallet.walletDebitFor(20000, 30000), 20000);
+    assert.equal(surveyorWallet.walletDebitFor(0, 30000), 0);
+  });
+
+  it("never leaves a gateway remainder below the minimum charge", () => {
+    // ₹0.50 left for the gateway → wallet takes ₹1 less.
+    assert.equal(surveyorWallet.walletDebitFor(29950, 30000), 29900);
+    assert.equal(surveyorWallet.walletDebitFor(80, 150), 50);
+    assert.equal(surveyorWallet.walletDebitFor(80, 90), 0);
+    assert.equal(surveyorWallet.walletDebitFor(30, 100), 0);
+  });
+
+  it("a bundle credit covers the booking and express lines, not the superimpose add-on", () => {
+    const lines = [
+      { line: "BOOKING", payablePaise: 10000 },
+      { line: "SUPERIMPOSE", payablePaise: 30000 },
+      { line: "EXPRESS", payablePaise: 20000 },
+    ];
+    const { lines: out, coveredPaise } = surveyorWallet.bundleCoverage(lines);
+    assert.equal(coveredPaise, 30000);
+    assert.deepEqual(
+      out.map((l) => l.payablePaise),
+      [0, 30000, 0]
+    );
+  });
+});
+
+describe("surveyor wallet: ledger", () => {
+  let ledger;
+  let originalUserFindById;
+
+  beforeEach(() => {
+    ledger = mockLedger([
+      {
+        _id: "seed",
+        surveyor: SURVEYOR_ID,
+        seq: 1,
+        kind: SURVEYOR_WALLET_ENTRY_KIND.TOPUP,
+        amountPaise: 50000,
+        balanceAfterPaise: 50000,
+        creditsAfter: { STANDARD_11E: 2 },
+        ref: "topup:wtu1",
+      },
+    ]);
+    originalUserFindById = User.findById;
+    User.findById = () => query({ _id: SURVEYOR_ID, role: USER_ROLES.SURVEYOR });
+  });
+
+  afterEach(() => {
+    ledger.restore();
+    User.findById = originalUserFindById;
+  });
+
+  it("checkout debit appends the next seq with the running balance", async () => {
+    const entry = await surveyorWallet.debitForCheckout({
+      surveyorId: SURVEYOR_ID,
+      uploadId: UPLOAD_ID,
+      purpose: PAYMENT_PURPOSE.BALANCE,
+      duePaise: 40000,
+      ref: `balance:${UPLOAD_ID}:bal1`,
+    });
+    assert.equal(entry.kind, SURVEYOR_WALLET_ENTRY_KIND.BALANCE_DEBIT);
+    assert.equal(entry.seq, 2);
+    assert.equal(entry.amountPaise, -40000);
+    assert.equal(entry.balanceAfterPaise, 10000);
+    assert.deepEqual(entry.creditsAfter, { STANDARD_11E: 2 });
+  });
+
+  it("a lost seq race re-reads the wallet and appends after the winner", async () => {
+    ledger.raceOnce();
+    const entry = await surveyorWallet.redeemBundleCredit({
+      surveyorId: SURVEYOR_ID,
+      uploadId: UPLOAD_ID,
+      orderType: "STANDARD_11E",
+    });
+    assert.equal(entry.seq, 3);
+    assert.equal(entry.credits, -1);
+    assert.deepEqual(entry.creditsAfter, { STANDARD_11E: 1 });
+  });
+
+  it("no credits of the order type → no redemption", async () => {
+    const entry = await surveyorWallet.redeemBundleCredit({
+      surveyorId: SURVEYOR_ID,
+      uploadId: UPLOAD_ID,
+      orderType: "EXPRESS_11E",
+    });
+    assert.equal(entry, null);
+    assert.equal(ledger.rows.length, 1);
+  });
+
+  it("top-up settlement credits once per order; bundle packs add order credits", async () => {
+    const attempt = {
+      surveyor: SURVEYOR_ID,
+      merchantOrderId: "wtu2",
+      expectedAmountPaise: 900000,
+      walletTopup: { creditPaise: 0, bundlePack: { packId: "p1", code: "STD10", orderType: "STANDARD_11E", orders: 10 } },
+    };
+    const first = await surveyorWallet.creditTopupAfterPayment(attempt);
+    const again = await surveyorWallet.creditTopupAfterPayment(attempt);
+    assert.equal(first.paymentRejected, false);
+    assert.equal(first.entry.kind, SURVEYOR_WALLET_ENTRY_KIND.BUNDLE_PURCHASE);
+    assert.deepEqual(first.entry.creditsAfter, { STANDARD_11E: 12 });
+    assert.equal(first.entry.balanceAfterPaise, 50000);
+    assert.equal(String(again.entry._id), String(first.entry._id));
+    assert.equal(ledger.rows.length, 2);
+  });
+
+  it("admin debit cannot take the wallet below zero", async () => {
+    await assert.rejects(
+      surveyorWallet.adjustWallet({ _id: "admin" }, SURVEYOR_ID, {
+        direction: "DEBIT",
+        amountRupees: 600,
+        note: "correction",
+      }),
+      (err) => err.code === "WALLET_INSUFFICIENT_BALANCE"
+    );
+    const entry = await surveyorWallet.adjustWallet({ _id: "admin" }, SURVEYOR_ID, {
+      direction: "CREDIT",
+      credits: 3,
+      orderType: "EXPRESS_11E",
+      note: "goodwill",
+    });
+    assert.equal(entry.kind, SURVEYOR_WALLET_ENTRY_KIND.ADMIN_CREDIT);
+    assert.deepEqual(entry.creditsAfter, { STANDARD_11E: 2, EXPRESS_11E: 3 });
+  });
+
+  it("reversal returns a debit to the wallet", async () => {
+    const debit = await surveyorWallet.debitForCheckout({
+      surveyorId: SURVEYOR_ID,
+      uploadId: UPLOAD_ID,
+      purpose: PAYMENT_PURPOSE.BOOKING,
+      duePaise: 20000,
+      ref: `booking:${UPLOAD_ID}`,
+    });
+    await surveyorWallet.reverseEntriesQuietly([debit, null], "checkout not started");
+    const last = ledger.rows[ledger.rows.length - 1];
+    assert.equal(last.kind, SURVEYOR_WALLET_ENTRY_KIND.REVERSAL);
+    assert.equal(last.ref, `reversal:booking:${UPLOAD_ID}`);
+    assert.equal(last.balanceAfterPaise, 50000);
+  });
+});
+
+describe("surveyor wallet: bundle-prepaid balance and booking gate", () => {
+  let originalResolve;
+
+  beforeEach(() => {
+    originalResolve = sketchPaymentPricing.resolveSketchBalanceFee;
+    sketchPaymentPricing.resolveSketchBalanceFee = async () => ({
+      feePaise: 40000,
+      planAmountRupees: 400,
+      discountRupees: 0,
+      source: "admin",
+    });
+  });
+
+  afterEach(() => {
+    sketchPaymentPricing.resolveSketchBalanceFee = originalResolve;
+  });
+
+  it("a booking paid with a bundle credit locks its balance as paid at delivery", async () => {
+    const upload = {
+      sketchPayment: { status: "COMPLETED", amountPaise: 0, wallet: { debitedPaise: 0, bundleCredit: { orderType: "STANDARD_11E", coveredPaise: 10000 } } },
+      balancePayment: {},
+    };
+    await cadDownloadEntitlement.applyBalanceRequirementOnDelivery(upload);
+    assert.equal(upload.balancePayment.status, "COMPLETED");
+    assert.equal(upload.balancePayment.paidAmountPaise, 40000);
+    assert.equal(upload.balancePayment.wallet.bundleCredit.coveredPaise, 40000);
+    assert.equal(upload.downloadEntitlement.granted, true);
+    assert.ok(upload.balancePayment.ledger.some((e) => e.event === "BUNDLE_PREPAID"));
+    assert.equal(cadDownloadEntitlement.isDownloadEntitled(upload), true);
+  });
+
+  it("gate passes wallet-covered bookings and reports the gateway due otherwise", () => {
+    assert.equal(
+      isSketchBookingPaymentSatisfied({ sketchPayment: { status: "NONE", amountPaise: 30000, wallet: { debitedPaise: 30000 } } }),
+      true
+    );
+    const partly = {
+      status: "PENDING",
+      sketchPayment: { status: "PENDING", amountPaise: 30000, wallet: { debitedPaise: 20000 } },
+    };
+    assert.equal(isSketchBookingPaymentSatisfied(partly), false);
+    assert.throws(
+      () => assertSketchBookingPaymentAllowsWorkflow(partly, { action: "assign" }),
+      (err) => err.code === "SKETCH_PAYMENT_INCOMPLETE" && err.errors[0].gatewayDuePaise === 10000
+    );
+  });
+});
+
+describe("surveyor wallet: validation", () => {
+  it("top-up takes exactly one of amount or bundle pack", () => {
+    assert.deepEqual(schemas.walletTopupCreate({ amountRupees: "500" }), { amountRupees: 500 });
+    assert.deepEqual(schemas.walletTopupCreate({ bundlePackCode: "std10" }), { bundlePackCode: "STD10" });
+    assert.throws(() => schemas.walletTopupCreate({}), /either amountRupees or bundlePackCode/);
+    assert.throws(() => schemas.walletTopupCreate({ amountRupees: 500, bundlePackCode: "STD10" }));
+    assert.throws(() => schemas.walletTopupCreate({ amountRupees: 500.5 }), /whole rupees/);
+  });
+
+  it("adjustments need a direction, a note and money or credits", () => {
+    assert.deepEqual(schemas.walletAdjustment({ direction: "credit", amountRupees: 250, note: "goodwill" }), {
+      direction: "CREDIT",
+      note: "goodwill",
+      amountRupees: 250,
+    });
+    assert.throws(() => schemas.walletAdjustment({ direction: "CREDIT", note: "x" }), /either amountRupees or credits/);
+    assert.throws(() => schemas.walletAdjustment({ direction: "CREDIT", credits: 2, note: "x" }), /orderType/);
+    assert.throws(() => schemas.bundlePackUpdate({ orderType: "EXPRESS_11E" }), /cannot be changed/);
+  });
+
+  it("checkouts may opt out of wallet funding", () => {
+    assert.equal(schemas.balancePaymentInitiate({ useWallet: "true" }).useWallet, undefined);
+    assert.equal(schemas.balancePaymentInitiate({ useWallet: false }).useWallet, false);
+    assert.throws(() => schemas.balancePaymentInitiate({ useWallet: "maybe" }), /useWallet/);
+  });
+});
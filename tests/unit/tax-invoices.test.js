@@ -0,0 +1,306 @@
+/**
+ * GST tax documents: financial year and GST split helpers, FY-sequential numbering, credit notes that net
+ * an invoice to zero, PDF rendering and surveyor scoping.
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const PaymentAttempt = require("../../src/models/payment/PaymentAttempt");
+const { PROVIDER_STATE, REFUND_STATE } = require("../../src/models/payment/PaymentAttempt");
+const TaxDocument = require("../../src/models/payment/TaxDocument");
+const TaxDocumentCounter = require("../../src/models/payment/TaxDocumentCounter");
+const InvoiceSettings = require("../../src/models/config/InvoiceSettings");
+const SurveyorSketchUpload = require("../../src/models/surveyor/SurveyorSketchUpload");
+const User = require("../../src/models/user/User");
+const { TAX_DOCUMENT_KIND, TAX_SUPPLY_TYPE } = require("../../src/config/taxInvoice");
+const taxDocument = require("../../src/services/payment/taxDocument.service");
+const { numberInWords, rupeesInWords, formatPaise, renderTaxDocumentPdf } = require("../../src/services/payment/taxDocumentPdf.service");
+const { schemas } = require("../../src/middleware/validator");
+const { query } = require("./helpers/mockQuery");
+
+const ATTEMPT_ID = "65f000000000000000000001";
+const UPLOAD_ID = "507f1f77bcf86cd799439011";
+const SURVEYOR_ID = "65f0000000000000000000bb";
+const SELLER_GSTIN = "29ABCDE1234F1Z5";
+const NOW = new Date("2026-07-01T06:30:00Z");
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    const value = key.split(".").reduce((v, k) => v?.[k], doc);
+    if (cond && typeof cond === "object" && "$ne" in cond) return String(value) !== String(cond.$ne);
+    if (cond && typeof cond === "object" && "$type" in cond) return typeof value === cond.$type;
+    if (cond === null) return value == null;
+    return String(value) === String(cond);
+  });
+}
+
+describe("tax documents: helpers", () => {
+  it("financial year runs April–March in IST", () => {
+    assert.equal(taxDocument.financialYearOf(new Date("2026-03-31T18:29:59Z")), "2025-26");
+    assert.equal(taxDocument.financialYearOf(new Date("2026-03-31T18:30:00Z")), "2026-27");
+    assert.equal(taxDocument.financialYearOf(new Date("2099-12-31T00:00:00Z")), "2099-00");
+  });
+
+  it("splits a GST-inclusive amount into CGST + SGST, IGST or nothing", () => {
+    const rate = { gstRegistered: true, gstRateBps: 1800 };
+    assert.deepEqual(taxDocument.splitInclusiveGst(10000, { ...rate, supplyType: TAX_SUPPLY_TYPE.INTRA_STATE }), {
+      taxablePaise: 8475,
+      cgstPaise: 762,
+      sgstPaise: 763,
+      igstPaise: 0,
+      totalPaise: 10000,
+    });
+    assert.deepEqual(taxDocument.splitInclusiveGst(10000, { ...rate, supplyType: TAX_SUPPLY_TYPE.INTER_STATE }), {
+      taxablePaise: 8475,
+      cgstPaise: 0,
+      sgstPaise: 0,
+      igstPaise: 1525,
+      totalPaise: 10000,
+    });
+    assert.deepEqual(taxDocument.splitInclusiveGst(10000, { gstRegistered: false, gstRateBps: 1800 }), {
+      taxablePaise: 10000,
+      cgstPaise: 0,
+      sgstPaise: 0,
+      igstPaise: 0,
+      totalPaise: 10000,
+    });
+  });
+
+  it("spells amounts in Indian numbering", () => {
+    assert.equal(numberInWords(123456), "One Lakh Twenty Three Thousand Four Hundred Fifty Six");
+    assert.equal(numberInWords(10000000), "One Crore");
+    assert.equal(rupeesInWords(50050), "Rupees Five Hundred and Fifty Paise Only");
+    assert.equal(formatPaise(12345678), "1,23,456.78");
+  });
+
+  it("validates invoice settings", () => {
+    assert.deepEqual(schemas.invoiceSettingsUpdate({ seller: { gstin: "29abcde1234f1z5" }, gstRateBps: 1800 }), {
+      seller: { gstin: SELLER_GSTIN },
+      gstRateBps: 1800,
+    });
+    assert.throws(() => schemas.invoiceSettingsUpdate({ seller: { gstin: "29ABCDE1234" } }), /Invalid GSTIN/);
+    assert.throws(
+      () => schemas.invoiceSettingsUpdate({ seller: { gstin: SELLER_GSTIN, stateCode: "27" } }),
+      /GSTIN state code/
+    );
+    assert.throws(() => schemas.invoiceSettingsUpdate({ gstRateBps: 3000 }), /gstRateBps/);
+    assert.throws(() => schemas.invoiceSettingsUpdate({}), /At least one setting/);
+  });
+});
+
+describe("tax documents: issue", () => {
+  const orig = {};
+  let attempt;
+  let docs;
+  let counters;
+  let settings;
+  let buyerGstin;
+
+  beforeEach(() => {
+    attempt = {
+      _id: ATTEMPT_ID,
+      merchantOrderId: `bal${UPLOAD_ID}`,
+      provider: "PHONEPE",
+      purpose: "BALANCE",
+      surveyorSketchUpload: UPLOAD_ID,
+      revisionNo: null,
+      expectedAmountPaise: 40000,
+      paidAmountPaise: 40000,
+      providerState: PROVIDER_STATE.COMPLETED,
+      completedAt: NOW,
+      taxInvoiceNumber: null,
+      refunds: [],
+    };
+    docs = [];
+    counters = new Map();
+    settings = { key: "INVOICE_SETTINGS", seller: { legalName: "NakshaCAD Pvt Ltd", gstin: SELLER_GSTIN } };
+    buyerGstin = null;
+    Object.assign(orig, {
+      attemptFindById: PaymentAttempt.findById,
+      attemptFindOne: PaymentAttempt.findOne,
+      attemptUpdateOne: PaymentAttempt.updateOne,
+      docFindOne: TaxDocument.findOne,
+      docFind: TaxDocument.find,
+      docFindById: TaxDocument.findById,
+      docCreate: TaxDocument.create,
+      docFindOneAndUpdate: TaxDocument.findOneAndUpdate,
+      counterFindOne: TaxDocumentCounter.findOne,
+      counterFindOneAndUpdate: TaxDocumentCounter.findOneAndUpdate,
+      counterUpdateOne: TaxDocumentCounter.updateOne,
+      settingsFindOne: InvoiceSettings.findOne,
+      uploadFindById: SurveyorSketchUpload.findById,
+      userFindById: User.findById,
+    });
+    PaymentAttempt.findById = () => query(attempt);
+    PaymentAttempt.findOne = () => query(attempt);
+    PaymentAttempt.updateOne = async (filter, update) => {
+      for (const [path, value] of Object.entries(update.$set)) {
+        if (path.startsWith("refunds.$.")) {
+          attempt.refunds.find((r) => r.merchantRefundId === filter["refunds.merchantRefundId"])[path.slice(10)] = value;
+        } else {
+          attempt[path] = value;
+        }
+      }
+      return { acknowledged: true };
+    };
+    TaxDocument.findOne = (filter) => query(docs.find((d) => matches(d, filter)) || null);
+    TaxDocument.find = (filter) => query(docs.filter((d) => matches(d, filter)));
+    TaxDocument.findById = (id) => query(docs.find((d) => String(d._id) === String(id)) || null);
+    TaxDocument.create = async (row) => {
+      const doc = { _id: `doc${docs.length + 1}`, number: null, ...row };
+      docs.push(doc);
+      return { toObject: () => ({ ...doc }) };
+    };
+    TaxDocument.findOneAndUpdate = (filter, update) => {
+      const doc = docs.find((d) => matches(d, filter)) || null;
+      if (doc) Object.assign(doc, update.$set);
+      return query(doc && { ...doc });
+    };
+    TaxDocumentCounter.findOne = (filter) => query(counters.has(filter.key) ? { ...counters.get(filter.key) } : null);
+    TaxDocumentCounter.findOneAndUpdate = (filter, update) => {
+      const row = counters.get(filter.key);
+      if (!row) {
+        counters.set(filter.key, { key: filter.key, ...update.$set });
+        return query({ ...counters.get(filter.key) });
+      }
+      if (row.seq !== filter.seq || row.pending) {
+        return query(Promise.reject(Object.assign(new Error("E11000 duplicate key"), { code: 11000 })));
+      }
+      Object.assign(row, update.$set);
+      return query({ ...row });
+    };
+    TaxDocumentCounter.updateOne = async (filter, update) => {
+      const row = counters.get(filter.key);
+      if (!row?.pending || row.pending.token !== filter["pending.token"]) return { modifiedCount: 0 };
+      Object.assign(row, update.$set);
+      row.seq += update.$inc?.seq || 0;
+      return { modifiedCount: 1 };
+    };
+    InvoiceSettings.findOne = () => query(settings);
+    SurveyorSketchUpload.findById = () => query({ _id: UPLOAD_ID, surveyor: SURVEYOR_ID, applicationId: "APP-1" });
+    User.findById = () =>
+      query({
+        name: { first: "Asha", last: "Rao" },
+        auth: { phone: "9876543210" },
+        surveyorProfile: { gstin: buyerGstin },
+      });
+  });
+
+  afterEach(() => {
+    PaymentAttempt.findById = orig.attemptFindById;
+    PaymentAttempt.findOne = orig.attemptFindOne;
+    PaymentAttempt.updateOne = orig.attemptUpdateOne;
+    TaxDocument.findOne = orig.docFindOne;
+    TaxDocument.find = orig.docFind;
+    TaxDocument.findById = orig.docFindById;
+    TaxDocument.create = orig.docCreate;
+    TaxDocument.findOneAndUpdate = orig.docFindOneAndUpdate;
+    TaxDocumentCounter.findOne = orig.counterFindOne;
+    TaxDocumentCounter.findOneAndUpdate = orig.counterFindOneAndUpdate;
+    TaxDocumentCounter.updateOne = orig.counterUpdateOne;
+    InvoiceSettings.findOne = orig.settingsFindOne;
+    SurveyorSketchUpload.findById = orig.uploadFindById;
+    User.findById = orig.userFindById;
+  });
+
+  it("issues one sequentially numbered intra-state tax invoice per payment", async () => {
+    const invoice = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    assert.equal(invoice.number, "NCI/26-27/000001");
+    assert.equal(invoice.kind, TAX_DOCUMENT_KIND.INVOICE);
+    assert.equal(invoice.supplyType, TAX_SUPPLY_TYPE.INTRA_STATE);
+    assert.equal(invoice.placeOfSupply, "29");
+    assert.deepEqual(invoice.amounts, {
+      taxablePaise: 33898,
+      cgstPaise: 3051,
+      sgstPaise: 3051,
+      igstPaise: 0,
+      totalPaise: 40000,
+    });
+    assert.equal(invoice.buyer.name, "Asha Rao");
+    assert.equal(attempt.taxInvoiceNumber, invoice.number);
+
+    const again = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    assert.equal(again.number, invoice.number);
+    assert.equal(docs.length, 1);
+
+    docs = [];
+    attempt = { ...attempt, _id: "65f000000000000000000002" };
+    assert.equal((await taxDocument.issueInvoice(attempt._id, { now: NOW })).number, "NCI/26-27/000002");
+  });
+
+  it("never skips a number: a reservation left behind is written first, or handed back when unused", async () => {
+    // Issuer crashed after reserving 000001 for an unnumbered row: the next issue writes it there first.
+    docs.push({ _id: "orphan", number: null });
+    counters.set("I:2026-27", {
+      key: "I:2026-27",
+      seq: 1,
+      pending: { token: "crashed", document: "orphan", number: "NCI/26-27/000001" },
+    });
+    const invoice = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    assert.equal(docs[0].number, "NCI/26-27/000001");
+    assert.equal(invoice.number, "NCI/26-27/000002");
+    assert.deepEqual(counters.get("I:2026-27"), { key: "I:2026-27", seq: 2, pending: null });
+
+    // Reserved for a row another issuer had numbered meanwhile: the number goes back to the counter.
+    counters.get("I:2026-27").seq = 3;
+    counters.get("I:2026-27").pending = { token: "stale", document: "orphan", number: "NCI/26-27/000003" };
+    attempt = { ...attempt, _id: "65f000000000000000000002" };
+    assert.equal((await taxDocument.issueInvoice(attempt._id, { now: NOW })).number, "NCI/26-27/000003");
+    assert.equal(docs[0].number, "NCI/26-27/000001");
+  });
+
+  it("charges IGST to a buyer registered in another state and issues receipts when unregistered", async () => {
+    buyerGstin = "27ABCDE1234F1Z5";
+    const inter = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    assert.equal(inter.supplyType, TAX_SUPPLY_TYPE.INTER_STATE);
+    assert.equal(inter.placeOfSupply, "27");
+    assert.equal(inter.amounts.igstPaise, 6102);
+
+    docs = [];
+    settings = null;
+    const receipt = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    assert.equal(receipt.gstRegistered, false);
+    assert.equal(receipt.number, "NCR/26-27/000001");
+    assert.equal(receipt.amounts.taxablePaise, 40000);
+  });
+
+  it("does not invoice a payment that has not completed", async () => {
+    attempt.providerState = PROVIDER_STATE.PENDING;
+    assert.equal(await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW }), null);
+    assert.equal(docs.length, 0);
+  });
+
+  it("credit notes for partial refunds net the invoice to zero", async () => {
+    attempt.refunds = [
+      { merchantRefundId: "rf1", state: REFUND_STATE.COMPLETED, amountPaise: 15001, settledAt: NOW },
+      { merchantRefundId: "rf2", state: REFUND_STATE.COMPLETED, amountPaise: 24999, settledAt: NOW },
+    ];
+    const first = await taxDocument.issueCreditNote("rf1", { now: NOW });
+    const second = await taxDocument.issueCreditNote("rf2", { now: NOW });
+    const invoice = docs.find((d) => d.kind === TAX_DOCUMENT_KIND.INVOICE);
+    assert.equal(first.number, "NCC/26-27/000001");
+    assert.equal(second.number, "NCC/26-27/000002");
+    assert.equal(first.originalInvoiceNumber, invoice.number);
+    for (const field of ["taxablePaise", "cgstPaise", "sgstPaise", "igstPaise", "totalPaise"]) {
+      assert.equal(first.amounts[field] + second.amounts[field], invoice.amounts[field], field);
+    }
+    assert.deepEqual(
+      attempt.refunds.map((r) => r.creditNoteNumber),
+      [first.number, second.number]
+    );
+  });
+
+  it("renders a PDF and scopes surveyor downloads to their own documents", async () => {
+    const invoice = await taxDocument.issueInvoice(ATTEMPT_ID, { now: NOW });
+    const pdf = renderTaxDocumentPdf(invoice);
+    assert.equal(pdf.subarray(0, 5).toString("latin1"), "%PDF-");
+    assert.ok(pdf.toString("latin1").includes(invoice.number));
+    assert.ok(pdf.equals(renderTaxDocumentPdf(invoice)));
+
+    assert.equal((await taxDocument.getTaxDocument(invoice._id, { surveyorId: SURVEYOR_ID })).number, invoice.number);
+    await assert.rejects(
+      taxDocument.getTaxDocument(invoice._id, { surveyorId: "65f0000000000000000000cc" }),
+      (e) => e.code === "TAX_DOCUMENT_NOT_FOUND"
+    );
+  });
+});